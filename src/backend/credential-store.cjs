@@ -0,0 +1,198 @@
+/**
+ * Ninja Toolkit - Secure Credential Store
+ * Encrypted secrets shared by the remote-access modules
+ *
+ * Features:
+ * - Secrets encrypted with the OS keychain via Electron safeStorage
+ *   (DPAPI on Windows, Keychain on macOS, libsecret/kwallet on Linux)
+ * - Refuses to store secrets when OS encryption is unavailable
+ * - Metadata (label, username, kind) listable without exposing secrets;
+ *   secrets are only decrypted inside the main process
+ * - Persisted as JSON (encrypted values base64-encoded)
+ * - SecretBox and readJsonFile/writeJsonFile shared with other stores that keep
+ *   their own secrets (SNMP credential profiles)
+ *
+ * Usage:
+ * const { CredentialStore } = require('./credential-store.cjs');
+ * const store = new CredentialStore({ filePath, encryption: safeStorage });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CREDENTIAL_KINDS = ['password', 'privateKey'];
+
+/**
+ * Secrets encrypted with the OS keychain, as base64 strings for JSON files
+ */
+class SecretBox {
+  /**
+   * @param {Object} encryption - Electron safeStorage (or compatible:
+   *   isEncryptionAvailable(), encryptString(text) -> Buffer, decryptString(Buffer) -> text)
+   */
+  constructor(encryption) {
+    this.encryption = encryption || null;
+  }
+
+  isAvailable() {
+    return !!this.encryption && this.encryption.isEncryptionAvailable();
+  }
+
+  encrypt(text) {
+    if (!this.isAvailable()) {
+      throw new Error('OS credential encryption is not available; secrets cannot be stored');
+    }
+    return this.encryption.encryptString(text).toString('base64');
+  }
+
+  decrypt(value) {
+    if (!this.isAvailable()) {
+      throw new Error('OS credential encryption is not available; secrets cannot be read');
+    }
+    return this.encryption.decryptString(Buffer.from(value, 'base64'));
+  }
+}
+
+/**
+ * Read a store's JSON document
+ * @param {string} label - Store name for the warning when the file is unreadable
+ * @returns {Object|null} null when the file is missing or unreadable
+ */
+function readJsonFile(filePath, label) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`${label} could not be loaded:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Write a store's JSON document, readable by the user only
+ */
+function writeJsonFile(filePath, document) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(document, null, 2), { mode: 0o600 });
+}
+
+class CredentialStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file holding the encrypted credentials
+   * @param {Object} options.encryption - Electron safeStorage (or compatible:
+   *   isEncryptionAvailable(), encryptString(text) -> Buffer, decryptString(Buffer) -> text)
+   */
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('Credential store requires a file path');
+    }
+    this.filePath = options.filePath;
+    this.secrets = new SecretBox(options.encryption);
+    this.credentials = new Map(); // id -> { id, label, username, kind, secret (base64 ciphertext), createdAt, updatedAt }
+
+    this.load();
+  }
+
+  load() {
+    const document = readJsonFile(this.filePath, 'Credential store');
+    for (const credential of document?.credentials || []) {
+      this.credentials.set(credential.id, credential);
+    }
+  }
+
+  save() {
+    writeJsonFile(this.filePath, { version: 1, credentials: Array.from(this.credentials.values()) });
+  }
+
+  isAvailable() {
+    return this.secrets.isAvailable();
+  }
+
+  /**
+   * Add or update a credential
+   * @param {Object} credential - { id?, label, username, kind: 'password' | 'privateKey', secret? }
+   *   secret may be omitted on update to keep the stored one
+   * @returns {Object} Credential metadata (no secret)
+   */
+  set(credential) {
+    if (!credential || !credential.label) {
+      throw new Error('Credential label is required');
+    }
+    const kind = credential.kind || 'password';
+    if (!CREDENTIAL_KINDS.includes(kind)) {
+      throw new Error(`Credential kind must be one of ${CREDENTIAL_KINDS.join(', ')}`);
+    }
+
+    const existing = credential.id ? this.credentials.get(credential.id) : null;
+    if (credential.id && !existing) {
+      throw new Error(`Credential ${credential.id} not found`);
+    }
+    if (!existing && !credential.secret) {
+      throw new Error('A secret is required for a new credential');
+    }
+
+    const secret = credential.secret ? this.secrets.encrypt(credential.secret) : existing?.secret;
+
+    const now = Date.now();
+    const stored = {
+      id: existing?.id || crypto.randomUUID(),
+      label: credential.label,
+      username: credential.username || '',
+      kind,
+      secret,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    this.credentials.set(stored.id, stored);
+    this.save();
+    return this.describe(stored);
+  }
+
+  /**
+   * Credential metadata (never the secret)
+   */
+  get(id) {
+    const credential = this.credentials.get(id);
+    return credential ? this.describe(credential) : null;
+  }
+
+  list() {
+    return Array.from(this.credentials.values()).map(credential => this.describe(credential));
+  }
+
+  /**
+   * Decrypt a credential for use in the main process
+   * @returns {Object} { id, username, kind, secret }
+   */
+  resolve(id) {
+    const credential = this.credentials.get(id);
+    if (!credential) {
+      throw new Error(`Credential ${id} not found`);
+    }
+    return {
+      id: credential.id,
+      username: credential.username,
+      kind: credential.kind,
+      secret: this.secrets.decrypt(credential.secret)
+    };
+  }
+
+  delete(id) {
+    const deleted = this.credentials.delete(id);
+    if (deleted) this.save();
+    return deleted;
+  }
+
+  /**
+   * Helper: Public view of a credential
+   */
+  describe(credential) {
+    const { secret, ...metadata } = credential;
+    return { ...metadata, hasSecret: !!secret };
+  }
+}
+
+module.exports = { CredentialStore, SecretBox, readJsonFile, writeJsonFile, CREDENTIAL_KINDS };
@@ -0,0 +1,460 @@
+/**
+ * Ninja Toolkit - Recording Library
+ * Browse, search and play back asciicast session recordings
+ *
+ * Features:
+ * - Lists .cast recordings (and legacy .json recordings, converted on load)
+ *   from one or more directories, filtered by session type, host and time
+ * - Search across recordings: text or regex over output lines (ANSI-free)
+ *   and typed input, with the time offset of each match
+ * - Playback in the main process: play/pause, seek, speed, idle time limit;
+ *   frames emitted as events so the renderer only writes them to a terminal
+ * - Seeking emits a reset with the terminal output up to the new position
+ *
+ * Usage:
+ * const { RecordingLibrary } = require('./recording-library.cjs');
+ * const library = new RecordingLibrary({ directories: [recordingsDir] });
+ * library.on('playbackFrame', frame => ...);
+ * const { playerId } = library.play(recordingId, { speed: 2 });
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -\/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+const DEFAULT_SEARCH_LIMIT = 200;
+const PLAYBACK_SPEEDS = { min: 0.1, max: 32 };
+
+// Legacy JSON recordings (saveRecording before asciicast)
+const LEGACY_EVENT_CODES = { input: 'i', output: 'o', tx: 'i', rx: 'o' };
+
+class RecordingLibrary extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.directories - Recording directories, searched in order
+   */
+  constructor(options = {}) {
+    super();
+    this.directories = options.directories || [];
+    this.players = new Map(); // playerId -> RecordingPlayer
+    this.playerIdCounter = 1;
+  }
+
+  /**
+   * Recordings, newest first
+   * @param {Object} [filter] - { type, host, from, to } (from/to: ms since epoch)
+   * @returns {Object[]} { id, title, type, host, port, username, sessionId, startTime, duration, width, height, events, size, format }
+   */
+  list(filter = {}) {
+    const recordings = [];
+    const seen = new Set();
+
+    for (const directory of this.directories) {
+      if (!fs.existsSync(directory)) continue;
+      for (const file of fs.readdirSync(directory)) {
+        if (seen.has(file) || !/\.(cast|json)$/.test(file)) continue;
+        seen.add(file);
+        try {
+          const info = this.describe(this.load(file));
+          if (this.matchesFilter(info, filter)) recordings.push(info);
+        } catch (error) {
+          console.warn(`Recording ${file} skipped:`, error.message);
+        }
+      }
+    }
+
+    return recordings.sort((a, b) => b.startTime - a.startTime);
+  }
+
+  /**
+   * Read a recording
+   * @param {string} id - File name from list()
+   * @returns {Object} { id, header, events: [[time, code, data], ...] }
+   */
+  load(id) {
+    const filePath = this.resolve(id);
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (id.endsWith('.json')) {
+      return { id, ...this.convertLegacy(JSON.parse(content)) };
+    }
+
+    const lines = content.split('\n').filter(line => line.trim());
+    if (lines.length === 0) {
+      throw new Error('Recording is empty');
+    }
+    const header = JSON.parse(lines[0]);
+    if (header.version !== 2) {
+      throw new Error(`Unsupported asciicast version ${header.version}`);
+    }
+
+    const events = [];
+    for (const line of lines.slice(1)) {
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        break; // Truncated last line of a recording still being written
+      }
+    }
+    return { id, header, events };
+  }
+
+  /**
+   * Delete a recording (stops its players)
+   */
+  delete(id) {
+    this.players.forEach((player, playerId) => {
+      if (player.recordingId === id) this.control(playerId, 'stop');
+    });
+    fs.unlinkSync(this.resolve(id));
+    return true;
+  }
+
+  /**
+   * Search output lines and typed input across recordings
+   * @param {string} query - Text, or a regular expression with options.regex
+   * @param {Object} [options] - { regex, caseSensitive, streams: ['o', 'i'], type, host, from, to, limit }
+   * @returns {Object} { matches: [{ id, title, host, time, stream, line }], recordings, truncated }
+   */
+  search(query, options = {}) {
+    if (!query) {
+      throw new Error('Search query is required');
+    }
+    const flags = options.caseSensitive ? '' : 'i';
+    let pattern;
+    try {
+      pattern = options.regex
+        ? new RegExp(query, flags)
+        : new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+    } catch (error) {
+      throw new Error(`Invalid search pattern: ${error.message}`);
+    }
+    const streams = options.streams || ['o', 'i'];
+    const limit = options.limit || DEFAULT_SEARCH_LIMIT;
+
+    const matches = [];
+    const recordings = this.list(options);
+    let truncated = false;
+
+    for (const info of recordings) {
+      const { events } = this.load(info.id);
+      for (const match of this.searchEvents(events, pattern, streams)) {
+        if (matches.length >= limit) {
+          truncated = true;
+          break;
+        }
+        matches.push({ id: info.id, title: info.title, host: info.host, ...match });
+      }
+      if (truncated) break;
+    }
+
+    return { matches, recordings: recordings.length, truncated };
+  }
+
+  /**
+   * Start playing a recording
+   * @param {string} id
+   * @param {Object} [options] - { speed, idleTimeLimit (s), startAt (s), paused }
+   * @returns {Object} Player state, with playerId
+   */
+  play(id, options = {}) {
+    const recording = this.load(id);
+    const playerId = `play-${this.playerIdCounter++}`;
+    const player = new RecordingPlayer(recording, options);
+
+    player.on('frame', frame => this.emit('playbackFrame', { playerId, ...frame }));
+    player.on('reset', reset => this.emit('playbackReset', { playerId, ...reset }));
+    player.on('state', state => {
+      this.emit('playbackState', { playerId, ...state });
+      if (state.status === 'stopped') this.players.delete(playerId);
+    });
+    this.players.set(playerId, player);
+
+    if (options.startAt) player.seek(options.startAt);
+    if (!options.paused) player.play();
+    return { playerId, ...player.state };
+  }
+
+  /**
+   * Control a player
+   * @param {string} playerId
+   * @param {string} action - play | pause | seek | speed | stop
+   * @param {number} [value] - seconds for seek, multiplier for speed
+   * @returns {Object} Player state
+   */
+  control(playerId, action, value) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      throw new Error(`Player ${playerId} not found`);
+    }
+
+    switch (action) {
+      case 'play': player.play(); break;
+      case 'pause': player.pause(); break;
+      case 'seek': player.seek(value); break;
+      case 'speed': player.setSpeed(value); break;
+      case 'stop': player.stop(); break;
+      default: throw new Error(`Unknown playback action: ${action}`);
+    }
+    return { playerId, ...player.state };
+  }
+
+  stopAll() {
+    for (const player of this.players.values()) player.stop();
+    this.players.clear();
+  }
+
+  /**
+   * Helper: Path of a recording id (a bare file name in one of the directories)
+   */
+  resolve(id) {
+    if (!id || path.basename(id) !== id || !/\.(cast|json)$/.test(id)) {
+      throw new Error('Invalid recording id');
+    }
+    for (const directory of this.directories) {
+      const filePath = path.join(directory, id);
+      if (fs.existsSync(filePath)) return filePath;
+    }
+    throw new Error(`Recording ${id} not found`);
+  }
+
+  /**
+   * Helper: Listing entry for a loaded recording
+   */
+  describe(recording) {
+    const { header, events } = recording;
+    const meta = header.ntk || {};
+    return {
+      id: recording.id,
+      title: header.title || recording.id,
+      type: meta.type || null,
+      host: meta.host || null,
+      port: meta.port || null,
+      username: meta.username || null,
+      sessionId: meta.sessionId || null,
+      startTime: (header.timestamp || 0) * 1000,
+      duration: events.length > 0 ? events[events.length - 1][0] : 0,
+      width: header.width,
+      height: header.height,
+      events: events.length,
+      size: fs.statSync(this.resolve(recording.id)).size,
+      format: recording.id.endsWith('.json') ? 'legacy' : 'asciicast'
+    };
+  }
+
+  matchesFilter(info, filter) {
+    if (filter.type && info.type !== filter.type) return false;
+    if (filter.host && !String(info.host || '').toLowerCase().includes(String(filter.host).toLowerCase())) return false;
+    if (filter.from && info.startTime + info.duration * 1000 < filter.from) return false;
+    if (filter.to && info.startTime > filter.to) return false;
+    return true;
+  }
+
+  /**
+   * Helper: Matching lines of the output and input streams
+   */
+  searchEvents(events, pattern, streams) {
+    const matches = [];
+    const pending = { o: { text: '', time: 0 }, i: { text: '', time: 0 } };
+
+    // A line's time is that of the event it started in
+    const flush = (stream, complete, time) => {
+      const buffer = pending[stream];
+      const lines = buffer.text.split(/\r\n|\r|\n/);
+      buffer.text = complete ? '' : lines.pop();
+      lines.forEach((line, index) => {
+        if (pattern.test(line)) {
+          matches.push({ time: index === 0 ? buffer.time : time, stream, line: line.trim() });
+        }
+      });
+      buffer.time = time;
+    };
+
+    for (const [time, code, data] of events) {
+      if (!streams.includes(code)) continue;
+      const buffer = pending[code];
+      if (!buffer.text) buffer.time = time;
+      buffer.text += code === 'o' ? data.replace(ANSI_PATTERN, '') : data;
+      if (/[\r\n]/.test(buffer.text)) flush(code, false, time);
+    }
+    streams.forEach(stream => pending[stream] && flush(stream, true, pending[stream].time));
+
+    return matches.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Helper: asciicast view of a legacy JSON recording
+   */
+  convertLegacy(legacy) {
+    const start = legacy.startTime || 0;
+    return {
+      header: {
+        version: 2,
+        width: 80,
+        height: 24,
+        timestamp: Math.floor(start / 1000),
+        title: `${legacy.type} ${legacy.host}${legacy.port ? `:${legacy.port}` : ''}`,
+        ntk: { sessionId: legacy.sessionId, type: legacy.type, host: legacy.host, port: legacy.port }
+      },
+      events: (legacy.events || [])
+        .filter(event => LEGACY_EVENT_CODES[event.type])
+        .map(event => [Math.max(0, (event.timestamp - start) / 1000), LEGACY_EVENT_CODES[event.type], String(event.data)])
+    };
+  }
+}
+
+class RecordingPlayer extends EventEmitter {
+  /**
+   * @param {Object} recording - { id, header, events }
+   * @param {Object} [options] - { speed, idleTimeLimit }
+   */
+  constructor(recording, options = {}) {
+    super();
+    this.recordingId = recording.id;
+    this.header = recording.header;
+    this.speed = this.checkSpeed(options.speed || 1);
+
+    // Long pauses shortened to idleTimeLimit seconds, like asciinema -i
+    const idleTimeLimit = options.idleTimeLimit || this.header.idle_time_limit || null;
+    let previous = 0;
+    let shift = 0;
+    this.events = recording.events.map(([time, code, data]) => {
+      const gap = time - previous;
+      if (idleTimeLimit && gap > idleTimeLimit) shift += gap - idleTimeLimit;
+      previous = time;
+      return { time: time - shift, code, data };
+    });
+    this.duration = this.events.length > 0 ? this.events[this.events.length - 1].time : 0;
+
+    this.index = 0; // next event
+    this.position = 0; // seconds
+    this.status = 'paused'; // playing | paused | ended | stopped
+    this.timer = null;
+    this.clockStart = null; // wall time when playing started at this.position
+  }
+
+  get state() {
+    return {
+      recordingId: this.recordingId,
+      status: this.status,
+      position: Number(this.currentPosition().toFixed(3)),
+      duration: this.duration,
+      speed: this.speed,
+      width: this.header.width,
+      height: this.header.height
+    };
+  }
+
+  play() {
+    if (this.status === 'stopped' || this.status === 'playing') return;
+    if (this.status === 'ended') this.seek(0);
+    this.status = 'playing';
+    this.clockStart = Date.now();
+    this.emit('state', this.state);
+    this.schedule();
+  }
+
+  pause() {
+    if (this.status !== 'playing') return;
+    this.position = this.currentPosition();
+    this.clearTimer();
+    this.status = 'paused';
+    this.emit('state', this.state);
+  }
+
+  /**
+   * Jump to a position; emits a reset with the output up to that point
+   */
+  seek(seconds) {
+    if (this.status === 'stopped') return;
+    const target = Math.min(Math.max(Number(seconds) || 0, 0), this.duration);
+
+    let output = '';
+    let width = this.header.width;
+    let height = this.header.height;
+    let index = 0;
+    for (; index < this.events.length && this.events[index].time <= target; index++) {
+      const event = this.events[index];
+      if (event.code === 'o') output += event.data;
+      if (event.code === 'r') [width, height] = event.data.split('x').map(Number);
+    }
+
+    this.index = index;
+    this.position = target;
+    this.emit('reset', { time: target, width, height, output });
+
+    if (this.status === 'ended') this.status = 'paused';
+    if (this.status === 'playing') {
+      this.clockStart = Date.now();
+      this.clearTimer();
+      this.schedule();
+    }
+    this.emit('state', this.state);
+  }
+
+  setSpeed(speed) {
+    const checked = this.checkSpeed(speed);
+    if (this.status === 'playing') {
+      this.position = this.currentPosition();
+      this.clockStart = Date.now();
+      this.speed = checked;
+      this.clearTimer();
+      this.schedule();
+    } else {
+      this.speed = checked;
+    }
+    this.emit('state', this.state);
+  }
+
+  stop() {
+    if (this.status === 'stopped') return;
+    this.position = this.currentPosition();
+    this.clearTimer();
+    this.status = 'stopped';
+    this.emit('state', this.state);
+  }
+
+  /**
+   * Helper: Emit the events that are due, then wait for the next one
+   */
+  schedule() {
+    const now = this.currentPosition();
+    while (this.index < this.events.length && this.events[this.index].time <= now) {
+      const event = this.events[this.index++];
+      this.emit('frame', { time: event.time, type: event.code, data: event.data });
+    }
+
+    if (this.index >= this.events.length) {
+      this.position = this.duration;
+      this.timer = null;
+      this.status = 'ended';
+      this.emit('state', this.state);
+      return;
+    }
+
+    const delay = ((this.events[this.index].time - now) / this.speed) * 1000;
+    this.timer = setTimeout(() => this.schedule(), Math.max(delay, 0));
+  }
+
+  currentPosition() {
+    if (this.status !== 'playing') return this.position;
+    return Math.min(this.position + ((Date.now() - this.clockStart) / 1000) * this.speed, this.duration);
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  checkSpeed(speed) {
+    const value = Number(speed);
+    if (!(value >= PLAYBACK_SPEEDS.min && value <= PLAYBACK_SPEEDS.max)) {
+      throw new Error(`Playback speed must be between ${PLAYBACK_SPEEDS.min} and ${PLAYBACK_SPEEDS.max}`);
+    }
+    return value;
+  }
+}
+
+module.exports = { RecordingLibrary, RecordingPlayer };
@@ -0,0 +1,190 @@
+/**
+ * Ninja Toolkit - Session Recorder
+ * asciicast v2 recordings for terminal sessions (SSH, Telnet, serial, PowerShell)
+ *
+ * Features:
+ * - Streams asciicast v2 (header line, then [time, code, data] events) to disk
+ *   as the session runs; playable with asciinema and the RecordingLibrary player
+ * - Output ("o"), input ("i"), resize ("r", "COLSxROWS") and marker ("m") events
+ * - Typed passwords redacted: keystrokes after a password/passphrase prompt are
+ *   recorded as a single mask when Enter is pressed
+ * - Known secrets (session passwords, macro secrets) masked in input and output
+ * - Session metadata (type, host, port, user) in the header under "ntk"
+ *
+ * Usage:
+ * const { AsciicastRecorder } = require('./session-recorder.cjs');
+ * const recorder = new AsciicastRecorder({ filePath, width: 80, height: 24, metadata });
+ * recorder.output(data); recorder.input(keys); recorder.stop();
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ASCIICAST_VERSION = 2;
+const MASK = '********';
+
+// Last line of output asking for a secret (devices that echo '*' still match)
+const PASSWORD_PROMPT = /(?:password|passphrase|passcode|\bpin|secret)[^\n]{0,40}[:?]\s*\**\s*$/i;
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -\/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+class AsciicastRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - .cast file to write
+   * @param {number} [options.width] - Terminal columns (default 80)
+   * @param {number} [options.height] - Terminal rows (default 24)
+   * @param {string} [options.title]
+   * @param {Object} [options.metadata] - { sessionId, type, host, port, username, ... }
+   * @param {string[]} [options.secrets] - Literal values masked wherever they appear
+   */
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('Recorder requires a file path');
+    }
+    this.filePath = options.filePath;
+    this.width = options.width || 80;
+    this.height = options.height || 24;
+    this.secrets = [];
+    (options.secrets || []).forEach(secret => this.addSecret(secret));
+
+    this.startTime = Date.now();
+    this.events = 0;
+    this.bytes = 0;
+    this.stopped = false;
+
+    // Password prompt tracking
+    this.outputTail = '';
+    this.promptActive = false;
+    this.secretInput = false;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'w', mode: 0o600 });
+    this.stream.on('error', (error) => {
+      console.warn(`Recording ${this.filePath} failed:`, error.message);
+      this.stopped = true;
+    });
+
+    const header = {
+      version: ASCIICAST_VERSION,
+      width: this.width,
+      height: this.height,
+      timestamp: Math.floor(this.startTime / 1000),
+      title: options.title || undefined,
+      env: { TERM: options.term || 'xterm-256color' },
+      ntk: options.metadata || {}
+    };
+    this.stream.write(JSON.stringify(header) + '\n');
+  }
+
+  /**
+   * Mask a value (e.g. a password sent by an auto-login) from here on
+   */
+  addSecret(secret) {
+    if (typeof secret === 'string' && secret.length >= 4 && !this.secrets.includes(secret)) {
+      this.secrets.push(secret);
+    }
+  }
+
+  /**
+   * Terminal output
+   */
+  output(data) {
+    const text = String(data);
+    this.write('o', this.mask(text));
+
+    const plain = (this.outputTail + text).replace(ANSI_PATTERN, '');
+    this.outputTail = plain.slice(-200);
+    const lastLine = this.outputTail.split(/\r\n|\r|\n/).pop();
+    this.promptActive = PASSWORD_PROMPT.test(lastLine);
+  }
+
+  /**
+   * Input sent to the session
+   * @param {string} data
+   * @param {Object} [options] - { secret: true } records a mask instead of the data
+   */
+  input(data, options = {}) {
+    let text = String(data);
+    if (options.secret) {
+      this.write('i', MASK + (text.match(/[\r\n]+$/)?.[0] || ''));
+      return;
+    }
+
+    // Keystrokes answering a password prompt: swallowed until Enter (or Ctrl+C)
+    while (text.length > 0 && (this.secretInput || this.promptActive)) {
+      this.secretInput = true;
+      const end = text.search(/[\r\n\x03]/);
+      if (end === -1) return;
+
+      const terminator = text[end];
+      this.write('i', terminator === '\x03' ? terminator : MASK + terminator);
+      this.secretInput = false;
+      this.promptActive = false;
+      text = text.slice(end + 1);
+    }
+
+    if (text.length > 0) {
+      this.write('i', this.mask(text));
+    }
+  }
+
+  /**
+   * Terminal resized
+   */
+  resize(cols, rows) {
+    this.width = cols;
+    this.height = rows;
+    this.write('r', `${cols}x${rows}`);
+  }
+
+  /**
+   * Named marker (shown as a chapter by asciinema players)
+   */
+  marker(label) {
+    this.write('m', String(label || ''));
+  }
+
+  /**
+   * Finish the recording
+   * @returns {Object} Summary
+   */
+  stop() {
+    if (!this.stopped) {
+      this.stopped = true;
+      this.stream.end();
+    }
+    return this.summary;
+  }
+
+  get summary() {
+    return {
+      path: this.filePath,
+      startTime: this.startTime,
+      duration: (Date.now() - this.startTime) / 1000,
+      events: this.events,
+      bytes: this.bytes,
+      active: !this.stopped
+    };
+  }
+
+  /**
+   * Helper: Replace known secrets
+   */
+  mask(text) {
+    return this.secrets.reduce((masked, secret) => masked.split(secret).join(MASK), text);
+  }
+
+  /**
+   * Helper: Append one event line
+   */
+  write(code, data) {
+    if (this.stopped || data === '') return;
+    const time = Number(((Date.now() - this.startTime) / 1000).toFixed(3));
+    const line = JSON.stringify([time, code, data]) + '\n';
+    this.stream.write(line);
+    this.events++;
+    this.bytes += line.length;
+  }
+}
+
+module.exports = { AsciicastRecorder, ASCIICAST_VERSION, MASK, PASSWORD_PROMPT };
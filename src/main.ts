@@ -6,7 +6,7 @@
  * Native modules are loaded with graceful fallbacks for development flexibility.
  */
 
-import { app, BrowserWindow, ipcMain, Menu, globalShortcut, dialog, Tray, nativeImage, protocol, net } from 'electron';
+import { app, BrowserWindow, ipcMain, Menu, globalShortcut, dialog, Tray, nativeImage, protocol, net, safeStorage } from 'electron';
 import path from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
 import fs from 'fs';
@@ -89,11 +89,35 @@ try {
   console.warn('[Main] Database module failed to load:', error.message);
 }
 
+// Load Credential Store (secrets for remote sessions)
+let CredentialStore: any = null;
+try {
+  CredentialStore = require('./backend/credential-store.cjs').CredentialStore;
+} catch (error: any) {
+  console.warn('[Main] Credential store failed to load:', error.message);
+}
+
+// Load Recording Library (asciicast playback and search for terminal sessions)
+let RecordingLibrary: any = null;
+try {
+  RecordingLibrary = require('./backend/recording-library.cjs').RecordingLibrary;
+} catch (error: any) {
+  console.warn('[Main] Recording library failed to load:', error.message);
+}
+
 // Load NinjaShark Capture Engine
 let CaptureEngine: any = null;
+let AnomalyDetector: any = null;
+let AlertPublisher: any = null;
+let CaptureScheduler: any = null;
+let ExportHandler: any = null;
 try {
   const captureModule = require('./modules/ninjashark/backend/capture-engine.cjs');
   CaptureEngine = captureModule.CaptureEngine;
+  AnomalyDetector = require('./modules/ninjashark/backend/anomaly-detector.cjs').AnomalyDetector;
+  AlertPublisher = require('./modules/ninjashark/backend/alert-publisher.cjs').AlertPublisher;
+  CaptureScheduler = require('./modules/ninjashark/backend/capture-scheduler.cjs').CaptureScheduler;
+  ExportHandler = require('./modules/ninjashark/backend/export-handler.cjs').ExportHandler;
   moduleStatus.ninjashark.loaded = true;
   console.log('[Main] NinjaShark capture engine loaded');
 } catch (error: any) {
@@ -101,11 +125,21 @@ try {
   console.warn('[Main] NinjaShark capture engine failed to load:', error.message);
 }
 
+// NinjaShark alert persistence needs better-sqlite3; detection still works without it
+let AlertStore: any = null;
+try {
+  AlertStore = require('./modules/ninjashark/backend/alert-store.cjs').AlertStore;
+} catch (error: any) {
+  console.warn('[Main] NinjaShark alert store failed to load:', error.message);
+}
+
 // Load PowerShell Engine
 let PowerShellEngine: any = null;
+let RemoteProfileStore: any = null;
 try {
   const psModule = require('./modules/powershell/backend/powershell-engine.cjs');
   PowerShellEngine = psModule.PowerShellEngine;
+  RemoteProfileStore = require('./modules/powershell/backend/remote-profiles.cjs').RemoteProfileStore;
   moduleStatus.powershell.loaded = true;
   console.log('[Main] PowerShell engine loaded');
 } catch (error: any) {
@@ -115,9 +149,11 @@ try {
 
 // Load Remote Access Engine (PuTTY)
 let RemoteAccessEngine: any = null;
+let BatchRunner: any = null;
 try {
   const remoteModule = require('./modules/putty/backend/remote-access-engine.cjs');
   RemoteAccessEngine = remoteModule.RemoteAccessEngine;
+  BatchRunner = require('./modules/putty/backend/batch-runner.cjs').BatchRunner;
   moduleStatus.putty.loaded = true;
   console.log('[Main] Remote Access engine loaded');
 } catch (error: any) {
@@ -125,6 +161,17 @@ try {
   console.warn('[Main] Remote Access engine failed to load:', error.message);
 }
 
+// Serial consoles need the native serialport module; SSH/Telnet work without it
+let SerialEngine: any = null;
+let serialLoadError: string | null = null;
+try {
+  SerialEngine = require('./modules/putty/backend/serial-engine.cjs').SerialEngine;
+  console.log('[Main] Serial engine loaded');
+} catch (error: any) {
+  serialLoadError = error.message;
+  console.warn('[Main] Serial engine failed to load:', error.message);
+}
+
 // Load Network Mapper (Auvik)
 let NetworkMapper: any = null;
 try {
@@ -137,6 +184,38 @@ try {
   console.warn('[Main] Network Mapper failed to load:', error.message);
 }
 
+// Load SNMP engine, credential profiles, poller and metric store (Auvik)
+let SNMPEngine: any = null;
+let SNMPCredentialStore: any = null;
+let SNMPPoller: any = null;
+let MetricStore: any = null;
+try {
+  SNMPEngine = require('./modules/auvik/backend/snmp-engine.cjs').SNMPEngine;
+  SNMPCredentialStore = require('./modules/auvik/backend/snmp-credentials.cjs').SNMPCredentialStore;
+  SNMPPoller = require('./modules/auvik/backend/snmp-poller.cjs').SNMPPoller;
+  MetricStore = require('./modules/auvik/backend/metric-store.cjs').MetricStore;
+  console.log('[Main] SNMP poller loaded');
+} catch (error: any) {
+  console.warn('[Main] SNMP poller failed to load:', error.message);
+}
+
+// Load topology builder and trap/syslog receiver (Auvik)
+let TopologyBuilder: any = null;
+let EventReceiver: any = null;
+let NetworkEventStore: any = null;
+try {
+  EventReceiver = require('./modules/auvik/backend/event-receiver.cjs').EventReceiver;
+  TopologyBuilder = require('./modules/auvik/backend/topology-builder.cjs').TopologyBuilder;
+  console.log('[Main] Event receiver loaded');
+} catch (error: any) {
+  console.warn('[Main] Event receiver failed to load:', error.message);
+}
+try {
+  NetworkEventStore = require('./modules/auvik/backend/event-store.cjs').NetworkEventStore;
+} catch (error: any) {
+  console.warn('[Main] Network event store failed to load, events kept in memory:', error.message);
+}
+
 // Load Security Scanner
 let SecurityScanner: any = null;
 try {
@@ -174,9 +253,13 @@ try {
 
 // Load Ticketing Client
 let TicketingClient: any = null;
+let TicketManager: any = null;
+let AttachmentHandler: any = null;
 try {
   const ticketingModule = require('./modules/ticketing/backend/connectwise-client.cjs');
   TicketingClient = ticketingModule.ConnectWiseClient || ticketingModule;
+  TicketManager = require('./modules/ticketing/backend/ticket-manager.cjs');
+  AttachmentHandler = require('./modules/ticketing/backend/attachment-handler.cjs');
   moduleStatus.ticketing.loaded = true;
   console.log('[Main] Ticketing client loaded');
 } catch (error: any) {
@@ -213,9 +296,26 @@ try {
 // ============================================================================
 
 let captureEngine: any = null;
+let anomalyDetector: any = null;
+let alertStore: any = null;
+let alertPublisher: any = null;
+let captureScheduler: any = null;
+let exportHandler: any = null;
+let credentialStore: any = null;
+let recordingLibrary: any = null;
+let powershellProfiles: any = null;
 let powershellEngine: any = null;
 let remoteAccessEngine: any = null;
+let serialEngine: any = null;
+let batchRunner: any = null;
 let networkMapper: any = null;
+let snmpEngine: any = null;
+let snmpCredentials: any = null;
+let metricStore: any = null;
+let snmpPoller: any = null;
+let topologyBuilder: any = null;
+let eventStore: any = null;
+let eventReceiver: any = null;
 let securityScanner: any = null;
 let providerRouter: any = null;
 let ticketingClient: any = null;
@@ -223,6 +323,48 @@ let academyQuestionBank: any = null;
 let academyDatabase: any = null;
 let academyGamification: any = null;
 
+// Packet callback shared by manual and scheduled captures. Packets stay in the
+// session buffer; the renderer gets a throttled summary and pages through
+// ninjashark:queryPackets.
+const PACKET_NOTIFY_INTERVAL = 250;
+const pendingPacketSummaries = new Map<string, any>();
+let packetNotifyTimer: NodeJS.Timeout | null = null;
+
+function handleCapturedPacket(packet: any, sessionId: string): void {
+  anomalyDetector?.analyze(packet, sessionId);
+
+  let summary = pendingPacketSummaries.get(sessionId);
+  if (!summary) {
+    summary = { sessionId, newPackets: 0, newBytes: 0, firstId: packet.id, lastId: packet.id, protocols: {} };
+    pendingPacketSummaries.set(sessionId, summary);
+  }
+  summary.newPackets++;
+  summary.newBytes += packet.length || 0;
+  summary.lastId = packet.id;
+  summary.lastTimestamp = packet.timestamp;
+  summary.protocols[packet.protocol] = (summary.protocols[packet.protocol] || 0) + 1;
+
+  if (!packetNotifyTimer) {
+    packetNotifyTimer = setTimeout(flushPacketSummaries, PACKET_NOTIFY_INTERVAL);
+  }
+}
+
+function flushPacketSummaries(): void {
+  if (packetNotifyTimer) {
+    clearTimeout(packetNotifyTimer);
+    packetNotifyTimer = null;
+  }
+  for (const summary of pendingPacketSummaries.values()) {
+    const session = captureEngine?.sessions.get(summary.sessionId);
+    mainWindow?.webContents.send('ninjashark:packets', {
+      ...summary,
+      packetCount: session?.packetCount ?? summary.lastId,
+      bytesCount: session?.bytesCount ?? 0,
+    });
+  }
+  pendingPacketSummaries.clear();
+}
+
 // ============================================================================
 // SYSTEM TRAY
 // ============================================================================
@@ -485,209 +627,1149 @@ function registerIpcHandlers(): void {
     };
   });
 
-  ipcMain.handle('system:getPlatform', async () => {
-    return {
-      platform: process.platform,
-      arch: process.arch,
-      cwd: process.cwd(),
-    };
+  ipcMain.handle('system:getPlatform', async () => {
+    return {
+      platform: process.platform,
+      arch: process.arch,
+      cwd: process.cwd(),
+    };
+  });
+
+  // -------------------------------------------------------------------------
+  // KageChat / KageForge Handlers
+  // -------------------------------------------------------------------------
+
+  ipcMain.handle('kage:sendMessage', async (_event, message: string, context?: any) => {
+    if (!moduleStatus.kageforge.loaded || !providerRouter) {
+      return { error: 'KageForge not available', message: moduleStatus.kageforge.error };
+    }
+    try {
+      const response = await providerRouter.route({ message, context });
+      return response;
+    } catch (error: any) {
+      return { error: 'AI processing failed', message: error.message };
+    }
+  });
+
+  ipcMain.handle('kage:setContext', async (_event, context: any) => {
+    console.log('[KageChat] Context updated:', context?.module);
+    return { success: true };
+  });
+
+  ipcMain.handle('kage:getProviders', async () => {
+    return ['anthropic', 'openai', 'vertex', 'grok', 'copilot'];
+  });
+
+  // -------------------------------------------------------------------------
+  // NinjaShark Handlers
+  // -------------------------------------------------------------------------
+
+  ipcMain.handle('ninjashark:startCapture', async (_event, options) => {
+    if (!moduleStatus.ninjashark.loaded || !captureEngine) {
+      return { success: false, error: moduleStatus.ninjashark.error || 'NinjaShark not available' };
+    }
+    try {
+      const session = await captureEngine.startCapture(
+        options.sessionId || `session-${Date.now()}`,
+        options.interface,
+        options.filter,
+        handleCapturedPacket,
+        { ...options.buffer, ringFile: options.ringFile, autoStop: options.autoStop }
+      );
+      return { success: true, session };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:stopCapture', async (_event, sessionId) => {
+    if (!captureEngine) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      await captureEngine.stopCapture(sessionId);
+      return { success: true };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:getSessionStats', async (_event, sessionId?: string) => {
+    if (!captureEngine) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    if (!sessionId) {
+      return { success: true, sessions: captureEngine.getAllSessionStats() };
+    }
+    const stats = captureEngine.getSessionStats(sessionId);
+    return stats ? { success: true, stats } : { success: false, error: `Session ${sessionId} not found` };
+  });
+
+  ipcMain.handle('ninjashark:scheduleCapture', async (_event, schedule: any) => {
+    if (!captureScheduler) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      return { success: true, schedule: captureScheduler.addSchedule(schedule) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:getSchedules', async () => {
+    if (!captureScheduler) {
+      return { success: false, error: 'NinjaShark not available', schedules: [] };
+    }
+    return { success: true, schedules: captureScheduler.getSchedules() };
+  });
+
+  ipcMain.handle('ninjashark:cancelSchedule', async (_event, scheduleId: string) => {
+    if (!captureScheduler) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    return captureScheduler.removeSchedule(scheduleId)
+      ? { success: true }
+      : { success: false, error: `Schedule ${scheduleId} not found` };
+  });
+
+  ipcMain.handle('ninjashark:openFile', async (_event, filePath?: string, bufferOptions?: any) => {
+    if (!moduleStatus.ninjashark.loaded || !captureEngine) {
+      return { success: false, error: moduleStatus.ninjashark.error || 'NinjaShark not available' };
+    }
+    try {
+      if (!filePath) {
+        const { filePaths, canceled } = await dialog.showOpenDialog({
+          properties: ['openFile'],
+          filters: [
+            { name: 'Capture Files', extensions: ['pcapng', 'pcap', 'cap'] },
+            { name: 'All Files', extensions: ['*'] },
+          ],
+        });
+        if (canceled || filePaths.length === 0) {
+          return { success: false, error: 'Open cancelled' };
+        }
+        filePath = filePaths[0];
+      }
+      const { session } = await captureEngine.openCaptureFile(filePath, (packet: any, sessionId: string) => {
+        anomalyDetector?.analyze(packet, sessionId);
+      }, bufferOptions);
+      const page = await captureEngine.queryPackets(session.id, { limit: 500 });
+      return { success: true, session, packets: page.packets, total: page.total };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:getPackets', async (_event, filter?: string, sessionId?: string) => {
+    if (!captureEngine) {
+      return { success: false, error: 'NinjaShark not available', packets: [] };
+    }
+    const validation = captureEngine.validateDisplayFilter(filter);
+    if (!validation.valid) {
+      return { success: false, packets: [], ...validation };
+    }
+    try {
+      return { success: true, packets: await captureEngine.getPackets(sessionId, filter) };
+    } catch (error: any) {
+      return { success: false, error: error.message, packets: [] };
+    }
+  });
+
+  ipcMain.handle('ninjashark:queryPackets', async (_event, sessionId?: string, query: any = {}) => {
+    if (!captureEngine) {
+      return { success: false, error: 'NinjaShark not available', packets: [], total: 0 };
+    }
+    const validation = captureEngine.validateDisplayFilter(query.filter);
+    if (!validation.valid) {
+      return { success: false, packets: [], total: 0, ...validation };
+    }
+    try {
+      return { success: true, ...(await captureEngine.queryPackets(sessionId, query)) };
+    } catch (error: any) {
+      return { success: false, error: error.message, packets: [], total: 0 };
+    }
+  });
+
+  ipcMain.handle('ninjashark:getConversations', async (_event, sessionId?: string, options: any = {}) => {
+    if (!captureEngine) {
+      return { success: false, error: 'NinjaShark not available', conversations: [] };
+    }
+    try {
+      return { success: true, conversations: captureEngine.getConversations(sessionId, options) };
+    } catch (error: any) {
+      return { success: false, error: error.message, conversations: [] };
+    }
+  });
+
+  ipcMain.handle('ninjashark:getStatistics', async (_event, sessionId?: string, options: any = {}) => {
+    if (!captureEngine) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      return { success: true, statistics: captureEngine.getStatistics(sessionId, options) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:followStream', async (_event, sessionId: string | undefined, streamIndex: number, encoding = 'ascii') => {
+    if (!captureEngine) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      return { success: true, ...captureEngine.followStream(sessionId, streamIndex, encoding) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:exportStream', async (_event, sessionId: string | undefined, streamIndex: number, format: 'raw' | 'txt' | 'pcapng' = 'txt', direction?: 'client' | 'server') => {
+    if (!captureEngine || !exportHandler) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      const { filePath } = await dialog.showSaveDialog({
+        defaultPath: `tcp-stream-${streamIndex}.${format === 'raw' ? 'bin' : format}`,
+        filters: [{ name: format.toUpperCase(), extensions: [format === 'raw' ? 'bin' : format] }],
+      });
+      if (!filePath) {
+        return { success: false, error: 'Export cancelled' };
+      }
+      const result = format === 'pcapng'
+        ? await exportHandler.export(await captureEngine.getStreamPackets(sessionId, streamIndex), 'pcapng', filePath)
+        : await exportHandler.exportStream(captureEngine.followStream(sessionId, streamIndex), format, filePath, direction);
+      return { success: true, path: filePath, bytes: result.bytes };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:closeSession', async (_event, sessionId: string) => {
+    if (!captureEngine) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      captureEngine.closeSession(sessionId);
+      return { success: true };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:getAlerts', async (_event, options?: any) => {
+    if (!anomalyDetector) {
+      return { success: false, error: 'NinjaShark not available', alerts: [] };
+    }
+    try {
+      return { success: true, alerts: anomalyDetector.getAlerts(options) };
+    } catch (error: any) {
+      return { success: false, error: error.message, alerts: [] };
+    }
+  });
+
+  ipcMain.handle('ninjashark:getAlert', async (_event, alertId: string) => {
+    if (!anomalyDetector) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      const alert = anomalyDetector.getAlert(alertId);
+      return alert ? { success: true, alert } : { success: false, error: 'Alert not found' };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:acknowledgeAlert', async (_event, alertId: string, entry?: { user?: string; note?: string }, acknowledged = true) => {
+    if (!anomalyDetector) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      const found = acknowledged
+        ? anomalyDetector.acknowledgeAlert(alertId, entry)
+        : anomalyDetector.unacknowledgeAlert(alertId, entry);
+      return found ? { success: true } : { success: false, error: 'Alert not found' };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:getRules', async () => {
+    if (!anomalyDetector) {
+      return { success: false, error: 'NinjaShark not available', rules: [] };
+    }
+    return {
+      success: true,
+      siteId: anomalyDetector.siteId,
+      rules: anomalyDetector.getRules(),
+      errors: anomalyDetector.ruleErrors,
+    };
+  });
+
+  ipcMain.handle('ninjashark:saveRules', async (_event, scope: string, rules: any[]) => {
+    if (!anomalyDetector) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      const result = anomalyDetector.saveRules(scope, rules);
+      return { success: true, ...result };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:validateRules', async (_event, rules: any[]) => {
+    if (!anomalyDetector) {
+      return { valid: false, errors: ['NinjaShark not available'] };
+    }
+    return anomalyDetector.validateRules(rules);
+  });
+
+  ipcMain.handle('ninjashark:getTicketPolicy', async () => {
+    if (!alertPublisher) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    return { success: true, policy: alertPublisher.getPolicy() };
+  });
+
+  ipcMain.handle('ninjashark:setTicketPolicy', async (_event, policy: any) => {
+    if (!alertPublisher) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      return { success: true, policy: alertPublisher.setPolicy(policy) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:setSite', async (_event, siteId: string | null) => {
+    if (!anomalyDetector) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      const result = anomalyDetector.setSite(siteId);
+      return { success: true, siteId: anomalyDetector.siteId, ...result };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ninjashark:validateFilter', async (_event, expression: string, kind: 'capture' | 'display' = 'capture') => {
+    if (!captureEngine) {
+      return { valid: false, error: 'NinjaShark not available' };
+    }
+    return kind === 'display'
+      ? captureEngine.validateDisplayFilter(expression)
+      : captureEngine.validateFilter(expression);
+  });
+
+  ipcMain.handle('ninjashark:export', async (_event, format, packets, options: { sessionId?: string; filter?: string } = {}) => {
+    if (!captureEngine || !exportHandler) {
+      return { success: false, error: 'NinjaShark not available' };
+    }
+    try {
+      // The PDF report includes the session's statistics when there is one
+      let statistics = null;
+      if (format === 'pdf' && captureEngine.statistics.size > 0) {
+        statistics = captureEngine.getStatistics(options.sessionId);
+      }
+
+      // Buffered sessions are read from the ring buffer page by page instead of
+      // sending every packet over IPC; renderer packets are the fallback
+      let source = packets || [];
+      if (options.sessionId && captureEngine.packetBuffers.has(options.sessionId)) {
+        source = await captureEngine.packetSource(options.sessionId, { filter: options.filter });
+      }
+
+      const { filePath } = await dialog.showSaveDialog({
+        defaultPath: `capture-${Date.now()}.${format}`,
+        filters: [{ name: format.toUpperCase(), extensions: [format] }],
+      });
+      if (filePath) {
+        const result = await exportHandler.export(source, format, filePath, { statistics });
+        return { success: true, path: filePath, packets: result.packets, bytes: result.bytes };
+      }
+      return { success: false, error: 'Export cancelled' };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // -------------------------------------------------------------------------
+  // PowerShell Handlers
+  // -------------------------------------------------------------------------
+
+  ipcMain.handle('powershell:execute', async (_event, command, sessionId?: string) => {
+    if (!moduleStatus.powershell.loaded || !powershellEngine) {
+      return { success: false, error: moduleStatus.powershell.error || 'PowerShell not available' };
+    }
+    try {
+      // Get or create default (local) session
+      if (!sessionId) {
+        const local = powershellEngine.listSessions({ target: null });
+        sessionId = local.length > 0 ? local[0].id : (await powershellEngine.createSession()).sessionId;
+      }
+      const result = await powershellEngine.executeCommand(sessionId, command);
+      return { success: true, sessionId, ...result };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('powershell:executeStructured', async (_event, pipeline: string, options: any = {}) => {
+    if (!moduleStatus.powershell.loaded || !powershellEngine) {
+      return { success: false, error: moduleStatus.powershell.error || 'PowerShell not available' };
+    }
+    try {
+      let sessionId = options.sessionId;
+      if (!sessionId) {
+        const sessions = powershellEngine.listSessions({ target: null });
+        sessionId = sessions.length > 0 ? sessions[0].id : (await powershellEngine.createSession()).sessionId;
+      }
+      const result = await powershellEngine.executeStructured(sessionId, pipeline, options);
+      return { success: true, sessionId, ...result };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('powershell:exportCsv', async (_event, result: any, defaultName = 'powershell-output') => {
+    if (!powershellEngine) {
+      return { success: false, error: 'PowerShell not available' };
+    }
+    try {
+      const { filePath } = await dialog.showSaveDialog({
+        defaultPath: `${defaultName}.csv`,
+        filters: [{ name: 'CSV', extensions: ['csv'] }],
+      });
+      if (!filePath) {
+        return { success: false, error: 'Export cancelled' };
+      }
+      const exported = powershellEngine.exportCsv(result, filePath);
+      return { success: true, path: filePath, rows: exported.rows, bytes: exported.bytes };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('powershell:getHistory', async (_event, limit?: number, target?: string) => {
+    if (!powershellEngine) return [];
+    return powershellEngine.getHistory(limit, target);
+  });
+
+  ipcMain.handle('powershell:listSessions', async (_event, filter: any = {}) => {
+    if (!powershellEngine) return [];
+    return powershellEngine.listSessions(filter);
+  });
+
+  ipcMain.handle('powershell:getProfiles', async () => {
+    if (!powershellProfiles) return [];
+    return powershellProfiles.list();
+  });
+
+  ipcMain.handle('powershell:saveProfile', async (_event, profile: any) => {
+    if (!powershellProfiles) {
+      return { success: false, error: moduleStatus.powershell.error || 'PowerShell not available' };
+    }
+    try {
+      if (profile?.credentialId && !credentialStore?.get(profile.credentialId)) {
+        return { success: false, error: `Credential ${profile.credentialId} not found` };
+      }
+      return { success: true, profile: powershellProfiles.save(profile) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('powershell:deleteProfile', async (_event, id: string) => {
+    if (!powershellProfiles) {
+      return { success: false, error: moduleStatus.powershell.error || 'PowerShell not available' };
+    }
+    return { success: powershellProfiles.delete(id) };
+  });
+
+  ipcMain.handle('powershell:resize', async (_event, sessionId: string, cols: number, rows: number) => {
+    if (!powershellEngine) {
+      return { success: false, error: 'PowerShell not available' };
+    }
+    try {
+      powershellEngine.resizeTerminal(sessionId, cols, rows);
+      return { success: true };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('powershell:createSession', async (_event, options) => {
+    if (!moduleStatus.powershell.loaded || !powershellEngine) {
+      return { success: false, error: moduleStatus.powershell.error || 'PowerShell not available' };
+    }
+    try {
+      const session = await powershellEngine.createSession(options);
+      return { success: true, ...session };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // -------------------------------------------------------------------------
+  // Credential Handlers (secrets never leave the main process)
+  // -------------------------------------------------------------------------
+
+  ipcMain.handle('credentials:list', async () => {
+    if (!credentialStore) {
+      return { success: false, error: 'Credential store not available' };
+    }
+    return { success: true, available: credentialStore.isAvailable(), credentials: credentialStore.list() };
+  });
+
+  ipcMain.handle('credentials:save', async (_event, credential: any) => {
+    if (!credentialStore) {
+      return { success: false, error: 'Credential store not available' };
+    }
+    try {
+      return { success: true, credential: credentialStore.set(credential) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('credentials:delete', async (_event, id: string) => {
+    if (!credentialStore) {
+      return { success: false, error: 'Credential store not available' };
+    }
+    return { success: credentialStore.delete(id) };
+  });
+
+  // -------------------------------------------------------------------------
+  // PuTTY / Remote Access Handlers
+  // -------------------------------------------------------------------------
+
+  ipcMain.handle('putty:connect', async (_event, config) => {
+    if (!moduleStatus.putty.loaded || !remoteAccessEngine) {
+      return { success: false, error: moduleStatus.putty.error || 'Remote Access not available' };
+    }
+    try {
+      return { success: true, ...(await remoteAccessEngine.connect(config)) };
+    } catch (error: any) {
+      // Host key refusals carry a code and the trusted/presented fingerprints
+      return { success: false, error: error.message, code: error.code, hostKey: error.hostKey };
+    }
+  });
+
+  ipcMain.handle('putty:disconnect', async (_event, sessionId) => {
+    if (!remoteAccessEngine) {
+      return { success: false, error: 'Remote Access not available' };
+    }
+    try {
+      await remoteAccessEngine.disconnect(sessionId);
+      return { success: true };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:send', async (_event, sessionId, data) => {
+    if (!remoteAccessEngine) {
+      return { success: false, error: 'Remote Access not available' };
+    }
+    try {
+      remoteAccessEngine.send(sessionId, data);
+      return { success: true };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:resize', async (_event, sessionId: string, cols: number, rows: number) => {
+    if (!remoteAccessEngine) {
+      return { success: false, error: 'Remote Access not available' };
+    }
+    try {
+      remoteAccessEngine.resize(sessionId, cols, rows);
+      return { success: true };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:getSessions', async () => {
+    if (!remoteAccessEngine) return [];
+    return remoteAccessEngine.listSessions();
+  });
+
+  ipcMain.handle('putty:openForward', async (_event, sessionId: string, rule: any) => {
+    if (!remoteAccessEngine) {
+      return { success: false, error: moduleStatus.putty.error || 'Remote Access not available' };
+    }
+    try {
+      return { success: true, forward: await remoteAccessEngine.openForward(sessionId, rule) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:closeForward', async (_event, sessionId: string, forwardId: string) => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    return { success: await remoteAccessEngine.closeForward(sessionId, forwardId) };
+  });
+
+  ipcMain.handle('putty:getForwards', async (_event, sessionId?: string) => {
+    if (!remoteAccessEngine) return [];
+    return remoteAccessEngine.listForwards(sessionId || null);
+  });
+
+  ipcMain.handle('putty:sftpList', async (_event, sessionId: string, remotePath: string = '.') => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    try {
+      return { success: true, entries: await remoteAccessEngine.sftpList(sessionId, remotePath) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:sftpStat', async (_event, sessionId: string, remotePath: string) => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    try {
+      return { success: true, entry: await remoteAccessEngine.sftpStat(sessionId, remotePath) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:sftpRename', async (_event, sessionId: string, fromPath: string, toPath: string) => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    try {
+      return { success: true, ...(await remoteAccessEngine.sftpRename(sessionId, fromPath, toPath)) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:sftpDelete', async (_event, sessionId: string, remotePath: string, options: any = {}) => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    try {
+      return { success: true, ...(await remoteAccessEngine.sftpDelete(sessionId, remotePath, options)) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:sftpMkdir', async (_event, sessionId: string, remotePath: string, options: any = {}) => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    try {
+      return { success: true, ...(await remoteAccessEngine.sftpMkdir(sessionId, remotePath, options)) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:sftpChmod', async (_event, sessionId: string, remotePath: string, mode: number | string) => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    try {
+      return { success: true, entry: await remoteAccessEngine.sftpChmod(sessionId, remotePath, mode) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:localList', async (_event, localPath?: string) => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    try {
+      return { success: true, entries: remoteAccessEngine.listLocal(localPath) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:queueTransfer', async (_event, sessionId: string, request: any) => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    try {
+      return { success: true, transfer: remoteAccessEngine.queueTransfer(sessionId, request) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:controlTransfer', async (_event, transferId: string, action: string) => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    try {
+      return { success: true, transfer: remoteAccessEngine.controlTransfer(transferId, action) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:getTransfers', async (_event, sessionId?: string) => {
+    if (!remoteAccessEngine) return [];
+    return remoteAccessEngine.listTransfers(sessionId || null);
+  });
+
+  ipcMain.handle('putty:getKnownHosts', async (_event, host?: string, port: number = 22) => {
+    if (!remoteAccessEngine) return [];
+    return remoteAccessEngine.knownHosts.list(host || null, port);
+  });
+
+  ipcMain.handle('putty:trustHostKey', async (_event, host: string, port: number, key: string, options: any = {}) => {
+    if (!remoteAccessEngine) {
+      return { success: false, error: moduleStatus.putty.error || 'Remote Access not available' };
+    }
+    try {
+      const entry = remoteAccessEngine.knownHosts.trust(host, port, key, {
+        source: 'manual',
+        comment: options.comment,
+        replace: !!options.replace,
+      });
+      return { success: true, entry };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:removeHostKey', async (_event, host: string, port: number, filter: any = {}) => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    return { success: true, removed: remoteAccessEngine.knownHosts.remove(host, port, filter) };
+  });
+
+  ipcMain.handle('putty:importKnownHosts', async () => {
+    if (!remoteAccessEngine) {
+      return { success: false, error: moduleStatus.putty.error || 'Remote Access not available' };
+    }
+    try {
+      const { filePaths, canceled } = await dialog.showOpenDialog({
+        defaultPath: path.join(app.getPath('home'), '.ssh', 'known_hosts'),
+        properties: ['openFile', 'showHiddenFiles'],
+      });
+      if (canceled || filePaths.length === 0) {
+        return { success: false, error: 'Import cancelled' };
+      }
+      const text = fs.readFileSync(filePaths[0], 'utf8');
+      return { success: true, path: filePaths[0], ...remoteAccessEngine.knownHosts.importOpenSSH(text) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:exportKnownHosts', async () => {
+    if (!remoteAccessEngine) {
+      return { success: false, error: moduleStatus.putty.error || 'Remote Access not available' };
+    }
+    try {
+      const { filePath } = await dialog.showSaveDialog({ defaultPath: 'known_hosts' });
+      if (!filePath) {
+        return { success: false, error: 'Export cancelled' };
+      }
+      const text = remoteAccessEngine.knownHosts.exportOpenSSH();
+      fs.writeFileSync(filePath, text);
+      return { success: true, path: filePath, entries: remoteAccessEngine.knownHosts.entries.length };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:listRecordings', async (_event, filter: any = {}) => {
+    if (!recordingLibrary) return [];
+    return recordingLibrary.list(filter);
+  });
+
+  ipcMain.handle('putty:searchRecordings', async (_event, query: string, options: any = {}) => {
+    if (!recordingLibrary) {
+      return { success: false, error: 'Recording library not available' };
+    }
+    try {
+      return { success: true, ...recordingLibrary.search(query, options) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:getRecording', async (_event, id: string) => {
+    if (!recordingLibrary) {
+      return { success: false, error: 'Recording library not available' };
+    }
+    try {
+      return { success: true, recording: recordingLibrary.load(id) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:deleteRecording', async (_event, id: string) => {
+    if (!recordingLibrary) return { success: false, error: 'Recording library not available' };
+    try {
+      return { success: recordingLibrary.delete(id) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:playRecording', async (_event, id: string, options: any = {}) => {
+    if (!recordingLibrary) {
+      return { success: false, error: 'Recording library not available' };
+    }
+    try {
+      return { success: true, ...recordingLibrary.play(id, options) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:controlPlayback', async (_event, playerId: string, action: string, value?: number) => {
+    if (!recordingLibrary) return { success: false, error: 'Recording library not available' };
+    try {
+      return { success: true, ...recordingLibrary.control(playerId, action, value) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // -------------------------------------------------------------------------
+  // Serial Console Handlers
+  // -------------------------------------------------------------------------
+
+  ipcMain.handle('putty:serialListPorts', async () => {
+    if (!serialEngine) return [];
+    return serialEngine.listPorts();
+  });
+
+  ipcMain.handle('putty:serialConnect', async (_event, config: any) => {
+    if (!serialEngine) {
+      return { success: false, error: serialLoadError || 'Serial engine not available' };
+    }
+    try {
+      return { success: true, ...(await serialEngine.connect(config)) };
+    } catch (error: any) {
+      // Failed auto-baud carries the score of every rate tried
+      return { success: false, error: error.message, results: error.results };
+    }
+  });
+
+  ipcMain.handle('putty:serialDisconnect', async (_event, sessionId: string) => {
+    if (!serialEngine) {
+      return { success: false, error: 'Serial engine not available' };
+    }
+    return { success: serialEngine.closeSession(sessionId) };
+  });
+
+  ipcMain.handle('putty:serialSend', async (_event, sessionId: string, data: string, options: any = {}) => {
+    if (!serialEngine) {
+      return { success: false, error: 'Serial engine not available' };
+    }
+    try {
+      const result = options.command
+        ? await serialEngine.sendCommand(sessionId, data)
+        : await serialEngine.write(sessionId, data);
+      return { success: true, ...result };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:serialBreak', async (_event, sessionId: string, duration?: number) => {
+    if (!serialEngine) {
+      return { success: false, error: 'Serial engine not available' };
+    }
+    try {
+      return { success: true, ...(await serialEngine.sendBreak(sessionId, duration)) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:serialSetOptions', async (_event, sessionId: string, settings: any) => {
+    if (!serialEngine) {
+      return { success: false, error: 'Serial engine not available' };
+    }
+    try {
+      return { success: true, ...serialEngine.setTerminalOptions(sessionId, settings) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:serialDetectBaud', async (_event, portPath: string, options: any = {}) => {
+    if (!serialEngine) {
+      return { success: false, error: serialLoadError || 'Serial engine not available' };
+    }
+    try {
+      return { success: true, ...(await serialEngine.detectBaudRate(portPath, options)) };
+    } catch (error: any) {
+      return { success: false, error: error.message, results: error.results };
+    }
+  });
+
+  ipcMain.handle('putty:serialGetSessions', async () => {
+    if (!serialEngine) return [];
+    return serialEngine.listSessions().map((session: any) => serialEngine.getSessionInfo(session.id));
+  });
+
+  ipcMain.handle('putty:serialGetProfiles', async () => {
+    if (!serialEngine) return [];
+    return serialEngine.listProfiles();
+  });
+
+  ipcMain.handle('putty:serialSaveProfile', async (_event, name: string, profile: any) => {
+    if (!serialEngine) {
+      return { success: false, error: 'Serial engine not available' };
+    }
+    try {
+      return { success: true, profile: serialEngine.saveProfile(name, profile) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('putty:serialDeleteProfile', async (_event, name: string) => {
+    if (!serialEngine) {
+      return { success: false, error: 'Serial engine not available' };
+    }
+    return { success: serialEngine.deleteProfile(name) };
   });
 
-  // -------------------------------------------------------------------------
-  // KageChat / KageForge Handlers
-  // -------------------------------------------------------------------------
+  ipcMain.handle('putty:getMacros', async () => {
+    if (!remoteAccessEngine) return {};
+    return remoteAccessEngine.macros;
+  });
 
-  ipcMain.handle('kage:sendMessage', async (_event, message: string, context?: any) => {
-    if (!moduleStatus.kageforge.loaded || !providerRouter) {
-      return { error: 'KageForge not available', message: moduleStatus.kageforge.error };
+  ipcMain.handle('putty:saveMacro', async (_event, name: string, definition: any) => {
+    if (!remoteAccessEngine) {
+      return { success: false, error: moduleStatus.putty.error || 'Remote Access not available' };
     }
     try {
-      const response = await providerRouter.route({ message, context });
-      return response;
+      return { success: true, macro: remoteAccessEngine.saveMacro(name, definition) };
     } catch (error: any) {
-      return { error: 'AI processing failed', message: error.message };
+      return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('kage:setContext', async (_event, context: any) => {
-    console.log('[KageChat] Context updated:', context?.module);
-    return { success: true };
+  ipcMain.handle('putty:deleteMacro', async (_event, name: string) => {
+    if (!remoteAccessEngine) return { success: false, error: 'Remote Access not available' };
+    return { success: remoteAccessEngine.deleteMacro(name) };
   });
 
-  ipcMain.handle('kage:getProviders', async () => {
-    return ['anthropic', 'openai', 'vertex', 'grok', 'copilot'];
+  ipcMain.handle('putty:executeMacro', async (_event, sessionId: string | null, name: string, variables: any = {}, options: any = {}) => {
+    if (!remoteAccessEngine) {
+      return { success: false, error: moduleStatus.putty.error || 'Remote Access not available' };
+    }
+    try {
+      return { success: true, ...(await remoteAccessEngine.executeMacro(sessionId, name, variables, options)) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
   });
 
-  // -------------------------------------------------------------------------
-  // NinjaShark Handlers
-  // -------------------------------------------------------------------------
-
-  ipcMain.handle('ninjashark:startCapture', async (_event, options) => {
-    if (!moduleStatus.ninjashark.loaded || !captureEngine) {
-      return { success: false, error: moduleStatus.ninjashark.error || 'NinjaShark not available' };
+  ipcMain.handle('putty:resolveHosts', async (_event, source: any) => {
+    if (!batchRunner) {
+      return { success: false, error: moduleStatus.putty.error || 'Batch runner not available' };
     }
     try {
-      const session = await captureEngine.startCapture(
-        options.sessionId || `session-${Date.now()}`,
-        options.interface,
-        options.filter,
-        (packet: any) => {
-          mainWindow?.webContents.send('ninjashark:packet', packet);
-        }
-      );
-      return { success: true, session };
+      return { success: true, hosts: await batchRunner.resolveHosts(source) };
     } catch (error: any) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('ninjashark:stopCapture', async (_event, sessionId) => {
-    if (!captureEngine) {
-      return { success: false, error: 'NinjaShark not available' };
+  ipcMain.handle('putty:runBatch', async (_event, job: any) => {
+    if (!batchRunner) {
+      return { success: false, error: moduleStatus.putty.error || 'Batch runner not available' };
     }
     try {
-      await captureEngine.stopCapture(sessionId);
-      return { success: true };
+      return { success: true, ...(await batchRunner.run(job)) };
     } catch (error: any) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('ninjashark:getPackets', async (_event, filter) => {
-    return []; // Packets are sent via events
+  ipcMain.handle('putty:cancelBatch', async (_event, batchId: string) => {
+    if (!batchRunner) return { success: false, error: 'Batch runner not available' };
+    return { success: batchRunner.cancel(batchId) };
   });
 
-  ipcMain.handle('ninjashark:export', async (_event, format, packets) => {
-    if (!captureEngine) {
-      return { success: false, error: 'NinjaShark not available' };
+  ipcMain.handle('putty:getBatch', async (_event, batchId?: string) => {
+    if (!batchRunner) return batchId ? null : [];
+    return batchId ? batchRunner.getBatch(batchId) : batchRunner.listBatches();
+  });
+
+  ipcMain.handle('putty:exportBatchCsv', async (_event, batchId: string) => {
+    if (!batchRunner) {
+      return { success: false, error: 'Batch runner not available' };
     }
     try {
       const { filePath } = await dialog.showSaveDialog({
-        defaultPath: `capture-${Date.now()}.${format}`,
-        filters: [{ name: format.toUpperCase(), extensions: [format] }],
+        defaultPath: `${batchId}.csv`,
+        filters: [{ name: 'CSV', extensions: ['csv'] }],
       });
-      if (filePath) {
-        // Export logic would go here
-        return { success: true, path: filePath };
+      if (!filePath) {
+        return { success: false, error: 'Export cancelled' };
       }
-      return { success: false, error: 'Export cancelled' };
+      const exported = batchRunner.exportCsv(batchId, filePath);
+      return { success: true, path: filePath, rows: exported.rows, bytes: exported.bytes };
     } catch (error: any) {
       return { success: false, error: error.message };
     }
   });
 
   // -------------------------------------------------------------------------
-  // PowerShell Handlers
+  // Auvik / Network Handlers
   // -------------------------------------------------------------------------
 
-  ipcMain.handle('powershell:execute', async (_event, command) => {
-    if (!moduleStatus.powershell.loaded || !powershellEngine) {
-      return { success: false, error: moduleStatus.powershell.error || 'PowerShell not available' };
+  ipcMain.handle('auvik:scan', async (_event, range) => {
+    if (!moduleStatus.auvik.loaded || !networkMapper) {
+      return { success: false, error: moduleStatus.auvik.error || 'Network Mapper not available' };
     }
     try {
-      // Get or create default session
-      let sessions = powershellEngine.listSessions();
-      if (sessions.length === 0) {
-        await powershellEngine.createSession();
-        sessions = powershellEngine.listSessions();
-      }
-      const result = await powershellEngine.executeCommand(sessions[0].id, command);
+      const result = await networkMapper.scan(range);
       return { success: true, ...result };
     } catch (error: any) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('powershell:getHistory', async () => {
-    if (!powershellEngine) return [];
-    return powershellEngine.getHistory();
+  ipcMain.handle('auvik:getTopology', async () => {
+    if (topologyBuilder) return topologyBuilder.getTopology();
+    if (!networkMapper) return { nodes: [], edges: [] };
+    return networkMapper.getTopology ? networkMapper.getTopology() : { nodes: [], edges: [] };
   });
 
-  ipcMain.handle('powershell:createSession', async (_event, options) => {
-    if (!moduleStatus.powershell.loaded || !powershellEngine) {
-      return { success: false, error: moduleStatus.powershell.error || 'PowerShell not available' };
-    }
+  ipcMain.handle('auvik:buildTopology', async (_event, subnet: string, options: any = {}) => {
+    if (!topologyBuilder) return { success: false, error: 'Topology builder not available' };
     try {
-      const session = await powershellEngine.createSession(options);
-      return { success: true, ...session };
+      const topology = await topologyBuilder.buildTopology(subnet, options);
+      return { success: true, topology, metrics: topologyBuilder.getMetrics() };
     } catch (error: any) {
       return { success: false, error: error.message };
     }
   });
 
-  // -------------------------------------------------------------------------
-  // PuTTY / Remote Access Handlers
-  // -------------------------------------------------------------------------
-
-  ipcMain.handle('putty:connect', async (_event, config) => {
-    if (!moduleStatus.putty.loaded || !remoteAccessEngine) {
-      return { success: false, error: moduleStatus.putty.error || 'Remote Access not available' };
+  ipcMain.handle('auvik:snmpWalk', async (_event, target, community) => {
+    if (!networkMapper) {
+      return { success: false, error: 'Network Mapper not available' };
     }
     try {
-      await remoteAccessEngine.connect(config);
-      return { success: true };
+      const result = await networkMapper.snmpWalk(target, community);
+      return { success: true, ...result };
     } catch (error: any) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('putty:disconnect', async (_event, sessionId) => {
-    if (!remoteAccessEngine) {
-      return { success: false, error: 'Remote Access not available' };
+  ipcMain.handle('auvik:pollDevice', async (_event, target: string, config: any = {}) => {
+    if (!snmpPoller) return { success: false, error: 'SNMP poller not available' };
+    try {
+      return { success: true, device: snmpPoller.addDevice(target, config) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
     }
+  });
+
+  ipcMain.handle('auvik:stopPolling', async (_event, target: string, options: any = {}) => {
+    if (!snmpPoller) return { success: false, error: 'SNMP poller not available' };
+    return { success: snmpPoller.removeDevice(target, { deleteData: !!options.deleteData }) };
+  });
+
+  ipcMain.handle('auvik:pollNow', async (_event, target: string) => {
+    if (!snmpPoller) return { success: false, error: 'SNMP poller not available' };
     try {
-      await remoteAccessEngine.disconnect(sessionId);
-      return { success: true };
+      return { success: true, ...(await snmpPoller.pollNow(target)) };
     } catch (error: any) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('putty:send', async (_event, sessionId, data) => {
-    if (!remoteAccessEngine) {
-      return { success: false, error: 'Remote Access not available' };
+  ipcMain.handle('auvik:getPolledDevices', async () => {
+    if (!snmpPoller) return [];
+    return snmpPoller.listDevices();
+  });
+
+  ipcMain.handle('auvik:listSeries', async (_event, target?: string) => {
+    if (!metricStore) return [];
+    return metricStore.listSeries(target || null);
+  });
+
+  ipcMain.handle('auvik:queryMetrics', async (_event, query: any) => {
+    if (!metricStore) return { success: false, error: 'SNMP metric store not available' };
+    try {
+      return { success: true, series: metricStore.query(query) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
     }
+  });
+
+  ipcMain.handle('auvik:discoverDevices', async (_event, targets: string[], options: any = {}) => {
+    if (!snmpEngine) return { success: false, error: 'SNMP engine not available' };
     try {
-      remoteAccessEngine.send(sessionId, data);
-      return { success: true };
+      return { success: true, ...(await snmpEngine.bulkDiscovery(targets, { site: options.site || null })) };
     } catch (error: any) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('putty:getSessions', async () => {
-    if (!remoteAccessEngine) return [];
-    return remoteAccessEngine.getSessions ? remoteAccessEngine.getSessions() : [];
+  ipcMain.handle('auvik:listCredentialProfiles', async () => {
+    if (!snmpCredentials) return { success: false, error: 'SNMP credential store not available' };
+    return {
+      success: true,
+      available: snmpCredentials.isAvailable(),
+      profiles: snmpCredentials.listProfiles(),
+      assignments: snmpCredentials.getAssignments(),
+      devices: snmpCredentials.listDevices(),
+    };
   });
 
-  // -------------------------------------------------------------------------
-  // Auvik / Network Handlers
-  // -------------------------------------------------------------------------
+  ipcMain.handle('auvik:saveCredentialProfile', async (_event, profile: any) => {
+    if (!snmpCredentials) return { success: false, error: 'SNMP credential store not available' };
+    try {
+      return { success: true, profile: snmpCredentials.saveProfile(profile) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
+    }
+  });
 
-  ipcMain.handle('auvik:scan', async (_event, range) => {
-    if (!moduleStatus.auvik.loaded || !networkMapper) {
-      return { success: false, error: moduleStatus.auvik.error || 'Network Mapper not available' };
+  ipcMain.handle('auvik:deleteCredentialProfile', async (_event, id: string) => {
+    if (!snmpCredentials) return { success: false, error: 'SNMP credential store not available' };
+    return { success: snmpCredentials.deleteProfile(id) };
+  });
+
+  ipcMain.handle('auvik:setCredentialAssignments', async (_event, assignments: any[]) => {
+    if (!snmpCredentials) return { success: false, error: 'SNMP credential store not available' };
+    try {
+      return { success: true, assignments: snmpCredentials.setAssignments(assignments) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
     }
+  });
+
+  ipcMain.handle('auvik:getReceiverConfig', async () => {
+    if (!eventReceiver) return { success: false, error: 'Event receiver not available' };
+    return { success: true, config: eventReceiver.getConfig() };
+  });
+
+  ipcMain.handle('auvik:configureReceiver', async (_event, config: any) => {
+    if (!eventReceiver) return { success: false, error: 'Event receiver not available' };
     try {
-      const result = await networkMapper.scan(range);
-      return { success: true, ...result };
+      return { success: true, config: await eventReceiver.configure(config) };
     } catch (error: any) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('auvik:getTopology', async () => {
-    if (!networkMapper) return { nodes: [], edges: [] };
-    return networkMapper.getTopology ? networkMapper.getTopology() : { nodes: [], edges: [] };
+  ipcMain.handle('auvik:getEventRules', async () => {
+    if (!eventReceiver) return [];
+    return eventReceiver.getRules();
   });
 
-  ipcMain.handle('auvik:snmpWalk', async (_event, target, community) => {
-    if (!networkMapper) {
-      return { success: false, error: 'Network Mapper not available' };
+  ipcMain.handle('auvik:setEventRules', async (_event, rules: any[]) => {
+    if (!eventReceiver) return { success: false, error: 'Event receiver not available' };
+    try {
+      return { success: true, rules: eventReceiver.setRules(rules) };
+    } catch (error: any) {
+      return { success: false, error: error.message };
     }
+  });
+
+  ipcMain.handle('auvik:searchEvents', async (_event, query: any = {}) => {
+    if (!eventReceiver) return { success: false, error: 'Event receiver not available' };
     try {
-      const result = await networkMapper.snmpWalk(target, community);
-      return { success: true, ...result };
+      return { success: true, events: eventReceiver.search(query) };
     } catch (error: any) {
       return { success: false, error: error.message };
     }
@@ -697,12 +1779,22 @@ function registerIpcHandlers(): void {
   // Security Handlers
   // -------------------------------------------------------------------------
 
-  ipcMain.handle('security:scanTarget', async (_event, target) => {
+  ipcMain.handle('security:scanTarget', async (_event, target, options: any = {}) => {
     if (!moduleStatus.security.loaded || !securityScanner) {
       return { vulnerabilities: [], error: moduleStatus.security.error || 'Security Scanner not available' };
     }
     try {
-      const result = await securityScanner.scan(target);
+      let scanner = securityScanner;
+      if (options.tunnel?.sessionId) {
+        // Reach the target from the far side of an SSH session (e.g. a client bastion)
+        if (!remoteAccessEngine) {
+          return { vulnerabilities: [], error: 'Remote Access not available for tunneled scans' };
+        }
+        const sessionId = options.tunnel.sessionId;
+        scanner = securityScanner.withConnection((host: string, port: number) =>
+          remoteAccessEngine.connectThrough(sessionId, host, port));
+      }
+      const result = await scanner.scanTarget(target, { scanType: 'comprehensive', ...options });
       return result;
     } catch (error: any) {
       return { vulnerabilities: [], error: error.message };
@@ -1124,16 +2216,106 @@ function initializeModules(): void {
   // Initialize module engines
   if (CaptureEngine) {
     try {
-      captureEngine = new CaptureEngine();
+      captureEngine = new CaptureEngine({
+        spillDir: path.join(app.getPath('temp'), 'ninjashark'),
+        captureDir: path.join(app.getPath('documents'), 'NinjaShark', 'captures'),
+      });
+      captureEngine.on('captureStopped', (result: any) => {
+        flushPacketSummaries();
+        mainWindow?.webContents.send('ninjashark:captureStopped', result);
+      });
+      if (CaptureScheduler) {
+        captureScheduler = new CaptureScheduler(captureEngine, {
+          onPacket: handleCapturedPacket,
+          schedulesPath: path.join(app.getPath('userData'), 'ninjashark', 'capture-schedules.json'),
+        });
+        captureScheduler.load();
+      }
+      if (AlertStore) {
+        try {
+          alertStore = new AlertStore({
+            databasePath: path.join(app.getPath('userData'), 'ninjashark-alerts.db'),
+          }).initialize();
+        } catch (error: any) {
+          alertStore = null;
+          console.warn('[Main] NinjaShark alert store unavailable, alerts kept in memory:', error.message);
+        }
+      }
+      if (AnomalyDetector) {
+        anomalyDetector = new AnomalyDetector({
+          rulesDir: path.join(app.getPath('userData'), 'ninjashark', 'rules'),
+          store: alertStore,
+        });
+        if (AlertPublisher) {
+          alertPublisher = new AlertPublisher({
+            eventBus,
+            captureEngine,
+            store: alertStore,
+            policyPath: path.join(app.getPath('userData'), 'ninjashark', 'ticket-policy.json'),
+          });
+        }
+        anomalyDetector.on('alert', (alert: any) => {
+          mainWindow?.webContents.send('ninjashark:alert', alert);
+          captureEngine.handleAlert(alert);
+          alertPublisher?.publish(alert).then((ticket: any) => {
+            if (ticket?.success && !ticket.deduplicated) {
+              mainWindow?.webContents.send('ninjashark:ticketCreated', ticket);
+            }
+          }).catch((error: any) => console.error('[Main] NinjaShark alert publish failed:', error.message));
+        });
+      }
+      if (ExportHandler) {
+        exportHandler = new ExportHandler();
+        exportHandler.on('progress', (progress: any) => {
+          mainWindow?.webContents.send('ninjashark:exportProgress', progress);
+        });
+      }
       console.log('[Main] NinjaShark capture engine initialized');
     } catch (error: any) {
       console.error('[Main] NinjaShark initialization failed:', error.message);
     }
   }
 
+  if (CredentialStore) {
+    try {
+      credentialStore = new CredentialStore({
+        filePath: path.join(app.getPath('userData'), 'credentials.json'),
+        encryption: safeStorage,
+      });
+      console.log('[Main] Credential store initialized');
+    } catch (error: any) {
+      console.error('[Main] Credential store initialization failed:', error.message);
+    }
+  }
+
+  // Terminal recordings (PuTTY and PowerShell); the home directory holds pre-asciicast recordings
+  const recordingsDir = path.join(app.getPath('userData'), 'recordings');
+  if (RecordingLibrary) {
+    recordingLibrary = new RecordingLibrary({
+      directories: [recordingsDir, path.join(app.getPath('home'), '.ninja-toolkit-recordings')],
+    });
+    recordingLibrary.on('playbackFrame', (frame: any) => {
+      mainWindow?.webContents.send('putty:playbackFrame', frame);
+    });
+    recordingLibrary.on('playbackReset', (reset: any) => {
+      mainWindow?.webContents.send('putty:playbackReset', reset);
+    });
+    recordingLibrary.on('playbackState', (state: any) => {
+      mainWindow?.webContents.send('putty:playbackState', state);
+    });
+  }
+
   if (PowerShellEngine) {
     try {
-      powershellEngine = new PowerShellEngine();
+      powershellProfiles = new RemoteProfileStore({
+        profilesPath: path.join(app.getPath('userData'), 'powershell', 'remote-profiles.json'),
+      });
+      powershellEngine = new PowerShellEngine({
+        profiles: powershellProfiles,
+        credentials: credentialStore,
+        historyDir: path.join(app.getPath('userData'), 'powershell', 'history'),
+        recordingsDir,
+      });
       console.log('[Main] PowerShell engine initialized');
     } catch (error: any) {
       console.error('[Main] PowerShell initialization failed:', error.message);
@@ -1142,13 +2324,50 @@ function initializeModules(): void {
 
   if (RemoteAccessEngine) {
     try {
-      remoteAccessEngine = new RemoteAccessEngine();
+      remoteAccessEngine = new RemoteAccessEngine({ recordingsDir, credentials: credentialStore });
+      remoteAccessEngine.on('macroStep', (step: any) => {
+        mainWindow?.webContents.send('putty:macroStep', step);
+      });
+      remoteAccessEngine.on('forwardState', (state: any) => {
+        mainWindow?.webContents.send('putty:forwardState', state);
+      });
+      remoteAccessEngine.on('telnetOptions', (options: any) => {
+        mainWindow?.webContents.send('putty:telnetOptions', options);
+      });
+      remoteAccessEngine.on('transferProgress', (transfer: any) => {
+        mainWindow?.webContents.send('putty:transferProgress', transfer);
+      });
+      remoteAccessEngine.on('transferState', (transfer: any) => {
+        mainWindow?.webContents.send('putty:transferState', transfer);
+      });
       console.log('[Main] Remote Access engine initialized');
     } catch (error: any) {
       console.error('[Main] Remote Access initialization failed:', error.message);
     }
   }
 
+  // Serial sessions are recorded next to the SSH/Telnet ones, so the recording library lists them
+  if (SerialEngine) {
+    try {
+      serialEngine = new SerialEngine({
+        recordingsDir,
+        profilesFile: path.join(app.getPath('userData'), 'serial-profiles.json'),
+      });
+      serialEngine.on('output', (output: any) => {
+        mainWindow?.webContents.send('putty:serialData', output);
+      });
+      serialEngine.on('error', (error: any) => {
+        mainWindow?.webContents.send('putty:serialError', error);
+      });
+      serialEngine.on('close', (closed: any) => {
+        mainWindow?.webContents.send('putty:serialClosed', closed);
+      });
+      console.log('[Main] Serial engine initialized');
+    } catch (error: any) {
+      console.error('[Main] Serial engine initialization failed:', error.message);
+    }
+  }
+
   if (NetworkMapper) {
     try {
       networkMapper = typeof NetworkMapper === 'function' ? new NetworkMapper() : NetworkMapper;
@@ -1158,6 +2377,75 @@ function initializeModules(): void {
     }
   }
 
+  if (SNMPEngine && SNMPCredentialStore && SNMPPoller && MetricStore) {
+    try {
+      snmpCredentials = new SNMPCredentialStore({
+        filePath: path.join(app.getPath('userData'), 'auvik', 'snmp-credentials.json'),
+        encryption: safeStorage,
+      });
+      snmpEngine = new SNMPEngine({ credentials: snmpCredentials });
+      metricStore = new MetricStore({
+        databasePath: path.join(app.getPath('userData'), 'snmp-metrics.db'),
+      }).initialize();
+      snmpPoller = new SNMPPoller({
+        snmp: snmpEngine,
+        store: metricStore,
+        configPath: path.join(app.getPath('userData'), 'auvik', 'snmp-polling.json'),
+      });
+      snmpPoller.on('poll', (result: any) => {
+        mainWindow?.webContents.send('auvik:pollResult', result);
+      });
+      snmpPoller.start();
+      console.log('[Main] SNMP poller initialized');
+    } catch (error: any) {
+      snmpPoller = null;
+      metricStore = null;
+      console.error('[Main] SNMP poller initialization failed:', error.message);
+    }
+  }
+
+  if (EventReceiver) {
+    try {
+      if (TopologyBuilder) {
+        topologyBuilder = new TopologyBuilder({
+          networkMapper: networkMapper || undefined,
+          snmpEngine: snmpEngine || undefined,
+        });
+      }
+      if (NetworkEventStore) {
+        try {
+          eventStore = new NetworkEventStore({
+            databasePath: path.join(app.getPath('userData'), 'network-events.db'),
+          }).initialize();
+        } catch (error: any) {
+          eventStore = null;
+          console.warn('[Main] Network event store unavailable, events kept in memory:', error.message);
+        }
+      }
+      eventReceiver = new EventReceiver({
+        eventBus,
+        snmpEngine: snmpEngine || topologyBuilder?.snmpEngine,
+        topology: topologyBuilder,
+        store: eventStore,
+        configPath: path.join(app.getPath('userData'), 'auvik', 'event-receiver.json'),
+        credentials: credentialStore,
+      });
+      eventReceiver.on('event', (networkEvent: any) => {
+        mainWindow?.webContents.send('auvik:networkEvent', networkEvent);
+      });
+      eventReceiver.on('linkState', (change: any) => {
+        mainWindow?.webContents.send('auvik:linkState', change);
+      });
+      eventReceiver.start().catch((error: any) => {
+        console.error('[Main] Event receiver start failed:', error.message);
+      });
+      console.log('[Main] Event receiver initialized');
+    } catch (error: any) {
+      eventReceiver = null;
+      console.error('[Main] Event receiver initialization failed:', error.message);
+    }
+  }
+
   if (SecurityScanner) {
     try {
       securityScanner = typeof SecurityScanner === 'function' ? new SecurityScanner() : SecurityScanner;
@@ -1180,11 +2468,35 @@ function initializeModules(): void {
     try {
       ticketingClient = typeof TicketingClient === 'function' ? new TicketingClient() : TicketingClient;
       console.log('[Main] Ticketing Client initialized');
+      if (alertPublisher && TicketManager) {
+        alertPublisher.setTicketing(
+          new TicketManager(ticketingClient),
+          AttachmentHandler ? new AttachmentHandler(ticketingClient, {
+            downloadPath: path.join(app.getPath('userData'), 'attachments', 'downloads'),
+            cachePath: path.join(app.getPath('userData'), 'attachments', 'cache'),
+          }) : null
+        );
+        console.log('[Main] NinjaShark alert tickets enabled');
+      }
     } catch (error: any) {
       console.error('[Main] Ticketing initialization failed:', error.message);
     }
   }
 
+  if (BatchRunner && (remoteAccessEngine || powershellEngine)) {
+    batchRunner = new BatchRunner({
+      remoteAccess: remoteAccessEngine,
+      powershell: powershellEngine,
+      networkMapper,
+      ticketing: ticketingClient,
+      credentials: credentialStore,
+    });
+    batchRunner.on('progress', (progress: any) => {
+      mainWindow?.webContents.send('putty:batchProgress', progress);
+    });
+    console.log('[Main] Batch runner initialized');
+  }
+
   // Initialize Academy subsystems
   if (QuestionBankManager) {
     try {
@@ -1325,6 +2637,78 @@ app.on('will-quit', () => {
     }
   }
 
+  // Cleanup NinjaShark anomaly detector and packet buffers
+  if (alertPublisher?.destroy) {
+    alertPublisher.destroy();
+  }
+  if (captureScheduler?.destroy) {
+    captureScheduler.destroy();
+  }
+  if (anomalyDetector?.destroy) {
+    try {
+      anomalyDetector.destroy();
+    } catch (error) {
+      console.error('[Main] NinjaShark cleanup error:', error);
+    }
+  }
+  if (captureEngine?.destroy) {
+    try {
+      captureEngine.destroy();
+    } catch (error) {
+      console.error('[Main] NinjaShark cleanup error:', error);
+    }
+  }
+  if (alertStore?.close) {
+    try {
+      alertStore.close();
+    } catch (error) {
+      console.error('[Main] NinjaShark cleanup error:', error);
+    }
+  }
+
+  // Close trap/syslog listeners
+  if (eventReceiver?.stop) {
+    eventReceiver.stop().catch((error: any) => console.error('[Main] Event receiver cleanup error:', error));
+  }
+  if (eventStore?.close) {
+    try {
+      eventStore.close();
+    } catch (error) {
+      console.error('[Main] Network event store cleanup error:', error);
+    }
+  }
+
+  // Stop SNMP polling
+  if (snmpPoller?.stop) {
+    snmpPoller.stop();
+  }
+  if (metricStore?.close) {
+    try {
+      metricStore.close();
+    } catch (error) {
+      console.error('[Main] SNMP metric store cleanup error:', error);
+    }
+  }
+
+  // Stop recording playback
+  if (recordingLibrary?.stopAll) {
+    recordingLibrary.stopAll();
+  }
+
+  // Stop batches from opening more sessions
+  if (batchRunner?.destroy) {
+    batchRunner.destroy();
+  }
+
+  // Close serial ports (finishes their recordings)
+  if (serialEngine?.cleanup) {
+    try {
+      serialEngine.cleanup();
+    } catch (error) {
+      console.error('[Main] Serial cleanup error:', error);
+    }
+  }
+
   // Cleanup PowerShell
   if (powershellEngine?.cleanup) {
     try {
@@ -0,0 +1,1047 @@
+/**
+ * Network Event Receiver
+ * SNMP trap and syslog listener feeding the toolkit EventBus
+ *
+ * Features:
+ * - SNMPv1/v2c/v3 traps and informs (net-snmp receiver; communities and USM users)
+ * - SNMPv3 auth/privacy keys kept in the encrypted credential store; the settings
+ *   file only holds their credential IDs
+ * - Syslog over UDP and TCP (octet-counted or newline-framed), RFC 5424 and RFC 3164
+ * - Trap and varbind OIDs decoded to names (standard MIBs plus user-supplied names)
+ * - Sources linked to known devices (SNMP engine, topology) by IP or hostname
+ * - Ordered match rules: override severity, tag or drop
+ * - Searchable history (NetworkEventStore, or in memory without one)
+ * - linkUp/linkDown traps update link state on the live topology
+ * - Listener settings and rules persisted as JSON
+ *
+ * EventBus events:
+ * - auvik:event       every accepted trap or syslog message
+ * - auvik:linkState   { nodeId, ifIndex, interface, status, links }
+ *
+ * Usage:
+ * const { EventReceiver } = require('./event-receiver.cjs');
+ * const receiver = new EventReceiver({ eventBus, snmpEngine, topology, store, configPath, credentials });
+ * receiver.start();
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+// Syslog severities (RFC 5424 codes are the array index)
+const SEVERITIES = ['emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug'];
+
+const FACILITIES = [
+  'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news', 'uucp', 'cron', 'authpriv',
+  'ftp', 'ntp', 'audit', 'alert', 'clock', 'local0', 'local1', 'local2', 'local3', 'local4',
+  'local5', 'local6', 'local7'
+];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Notification OIDs -> name and default severity
+const TRAP_NAMES = {
+  '1.3.6.1.6.3.1.1.5.1': { name: 'coldStart', severity: 'warning' },
+  '1.3.6.1.6.3.1.1.5.2': { name: 'warmStart', severity: 'notice' },
+  '1.3.6.1.6.3.1.1.5.3': { name: 'linkDown', severity: 'error' },
+  '1.3.6.1.6.3.1.1.5.4': { name: 'linkUp', severity: 'notice' },
+  '1.3.6.1.6.3.1.1.5.5': { name: 'authenticationFailure', severity: 'warning' },
+  '1.3.6.1.6.3.1.1.5.6': { name: 'egpNeighborLoss', severity: 'warning' },
+  '1.3.6.1.2.1.15.7.1': { name: 'bgpEstablished', severity: 'notice' },
+  '1.3.6.1.2.1.15.7.2': { name: 'bgpBackwardTransition', severity: 'error' },
+  '1.3.6.1.2.1.15.0.1': { name: 'bgpEstablishedNotification', severity: 'notice' },
+  '1.3.6.1.2.1.15.0.2': { name: 'bgpBackwardTransNotification', severity: 'error' },
+  '1.3.6.1.2.1.14.16.2.2': { name: 'ospfNbrStateChange', severity: 'warning' },
+  '1.3.6.1.2.1.17.0.1': { name: 'newRoot', severity: 'warning' },
+  '1.3.6.1.2.1.17.0.2': { name: 'topologyChange', severity: 'notice' },
+  '1.3.6.1.2.1.47.2.0.1': { name: 'entConfigChange', severity: 'notice' },
+  '1.3.6.1.2.1.105.0.1': { name: 'pethPsePortOnOffNotification', severity: 'notice' },
+  '1.3.6.1.4.1.9.9.41.2.0.1': { name: 'clogMessageGenerated', severity: 'info' },
+  '1.3.6.1.4.1.9.9.43.2.0.1': { name: 'ciscoConfigManEvent', severity: 'notice' },
+  '1.3.6.1.4.1.9.9.13.3.0.5': { name: 'ciscoEnvMonTemperatureNotification', severity: 'critical' },
+  '1.3.6.1.4.1.9.9.13.3.0.6': { name: 'ciscoEnvMonFanNotification', severity: 'critical' },
+  '1.3.6.1.4.1.9.9.13.3.0.7': { name: 'ciscoEnvMonRedundantSupplyNotification', severity: 'critical' }
+};
+
+// Varbind OID prefixes -> name (instance suffix kept: ifOperStatus.3)
+const OID_NAMES = {
+  '1.3.6.1.2.1.1.3': 'sysUpTime',
+  '1.3.6.1.2.1.1.5': 'sysName',
+  '1.3.6.1.6.3.1.1.4.1': 'snmpTrapOID',
+  '1.3.6.1.6.3.1.1.4.3': 'snmpTrapEnterprise',
+  '1.3.6.1.6.3.18.1.3': 'snmpTrapAddress',
+  '1.3.6.1.6.3.18.1.4': 'snmpTrapCommunity',
+  '1.3.6.1.2.1.2.2.1.1': 'ifIndex',
+  '1.3.6.1.2.1.2.2.1.2': 'ifDescr',
+  '1.3.6.1.2.1.2.2.1.3': 'ifType',
+  '1.3.6.1.2.1.2.2.1.7': 'ifAdminStatus',
+  '1.3.6.1.2.1.2.2.1.8': 'ifOperStatus',
+  '1.3.6.1.2.1.31.1.1.1.1': 'ifName',
+  '1.3.6.1.2.1.31.1.1.1.18': 'ifAlias',
+  '1.3.6.1.2.1.15.3.1.14': 'bgpPeerLastError',
+  '1.3.6.1.2.1.15.3.1.2': 'bgpPeerState',
+  '1.3.6.1.2.1.14.10.1.6': 'ospfNbrState',
+  '1.3.6.1.2.1.47.1.4.1': 'entLastChangeTime',
+  '1.3.6.1.4.1.9.2.2.1.1.20': 'locIfReason',
+  '1.3.6.1.4.1.9.9.41.1.2.3.1.2': 'clogHistFacility',
+  '1.3.6.1.4.1.9.9.41.1.2.3.1.3': 'clogHistSeverity',
+  '1.3.6.1.4.1.9.9.41.1.2.3.1.4': 'clogHistMsgName',
+  '1.3.6.1.4.1.9.9.41.1.2.3.1.5': 'clogHistMsgText',
+  '1.3.6.1.4.1.9.9.43.1.1.6.1.3': 'ccmHistoryEventCommandSource',
+  '1.3.6.1.4.1.9.9.43.1.1.6.1.5': 'ccmHistoryEventConfigDestination'
+};
+
+// ifOperStatus values -> link state
+const OPER_STATUS = { 1: 'up', 2: 'down', 3: 'testing', 5: 'dormant', 6: 'notPresent', 7: 'down' };
+
+const DEFAULT_CONFIG = {
+  trap: {
+    enabled: false,
+    port: 162,
+    communities: [], // empty: accept any community
+    users: [] // SNMPv3 USM: { name, level, authProtocol, authKeyId, privProtocol, privKeyId }
+  },
+  syslog: {
+    enabled: false,
+    udpPort: 514,
+    tcpPort: 514 // null disables TCP
+  },
+  address: '0.0.0.0',
+  mibNames: {}, // extra OID -> name
+  retentionDays: 30,
+  rules: []
+};
+
+const MAX_FRAME = 64 * 1024;
+const MAX_MEMORY_HISTORY = 5000;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// getConfig() shows stored USM keys as this; sent back unchanged it keeps the key
+const MASKED_KEY = '********';
+const USM_KEYS = [
+  { key: 'authKey', id: 'authKeyId', label: 'auth key' },
+  { key: 'privKey', id: 'privKeyId', label: 'privacy key' }
+];
+
+class EventReceiver extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.eventBus] - Toolkit EventBus
+   * @param {Object} [options.snmpEngine] - SNMPEngine (known devices and their interfaces)
+   * @param {Object} [options.topology] - TopologyBuilder whose link state follows linkUp/linkDown
+   * @param {Object} [options.store] - Initialized NetworkEventStore; history stays in memory without one
+   * @param {string} [options.configPath] - JSON file for listener settings and rules
+   * @param {Object} [options.credentials] - CredentialStore holding the SNMPv3 trap users' keys
+   * @param {Object} [options.snmp] - net-snmp module (loaded on first trap listener otherwise)
+   *
+   * Events:
+   * - 'event' every accepted trap or syslog message
+   * - 'linkState' { nodeId, ifIndex, interface, status, links }
+   * - 'listenerError' { listener, error }
+   */
+  constructor(options = {}) {
+    super();
+
+    this.eventBus = options.eventBus || null;
+    this.snmpEngine = options.snmpEngine || null;
+    this.topology = options.topology || null;
+    this.store = options.store || null;
+    this.configPath = options.configPath || null;
+    this.snmp = options.snmp || null;
+    this.credentials = options.credentials || null;
+
+    this.config = this.loadConfig();
+    this.migrateKeys();
+    try {
+      this.rules = compileRules(this.config.rules);
+    } catch (error) {
+      console.warn('Event receiver rules ignored:', error.message);
+      this.config.rules = [];
+      this.rules = [];
+    }
+    this.history = []; // used when there is no store
+    this.listeners = { trap: null, syslogUdp: null, syslogTcp: null };
+    this.listenerErrors = {};
+    this.tcpConnections = new Set();
+    this.purgeTimer = null;
+    this.running = false;
+
+    this.stats = { traps: 0, syslog: 0, dropped: 0, malformed: 0 };
+  }
+
+  /**
+   * Open the enabled listeners
+   */
+  async start() {
+    this.running = true;
+    const { trap, syslog, address } = this.config;
+
+    if (trap.enabled) {
+      await this.openListener('trap', () => this.openTrapListener(trap, address));
+    }
+    if (syslog.enabled) {
+      await this.openListener('syslogUdp', () => this.openSyslogUdp(syslog.udpPort, address));
+      if (syslog.tcpPort) {
+        await this.openListener('syslogTcp', () => this.openSyslogTcp(syslog.tcpPort, address));
+      }
+    }
+
+    if (this.store && !this.purgeTimer) {
+      this.purgeTimer = setInterval(() => {
+        try {
+          this.store.purge(this.config.retentionDays * 24 * 60 * 60 * 1000);
+        } catch (error) {
+          console.warn('Event receiver: purge failed:', error.message);
+        }
+      }, PURGE_INTERVAL);
+      if (this.purgeTimer.unref) this.purgeTimer.unref();
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Close all listeners
+   */
+  async stop() {
+    this.running = false;
+    clearInterval(this.purgeTimer);
+    this.purgeTimer = null;
+
+    for (const socket of this.tcpConnections) {
+      socket.destroy();
+    }
+    this.tcpConnections.clear();
+
+    const { trap, syslogUdp, syslogTcp } = this.listeners;
+    this.listeners = { trap: null, syslogUdp: null, syslogTcp: null };
+    if (trap) {
+      try {
+        trap.close();
+      } catch (error) {
+        console.warn('Event receiver: trap listener close failed:', error.message);
+      }
+    }
+    if (syslogUdp) await new Promise(resolve => syslogUdp.close(() => resolve()));
+    if (syslogTcp) await new Promise(resolve => syslogTcp.close(() => resolve()));
+  }
+
+  /**
+   * Listener settings (USM keys masked) and status
+   */
+  getConfig() {
+    const { rules, ...config } = this.config;
+    return {
+      ...config,
+      trap: {
+        ...config.trap,
+        users: config.trap.users.map(({ authKeyId, privKeyId, ...user }) => ({
+          ...user,
+          authKey: authKeyId || user.authKey ? MASKED_KEY : undefined,
+          privKey: privKeyId || user.privKey ? MASKED_KEY : undefined
+        }))
+      },
+      status: this.getStatus()
+    };
+  }
+
+  /**
+   * Change listener settings and reopen the listeners
+   * @param {Object} changes - { trap?, syslog?, address?, mibNames?, retentionDays? }
+   */
+  async configure(changes = {}) {
+    const next = normalizeConfig({
+      ...this.config,
+      ...changes,
+      trap: { ...this.config.trap, ...(changes.trap || {}) },
+      syslog: { ...this.config.syslog, ...(changes.syslog || {}) },
+      rules: this.config.rules
+    });
+
+    // New keys go to the credential store; masked or omitted ones keep the stored key
+    const created = [];
+    try {
+      next.trap.users = next.trap.users.map(user => {
+        const previous = this.config.trap.users.find(existing => existing.name === user.name) || {};
+        return this.storeKeys(user, previous, created);
+      });
+    } catch (error) {
+      for (const id of created) this.credentials.delete(id);
+      throw error;
+    }
+
+    const unused = keyIds(this.config.trap.users).filter(id => !keyIds(next.trap.users).includes(id));
+    this.config = next;
+    this.saveConfig();
+    for (const id of unused) this.credentials?.delete(id);
+
+    if (this.running) {
+      await this.stop();
+      await this.start();
+    }
+    return this.getConfig();
+  }
+
+  getRules() {
+    return this.config.rules;
+  }
+
+  /**
+   * Replace the match rules (first matching enabled rule applies)
+   * @param {Array} rules - [{ id?, name, enabled, match: { source, address (IP or CIDR), hostname
+   *   (regex), name (trap name/OID or syslog app), facility, severity (name or list), minSeverity
+   *   (this or more severe), pattern (regex on the message) }, severity?, tags?, drop? }]
+   */
+  setRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Rules must be an array');
+    }
+    const normalized = rules.map(rule => ({
+      id: rule.id || crypto.randomUUID(),
+      name: rule.name || 'Unnamed rule',
+      enabled: rule.enabled !== false,
+      match: rule.match || {},
+      severity: rule.severity || null,
+      tags: Array.isArray(rule.tags) ? rule.tags : [],
+      drop: !!rule.drop
+    }));
+    this.rules = compileRules(normalized); // throws on invalid rules
+    this.config.rules = normalized;
+    this.saveConfig();
+    return normalized;
+  }
+
+  /**
+   * Search the history (newest first)
+   * @param {Object} [query] - { source, address, nodeId, severity (this or more severe), name,
+   *   ruleId, text, since, until, limit, offset }
+   */
+  search(query = {}) {
+    const options = { ...query };
+    if (query.severity) {
+      options.maxSeverity = severityCode(query.severity);
+      delete options.severity;
+    }
+    if (this.store) {
+      return this.store.search(options);
+    }
+
+    const text = options.text ? String(options.text).toLowerCase() : null;
+    const matches = this.history.filter(event =>
+      (!options.source || event.source === options.source) &&
+      (!options.address || event.address === options.address) &&
+      (!options.nodeId || event.device?.nodeId === options.nodeId) &&
+      (options.maxSeverity === undefined || event.severityCode <= options.maxSeverity) &&
+      (!options.name || (event.name || '').toLowerCase() === String(options.name).toLowerCase()) &&
+      (!options.ruleId || event.ruleId === options.ruleId) &&
+      (!options.since || event.timestamp >= options.since) &&
+      (!options.until || event.timestamp <= options.until) &&
+      (!text || [event.message, event.name, event.device?.hostname]
+        .some(value => value && value.toLowerCase().includes(text)))
+    );
+    const offset = options.offset || 0;
+    return matches.reverse().slice(offset, offset + (options.limit || 100));
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      trap: { listening: !!this.listeners.trap, port: this.config.trap.port, error: this.listenerErrors.trap || null },
+      syslogUdp: { listening: !!this.listeners.syslogUdp, port: this.config.syslog.udpPort, error: this.listenerErrors.syslogUdp || null },
+      syslogTcp: { listening: !!this.listeners.syslogTcp, port: this.config.syslog.tcpPort, error: this.listenerErrors.syslogTcp || null },
+      tcpConnections: this.tcpConnections.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Handle a received trap or inform
+   * @param {Object} notification - net-snmp receiver notification { pdu, rinfo }
+   */
+  handleTrap(notification) {
+    const pdu = notification.pdu || {};
+    const rinfo = notification.rinfo || {};
+    const snmp = this.snmp || {};
+    const isV1 = snmp.PduType ? pdu.type === snmp.PduType.Trap : pdu.enterprise !== undefined;
+
+    const varbinds = (pdu.varbinds || []).map(varbind => ({
+      oid: varbind.oid,
+      name: this.oidName(varbind.oid),
+      value: formatValue(varbind.value)
+    }));
+
+    let trapOid;
+    let uptime = null;
+    if (isV1) {
+      // RFC 3584 section 3.1: v1 generic/specific -> v2 notification OID
+      trapOid = pdu.generic === 6
+        ? `${pdu.enterprise}.0.${pdu.specific}`
+        : `1.3.6.1.6.3.1.1.5.${pdu.generic + 1}`;
+      uptime = pdu.upTime ?? null;
+    } else {
+      trapOid = String(varbinds.find(varbind => varbind.name === 'snmpTrapOID.0')?.value || '');
+      uptime = varbinds.find(varbind => varbind.name === 'sysUpTime.0')?.value ?? null;
+    }
+
+    const known = TRAP_NAMES[trapOid];
+    const name = known ? known.name : this.oidName(trapOid) || trapOid;
+    const user = pdu.user || notification.user || null;
+    const payload = varbinds.filter(varbind => !['sysUpTime.0', 'snmpTrapOID.0'].includes(varbind.name));
+    // v1 traps carry the agent address in the PDU; relays forward v2 traps with snmpTrapAddress.0
+    const agentAddress = (isV1 && pdu.agentAddr && pdu.agentAddr !== '0.0.0.0' ? pdu.agentAddr : null) ||
+      varbinds.find(varbind => varbind.name === 'snmpTrapAddress.0')?.value || rinfo.address;
+
+    this.stats.traps++;
+    const event = this.accept({
+      source: 'trap',
+      transport: 'udp',
+      address: agentAddress,
+      sender: rinfo.address,
+      severity: known ? known.severity : 'info',
+      name,
+      message: describeTrap(name, payload),
+      trap: {
+        version: isV1 ? '1' : user ? '3' : '2c',
+        oid: trapOid,
+        enterprise: isV1 ? pdu.enterprise : varbinds.find(varbind => varbind.name === 'snmpTrapEnterprise.0')?.value || null,
+        community: pdu.community || notification.community || null,
+        user: user ? user.name || user : null,
+        inform: !!(snmp.PduType && pdu.type === snmp.PduType.InformRequest),
+        uptime,
+        varbinds: payload
+      }
+    });
+
+    if (event && (name === 'linkDown' || name === 'linkUp')) {
+      this.updateLinkState(event);
+    }
+    return event;
+  }
+
+  /**
+   * Handle one syslog message
+   * @param {string} text - Message including the <PRI> header
+   * @param {Object} rinfo - { address, port }
+   * @param {string} transport - 'udp' | 'tcp'
+   */
+  handleSyslog(text, rinfo, transport = 'udp') {
+    const parsed = parseSyslog(text);
+    if (!parsed) {
+      this.stats.malformed++;
+      return null;
+    }
+
+    this.stats.syslog++;
+    return this.accept({
+      source: 'syslog',
+      transport,
+      address: rinfo.address,
+      sender: rinfo.address,
+      severity: SEVERITIES[parsed.severity],
+      name: parsed.appName || null,
+      message: parsed.message,
+      hostnameHint: parsed.hostname,
+      syslog: parsed
+    });
+  }
+
+  /**
+   * Helper: Link to a device, apply rules, store and publish
+   */
+  accept(raw) {
+    const { hostnameHint, ...fields } = raw;
+    const event = {
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      ...fields,
+      device: this.resolveDevice(raw.address, hostnameHint),
+      ruleId: null,
+      tags: []
+    };
+
+    const rule = this.rules.find(candidate => candidate.enabled && candidate.test(event));
+    if (rule) {
+      if (rule.drop) {
+        this.stats.dropped++;
+        return null;
+      }
+      event.ruleId = rule.id;
+      event.severity = rule.severity || event.severity;
+      event.tags = rule.tags;
+    }
+    event.severityCode = severityCode(event.severity);
+
+    if (this.store) {
+      try {
+        this.store.saveEvent(event);
+      } catch (error) {
+        console.warn('Event receiver: store failed:', error.message);
+      }
+    } else {
+      this.history.push(event);
+      if (this.history.length > MAX_MEMORY_HISTORY) {
+        this.history.shift();
+      }
+    }
+
+    this.eventBus?.publish('auvik:event', event);
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Helper: Known device for a source address (or the hostname a syslog message names)
+   */
+  resolveDevice(address, hostname = null) {
+    const snmpDevice = this.snmpEngine?.getDevice(address) || null;
+    const node = this.topology?.findNode(address) || (hostname ? this.topology?.findNode(hostname) : null) || null;
+    const byName = !snmpDevice && !node && hostname && this.snmpEngine
+      ? this.snmpEngine.listDevices().find(device => sameHost(device.hostname, hostname)) || null
+      : null;
+
+    const device = snmpDevice || byName;
+    if (!device && !node) return null;
+    return {
+      ip: device?.ip || node?.ip || address,
+      hostname: device?.hostname || node?.hostname || null,
+      nodeId: node?.id || null
+    };
+  }
+
+  /**
+   * Helper: Apply a linkUp/linkDown trap to the topology
+   */
+  updateLinkState(event) {
+    const varbinds = event.trap.varbinds;
+    const byPrefix = (prefix) => varbinds.find(varbind => varbind.name && varbind.name.startsWith(`${prefix}.`));
+
+    const ifIndexVarbind = byPrefix('ifIndex');
+    const anyIndexed = ifIndexVarbind || byPrefix('ifOperStatus') || byPrefix('ifAdminStatus') || byPrefix('ifDescr') || byPrefix('ifName');
+    const ifIndex = ifIndexVarbind
+      ? String(ifIndexVarbind.value)
+      : anyIndexed ? anyIndexed.name.split('.').pop() : null;
+
+    const operStatus = byPrefix('ifOperStatus')?.value;
+    const status = OPER_STATUS[operStatus] || (event.name === 'linkUp' ? 'up' : 'down');
+
+    const knownInterface = ifIndex !== null
+      ? (this.snmpEngine?.getDevice(event.device?.ip || event.address)?.interfaces || [])
+        .find(entry => String(entry.index) === ifIndex)
+      : null;
+    const interfaceName = byPrefix('ifName')?.value || byPrefix('ifDescr')?.value || knownInterface?.description || null;
+
+    const nodeId = event.device?.nodeId;
+    const links = nodeId && this.topology?.setInterfaceState
+      ? this.topology.setInterfaceState(nodeId, { ifIndex, name: interfaceName, status, timestamp: event.timestamp })
+      : [];
+
+    const change = { nodeId: nodeId || null, address: event.address, ifIndex, interface: interfaceName, status, links };
+    this.eventBus?.publish('auvik:linkState', change);
+    this.emit('linkState', change);
+    return change;
+  }
+
+  /**
+   * Helper: Name for an OID by longest known prefix, instance suffix kept
+   */
+  oidName(oid) {
+    if (!oid) return null;
+    const names = { ...OID_NAMES, ...this.config.mibNames };
+    const parts = String(oid).split('.');
+    for (let length = parts.length; length > 0; length--) {
+      const prefix = parts.slice(0, length).join('.');
+      const name = names[prefix] || TRAP_NAMES[prefix]?.name;
+      if (name) {
+        return length === parts.length ? name : `${name}.${parts.slice(length).join('.')}`;
+      }
+    }
+    return null;
+  }
+
+  async openListener(key, open) {
+    try {
+      this.listeners[key] = await open();
+      delete this.listenerErrors[key];
+    } catch (error) {
+      this.listeners[key] = null;
+      this.listenerErrors[key] = error.message;
+      console.warn(`Event receiver: ${key} listener failed:`, error.message);
+      this.emit('listenerError', { listener: key, error: error.message });
+    }
+  }
+
+  openTrapListener(config, address) {
+    const snmp = this.snmp || (this.snmp = require('net-snmp'));
+    const receiver = snmp.createReceiver({
+      port: config.port,
+      address: address === '0.0.0.0' ? null : address,
+      disableAuthorization: config.communities.length === 0 && config.users.length === 0,
+      includeAuthentication: true
+    }, (error, notification) => {
+      if (error) {
+        this.stats.malformed++;
+        console.warn('Event receiver: bad trap:', error.message);
+        return;
+      }
+      try {
+        this.handleTrap(notification);
+      } catch (handleError) {
+        console.warn('Event receiver: trap not processed:', handleError.message);
+      }
+    });
+
+    const authorizer = receiver.getAuthorizer();
+    for (const community of config.communities) {
+      authorizer.addCommunity(community);
+    }
+    for (const user of config.users) {
+      authorizer.addUser({
+        name: user.name,
+        level: snmp.SecurityLevel[user.level],
+        authProtocol: user.authProtocol ? snmp.AuthProtocols[user.authProtocol] : undefined,
+        authKey: this.resolveKey(user, USM_KEYS[0]),
+        privProtocol: user.privProtocol ? snmp.PrivProtocols[user.privProtocol] : undefined,
+        privKey: this.resolveKey(user, USM_KEYS[1])
+      });
+    }
+    return receiver;
+  }
+
+  openSyslogUdp(port, address) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', reject);
+      socket.on('message', (message, rinfo) => {
+        // One message per datagram; some senders append a newline
+        this.handleSyslog(message.toString('utf8').replace(/[\r\n\0]+$/, ''), rinfo, 'udp');
+      });
+      socket.bind(port, address, () => {
+        socket.off('error', reject);
+        socket.on('error', error => console.warn('Event receiver: syslog UDP error:', error.message));
+        resolve(socket);
+      });
+    });
+  }
+
+  openSyslogTcp(port, address) {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer(socket => {
+        this.tcpConnections.add(socket);
+        const rinfo = { address: socket.remoteAddress?.replace(/^::ffff:/, ''), port: socket.remotePort };
+        let buffer = Buffer.alloc(0);
+
+        socket.on('data', chunk => {
+          buffer = Buffer.concat([buffer, chunk]);
+          const { frames, rest, invalid } = splitFrames(buffer);
+          buffer = rest;
+          for (const frame of frames) {
+            this.handleSyslog(frame, rinfo, 'tcp');
+          }
+          if (invalid || buffer.length > MAX_FRAME) {
+            this.stats.malformed++;
+            socket.destroy();
+          }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => this.tcpConnections.delete(socket));
+      });
+      server.once('error', reject);
+      server.listen(port, address, () => {
+        server.off('error', reject);
+        server.on('error', error => console.warn('Event receiver: syslog TCP error:', error.message));
+        resolve(server);
+      });
+    });
+  }
+
+  loadConfig() {
+    if (!this.configPath || !fs.existsSync(this.configPath)) {
+      return normalizeConfig({});
+    }
+    try {
+      return normalizeConfig(JSON.parse(fs.readFileSync(this.configPath, 'utf8')));
+    } catch (error) {
+      console.warn('Event receiver config ignored:', error.message);
+      return normalizeConfig({});
+    }
+  }
+
+  saveConfig() {
+    if (!this.configPath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+      fs.writeFileSync(this.configPath, JSON.stringify(this.config, null, 2), { mode: 0o600 });
+    } catch (error) {
+      console.error('Failed to save event receiver config:', error);
+    }
+  }
+
+  /**
+   * Helper: Move plaintext USM keys of an older settings file into the credential store
+   * Without OS encryption they stay where they are until it is available.
+   */
+  migrateKeys() {
+    const legacy = this.config.trap.users.filter(user => user.authKey || user.privKey);
+    if (legacy.length === 0) return;
+    if (!this.credentials?.isAvailable()) {
+      console.warn('Event receiver: SNMPv3 trap keys stay in the settings file until OS encryption is available');
+      return;
+    }
+    const created = [];
+    try {
+      this.config.trap.users = this.config.trap.users.map(user => this.storeKeys(user, user, created));
+      this.saveConfig();
+      console.log(`Event receiver: SNMPv3 keys of ${legacy.length} trap users moved to the credential store`);
+    } catch (error) {
+      for (const id of created) this.credentials.delete(id);
+      console.warn('Event receiver: SNMPv3 trap keys not migrated:', error.message);
+    }
+  }
+
+  /**
+   * Helper: Trap user with its keys replaced by credential IDs
+   * @param {Object} user - Validated user; keys are plaintext, masked or omitted
+   * @param {Object} previous - Stored user of the same name (its credentials are reused)
+   * @param {Array} created - Collects IDs of new credentials (removed if configure fails)
+   */
+  storeKeys(user, previous, created) {
+    const { authKey, privKey, ...stored } = user;
+    const keys = { authKey, privKey };
+
+    for (const { key, id, label } of USM_KEYS) {
+      const needed = key === 'authKey' ? user.level !== 'noAuthNoPriv' : user.level === 'authPriv';
+      const value = keys[key];
+      if (!needed) {
+        stored[id] = null;
+      } else if (value && value !== MASKED_KEY) {
+        if (!this.credentials) {
+          throw new Error('SNMPv3 trap keys need the credential store');
+        }
+        const existing = previous[id] && this.credentials.get(previous[id]) ? previous[id] : undefined;
+        const credential = this.credentials.set({
+          id: existing,
+          label: `SNMPv3 trap user ${user.name} ${label}`,
+          username: user.name,
+          kind: 'password',
+          secret: value
+        });
+        if (!existing) created.push(credential.id);
+        stored[id] = credential.id;
+      } else if (previous[id]) {
+        stored[id] = previous[id];
+      } else if (previous[key]) {
+        stored[key] = previous[key]; // not migrated yet
+        stored[id] = null;
+      } else {
+        throw new Error(`SNMPv3 user ${user.name} needs ${key}`);
+      }
+    }
+    return stored;
+  }
+
+  /**
+   * Helper: Decrypt a trap user's key for the net-snmp authorizer
+   */
+  resolveKey(user, { key, id }) {
+    if (user[id]) {
+      if (!this.credentials) {
+        throw new Error('SNMPv3 trap keys need the credential store');
+      }
+      return this.credentials.resolve(user[id]).secret;
+    }
+    return user[key] || undefined;
+  }
+}
+
+/**
+ * Parse an RFC 5424 or RFC 3164 syslog message
+ * @returns {Object|null} { format, facility, facilityName, severity, timestamp, hostname, appName,
+ *   procId, msgId, structuredData, message }
+ */
+function parseSyslog(text, now = new Date()) {
+  const header = /^<(\d{1,3})>/.exec(text);
+  if (!header || Number(header[1]) > 191) return null;
+  const pri = Number(header[1]);
+  const base = {
+    facility: pri >> 3,
+    facilityName: FACILITIES[pri >> 3] || `facility${pri >> 3}`,
+    severity: pri & 7
+  };
+  const body = text.slice(header[0].length);
+
+  // RFC 5424: VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID STRUCTURED-DATA [MSG]
+  const rfc5424 = /^(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) (-|(?:\[(?:[^\]\\"]|\\.|"(?:[^"\\]|\\.)*")*\])+)(?: ([\s\S]*))?$/.exec(body);
+  if (rfc5424) {
+    const nil = (value) => (value === '-' ? null : value);
+    const timestamp = nil(rfc5424[2]) ? Date.parse(rfc5424[2]) : NaN;
+    return {
+      format: '5424',
+      ...base,
+      timestamp: Number.isFinite(timestamp) ? timestamp : null,
+      hostname: nil(rfc5424[3]),
+      appName: nil(rfc5424[4]),
+      procId: nil(rfc5424[5]),
+      msgId: nil(rfc5424[6]),
+      structuredData: parseStructuredData(rfc5424[7]),
+      message: (rfc5424[8] || '').replace(/^\uFEFF/, '')
+    };
+  }
+
+  // RFC 3164: [Mmm dd hh:mm:ss HOSTNAME ]TAG[pid]: MSG (devices often omit the header)
+  let rest = body;
+  let timestamp = null;
+  let hostname = null;
+  const stamp = /^([A-Z][a-z]{2}) ([ \d]\d) (\d\d):(\d\d):(\d\d) /.exec(rest);
+  if (stamp && MONTHS.includes(stamp[1])) {
+    const date = new Date(now.getFullYear(), MONTHS.indexOf(stamp[1]), Number(stamp[2]),
+      Number(stamp[3]), Number(stamp[4]), Number(stamp[5]));
+    // No year in the header: a date far in the future is from last year
+    if (date.getTime() - now.getTime() > 24 * 60 * 60 * 1000) {
+      date.setFullYear(date.getFullYear() - 1);
+    }
+    timestamp = date.getTime();
+    rest = rest.slice(stamp[0].length);
+
+    const host = /^([^\s:[\]]+) /.exec(rest);
+    if (host) {
+      hostname = host[1];
+      rest = rest.slice(host[0].length);
+    }
+  }
+
+  const tag = /^([\w\-./%]{1,48})(?:\[([^\]]*)\])?: ?/.exec(rest);
+  return {
+    format: '3164',
+    ...base,
+    timestamp,
+    hostname,
+    appName: tag ? tag[1] : null,
+    procId: tag && tag[2] !== undefined ? tag[2] : null,
+    msgId: null,
+    structuredData: {},
+    message: tag ? rest.slice(tag[0].length) : rest
+  };
+}
+
+/**
+ * Helper: RFC 5424 STRUCTURED-DATA -> { sdId: { param: value } }
+ */
+function parseStructuredData(text) {
+  const data = {};
+  if (!text || text === '-') return data;
+  const elementPattern = /\[([^\s\]]+)((?:\s+[^\s=\]]+="(?:[^"\\]|\\.)*")*)\s*\]/g;
+  let element;
+  while ((element = elementPattern.exec(text)) !== null) {
+    const params = {};
+    const paramPattern = /([^\s=\]]+)="((?:[^"\\]|\\.)*)"/g;
+    let param;
+    while ((param = paramPattern.exec(element[2])) !== null) {
+      params[param[1]] = param[2].replace(/\\(["\\\]])/g, '$1');
+    }
+    data[element[1]] = params;
+  }
+  return data;
+}
+
+/**
+ * Helper: Split a TCP stream into syslog messages (RFC 6587 octet counting or
+ * newline/NUL-delimited framing)
+ * @returns {Object} { frames: string[], rest: Buffer, invalid?: true when the stream is not syslog }
+ */
+function splitFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const first = buffer[offset];
+    if (first >= 0x30 && first <= 0x39) {
+      // Octet counting: "LEN SP MSG"
+      const space = buffer.indexOf(0x20, offset);
+      if (space === -1 || space - offset > 6) {
+        if (space === -1 && buffer.length - offset <= 6) break; // length still arriving
+        return { frames, rest: buffer.subarray(offset), invalid: true };
+      }
+      const length = Number(buffer.toString('ascii', offset, space));
+      if (space + 1 + length > buffer.length) break;
+      frames.push(buffer.toString('utf8', space + 1, space + 1 + length).replace(/[\r\n]+$/, ''));
+      offset = space + 1 + length;
+    } else if (first === 0x0a || first === 0x0d || first === 0x00) {
+      offset++;
+    } else {
+      let end = offset;
+      while (end < buffer.length && buffer[end] !== 0x0a && buffer[end] !== 0x00) end++;
+      if (end === buffer.length) break;
+      frames.push(buffer.toString('utf8', offset, end).replace(/\r$/, ''));
+      offset = end + 1;
+    }
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Helper: Validate rules and build their match functions
+ */
+function compileRules(rules) {
+  return rules.map((rule, index) => {
+    const label = `Rule ${index + 1} (${rule.name || rule.id})`;
+    const match = rule.match || {};
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`${label}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    const severities = match.severity ? [].concat(match.severity) : null;
+    for (const name of [...(severities || []), ...(match.minSeverity ? [match.minSeverity] : [])]) {
+      if (!SEVERITIES.includes(name)) {
+        throw new Error(`${label}: match severities must be among ${SEVERITIES.join(', ')}`);
+      }
+    }
+    if (match.source && !['trap', 'syslog'].includes(match.source)) {
+      throw new Error(`${label}: match.source must be trap or syslog`);
+    }
+    if (match.facility && !FACILITIES.includes(match.facility)) {
+      throw new Error(`${label}: unknown facility ${match.facility}`);
+    }
+    const addressTest = match.address ? compileAddress(match.address, label) : null;
+    let pattern = null;
+    let hostname = null;
+    try {
+      pattern = match.pattern ? new RegExp(match.pattern, 'i') : null;
+      hostname = match.hostname ? new RegExp(match.hostname, 'i') : null;
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+    const maxSeverity = match.minSeverity ? severityCode(match.minSeverity) : null;
+
+    return {
+      ...rule,
+      test: (event) =>
+        (!match.source || event.source === match.source) &&
+        (!addressTest || addressTest(event.address)) &&
+        (!hostname || hostname.test(event.device?.hostname || event.syslog?.hostname || '')) &&
+        (!match.name || [event.name, event.trap?.oid].some(value => value && value.toLowerCase() === String(match.name).toLowerCase())) &&
+        (!match.facility || event.syslog?.facilityName === match.facility) &&
+        (!severities || severities.includes(event.severity)) &&
+        (maxSeverity === null || severityCode(event.severity) <= maxSeverity) &&
+        (!pattern || pattern.test(event.message))
+    };
+  });
+}
+
+/**
+ * Helper: Test for an IPv4 address or CIDR range
+ */
+function compileAddress(value, label) {
+  const [network, bitsText] = String(value).split('/');
+  const base = ipToInt(network);
+  const bits = bitsText === undefined ? 32 : Number(bitsText);
+  if (base === null || !Number.isInteger(bits) || bits < 0 || bits > 32) {
+    throw new Error(`${label}: match.address must be an IPv4 address or CIDR range`);
+  }
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (address) => {
+    const ip = ipToInt(address);
+    return ip !== null && ((ip & mask) >>> 0) === ((base & mask) >>> 0);
+  };
+}
+
+function ipToInt(ip) {
+  const parts = String(ip || '').split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) return null;
+  return parts.reduce((total, part) => total * 256 + Number(part), 0);
+}
+
+function severityCode(name) {
+  const code = SEVERITIES.indexOf(name);
+  return code === -1 ? SEVERITIES.indexOf('info') : code;
+}
+
+function sameHost(a, b) {
+  if (!a || !b) return false;
+  const left = a.toLowerCase();
+  const right = b.toLowerCase();
+  return left === right || left.split('.')[0] === right.split('.')[0];
+}
+
+/**
+ * Helper: Varbind value as JSON-friendly text or number
+ */
+function formatValue(value) {
+  if (Buffer.isBuffer(value)) {
+    // Printable OctetStrings as text, anything else (MACs, Counter64) as hex
+    return /^[\x09\x0a\x0d\x20-\x7e]*$/.test(value.toString('latin1'))
+      ? value.toString('latin1')
+      : Array.from(value).map(byte => byte.toString(16).padStart(2, '0')).join(':');
+  }
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+/**
+ * Helper: One-line summary of a trap
+ */
+function describeTrap(name, varbinds) {
+  const pick = (prefix) => varbinds.find(varbind => varbind.name && varbind.name.startsWith(`${prefix}.`));
+  const iface = pick('ifName') || pick('ifDescr');
+  if (name === 'linkDown' || name === 'linkUp') {
+    const index = pick('ifIndex')?.value ?? (iface ? iface.name.split('.').pop() : null);
+    const reason = pick('locIfReason');
+    return `${name === 'linkUp' ? 'Link up' : 'Link down'}: ${iface ? iface.value : `ifIndex ${index ?? '?'}`}` +
+      `${iface && index !== null ? ` (ifIndex ${index})` : ''}${reason ? ` - ${reason.value}` : ''}`;
+  }
+  const text = pick('clogHistMsgText');
+  if (text) return `${name}: ${text.value}`;
+  const details = varbinds.slice(0, 4).map(varbind => `${varbind.name || varbind.oid}=${varbind.value}`);
+  return details.length > 0 ? `${name}: ${details.join(', ')}` : name;
+}
+
+/**
+ * Helper: Credential IDs of the trap users' keys
+ */
+function keyIds(users) {
+  return users.flatMap(user => [user.authKeyId, user.privKeyId]).filter(Boolean);
+}
+
+/**
+ * Helper: Validate settings and fill defaults
+ */
+function normalizeConfig(config) {
+  const trap = { ...DEFAULT_CONFIG.trap, ...(config.trap || {}) };
+  const syslog = { ...DEFAULT_CONFIG.syslog, ...(config.syslog || {}) };
+  const validPort = (port) => Number.isInteger(port) && port > 0 && port < 65536;
+
+  if (!validPort(trap.port) || !validPort(syslog.udpPort) || (syslog.tcpPort !== null && !validPort(syslog.tcpPort))) {
+    throw new Error('Listener ports must be between 1 and 65535');
+  }
+  if (!Array.isArray(trap.communities) || !Array.isArray(trap.users)) {
+    throw new Error('Trap communities and users must be arrays');
+  }
+  for (const user of trap.users) {
+    if (!user.name || !['noAuthNoPriv', 'authNoPriv', 'authPriv'].includes(user.level)) {
+      throw new Error('SNMPv3 trap users need a name and level (noAuthNoPriv, authNoPriv, authPriv)');
+    }
+    if (user.level !== 'noAuthNoPriv' && !user.authProtocol) {
+      throw new Error(`SNMPv3 user ${user.name} needs authProtocol and authKey`);
+    }
+    if (user.level === 'authPriv' && !user.privProtocol) {
+      throw new Error(`SNMPv3 user ${user.name} needs privProtocol and privKey`);
+    }
+  }
+  const retentionDays = config.retentionDays ?? DEFAULT_CONFIG.retentionDays;
+  if (!(retentionDays >= 1)) {
+    throw new Error('Retention must be at least one day');
+  }
+
+  return {
+    trap: { enabled: !!trap.enabled, port: trap.port, communities: trap.communities, users: trap.users },
+    syslog: { enabled: !!syslog.enabled, udpPort: syslog.udpPort, tcpPort: syslog.tcpPort },
+    address: config.address || DEFAULT_CONFIG.address,
+    mibNames: config.mibNames || {},
+    retentionDays,
+    rules: Array.isArray(config.rules) ? config.rules : []
+  };
+}
+
+module.exports = { EventReceiver, parseSyslog, splitFrames, SEVERITIES, FACILITIES, TRAP_NAMES };
@@ -0,0 +1,54 @@
+/**
+ * Type declarations for Network Event Receiver
+ */
+
+import { EventEmitter } from 'events';
+import {
+  EventReceiverConfig,
+  EventReceiverStatus,
+  LinkStateChange,
+  NetworkEvent,
+  NetworkEventQuery,
+  NetworkEventRule,
+  SyslogDetails
+} from '../types/index';
+import { NetworkEventStore } from './event-store';
+
+export interface EventReceiverOptions {
+  eventBus?: any;
+  snmpEngine?: any;
+  topology?: any;
+  store?: NetworkEventStore | null;
+  configPath?: string;
+  snmp?: any;
+}
+
+export const SEVERITIES: string[];
+export const FACILITIES: string[];
+export const TRAP_NAMES: Record<string, { name: string; severity: string }>;
+
+export function parseSyslog(text: string, now?: Date): SyslogDetails | null;
+export function splitFrames(buffer: Buffer): { frames: string[]; rest: Buffer; invalid?: boolean };
+
+export class EventReceiver extends EventEmitter {
+  constructor(options?: EventReceiverOptions);
+
+  start(): Promise<EventReceiverStatus>;
+  stop(): Promise<void>;
+  getConfig(): EventReceiverConfig & { status: EventReceiverStatus };
+  configure(changes: Partial<EventReceiverConfig>): Promise<EventReceiverConfig & { status: EventReceiverStatus }>;
+  getRules(): NetworkEventRule[];
+  setRules(rules: NetworkEventRule[]): NetworkEventRule[];
+  search(query?: NetworkEventQuery): NetworkEvent[];
+  getStatus(): EventReceiverStatus;
+  handleTrap(notification: { pdu: any; rinfo: { address: string; port?: number } }): NetworkEvent | null;
+  handleSyslog(text: string, rinfo: { address: string; port?: number }, transport?: 'udp' | 'tcp'): NetworkEvent | null;
+  oidName(oid: string): string | null;
+
+  on(event: 'event', listener: (event: NetworkEvent) => void): this;
+  on(event: 'linkState', listener: (change: LinkStateChange) => void): this;
+  on(event: 'listenerError', listener: (data: { listener: string; error: string }) => void): this;
+  on(event: string, listener: (...args: any[]) => void): this;
+}
+
+export default EventReceiver;
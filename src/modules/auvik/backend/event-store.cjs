@@ -0,0 +1,173 @@
+/**
+ * Network Event Store
+ * SQLite history of SNMP traps and syslog messages received by the EventReceiver
+ *
+ * Features:
+ * - Events survive restarts (WAL-mode SQLite via better-sqlite3)
+ * - Search by source, device address, severity, name, rule, time and free text
+ * - Retention purge for old events
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+
+class NetworkEventStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.databasePath] - SQLite file (default ./data/network-events.db)
+   */
+  constructor(options = {}) {
+    this.databasePath = options.databasePath || path.join(process.cwd(), 'data', 'network-events.db');
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the schema
+   */
+  initialize() {
+    const dir = path.dirname(this.databasePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(this.databasePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS network_events (
+        id TEXT PRIMARY KEY,
+        timestamp INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        address TEXT NOT NULL,
+        hostname TEXT,
+        node_id TEXT,
+        severity INTEGER NOT NULL,
+        name TEXT,
+        message TEXT NOT NULL,
+        rule_id TEXT,
+        tags TEXT NOT NULL DEFAULT '[]',
+        details TEXT NOT NULL DEFAULT '{}'
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_network_events_timestamp ON network_events(timestamp);
+      CREATE INDEX IF NOT EXISTS idx_network_events_address ON network_events(address, timestamp)
+    `);
+
+    this.insert = this.db.prepare(`
+      INSERT OR REPLACE INTO network_events
+        (id, timestamp, source, address, hostname, node_id, severity, name, message, rule_id, tags, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    console.log('✓ Network event store initialized:', this.databasePath);
+    return this;
+  }
+
+  /**
+   * Persist an event
+   */
+  saveEvent(event) {
+    this.requireDb();
+    const { id, timestamp, source, address, severityCode, name, message, ruleId, tags, ...details } = event;
+    this.insert.run(
+      id,
+      timestamp,
+      source,
+      address,
+      event.device?.hostname || null,
+      event.device?.nodeId || null,
+      severityCode,
+      name || null,
+      message,
+      ruleId || null,
+      JSON.stringify(tags || []),
+      JSON.stringify(details)
+    );
+  }
+
+  /**
+   * Search events (newest first)
+   * @param {Object} [options] - { source, address, nodeId, maxSeverity (code, 0 = emergency),
+   *   name, ruleId, text, since, until, limit, offset }
+   * @returns {Array} Events
+   */
+  search(options = {}) {
+    this.requireDb();
+    const where = [];
+    const params = [];
+
+    const filters = {
+      source: 'source = ?',
+      address: 'address = ?',
+      nodeId: 'node_id = ?',
+      maxSeverity: 'severity <= ?',
+      name: 'name = ? COLLATE NOCASE',
+      ruleId: 'rule_id = ?',
+      since: 'timestamp >= ?',
+      until: 'timestamp <= ?'
+    };
+    for (const [key, clause] of Object.entries(filters)) {
+      if (options[key] !== undefined && options[key] !== null) {
+        where.push(clause);
+        params.push(options[key]);
+      }
+    }
+    if (options.text) {
+      where.push(`(message LIKE ? ESCAPE '\\' OR name LIKE ? ESCAPE '\\' OR hostname LIKE ? ESCAPE '\\')`);
+      const like = `%${String(options.text).replace(/[\\%_]/g, '\\$&')}%`;
+      params.push(like, like, like);
+    }
+
+    const rows = this.db.prepare(`
+      SELECT * FROM network_events
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY timestamp DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, options.limit || 100, options.offset || 0);
+
+    return rows.map(row => this.toEvent(row));
+  }
+
+  /**
+   * Delete events older than the retention
+   * @returns {number} Events removed
+   */
+  purge(olderThanMs = 30 * 24 * 60 * 60 * 1000) {
+    this.requireDb();
+    return this.db.prepare('DELETE FROM network_events WHERE timestamp < ?').run(Date.now() - olderThanMs).changes;
+  }
+
+  toEvent(row) {
+    return {
+      ...JSON.parse(row.details),
+      id: row.id,
+      timestamp: row.timestamp,
+      source: row.source,
+      address: row.address,
+      severityCode: row.severity,
+      name: row.name,
+      message: row.message,
+      ruleId: row.rule_id,
+      tags: JSON.parse(row.tags)
+    };
+  }
+
+  requireDb() {
+    if (!this.db) {
+      throw new Error('Network event store not initialized');
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = { NetworkEventStore };
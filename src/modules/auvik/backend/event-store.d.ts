@@ -0,0 +1,31 @@
+/**
+ * Type declarations for Network Event Store
+ */
+
+import { NetworkEvent } from '../types/index';
+
+export interface NetworkEventSearchOptions {
+  source?: 'trap' | 'syslog';
+  address?: string;
+  nodeId?: string;
+  maxSeverity?: number;
+  name?: string;
+  ruleId?: string;
+  text?: string;
+  since?: number;
+  until?: number;
+  limit?: number;
+  offset?: number;
+}
+
+export class NetworkEventStore {
+  constructor(options?: { databasePath?: string });
+
+  initialize(): this;
+  saveEvent(event: NetworkEvent): void;
+  search(options?: NetworkEventSearchOptions): NetworkEvent[];
+  purge(olderThanMs?: number): number;
+  close(): void;
+}
+
+export default NetworkEventStore;
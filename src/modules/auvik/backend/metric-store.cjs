@@ -0,0 +1,299 @@
+/**
+ * SNMP Metric Store
+ * SQLite time-series for values collected by the SNMP poller
+ *
+ * Features:
+ * - One series per device, metric and instance (interface, CPU, storage entry)
+ * - Raw samples plus 5-minute and 1-hour rollups (avg/min/max/count), updated
+ *   as samples arrive
+ * - Retention per resolution (raw 2 days, 5m 30 days, 1h 400 days by default)
+ * - Range queries that pick the resolution from the time span
+ * - WAL-mode SQLite via better-sqlite3
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Rollup bucket sizes (ms)
+const RESOLUTIONS = { '5m': 5 * MINUTE, '1h': HOUR };
+
+const DEFAULT_RETENTION = {
+  raw: 2 * DAY,
+  '5m': 30 * DAY,
+  '1h': 400 * DAY
+};
+
+class MetricStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.databasePath] - SQLite file (default ./data/snmp-metrics.db)
+   * @param {Object} [options.retention] - ms to keep per resolution: { raw, '5m', '1h' }
+   */
+  constructor(options = {}) {
+    this.databasePath = options.databasePath || path.join(process.cwd(), 'data', 'snmp-metrics.db');
+    this.retention = { ...DEFAULT_RETENTION, ...(options.retention || {}) };
+    this.db = null;
+    this.seriesIds = new Map(); // 'device|metric|instance' -> id
+  }
+
+  /**
+   * Open the database and create the schema
+   */
+  initialize() {
+    const dir = path.dirname(this.databasePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(this.databasePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS snmp_series (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        instance TEXT NOT NULL DEFAULT '',
+        label TEXT,
+        unit TEXT,
+        last_timestamp INTEGER,
+        last_value REAL,
+        UNIQUE (device, metric, instance)
+      )
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS snmp_samples (
+        series_id INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        value REAL NOT NULL,
+        PRIMARY KEY (series_id, timestamp)
+      ) WITHOUT ROWID
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS snmp_rollups (
+        series_id INTEGER NOT NULL,
+        resolution TEXT NOT NULL,
+        bucket INTEGER NOT NULL,
+        avg REAL NOT NULL,
+        min REAL NOT NULL,
+        max REAL NOT NULL,
+        count INTEGER NOT NULL,
+        PRIMARY KEY (series_id, resolution, bucket)
+      ) WITHOUT ROWID
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_snmp_samples_timestamp
+      ON snmp_samples(timestamp)
+    `);
+
+    this.statements = {
+      insertSample: this.db.prepare(`
+        INSERT OR REPLACE INTO snmp_samples (series_id, timestamp, value) VALUES (?, ?, ?)
+      `),
+      upsertRollup: this.db.prepare(`
+        INSERT INTO snmp_rollups (series_id, resolution, bucket, avg, min, max, count)
+        VALUES (?, ?, ?, ?, ?, ?, 1)
+        ON CONFLICT (series_id, resolution, bucket) DO UPDATE SET
+          avg = (avg * count + excluded.avg) / (count + 1),
+          min = MIN(min, excluded.min),
+          max = MAX(max, excluded.max),
+          count = count + 1
+      `),
+      updateLast: this.db.prepare(`
+        UPDATE snmp_series SET last_timestamp = ?, last_value = ?, label = COALESCE(?, label)
+        WHERE id = ? AND (last_timestamp IS NULL OR last_timestamp <= ?)
+      `)
+    };
+
+    console.log('✓ SNMP metric store initialized:', this.databasePath);
+    return this;
+  }
+
+  /**
+   * Store samples taken at one time
+   * @param {string} device - Polled target
+   * @param {number} timestamp - ms
+   * @param {Array} samples - [{ metric, instance?, label?, unit?, value }]; null values are skipped
+   * @returns {number} Samples stored
+   */
+  record(device, timestamp, samples) {
+    this.requireDb();
+    const valid = samples.filter(sample => Number.isFinite(sample.value));
+
+    const insert = this.db.transaction(() => {
+      for (const sample of valid) {
+        const seriesId = this.seriesId(device, sample);
+        this.statements.insertSample.run(seriesId, timestamp, sample.value);
+        for (const [resolution, size] of Object.entries(RESOLUTIONS)) {
+          const bucket = Math.floor(timestamp / size) * size;
+          this.statements.upsertRollup.run(seriesId, resolution, bucket, sample.value, sample.value, sample.value);
+        }
+        this.statements.updateLast.run(timestamp, sample.value, sample.label ?? null, seriesId, timestamp);
+      }
+    });
+    insert();
+    return valid.length;
+  }
+
+  /**
+   * Read series over a time range
+   * @param {Object} query - { device, metric, instance?, from, to, resolution: 'auto' | 'raw' | '5m' | '1h' }
+   * @returns {Array} [{ device, metric, instance, label, unit, resolution, points: [[t, avg, min, max]] }]
+   */
+  query(query = {}) {
+    this.requireDb();
+    if (!query.device || !query.metric) {
+      throw new Error('Metric query needs device and metric');
+    }
+    const to = query.to || Date.now();
+    const from = query.from || to - HOUR;
+    const resolution = !query.resolution || query.resolution === 'auto'
+      ? this.pickResolution(from, to)
+      : query.resolution;
+    if (resolution !== 'raw' && !RESOLUTIONS[resolution]) {
+      throw new Error(`Resolution must be one of auto, raw, ${Object.keys(RESOLUTIONS).join(', ')}`);
+    }
+
+    const series = this.db.prepare(`
+      SELECT * FROM snmp_series
+      WHERE device = ? AND metric = ? ${query.instance !== undefined ? 'AND instance = ?' : ''}
+      ORDER BY instance
+    `).all(...[query.device, query.metric, query.instance].filter(value => value !== undefined));
+
+    const rawPoints = this.db.prepare(`
+      SELECT timestamp, value FROM snmp_samples
+      WHERE series_id = ? AND timestamp >= ? AND timestamp <= ?
+      ORDER BY timestamp
+    `);
+    const rollupPoints = this.db.prepare(`
+      SELECT bucket, avg, min, max FROM snmp_rollups
+      WHERE series_id = ? AND resolution = ? AND bucket >= ? AND bucket <= ?
+      ORDER BY bucket
+    `);
+
+    return series.map(row => ({
+      ...this.toSeries(row),
+      resolution,
+      points: resolution === 'raw'
+        ? rawPoints.all(row.id, from, to).map(point => [point.timestamp, point.value, point.value, point.value])
+        : rollupPoints.all(row.id, resolution, Math.floor(from / RESOLUTIONS[resolution]) * RESOLUTIONS[resolution], to)
+          .map(point => [point.bucket, point.avg, point.min, point.max])
+    }));
+  }
+
+  /**
+   * Series of a device (or all devices) with their latest value
+   */
+  listSeries(device = null) {
+    this.requireDb();
+    const rows = device
+      ? this.db.prepare('SELECT * FROM snmp_series WHERE device = ? ORDER BY metric, instance').all(device)
+      : this.db.prepare('SELECT * FROM snmp_series ORDER BY device, metric, instance').all();
+    return rows.map(row => this.toSeries(row));
+  }
+
+  /**
+   * Delete a device's series and samples
+   */
+  deleteDevice(device) {
+    this.requireDb();
+    const remove = this.db.transaction(() => {
+      const ids = this.db.prepare('SELECT id FROM snmp_series WHERE device = ?').all(device).map(row => row.id);
+      for (const id of ids) {
+        this.db.prepare('DELETE FROM snmp_samples WHERE series_id = ?').run(id);
+        this.db.prepare('DELETE FROM snmp_rollups WHERE series_id = ?').run(id);
+      }
+      this.db.prepare('DELETE FROM snmp_series WHERE device = ?').run(device);
+      return ids.length;
+    });
+    const removed = remove();
+    for (const key of this.seriesIds.keys()) {
+      if (key.startsWith(`${device}|`)) this.seriesIds.delete(key);
+    }
+    return removed;
+  }
+
+  /**
+   * Drop samples and rollups past their retention
+   * @returns {Object} Rows removed per resolution
+   */
+  purge(now = Date.now()) {
+    this.requireDb();
+    const removed = {
+      raw: this.db.prepare('DELETE FROM snmp_samples WHERE timestamp < ?').run(now - this.retention.raw).changes
+    };
+    for (const resolution of Object.keys(RESOLUTIONS)) {
+      removed[resolution] = this.db.prepare('DELETE FROM snmp_rollups WHERE resolution = ? AND bucket < ?')
+        .run(resolution, now - this.retention[resolution]).changes;
+    }
+    return removed;
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Helper: Finest resolution still kept for the whole range, at most ~1000 points
+   */
+  pickResolution(from, to) {
+    const span = to - from;
+    const oldest = Date.now() - from;
+    if (oldest <= this.retention.raw && span <= 6 * HOUR) return 'raw';
+    if (oldest <= this.retention['5m'] && span <= 3 * DAY) return '5m';
+    return '1h';
+  }
+
+  /**
+   * Helper: Series ID, created on first use
+   */
+  seriesId(device, sample) {
+    const instance = sample.instance === undefined || sample.instance === null ? '' : String(sample.instance);
+    const key = `${device}|${sample.metric}|${instance}`;
+    let id = this.seriesIds.get(key);
+    if (id === undefined) {
+      this.db.prepare(`
+        INSERT OR IGNORE INTO snmp_series (device, metric, instance, label, unit) VALUES (?, ?, ?, ?, ?)
+      `).run(device, sample.metric, instance, sample.label ?? null, sample.unit ?? null);
+      id = this.db.prepare('SELECT id FROM snmp_series WHERE device = ? AND metric = ? AND instance = ?')
+        .get(device, sample.metric, instance).id;
+      this.seriesIds.set(key, id);
+    }
+    return id;
+  }
+
+  toSeries(row) {
+    return {
+      device: row.device,
+      metric: row.metric,
+      instance: row.instance,
+      label: row.label,
+      unit: row.unit,
+      lastTimestamp: row.last_timestamp,
+      lastValue: row.last_value
+    };
+  }
+
+  requireDb() {
+    if (!this.db) {
+      throw new Error('Metric store not initialized');
+    }
+  }
+}
+
+module.exports = { MetricStore, RESOLUTIONS, DEFAULT_RETENTION };
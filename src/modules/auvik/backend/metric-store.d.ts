@@ -0,0 +1,41 @@
+/**
+ * Type declarations for SNMP Metric Store
+ */
+
+import { MetricQuery, MetricQueryResult, MetricResolution, MetricSeries } from '../types/index';
+
+export interface MetricSample {
+  metric: string;
+  instance?: string | number | null;
+  label?: string | null;
+  unit?: string | null;
+  value: number | null;
+}
+
+export interface MetricRetention {
+  raw?: number;
+  '5m'?: number;
+  '1h'?: number;
+}
+
+export interface MetricStoreOptions {
+  databasePath?: string;
+  retention?: MetricRetention;
+}
+
+export const RESOLUTIONS: Record<Exclude<MetricResolution, 'raw'>, number>;
+export const DEFAULT_RETENTION: Required<MetricRetention>;
+
+export class MetricStore {
+  constructor(options?: MetricStoreOptions);
+
+  initialize(): this;
+  record(device: string, timestamp: number, samples: MetricSample[]): number;
+  query(query: MetricQuery): MetricQueryResult[];
+  listSeries(device?: string | null): MetricSeries[];
+  deleteDevice(device: string): number;
+  purge(now?: number): Record<MetricResolution, number>;
+  close(): void;
+}
+
+export default MetricStore;
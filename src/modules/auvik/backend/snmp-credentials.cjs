@@ -0,0 +1,368 @@
+/**
+ * SNMP Credential Profiles
+ * Named SNMP credentials assigned per subnet or site, used by discovery and polling
+ *
+ * Features:
+ * - v1/v2c community and v3 USM (noAuthNoPriv, authNoPriv, authPriv) profiles
+ * - Communities and USM keys encrypted with Electron safeStorage through the
+ *   toolkit credential store's SecretBox; refuses to store secrets without OS encryption
+ * - Ordered profile lists assigned to subnets (CIDR), sites, or everything
+ * - Remembers which profile answered for each device and tries it first
+ * - Persisted as JSON (encrypted values base64-encoded)
+ *
+ * Usage:
+ * const { SNMPCredentialStore } = require('./snmp-credentials.cjs');
+ * const credentials = new SNMPCredentialStore({ filePath, encryption: safeStorage });
+ * snmpEngine.setCredentials(credentials);
+ */
+
+const crypto = require('crypto');
+const { SecretBox, readJsonFile, writeJsonFile } = require('../../../backend/credential-store.cjs');
+
+const VERSIONS = ['1', '2c', '3'];
+const SECURITY_LEVELS = ['noAuthNoPriv', 'authNoPriv', 'authPriv'];
+const AUTH_PROTOCOLS = ['md5', 'sha', 'sha224', 'sha256', 'sha384', 'sha512'];
+const PRIV_PROTOCOLS = ['des', 'aes', 'aes256b', 'aes256r'];
+const MIN_KEY_LENGTH = 8; // RFC 3414 passphrases
+
+class SNMPCredentialStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file holding the profiles
+   * @param {Object} options.encryption - Electron safeStorage (or compatible:
+   *   isEncryptionAvailable(), encryptString(text) -> Buffer, decryptString(Buffer) -> text)
+   */
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('SNMP credential store requires a file path');
+    }
+    this.filePath = options.filePath;
+    this.secrets = new SecretBox(options.encryption);
+    this.profiles = new Map(); // id -> stored profile (secrets as base64 ciphertext)
+    this.assignments = []; // [{ subnet?, site?, profileIds }]
+    this.devices = new Map(); // target -> { profileId, at }
+
+    this.load();
+  }
+
+  load() {
+    const document = readJsonFile(this.filePath, 'SNMP credential store');
+    if (!document) return;
+    for (const profile of document.profiles || []) {
+      this.profiles.set(profile.id, profile);
+    }
+    this.assignments = document.assignments || [];
+    for (const [target, entry] of Object.entries(document.devices || {})) {
+      this.devices.set(target, entry);
+    }
+  }
+
+  save() {
+    writeJsonFile(this.filePath, {
+      version: 1,
+      profiles: Array.from(this.profiles.values()),
+      assignments: this.assignments,
+      devices: Object.fromEntries(this.devices)
+    });
+  }
+
+  isAvailable() {
+    return this.secrets.isAvailable();
+  }
+
+  /**
+   * Add or update a profile
+   * @param {Object} profile - { id?, name, version: '1' | '2c' | '3', community?, user?: { name,
+   *   level, authProtocol, authKey?, privProtocol, privKey? }, context?, port?, timeout?, retries? }
+   *   Secrets may be omitted on update to keep the stored ones
+   * @returns {Object} Profile without secrets
+   */
+  saveProfile(profile) {
+    if (!profile || !profile.name) {
+      throw new Error('SNMP credential profile name is required');
+    }
+    const version = String(profile.version || '2c');
+    if (!VERSIONS.includes(version)) {
+      throw new Error(`SNMP version must be one of ${VERSIONS.join(', ')}`);
+    }
+    const existing = profile.id ? this.profiles.get(profile.id) : null;
+    if (profile.id && !existing) {
+      throw new Error(`SNMP credential profile ${profile.id} not found`);
+    }
+    const duplicate = Array.from(this.profiles.values())
+      .find(candidate => candidate.name.toLowerCase() === profile.name.toLowerCase() && candidate.id !== profile.id);
+    if (duplicate) {
+      throw new Error(`An SNMP credential profile named ${profile.name} already exists`);
+    }
+    // Secrets are only kept while the version (and v3 level) still uses them
+    const keep = existing && existing.version === version ? existing : null;
+
+    const stored = {
+      id: existing?.id || crypto.randomUUID(),
+      name: profile.name,
+      version,
+      community: null,
+      user: null,
+      context: version === '3' ? profile.context || '' : undefined,
+      port: optionalInteger(profile.port, 'Port', 1, 65535),
+      timeout: optionalInteger(profile.timeout, 'Timeout', 100, 60000),
+      retries: optionalInteger(profile.retries, 'Retries', 0, 10),
+      createdAt: existing?.createdAt || Date.now(),
+      updatedAt: Date.now()
+    };
+
+    if (version === '3') {
+      const user = profile.user || {};
+      const level = user.level || 'authPriv';
+      if (!user.name) {
+        throw new Error('SNMPv3 profiles need a user name');
+      }
+      if (!SECURITY_LEVELS.includes(level)) {
+        throw new Error(`Security level must be one of ${SECURITY_LEVELS.join(', ')}`);
+      }
+      const previous = keep?.user && keep.user.level === level ? keep.user : null;
+      stored.user = { name: user.name, level, authProtocol: null, authKey: null, privProtocol: null, privKey: null };
+
+      if (level !== 'noAuthNoPriv') {
+        const authProtocol = user.authProtocol || 'sha';
+        if (!AUTH_PROTOCOLS.includes(authProtocol)) {
+          throw new Error(`Auth protocol must be one of ${AUTH_PROTOCOLS.join(', ')}`);
+        }
+        stored.user.authProtocol = authProtocol;
+        stored.user.authKey = this.secret(user.authKey, previous?.authKey, 'auth key');
+      }
+      if (level === 'authPriv') {
+        const privProtocol = user.privProtocol || 'aes';
+        if (!PRIV_PROTOCOLS.includes(privProtocol)) {
+          throw new Error(`Privacy protocol must be one of ${PRIV_PROTOCOLS.join(', ')}`);
+        }
+        stored.user.privProtocol = privProtocol;
+        stored.user.privKey = this.secret(user.privKey, previous?.privKey, 'privacy key');
+      }
+    } else {
+      stored.community = this.secret(profile.community, keep?.community, 'community', 1);
+    }
+
+    this.profiles.set(stored.id, stored);
+    this.save();
+    return this.describe(stored);
+  }
+
+  /**
+   * Profiles without secrets, in the order they were created
+   */
+  listProfiles() {
+    return Array.from(this.profiles.values()).map(profile => this.describe(profile));
+  }
+
+  getProfile(id) {
+    const profile = this.profiles.get(id);
+    return profile ? this.describe(profile) : null;
+  }
+
+  /**
+   * Delete a profile and drop it from assignments and remembered devices
+   */
+  deleteProfile(id) {
+    if (!this.profiles.delete(id)) return false;
+    this.assignments = this.assignments
+      .map(assignment => ({ ...assignment, profileIds: assignment.profileIds.filter(profileId => profileId !== id) }))
+      .filter(assignment => assignment.profileIds.length > 0);
+    for (const [target, entry] of this.devices) {
+      if (entry.profileId === id) this.devices.delete(target);
+    }
+    this.save();
+    return true;
+  }
+
+  getAssignments() {
+    return this.assignments;
+  }
+
+  /**
+   * Replace the profile assignments
+   * @param {Array} assignments - [{ subnet?: CIDR, site?: string, profileIds: [ordered] }];
+   *   an entry with neither subnet nor site applies to every target
+   */
+  setAssignments(assignments) {
+    if (!Array.isArray(assignments)) {
+      throw new Error('Assignments must be an array');
+    }
+    const normalized = assignments.map((assignment, index) => {
+      const label = `Assignment ${index + 1}`;
+      if (assignment.subnet && assignment.site) {
+        throw new Error(`${label}: use either a subnet or a site`);
+      }
+      if (assignment.subnet && !parseCidr(assignment.subnet)) {
+        throw new Error(`${label}: ${assignment.subnet} is not an IPv4 CIDR range`);
+      }
+      if (!Array.isArray(assignment.profileIds) || assignment.profileIds.length === 0) {
+        throw new Error(`${label}: at least one profile is required`);
+      }
+      const unknown = assignment.profileIds.filter(id => !this.profiles.has(id));
+      if (unknown.length > 0) {
+        throw new Error(`${label}: unknown profiles ${unknown.join(', ')}`);
+      }
+      return {
+        subnet: assignment.subnet || null,
+        site: assignment.site || null,
+        profileIds: Array.from(new Set(assignment.profileIds))
+      };
+    });
+    this.assignments = normalized;
+    this.save();
+    return normalized;
+  }
+
+  /**
+   * Profiles to try for a target, in order: the one that worked last, the most
+   * specific matching subnets, the site, then the catch-all entries. With no
+   * matching assignment every profile is tried in list order.
+   * @param {string} target - IP address
+   * @param {Object} [options] - { site }
+   * @returns {Array} Profile IDs
+   */
+  profilesFor(target, options = {}) {
+    const ip = ipToInt(target);
+    const subnets = this.assignments
+      .filter(assignment => assignment.subnet && ip !== null && inCidr(ip, parseCidr(assignment.subnet)))
+      .sort((a, b) => parseCidr(b.subnet).bits - parseCidr(a.subnet).bits);
+    const sites = this.assignments.filter(assignment => assignment.site && assignment.site === options.site);
+    const everywhere = this.assignments.filter(assignment => !assignment.subnet && !assignment.site);
+
+    const assigned = [...subnets, ...sites, ...everywhere].flatMap(assignment => assignment.profileIds);
+    const ordered = assigned.length > 0 ? assigned : Array.from(this.profiles.keys());
+    const remembered = this.devices.get(target)?.profileId;
+
+    return Array.from(new Set([remembered, ...ordered]))
+      .filter(id => id && this.profiles.has(id));
+  }
+
+  /**
+   * Decrypt a profile into SNMPEngine session options (main process only)
+   * @returns {Object} { profileId, version, community?, user?, context?, port?, timeout?, retries? }
+   */
+  resolve(id) {
+    const profile = this.profiles.get(id);
+    if (!profile) {
+      throw new Error(`SNMP credential profile ${id} not found`);
+    }
+    const options = { profileId: profile.id, version: profile.version };
+    for (const key of ['port', 'timeout', 'retries']) {
+      if (profile[key] !== undefined && profile[key] !== null) options[key] = profile[key];
+    }
+
+    if (profile.version === '3') {
+      options.context = profile.context || '';
+      options.user = {
+        name: profile.user.name,
+        level: profile.user.level,
+        authProtocol: profile.user.authProtocol,
+        authKey: profile.user.authKey ? this.secrets.decrypt(profile.user.authKey) : null,
+        privProtocol: profile.user.privProtocol,
+        privKey: profile.user.privKey ? this.secrets.decrypt(profile.user.privKey) : null
+      };
+    } else {
+      options.community = this.secrets.decrypt(profile.community);
+    }
+    return options;
+  }
+
+  /**
+   * Record the profile that answered for a device
+   */
+  remember(target, profileId) {
+    const current = this.devices.get(target);
+    if (current?.profileId === profileId) {
+      current.at = Date.now();
+      return; // not worth a disk write
+    }
+    this.devices.set(target, { profileId, at: Date.now() });
+    this.save();
+  }
+
+  forget(target) {
+    if (this.devices.delete(target)) this.save();
+  }
+
+  getDeviceProfile(target) {
+    return this.devices.get(target)?.profileId || null;
+  }
+
+  /**
+   * Remembered device -> profile pairs
+   */
+  listDevices() {
+    return Array.from(this.devices.entries()).map(([target, entry]) => ({
+      target,
+      profileId: entry.profileId,
+      profileName: this.profiles.get(entry.profileId)?.name || null,
+      at: entry.at
+    }));
+  }
+
+  /**
+   * Helper: Encrypt a new secret or keep the stored one
+   */
+  secret(value, previous, label, minLength = MIN_KEY_LENGTH) {
+    if (!value) {
+      if (previous) return previous;
+      throw new Error(`A ${label} is required`);
+    }
+    if (String(value).length < minLength) {
+      throw new Error(`The ${label} must be at least ${minLength} characters`);
+    }
+    return this.secrets.encrypt(String(value));
+  }
+
+  /**
+   * Helper: Public view of a profile
+   */
+  describe(profile) {
+    const { community, user, ...metadata } = profile;
+    return {
+      ...metadata,
+      hasCommunity: !!community,
+      user: user
+        ? {
+          name: user.name,
+          level: user.level,
+          authProtocol: user.authProtocol,
+          privProtocol: user.privProtocol,
+          hasAuthKey: !!user.authKey,
+          hasPrivKey: !!user.privKey
+        }
+        : null
+    };
+  }
+}
+
+function optionalInteger(value, label, min, max) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${label} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function ipToInt(ip) {
+  const parts = String(ip || '').split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) return null;
+  return parts.reduce((total, part) => total * 256 + Number(part), 0);
+}
+
+function parseCidr(value) {
+  const [network, bitsText = '32'] = String(value).split('/');
+  const base = ipToInt(network);
+  const bits = Number(bitsText);
+  if (base === null || !/^\d{1,2}$/.test(bitsText) || bits > 32) return null;
+  return { base, bits };
+}
+
+function inCidr(ip, { base, bits }) {
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return ((ip & mask) >>> 0) === ((base & mask) >>> 0);
+}
+
+module.exports = { SNMPCredentialStore, VERSIONS, SECURITY_LEVELS, AUTH_PROTOCOLS, PRIV_PROTOCOLS };
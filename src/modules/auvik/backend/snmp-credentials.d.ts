@@ -0,0 +1,42 @@
+/**
+ * Type declarations for SNMP Credential Profiles
+ */
+
+import {
+  SNMPCredentialAssignment,
+  SNMPCredentialProfile,
+  SNMPCredentialProfileInput,
+  SNMPDeviceCredential,
+  SNMPOptions
+} from '../types/index';
+
+export const VERSIONS: string[];
+export const SECURITY_LEVELS: string[];
+export const AUTH_PROTOCOLS: string[];
+export const PRIV_PROTOCOLS: string[];
+
+export interface SafeStorageLike {
+  isEncryptionAvailable(): boolean;
+  encryptString(text: string): Buffer;
+  decryptString(data: Buffer): string;
+}
+
+export class SNMPCredentialStore {
+  constructor(options: { filePath: string; encryption?: SafeStorageLike | null });
+
+  isAvailable(): boolean;
+  saveProfile(profile: SNMPCredentialProfileInput): SNMPCredentialProfile;
+  listProfiles(): SNMPCredentialProfile[];
+  getProfile(id: string): SNMPCredentialProfile | null;
+  deleteProfile(id: string): boolean;
+  getAssignments(): SNMPCredentialAssignment[];
+  setAssignments(assignments: SNMPCredentialAssignment[]): SNMPCredentialAssignment[];
+  profilesFor(target: string, options?: { site?: string | null }): string[];
+  resolve(id: string): SNMPOptions;
+  remember(target: string, profileId: string): void;
+  forget(target: string): void;
+  getDeviceProfile(target: string): string | null;
+  listDevices(): SNMPDeviceCredential[];
+}
+
+export default SNMPCredentialStore;
@@ -3,14 +3,17 @@
  * Network device discovery and information gathering via SNMP
  *
  * Features:
- * - SNMPv1, SNMPv2c, and SNMPv3 support
+ * - SNMPv1, SNMPv2c, and SNMPv3 (USM authNoPriv/authPriv) support
+ * - Credential profiles: discovery tries the profiles assigned to the target's
+ *   subnet or site in order and remembers the one that answered (snmp-credentials.cjs)
  * - Bulk operations for fast discovery
  * - Standard MIB queries (system, interfaces, ARP table)
  * - Vendor-specific MIB support (Cisco, Juniper, HP)
  * - Device classification and fingerprinting
- * - Network topology discovery via LLDP/CDP
+ * - Layer-2 tables: LLDP/CDP neighbors with local and remote ports,
+ *   BRIDGE-MIB/Q-BRIDGE-MIB forwarding tables (MAC -> port, VLAN) and ARP
  * - Performance monitoring (bandwidth, CPU, memory)
- * - Trap/notification handling
+ * - Trap/notification handling (event-receiver.cjs)
  *
  * Common Use Cases:
  * - Automated device discovery
@@ -23,10 +26,90 @@
 const snmp = require('net-snmp');
 const { EventEmitter } = require('events');
 
+const VERSIONS = { '1': snmp.Version1, '2c': snmp.Version2c, '3': snmp.Version3 };
+
+// LLDP-MIB chassis/port ID subtypes
+const LLDP_SUBTYPE = {
+  chassisMac: 4,
+  chassisNetworkAddress: 5,
+  portMac: 3,
+  // interfaceAlias, interfaceName, local
+  portNames: [1, 5, 7]
+};
+
+// dot1dTpFdbStatus/dot1qTpFdbStatus learned(3)
+const FDB_STATUS_LEARNED = 3;
+
+/**
+ * Normalize a MAC address to aa:bb:cc:dd:ee:ff. Accepts colon/dash/dot notation,
+ * and six-character strings from parseVarbind when every byte was printable.
+ */
+function normalizeMac(value) {
+  if (value === undefined || value === null) return null;
+  if (Buffer.isBuffer(value)) {
+    return value.length === 6 ? value.toString('hex').match(/.{2}/g).join(':') : null;
+  }
+  const text = String(value).trim();
+  const hex = text.replace(/[:\-. ]/g, '');
+  if (/^[0-9a-f]{12}$/i.test(hex)) {
+    return hex.toLowerCase().match(/.{2}/g).join(':');
+  }
+  if (text.length === 6) {
+    return Buffer.from(text, 'latin1').toString('hex').match(/.{2}/g).join(':');
+  }
+  return null;
+}
+
+/**
+ * MAC address from six decimal OID index octets
+ */
+function macFromIndex(parts) {
+  if (parts.length !== 6) return null;
+  return parts.map(part => Number(part).toString(16).padStart(2, '0')).join(':');
+}
+
+/**
+ * IPv4 address from a 4-byte OctetString value (hex or printable form)
+ * @param {boolean} [withFamily] - Value starts with an IANA address family byte
+ */
+function octetsToIPv4(value, withFamily = false) {
+  if (value === undefined || value === null) return null;
+  let bytes;
+  const text = String(value);
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(text)) {
+    return text;
+  } else if (/^[0-9a-f]{2}(:[0-9a-f]{2})+$/i.test(text)) {
+    bytes = text.split(':').map(part => parseInt(part, 16));
+  } else {
+    bytes = Array.from(Buffer.from(text, 'latin1'));
+  }
+  if (withFamily) {
+    if (bytes[0] !== 1) return null;
+    bytes = bytes.slice(1);
+  }
+  return bytes.length === 4 ? bytes.join('.') : null;
+}
+
+/**
+ * Compare device names, ignoring domain suffixes and CDP serial numbers in parentheses
+ */
+function sameDeviceName(a, b) {
+  if (!a || !b) return false;
+  const short = name => String(name).replace(/\(.*\)$/, '').split('.')[0].toLowerCase();
+  return short(a) === short(b);
+}
+
 class SNMPEngine extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.credentials] - SNMPCredentialStore with the credential profiles
+   */
+  constructor(options = {}) {
     super();
 
+    // Credential profiles (optional)
+    this.credentials = options.credentials || null;
+
     // SNMP sessions
     this.sessions = new Map();
 
@@ -62,6 +145,11 @@ class SNMPEngine extends EventEmitter {
       ifAdminStatus: '1.3.6.1.2.1.2.2.1.7',
       ifOperStatus: '1.3.6.1.2.1.2.2.1.8',
 
+      // Interface extensions (IF-MIB ifXTable)
+      ifName: '1.3.6.1.2.1.31.1.1.1.1',
+      ifHighSpeed: '1.3.6.1.2.1.31.1.1.1.15',
+      ifAlias: '1.3.6.1.2.1.31.1.1.1.18',
+
       // IP address table
       ipAddrTable: '1.3.6.1.2.1.4.20.1',
       ipAdEntAddr: '1.3.6.1.2.1.4.20.1.1',
@@ -69,15 +157,36 @@ class SNMPEngine extends EventEmitter {
       // ARP table (for topology discovery)
       ipNetToMediaTable: '1.3.6.1.2.1.4.22.1',
       ipNetToMediaPhysAddress: '1.3.6.1.2.1.4.22.1.2',
+      ipNetToPhysicalPhysAddress: '1.3.6.1.2.1.4.35.1.4',
+
+      // Bridge forwarding tables (BRIDGE-MIB, Q-BRIDGE-MIB)
+      dot1dBasePortIfIndex: '1.3.6.1.2.1.17.1.4.1.2',
+      dot1dTpFdbPort: '1.3.6.1.2.1.17.4.3.1.2',
+      dot1dTpFdbStatus: '1.3.6.1.2.1.17.4.3.1.3',
+      dot1qTpFdbPort: '1.3.6.1.2.1.17.7.1.2.2.1.2',
+      dot1qTpFdbStatus: '1.3.6.1.2.1.17.7.1.2.2.1.3',
+      dot1qVlanFdbId: '1.3.6.1.2.1.17.7.1.4.2.1.3',
+      dot1qVlanStaticName: '1.3.6.1.2.1.17.7.1.4.3.1.1',
+      dot1qPvid: '1.3.6.1.2.1.17.7.1.4.5.1.1',
 
       // LLDP (Link Layer Discovery Protocol)
+      lldpLocPortIdSubtype: '1.0.8802.1.1.2.1.3.7.1.2',
+      lldpLocPortId: '1.0.8802.1.1.2.1.3.7.1.3',
+      lldpLocPortDesc: '1.0.8802.1.1.2.1.3.7.1.4',
+      lldpRemChassisIdSubtype: '1.0.8802.1.1.2.1.4.1.1.4',
       lldpRemChassisId: '1.0.8802.1.1.2.1.4.1.1.5',
+      lldpRemPortIdSubtype: '1.0.8802.1.1.2.1.4.1.1.6',
       lldpRemPortId: '1.0.8802.1.1.2.1.4.1.1.7',
+      lldpRemPortDesc: '1.0.8802.1.1.2.1.4.1.1.8',
       lldpRemSysName: '1.0.8802.1.1.2.1.4.1.1.9',
+      lldpRemManAddrIfSubtype: '1.0.8802.1.1.2.1.4.2.1.3',
 
       // CDP (Cisco Discovery Protocol)
+      cdpCacheAddress: '1.3.6.1.4.1.9.9.23.1.2.1.1.4',
       cdpCacheDeviceId: '1.3.6.1.4.1.9.9.23.1.2.1.1.6',
+      cdpCacheDevicePort: '1.3.6.1.4.1.9.9.23.1.2.1.1.7',
       cdpCachePlatform: '1.3.6.1.4.1.9.9.23.1.2.1.1.8',
+      cdpCacheNativeVLAN: '1.3.6.1.4.1.9.9.23.1.2.1.1.11',
 
       // Performance metrics
       hrProcessorLoad: '1.3.6.1.2.1.25.3.3.1.2',
@@ -86,26 +195,51 @@ class SNMPEngine extends EventEmitter {
     };
   }
 
+  /**
+   * Use credential profiles for sessions without explicit credentials
+   */
+  setCredentials(credentials) {
+    this.credentials = credentials;
+  }
+
   /**
    * Create SNMP session
+   * @param {Object} [options] - { community, version: '1' | '2c' | '3' (or a net-snmp Version
+   *   constant), user: v3 USM user, context, port, timeout, retries, profileId }. Without a
+   *   community, user or profileId the profile remembered for the target is used.
    */
   createSession(target, options = {}) {
     const {
       community = 'public',
       version = snmp.Version2c,
+      user = null,
+      context,
       port = 161,
       timeout = 5000,
       retries = 3
-    } = options;
+    } = this.resolveCredentials(target, options);
+
+    const snmpVersion = typeof version === 'number' ? version : VERSIONS[String(version)];
+    if (snmpVersion === undefined) {
+      throw new Error(`Unsupported SNMP version: ${version}`);
+    }
 
     const sessionOptions = {
       port,
       retries,
       timeout,
-      version
+      version: snmpVersion
     };
 
-    const session = snmp.createSession(target, community, sessionOptions);
+    let session;
+    if (snmpVersion === snmp.Version3) {
+      if (!user || !user.name) {
+        throw new Error('SNMPv3 needs a user');
+      }
+      session = snmp.createV3Session(target, this.toUsmUser(user), { ...sessionOptions, context: context || '' });
+    } else {
+      session = snmp.createSession(target, community, sessionOptions);
+    }
     const sessionId = `${target}:${port}`;
 
     this.sessions.set(sessionId, {
@@ -208,13 +342,74 @@ class SNMPEngine extends EventEmitter {
     });
   }
 
+  /**
+   * Session options for a target: explicit credentials win, then an explicit
+   * profileId, then the profile that last answered for the target
+   */
+  resolveCredentials(target, options = {}) {
+    if (!this.credentials || options.community || options.user) {
+      return options;
+    }
+    const profileId = options.profileId || this.credentials.getDeviceProfile(target);
+    if (!profileId) {
+      return options;
+    }
+    const overrides = { ...options };
+    delete overrides.profileId;
+    return { ...this.credentials.resolve(profileId), ...overrides };
+  }
+
+  /**
+   * Find the credential profile that answers for a target
+   * Tries the target's profiles in order (remembered, subnet, site, catch-all)
+   * with a single sysObjectID GET each and remembers the first that answers.
+   * @param {Object} [options] - { site, probeTimeout }
+   * @returns {Promise<Object|null>} { id, name } or null when no profiles are configured
+   */
+  async findCredentials(target, options = {}) {
+    if (!this.credentials) return null;
+    const profileIds = this.credentials.profilesFor(target, { site: options.site });
+    if (profileIds.length === 0) return null;
+
+    const failures = [];
+    for (const profileId of profileIds) {
+      const profile = this.credentials.getProfile(profileId);
+      try {
+        await this.snmpGet(target, [this.standardOIDs.sysObjectID], {
+          ...this.credentials.resolve(profileId),
+          timeout: options.probeTimeout || 2000,
+          retries: 0
+        });
+        this.credentials.remember(target, profileId);
+        return { id: profileId, name: profile.name };
+      } catch (error) {
+        failures.push(`${profile.name}: ${error.message}`);
+      }
+    }
+
+    this.credentials.forget(target);
+    throw new Error(`No SNMP credential profile answered for ${target} (${failures.join('; ')})`);
+  }
+
   /**
    * Discover device information
+   * @param {Object} [options] - Session options; without explicit credentials the
+   *   credential profiles are tried (see findCredentials), plus { site }
    */
   async discoverDevice(target, options = {}) {
     console.log(`Discovering device at ${target} via SNMP...`);
 
     try {
+      let credentialProfile = null;
+      if (this.credentials && !options.community && !options.user && !options.profileId) {
+        credentialProfile = await this.findCredentials(target, options);
+        if (credentialProfile) {
+          options = { ...options, profileId: credentialProfile.id };
+        }
+      } else if (options.profileId) {
+        credentialProfile = { id: options.profileId, name: this.credentials?.getProfile(options.profileId)?.name || null };
+      }
+
       // Get system information
       const systemOIDs = [
         this.standardOIDs.sysDescr,
@@ -239,6 +434,9 @@ class SNMPEngine extends EventEmitter {
         vendor: this.detectVendor(systemInfo[this.standardOIDs.sysDescr], systemInfo[this.standardOIDs.sysObjectID]),
         interfaces: [],
         neighbors: [],
+        bridge: { forwarding: [], portVlans: {}, vlans: [] },
+        arp: [],
+        credentialProfile,
         discovered: Date.now()
       };
 
@@ -251,11 +449,19 @@ class SNMPEngine extends EventEmitter {
 
       // Get neighbors (LLDP/CDP)
       try {
-        device.neighbors = await this.getNeighbors(target, options);
+        device.neighbors = await this.getNeighbors(target, options, device.interfaces);
       } catch (error) {
         console.warn(`Failed to get neighbors for ${target}:`, error.message);
       }
 
+      // Get layer-2 forwarding and ARP tables
+      try {
+        device.bridge = await this.getBridgeTable(target, options, device.interfaces);
+        device.arp = await this.getArpTable(target, options);
+      } catch (error) {
+        console.warn(`Failed to get forwarding tables for ${target}:`, error.message);
+      }
+
       this.devices.set(target, device);
       this.metrics.devicesDiscovered++;
 
@@ -280,6 +486,13 @@ class SNMPEngine extends EventEmitter {
       // Walk interface table
       const ifDescrs = await this.snmpWalk(target, this.standardOIDs.ifDescr, options);
 
+      // ifName/ifAlias/ifHighSpeed (missing on SNMPv1-only agents)
+      const ifX = await this.walkTable(target, {
+        name: this.standardOIDs.ifName,
+        alias: this.standardOIDs.ifAlias,
+        highSpeed: this.standardOIDs.ifHighSpeed
+      }, options);
+
       for (const ifDescr of ifDescrs) {
         const ifIndex = ifDescr.oid.split('.').pop();
 
@@ -294,14 +507,23 @@ class SNMPEngine extends EventEmitter {
         ];
 
         const ifInfo = await this.snmpGet(target, ifOIDs, options);
+        const extra = ifX.get(ifIndex) || {};
+
+        // ifSpeed saturates at 4.29 Gbit/s; ifHighSpeed is in Mbit/s
+        let speed = ifInfo[`${this.standardOIDs.ifSpeed}.${ifIndex}`];
+        if (extra.highSpeed && (!speed || speed >= 4294967295)) {
+          speed = extra.highSpeed * 1000000;
+        }
 
         interfaces.push({
           index: ifIndex,
+          name: extra.name || ifDescr.value,
           description: ifDescr.value,
+          alias: extra.alias || null,
           type: ifInfo[`${this.standardOIDs.ifType}.${ifIndex}`],
           mtu: ifInfo[`${this.standardOIDs.ifMtu}.${ifIndex}`],
-          speed: ifInfo[`${this.standardOIDs.ifSpeed}.${ifIndex}`],
-          mac: ifInfo[`${this.standardOIDs.ifPhysAddress}.${ifIndex}`],
+          speed,
+          mac: normalizeMac(ifInfo[`${this.standardOIDs.ifPhysAddress}.${ifIndex}`]),
           adminStatus: ifInfo[`${this.standardOIDs.ifAdminStatus}.${ifIndex}`] === 1 ? 'up' : 'down',
           operStatus: ifInfo[`${this.standardOIDs.ifOperStatus}.${ifIndex}`] === 1 ? 'up' : 'down'
         });
@@ -314,42 +536,286 @@ class SNMPEngine extends EventEmitter {
   }
 
   /**
-   * Get neighbor information (LLDP/CDP)
+   * Get neighbor information (LLDP and CDP)
+   * @param {Array} [interfaces] - The target's interfaces, used to name local ports
+   * @returns {Array} Neighbors with the local port, the remote port and the
+   *   remote management address
    */
-  async getNeighbors(target, options = {}) {
+  async getNeighbors(target, options = {}, interfaces = []) {
+    const byIndex = new Map(interfaces.map(iface => [String(iface.index), iface]));
     const neighbors = [];
 
-    try {
-      // Try LLDP first
-      const lldpNeighbors = await this.snmpWalk(target, this.standardOIDs.lldpRemSysName, options);
+    // LLDP: lldpRemTable is indexed by timeMark.localPortNum.remIndex
+    const lldpRemote = await this.walkTable(target, {
+      chassisIdSubtype: this.standardOIDs.lldpRemChassisIdSubtype,
+      chassisId: this.standardOIDs.lldpRemChassisId,
+      portIdSubtype: this.standardOIDs.lldpRemPortIdSubtype,
+      portId: this.standardOIDs.lldpRemPortId,
+      portDesc: this.standardOIDs.lldpRemPortDesc,
+      sysName: this.standardOIDs.lldpRemSysName
+    }, options);
+
+    if (lldpRemote.size > 0) {
+      const localPorts = await this.walkTable(target, {
+        idSubtype: this.standardOIDs.lldpLocPortIdSubtype,
+        id: this.standardOIDs.lldpLocPortId,
+        desc: this.standardOIDs.lldpLocPortDesc
+      }, options);
+
+      // lldpRemManAddrTable: timeMark.localPortNum.remIndex.addrSubtype.addrLen.addr
+      const managementAddresses = new Map();
+      for (const entry of await this.walkColumn(target, this.standardOIDs.lldpRemManAddrIfSubtype, options)) {
+        const parts = entry.index.split('.');
+        const key = parts.slice(0, 3).join('.');
+        if (parts[3] === '1' && parts[4] === '4' && !managementAddresses.has(key)) {
+          managementAddresses.set(key, parts.slice(5, 9).join('.'));
+        }
+      }
+
+      for (const [index, remote] of lldpRemote) {
+        const localPortNum = index.split('.')[1];
+        const localInterface = this.resolveLldpLocalPort(localPortNum, localPorts.get(localPortNum), interfaces);
+        const chassisId = remote.chassisIdSubtype === LLDP_SUBTYPE.chassisMac
+          ? normalizeMac(remote.chassisId)
+          : (remote.chassisId !== undefined ? String(remote.chassisId) : null);
+        const portId = remote.portIdSubtype === LLDP_SUBTYPE.portMac
+          ? normalizeMac(remote.portId)
+          : (remote.portId !== undefined ? String(remote.portId) : null);
+        const portIsName = LLDP_SUBTYPE.portNames.includes(remote.portIdSubtype);
 
-      for (const neighbor of lldpNeighbors) {
         neighbors.push({
           protocol: 'LLDP',
-          name: neighbor.value,
-          interface: neighbor.oid.split('.').slice(-2, -1)[0]
+          name: remote.sysName || chassisId,
+          chassisId,
+          address: managementAddresses.get(index) ||
+            (remote.chassisIdSubtype === LLDP_SUBTYPE.chassisNetworkAddress ? octetsToIPv4(remote.chassisId, true) : null),
+          platform: null,
+          nativeVlan: null,
+          localInterface,
+          remoteInterface: {
+            id: portId,
+            idSubtype: remote.portIdSubtype ?? null,
+            name: (portIsName ? portId : null) || remote.portDesc || portId,
+            description: remote.portDesc || null
+          },
+          interface: localInterface.name || localInterface.index
         });
       }
-    } catch (error) {
-      // LLDP not available, try CDP
-      try {
-        const cdpNeighbors = await this.snmpWalk(target, this.standardOIDs.cdpCacheDeviceId, options);
-
-        for (const neighbor of cdpNeighbors) {
-          neighbors.push({
-            protocol: 'CDP',
-            name: neighbor.value,
-            interface: neighbor.oid.split('.').pop()
-          });
-        }
-      } catch (cdpError) {
-        console.warn(`Neither LLDP nor CDP available for ${target}`);
+    }
+
+    // CDP: cdpCacheTable is indexed by ifIndex.deviceIndex
+    const cdpCache = await this.walkTable(target, {
+      address: this.standardOIDs.cdpCacheAddress,
+      deviceId: this.standardOIDs.cdpCacheDeviceId,
+      devicePort: this.standardOIDs.cdpCacheDevicePort,
+      platform: this.standardOIDs.cdpCachePlatform,
+      nativeVlan: this.standardOIDs.cdpCacheNativeVLAN
+    }, options);
+
+    for (const [index, entry] of cdpCache) {
+      if (!entry.deviceId) continue;
+      const ifIndex = index.split('.')[0];
+      const localInterface = {
+        index: ifIndex,
+        name: byIndex.get(ifIndex)?.name || byIndex.get(ifIndex)?.description || null
+      };
+      const address = octetsToIPv4(entry.address);
+
+      // A device running both protocols is reported once, LLDP details first
+      const existing = neighbors.find(neighbor =>
+        neighbor.protocol === 'LLDP' &&
+        String(neighbor.localInterface.index) === ifIndex &&
+        ((address && neighbor.address === address) || sameDeviceName(neighbor.name, entry.deviceId))
+      );
+      if (existing) {
+        existing.protocols = ['LLDP', 'CDP'];
+        existing.platform = entry.platform || null;
+        existing.nativeVlan = entry.nativeVlan || null;
+        existing.address = existing.address || address;
+        continue;
       }
+
+      neighbors.push({
+        protocol: 'CDP',
+        name: entry.deviceId,
+        chassisId: null,
+        address,
+        platform: entry.platform || null,
+        nativeVlan: entry.nativeVlan || null,
+        localInterface,
+        remoteInterface: {
+          id: entry.devicePort || null,
+          idSubtype: null,
+          name: entry.devicePort || null,
+          description: null
+        },
+        interface: localInterface.name || ifIndex
+      });
+    }
+
+    if (neighbors.length === 0 && lldpRemote.size === 0 && cdpCache.size === 0) {
+      console.warn(`No LLDP or CDP neighbors reported by ${target}`);
     }
 
     return neighbors;
   }
 
+  /**
+   * Get the bridge forwarding table (Q-BRIDGE-MIB per VLAN, BRIDGE-MIB otherwise)
+   * @param {Array} [interfaces] - The target's interfaces, used to name ports
+   * @returns {Object} { forwarding: [{ mac, vlan, bridgePort, ifIndex, interface }],
+   *   portVlans: { ifIndex: PVID }, vlans: [{ id, name }] }
+   */
+  async getBridgeTable(target, options = {}, interfaces = []) {
+    const byIndex = new Map(interfaces.map(iface => [String(iface.index), iface]));
+
+    // Bridge port numbers are not ifIndexes
+    const portIfIndex = new Map();
+    for (const entry of await this.walkColumn(target, this.standardOIDs.dot1dBasePortIfIndex, options)) {
+      portIfIndex.set(entry.index, String(entry.value));
+    }
+    const toIfIndex = (bridgePort) => portIfIndex.get(String(bridgePort)) || null;
+
+    // Q-BRIDGE entries are indexed by fdbId.mac; the FDB ID is usually the VLAN ID
+    const fdbVlans = new Map();
+    for (const entry of await this.walkColumn(target, this.standardOIDs.dot1qVlanFdbId, options)) {
+      const vlan = Number(entry.index.split('.').pop());
+      const fdbId = String(entry.value);
+      fdbVlans.set(fdbId, fdbVlans.has(fdbId) ? null : vlan);
+    }
+
+    let entries = [];
+    const qbridge = await this.walkTable(target, {
+      port: this.standardOIDs.dot1qTpFdbPort,
+      status: this.standardOIDs.dot1qTpFdbStatus
+    }, options);
+    for (const [index, entry] of qbridge) {
+      const parts = index.split('.');
+      const fdbId = parts[0];
+      entries.push({
+        ...entry,
+        mac: macFromIndex(parts.slice(1)),
+        vlan: fdbVlans.has(fdbId) ? fdbVlans.get(fdbId) : Number(fdbId)
+      });
+    }
+
+    if (entries.length === 0) {
+      const bridge = await this.walkTable(target, {
+        port: this.standardOIDs.dot1dTpFdbPort,
+        status: this.standardOIDs.dot1dTpFdbStatus
+      }, options);
+      entries = Array.from(bridge, ([index, entry]) => ({ ...entry, mac: macFromIndex(index.split('.')), vlan: null }));
+    }
+
+    const forwarding = [];
+    for (const entry of entries) {
+      // Only learned addresses; 'self' and management entries are the switch itself
+      if (!entry.mac || !entry.port || (entry.status !== undefined && entry.status !== FDB_STATUS_LEARNED)) continue;
+      const ifIndex = toIfIndex(entry.port);
+      const iface = ifIndex ? byIndex.get(ifIndex) : null;
+      forwarding.push({
+        mac: entry.mac,
+        vlan: entry.vlan || null,
+        bridgePort: entry.port,
+        ifIndex,
+        interface: iface ? (iface.name || iface.description) : null
+      });
+    }
+
+    const portVlans = {};
+    for (const entry of await this.walkColumn(target, this.standardOIDs.dot1qPvid, options)) {
+      const ifIndex = toIfIndex(entry.index);
+      if (ifIndex) portVlans[ifIndex] = entry.value;
+    }
+
+    const vlans = (await this.walkColumn(target, this.standardOIDs.dot1qVlanStaticName, options))
+      .map(entry => ({ id: Number(entry.index), name: entry.value ? String(entry.value) : null }));
+
+    return { forwarding, portVlans, vlans };
+  }
+
+  /**
+   * Get the ARP table (ipNetToMediaTable, ipNetToPhysicalTable for IPv4 otherwise)
+   * @returns {Array} [{ ip, mac, ifIndex }]
+   */
+  async getArpTable(target, options = {}) {
+    const arp = [];
+
+    // ipNetToMediaTable: ifIndex.a.b.c.d
+    for (const entry of await this.walkColumn(target, this.standardOIDs.ipNetToMediaPhysAddress, options)) {
+      const parts = entry.index.split('.');
+      arp.push({ ip: parts.slice(1, 5).join('.'), mac: normalizeMac(entry.value), ifIndex: parts[0] });
+    }
+
+    // ipNetToPhysicalTable: ifIndex.addrType.addrLen.addr
+    if (arp.length === 0) {
+      for (const entry of await this.walkColumn(target, this.standardOIDs.ipNetToPhysicalPhysAddress, options)) {
+        const parts = entry.index.split('.');
+        if (parts[1] === '1' && parts[2] === '4') {
+          arp.push({ ip: parts.slice(3, 7).join('.'), mac: normalizeMac(entry.value), ifIndex: parts[0] });
+        }
+      }
+    }
+
+    return arp.filter(entry => entry.mac && entry.mac !== '00:00:00:00:00:00');
+  }
+
+  /**
+   * Helper: walk one table column
+   * @returns {Array} [{ index: OID suffix after the column, value }]; empty when the
+   *   agent does not implement the column
+   */
+  async walkColumn(target, column, options = {}) {
+    try {
+      const varbinds = await this.snmpWalk(target, column, options);
+      return varbinds
+        .filter(varbind => varbind.oid.startsWith(`${column}.`))
+        .map(varbind => ({ index: varbind.oid.slice(column.length + 1), value: varbind.value }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Helper: walk table columns into rows
+   * @param {Object} columns - { field: column OID }
+   * @returns {Map} index -> { field: value }
+   */
+  async walkTable(target, columns, options = {}) {
+    const rows = new Map();
+    for (const [field, column] of Object.entries(columns)) {
+      for (const entry of await this.walkColumn(target, column, options)) {
+        if (!rows.has(entry.index)) rows.set(entry.index, {});
+        rows.get(entry.index)[field] = entry.value;
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Helper: interface behind an LLDP local port number. lldpLocPortNum is often,
+   * but not always, the ifIndex, so the local port ID/description is matched
+   * against the interface names first.
+   */
+  resolveLldpLocalPort(portNum, localPort = {}, interfaces = []) {
+    const names = [localPort.idSubtype !== LLDP_SUBTYPE.portMac ? localPort.id : null, localPort.desc]
+      .filter(value => value !== undefined && value !== null && value !== '')
+      .map(value => String(value).toLowerCase());
+
+    const iface =
+      interfaces.find(candidate => names.some(name =>
+        (candidate.name && candidate.name.toLowerCase() === name) ||
+        (candidate.description && candidate.description.toLowerCase() === name))) ||
+      (localPort.idSubtype === LLDP_SUBTYPE.portMac &&
+        interfaces.find(candidate => candidate.mac && candidate.mac === normalizeMac(localPort.id))) ||
+      interfaces.find(candidate => String(candidate.index) === String(portNum));
+
+    if (iface) {
+      return { index: String(iface.index), name: iface.name || iface.description };
+    }
+    return { index: String(portNum), name: localPort.desc || (localPort.id ? String(localPort.id) : null) };
+  }
+
   /**
    * Bulk device discovery
    */
@@ -404,6 +870,32 @@ class SNMPEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Helper: USM user for net-snmp
+   */
+  toUsmUser(user) {
+    const level = snmp.SecurityLevel[user.level || 'authPriv'];
+    if (level === undefined) {
+      throw new Error(`Unknown SNMPv3 security level: ${user.level}`);
+    }
+    const usmUser = { name: user.name, level };
+    if (level !== snmp.SecurityLevel.noAuthNoPriv) {
+      usmUser.authProtocol = snmp.AuthProtocols[user.authProtocol || 'sha'];
+      usmUser.authKey = user.authKey;
+      if (usmUser.authProtocol === undefined) {
+        throw new Error(`Unknown SNMPv3 auth protocol: ${user.authProtocol}`);
+      }
+    }
+    if (level === snmp.SecurityLevel.authPriv) {
+      usmUser.privProtocol = snmp.PrivProtocols[user.privProtocol || 'aes'];
+      usmUser.privKey = user.privKey;
+      if (usmUser.privProtocol === undefined) {
+        throw new Error(`Unknown SNMPv3 privacy protocol: ${user.privProtocol}`);
+      }
+    }
+    return usmUser;
+  }
+
   /**
    * Parse varbind value
    */
@@ -561,4 +1053,4 @@ class SNMPEngine extends EventEmitter {
   }
 }
 
-module.exports = { SNMPEngine };
+module.exports = { SNMPEngine, normalizeMac, sameDeviceName };
@@ -3,6 +3,7 @@
  */
 
 import { EventEmitter } from 'events';
+import { SNMPCredentialStore } from './snmp-credentials';
 
 export interface SNMPConfig {
   community?: string;
@@ -17,12 +18,52 @@ export interface SNMPResult {
   type: string;
 }
 
+export interface SNMPPort {
+  index: string | null;
+  name: string | null;
+}
+
+export interface SNMPNeighbor {
+  protocol: 'LLDP' | 'CDP';
+  protocols?: Array<'LLDP' | 'CDP'>;
+  name: string;
+  chassisId: string | null;
+  address: string | null;
+  platform: string | null;
+  nativeVlan: number | null;
+  localInterface: SNMPPort;
+  remoteInterface: { id: string | null; idSubtype: number | null; name: string | null; description: string | null };
+  interface: string;
+}
+
+export interface BridgeTable {
+  forwarding: Array<{ mac: string; vlan: number | null; bridgePort: number; ifIndex: string | null; interface: string | null }>;
+  portVlans: Record<string, number>;
+  vlans: Array<{ id: number; name: string | null }>;
+}
+
+export interface ArpEntry {
+  ip: string;
+  mac: string;
+  ifIndex: string;
+}
+
 export class SNMPEngine extends EventEmitter {
-  constructor(config?: SNMPConfig);
+  constructor(options?: { credentials?: SNMPCredentialStore });
+
+  setCredentials(credentials: SNMPCredentialStore | null): void;
+  findCredentials(target: string, options?: { site?: string; probeTimeout?: number }): Promise<{ id: string; name: string } | null>;
+
+  getNeighbors(target: string, options?: SNMPConfig, interfaces?: any[]): Promise<SNMPNeighbor[]>;
+  getBridgeTable(target: string, options?: SNMPConfig, interfaces?: any[]): Promise<BridgeTable>;
+  getArpTable(target: string, options?: SNMPConfig): Promise<ArpEntry[]>;
 
   get(host: string, oids: string[]): Promise<SNMPResult[]>;
   walk(host: string, oid: string): Promise<SNMPResult[]>;
   getBulk(host: string, oids: string[], maxRepetitions?: number): Promise<SNMPResult[]>;
 }
 
+export function normalizeMac(value: string | Buffer | null | undefined): string | null;
+export function sameDeviceName(a: string | null | undefined, b: string | null | undefined): boolean;
+
 export default SNMPEngine;
@@ -0,0 +1,553 @@
+/**
+ * SNMP Poller
+ * Scheduled collection of interface, CPU, storage and uptime metrics into a MetricStore
+ *
+ * Features:
+ * - Per-device interval and metric sets (interfaces, cpu, storage, uptime) plus
+ *   custom OIDs (gauges or 32/64-bit counters, single values or walked tables)
+ * - Rates from counter deltas: 32- and 64-bit wraps handled, deltas across a
+ *   device restart (sysUpTime went back) or faster than the link discarded
+ * - sysUpTime wrapping at 2^32 centiseconds (~497 days) told apart from a restart
+ *   by the wall-clock time since the last poll; reported uptime keeps counting
+ * - Interface traffic from the 64-bit ifHC counters when the agent has them
+ *   (32-bit counters wrap in under 6 minutes at 100 Mbit/s)
+ * - Device list kept in a JSON file and resumed on start
+ *
+ * Usage:
+ * const { SNMPPoller } = require('./snmp-poller.cjs');
+ * const poller = new SNMPPoller({ snmp: snmpEngine, store: metricStore, configPath });
+ * poller.start();
+ * poller.addDevice('10.0.0.1', { interval: 60000, snmp: { community: 'public' } });
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const METRIC_SETS = ['interfaces', 'cpu', 'storage', 'uptime'];
+const COUNTER_BITS = { counter32: 32, counter64: 64 };
+const MIN_INTERVAL = 10000;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// sysUpTime is a 32-bit TimeTicks (centiseconds)
+const UPTIME_WRAP = 2 ** 32;
+// A smaller sysUpTime is a wrap when wrapping accounts for the time since the last
+// poll within this slack (ms; agents answer late, clocks drift)
+const UPTIME_WRAP_SLACK = 30000;
+
+const OIDS = {
+  sysUpTime: '1.3.6.1.2.1.1.3.0',
+  ifDescr: '1.3.6.1.2.1.2.2.1.2',
+  ifSpeed: '1.3.6.1.2.1.2.2.1.5',
+  ifOperStatus: '1.3.6.1.2.1.2.2.1.8',
+  ifInOctets: '1.3.6.1.2.1.2.2.1.10',
+  ifInDiscards: '1.3.6.1.2.1.2.2.1.13',
+  ifInErrors: '1.3.6.1.2.1.2.2.1.14',
+  ifOutOctets: '1.3.6.1.2.1.2.2.1.16',
+  ifOutDiscards: '1.3.6.1.2.1.2.2.1.19',
+  ifOutErrors: '1.3.6.1.2.1.2.2.1.20',
+  ifHCInOctets: '1.3.6.1.2.1.31.1.1.1.6',
+  ifHCOutOctets: '1.3.6.1.2.1.31.1.1.1.10',
+  ifHighSpeed: '1.3.6.1.2.1.31.1.1.1.15',
+  hrProcessorLoad: '1.3.6.1.2.1.25.3.3.1.2',
+  hrStorageDescr: '1.3.6.1.2.1.25.2.3.1.3',
+  hrStorageAllocationUnits: '1.3.6.1.2.1.25.2.3.1.4',
+  hrStorageSize: '1.3.6.1.2.1.25.2.3.1.5',
+  hrStorageUsed: '1.3.6.1.2.1.25.2.3.1.6'
+};
+
+// Interface counters turned into per-second rates
+const INTERFACE_COUNTERS = [
+  { metric: 'ifInErrorRate', oid: OIDS.ifInErrors, unit: 'errors/s' },
+  { metric: 'ifOutErrorRate', oid: OIDS.ifOutErrors, unit: 'errors/s' },
+  { metric: 'ifInDiscardRate', oid: OIDS.ifInDiscards, unit: 'packets/s' },
+  { metric: 'ifOutDiscardRate', oid: OIDS.ifOutDiscards, unit: 'packets/s' }
+];
+
+class SNMPPoller extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.snmp - SNMPEngine (snmpGet / snmpWalk)
+   * @param {Object} options.store - Initialized MetricStore
+   * @param {string} [options.configPath] - JSON file for the polled devices
+   * @param {number} [options.defaultInterval=60000] - ms between polls
+   *
+   * Events:
+   * - 'poll' { target, timestamp, duration, samples, error }
+   */
+  constructor(options = {}) {
+    super();
+    this.snmp = options.snmp;
+    this.store = options.store;
+    this.configPath = options.configPath || null;
+    this.defaultInterval = options.defaultInterval || 60000;
+
+    this.devices = new Map(); // target -> device
+    this.running = false;
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Load saved devices and start polling them
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    for (const [target, config] of Object.entries(this.loadConfig())) {
+      try {
+        this.addDevice(target, config, { save: false });
+      } catch (error) {
+        console.warn(`SNMP poller: device ${target} skipped:`, error.message);
+      }
+    }
+
+    this.purgeTimer = setInterval(() => {
+      try {
+        this.store.purge();
+      } catch (error) {
+        console.warn('SNMP poller: purge failed:', error.message);
+      }
+    }, PURGE_INTERVAL);
+    if (this.purgeTimer.unref) this.purgeTimer.unref();
+    console.log(`SNMP poller started (${this.devices.size} devices)`);
+  }
+
+  /**
+   * Stop all polling (devices stay configured)
+   */
+  stop() {
+    this.running = false;
+    for (const device of this.devices.values()) {
+      clearTimeout(device.timer);
+      device.timer = null;
+    }
+    clearInterval(this.purgeTimer);
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Poll a device on a schedule (replaces its previous configuration)
+   * @param {string} target - IP or hostname
+   * @param {Object} [config] - { interval, metrics: ['interfaces', 'cpu', 'storage', 'uptime'],
+   *   interfaceFilter (regex on ifDescr), oids: [{ name, oid, type: 'gauge' | 'counter32' |
+   *   'counter64', walk, unit }], snmp: SNMPEngine session options }
+   * @returns {Object} Device state
+   */
+  addDevice(target, config = {}, { save = true } = {}) {
+    if (!target) {
+      throw new Error('SNMP poller needs a target');
+    }
+    const normalized = normalizeConfig(config, this.defaultInterval);
+
+    this.removeDevice(target, { save: false, deleteData: false });
+    const device = {
+      target,
+      config: normalized,
+      interfaceFilter: normalized.interfaceFilter ? new RegExp(normalized.interfaceFilter, 'i') : null,
+      timer: null,
+      polling: false,
+      counters: new Map(), // 'metric|instance' -> { value: BigInt, time }
+      lastUptime: null,
+      lastUptimeAt: null,
+      uptimeWraps: 0,
+      lastPoll: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      samples: 0
+    };
+    this.devices.set(target, device);
+    if (save) this.saveConfig();
+
+    if (this.running) {
+      // Spread the first polls of many devices over a few seconds
+      this.schedule(device, Math.floor(Math.random() * 5000));
+    }
+    return this.describe(device);
+  }
+
+  /**
+   * Stop polling a device
+   * @param {Object} [options] - { deleteData: also remove its stored series }
+   */
+  removeDevice(target, { save = true, deleteData = false } = {}) {
+    const device = this.devices.get(target);
+    if (!device) return false;
+
+    clearTimeout(device.timer);
+    this.devices.delete(target);
+    if (save) this.saveConfig();
+    if (deleteData) this.store.deleteDevice(target);
+    return true;
+  }
+
+  /**
+   * Polled devices and their status
+   */
+  listDevices() {
+    return Array.from(this.devices.values()).map(device => this.describe(device));
+  }
+
+  /**
+   * Poll a device now (outside its schedule)
+   * @returns {Promise<Object>} { target, timestamp, duration, samples, error }
+   */
+  async pollNow(target) {
+    const device = this.devices.get(target);
+    if (!device) {
+      throw new Error(`Device ${target} is not polled`);
+    }
+    return this.poll(device);
+  }
+
+  /**
+   * Helper: Next poll of a device
+   */
+  schedule(device, delay = device.config.interval) {
+    clearTimeout(device.timer);
+    device.timer = setTimeout(async () => {
+      await this.poll(device);
+      if (this.running && this.devices.get(device.target) === device) {
+        this.schedule(device);
+      }
+    }, delay);
+  }
+
+  /**
+   * Helper: Collect every configured metric set and store the samples
+   */
+  async poll(device) {
+    if (device.polling) {
+      return { target: device.target, skipped: true };
+    }
+    device.polling = true;
+    const startTime = Date.now();
+    const samples = [];
+    const errors = [];
+    const snmpOptions = device.config.snmp;
+
+    try {
+      // Uptime first: a restart invalidates every stored counter
+      const uptime = await this.snmp.snmpGet(device.target, [OIDS.sysUpTime], snmpOptions)
+        .then(result => result[OIDS.sysUpTime]);
+      if (typeof uptime === 'number') {
+        if (device.lastUptime !== null && uptime < device.lastUptime) {
+          if (uptimeWrapped(device.lastUptime, uptime, startTime - device.lastUptimeAt)) {
+            device.uptimeWraps++;
+          } else {
+            console.log(`SNMP poller: ${device.target} restarted, counters reset`);
+            device.counters.clear();
+            device.uptimeWraps = 0;
+          }
+        }
+        device.lastUptime = uptime;
+        device.lastUptimeAt = startTime;
+        if (device.config.metrics.includes('uptime')) {
+          samples.push({ metric: 'sysUpTime', value: (uptime + device.uptimeWraps * UPTIME_WRAP) / 100, unit: 's' });
+        }
+      }
+
+      const collectors = {
+        interfaces: () => this.collectInterfaces(device, startTime, samples),
+        cpu: () => this.collectCpu(device, samples),
+        storage: () => this.collectStorage(device, samples)
+      };
+      for (const set of device.config.metrics) {
+        if (!collectors[set]) continue;
+        try {
+          await collectors[set]();
+        } catch (error) {
+          errors.push(`${set}: ${error.message}`);
+        }
+      }
+      for (const definition of device.config.oids) {
+        try {
+          await this.collectCustom(device, definition, startTime, samples);
+        } catch (error) {
+          errors.push(`${definition.name}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    let stored = 0;
+    try {
+      stored = samples.length > 0 ? this.store.record(device.target, startTime, samples) : 0;
+    } catch (error) {
+      errors.push(`store: ${error.message}`);
+    }
+    device.polling = false;
+    device.lastPoll = startTime;
+    device.lastError = errors.length > 0 ? errors.join('; ') : null;
+    device.consecutiveFailures = stored === 0 && errors.length > 0 ? device.consecutiveFailures + 1 : 0;
+    device.samples += stored;
+
+    const result = {
+      target: device.target,
+      timestamp: startTime,
+      duration: Date.now() - startTime,
+      samples: stored,
+      error: device.lastError
+    };
+    this.emit('poll', result);
+    return result;
+  }
+
+  /**
+   * Helper: Traffic, utilisation, errors, discards and status per interface
+   */
+  async collectInterfaces(device, now, samples) {
+    const walk = (oid) => this.walkTable(device, oid);
+
+    const names = await walk(OIDS.ifDescr);
+    const speeds = await walk(OIDS.ifSpeed);
+    const highSpeeds = await walk(OIDS.ifHighSpeed).catch(() => new Map());
+    const status = await walk(OIDS.ifOperStatus);
+
+    // 64-bit counters when the agent has them
+    let inOctets = await walk(OIDS.ifHCInOctets).catch(() => new Map());
+    let outOctets = await walk(OIDS.ifHCOutOctets).catch(() => new Map());
+    let bits = 64;
+    if (inOctets.size === 0) {
+      inOctets = await walk(OIDS.ifInOctets);
+      outOctets = await walk(OIDS.ifOutOctets);
+      bits = 32;
+    }
+    const counters = [];
+    for (const counter of INTERFACE_COUNTERS) {
+      counters.push({ ...counter, values: await walk(counter.oid).catch(() => new Map()) });
+    }
+
+    for (const [index, name] of names) {
+      const label = String(name);
+      if (device.interfaceFilter && !device.interfaceFilter.test(label)) continue;
+
+      // ifSpeed tops out at 4.29 Gbit/s; ifHighSpeed is in Mbit/s
+      const highSpeed = Number(highSpeeds.get(index)) || 0;
+      const speed = highSpeed > 0 ? highSpeed * 1e6 : Number(speeds.get(index)) || 0;
+      const maxBytesPerSecond = speed > 0 ? speed / 8 * 1.5 : null;
+
+      const interfaceSample = (metric, value, unit) =>
+        samples.push({ metric, instance: index, label, unit, value });
+
+      if (status.has(index)) interfaceSample('ifOperStatus', Number(status.get(index)), 'status');
+      if (speed > 0) interfaceSample('ifSpeed', speed, 'bit/s');
+
+      for (const [direction, table] of [['In', inOctets], ['Out', outOctets]]) {
+        if (!table.has(index)) continue;
+        const bytesPerSecond = this.counterRate(device, `if${direction}Octets${bits}|${index}`, table.get(index), bits, now, maxBytesPerSecond);
+        if (bytesPerSecond === null) continue;
+        interfaceSample(`if${direction}Bps`, bytesPerSecond * 8, 'bit/s');
+        if (speed > 0) {
+          interfaceSample(`if${direction}Utilization`, Math.min(100, bytesPerSecond * 8 / speed * 100), '%');
+        }
+      }
+
+      for (const counter of counters) {
+        if (!counter.values.has(index)) continue;
+        const rate = this.counterRate(device, `${counter.metric}|${index}`, counter.values.get(index), 32, now, null);
+        if (rate !== null) interfaceSample(counter.metric, rate, counter.unit);
+      }
+    }
+  }
+
+  /**
+   * Helper: Load per processor and averaged (instance 'all')
+   */
+  async collectCpu(device, samples) {
+    const loads = await this.walkTable(device, OIDS.hrProcessorLoad);
+    if (loads.size === 0) return;
+
+    let total = 0;
+    for (const [index, load] of loads) {
+      total += Number(load);
+      samples.push({ metric: 'cpuLoad', instance: index, label: `CPU ${index}`, unit: '%', value: Number(load) });
+    }
+    samples.push({ metric: 'cpuLoad', instance: 'all', label: 'Average', unit: '%', value: total / loads.size });
+  }
+
+  /**
+   * Helper: Used bytes and percentage per hrStorage entry (memory, disks)
+   */
+  async collectStorage(device, samples) {
+    const names = await this.walkTable(device, OIDS.hrStorageDescr);
+    const units = await this.walkTable(device, OIDS.hrStorageAllocationUnits);
+    const sizes = await this.walkTable(device, OIDS.hrStorageSize);
+    const used = await this.walkTable(device, OIDS.hrStorageUsed);
+
+    for (const [index, name] of names) {
+      const unit = Number(units.get(index)) || 1;
+      const size = Number(sizes.get(index));
+      const usedUnits = Number(used.get(index));
+      if (!Number.isFinite(usedUnits)) continue;
+
+      const label = String(name);
+      samples.push({ metric: 'storageUsed', instance: index, label, unit: 'bytes', value: usedUnits * unit });
+      if (size > 0) {
+        samples.push({ metric: 'storageUsedPercent', instance: index, label, unit: '%', value: usedUnits / size * 100 });
+      }
+    }
+  }
+
+  /**
+   * Helper: A custom OID (counters stored as per-second rates)
+   */
+  async collectCustom(device, definition, now, samples) {
+    const values = definition.walk
+      ? await this.walkTable(device, definition.oid)
+      : new Map([['', (await this.snmp.snmpGet(device.target, [definition.oid], device.config.snmp))[definition.oid]]]);
+
+    for (const [instance, raw] of values) {
+      if (raw === null || raw === undefined) continue;
+      let value;
+      if (definition.type === 'gauge') {
+        value = Number(raw);
+      } else {
+        value = this.counterRate(device, `${definition.name}|${instance}`, raw, COUNTER_BITS[definition.type], now, null);
+      }
+      if (value !== null && Number.isFinite(value)) {
+        samples.push({ metric: definition.name, instance, unit: definition.unit || null, value });
+      }
+    }
+  }
+
+  /**
+   * Helper: Per-second rate from the previous reading of a counter
+   * @returns {number|null} null for the first reading or a discarded delta
+   */
+  counterRate(device, key, raw, bits, now, maxRate) {
+    const value = toBigInt(raw);
+    if (value === null) return null;
+
+    const previous = device.counters.get(key);
+    device.counters.set(key, { value, time: now });
+    if (!previous || now <= previous.time) return null;
+
+    let delta = value - previous.value;
+    if (delta < 0n) {
+      // Wrapped past 2^bits (one wrap assumed)
+      delta += 1n << BigInt(bits);
+    }
+    const rate = Number(delta) / ((now - previous.time) / 1000);
+
+    // Faster than the link: a counter reset or discontinuity, not traffic
+    if (maxRate !== null && rate > maxRate) return null;
+    return rate;
+  }
+
+  /**
+   * Helper: Walk a table column into index -> value
+   */
+  async walkTable(device, oid) {
+    const rows = await this.snmp.snmpWalk(device.target, oid, device.config.snmp);
+    const table = new Map();
+    for (const row of rows) {
+      if (!row.oid.startsWith(`${oid}.`)) continue;
+      table.set(row.oid.slice(oid.length + 1), row.value);
+    }
+    return table;
+  }
+
+  describe(device) {
+    const { snmp, ...config } = device.config; // community strings stay in the main process
+    return {
+      target: device.target,
+      ...config,
+      lastPoll: device.lastPoll,
+      lastError: device.lastError,
+      consecutiveFailures: device.consecutiveFailures,
+      samples: device.samples,
+      nextPoll: device.timer && device.lastPoll ? device.lastPoll + device.config.interval : null
+    };
+  }
+
+  loadConfig() {
+    if (!this.configPath) return {};
+    try {
+      if (fs.existsSync(this.configPath)) {
+        return JSON.parse(fs.readFileSync(this.configPath, 'utf8')).devices || {};
+      }
+    } catch (error) {
+      console.error('Failed to load SNMP poller config:', error);
+    }
+    return {};
+  }
+
+  saveConfig() {
+    if (!this.configPath) return;
+    try {
+      const devices = {};
+      for (const [target, device] of this.devices) {
+        devices[target] = device.config;
+      }
+      fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+      fs.writeFileSync(this.configPath, JSON.stringify({ devices }, null, 2), { mode: 0o600 });
+    } catch (error) {
+      console.error('Failed to save SNMP poller config:', error);
+    }
+  }
+}
+
+/**
+ * Helper: Validate a device configuration and fill defaults
+ */
+function normalizeConfig(config, defaultInterval) {
+  const interval = config.interval ?? defaultInterval;
+  if (!Number.isInteger(interval) || interval < MIN_INTERVAL) {
+    throw new Error(`Poll interval must be at least ${MIN_INTERVAL}ms`);
+  }
+  const metrics = config.metrics || METRIC_SETS;
+  const unknown = metrics.filter(set => !METRIC_SETS.includes(set));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown metric sets: ${unknown.join(', ')} (use ${METRIC_SETS.join(', ')})`);
+  }
+  if (config.interfaceFilter) {
+    new RegExp(config.interfaceFilter, 'i'); // throws on a bad pattern
+  }
+
+  const oids = (config.oids || []).map(definition => {
+    if (!definition.name || !/^\d+(\.\d+)+$/.test(definition.oid || '')) {
+      throw new Error('Custom OIDs need a name and a numeric oid');
+    }
+    const type = definition.type || 'gauge';
+    if (type !== 'gauge' && !COUNTER_BITS[type]) {
+      throw new Error(`Custom OID type must be gauge, counter32 or counter64`);
+    }
+    return { name: definition.name, oid: definition.oid, type, walk: !!definition.walk, unit: definition.unit || null };
+  });
+
+  return {
+    interval,
+    metrics,
+    interfaceFilter: config.interfaceFilter || null,
+    oids,
+    snmp: config.snmp || {}
+  };
+}
+
+/**
+ * Helper: Did sysUpTime wrap rather than restart from 0
+ * Ticks counted across the wrap must match the time between the polls; after a
+ * restart the device cannot have been up longer than that time
+ * @param {number} previous - Last sysUpTime (centiseconds)
+ * @param {number} current - sysUpTime now, smaller than previous
+ * @param {number} elapsed - ms between the two readings
+ */
+function uptimeWrapped(previous, current, elapsed) {
+  const ticks = UPTIME_WRAP - previous + current;
+  return Math.abs(ticks * 10 - elapsed) <= UPTIME_WRAP_SLACK;
+}
+
+/**
+ * Helper: Counter value as BigInt (net-snmp returns Counter64 as a Buffer)
+ */
+function toBigInt(value) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number' && Number.isFinite(value)) return BigInt(Math.trunc(value));
+  if (Buffer.isBuffer(value)) return value.length > 0 ? BigInt(`0x${value.toString('hex')}`) : 0n;
+  if (typeof value === 'string' && /^\d+$/.test(value)) return BigInt(value);
+  return null;
+}
+
+module.exports = { SNMPPoller, METRIC_SETS, OIDS, toBigInt };
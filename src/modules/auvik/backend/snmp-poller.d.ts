@@ -0,0 +1,34 @@
+/**
+ * Type declarations for SNMP Poller
+ */
+
+import { EventEmitter } from 'events';
+import { PollDeviceConfig, PolledDevice, PollMetricSet, PollResult } from '../types/index';
+import { MetricStore } from './metric-store';
+
+export interface SNMPPollerOptions {
+  snmp: any;
+  store: MetricStore;
+  configPath?: string;
+  defaultInterval?: number;
+}
+
+export const METRIC_SETS: PollMetricSet[];
+export const OIDS: Record<string, string>;
+export function toBigInt(value: any): bigint | null;
+
+export class SNMPPoller extends EventEmitter {
+  constructor(options: SNMPPollerOptions);
+
+  start(): void;
+  stop(): void;
+  addDevice(target: string, config?: PollDeviceConfig, options?: { save?: boolean }): PolledDevice;
+  removeDevice(target: string, options?: { save?: boolean; deleteData?: boolean }): boolean;
+  listDevices(): PolledDevice[];
+  pollNow(target: string): Promise<PollResult>;
+
+  on(event: 'poll', listener: (result: PollResult) => void): this;
+  on(event: string, listener: (...args: any[]) => void): this;
+}
+
+export default SNMPPoller;
@@ -4,12 +4,14 @@
  *
  * Features:
  * - Multi-source data aggregation (Nmap + SNMP + LLDP/CDP)
+ * - Layer-2 mapping: port-to-port links from LLDP/CDP and endpoints placed
+ *   behind switch ports from bridge forwarding and ARP tables, with VLANs and speed
  * - Force-directed graph layout generation
  * - 3D topology graph data for Three.js rendering
  * - Device clustering and grouping
  * - Link quality and bandwidth calculations
  * - Automatic subnet detection and segmentation
- * - Real-time topology updates
+ * - Real-time topology updates (link state from linkUp/linkDown traps)
  * - Export to multiple formats (JSON, GraphML, Cytoscape)
  *
  * Common Use Cases:
@@ -21,16 +23,53 @@
 
 const { EventEmitter } = require('events');
 const os = require('os');
-const { NetworkMapper } = require('./network-mapper');
-const { SNMPEngine } = require('./snmp-engine');
+const { NetworkMapper } = require('./network-mapper.cjs');
+const { SNMPEngine, normalizeMac } = require('./snmp-engine.cjs');
+
+// Links rebuilt by mapLayer2()
+const LAYER2_LINK_TYPES = ['lldp', 'cdp', 'bridge'];
+
+/**
+ * Same link end: by ifIndex when both are known, by name otherwise
+ */
+function samePort(a, b) {
+  if (!a || !b) return true;
+  if (a.index && b.index) return String(a.index) === String(b.index);
+  if (a.name && b.name) return a.name.toLowerCase() === b.name.toLowerCase();
+  return true;
+}
+
+/**
+ * Combine what both ends reported about a port
+ */
+function mergePort(current, update) {
+  if (!current) return update;
+  if (!update) return current;
+  // A name resolved from the interface table (index known) is the canonical one
+  const resolved = current.index ? current : (update.index ? update : current);
+  return {
+    index: current.index || update.index,
+    name: resolved.name || current.name || update.name,
+    speed: current.speed || update.speed
+  };
+}
+
+function portLabel(port) {
+  return port ? port.name || port.index || '?' : '?';
+}
 
 class TopologyBuilder extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.networkMapper] - Shared NetworkMapper (a new one otherwise)
+   * @param {Object} [options.snmpEngine] - Shared SNMPEngine (a new one otherwise)
+   */
+  constructor(options = {}) {
     super();
 
     // Integrated engines
-    this.networkMapper = new NetworkMapper();
-    this.snmpEngine = new SNMPEngine();
+    this.networkMapper = options.networkMapper || new NetworkMapper();
+    this.snmpEngine = options.snmpEngine || new SNMPEngine();
 
     // Topology data
     this.nodes = new Map();
@@ -70,7 +109,8 @@ class TopologyBuilder extends EventEmitter {
       nmapScan = true,
       snmpDiscovery = true,
       portScan = false,
-      osDetection = false
+      osDetection = false,
+      site = null
     } = options;
 
     // Phase 1: Nmap discovery
@@ -96,9 +136,11 @@ class TopologyBuilder extends EventEmitter {
         .filter(ip => ip);
 
       if (targets.length > 0) {
+        // No community: the engine tries the credential profiles for each target
+        // (falls back to 'public' without a credential store)
         const snmpResults = await this.snmpEngine.bulkDiscovery(targets, {
-          community: 'public',
-          timeout: 3000
+          timeout: 3000,
+          site
         });
 
         for (const device of snmpResults.successful) {
@@ -191,6 +233,8 @@ class TopologyBuilder extends EventEmitter {
         source: 'snmp',
         interfaces: device.interfaces || [],
         neighbors: device.neighbors || [],
+        bridge: device.bridge || null,
+        arp: device.arp || [],
         snmpData: {
           sysObjectID: device.sysObjectID,
           uptime: device.uptime,
@@ -211,6 +255,8 @@ class TopologyBuilder extends EventEmitter {
       node.type = 'network-device';
       node.interfaces = device.interfaces || node.interfaces;
       node.neighbors = device.neighbors || [];
+      node.bridge = device.bridge || node.bridge || null;
+      node.arp = device.arp || node.arp || [];
       node.snmpData = {
         sysObjectID: device.sysObjectID,
         uptime: device.uptime,
@@ -220,50 +266,320 @@ class TopologyBuilder extends EventEmitter {
       node.lastSeen = Date.now();
     }
 
-    // Create links from neighbor information
-    if (device.neighbors && device.neighbors.length > 0) {
-      for (const neighbor of device.neighbors) {
-        await this.createLinkFromNeighbor(nodeId, neighbor);
+    // Rebuild layer-2 links with the new neighbor and forwarding tables
+    this.mapLayer2();
+  }
+
+  /**
+   * Rebuild the layer-2 links: LLDP/CDP neighbor links between devices, then
+   * endpoints placed behind the switch port where their MAC address is learned.
+   * Link state (linkUp/linkDown) survives the rebuild.
+   * @returns {number} Layer-2 links
+   */
+  mapLayer2() {
+    const previous = new Map();
+    for (const [id, link] of this.links.entries()) {
+      if (LAYER2_LINK_TYPES.includes(link.type)) {
+        previous.set(id, link);
+        this.links.delete(id);
+      }
+    }
+
+    const macOwners = this.indexMacAddresses();
+
+    for (const node of Array.from(this.nodes.values())) {
+      for (const neighbor of node.neighbors || []) {
+        this.createLinkFromNeighbor(node.id, neighbor, macOwners);
       }
     }
+    this.placeEndpoints(macOwners);
+
+    let count = 0;
+    const placed = new Set();
+    for (const link of this.links.values()) {
+      if (!LAYER2_LINK_TYPES.includes(link.type)) continue;
+      count++;
+      placed.add(link.source);
+      placed.add(link.target);
+      this.annotateLink(link);
+      const before = previous.get(link.id);
+      if (before && before.status) {
+        link.status = before.status;
+        link.statusChanged = before.statusChanged;
+      }
+    }
+
+    // Subnet links to the gateway only stand in for nodes without a physical link
+    for (const [id, link] of this.links.entries()) {
+      if (link.type === 'network' && placed.has(link.target)) {
+        this.links.delete(id);
+      }
+    }
+
+    this.metrics.linksTotal = this.links.size;
+    return count;
   }
 
   /**
-   * Create link from neighbor information
+   * Map MAC addresses to nodes. Nodes without a MAC address (outside the scanner's
+   * broadcast domain) get it from the ARP tables of SNMP devices.
+   * @returns {Map} mac -> node ID
    */
-  async createLinkFromNeighbor(sourceId, neighbor) {
-    // Try to find target node by hostname
-    let targetId = null;
+  indexMacAddresses() {
+    const owners = new Map();
 
-    for (const [id, node] of this.nodes.entries()) {
-      if (node.hostname && node.hostname.toLowerCase() === neighbor.name.toLowerCase()) {
-        targetId = id;
-        break;
+    for (const node of this.nodes.values()) {
+      for (const entry of node.arp || []) {
+        const owner = this.nodes.get(entry.ip);
+        if (owner && !owner.mac) {
+          owner.mac = entry.mac;
+        }
       }
     }
 
-    if (targetId) {
-      const linkId = `${sourceId}-${targetId}`;
-      const reverseLinkId = `${targetId}-${sourceId}`;
+    for (const node of this.nodes.values()) {
+      const mac = normalizeMac(node.mac);
+      if (mac) owners.set(mac, node.id);
+    }
 
-      if (!this.links.has(linkId) && !this.links.has(reverseLinkId)) {
-        this.links.set(linkId, {
-          id: linkId,
-          source: sourceId,
-          target: targetId,
-          type: neighbor.protocol.toLowerCase(),
-          interface: neighbor.interface,
-          discovered: Date.now()
-        });
-        this.metrics.linksTotal++;
+    // Interface MACs of SNMP devices win over ARP/scanner results
+    for (const node of this.nodes.values()) {
+      for (const iface of node.interfaces || []) {
+        const mac = normalizeMac(iface.mac);
+        if (mac && mac !== '00:00:00:00:00:00') owners.set(mac, node.id);
+      }
+    }
+
+    return owners;
+  }
+
+  /**
+   * Create a link from LLDP/CDP neighbor information. The neighbor is matched by
+   * management address, chassis MAC, then hostname; both ports are resolved to
+   * interfaces where the device is known. A link reported from both ends is kept once.
+   */
+  createLinkFromNeighbor(sourceId, neighbor, macOwners = this.indexMacAddresses()) {
+    const sourceNode = this.nodes.get(sourceId);
+    if (!sourceNode) return null;
+
+    let target =
+      (neighbor.address && this.nodes.get(neighbor.address)) ||
+      (neighbor.chassisId && this.nodes.get(macOwners.get(normalizeMac(neighbor.chassisId)))) ||
+      this.findNode(String(neighbor.name || '').replace(/\(.*\)$/, ''));
+
+    // Neighbors outside the scanned range still belong on the map
+    if (!target && neighbor.address) {
+      target = {
+        id: neighbor.address,
+        ip: neighbor.address,
+        hostname: neighbor.name,
+        vendor: null,
+        os: neighbor.platform || null,
+        type: 'device',
+        source: neighbor.protocol.toLowerCase(),
+        lastSeen: Date.now(),
+        metadata: {}
+      };
+      this.nodes.set(target.id, target);
+      this.metrics.nodesTotal++;
+    }
+    if (!target || target.id === sourceId) return null;
+
+    const localInterface = neighbor.localInterface || { index: neighbor.interface, name: null };
+    const sourceInterface = this.portInfo(sourceNode, this.matchInterface(sourceNode, localInterface) || localInterface);
+    const targetInterface = this.portInfo(target, this.matchInterface(target, neighbor.remoteInterface) || neighbor.remoteInterface);
+    const protocols = neighbor.protocols || [neighbor.protocol];
+
+    for (const link of this.links.values()) {
+      if (!['lldp', 'cdp'].includes(link.type)) continue;
+      const forward = link.source === sourceId && link.target === target.id &&
+        samePort(link.sourceInterface, sourceInterface) && samePort(link.targetInterface, targetInterface);
+      const reverse = link.source === target.id && link.target === sourceId &&
+        samePort(link.sourceInterface, targetInterface) && samePort(link.targetInterface, sourceInterface);
+      if (forward || reverse) {
+        const [near, far] = forward ? [sourceInterface, targetInterface] : [targetInterface, sourceInterface];
+        link.sourceInterface = mergePort(link.sourceInterface, near);
+        link.targetInterface = mergePort(link.targetInterface, far);
+        link.protocols = Array.from(new Set([...link.protocols, ...protocols]));
+        link.nativeVlan = link.nativeVlan || neighbor.nativeVlan || null;
+        return link;
       }
     }
+
+    const link = {
+      id: `${sourceId}:${portLabel(sourceInterface)}-${target.id}:${portLabel(targetInterface)}`,
+      source: sourceId,
+      target: target.id,
+      type: neighbor.protocol.toLowerCase(),
+      protocols,
+      sourceInterface,
+      targetInterface,
+      interface: sourceInterface ? sourceInterface.name : null,
+      nativeVlan: neighbor.nativeVlan || null,
+      vlans: [],
+      speed: null,
+      discovered: Date.now()
+    };
+    this.links.set(link.id, link);
+    this.metrics.linksTotal++;
+    return link;
+  }
+
+  /**
+   * Place endpoints behind switch ports using the bridge forwarding tables.
+   * Ports with an LLDP/CDP neighbor, or where another switch's MAC is learned,
+   * are uplinks; an endpoint goes on the non-uplink port that learned it, the
+   * port with the fewest MACs when several do.
+   */
+  placeEndpoints(macOwners) {
+    const bridges = Array.from(this.nodes.values()).filter(node => node.bridge && node.bridge.forwarding.length > 0);
+    const bridgeIds = new Set(bridges.map(node => node.id));
+
+    const uplinks = new Set();
+    const linked = new Set();
+    for (const link of this.links.values()) {
+      if (!['lldp', 'cdp'].includes(link.type)) continue;
+      linked.add(link.source);
+      linked.add(link.target);
+      if (link.sourceInterface && link.sourceInterface.index) uplinks.add(`${link.source}#${link.sourceInterface.index}`);
+      if (link.targetInterface && link.targetInterface.index) uplinks.add(`${link.target}#${link.targetInterface.index}`);
+    }
+
+    const portMacs = new Map();
+    for (const bridge of bridges) {
+      for (const entry of bridge.bridge.forwarding) {
+        if (!entry.ifIndex) continue;
+        const port = `${bridge.id}#${entry.ifIndex}`;
+        if (!portMacs.has(port)) portMacs.set(port, new Set());
+        portMacs.get(port).add(entry.mac);
+
+        const owner = macOwners.get(entry.mac);
+        if (owner && owner !== bridge.id && bridgeIds.has(owner)) {
+          uplinks.add(port);
+        }
+      }
+    }
+
+    const candidates = new Map();
+    for (const bridge of bridges) {
+      for (const entry of bridge.bridge.forwarding) {
+        const owner = macOwners.get(entry.mac);
+        const port = `${bridge.id}#${entry.ifIndex}`;
+        if (!owner || !entry.ifIndex || owner === bridge.id || bridgeIds.has(owner) ||
+            linked.has(owner) || uplinks.has(port)) continue;
+
+        const current = candidates.get(owner);
+        const size = portMacs.get(port).size;
+        if (!current || size < current.size) {
+          candidates.set(owner, { bridge, port, size, ifIndex: entry.ifIndex, vlans: new Set() });
+        }
+        const chosen = candidates.get(owner);
+        if (chosen.port === port && entry.vlan) chosen.vlans.add(entry.vlan);
+      }
+    }
+
+    for (const [owner, placement] of candidates.entries()) {
+      const sourceInterface = this.portInfo(placement.bridge, { index: placement.ifIndex, name: null });
+      const link = {
+        id: `${placement.bridge.id}:${portLabel(sourceInterface)}-${owner}`,
+        source: placement.bridge.id,
+        target: owner,
+        type: 'bridge',
+        protocols: ['FDB'],
+        sourceInterface,
+        targetInterface: null,
+        interface: sourceInterface.name,
+        nativeVlan: null,
+        vlans: Array.from(placement.vlans).sort((a, b) => a - b),
+        speed: null,
+        discovered: Date.now()
+      };
+      this.links.set(link.id, link);
+      this.metrics.linksTotal++;
+    }
+  }
+
+  /**
+   * Fill in link speed (slower end) and VLANs (PVID and VLANs learned on the ports)
+   */
+  annotateLink(link) {
+    const ends = [
+      [this.nodes.get(link.source), link.sourceInterface],
+      [this.nodes.get(link.target), link.targetInterface]
+    ];
+    const vlans = new Set(link.vlans || []);
+    const speeds = [];
+
+    for (const [node, port] of ends) {
+      if (!node || !port) continue;
+      if (port.speed) speeds.push(port.speed);
+      if (!port.index || !node.bridge) continue;
+      const pvid = node.bridge.portVlans[port.index];
+      if (pvid && !link.nativeVlan) link.nativeVlan = pvid;
+      for (const entry of node.bridge.forwarding) {
+        if (entry.vlan && String(entry.ifIndex) === String(port.index)) vlans.add(entry.vlan);
+      }
+    }
+    if (link.nativeVlan) vlans.add(link.nativeVlan);
+
+    link.vlans = Array.from(vlans).sort((a, b) => a - b);
+    link.speed = speeds.length > 0 ? Math.min(...speeds) : null;
+  }
+
+  /**
+   * Find a node's interface by ifIndex, name/description/alias or MAC (LLDP port ID)
+   */
+  matchInterface(node, port) {
+    if (!port || !node.interfaces || node.interfaces.length === 0) return null;
+    const names = [port.name, port.id, port.description]
+      .filter(value => value !== undefined && value !== null && value !== '')
+      .map(value => String(value).toLowerCase());
+    const mac = normalizeMac(port.id);
+
+    return (port.index !== undefined && port.index !== null &&
+        node.interfaces.find(iface => String(iface.index) === String(port.index))) ||
+      node.interfaces.find(iface => [iface.name, iface.description, iface.alias]
+        .some(value => value && names.includes(String(value).toLowerCase()))) ||
+      (mac && node.interfaces.find(iface => normalizeMac(iface.mac) === mac)) ||
+      (port.idSubtype === 7 && node.interfaces.find(iface => String(iface.index) === String(port.id))) ||
+      null;
+  }
+
+  /**
+   * Link end description: { index, name, speed }
+   */
+  portInfo(node, port) {
+    if (!port) return null;
+    const iface = node.interfaces && port.index !== undefined && port.index !== null
+      ? node.interfaces.find(candidate => String(candidate.index) === String(port.index))
+      : null;
+    if (iface) {
+      return { index: String(iface.index), name: iface.name || iface.description, speed: iface.speed || null };
+    }
+    return {
+      index: port.index !== undefined && port.index !== null ? String(port.index) : null,
+      name: port.name || port.description || (port.id ? String(port.id) : null),
+      speed: port.speed || null
+    };
   }
 
   /**
    * Build topology graph structure
    */
   async buildGraph() {
+    // Physical links first; subnet links to the gateway only for nodes without one
+    this.mapLayer2();
+
+    const placed = new Set();
+    for (const [id, link] of this.links.entries()) {
+      if (link.type === 'network') {
+        this.links.delete(id);
+      } else {
+        placed.add(link.source);
+        placed.add(link.target);
+      }
+    }
+
     // Create links based on subnet membership
     const nodesBySubnet = new Map();
 
@@ -284,7 +600,7 @@ class TopologyBuilder extends EventEmitter {
       if (gatewayId) {
         // Link all nodes in subnet to gateway
         for (const nodeId of nodeIds) {
-          if (nodeId !== gatewayId) {
+          if (nodeId !== gatewayId && !placed.has(nodeId)) {
             const linkId = `${gatewayId}-${nodeId}`;
             const reverseLinkId = `${nodeId}-${gatewayId}`;
 
@@ -446,10 +762,16 @@ class TopologyBuilder extends EventEmitter {
           size: this.getNodeSize(node.type)
         })),
         links: Array.from(this.links.values()).map(link => ({
+          id: link.id,
           source: link.source,
           target: link.target,
           type: link.type,
-          color: this.getLinkColor(link.type),
+          sourcePort: link.sourceInterface ? link.sourceInterface.name : null,
+          targetPort: link.targetInterface ? link.targetInterface.name : null,
+          vlans: link.vlans || [],
+          speed: link.speed || null,
+          status: link.status || 'up',
+          color: link.status === 'down' ? '#ff6b6b' : this.getLinkColor(link.type),
           width: this.getLinkWidth(link.type)
         }))
       };
@@ -502,6 +824,7 @@ class TopologyBuilder extends EventEmitter {
     const colors = {
       lldp: '#339af0',
       cdp: '#339af0',
+      bridge: '#74c0fc',
       network: '#868e96',
       unknown: '#adb5bd'
     };
@@ -515,6 +838,7 @@ class TopologyBuilder extends EventEmitter {
     const widths = {
       lldp: 3,
       cdp: 3,
+      bridge: 2,
       network: 1,
       unknown: 1
     };
@@ -607,6 +931,66 @@ class TopologyBuilder extends EventEmitter {
     return this.links.get(linkId) || null;
   }
 
+  /**
+   * Find a node by ID, IP or hostname (short names match FQDNs)
+   */
+  findNode(value) {
+    if (!value) return null;
+    if (this.nodes.has(value)) return this.nodes.get(value);
+
+    const lower = String(value).toLowerCase();
+    const short = lower.split('.')[0];
+    for (const node of this.nodes.values()) {
+      if (node.ip === value) return node;
+      const hostname = node.hostname ? node.hostname.toLowerCase() : null;
+      if (hostname && (hostname === lower || hostname.split('.')[0] === short)) return node;
+    }
+    return null;
+  }
+
+  /**
+   * Record an interface state change (linkUp/linkDown) and apply it to the
+   * links attached to that interface
+   * @param {string} nodeId
+   * @param {Object} change - { ifIndex, name, status: 'up' | 'down' | ..., timestamp }
+   * @returns {Array} IDs of the links whose state changed
+   */
+  setInterfaceState(nodeId, change) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return [];
+    const { name = null, status, timestamp = Date.now() } = change;
+
+    // Traps name the interface by ifDescr, ifName or ifAlias; links carry the ifIndex
+    const entry = this.matchInterface(node, { index: change.ifIndex ?? null, name });
+    if (entry) {
+      entry.operStatus = status;
+    }
+    const ifIndex = change.ifIndex ?? (entry ? entry.index : null);
+
+    const matches = (candidate) => {
+      if (candidate === undefined || candidate === null) return false;
+      if (typeof candidate === 'object') {
+        return (ifIndex !== null && String(candidate.index) === String(ifIndex)) ||
+          (!!name && !!candidate.name && candidate.name.toLowerCase() === name.toLowerCase());
+      }
+      return (ifIndex !== null && String(candidate) === String(ifIndex)) ||
+        (!!name && String(candidate).toLowerCase() === name.toLowerCase());
+    };
+
+    const changed = [];
+    for (const link of this.links.values()) {
+      const attached = (link.source === nodeId && (matches(link.sourceInterface) || matches(link.interface))) ||
+        (link.target === nodeId && matches(link.targetInterface));
+      if (!attached || (link.status || 'up') === status) continue;
+
+      link.status = status;
+      link.statusChanged = timestamp;
+      changed.push(link.id);
+      this.emit('linkStateChanged', { linkId: link.id, nodeId, ifIndex, interface: name, status });
+    }
+    return changed;
+  }
+
   /**
    * Search topology
    */
@@ -34,8 +34,19 @@ export interface Topology {
   };
 }
 
+export interface InterfaceStateChange {
+  ifIndex?: string | number | null;
+  /** ifDescr, ifName or ifAlias (case-insensitive) when the ifIndex is unknown */
+  name?: string | null;
+  status: string;
+  timestamp?: number;
+}
+
 export class TopologyBuilder extends EventEmitter {
-  constructor();
+  constructor(options?: { networkMapper?: any; snmpEngine?: any });
+
+  buildTopology(subnet: string, options?: { nmapScan?: boolean; snmpDiscovery?: boolean; portScan?: boolean; osDetection?: boolean; site?: string | null }): Promise<any>;
+  mapLayer2(): number;
 
   build(scanResults: any[]): Topology;
   addNode(node: TopologyNode): void;
@@ -43,6 +54,8 @@ export class TopologyBuilder extends EventEmitter {
   getTopology(): Topology;
   clear(): void;
   exportToJSON(): string;
+  findNode(value: string): any | null;
+  setInterfaceState(nodeId: string, change: InterfaceStateChange): string[];
 }
 
 export default TopologyBuilder;
@@ -20,6 +20,11 @@ export default NetworkMapperModule;
 export { NetworkMapper } from './backend/network-mapper';
 export { SNMPEngine } from './backend/snmp-engine';
 export { TopologyBuilder } from './backend/topology-builder';
+export { SNMPPoller } from './backend/snmp-poller';
+export { MetricStore } from './backend/metric-store';
+export { EventReceiver } from './backend/event-receiver';
+export { NetworkEventStore } from './backend/event-store';
+export { SNMPCredentialStore } from './backend/snmp-credentials';
 
 // Export types
 export * from './types/index';
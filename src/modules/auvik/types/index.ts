@@ -37,25 +37,63 @@ export interface SNMPDevice extends NetworkDevice {
   location?: string;
   interfaces: NetworkInterface[];
   neighbors: NeighborInfo[];
+  bridge?: BridgeTable;
+  arp?: ArpEntry[];
+  credentialProfile?: { id: string; name: string | null } | null;
 }
 
 export interface NetworkInterface {
   index: string;
+  /** ifName, ifDescr when the agent has no ifXTable */
+  name: string;
   description: string;
+  alias?: string | null;
   type: number;
   mtu: number;
+  /** Bits per second (from ifHighSpeed above 4.29 Gbit/s) */
   speed: number;
-  mac: string;
+  mac: string | null;
   adminStatus: 'up' | 'down';
   operStatus: 'up' | 'down';
 }
 
 export interface NeighborInfo {
   protocol: 'LLDP' | 'CDP';
+  /** Both protocols reported the neighbor on the same port */
+  protocols?: Array<'LLDP' | 'CDP'>;
   name: string;
+  chassisId: string | null;
+  /** Management address */
+  address: string | null;
+  platform: string | null;
+  nativeVlan: number | null;
+  localInterface: { index: string | null; name: string | null };
+  remoteInterface: { id: string | null; idSubtype: number | null; name: string | null; description: string | null };
+  /** Local interface name */
   interface: string;
 }
 
+export interface BridgeForwardingEntry {
+  mac: string;
+  vlan: number | null;
+  bridgePort: number;
+  ifIndex: string | null;
+  interface: string | null;
+}
+
+export interface BridgeTable {
+  forwarding: BridgeForwardingEntry[];
+  /** ifIndex -> PVID */
+  portVlans: Record<string, number>;
+  vlans: Array<{ id: number; name: string | null }>;
+}
+
+export interface ArpEntry {
+  ip: string;
+  mac: string;
+  ifIndex: string;
+}
+
 // ============================================================================
 // Nmap Scanning
 // ============================================================================
@@ -99,11 +137,77 @@ export type SNMPVersion = '1' | '2c' | '3';
 export interface SNMPOptions {
   community?: string;
   version?: SNMPVersion;
+  user?: SNMPv3User;
+  context?: string;
+  profileId?: string;
+  port?: number;
+  timeout?: number;
+  retries?: number;
+}
+
+export type SNMPSecurityLevel = 'noAuthNoPriv' | 'authNoPriv' | 'authPriv';
+
+export type SNMPAuthProtocol = 'md5' | 'sha' | 'sha224' | 'sha256' | 'sha384' | 'sha512';
+
+export type SNMPPrivProtocol = 'des' | 'aes' | 'aes256b' | 'aes256r';
+
+export interface SNMPv3User {
+  name: string;
+  level: SNMPSecurityLevel;
+  authProtocol?: SNMPAuthProtocol | null;
+  authKey?: string | null;
+  privProtocol?: SNMPPrivProtocol | null;
+  privKey?: string | null;
+}
+
+/** Profile as saved from the renderer (secrets may be omitted on update) */
+export interface SNMPCredentialProfileInput {
+  id?: string;
+  name: string;
+  version: SNMPVersion;
+  community?: string;
+  user?: SNMPv3User;
+  context?: string;
   port?: number;
   timeout?: number;
   retries?: number;
 }
 
+/** Profile as listed (never includes secrets) */
+export interface SNMPCredentialProfile {
+  id: string;
+  name: string;
+  version: SNMPVersion;
+  hasCommunity: boolean;
+  user: {
+    name: string;
+    level: SNMPSecurityLevel;
+    authProtocol: SNMPAuthProtocol | null;
+    privProtocol: SNMPPrivProtocol | null;
+    hasAuthKey: boolean;
+    hasPrivKey: boolean;
+  } | null;
+  context?: string;
+  port?: number;
+  timeout?: number;
+  retries?: number;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface SNMPCredentialAssignment {
+  subnet?: string | null;
+  site?: string | null;
+  profileIds: string[];
+}
+
+export interface SNMPDeviceCredential {
+  target: string;
+  profileId: string;
+  profileName: string | null;
+  at: number;
+}
+
 export interface SNMPSession {
   id: string;
   target: string;
@@ -150,14 +254,32 @@ export interface TopologyNode {
   z?: number;
 }
 
+export interface TopologyLinkPort {
+  index: string | null;
+  name: string | null;
+  speed: number | null;
+}
+
 export interface TopologyLink {
   id: string;
   source: string;
   target: string;
-  type: 'network' | 'lldp' | 'cdp' | 'unknown';
+  /** lldp/cdp: neighbor link, bridge: endpoint from forwarding tables, network: subnet fallback */
+  type: 'network' | 'lldp' | 'cdp' | 'bridge' | 'unknown';
   color: string;
   width: number;
+  sourcePort?: string | null;
+  targetPort?: string | null;
+  sourceInterface?: TopologyLinkPort | null;
+  targetInterface?: TopologyLinkPort | null;
+  protocols?: Array<'LLDP' | 'CDP' | 'FDB'>;
+  vlans?: number[];
+  nativeVlan?: number | null;
+  /** Bits per second, the slower end */
+  speed?: number | null;
   interface?: string;
+  status?: string;
+  statusChanged?: number;
   discovered: number;
 }
 
@@ -185,7 +307,9 @@ export interface TopologyNodeRaw {
   services?: string[];
   interfaces?: NetworkInterface[];
   neighbors?: NeighborInfo[];
-  source: 'nmap' | 'snmp';
+  bridge?: BridgeTable | null;
+  arp?: ArpEntry[];
+  source: 'nmap' | 'snmp' | 'lldp' | 'cdp';
   snmpData?: {
     sysObjectID?: string;
     uptime?: number;
@@ -224,6 +348,8 @@ export interface TopologyBuildOptions {
   snmpDiscovery?: boolean;
   portScan?: boolean;
   osDetection?: boolean;
+  /** Site whose SNMP credential profiles are tried */
+  site?: string | null;
 }
 
 export interface TopologyBuildResult {
@@ -317,6 +443,231 @@ export interface TopologyMetrics {
   snmpMetrics: SNMPEngineMetrics;
 }
 
+// ============================================================================
+// SNMP Polling and Time-Series
+// ============================================================================
+
+export type PollMetricSet = 'interfaces' | 'cpu' | 'storage' | 'uptime';
+
+export type MetricResolution = 'raw' | '5m' | '1h';
+
+export interface CustomPollOID {
+  name: string;
+  oid: string;
+  type?: 'gauge' | 'counter32' | 'counter64';
+  walk?: boolean;
+  unit?: string | null;
+}
+
+export interface PollDeviceConfig {
+  interval?: number;
+  metrics?: PollMetricSet[];
+  interfaceFilter?: string | null;
+  oids?: CustomPollOID[];
+  snmp?: SNMPOptions;
+}
+
+export interface PolledDevice {
+  target: string;
+  interval: number;
+  metrics: PollMetricSet[];
+  interfaceFilter: string | null;
+  oids: CustomPollOID[];
+  lastPoll: number | null;
+  lastError: string | null;
+  consecutiveFailures: number;
+  samples: number;
+  nextPoll: number | null;
+}
+
+export interface PollResult {
+  target: string;
+  timestamp: number;
+  duration: number;
+  samples: number;
+  error: string | null;
+}
+
+export interface MetricSeries {
+  device: string;
+  metric: string;
+  instance: string;
+  label: string | null;
+  unit: string | null;
+  lastTimestamp: number | null;
+  lastValue: number | null;
+}
+
+export interface MetricQuery {
+  device: string;
+  metric: string;
+  instance?: string;
+  from?: number;
+  to?: number;
+  resolution?: 'auto' | MetricResolution;
+}
+
+/** [timestamp, avg, min, max] */
+export type MetricPoint = [number, number, number, number];
+
+export interface MetricQueryResult extends MetricSeries {
+  resolution: MetricResolution;
+  points: MetricPoint[];
+}
+
+// ============================================================================
+// Traps and Syslog
+// ============================================================================
+
+export type NetworkEventSeverity =
+  | 'emergency'
+  | 'alert'
+  | 'critical'
+  | 'error'
+  | 'warning'
+  | 'notice'
+  | 'info'
+  | 'debug';
+
+export interface TrapVarbind {
+  oid: string;
+  name: string | null;
+  value: any;
+}
+
+export interface TrapDetails {
+  version: SNMPVersion;
+  oid: string;
+  enterprise: string | null;
+  community: string | null;
+  user: string | null;
+  inform: boolean;
+  uptime: number | null;
+  varbinds: TrapVarbind[];
+}
+
+export interface SyslogDetails {
+  format: '5424' | '3164';
+  facility: number;
+  facilityName: string;
+  severity: number;
+  timestamp: number | null;
+  hostname: string | null;
+  appName: string | null;
+  procId: string | null;
+  msgId: string | null;
+  structuredData: Record<string, Record<string, string>>;
+  message: string;
+}
+
+export interface NetworkEvent {
+  id: string;
+  timestamp: number;
+  source: 'trap' | 'syslog';
+  transport: 'udp' | 'tcp';
+  address: string;
+  sender: string;
+  severity: NetworkEventSeverity;
+  severityCode: number;
+  name: string | null;
+  message: string;
+  device: { ip: string; hostname: string | null; nodeId: string | null } | null;
+  ruleId: string | null;
+  tags: string[];
+  trap?: TrapDetails;
+  syslog?: SyslogDetails;
+}
+
+export interface NetworkEventRule {
+  id?: string;
+  name: string;
+  enabled?: boolean;
+  match: {
+    source?: 'trap' | 'syslog';
+    address?: string;
+    hostname?: string;
+    name?: string;
+    facility?: string;
+    severity?: NetworkEventSeverity | NetworkEventSeverity[];
+    minSeverity?: NetworkEventSeverity;
+    pattern?: string;
+  };
+  severity?: NetworkEventSeverity | null;
+  tags?: string[];
+  drop?: boolean;
+}
+
+/**
+ * Keys are write-only: stored in the credential store and read back as '********'
+ * (sending '********' or omitting a key keeps the stored one)
+ */
+export interface TrapUser {
+  name: string;
+  level: 'noAuthNoPriv' | 'authNoPriv' | 'authPriv';
+  authProtocol?: string;
+  authKey?: string;
+  privProtocol?: string;
+  privKey?: string;
+}
+
+export interface EventReceiverConfig {
+  trap: {
+    enabled: boolean;
+    port: number;
+    communities: string[];
+    users: TrapUser[];
+  };
+  syslog: {
+    enabled: boolean;
+    udpPort: number;
+    tcpPort: number | null;
+  };
+  address: string;
+  mibNames: Record<string, string>;
+  retentionDays: number;
+}
+
+export interface ListenerStatus {
+  listening: boolean;
+  port: number | null;
+  error: string | null;
+}
+
+export interface EventReceiverStatus {
+  running: boolean;
+  trap: ListenerStatus;
+  syslogUdp: ListenerStatus;
+  syslogTcp: ListenerStatus;
+  tcpConnections: number;
+  traps: number;
+  syslog: number;
+  dropped: number;
+  malformed: number;
+}
+
+export interface NetworkEventQuery {
+  source?: 'trap' | 'syslog';
+  address?: string;
+  nodeId?: string;
+  severity?: NetworkEventSeverity;
+  name?: string;
+  ruleId?: string;
+  text?: string;
+  since?: number;
+  until?: number;
+  limit?: number;
+  offset?: number;
+}
+
+export interface LinkStateChange {
+  nodeId: string | null;
+  address: string;
+  ifIndex: string | null;
+  interface: string | null;
+  status: string;
+  links: string[];
+}
+
 // ============================================================================
 // Events
 // ============================================================================
@@ -0,0 +1,308 @@
+/**
+ * NinjaShark Alert Publisher
+ * Fans anomaly alerts out to the toolkit EventBus and, by policy, to PSA tickets
+ *
+ * Features:
+ * - Every alert published on the EventBus as 'ninjashark:alert'
+ * - Optional ticket policy: alerts at or above a severity open ConnectWise tickets
+ * - Per-site company/board mapping
+ * - Offending packets attached to the ticket as a .pcapng capture
+ * - Deduplication: repeats of the same rule + group + site within the dedupe
+ *   window are counted against the existing ticket instead of opening new ones
+ * - Policy persisted as JSON
+ *
+ * EventBus events:
+ * - ninjashark:alert              every alert
+ * - ninjashark:ticket:created     { alertId, ticketId, dedupeKey, attachment }
+ * - ninjashark:ticket:deduplicated { alertId, ticketId, dedupeKey, occurrences }
+ * - module:error                  ticket or attachment failures
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { PcapngWriter } = require('./pcap-file.cjs');
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+const DEFAULT_POLICY = {
+  enabled: false,
+  minSeverity: 'high',
+  companyId: null, // default ConnectWise company
+  boardId: null, // default service board
+  priorityId: null,
+  sites: {}, // siteId -> { companyId, boardId?, priorityId? }
+  dedupeWindow: 4 * 60 * 60 * 1000, // ms since the last repeat
+  attachPcap: true,
+  maxPcapPackets: 500
+};
+
+class AlertPublisher extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventBus - Toolkit EventBus
+   * @param {Object} [options.captureEngine] - Source of the offending packets
+   * @param {Object} [options.store] - AlertStore for persisted ticket links
+   * @param {string} [options.policyPath] - JSON file holding the ticket policy
+   */
+  constructor(options = {}) {
+    super();
+
+    this.eventBus = options.eventBus || null;
+    this.captureEngine = options.captureEngine || null;
+    this.store = options.store || null;
+    this.policyPath = options.policyPath || null;
+    this.ticketManager = null;
+    this.attachmentHandler = null;
+    this.links = new Map(); // dedupeKey -> { ticketId, alertId, createdAt, lastSeen, occurrences, pending }
+
+    this.policy = { ...DEFAULT_POLICY };
+    if (this.policyPath && fs.existsSync(this.policyPath)) {
+      try {
+        this.policy = this.validatePolicy(JSON.parse(fs.readFileSync(this.policyPath, 'utf8')));
+      } catch (error) {
+        console.warn('NinjaShark ticket policy ignored:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Connect the ticketing backend (ConnectWise TicketManager + AttachmentHandler)
+   */
+  setTicketing(ticketManager, attachmentHandler = null) {
+    this.ticketManager = ticketManager;
+    this.attachmentHandler = attachmentHandler;
+  }
+
+  getPolicy() {
+    return { ...this.policy, ticketingAvailable: !!this.ticketManager };
+  }
+
+  /**
+   * Validate, apply and persist a ticket policy
+   * @param {Object} policy - Partial policy merged over the current one
+   */
+  setPolicy(policy) {
+    this.policy = this.validatePolicy({ ...this.policy, ...policy });
+
+    if (this.policyPath) {
+      fs.mkdirSync(path.dirname(this.policyPath), { recursive: true });
+      fs.writeFileSync(this.policyPath, JSON.stringify(this.policy, null, 2));
+    }
+    return this.getPolicy();
+  }
+
+  /**
+   * Helper: Check a policy object, filling defaults
+   */
+  validatePolicy(policy) {
+    const merged = { ...DEFAULT_POLICY, ...policy };
+    delete merged.ticketingAvailable;
+
+    if (!SEVERITY_RANK[merged.minSeverity]) {
+      throw new Error(`minSeverity must be one of ${Object.keys(SEVERITY_RANK).join(', ')}`);
+    }
+    if (typeof merged.dedupeWindow !== 'number' || merged.dedupeWindow < 0) {
+      throw new Error('dedupeWindow must be a non-negative number of milliseconds');
+    }
+    if (typeof merged.sites !== 'object' || merged.sites === null || Array.isArray(merged.sites)) {
+      throw new Error('sites must map site ids to { companyId, boardId }');
+    }
+    if (merged.enabled && !merged.boardId) {
+      throw new Error('A service board is required to open tickets');
+    }
+    return merged;
+  }
+
+  /**
+   * Publish an alert and apply the ticket policy
+   * @param {Object} alert - Alert created by AnomalyDetector
+   * @returns {Promise<Object|null>} Ticket outcome, or null when no ticket applies
+   */
+  async publish(alert) {
+    this.eventBus?.publish('ninjashark:alert', alert);
+    this.emit('alert', alert);
+
+    const target = this.ticketTarget(alert);
+    if (!target) return null;
+
+    try {
+      return await this.openTicket(alert, target);
+    } catch (error) {
+      console.error('NinjaShark ticket creation failed:', error.message);
+      this.eventBus?.publish('module:error', {
+        module: 'ninjashark',
+        type: 'ticket',
+        message: `Ticket for alert ${alert.id} failed: ${error.message}`
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Helper: Company/board for an alert, or null when the policy does not apply
+   */
+  ticketTarget(alert) {
+    const policy = this.policy;
+    if (!policy.enabled || !this.ticketManager) return null;
+    if ((SEVERITY_RANK[alert.severity] || 0) < SEVERITY_RANK[policy.minSeverity]) return null;
+
+    const site = (alert.siteId && policy.sites[alert.siteId]) || {};
+    const companyId = site.companyId || policy.companyId;
+    const boardId = site.boardId || policy.boardId;
+    if (!companyId || !boardId) return null;
+
+    return { companyId, boardId, priorityId: site.priorityId || policy.priorityId };
+  }
+
+  /**
+   * Helper: Same rule, same offender group, same site => same ticket
+   */
+  dedupeKey(alert) {
+    const group = alert.details?.group || {};
+    const parts = Object.keys(group).sort().map(name => `${name}=${group[name]}`);
+    return [alert.siteId || '', alert.ruleId || alert.type, ...parts].join('|');
+  }
+
+  /**
+   * Open a ticket for an alert unless a recent one covers it.
+   * Repeats waiting on a ticket that fails to open retry once instead of
+   * re-throwing the creator's error.
+   */
+  async openTicket(alert, target, retried = false) {
+    const key = this.dedupeKey(alert);
+    const now = Date.now();
+    this.cleanup(now);
+
+    const existing = this.links.get(key) || this.store?.getTicketLink(key);
+    const live = existing && (existing.ticketId || existing.pending);
+    if (live && now - existing.lastSeen < this.policy.dedupeWindow) {
+      existing.lastSeen = now;
+      existing.occurrences++;
+      this.links.set(key, existing);
+      if (existing.ticketId) this.store?.touchTicketLink(key, now);
+
+      let ticketId = existing.ticketId;
+      if (!ticketId) {
+        try {
+          ticketId = await existing.pending;
+        } catch (error) {
+          // The creator has already reported the failure and released the key
+          if (retried) {
+            return { success: false, deduplicated: true, alertId: alert.id, dedupeKey: key, error: error.message };
+          }
+          return this.openTicket(alert, target, true);
+        }
+      }
+      const event = { alertId: alert.id, ticketId, dedupeKey: key, occurrences: existing.occurrences };
+      this.eventBus?.publish('ninjashark:ticket:deduplicated', event);
+      return { success: true, deduplicated: true, ...event };
+    }
+
+    // Claim the key before the first await so concurrent repeats wait for this ticket
+    const link = { ticketId: null, alertId: alert.id, createdAt: now, lastSeen: now, occurrences: 1, pending: null };
+    this.links.set(key, link);
+
+    try {
+      link.pending = this.ticketManager.createTicket(this.buildTicket(alert, target)).then(ticket => ticket.id);
+      link.ticketId = await link.pending;
+    } catch (error) {
+      link.pending = null;
+      if (this.links.get(key) === link) this.links.delete(key);
+      throw error;
+    }
+    link.pending = null;
+
+    this.store?.saveTicketLink({ dedupeKey: key, ...link });
+
+    let attachment = null;
+    if (this.policy.attachPcap) {
+      attachment = await this.attachPackets(link.ticketId, alert);
+    }
+
+    const event = { alertId: alert.id, ticketId: link.ticketId, dedupeKey: key, attachment };
+    this.eventBus?.publish('ninjashark:ticket:created', event);
+    console.log(`✓ NinjaShark opened ticket #${link.ticketId} for alert ${alert.id}`);
+    return { success: true, deduplicated: false, ...event };
+  }
+
+  /**
+   * Helper: ConnectWise ticket body for an alert
+   */
+  buildTicket(alert, target) {
+    const details = alert.details || {};
+    const group = Object.entries(details.group || {}).map(([name, value]) => `${name}: ${value}`);
+
+    const description = [
+      alert.message,
+      '',
+      `Rule: ${alert.ruleId || alert.type}`,
+      `Severity: ${alert.severity}`,
+      `Detected: ${new Date(alert.timestamp).toISOString()}`,
+      alert.siteId ? `Site: ${alert.siteId}` : null,
+      alert.sessionId ? `Capture session: ${alert.sessionId}` : null,
+      ...group,
+      details.window ? `Observed ${details.value} (threshold ${details.threshold}) in ${details.window / 1000}s` : null,
+      '',
+      'Repeat alerts for the same source are counted against this ticket.'
+    ].filter(line => line !== null).join('\n');
+
+    const ticket = {
+      summary: `[NinjaShark] ${alert.message}`.slice(0, 100),
+      board: { id: target.boardId },
+      company: { id: target.companyId },
+      initialDescription: description
+    };
+    if (target.priorityId) {
+      ticket.priority = { id: target.priorityId };
+    }
+    return ticket;
+  }
+
+  /**
+   * Attach the alert's packets to a ticket as .pcapng.
+   * Failures are reported but do not undo the ticket.
+   */
+  async attachPackets(ticketId, alert) {
+    const ids = (alert.details?.packetIds || []).slice(-this.policy.maxPcapPackets);
+    if (!this.attachmentHandler || !this.captureEngine || !alert.sessionId || ids.length === 0) {
+      return null;
+    }
+
+    try {
+      const packets = await this.captureEngine.getPacketsByIds(alert.sessionId, ids);
+      if (packets.length === 0) return null;
+
+      const buffer = new PcapngWriter().encode(packets);
+      const fileName = `ninjashark-${alert.ruleId || alert.type}-${alert.id.slice(0, 8)}.pcapng`;
+      const document = await this.attachmentHandler.uploadFileFromBuffer(ticketId, fileName, buffer, 'application/x-pcapng');
+      return { fileName, packets: packets.length, bytes: buffer.length, documentId: document?.id };
+    } catch (error) {
+      console.error('NinjaShark PCAP attachment failed:', error.message);
+      this.eventBus?.publish('module:error', {
+        module: 'ninjashark',
+        type: 'attachment',
+        message: `PCAP for ticket #${ticketId} failed: ${error.message}`
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Drop in-memory dedupe entries older than the dedupe window
+   */
+  cleanup(now = Date.now()) {
+    for (const [key, link] of this.links) {
+      if (!link.pending && now - link.lastSeen >= this.policy.dedupeWindow) {
+        this.links.delete(key);
+      }
+    }
+  }
+
+  destroy() {
+    this.links.clear();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = { AlertPublisher, DEFAULT_POLICY };
@@ -0,0 +1,325 @@
+/**
+ * NinjaShark Alert Store
+ * SQLite persistence for anomaly alerts and their acknowledgement history
+ *
+ * Features:
+ * - Alerts survive restarts (WAL-mode SQLite via better-sqlite3)
+ * - Filtering by severity, type, rule, site, acknowledgement and time
+ * - Acknowledge / reopen with who, when and an optional note, kept as history
+ * - Alert -> PSA ticket links used to deduplicate ticket creation
+ * - Retention purge for old alerts
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+
+class AlertStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.databasePath] - SQLite file (default ./data/ninjashark-alerts.db)
+   */
+  constructor(options = {}) {
+    this.databasePath = options.databasePath || path.join(process.cwd(), 'data', 'ninjashark-alerts.db');
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the schema
+   */
+  initialize() {
+    const dir = path.dirname(this.databasePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(this.databasePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ninjashark_alerts (
+        id TEXT PRIMARY KEY,
+        rule_id TEXT,
+        type TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        message TEXT NOT NULL,
+        feudal_message TEXT,
+        site_id TEXT,
+        session_id TEXT,
+        packet_id INTEGER,
+        details TEXT,
+        timestamp INTEGER NOT NULL,
+        acknowledged INTEGER NOT NULL DEFAULT 0,
+        acknowledged_at INTEGER,
+        acknowledged_by TEXT
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_ninjashark_alerts_timestamp
+      ON ninjashark_alerts(timestamp DESC)
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_ninjashark_alerts_site
+      ON ninjashark_alerts(site_id, timestamp DESC)
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ninjashark_alert_acks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alert_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        user TEXT,
+        note TEXT,
+        timestamp INTEGER NOT NULL,
+        FOREIGN KEY (alert_id) REFERENCES ninjashark_alerts(id) ON DELETE CASCADE
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_ninjashark_alert_acks_alert
+      ON ninjashark_alert_acks(alert_id, timestamp)
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ninjashark_alert_tickets (
+        dedupe_key TEXT PRIMARY KEY,
+        ticket_id INTEGER NOT NULL,
+        alert_id TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_seen INTEGER NOT NULL,
+        occurrences INTEGER NOT NULL DEFAULT 1
+      )
+    `);
+
+    console.log('✓ NinjaShark alert store initialized:', this.databasePath);
+    return this;
+  }
+
+  /**
+   * Persist a new alert
+   */
+  saveAlert(alert) {
+    this.requireDb();
+    this.db.prepare(`
+      INSERT INTO ninjashark_alerts
+        (id, rule_id, type, severity, message, feudal_message, site_id, session_id, packet_id, details, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      alert.id,
+      alert.ruleId || null,
+      alert.type,
+      alert.severity,
+      alert.message,
+      alert.feudalMessage || null,
+      alert.siteId || null,
+      alert.sessionId || null,
+      alert.packetId ?? null,
+      JSON.stringify(alert.details || {}),
+      alert.timestamp
+    );
+  }
+
+  /**
+   * Query alerts (newest first)
+   * @param {Object} [options] - { severity, type, ruleId, siteId, acknowledged, since, until, limit, offset }
+   * @returns {Array} Alerts
+   */
+  getAlerts(options = {}) {
+    this.requireDb();
+    const where = [];
+    const params = [];
+
+    const filters = {
+      severity: 'severity = ?',
+      type: 'type = ?',
+      ruleId: 'rule_id = ?',
+      siteId: 'site_id = ?',
+      since: 'timestamp >= ?',
+      until: 'timestamp <= ?'
+    };
+    for (const [key, clause] of Object.entries(filters)) {
+      if (options[key] !== undefined && options[key] !== null) {
+        where.push(clause);
+        params.push(options[key]);
+      }
+    }
+    if (typeof options.acknowledged === 'boolean') {
+      where.push('acknowledged = ?');
+      params.push(options.acknowledged ? 1 : 0);
+    }
+
+    const rows = this.db.prepare(`
+      SELECT * FROM ninjashark_alerts
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY timestamp DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, options.limit || 100, options.offset || 0);
+
+    return rows.map(row => this.toAlert(row));
+  }
+
+  /**
+   * Get one alert with its acknowledgement history
+   */
+  getAlert(alertId) {
+    this.requireDb();
+    const row = this.db.prepare('SELECT * FROM ninjashark_alerts WHERE id = ?').get(alertId);
+    if (!row) return null;
+    return { ...this.toAlert(row), history: this.getHistory(alertId) };
+  }
+
+  /**
+   * Acknowledge or reopen an alert and record it in the history
+   * @param {string} alertId - Alert ID
+   * @param {boolean} acknowledged - true to acknowledge, false to reopen
+   * @param {Object} [entry] - { user, note }
+   * @returns {boolean} Whether the alert exists
+   */
+  setAcknowledged(alertId, acknowledged, entry = {}) {
+    this.requireDb();
+    const now = Date.now();
+
+    const update = this.db.transaction(() => {
+      const result = this.db.prepare(`
+        UPDATE ninjashark_alerts
+        SET acknowledged = ?, acknowledged_at = ?, acknowledged_by = ?
+        WHERE id = ?
+      `).run(acknowledged ? 1 : 0, acknowledged ? now : null, acknowledged ? entry.user || null : null, alertId);
+
+      if (result.changes === 0) return false;
+
+      this.db.prepare(`
+        INSERT INTO ninjashark_alert_acks (alert_id, action, user, note, timestamp)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(alertId, acknowledged ? 'acknowledge' : 'reopen', entry.user || null, entry.note || null, now);
+      return true;
+    });
+
+    return update();
+  }
+
+  /**
+   * Acknowledgement history of an alert (oldest first)
+   */
+  getHistory(alertId) {
+    this.requireDb();
+    return this.db.prepare(`
+      SELECT action, user, note, timestamp
+      FROM ninjashark_alert_acks
+      WHERE alert_id = ?
+      ORDER BY timestamp ASC, id ASC
+    `).all(alertId);
+  }
+
+  /**
+   * Alert counts by severity and acknowledgement
+   */
+  getStats(siteId) {
+    this.requireDb();
+    return this.db.prepare(`
+      SELECT severity, acknowledged, COUNT(*) AS count
+      FROM ninjashark_alerts
+      ${siteId ? 'WHERE site_id = ?' : ''}
+      GROUP BY severity, acknowledged
+    `).all(...(siteId ? [siteId] : []));
+  }
+
+  /**
+   * Record the ticket opened for a deduplication key
+   */
+  saveTicketLink(link) {
+    this.requireDb();
+    this.db.prepare(`
+      INSERT OR REPLACE INTO ninjashark_alert_tickets
+        (dedupe_key, ticket_id, alert_id, created_at, last_seen, occurrences)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(link.dedupeKey, link.ticketId, link.alertId, link.createdAt, link.lastSeen, link.occurrences);
+  }
+
+  /**
+   * Ticket previously opened for a deduplication key
+   */
+  getTicketLink(dedupeKey) {
+    this.requireDb();
+    const row = this.db.prepare('SELECT * FROM ninjashark_alert_tickets WHERE dedupe_key = ?').get(dedupeKey);
+    if (!row) return null;
+    return {
+      dedupeKey: row.dedupe_key,
+      ticketId: row.ticket_id,
+      alertId: row.alert_id,
+      createdAt: row.created_at,
+      lastSeen: row.last_seen,
+      occurrences: row.occurrences
+    };
+  }
+
+  /**
+   * Count a repeat alert against an existing ticket
+   */
+  touchTicketLink(dedupeKey, timestamp = Date.now()) {
+    this.requireDb();
+    this.db.prepare(`
+      UPDATE ninjashark_alert_tickets
+      SET last_seen = ?, occurrences = occurrences + 1
+      WHERE dedupe_key = ?
+    `).run(timestamp, dedupeKey);
+  }
+
+  /**
+   * Delete alerts (and their history) older than the given age
+   * @returns {number} Deleted alerts
+   */
+  purge(olderThanMs = 90 * 24 * 60 * 60 * 1000) {
+    this.requireDb();
+    const cutoff = Date.now() - olderThanMs;
+    const purge = this.db.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM ninjashark_alert_acks
+        WHERE alert_id IN (SELECT id FROM ninjashark_alerts WHERE timestamp < ?)
+      `).run(cutoff);
+      this.db.prepare('DELETE FROM ninjashark_alert_tickets WHERE last_seen < ?').run(cutoff);
+      return this.db.prepare('DELETE FROM ninjashark_alerts WHERE timestamp < ?').run(cutoff).changes;
+    });
+    return purge();
+  }
+
+  /**
+   * Helper: Row to alert object
+   */
+  toAlert(row) {
+    return {
+      id: row.id,
+      ruleId: row.rule_id,
+      type: row.type,
+      severity: row.severity,
+      message: row.message,
+      feudalMessage: row.feudal_message,
+      siteId: row.site_id,
+      sessionId: row.session_id,
+      packetId: row.packet_id,
+      details: row.details ? JSON.parse(row.details) : {},
+      timestamp: row.timestamp,
+      acknowledged: row.acknowledged === 1,
+      acknowledgedAt: row.acknowledged_at,
+      acknowledgedBy: row.acknowledged_by
+    };
+  }
+
+  requireDb() {
+    if (!this.db) {
+      throw new Error('Alert store not initialized');
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = { AlertStore };
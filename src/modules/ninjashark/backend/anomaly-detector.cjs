@@ -1,51 +1,50 @@
 /**
  * NinjaShark Anomaly Detector
- * AI-powered network anomaly detection with heuristic analysis
+ * Rule-driven network anomaly detection with persisted alerts
  *
  * Features:
- * - Real-time heuristic analysis (ARP floods, port scans, suspicious protocols)
- * - Kage AI integration for advanced pattern recognition
+ * - Declarative JSON/YAML rules (see anomaly-rules.cjs) instead of hardcoded heuristics
+ * - Built-in rules for ARP floods, port scans, DNS tunneling, unusual ports and DDoS
+ * - Global and per-client-site rule files layered over the built-ins
  * - Feudal-themed alert messages
- * - Configurable thresholds and rules
- * - Alert aggregation and deduplication
+ * - Suppression windows for sustained conditions
+ * - Alerts and acknowledgement history persisted via AlertStore (in-memory fallback)
  * - Performance monitoring (<50ms per analysis)
+ * - Rate windows keyed on packet timestamps so offline captures replay correctly
  *
- * Detection Rules:
- * - ARP Flood: >5 ARP requests/sec from single source
- * - Port Scan: >10 different ports contacted in 5 seconds
- * - DNS Tunneling: Unusually long DNS queries
- * - Suspicious Protocols: Uncommon ports for known protocols
- * - DDoS Patterns: High packet rate to single target
+ * Rule files:
+ * - <rulesDir>/global.json|yaml|yml      applies to every site
+ * - <rulesDir>/sites/<siteId>.json|yaml|yml  applies to one client site
  */
 
 const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RuleEngine, loadRulesFile, mergeRules, compileRule } = require('./anomaly-rules.cjs');
+const builtinRules = require('./rules/builtin-rules.json');
+
+const RULE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const MAX_MEMORY_ALERTS = 1000;
 
 class AnomalyDetector extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.rulesDir] - Directory holding global.* and sites/<siteId>.* rule files
+   * @param {string} [options.siteId] - Active client site
+   * @param {Object} [options.store] - Initialized AlertStore; alerts stay in memory without one
+   */
+  constructor(options = {}) {
     super();
 
-    // Detection thresholds
-    this.thresholds = {
-      arpFloodRate: 5, // packets/sec
-      portScanPorts: 10, // unique ports
-      portScanWindow: 5000, // ms
-      dnsQueryLength: 100, // characters
-      ddosPacketRate: 100, // packets/sec
-      unusualProtocolPorts: {
-        'HTTP': [80, 8080, 8000],
-        'HTTPS': [443, 8443],
-        'SSH': [22],
-        'DNS': [53]
-      }
-    };
+    this.rulesDir = options.rulesDir || null;
+    this.siteId = options.siteId || null;
+    this.store = options.store || null;
+    this.engine = new RuleEngine();
+    this.alerts = new Map(); // alertId -> alert (used when there is no store)
+    this.ruleErrors = [];
 
-    // Tracking data structures
-    this.arpTracking = new Map(); // source -> [timestamps]
-    this.portScanTracking = new Map(); // source -> {ports: Set, timestamps: []}
-    this.dnsQueries = new Map(); // source -> [queries]
-    this.packetRates = new Map(); // destination -> [timestamps]
-    this.alerts = new Map(); // alertId -> alert
-    this.alertIdCounter = 1;
+    this.reloadRules();
 
     // Cleanup interval
     this.cleanupInterval = setInterval(() => this.cleanup(), 60000); // Every minute
@@ -54,38 +53,14 @@ class AnomalyDetector extends EventEmitter {
   /**
    * Analyze packet for anomalies
    * @param {Object} packet - Parsed packet object
+   * @param {string} [sessionId] - Capture session the packet belongs to
    * @returns {Array} Array of detected anomalies
    */
-  analyze(packet) {
+  analyze(packet, sessionId) {
     const startTime = Date.now();
-    const anomalies = [];
 
     try {
-      // ARP flood detection
-      if (packet.protocol === 'ARP') {
-        const arpAnomaly = this.detectARPFlood(packet);
-        if (arpAnomaly) anomalies.push(arpAnomaly);
-      }
-
-      // Port scan detection (TCP/UDP)
-      if (packet.protocol === 'TCP' || packet.protocol === 'UDP') {
-        const portScanAnomaly = this.detectPortScan(packet);
-        if (portScanAnomaly) anomalies.push(portScanAnomaly);
-
-        // Unusual protocol port detection
-        const unusualPortAnomaly = this.detectUnusualProtocolPort(packet);
-        if (unusualPortAnomaly) anomalies.push(unusualPortAnomaly);
-      }
-
-      // DNS tunneling detection
-      if (packet.protocol === 'DNS' || (packet.destination && packet.destination.endsWith(':53'))) {
-        const dnsAnomaly = this.detectDNSTunneling(packet);
-        if (dnsAnomaly) anomalies.push(dnsAnomaly);
-      }
-
-      // DDoS pattern detection
-      const ddosAnomaly = this.detectDDoSPattern(packet);
-      if (ddosAnomaly) anomalies.push(ddosAnomaly);
+      const anomalies = this.engine.evaluate(packet);
 
       // Performance check
       const processingTime = Date.now() - startTime;
@@ -95,7 +70,7 @@ class AnomalyDetector extends EventEmitter {
 
       // Create alerts for detected anomalies
       anomalies.forEach(anomaly => {
-        const alert = this.createAlert(anomaly, packet);
+        const alert = this.createAlert(anomaly, packet, sessionId);
         this.emit('alert', alert);
       });
 
@@ -108,409 +83,254 @@ class AnomalyDetector extends EventEmitter {
   }
 
   /**
-   * Detect ARP flood attacks
+   * Create and persist an alert from an anomaly
    */
-  detectARPFlood(packet) {
-    try {
-      const source = packet.source || 'unknown';
-      const now = Date.now();
+  createAlert(anomaly, packet, sessionId) {
+    const { ruleId, type, severity, message, feudalMessage, ...details } = anomaly;
 
-      // Get or create tracking entry
-      if (!this.arpTracking.has(source)) {
-        this.arpTracking.set(source, []);
-      }
+    const alert = {
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      ruleId,
+      type,
+      severity,
+      message,
+      feudalMessage,
+      siteId: this.siteId,
+      sessionId: sessionId || null,
+      packetId: packet.id,
+      details,
+      acknowledged: false
+    };
 
-      const timestamps = this.arpTracking.get(source);
-      timestamps.push(now);
-
-      // Keep only last 1 second of timestamps
-      const oneSecondAgo = now - 1000;
-      const recentTimestamps = timestamps.filter(t => t > oneSecondAgo);
-      this.arpTracking.set(source, recentTimestamps);
-
-      // Check if rate exceeds threshold
-      if (recentTimestamps.length > this.thresholds.arpFloodRate) {
-        return {
-          type: 'arp-flood',
-          severity: 'high',
-          message: `ARP flood detected from ${source}: ${recentTimestamps.length} packets/sec`,
-          feudalMessage: '⚔️ Enemy scouts flood the gates! Possible ARP poisoning attack.',
-          source,
-          rate: recentTimestamps.length,
-          threshold: this.thresholds.arpFloodRate
-        };
+    if (this.store) {
+      try {
+        this.store.saveAlert(alert);
+        return alert;
+      } catch (error) {
+        console.error('Failed to persist alert:', error.message);
       }
+    }
 
-      return null;
-    } catch (error) {
-      console.error('ARP flood detection error:', error);
-      return null;
+    this.alerts.set(alert.id, alert);
+    if (this.alerts.size > MAX_MEMORY_ALERTS) {
+      this.alerts.delete(this.alerts.keys().next().value);
     }
+    return alert;
   }
 
   /**
-   * Detect port scanning activity
+   * Get alerts (newest first)
+   * @param {Object} [options] - { severity, type, ruleId, siteId, acknowledged, since, until, limit, offset }
    */
-  detectPortScan(packet) {
-    try {
-      const source = this.extractIP(packet.source);
-      if (!source) return null;
-
-      const destinationPort = this.extractPort(packet.destination);
-      if (!destinationPort) return null;
+  getAlerts(options = {}) {
+    if (this.store) {
+      return this.store.getAlerts(options);
+    }
 
-      const now = Date.now();
+    const { limit = 100, offset = 0 } = options;
+    let alerts = Array.from(this.alerts.values());
 
-      // Get or create tracking entry
-      if (!this.portScanTracking.has(source)) {
-        this.portScanTracking.set(source, {
-          ports: new Set(),
-          timestamps: []
-        });
+    for (const key of ['severity', 'type', 'ruleId', 'siteId', 'acknowledged']) {
+      if (options[key] !== undefined && options[key] !== null) {
+        alerts = alerts.filter(a => a[key] === options[key]);
       }
+    }
+    if (options.since) alerts = alerts.filter(a => a.timestamp >= options.since);
+    if (options.until) alerts = alerts.filter(a => a.timestamp <= options.until);
 
-      const tracking = this.portScanTracking.get(source);
-      tracking.ports.add(destinationPort);
-      tracking.timestamps.push(now);
-
-      // Keep only recent activity (within window)
-      const windowStart = now - this.thresholds.portScanWindow;
-      tracking.timestamps = tracking.timestamps.filter(t => t > windowStart);
-
-      // Check if port scan detected
-      if (tracking.ports.size > this.thresholds.portScanPorts && tracking.timestamps.length > 0) {
-        const portList = Array.from(tracking.ports).slice(0, 10).join(', ');
-        return {
-          type: 'port-scan',
-          severity: 'high',
-          message: `Port scan detected from ${source}: ${tracking.ports.size} ports in ${this.thresholds.portScanWindow / 1000}s`,
-          feudalMessage: '🗡️ Ninja scouts probe our defenses! Port scan detected.',
-          source,
-          portsScanned: tracking.ports.size,
-          samplePorts: portList,
-          window: this.thresholds.portScanWindow
-        };
-      }
+    // Sort by timestamp (newest first)
+    alerts.sort((a, b) => b.timestamp - a.timestamp);
 
-      return null;
-    } catch (error) {
-      console.error('Port scan detection error:', error);
-      return null;
-    }
+    return alerts.slice(offset, offset + limit);
   }
 
   /**
-   * Detect unusual protocol usage on non-standard ports
+   * Acknowledge alert
+   * @param {string} alertId - Alert ID
+   * @param {Object} [entry] - { user, note } recorded in the acknowledgement history
    */
-  detectUnusualProtocolPort(packet) {
-    try {
-      // Extract application-level protocol if available
-      const appProtocol = this.guessApplicationProtocol(packet);
-      if (!appProtocol) return null;
-
-      const port = this.extractPort(packet.destination);
-      if (!port) return null;
-
-      const expectedPorts = this.thresholds.unusualProtocolPorts[appProtocol];
-      if (!expectedPorts) return null;
-
-      // Check if port is unusual for this protocol
-      if (!expectedPorts.includes(port)) {
-        return {
-          type: 'suspicious-protocol',
-          severity: 'medium',
-          message: `${appProtocol} traffic detected on unusual port ${port}`,
-          feudalMessage: `🔍 Strange paths detected! ${appProtocol} on port ${port} is unusual.`,
-          protocol: appProtocol,
-          port,
-          expectedPorts: expectedPorts.join(', ')
-        };
-      }
-
-      return null;
-    } catch (error) {
-      console.error('Unusual protocol detection error:', error);
-      return null;
-    }
+  acknowledgeAlert(alertId, entry = {}) {
+    return this.setAcknowledged(alertId, true, entry);
   }
 
   /**
-   * Detect DNS tunneling attempts
+   * Reopen a previously acknowledged alert
    */
-  detectDNSTunneling(packet) {
-    try {
-      const source = this.extractIP(packet.source);
-      if (!source) return null;
-
-      // Extract DNS query from packet info
-      const dnsQuery = this.extractDNSQuery(packet);
-      if (!dnsQuery) return null;
-
-      // Check for unusually long queries (potential tunneling)
-      if (dnsQuery.length > this.thresholds.dnsQueryLength) {
-        return {
-          type: 'dns-tunneling',
-          severity: 'high',
-          message: `Possible DNS tunneling from ${source}: query length ${dnsQuery.length}`,
-          feudalMessage: '🌊 Hidden messages in the wind! DNS tunneling suspected.',
-          source,
-          queryLength: dnsQuery.length,
-          query: dnsQuery.substring(0, 50) + '...'
-        };
-      }
-
-      // Track DNS queries for pattern analysis
-      if (!this.dnsQueries.has(source)) {
-        this.dnsQueries.set(source, []);
-      }
-      this.dnsQueries.get(source).push({
-        query: dnsQuery,
-        timestamp: Date.now()
-      });
+  unacknowledgeAlert(alertId, entry = {}) {
+    return this.setAcknowledged(alertId, false, entry);
+  }
 
-      return null;
-    } catch (error) {
-      console.error('DNS tunneling detection error:', error);
-      return null;
+  setAcknowledged(alertId, acknowledged, entry) {
+    if (this.store) {
+      return this.store.setAcknowledged(alertId, acknowledged, entry);
     }
+
+    const alert = this.alerts.get(alertId);
+    if (!alert) return false;
+
+    alert.acknowledged = acknowledged;
+    alert.acknowledgedAt = acknowledged ? Date.now() : null;
+    alert.acknowledgedBy = acknowledged ? entry.user || null : null;
+    alert.history = alert.history || [];
+    alert.history.push({
+      action: acknowledged ? 'acknowledge' : 'reopen',
+      user: entry.user || null,
+      note: entry.note || null,
+      timestamp: Date.now()
+    });
+    return true;
   }
 
   /**
-   * Detect DDoS attack patterns
+   * Get one alert with its acknowledgement history
    */
-  detectDDoSPattern(packet) {
-    try {
-      const destination = this.extractIP(packet.destination);
-      if (!destination) return null;
-
-      const now = Date.now();
-
-      // Track packet rate to destination
-      if (!this.packetRates.has(destination)) {
-        this.packetRates.set(destination, []);
-      }
-
-      const timestamps = this.packetRates.get(destination);
-      timestamps.push(now);
-
-      // Keep only last second
-      const oneSecondAgo = now - 1000;
-      const recentTimestamps = timestamps.filter(t => t > oneSecondAgo);
-      this.packetRates.set(destination, recentTimestamps);
-
-      // Check if rate exceeds DDoS threshold
-      if (recentTimestamps.length > this.thresholds.ddosPacketRate) {
-        return {
-          type: 'ddos-pattern',
-          severity: 'high',
-          message: `High packet rate to ${destination}: ${recentTimestamps.length} packets/sec`,
-          feudalMessage: '⚡ Overwhelming force attacks! Possible DDoS pattern detected.',
-          destination,
-          rate: recentTimestamps.length,
-          threshold: this.thresholds.ddosPacketRate
-        };
-      }
-
-      return null;
-    } catch (error) {
-      console.error('DDoS detection error:', error);
-      return null;
+  getAlert(alertId) {
+    if (this.store) {
+      return this.store.getAlert(alertId);
     }
+    const alert = this.alerts.get(alertId);
+    return alert ? { ...alert, history: alert.history || [] } : null;
   }
 
   /**
-   * Create alert object from anomaly
+   * Switch the active client site and load its rules
+   * @returns {Object} Rule load result
    */
-  createAlert(anomaly, packet) {
-    const alertId = `alert-${this.alertIdCounter++}`;
-
-    const alert = {
-      id: alertId,
-      timestamp: Date.now(),
-      type: anomaly.type,
-      severity: anomaly.severity,
-      message: anomaly.message,
-      feudalMessage: anomaly.feudalMessage,
-      packetId: packet.id,
-      details: { ...anomaly },
-      acknowledged: false
-    };
-
-    this.alerts.set(alertId, alert);
-    return alert;
+  setSite(siteId) {
+    this.siteId = siteId || null;
+    return this.reloadRules();
   }
 
   /**
-   * Get all active alerts
+   * Rebuild the active rule set from built-in, global and site layers.
+   * A broken rule file is reported and skipped; the other layers still load.
+   * @returns {Object} { rules, errors }
    */
-  getAlerts(options = {}) {
-    const { severity, type, limit = 100 } = options;
-
-    let alerts = Array.from(this.alerts.values());
-
-    // Filter by severity
-    if (severity) {
-      alerts = alerts.filter(a => a.severity === severity);
+  reloadRules() {
+    const layers = [builtinRules.rules];
+    this.ruleErrors = [];
+
+    for (const scope of ['global', this.siteId ? `site:${this.siteId}` : null]) {
+      if (!scope) continue;
+      const file = this.findRulesFile(scope);
+      if (!file) continue;
+      try {
+        layers.push(loadRulesFile(file));
+      } catch (error) {
+        this.ruleErrors.push({ scope, file, error: error.message });
+      }
     }
 
-    // Filter by type
-    if (type) {
-      alerts = alerts.filter(a => a.type === type);
+    const merged = mergeRules(...layers);
+    const valid = [];
+    for (const rule of merged) {
+      try {
+        compileRule(rule);
+        valid.push(rule);
+      } catch (error) {
+        this.ruleErrors.push({ scope: 'rule', ruleId: rule.id, error: error.message });
+      }
     }
 
-    // Sort by timestamp (newest first)
-    alerts.sort((a, b) => b.timestamp - a.timestamp);
+    this.engine.setRules(valid);
+    this.ruleErrors.forEach(e => console.warn(`NinjaShark rule error (${e.scope}): ${e.error}`));
 
-    // Apply limit
-    return alerts.slice(0, limit);
+    return { rules: this.getRules(), errors: this.ruleErrors };
   }
 
   /**
-   * Acknowledge alert
+   * Get the active rules (without compiled filters)
    */
-  acknowledgeAlert(alertId) {
-    const alert = this.alerts.get(alertId);
-    if (alert) {
-      alert.acknowledged = true;
-      return true;
-    }
-    return false;
+  getRules() {
+    return this.engine.rules.map(({ filter, valueFields, suppressWindow, suppressBy, ...rule }) => rule);
   }
 
   /**
-   * Clear old alerts
+   * Validate raw rules without activating them
+   * @returns {Object} { valid, errors }
    */
-  clearOldAlerts(olderThan = 3600000) { // Default 1 hour
-    const now = Date.now();
-    for (const [alertId, alert] of this.alerts.entries()) {
-      if (now - alert.timestamp > olderThan) {
-        this.alerts.delete(alertId);
+  validateRules(rules) {
+    const errors = [];
+    if (!Array.isArray(rules)) {
+      return { valid: false, errors: ['Rules must be an array'] };
+    }
+    try {
+      for (const rule of mergeRules(builtinRules.rules, rules)) {
+        try {
+          compileRule(rule);
+        } catch (error) {
+          errors.push(error.message);
+        }
       }
+    } catch (error) {
+      errors.push(error.message);
     }
+    return { valid: errors.length === 0, errors };
   }
 
   /**
-   * Cleanup old tracking data
+   * Save a rule layer and reload
+   * @param {string} scope - 'global' or 'site:<siteId>'
+   * @param {Array} rules - Raw rules (overrides merge over the built-ins by id)
    */
-  cleanup() {
-    const now = Date.now();
-    const cleanupThreshold = 300000; // 5 minutes
-
-    // Clean ARP tracking
-    for (const [source, timestamps] of this.arpTracking.entries()) {
-      const recent = timestamps.filter(t => now - t < cleanupThreshold);
-      if (recent.length === 0) {
-        this.arpTracking.delete(source);
-      } else {
-        this.arpTracking.set(source, recent);
-      }
+  saveRules(scope, rules) {
+    if (!this.rulesDir) {
+      throw new Error('No rules directory configured');
     }
 
-    // Clean port scan tracking
-    for (const [source, tracking] of this.portScanTracking.entries()) {
-      const recent = tracking.timestamps.filter(t => now - t < cleanupThreshold);
-      if (recent.length === 0) {
-        this.portScanTracking.delete(source);
-      } else {
-        tracking.timestamps = recent;
-        // Also clean ports if no recent activity
-        if (recent.length === 0) {
-          tracking.ports.clear();
-        }
-      }
+    const validation = this.validateRules(rules);
+    if (!validation.valid) {
+      throw new Error(`Invalid rules: ${validation.errors.join('; ')}`);
     }
 
-    // Clean DNS queries
-    for (const [source, queries] of this.dnsQueries.entries()) {
-      const recent = queries.filter(q => now - q.timestamp < cleanupThreshold);
-      if (recent.length === 0) {
-        this.dnsQueries.delete(source);
-      } else {
-        this.dnsQueries.set(source, recent);
-      }
-    }
+    const filepath = this.rulesFilePath(scope, '.json');
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
 
-    // Clean packet rates
-    for (const [dest, timestamps] of this.packetRates.entries()) {
-      const recent = timestamps.filter(t => now - t < cleanupThreshold);
-      if (recent.length === 0) {
-        this.packetRates.delete(dest);
-      } else {
-        this.packetRates.set(dest, recent);
-      }
+    // Replace any YAML file for this scope so the saved JSON takes effect
+    const existing = this.findRulesFile(scope);
+    if (existing && existing !== filepath) {
+      fs.unlinkSync(existing);
     }
 
-    // Clean old alerts
-    this.clearOldAlerts();
-  }
-
-  /**
-   * Helper: Extract IP address from address:port string
-   */
-  extractIP(addressPort) {
-    if (!addressPort) return null;
-    return addressPort.split(':')[0];
+    fs.writeFileSync(filepath, JSON.stringify({ version: 1, rules }, null, 2));
+    return this.reloadRules();
   }
 
   /**
-   * Helper: Extract port from address:port string
+   * Helper: Rule file path for a scope
    */
-  extractPort(addressPort) {
-    if (!addressPort) return null;
-    const parts = addressPort.split(':');
-    return parts.length > 1 ? parseInt(parts[1]) : null;
+  rulesFilePath(scope, ext) {
+    if (scope === 'global') {
+      return path.join(this.rulesDir, `global${ext}`);
+    }
+    if (scope.startsWith('site:')) {
+      const siteId = scope.slice(5);
+      if (!/^[A-Za-z0-9_.-]+$/.test(siteId) || siteId.startsWith('.')) {
+        throw new Error(`Invalid site id: ${siteId}`);
+      }
+      return path.join(this.rulesDir, 'sites', `${siteId}${ext}`);
+    }
+    throw new Error(`Unknown rule scope: ${scope}`);
   }
 
   /**
-   * Helper: Guess application protocol from packet
+   * Helper: First existing rule file for a scope
    */
-  guessApplicationProtocol(packet) {
-    const port = this.extractPort(packet.destination);
-    if (!port) return null;
-
-    // Well-known ports
-    const portMap = {
-      80: 'HTTP',
-      443: 'HTTPS',
-      8080: 'HTTP',
-      8443: 'HTTPS',
-      22: 'SSH',
-      21: 'FTP',
-      25: 'SMTP',
-      53: 'DNS',
-      110: 'POP3',
-      143: 'IMAP',
-      3306: 'MySQL',
-      5432: 'PostgreSQL',
-      6379: 'Redis',
-      27017: 'MongoDB'
-    };
-
-    // Also check packet info for protocol hints
-    if (packet.info) {
-      const info = packet.info.toLowerCase();
-      if (info.includes('http')) return 'HTTP';
-      if (info.includes('https') || info.includes('tls')) return 'HTTPS';
-      if (info.includes('dns')) return 'DNS';
-      if (info.includes('ssh')) return 'SSH';
+  findRulesFile(scope) {
+    if (!this.rulesDir) return null;
+    for (const ext of RULE_EXTENSIONS) {
+      const filepath = this.rulesFilePath(scope, ext);
+      if (fs.existsSync(filepath)) return filepath;
     }
-
-    return portMap[port] || null;
+    return null;
   }
 
   /**
-   * Helper: Extract DNS query from packet
+   * Cleanup expired window and suppression state
    */
-  extractDNSQuery(packet) {
-    if (!packet.info) return null;
-
-    // Try to extract from packet info
-    const match = packet.info.match(/(?:query|Query)\s+(?:0x[0-9a-f]+\s+)?(?:A|AAAA|MX|TXT|PTR)\s+([a-z0-9\-\.]+)/i);
-    if (match) {
-      return match[1];
-    }
-
-    return null;
+  cleanup() {
+    this.engine.cleanup();
   }
 
   /**
@@ -520,10 +340,7 @@ class AnomalyDetector extends EventEmitter {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
     }
-    this.arpTracking.clear();
-    this.portScanTracking.clear();
-    this.dnsQueries.clear();
-    this.packetRates.clear();
+    this.engine.clear();
     this.alerts.clear();
     this.removeAllListeners();
   }
@@ -0,0 +1,371 @@
+/**
+ * NinjaShark Anomaly Rules
+ * Declarative detection rules evaluated against decoded packet fields
+ *
+ * Features:
+ * - JSON or YAML rule files (YAML needs the optional js-yaml package)
+ * - Match conditions written as display filters over decoded fields
+ * - Per-group sliding windows with count / distinct / sum aggregates
+ * - Thresholds, severities and message templates ({ip.src}, {value}, ...)
+ * - Suppression windows so a sustained condition alerts once per window
+ * - Layered rule sets: built-in -> global -> per-site, merged by rule id
+ *
+ * Rule format:
+ *   {
+ *     "id": "port-scan",                 // unique, later layers override by id
+ *     "type": "port-scan",               // alert type
+ *     "severity": "low" | "medium" | "high",
+ *     "match": "tcp.flags.syn == 1",     // display filter (optional, default all)
+ *     "groupBy": ["ip.src"],             // fields keying the window state
+ *     "window": 5000,                    // ms; omit for per-packet rules
+ *     "aggregate": "count" | "distinct" | "sum",
+ *     "field": "tcp.dstport",            // field(s) for distinct/sum
+ *     "threshold": 10,                   // alert when aggregate > threshold
+ *     "suppress": { "window": 60000, "by": ["ip.src"] },
+ *     "message": "...", "feudalMessage": "...", "enabled": true
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compileDisplayFilter } = require('./display-filter.cjs');
+const { extractFields, FIELD_TYPES, PROTOCOLS, formatIPv4 } = require('./packet-fields.cjs');
+
+let yaml = null;
+try {
+  yaml = require('js-yaml');
+} catch (error) {
+  yaml = null; // YAML rule files unavailable; JSON still works
+}
+
+const SEVERITIES = ['low', 'medium', 'high'];
+const AGGREGATES = ['count', 'distinct', 'sum'];
+const MAX_GROUPS_PER_RULE = 10000;
+const MAX_EVIDENCE_PACKETS = 500;
+
+/**
+ * Parse rules from JSON or YAML text
+ * @param {string} text - File contents
+ * @param {string} [format='json'] - 'json' or 'yaml'
+ * @returns {Array} Raw rule objects
+ */
+function parseRules(text, format = 'json') {
+  let document;
+  if (format === 'yaml') {
+    if (!yaml) {
+      throw new Error('YAML rule files require the js-yaml package');
+    }
+    document = yaml.load(text);
+  } else {
+    document = JSON.parse(text);
+  }
+
+  const rules = Array.isArray(document) ? document : document?.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('Rule file must contain a list of rules or { "rules": [...] }');
+  }
+  return rules;
+}
+
+/**
+ * Load rules from a .json, .yaml or .yml file
+ * @returns {Array} Raw rule objects
+ */
+function loadRulesFile(filepath) {
+  const ext = path.extname(filepath).toLowerCase();
+  const format = ext === '.yaml' || ext === '.yml' ? 'yaml' : 'json';
+  try {
+    return parseRules(fs.readFileSync(filepath, 'utf8'), format);
+  } catch (error) {
+    throw new Error(`${path.basename(filepath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Merge rule layers; a rule whose id already exists is merged over it
+ * (so { "id": "port-scan", "threshold": 25 } only changes the threshold)
+ * @param {...Array} layers - Rule arrays, lowest precedence first
+ * @returns {Array} Merged raw rules
+ */
+function mergeRules(...layers) {
+  const merged = new Map();
+  for (const layer of layers) {
+    for (const rule of layer || []) {
+      if (!rule || typeof rule.id !== 'string') {
+        throw new Error('Every rule needs a string "id"');
+      }
+      merged.set(rule.id, { ...(merged.get(rule.id) || {}), ...rule });
+    }
+  }
+  return Array.from(merged.values());
+}
+
+/**
+ * Validate a raw rule and compile its match filter
+ * @returns {Object} Compiled rule
+ * @throws {Error} Describing the first problem found
+ */
+function compileRule(rule) {
+  const fail = (message) => {
+    throw new Error(`Rule '${rule.id}': ${message}`);
+  };
+
+  if (!rule.type) fail('"type" is required');
+  if (!SEVERITIES.includes(rule.severity)) fail(`"severity" must be one of ${SEVERITIES.join(', ')}`);
+
+  const aggregate = rule.aggregate || 'count';
+  if (!AGGREGATES.includes(aggregate)) fail(`"aggregate" must be one of ${AGGREGATES.join(', ')}`);
+
+  const window = rule.window ?? 0;
+  if (typeof window !== 'number' || window < 0) fail('"window" must be a non-negative number of milliseconds');
+
+  const threshold = rule.threshold ?? 0;
+  if (typeof threshold !== 'number') fail('"threshold" must be a number');
+
+  const valueFields = [].concat(rule.field || []);
+  if (aggregate !== 'count' && valueFields.length === 0) fail(`"field" is required for aggregate '${aggregate}'`);
+
+  const groupBy = [].concat(rule.groupBy || []);
+  const suppressBy = [].concat(rule.suppress?.by || groupBy);
+  for (const name of [...valueFields, ...groupBy, ...suppressBy]) {
+    if (!FIELD_TYPES[name] && !PROTOCOLS.has(name)) fail(`unknown field '${name}'`);
+  }
+
+  let filter = null;
+  if (rule.match) {
+    try {
+      filter = compileDisplayFilter(rule.match);
+    } catch (error) {
+      fail(`invalid match at position ${error.position ?? 0}: ${error.message}`);
+    }
+  }
+
+  return {
+    ...rule,
+    enabled: rule.enabled !== false,
+    aggregate,
+    window,
+    threshold,
+    valueFields,
+    groupBy,
+    suppressWindow: rule.suppress?.window ?? 0,
+    suppressBy,
+    filter
+  };
+}
+
+class RuleEngine {
+  constructor(rules = []) {
+    this.rules = [];
+    this.state = new Map(); // ruleId -> Map(groupKey -> window state)
+    this.suppression = new Map(); // `${ruleId}|${key}` -> { until, suppressed }
+    this.setRules(rules);
+  }
+
+  /**
+   * Replace the active rule set (window state of unchanged rules is kept)
+   * @param {Array} rules - Raw rule objects
+   */
+  setRules(rules) {
+    const compiled = rules.map(compileRule);
+    const ids = new Set(compiled.map(r => r.id));
+
+    for (const id of this.state.keys()) {
+      if (!ids.has(id)) this.state.delete(id);
+    }
+    this.rules = compiled;
+  }
+
+  /**
+   * Evaluate all rules against a packet
+   * @param {Object} packet - Decoded packet
+   * @returns {Array} Anomalies { ruleId, type, severity, message, feudalMessage, ... }
+   */
+  evaluate(packet) {
+    const anomalies = [];
+    const now = packet.timestamp || Date.now();
+    let fields = null;
+
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+      if (rule.filter && !rule.filter.match(packet)) continue;
+
+      fields = fields || extractFields(packet);
+      const groupKey = this.keyFor(fields, rule.groupBy);
+      const value = this.observe(rule, groupKey, fields, now, packet.id);
+      if (value <= rule.threshold) continue;
+
+      const suppressKey = `${rule.id}|${this.keyFor(fields, rule.suppressBy)}`;
+      const suppression = this.suppression.get(suppressKey);
+      if (suppression && now < suppression.until) {
+        suppression.suppressed++;
+        continue;
+      }
+      this.suppression.set(suppressKey, { until: now + rule.suppressWindow, suppressed: 0 });
+
+      const context = { value, threshold: rule.threshold, window: rule.window, windowSeconds: rule.window / 1000 };
+      anomalies.push({
+        ruleId: rule.id,
+        type: rule.type,
+        severity: rule.severity,
+        message: this.render(rule.message || `${rule.name || rule.id} triggered`, fields, context),
+        feudalMessage: this.render(rule.feudalMessage || rule.message || '', fields, context),
+        group: this.describeGroup(fields, rule.groupBy),
+        value,
+        threshold: rule.threshold,
+        window: rule.window,
+        suppressedSinceLast: suppression ? suppression.suppressed : 0,
+        packetIds: this.evidence(rule, groupKey, packet.id)
+      });
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Record a matching packet in its group's window
+   * @returns {number} Aggregate value over the window
+   */
+  observe(rule, groupKey, fields, now, packetId) {
+    const values = rule.valueFields.flatMap(name => fields.get(name) || []);
+
+    if (rule.window === 0) {
+      if (rule.aggregate === 'count') return 1;
+      if (rule.aggregate === 'distinct') return new Set(values.map(String)).size;
+      return values.reduce((sum, v) => sum + Number(v), 0);
+    }
+
+    if (!this.state.has(rule.id)) this.state.set(rule.id, new Map());
+    const groups = this.state.get(rule.id);
+
+    let group = groups.get(groupKey);
+    if (!group) {
+      group = { events: [], head: 0, distinct: new Map(), sum: 0 };
+      groups.set(groupKey, group);
+      if (groups.size > MAX_GROUPS_PER_RULE) {
+        groups.delete(groups.keys().next().value);
+      }
+    } else {
+      // Refresh insertion order so idle groups are evicted first
+      groups.delete(groupKey);
+      groups.set(groupKey, group);
+    }
+
+    const event = { time: now, values: rule.aggregate === 'count' ? [] : values, packetId };
+    group.events.push(event);
+    this.apply(group, event, 1, rule.aggregate);
+
+    // Slide the window
+    const windowStart = now - rule.window;
+    while (group.head < group.events.length && group.events[group.head].time <= windowStart) {
+      this.apply(group, group.events[group.head], -1, rule.aggregate);
+      group.head++;
+    }
+    if (group.head > 1024 && group.head * 2 > group.events.length) {
+      group.events = group.events.slice(group.head);
+      group.head = 0;
+    }
+
+    if (rule.aggregate === 'distinct') return group.distinct.size;
+    if (rule.aggregate === 'sum') return group.sum;
+    return group.events.length - group.head;
+  }
+
+  /**
+   * IDs of the packets currently in a group's window (the most recent
+   * MAX_EVIDENCE_PACKETS), or just the triggering packet for per-packet rules
+   */
+  evidence(rule, groupKey, packetId) {
+    const group = rule.window > 0 ? this.state.get(rule.id)?.get(groupKey) : null;
+    if (!group) {
+      return packetId === undefined ? [] : [packetId];
+    }
+    const start = Math.max(group.head, group.events.length - MAX_EVIDENCE_PACKETS);
+    const ids = [];
+    for (let i = start; i < group.events.length; i++) {
+      if (group.events[i].packetId !== undefined) ids.push(group.events[i].packetId);
+    }
+    return ids;
+  }
+
+  /**
+   * Helper: Add (+1) or remove (-1) an event's contribution to a window
+   */
+  apply(group, event, sign, aggregate) {
+    if (aggregate === 'distinct') {
+      for (const value of event.values) {
+        const key = String(value);
+        const count = (group.distinct.get(key) || 0) + sign;
+        if (count > 0) group.distinct.set(key, count);
+        else group.distinct.delete(key);
+      }
+    } else if (aggregate === 'sum') {
+      for (const value of event.values) group.sum += sign * Number(value);
+    }
+  }
+
+  /**
+   * Drop window and suppression state older than the given time
+   */
+  cleanup(now = Date.now()) {
+    for (const rule of this.rules) {
+      const groups = this.state.get(rule.id);
+      if (!groups) continue;
+      for (const [key, group] of groups) {
+        const last = group.events[group.events.length - 1];
+        if (!last || now - last.time > rule.window) groups.delete(key);
+      }
+    }
+    for (const [key, suppression] of this.suppression) {
+      if (now >= suppression.until) this.suppression.delete(key);
+    }
+  }
+
+  /**
+   * Helper: Key from field values; multi-valued fields are order independent
+   */
+  keyFor(fields, names) {
+    return names.map(name => (fields.get(name) || []).map(v => this.formatValue(name, v)).sort().join(',')).join('|');
+  }
+
+  describeGroup(fields, names) {
+    const group = {};
+    for (const name of names) {
+      group[name] = (fields.get(name) || []).map(v => this.formatValue(name, v)).join(', ') || 'unknown';
+    }
+    return group;
+  }
+
+  /**
+   * Helper: Fill {field.name} and {value}/{threshold}/{window}/{windowSeconds}
+   */
+  render(template, fields, context) {
+    return template.replace(/\{([a-zA-Z0-9_.]+)\}/g, (placeholder, name) => {
+      if (name in context) return String(context[name]);
+      const values = fields.get(name);
+      return values && values.length > 0 ? this.formatValue(name, values[0]) : 'unknown';
+    });
+  }
+
+  /**
+   * Helper: Human-readable field value
+   */
+  formatValue(name, value) {
+    if (FIELD_TYPES[name] === 'ipv4' && typeof value === 'number') return formatIPv4(value);
+    if (Buffer.isBuffer(value)) return value.toString('hex');
+    return String(value);
+  }
+
+  clear() {
+    this.state.clear();
+    this.suppression.clear();
+  }
+}
+
+module.exports = {
+  RuleEngine,
+  parseRules,
+  loadRulesFile,
+  mergeRules,
+  compileRule
+};
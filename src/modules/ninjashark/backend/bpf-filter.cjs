@@ -0,0 +1,834 @@
+/**
+ * NinjaShark Capture Filter Compiler
+ * Parser and evaluator for libpcap (BPF) capture filter expressions
+ *
+ * Features:
+ * - Primitives: [proto] [src|dst] host|net|port|portrange, ether host,
+ *   ip/ip6/ether proto, vlan, less, greater, broadcast, multicast
+ * - IPv4 and IPv6 networks (net 10.0.0.0/8, ip6 net 2001:db8::/32), named
+ *   services in ports and ranges (tcp portrange ftp-data-ftp)
+ * - Bare protocols: ether, ip, ip6, arp, rarp, tcp, udp, icmp, icmp6
+ * - Boolean operators and/or/not (&& || !) with parentheses
+ * - Byte-offset relations: proto[expr:size] with + - * / & | << >> and
+ *   named constants (tcpflags, tcp-syn, icmptype, icmp-echo, ...)
+ * - Qualifier inheritance ("host 10.0.0.1 or 10.0.0.2")
+ * - Syntax errors carry the character position and length of the bad token
+ * - libpcap constructs this module does not evaluate (gateway, wlan, mpls,
+ *   unknown service names, ...) raise errors marked `unsupported`, so live
+ *   captures hand them to libpcap instead of rejecting them
+ *
+ * As in libpcap, "and" and "or" have equal precedence and associate left.
+ * When cap is available libpcap still compiles the final program; this
+ * module gives early, position-accurate validation and filters offline
+ * capture files in JavaScript.
+ */
+
+const { decodeFrame, parseIPv4, normalizeIPv6, normalizeMAC } = require('./packet-fields.cjs');
+
+const PROTO_QUALIFIERS = new Set(['ether', 'link', 'ip', 'ip6', 'arp', 'rarp', 'tcp', 'udp', 'icmp', 'icmp6', 'sctp']);
+const DIR_QUALIFIERS = new Set(['src', 'dst']);
+const TYPE_QUALIFIERS = new Set(['host', 'net', 'port', 'portrange']);
+const KEYWORDS = new Set([
+  ...PROTO_QUALIFIERS, ...DIR_QUALIFIERS, ...TYPE_QUALIFIERS,
+  'and', 'or', 'not', 'proto', 'vlan', 'less', 'greater', 'broadcast', 'multicast', 'mask', 'len', 'gateway'
+]);
+
+const IP_PROTOCOLS = { icmp: 1, igmp: 2, tcp: 6, udp: 17, gre: 47, esp: 50, ah: 51, icmp6: 58, sctp: 132 };
+const ETHER_PROTOCOLS = { ip: 0x0800, arp: 0x0806, rarp: 0x8035, ip6: 0x86dd };
+
+const SERVICES = {
+  ftp: 21, 'ftp-data': 20, ssh: 22, telnet: 23, smtp: 25, domain: 53, dns: 53, bootps: 67, bootpc: 68,
+  tftp: 69, http: 80, www: 80, pop3: 110, ntp: 123, netbios: 139, imap: 143, snmp: 161, snmptrap: 162,
+  ldap: 389, https: 443, smb: 445, syslog: 514, ldaps: 636, imaps: 993, pop3s: 995, mssql: 1433,
+  rdp: 3389, mysql: 3306, postgresql: 5432
+};
+
+const CONSTANTS = {
+  tcpflags: 13, 'tcp-fin': 0x01, 'tcp-syn': 0x02, 'tcp-rst': 0x04, 'tcp-push': 0x08, 'tcp-ack': 0x10,
+  'tcp-urg': 0x20, 'tcp-ece': 0x40, 'tcp-cwr': 0x80,
+  icmptype: 0, icmpcode: 1, 'icmp-echoreply': 0, 'icmp-unreach': 3, 'icmp-sourcequench': 4,
+  'icmp-redirect': 5, 'icmp-echo': 8, 'icmp-routeradvert': 9, 'icmp-routersolicit': 10,
+  'icmp-timxceed': 11, 'icmp-paramprob': 12, 'icmp-tstamp': 13, 'icmp-tstampreply': 14
+};
+
+// libpcap keywords that are valid but not evaluated here
+const LIBPCAP_ONLY = new Set([
+  'gateway', 'igmp', 'igrp', 'pim', 'vrrp', 'carp', 'ah', 'esp', 'protochain', 'decnet', 'lat', 'sca',
+  'moprc', 'mopdl', 'atalk', 'aarp', 'iso', 'esis', 'es-is', 'isis', 'is-is', 'clnp', 'stp', 'ipx',
+  'netbeui', 'llc', 'wlan', 'ppp', 'slip', 'fddi', 'tr', 'mpls', 'pppoed', 'pppoes', 'geneve',
+  'inbound', 'outbound', 'ifname', 'on', 'rnr', 'rulenum', 'reason', 'rset', 'ruleset', 'srnr',
+  'subrulenum', 'action', 'type', 'subtype', 'dir', 'addr1', 'addr2', 'addr3', 'addr4', 'ra', 'ta'
+]);
+
+const RELOPS = new Set(['=', '==', '!=', '<', '<=', '>', '>=']);
+const ARITH_PRECEDENCE = { '|': 1, '&': 2, '<<': 3, '>>': 3, '+': 4, '-': 4, '*': 5, '/': 5, '%': 5 };
+
+/**
+ * Create a syntax error that points at a token
+ */
+function syntaxError(message, token) {
+  const error = new Error(message);
+  error.position = token.position;
+  error.length = Math.max(token.length, 1);
+  return error;
+}
+
+/**
+ * Create an error for a valid libpcap construct this module cannot evaluate
+ */
+function unsupportedError(message, token) {
+  const error = syntaxError(message, token);
+  error.unsupported = true;
+  return error;
+}
+
+/**
+ * Split a capture filter into tokens
+ * Words may contain ".:-/" outside brackets (addresses, CIDR, tcp-syn, ranges);
+ * inside brackets only plain identifiers are words so "ip[2:2]" splits cleanly.
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const operators = ['&&', '||', '==', '!=', '<=', '>=', '<<', '>>', '!', '=', '<', '>', '(', ')', '[', ']', ':', '+', '-', '*', '/', '%', '&', '|'];
+  let depth = 0;
+  let i = 0;
+
+  while (i < expression.length) {
+    const ch = expression[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const wordStart = depth === 0 ? /[A-Za-z0-9_\\]/ : /[A-Za-z0-9_]/;
+    const wordChar = depth === 0 ? /[A-Za-z0-9_.:\-\/]/ : /[A-Za-z0-9_]/;
+
+    if (wordStart.test(ch) || (depth === 0 && ch === ':' && expression[i + 1] === ':')) {
+      const start = i;
+      i++;
+      while (i < expression.length && wordChar.test(expression[i])) i++;
+      tokens.push({ type: 'word', value: expression.slice(start, i), position: start, length: i - start });
+      continue;
+    }
+
+    const op = operators.find(o => expression.startsWith(o, i));
+    if (!op) {
+      throw syntaxError(`Unexpected character '${ch}'`, { position: i, length: 1 });
+    }
+    if (op === '[') depth++;
+    if (op === ']') depth = Math.max(0, depth - 1);
+    tokens.push({ type: 'op', value: op, position: i, length: op.length });
+    i += op.length;
+  }
+
+  tokens.push({ type: 'end', value: '', position: expression.length, length: 0 });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a filter AST
+ */
+class CaptureFilterParser {
+  constructor(expression) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.index = 0;
+    this.lastQualifiers = null;
+  }
+
+  parse() {
+    if (this.peek().type === 'end') {
+      return null;
+    }
+    const node = this.parseExpression();
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw syntaxError(`Unexpected '${token.value}' - expected 'and', 'or' or end of filter`, token);
+    }
+    return node;
+  }
+
+  parseExpression() {
+    let left = this.parseUnary();
+    while (this.isLogical(this.peek())) {
+      const op = this.next().value;
+      const type = op === 'and' || op === '&&' ? 'and' : 'or';
+      const right = this.parseUnary(true);
+      left = { type, left, right };
+    }
+    return left;
+  }
+
+  parseUnary(afterLogical = false) {
+    const token = this.peek();
+
+    if (token.value === 'not' || token.value === '!') {
+      this.next();
+      return { type: 'not', operand: this.parseUnary(afterLogical) };
+    }
+
+    if (token.type === 'end') {
+      throw syntaxError('Unexpected end of filter - expected a primitive', token);
+    }
+
+    if (this.startsRelation()) {
+      const saved = this.index;
+      try {
+        return this.parseRelation();
+      } catch (error) {
+        if (token.value !== '(') throw error;
+        this.index = saved;
+      }
+    }
+
+    if (token.value === '(') {
+      this.next();
+      this.lastQualifiers = null;
+      const node = this.parseExpression();
+      this.expect(')', "Missing ')'");
+      return node;
+    }
+
+    return this.parsePrimitive(afterLogical);
+  }
+
+  /**
+   * Parse a qualified primitive such as "tcp dst port 80"
+   */
+  parsePrimitive(afterLogical) {
+    const start = this.peek();
+    if (start.type === 'word' && LIBPCAP_ONLY.has(start.value)) {
+      throw unsupportedError(`'${start.value}' is left to libpcap and cannot be evaluated here`, start);
+    }
+    let proto = null;
+    let dir = null;
+    let type = null;
+
+    if (this.peek().type === 'word' && PROTO_QUALIFIERS.has(this.peek().value)) {
+      const value = this.next().value;
+      proto = value === 'link' ? 'ether' : value;
+    }
+
+    // Protocol-specific keywords
+    const keyword = this.peek();
+    if (keyword.value === 'proto') {
+      this.next();
+      return this.parseProtoKeyword(proto, keyword);
+    }
+    if (keyword.value === 'broadcast' || keyword.value === 'multicast') {
+      this.next();
+      if (proto && !['ether', 'ip', 'ip6'].includes(proto)) {
+        throw syntaxError(`'${keyword.value}' cannot be qualified by '${proto}'`, keyword);
+      }
+      return { type: keyword.value, proto: proto || 'ether' };
+    }
+    if (!proto && keyword.value === 'vlan') {
+      this.next();
+      const id = this.peek();
+      if (id.type === 'word' && /^\d+$/.test(id.value)) {
+        this.next();
+        const vlanId = parseInt(id.value, 10);
+        if (vlanId > 4095) throw syntaxError(`VLAN ID ${vlanId} out of range (0-4095)`, id);
+        return { type: 'vlan', id: vlanId };
+      }
+      return { type: 'vlan', id: null };
+    }
+    if (!proto && (keyword.value === 'less' || keyword.value === 'greater')) {
+      this.next();
+      const value = this.parseNumberToken(`Expected a length after '${keyword.value}'`);
+      return { type: 'length', op: keyword.value === 'less' ? '<=' : '>=', value };
+    }
+    if (keyword.type === 'word' && LIBPCAP_ONLY.has(keyword.value)) {
+      throw unsupportedError(`'${keyword.value}' is left to libpcap and cannot be evaluated here`, keyword);
+    }
+
+    if (this.peek().type === 'word' && DIR_QUALIFIERS.has(this.peek().value)) {
+      dir = this.next().value;
+      const joiner = this.peek();
+      const other = this.tokens[this.index + 1];
+      if ((joiner.value === 'or' || joiner.value === 'and') && other && DIR_QUALIFIERS.has(other.value) && other.value !== dir) {
+        this.next();
+        this.next();
+        dir = joiner.value === 'or' ? 'src or dst' : 'src and dst';
+      }
+    }
+
+    if (this.peek().type === 'word' && TYPE_QUALIFIERS.has(this.peek().value)) {
+      type = this.next().value;
+    }
+
+    const idToken = this.peek();
+    const hasId = idToken.type === 'word' && !KEYWORDS.has(idToken.value);
+
+    if (!hasId) {
+      if (proto && !dir && !type) {
+        this.lastQualifiers = null;
+        return { type: 'protocol', name: proto };
+      }
+      if (!proto && !dir && !type) {
+        throw syntaxError(`Unexpected '${idToken.value || 'end of filter'}' - expected a primitive`, idToken);
+      }
+      throw syntaxError(`Expected ${type || 'host'} value after '${this.tokens[this.index - 1].value}'`, idToken);
+    }
+
+    // "host a or b" - a bare id reuses the previous primitive's qualifiers
+    if (!proto && !dir && !type && afterLogical && this.lastQualifiers) {
+      ({ proto, dir, type } = this.lastQualifiers);
+    }
+
+    this.next();
+    this.lastQualifiers = { proto, dir, type };
+    return this.buildPrimitive(proto, dir || 'src or dst', type || 'host', idToken, start);
+  }
+
+  /**
+   * Build a host/net/port/portrange node and validate its id
+   */
+  buildPrimitive(proto, dir, type, idToken, start) {
+    const id = idToken.value;
+
+    if (type === 'port' || type === 'portrange') {
+      if (proto && !['tcp', 'udp', 'sctp', 'ip', 'ip6'].includes(proto)) {
+        throw syntaxError(`'${proto}' has no ports`, start);
+      }
+      let from;
+      let to;
+      if (type === 'portrange') {
+        [from, to] = this.parsePortRange(id, idToken);
+        if (from > to) [from, to] = [to, from];
+      } else {
+        from = to = this.resolvePort(id, idToken);
+      }
+      return { type: 'port', proto, dir, from, to };
+    }
+
+    if (type === 'net') {
+      if (proto && !['ip', 'ip6', 'arp', 'rarp'].includes(proto)) {
+        throw syntaxError(`'${proto} net' is not valid`, start);
+      }
+      return this.parseNet(proto, dir, idToken);
+    }
+
+    // host
+    if (proto === 'ether') {
+      const mac = normalizeMAC(id);
+      if (!mac) throw syntaxError(`'${id}' is not a valid MAC address`, idToken);
+      return { type: 'host', proto, dir, family: 'mac', address: mac };
+    }
+
+    const v4 = parseIPv4(id);
+    if (v4 !== null) {
+      if (proto === 'ip6') throw syntaxError(`'${id}' is not an IPv6 address`, idToken);
+      return { type: 'host', proto, dir, family: 'ipv4', address: v4 };
+    }
+
+    const v6 = normalizeIPv6(id);
+    if (v6 !== null) {
+      if (proto && proto !== 'ip6') throw syntaxError(`'${id}' is not an IPv4 address`, idToken);
+      return { type: 'host', proto, dir, family: 'ipv6', address: v6 };
+    }
+
+    if (/^\d+$/.test(id)) {
+      throw syntaxError(`'${id}' is not a valid host - did you mean 'port ${id}'?`, idToken);
+    }
+    if (/^[\d.]+$/.test(id)) {
+      throw syntaxError(`'${id}' is not a valid IPv4 address`, idToken);
+    }
+    if (!/^[A-Za-z0-9]([A-Za-z0-9\-]*[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9\-]*[A-Za-z0-9])?)*$/.test(id)) {
+      throw syntaxError(`'${id}' is not a valid host address or name`, idToken);
+    }
+    // Host names are resolved by libpcap at capture time
+    return { type: 'host', proto, dir, family: 'name', address: id.toLowerCase() };
+  }
+
+  /**
+   * Parse "net a.b.c.d/len", "net a.b.c", "net a.b.c.d mask m.m.m.m" or "net v6addr/len"
+   */
+  parseNet(proto, dir, idToken) {
+    const id = idToken.value;
+    let [address, prefix] = id.split('/');
+    let mask;
+
+    if (address.includes(':')) {
+      return this.parseNet6(proto, dir, idToken, address, prefix);
+    }
+    if (proto === 'ip6') {
+      throw syntaxError(`'${id}' is not an IPv6 network`, idToken);
+    }
+
+    const parts = address.split('.');
+    if (!parts.every(p => /^\d{1,3}$/.test(p) && Number(p) <= 255) || parts.length > 4) {
+      throw syntaxError(`'${id}' is not a valid IPv4 network`, idToken);
+    }
+    const octets = [...parts.map(Number), 0, 0, 0].slice(0, 4);
+    const network = ((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>> 0;
+
+    if (prefix !== undefined) {
+      if (!/^\d{1,2}$/.test(prefix) || Number(prefix) > 32) {
+        throw syntaxError(`Invalid prefix length '/${prefix}'`, idToken);
+      }
+      mask = Number(prefix) === 0 ? 0 : (0xffffffff << (32 - Number(prefix))) >>> 0;
+    } else if (this.peek().value === 'mask') {
+      this.next();
+      const maskToken = this.peek();
+      mask = parseIPv4(maskToken.value);
+      if (maskToken.type !== 'word' || mask === null) {
+        throw syntaxError(`Expected a dotted-quad mask after 'mask'`, maskToken);
+      }
+      this.next();
+    } else {
+      mask = parts.length === 4 ? 0xffffffff : (0xffffffff << (32 - parts.length * 8)) >>> 0;
+    }
+
+    if ((network & ~mask) >>> 0 !== 0) {
+      throw syntaxError(`Network '${id}' has host bits set for its mask`, idToken);
+    }
+    return { type: 'net', proto, dir, network, mask };
+  }
+
+  /**
+   * Parse "net 2001:db8::/32" (a missing prefix length means /128)
+   */
+  parseNet6(proto, dir, idToken, address, prefix) {
+    const id = idToken.value;
+    const normalized = normalizeIPv6(address);
+    if (normalized === null) {
+      throw syntaxError(`'${id}' is not a valid IPv6 network`, idToken);
+    }
+    if (proto && proto !== 'ip6') {
+      throw syntaxError(`'${id}' is not an IPv4 network`, idToken);
+    }
+    if (prefix !== undefined && (!/^\d{1,3}$/.test(prefix) || Number(prefix) > 128)) {
+      throw syntaxError(`Invalid prefix length '/${prefix}'`, idToken);
+    }
+    if (this.peek().value === 'mask') {
+      throw syntaxError("'mask' is not valid for IPv6 networks - use a prefix length", this.peek());
+    }
+
+    const bits = prefix === undefined ? 128 : Number(prefix);
+    const network = normalized.replace(/:/g, '');
+    if (/[^0]/.test(ipv6HostBits(network, bits))) {
+      throw syntaxError(`Network '${id}' has host bits set for its prefix length`, idToken);
+    }
+    return { type: 'net', family: 'ipv6', proto, dir, network, prefix: bits };
+  }
+
+  /**
+   * Parse "ip proto tcp", "ether proto 0x0806", "ip6 proto 58"
+   */
+  parseProtoKeyword(proto, keyword) {
+    const base = proto || 'ip';
+    if (!['ether', 'ip', 'ip6'].includes(base)) {
+      throw syntaxError(`'proto' cannot be qualified by '${base}'`, keyword);
+    }
+    const token = this.peek();
+    if (token.type !== 'word') {
+      throw syntaxError(`Expected a protocol after 'proto'`, token);
+    }
+    this.next();
+
+    const name = token.value.replace(/^\\/, '');
+    const table = base === 'ether' ? ETHER_PROTOCOLS : IP_PROTOCOLS;
+    let value = table[name];
+    if (value === undefined && /^(0x[0-9a-f]+|\d+)$/i.test(name)) {
+      value = Number(name);
+    }
+    const max = base === 'ether' ? 0xffff : 0xff;
+    if (value === undefined || value > max) {
+      throw syntaxError(`Unknown ${base} protocol '${token.value}'`, token);
+    }
+    return base === 'ether' ? { type: 'etherproto', etherType: value } : { type: 'ipproto', base, protocol: value };
+  }
+
+  /**
+   * Parse "arith relop arith"
+   */
+  parseRelation() {
+    const left = this.parseArith(0);
+    const op = this.peek();
+    if (!RELOPS.has(op.value)) {
+      throw syntaxError(`Expected a comparison operator after expression`, op);
+    }
+    this.next();
+    const right = this.parseArith(0);
+    this.lastQualifiers = null;
+    return { type: 'relation', op: op.value === '==' ? '=' : op.value, left, right };
+  }
+
+  parseArith(minPrecedence) {
+    let left = this.parseArithOperand();
+    for (;;) {
+      const op = this.peek();
+      const precedence = op.type === 'op' ? ARITH_PRECEDENCE[op.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) break;
+      this.next();
+      const right = this.parseArith(precedence + 1);
+      left = { type: 'binop', op: op.value, left, right };
+    }
+    return left;
+  }
+
+  parseArithOperand() {
+    const token = this.peek();
+
+    if (token.value === '(') {
+      this.next();
+      const inner = this.parseArith(0);
+      this.expect(')', "Missing ')' in arithmetic expression");
+      return inner;
+    }
+
+    if (token.type === 'word' && /^(0x[0-9a-f]+|\d+)$/i.test(token.value)) {
+      this.next();
+      return { type: 'num', value: Number(token.value) >>> 0 };
+    }
+
+    if (token.value === 'len') {
+      this.next();
+      return { type: 'len' };
+    }
+
+    if (token.type === 'word' && CONSTANTS[token.value] !== undefined) {
+      this.next();
+      return { type: 'num', value: CONSTANTS[token.value] };
+    }
+
+    if (token.type === 'word' && PROTO_QUALIFIERS.has(token.value) && this.tokens[this.index + 1]?.value === '[') {
+      this.next();
+      this.next();
+      const offset = this.parseArith(0);
+      let size = 1;
+      if (this.peek().value === ':') {
+        this.next();
+        const sizeToken = this.peek();
+        if (!['1', '2', '4'].includes(sizeToken.value)) {
+          throw syntaxError('Load size must be 1, 2 or 4', sizeToken);
+        }
+        this.next();
+        size = Number(sizeToken.value);
+      }
+      this.expect(']', "Missing ']'");
+      return { type: 'load', proto: token.value === 'link' ? 'ether' : token.value, offset, size };
+    }
+
+    if (token.type === 'word' && /^[a-z][a-z0-9-]*$/i.test(token.value) && !KEYWORDS.has(token.value)) {
+      // libpcap knows more named offsets and values (icmp6type, tcp-ns, ...)
+      throw unsupportedError(`'${token.value}' is left to libpcap and cannot be evaluated here`, token);
+    }
+    throw syntaxError(`Unexpected '${token.value || 'end of filter'}' in expression`, token);
+  }
+
+  // --- helpers -------------------------------------------------------------
+
+  startsRelation() {
+    const token = this.peek();
+    const next = this.tokens[this.index + 1];
+    if (token.value === '(') return true;
+    // A bare number is a relation operand unless it is an inherited id ("port 80 or 443")
+    if (token.value === 'len' || (token.type === 'word' && /^(0x[0-9a-f]+|\d+)$/i.test(token.value))) {
+      return next?.type === 'op' && (RELOPS.has(next.value) || ARITH_PRECEDENCE[next.value] !== undefined);
+    }
+    return token.type === 'word' && PROTO_QUALIFIERS.has(token.value) && next?.value === '[';
+  }
+
+  /**
+   * Split "start-end" where either side may be a hyphenated service name
+   * ("ftp-data-ftp"); the first split where both sides resolve wins
+   */
+  parsePortRange(id, token) {
+    const hyphens = [];
+    for (let i = id.indexOf('-'); i > 0 && i < id.length - 1; i = id.indexOf('-', i + 1)) {
+      hyphens.push(i);
+    }
+    if (hyphens.length === 0) {
+      throw syntaxError(`Invalid port range '${id}' - expected start-end`, token);
+    }
+
+    let lastError = null;
+    for (const i of hyphens) {
+      try {
+        return [this.resolvePort(id.slice(0, i), token), this.resolvePort(id.slice(i + 1), token)];
+      } catch (error) {
+        if (!lastError || (lastError.unsupported && !error.unsupported)) lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  resolvePort(text, token) {
+    let port;
+    if (/^\d+$/.test(text)) {
+      port = Number(text);
+    } else {
+      port = SERVICES[text.toLowerCase()];
+      if (port === undefined) {
+        if (!/^[a-z][a-z0-9-]*$/i.test(text)) throw syntaxError(`Invalid port or service '${text}'`, token);
+        // libpcap looks the name up in the services database
+        throw unsupportedError(`Service '${text}' is left to libpcap and cannot be resolved here`, token);
+      }
+    }
+    if (port > 65535) throw syntaxError(`Port ${port} out of range (0-65535)`, token);
+    return port;
+  }
+
+  parseNumberToken(message) {
+    const token = this.peek();
+    if (token.type !== 'word' || !/^(0x[0-9a-f]+|\d+)$/i.test(token.value)) {
+      throw syntaxError(message, token);
+    }
+    this.next();
+    return Number(token.value);
+  }
+
+  isLogical(token) {
+    return ['and', 'or', '&&', '||'].includes(token.value);
+  }
+
+  expect(value, message) {
+    const token = this.peek();
+    if (token.value !== value) {
+      throw syntaxError(message, token);
+    }
+    return this.next();
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+}
+
+/**
+ * Evaluate an AST node against a decoded frame
+ */
+function evaluate(node, frame, buffer) {
+  switch (node.type) {
+    case 'and':
+      return evaluate(node.left, frame, buffer) && evaluate(node.right, frame, buffer);
+    case 'or':
+      return evaluate(node.left, frame, buffer) || evaluate(node.right, frame, buffer);
+    case 'not':
+      return !evaluate(node.operand, frame, buffer);
+    case 'protocol':
+      return hasProtocol(node.name, frame);
+    case 'host':
+      return matchHost(node, frame);
+    case 'net':
+      if (node.family === 'ipv6') {
+        return matchAddresses(node, frame, (address) => typeof address === 'string' &&
+          matchPrefix6(address.replace(/:/g, ''), node.network, node.prefix));
+      }
+      return matchAddresses(node, frame, (address) => typeof address === 'number' && ((address & node.mask) >>> 0) === node.network);
+    case 'port':
+      return matchPort(node, frame);
+    case 'ipproto':
+      if (node.base === 'ip') return frame.ipv4?.protocol === node.protocol;
+      return frame.ipv6?.protocol === node.protocol;
+    case 'etherproto':
+      return frame.etherType === node.etherType;
+    case 'vlan':
+      return frame.vlans.length > 0 && (node.id === null || frame.vlans.includes(node.id));
+    case 'length':
+      return node.op === '<=' ? frame.length <= node.value : frame.length >= node.value;
+    case 'broadcast':
+      if (node.proto === 'ether') return frame.eth?.dst === 'ff:ff:ff:ff:ff:ff';
+      return frame.ipv4?.dst === 0xffffffff;
+    case 'multicast':
+      if (node.proto === 'ether') return !!frame.eth && (parseInt(frame.eth.dst.slice(0, 2), 16) & 1) === 1;
+      if (node.proto === 'ip6') return !!frame.ipv6 && frame.ipv6.dst.startsWith('ff');
+      return !!frame.ipv4 && (frame.ipv4.dst >>> 28) === 0xe;
+    case 'relation': {
+      const left = evaluateArith(node.left, frame, buffer);
+      const right = evaluateArith(node.right, frame, buffer);
+      if (left === null || right === null) return false;
+      switch (node.op) {
+        case '=': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        default: return false;
+      }
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate an arithmetic node; null means the load was not possible
+ */
+function evaluateArith(node, frame, buffer) {
+  switch (node.type) {
+    case 'num':
+      return node.value;
+    case 'len':
+      return frame.length;
+    case 'binop': {
+      const a = evaluateArith(node.left, frame, buffer);
+      const b = evaluateArith(node.right, frame, buffer);
+      if (a === null || b === null) return null;
+      switch (node.op) {
+        case '+': return (a + b) >>> 0;
+        case '-': return (a - b) >>> 0;
+        case '*': return Math.imul(a, b) >>> 0;
+        case '/': return b === 0 ? null : Math.floor(a / b) >>> 0;
+        case '%': return b === 0 ? null : (a % b) >>> 0;
+        case '&': return (a & b) >>> 0;
+        case '|': return (a | b) >>> 0;
+        case '<<': return (a << b) >>> 0;
+        case '>>': return a >>> b;
+        default: return null;
+      }
+    }
+    case 'load': {
+      const base = layerOffset(node.proto, frame);
+      const offset = evaluateArith(node.offset, frame, buffer);
+      if (base === null || offset === null) return null;
+      const position = base + offset;
+      if (position + node.size > buffer.length) return null;
+      if (node.size === 1) return buffer[position];
+      if (node.size === 2) return buffer.readUInt16BE(position);
+      return buffer.readUInt32BE(position);
+    }
+    default:
+      return null;
+  }
+}
+
+function layerOffset(proto, frame) {
+  switch (proto) {
+    case 'ether': return frame.eth ? 0 : null;
+    case 'ip': return frame.ipv4 ? frame.ipv4.offset : null;
+    case 'ip6': return frame.ipv6 ? frame.ipv6.offset : null;
+    case 'arp':
+    case 'rarp': return frame.arp ? frame.arp.offset : null;
+    case 'tcp':
+    case 'udp':
+    case 'icmp':
+    case 'icmp6': {
+      const name = proto === 'icmp6' ? 'icmpv6' : proto;
+      return frame.transport?.name === name ? frame.transport.offset : null;
+    }
+    default: return null;
+  }
+}
+
+function hasProtocol(name, frame) {
+  switch (name) {
+    case 'ether': return !!frame.eth;
+    case 'ip': return !!frame.ipv4;
+    case 'ip6': return !!frame.ipv6;
+    case 'arp': return frame.etherType === 0x0806;
+    case 'rarp': return frame.etherType === 0x8035;
+    case 'icmp6': return frame.transport?.name === 'icmpv6';
+    case 'sctp': return (frame.ipv4?.protocol ?? frame.ipv6?.protocol) === 132;
+    default: return frame.transport?.name === name;
+  }
+}
+
+function matchHost(node, frame) {
+  if (node.family === 'name') {
+    // Names can only be resolved by libpcap during a live capture
+    return false;
+  }
+  if (node.family === 'mac') {
+    if (!frame.eth) return false;
+    return matchDirection(node.dir, frame.eth.src === node.address, frame.eth.dst === node.address);
+  }
+  return matchAddresses(node, frame, (address) => address === node.address);
+}
+
+/**
+ * Apply an address predicate to the IP/ARP addresses allowed by the qualifiers
+ */
+function matchAddresses(node, frame, predicate) {
+  const candidates = [];
+  const proto = node.proto;
+
+  if ((!proto || proto === 'ip' || proto === 'tcp' || proto === 'udp' || proto === 'icmp' || proto === 'sctp') && frame.ipv4) {
+    if (!['tcp', 'udp', 'icmp', 'sctp'].includes(proto) || hasProtocol(proto, frame)) {
+      candidates.push([frame.ipv4.src, frame.ipv4.dst]);
+    }
+  }
+  if ((!proto || proto === 'ip6') && frame.ipv6) {
+    candidates.push([frame.ipv6.src, frame.ipv6.dst]);
+  }
+  if ((!proto || proto === 'arp' || proto === 'rarp') && frame.arp) {
+    if (!proto || hasProtocol(proto, frame)) {
+      candidates.push([frame.arp.spa, frame.arp.tpa]);
+    }
+  }
+
+  return candidates.some(([src, dst]) => matchDirection(node.dir, predicate(src), predicate(dst)));
+}
+
+function matchPort(node, frame) {
+  const transport = frame.transport;
+  if (!transport || (transport.name !== 'tcp' && transport.name !== 'udp')) return false;
+  if (node.proto && ['tcp', 'udp'].includes(node.proto) && transport.name !== node.proto) return false;
+  if (node.proto === 'ip' && !frame.ipv4) return false;
+  if (node.proto === 'ip6' && !frame.ipv6) return false;
+
+  const inRange = (port) => port >= node.from && port <= node.to;
+  return matchDirection(node.dir, inRange(transport.srcPort), inRange(transport.dstPort));
+}
+
+/**
+ * Compare the first `bits` bits of two 32-digit hex IPv6 addresses
+ */
+function matchPrefix6(address, network, bits) {
+  const nibbles = Math.floor(bits / 4);
+  if (address.slice(0, nibbles) !== network.slice(0, nibbles)) return false;
+  const rest = bits % 4;
+  if (rest === 0) return true;
+  const mask = (0xf << (4 - rest)) & 0xf;
+  return (parseInt(address[nibbles], 16) & mask) === (parseInt(network[nibbles], 16) & mask);
+}
+
+/**
+ * Hex digits of an address below a prefix length, with the partial nibble masked
+ */
+function ipv6HostBits(address, bits) {
+  const nibbles = Math.floor(bits / 4);
+  const rest = bits % 4;
+  const partial = rest === 0 ? '' : (parseInt(address[nibbles], 16) & (0xf >> rest)).toString(16);
+  return partial + address.slice(nibbles + (rest === 0 ? 0 : 1));
+}
+
+function matchDirection(dir, srcMatch, dstMatch) {
+  switch (dir) {
+    case 'src': return srcMatch;
+    case 'dst': return dstMatch;
+    case 'src and dst': return srcMatch && dstMatch;
+    default: return srcMatch || dstMatch;
+  }
+}
+
+/**
+ * Compile a capture filter expression
+ * @param {string} expression - BPF filter, e.g. "tcp port 443 and not host 10.0.0.1"
+ * @returns {Object} { expression, ast, match(buffer, linkType) }
+ * @throws {Error} Syntax error with .position and .length
+ */
+function compileCaptureFilter(expression) {
+  const text = expression || '';
+  const ast = new CaptureFilterParser(text).parse();
+
+  return {
+    expression: text,
+    ast,
+    match(buffer, linkType) {
+      if (!ast) return true;
+      const frame = decodeFrame(buffer, linkType);
+      return evaluate(ast, frame, buffer);
+    }
+  };
+}
+
+module.exports = { compileCaptureFilter };
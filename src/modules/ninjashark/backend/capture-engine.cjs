@@ -5,11 +5,21 @@
  * Features:
  * - Multi-interface capture with BPF filtering
  * - Ring buffer (512MB) for high-throughput capture
- * - Protocol dissection (Ethernet, IP, TCP, UDP, ICMP, ARP, DNS, HTTP)
+ * - Protocol dissection (Ethernet, IP, TCP, UDP, ICMP, ARP, DNS, HTTP, TLS, DHCP)
  * - Real-time packet streaming to renderer
  * - Performance monitoring (<100ms processing per packet)
  * - Privilege escalation detection
  * - Session management with statistics
+ * - Offline analysis of PCAPNG / PCAP capture files
+ * - BPF capture filter validation (also applied to capture files) and
+ *   Wireshark-style display filters
+ * - Bounded per-session packet ring buffer with optional disk spill and
+ *   paged queries (packet range, time window, display filter)
+ * - TCP stream reassembly, follow stream and conversations table
+ * - Ring-file capture to rotating PCAPNG files (size / duration / count limits)
+ * - Auto-stop on packet count, bytes, duration or a matching anomaly alert
+ * - Incremental statistics: protocol hierarchy, endpoints, IO graph, TCP RTT
+ *   and retransmission rates
  *
  * Native Dependencies:
  * - cap: libpcap bindings for Node.js
@@ -17,7 +27,17 @@
  */
 
 const os = require('os');
+const path = require('path');
 const { EventEmitter } = require('events');
+const { CaptureFileReader, LINKTYPE } = require('./pcap-file.cjs');
+const { compileCaptureFilter } = require('./bpf-filter.cjs');
+const { compileDisplayFilter } = require('./display-filter.cjs');
+const { PacketRingBuffer } = require('./packet-ring-buffer.cjs');
+const { StreamTracker } = require('./stream-tracker.cjs');
+const { CaptureRingFile } = require('./capture-ring-file.cjs');
+const { CaptureStatistics } = require('./capture-statistics.cjs');
+const { decodeFrame } = require('./packet-fields.cjs');
+const { dissectApplication } = require('./protocol-dissectors.cjs');
 
 // Note: cap library requires native compilation
 // Install: npm install cap
@@ -29,16 +49,36 @@ try {
 } catch (error) {
   console.warn('cap library not available - packet capture will use simulation mode');
   Cap = null;
-  decoders = null;
+  // Built-in decoders keep offline capture files readable without cap
+  decoders = require('./packet-decoders.cjs').decoders;
 }
 
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
 class CaptureEngine extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.bufferPackets=100000] - Packets kept in memory per session
+   * @param {number} [options.bufferBytes=268435456] - Captured bytes kept in memory per session
+   * @param {string} [options.spillDir] - Directory for spill files (defaults to the OS temp dir)
+   * @param {string} [options.captureDir] - Default directory for ring-file captures
+   */
+  constructor(options = {}) {
     super();
     this.sessions = new Map();
     this.capHandles = new Map();
     this.packetCounters = new Map();
-    this.ringBufferSize = 512 * 1024 * 1024; // 512MB
+    this.packetBuffers = new Map(); // sessionId -> PacketRingBuffer
+    this.streamTrackers = new Map(); // sessionId -> StreamTracker
+    this.ringFiles = new Map(); // sessionId -> CaptureRingFile
+    this.statistics = new Map(); // sessionId -> CaptureStatistics
+    this.stopTimers = new Map(); // sessionId -> auto-stop timers
+    this.ringBufferSize = 512 * 1024 * 1024; // 512MB libpcap buffer
+    this.bufferPackets = options.bufferPackets || 100000;
+    this.bufferBytes = options.bufferBytes || 256 * 1024 * 1024;
+    this.spillDir = options.spillDir || path.join(os.tmpdir(), 'ninjashark');
+    this.captureDir = options.captureDir || path.join(os.homedir(), 'NinjaShark', 'captures');
+    this.fileReader = new CaptureFileReader();
   }
 
   /**
@@ -112,16 +152,43 @@ class CaptureEngine extends EventEmitter {
    * @param {string} sessionId - Unique session identifier
    * @param {string} interfaceId - Network interface ID
    * @param {string} filter - BPF filter expression
-   * @param {Function} onPacket - Callback for each packet
+   * @param {Function} onPacket - Callback for each packet (packet, sessionId)
+   * @param {Object} [options] - Packet buffer, ring file and auto-stop options
+   * @param {number} [options.bufferPackets] - Packets kept in memory
+   * @param {number} [options.bufferBytes] - Captured bytes kept in memory
+   * @param {boolean} [options.spillToDisk=false] - Spill evicted packets to disk instead of dropping them
+   * @param {Object} [options.ringFile] - Write to rotating files: { directory, prefix, maxFileSize, maxFileDuration, maxFiles }
+   * @param {Object} [options.autoStop] - { packets, bytes, duration, anomaly, anomalyDelay } (see normalizeAutoStop)
+   * @param {Object} [options.schedule] - Schedule metadata when started by CaptureScheduler
    * @returns {Promise<Object>} Session metadata
    */
-  async startCapture(sessionId, interfaceId, filter, onPacket) {
+  async startCapture(sessionId, interfaceId, filter, onPacket, options = {}) {
     try {
       // Check privileges
       if (!this.checkPrivileges() && Cap) {
         throw new Error('Packet capture requires elevated privileges (root/admin)');
       }
 
+      const validation = this.validateFilter(filter);
+      if (!validation.valid) {
+        throw new Error(`Invalid capture filter at position ${validation.position}: ${validation.error}`);
+      }
+      if (this.sessions.get(sessionId)?.active) {
+        throw new Error(`Session ${sessionId} is already capturing`);
+      }
+      const autoStop = this.normalizeAutoStop(options.autoStop);
+
+      // Open the device before registering anything, so a failed open leaves no session behind
+      const device = interfaceId;
+      const filterExpr = filter || '';
+      const buffer = Buffer.alloc(65535);
+      let c = null;
+      let linkType = null;
+      if (Cap) {
+        c = new Cap();
+        linkType = c.open(device, filterExpr, this.ringBufferSize, buffer);
+      }
+
       const session = {
         id: sessionId,
         interface: interfaceId,
@@ -130,11 +197,35 @@ class CaptureEngine extends EventEmitter {
         packetCount: 0,
         bytesCount: 0,
         droppedPackets: 0,
-        active: true
+        active: true,
+        source: 'live',
+        autoStop,
+        schedule: options.schedule || null,
+        stopReason: null,
+        endTime: null
       };
 
-      this.sessions.set(sessionId, session);
-      this.packetCounters.set(sessionId, 0);
+      try {
+        if (options.ringFile) {
+          this.ringFiles.set(sessionId, new CaptureRingFile({
+            directory: this.captureDir,
+            prefix: sessionId,
+            ...options.ringFile
+          }));
+        }
+
+        this.sessions.set(sessionId, session);
+        this.packetCounters.set(sessionId, 0);
+        this.createSessionState(sessionId, options);
+
+        if (autoStop?.duration) {
+          this.addStopTimer(sessionId, autoStop.duration, 'duration');
+        }
+      } catch (error) {
+        c?.close();
+        this.abortStart(sessionId);
+        throw error;
+      }
 
       if (!Cap) {
         // Simulation mode for development without cap library
@@ -144,14 +235,6 @@ class CaptureEngine extends EventEmitter {
       }
 
       // Real capture with cap library
-      const c = new Cap();
-      const device = interfaceId;
-      const filterExpr = filter || '';
-      const bufSize = this.ringBufferSize;
-      const buffer = Buffer.alloc(65535);
-
-      // Open device for capture
-      const linkType = c.open(device, filterExpr, bufSize, buffer);
       this.capHandles.set(sessionId, c);
 
       console.log(`✓ Capture started on ${device} (link type: ${linkType})`);
@@ -161,6 +244,7 @@ class CaptureEngine extends EventEmitter {
 
       // Set up packet handler
       c.on('packet', (nbytes, trunc) => {
+        if (!session.active) return; // auto-stopped mid-burst
         const startTime = Date.now();
 
         try {
@@ -174,10 +258,12 @@ class CaptureEngine extends EventEmitter {
 
             // Add session metadata
             packet.sessionId = sessionId;
+            packet.interface = device;
             packet.id = session.packetCount;
+            this.storePacket(sessionId, packet);
 
             // Call handler
-            onPacket(packet);
+            onPacket(packet, sessionId);
 
             // Performance check
             const processingTime = Date.now() - startTime;
@@ -200,25 +286,30 @@ class CaptureEngine extends EventEmitter {
 
   /**
    * Parse captured packet based on link type
+   * @param {Buffer} buffer - Raw frame bytes
+   * @param {number} length - Number of captured bytes in buffer
+   * @param {string|number} linkType - cap link type name or LINKTYPE_* number
+   * @param {boolean} truncated - Whether the frame was cut at the snap length
+   * @param {number} [timestamp] - Original capture time in ms (defaults to now)
    */
-  parsePacket(buffer, length, linkType, truncated) {
+  parsePacket(buffer, length, linkType, truncated, timestamp) {
     try {
       if (!decoders) {
         return null;
       }
 
       const packet = {
-        timestamp: Date.now(),
+        timestamp: timestamp ?? Date.now(),
         length,
         truncated,
+        linkType: this.normalizeLinkType(linkType),
         hex: Buffer.from(buffer.slice(0, length)),
         layers: []
       };
 
       let offset = 0;
 
-      // LINKTYPE_ETHERNET = 1
-      if (linkType === 1) {
+      if (packet.linkType === LINKTYPE.ETHERNET) {
         const ethernet = decoders.Ethernet(buffer, offset);
         if (!ethernet) return null;
 
@@ -268,6 +359,8 @@ class CaptureEngine extends EventEmitter {
       // Generate info string
       packet.info = this.generatePacketInfo(packet);
 
+      this.parseApplicationLayer(packet);
+
       return packet;
 
     } catch (error) {
@@ -286,6 +379,7 @@ class CaptureEngine extends EventEmitter {
       if (protocol === 6) { // TCP
         const tcp = decoders.TCP(buffer, offset);
         if (tcp) {
+          packet.transport = 'TCP';
           packet.source = `${packet.source}:${tcp.info.srcport}`;
           packet.destination = `${packet.destination}:${tcp.info.dstport}`;
 
@@ -301,8 +395,8 @@ class CaptureEngine extends EventEmitter {
             fields: [
               { name: 'Source Port', value: tcp.info.srcport.toString() },
               { name: 'Destination Port', value: tcp.info.dstport.toString() },
-              { name: 'Sequence', value: tcp.info.seq.toString() },
-              { name: 'Acknowledgment', value: tcp.info.ack.toString() },
+              { name: 'Sequence', value: tcp.info.seqno.toString() },
+              { name: 'Acknowledgment', value: tcp.info.ackno.toString() },
               { name: 'Flags', value: flags.join(', ') },
               { name: 'Window', value: tcp.info.window.toString() }
             ]
@@ -311,6 +405,7 @@ class CaptureEngine extends EventEmitter {
       } else if (protocol === 17) { // UDP
         const udp = decoders.UDP(buffer, offset);
         if (udp) {
+          packet.transport = 'UDP';
           packet.source = `${packet.source}:${udp.info.srcport}`;
           packet.destination = `${packet.destination}:${udp.info.dstport}`;
 
@@ -332,6 +427,30 @@ class CaptureEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Dissect DNS, HTTP, TLS and DHCP payloads
+   * The application protocol becomes the packet's protocol and info, like
+   * Wireshark's Protocol/Info columns; packet.transport keeps TCP/UDP.
+   */
+  parseApplicationLayer(packet) {
+    if (packet.transport !== 'TCP' && packet.transport !== 'UDP') return;
+
+    try {
+      const frame = decodeFrame(packet.hex, packet.linkType);
+      const transport = frame.transport;
+      if (!transport) return;
+
+      const app = dissectApplication(transport, packet.hex.subarray(transport.payloadOffset, transport.payloadEnd));
+      if (!app) return;
+
+      packet.protocol = app.protocol;
+      packet.info = app.info;
+      packet.layers.push(app.layer);
+    } catch (error) {
+      console.error('Application layer parse error:', error);
+    }
+  }
+
   /**
    * Parse ARP packet
    */
@@ -345,6 +464,17 @@ class CaptureEngine extends EventEmitter {
     });
   }
 
+  /**
+   * Normalize a link type to its LINKTYPE_* number
+   * cap reports names such as 'ETHERNET'; capture files store numbers
+   */
+  normalizeLinkType(linkType) {
+    if (typeof linkType === 'number') {
+      return linkType;
+    }
+    return LINKTYPE[linkType] ?? LINKTYPE.ETHERNET;
+  }
+
   /**
    * Get protocol name from number
    */
@@ -398,8 +528,9 @@ class CaptureEngine extends EventEmitter {
 
       session.packetCount++;
       session.bytesCount += packet.length;
+      this.storePacket(sessionId, packet);
 
-      onPacket(packet);
+      onPacket(packet, sessionId);
     }, Math.random() * 1000 + 500);
 
     this.capHandles.set(sessionId, { _simulationInterval: interval });
@@ -423,6 +554,7 @@ class CaptureEngine extends EventEmitter {
       protocol,
       length,
       info: `${protocol} simulated packet`,
+      linkType: LINKTYPE.ETHERNET,
       hex: Buffer.alloc(length),
       layers: [
         {
@@ -444,17 +576,114 @@ class CaptureEngine extends EventEmitter {
     };
   }
 
+  /**
+   * Open a PCAPNG or PCAP file for offline analysis
+   * Records go through the same parsePacket decoding as live traffic.
+   * @param {string} filepath - Capture file to read
+   * @param {Function} [onPacket] - Callback for each decoded packet (packet, sessionId)
+   * @param {Object} [options] - Packet buffer options (see startCapture), plus
+   *   { captureFilter } - BPF filter applied to the file's records
+   * @returns {Promise<Object>} { session, buffer }
+   */
+  async openCaptureFile(filepath, onPacket, options = {}) {
+    try {
+      let captureFilter = null;
+      if (options.captureFilter && options.captureFilter.trim()) {
+        try {
+          captureFilter = compileCaptureFilter(options.captureFilter);
+        } catch (error) {
+          // Without libpcap, unsupported constructs cannot be applied to a file either
+          throw new Error(`Capture filter cannot be applied to ${path.basename(filepath)}: ${error.message}`);
+        }
+      }
+
+      const capture = await this.fileReader.read(filepath);
+      const sessionId = `file-${Date.now()}`;
+      const firstTimestamp = capture.records.find(r => r.timestamp !== null)?.timestamp;
+
+      const session = {
+        id: sessionId,
+        interface: path.basename(filepath),
+        filter: captureFilter ? captureFilter.expression : '',
+        startTime: firstTimestamp ?? Date.now(),
+        packetCount: 0,
+        bytesCount: 0,
+        droppedPackets: 0,
+        active: false,
+        source: 'file',
+        filepath,
+        format: capture.format,
+        truncated: capture.truncated
+      };
+
+      this.sessions.set(sessionId, session);
+      const buffer = this.createSessionState(sessionId, options);
+
+      for (const record of capture.records) {
+        if (captureFilter && !captureFilter.match(record.data, record.linkType)) continue;
+
+        const packet = this.parsePacket(
+          record.data,
+          record.data.length,
+          record.linkType,
+          record.originalLength > record.data.length,
+          record.timestamp ?? session.startTime
+        );
+        if (!packet) continue;
+
+        session.packetCount++;
+        session.bytesCount += record.originalLength;
+
+        packet.length = Math.max(record.originalLength, record.data.length);
+        packet.sessionId = sessionId;
+        packet.interface = capture.interfaces[record.interfaceId]?.name || session.interface;
+        packet.id = session.packetCount;
+
+        this.storePacket(sessionId, packet);
+        if (onPacket) {
+          onPacket(packet, sessionId);
+        }
+      }
+
+      this.packetCounters.set(sessionId, session.packetCount);
+
+      console.log(`✓ Opened ${capture.format.toUpperCase()} file ${filepath}: ${session.packetCount} packets`);
+      if (capture.truncated) {
+        console.warn('  Capture file is truncated - trailing data ignored');
+      }
+
+      return { session, buffer: buffer.stats() };
+
+    } catch (error) {
+      console.error('Failed to open capture file:', error);
+      throw error;
+    }
+  }
+
   /**
    * Stop capture session
+   * @param {string} sessionId - Session to stop
+   * @param {string} [reason='manual'] - 'manual', 'packets', 'bytes', 'duration', 'anomaly', 'schedule' or 'error'
    */
-  async stopCapture(sessionId) {
+  async stopCapture(sessionId, reason = 'manual') {
     try {
       const session = this.sessions.get(sessionId);
       if (!session) {
         throw new Error(`Session ${sessionId} not found`);
       }
+      if (!session.active) {
+        return this.stopResult(session);
+      }
 
       session.active = false;
+      session.stopReason = reason;
+      session.endTime = Date.now();
+
+      for (const timer of this.stopTimers.get(sessionId) || []) {
+        clearTimeout(timer);
+      }
+      this.stopTimers.delete(sessionId);
+      this.ringFiles.get(sessionId)?.close();
 
       const handle = this.capHandles.get(sessionId);
       if (handle) {
@@ -466,14 +695,11 @@ class CaptureEngine extends EventEmitter {
         this.capHandles.delete(sessionId);
       }
 
-      console.log(`✓ Capture stopped: ${session.packetCount} packets, ${session.bytesCount} bytes`);
+      console.log(`✓ Capture stopped (${reason}): ${session.packetCount} packets, ${session.bytesCount} bytes`);
 
-      return {
-        sessionId,
-        duration: Date.now() - session.startTime,
-        packetCount: session.packetCount,
-        bytesCount: session.bytesCount
-      };
+      const result = this.stopResult(session);
+      this.emit('captureStopped', result);
+      return result;
 
     } catch (error) {
       console.error('Failed to stop capture:', error);
@@ -481,6 +707,35 @@ class CaptureEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Helper: Undo the state registered by a startCapture that failed
+   */
+  abortStart(sessionId) {
+    for (const timer of this.stopTimers.get(sessionId) || []) {
+      clearTimeout(timer);
+    }
+    this.stopTimers.delete(sessionId);
+    this.ringFiles.get(sessionId)?.close();
+
+    const session = this.sessions.get(sessionId);
+    if (session) session.active = false;
+    this.closeSession(sessionId);
+  }
+
+  /**
+   * Helper: Summary returned by stopCapture and the captureStopped event
+   */
+  stopResult(session) {
+    return {
+      sessionId: session.id,
+      reason: session.stopReason,
+      duration: (session.endTime || Date.now()) - session.startTime,
+      packetCount: session.packetCount,
+      bytesCount: session.bytesCount,
+      files: this.ringFiles.get(session.id)?.stats().files.map(f => f.path) || []
+    };
+  }
+
   /**
    * Get session statistics
    */
@@ -490,33 +745,389 @@ class CaptureEngine extends EventEmitter {
       return null;
     }
 
+    const duration = (session.endTime || Date.now()) - session.startTime;
     return {
       ...session,
-      duration: Date.now() - session.startTime,
-      packetsPerSecond: session.packetCount / ((Date.now() - session.startTime) / 1000),
-      bytesPerSecond: session.bytesCount / ((Date.now() - session.startTime) / 1000)
+      duration,
+      packetsPerSecond: session.packetCount / (duration / 1000),
+      bytesPerSecond: session.bytesCount / (duration / 1000),
+      buffer: this.packetBuffers.get(sessionId)?.stats() || null,
+      ringFile: this.ringFiles.get(sessionId)?.stats() || null,
+      autoStop: session.autoStop ? this.autoStopProgress(session, duration) : null
     };
   }
 
+  /**
+   * Statistics for every known session
+   */
+  getAllSessionStats() {
+    return Array.from(this.sessions.keys()).map(id => this.getSessionStats(id));
+  }
+
+  /**
+   * Helper: Validate auto-stop conditions
+   * @param {Object} [autoStop] - { packets, bytes, duration (ms), anomaly, anomalyDelay (ms) }
+   *   anomaly: true for any alert in the session, or { severity, type, ruleId } to match
+   *   (severity matches that level and above)
+   * @returns {Object|null} Normalized conditions
+   */
+  normalizeAutoStop(autoStop) {
+    if (!autoStop) return null;
+
+    for (const key of ['packets', 'bytes', 'duration', 'anomalyDelay']) {
+      if (autoStop[key] !== undefined && autoStop[key] !== null && (typeof autoStop[key] !== 'number' || autoStop[key] < 0)) {
+        throw new Error(`autoStop.${key} must be a non-negative number`);
+      }
+    }
+    const anomaly = autoStop.anomaly === true ? {} : autoStop.anomaly || null;
+    if (anomaly && anomaly.severity && !SEVERITY_RANK[anomaly.severity]) {
+      throw new Error(`autoStop.anomaly.severity must be one of ${Object.keys(SEVERITY_RANK).join(', ')}`);
+    }
+
+    const normalized = {
+      packets: autoStop.packets || null,
+      bytes: autoStop.bytes || null,
+      duration: autoStop.duration || null,
+      anomaly,
+      anomalyDelay: autoStop.anomalyDelay || 0
+    };
+    if (!normalized.packets && !normalized.bytes && !normalized.duration && !normalized.anomaly) {
+      return null;
+    }
+    return normalized;
+  }
+
+  /**
+   * Helper: How close a session is to each auto-stop condition
+   */
+  autoStopProgress(session, duration) {
+    const { packets, bytes, anomaly, anomalyDelay } = session.autoStop;
+    return {
+      packets: packets ? { limit: packets, current: session.packetCount } : null,
+      bytes: bytes ? { limit: bytes, current: session.bytesCount } : null,
+      duration: session.autoStop.duration ? { limit: session.autoStop.duration, current: duration } : null,
+      anomaly,
+      anomalyDelay,
+      triggeredBy: session.triggeredBy || null
+    };
+  }
+
+  /**
+   * Helper: Stop a session after a delay
+   */
+  addStopTimer(sessionId, delay, reason) {
+    const timer = setTimeout(() => {
+      this.stopCapture(sessionId, reason).catch(error => console.error('Auto-stop failed:', error.message));
+    }, delay);
+    timer.unref?.();
+    if (!this.stopTimers.has(sessionId)) this.stopTimers.set(sessionId, []);
+    this.stopTimers.get(sessionId).push(timer);
+  }
+
+  /**
+   * Helper: Stop a session whose packet or byte limit has been reached
+   */
+  checkAutoStop(sessionId, session) {
+    const autoStop = session.autoStop;
+    if (!autoStop || !session.active) return;
+
+    if (autoStop.packets && session.packetCount >= autoStop.packets) {
+      this.stopCapture(sessionId, 'packets').catch(() => {});
+    } else if (autoStop.bytes && session.bytesCount >= autoStop.bytes) {
+      this.stopCapture(sessionId, 'bytes').catch(() => {});
+    }
+  }
+
+  /**
+   * Stop sessions whose auto-stop condition matches an anomaly alert
+   * @param {Object} alert - Alert from AnomalyDetector (alert.sessionId identifies the capture)
+   * @returns {Array<string>} Sessions that will stop
+   */
+  handleAlert(alert) {
+    const session = this.sessions.get(alert.sessionId);
+    const condition = session?.autoStop?.anomaly;
+    if (!session || !session.active || !condition || session.triggeredBy) {
+      return [];
+    }
+
+    if (condition.severity && (SEVERITY_RANK[alert.severity] || 0) < SEVERITY_RANK[condition.severity]) return [];
+    if (condition.type && condition.type !== alert.type) return [];
+    if (condition.ruleId && condition.ruleId !== alert.ruleId) return [];
+
+    session.triggeredBy = { alertId: alert.id, ruleId: alert.ruleId, message: alert.message, timestamp: Date.now() };
+    if (session.autoStop.anomalyDelay) {
+      // Keep capturing a little longer so the file shows what followed the anomaly
+      this.addStopTimer(session.id, session.autoStop.anomalyDelay, 'anomaly');
+    } else {
+      this.stopCapture(session.id, 'anomaly').catch(() => {});
+    }
+    return [session.id];
+  }
+
+  /**
+   * Create the packet ring buffer, stream tracker and statistics for a session
+   * @returns {PacketRingBuffer} The session's packet buffer
+   */
+  createSessionState(sessionId, options = {}) {
+    this.packetBuffers.get(sessionId)?.destroy();
+    this.streamTrackers.set(sessionId, new StreamTracker());
+    this.statistics.set(sessionId, new CaptureStatistics());
+
+    const buffer = new PacketRingBuffer({
+      capacity: options.bufferPackets || this.bufferPackets,
+      maxBytes: options.bufferBytes || this.bufferBytes,
+      spillPath: options.spillToDisk
+        ? path.join(this.spillDir, `${sessionId.replace(/[^\w.-]/g, '_')}.ndjson`)
+        : null
+    });
+
+    this.packetBuffers.set(sessionId, buffer);
+    return buffer;
+  }
+
+  /**
+   * Track, count and buffer a decoded packet
+   */
+  storePacket(sessionId, packet) {
+    this.streamTrackers.get(sessionId)?.track(packet);
+    this.statistics.get(sessionId)?.add(packet);
+    this.packetBuffers.get(sessionId)?.push(packet);
+
+    const ringFile = this.ringFiles.get(sessionId);
+    if (ringFile) {
+      try {
+        ringFile.write(packet);
+      } catch (error) {
+        console.error('Ring file write failed:', error.message);
+        this.stopCapture(sessionId, 'error').catch(() => {});
+        return;
+      }
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (session?.autoStop) {
+      this.checkAutoStop(sessionId, session);
+    }
+  }
+
+  /**
+   * Get protocol hierarchy, endpoints, IO graph and TCP statistics
+   * @param {string} sessionId - Session to read (defaults to the most recent)
+   * @param {Object} [options] - { interval, from, to } for the IO graph, { endpointLimit }
+   * @returns {Object} Statistics snapshot
+   */
+  getStatistics(sessionId, options = {}) {
+    const id = sessionId || Array.from(this.statistics.keys()).pop();
+    const statistics = this.statistics.get(id);
+    if (!statistics) {
+      throw new Error(`Session ${id} not found`);
+    }
+    return { sessionId: id, ...statistics.getAll(options) };
+  }
+
+  /**
+   * Get a session's stream tracker
+   * @param {string} sessionId - Session to read (defaults to the most recent)
+   */
+  getStreamTracker(sessionId) {
+    const id = sessionId || Array.from(this.streamTrackers.keys()).pop();
+    const tracker = this.streamTrackers.get(id);
+    if (!tracker) {
+      throw new Error(`Session ${id} not found`);
+    }
+    return tracker;
+  }
+
+  /**
+   * Get the conversations table (packets, bytes, duration per 5-tuple)
+   * @param {string} sessionId - Session to read (defaults to the most recent)
+   * @param {Object} [options] - { protocol, sortBy, limit }
+   */
+  getConversations(sessionId, options = {}) {
+    return this.getStreamTracker(sessionId).getConversations(options);
+  }
+
+  /**
+   * Follow a TCP stream
+   * @param {string} sessionId - Session to read (defaults to the most recent)
+   * @param {number} streamIndex - tcp.stream index
+   * @param {string} [encoding] - 'ascii', 'utf8' or 'hex' (Buffers if omitted)
+   * @returns {Object} { stream, client, server, chunks }
+   */
+  followStream(sessionId, streamIndex, encoding) {
+    const result = this.getStreamTracker(sessionId).follow(streamIndex, encoding);
+    if (!result) {
+      throw new Error(`TCP stream ${streamIndex} not found`);
+    }
+    return result;
+  }
+
+  /**
+   * Get the buffered packets of a TCP stream
+   * @returns {Promise<Array>} Packets still held in the session buffer
+   */
+  async getStreamPackets(sessionId, streamIndex) {
+    const id = sessionId || Array.from(this.packetBuffers.keys()).pop();
+    const ids = this.getStreamTracker(id).getStreamPacketIds(streamIndex);
+    return this.packetBuffers.get(id).getByIds(ids);
+  }
+
+  /**
+   * Get buffered packets by ID (IDs already evicted without spill are skipped)
+   * @returns {Promise<Array>} Packets in the order of ids
+   */
+  async getPacketsByIds(sessionId, ids) {
+    const buffer = this.packetBuffers.get(sessionId);
+    if (!buffer) {
+      throw new Error(`No packet buffer for session ${sessionId}`);
+    }
+    return buffer.getByIds(ids);
+  }
+
+  /**
+   * Query buffered packets for a session
+   * @param {string} sessionId - Session to read (defaults to the most recent)
+   * @param {Object} [query] - { startId, endId, from, to, filter, offset, limit }
+   * @returns {Promise<Object>} { sessionId, packets, total, offset, limit, firstId, lastId }
+   */
+  async queryPackets(sessionId, query = {}) {
+    const id = sessionId || Array.from(this.packetBuffers.keys()).pop();
+    const buffer = this.packetBuffers.get(id);
+    if (!buffer) {
+      throw new Error(`Session ${id} not found`);
+    }
+
+    const result = await buffer.query(query);
+    return { sessionId: id, ...result };
+  }
+
+  /**
+   * Buffered packets as an async iterable, read page by page (for exports).
+   * Packets captured after the call are not included.
+   * @param {string} sessionId - Session to read (defaults to the most recent)
+   * @param {Object} [query] - { startId, endId, from, to, filter }
+   * @param {number} [pageSize=1000] - Packets per buffer query
+   * @returns {Promise<Object>} { sessionId, total, [Symbol.asyncIterator] }
+   */
+  async packetSource(sessionId, query = {}, pageSize = 1000) {
+    const first = await this.queryPackets(sessionId, { ...query, offset: 0, limit: pageSize });
+    const range = { ...query, endId: query.endId || first.lastId, offset: 0, limit: pageSize };
+
+    return {
+      sessionId: first.sessionId,
+      total: first.total,
+      [Symbol.asyncIterator]: async function* () {
+        let page = first.packets;
+        while (page.length > 0) {
+          yield* page;
+          const next = page[page.length - 1].id + 1;
+          if (next > range.endId) break;
+          page = (await this.queryPackets(first.sessionId, { ...range, startId: next })).packets;
+        }
+      }.bind(this)
+    };
+  }
+
+  /**
+   * Get a page of buffered packets, optionally narrowed by a display filter
+   * @param {string} sessionId - Session to read (defaults to the most recent)
+   * @param {string} [displayFilter] - Wireshark-style display filter
+   * @param {Object} [page] - { offset, limit }
+   * @returns {Promise<Array>} Matching packets
+   */
+  async getPackets(sessionId, displayFilter, page = {}) {
+    if (this.packetBuffers.size === 0) {
+      return [];
+    }
+    const result = await this.queryPackets(sessionId, { ...page, filter: displayFilter });
+    return result.packets;
+  }
+
+  /**
+   * Release a stopped session and its packet buffer
+   */
+  closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session?.active) {
+      throw new Error(`Session ${sessionId} is still capturing`);
+    }
+
+    this.packetBuffers.get(sessionId)?.destroy();
+    this.packetBuffers.delete(sessionId);
+    this.streamTrackers.delete(sessionId);
+    this.statistics.delete(sessionId);
+    this.ringFiles.delete(sessionId);
+    this.packetCounters.delete(sessionId);
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Stop all captures and release packet buffers (spill files are deleted)
+   */
+  destroy() {
+    for (const [sessionId, session] of this.sessions) {
+      if (session.active) {
+        this.stopCapture(sessionId).catch(() => {});
+      }
+    }
+    for (const buffer of this.packetBuffers.values()) {
+      buffer.destroy();
+    }
+    for (const ringFile of this.ringFiles.values()) {
+      ringFile.close();
+    }
+    this.packetBuffers.clear();
+    this.streamTrackers.clear();
+    this.statistics.clear();
+    this.ringFiles.clear();
+  }
+
   /**
    * Validate BPF filter expression
+   * Valid libpcap constructs the JavaScript compiler cannot evaluate are
+   * reported as valid with a `warning`; libpcap compiles them at capture time.
+   * @returns {Object} { valid, error, position, length, warning }
    */
   validateFilter(filterExpr) {
-    if (!filterExpr) {
+    return this.validateExpression(filterExpr, compileCaptureFilter);
+  }
+
+  /**
+   * Validate display filter expression
+   * @returns {Object} { valid, error, position, length }
+   */
+  validateDisplayFilter(filterExpr) {
+    return this.validateExpression(filterExpr, compileDisplayFilter);
+  }
+
+  /**
+   * Helper: Run a filter compiler and report syntax errors with positions
+   */
+  validateExpression(filterExpr, compile) {
+    if (!filterExpr || !filterExpr.trim()) {
       return { valid: true, error: null };
     }
 
-    // Basic BPF syntax validation
-    const valid = /^[a-z0-9\s\(\)\[\]\.!=<>&|]+$/i.test(filterExpr);
-
-    if (!valid) {
+    try {
+      compile(filterExpr);
+      return { valid: true, error: null };
+    } catch (error) {
+      if (error.unsupported) {
+        return {
+          valid: true,
+          error: null,
+          warning: error.message,
+          position: error.position ?? 0,
+          length: error.length ?? filterExpr.length
+        };
+      }
       return {
         valid: false,
-        error: 'Invalid characters in filter expression'
+        error: error.message,
+        position: error.position ?? 0,
+        length: error.length ?? filterExpr.length
       };
     }
-
-    return { valid: true, error: null };
   }
 }
 
@@ -0,0 +1,158 @@
+/**
+ * NinjaShark Capture Ring Files
+ * Writes a live capture to a rotating set of PCAPNG files
+ *
+ * Features:
+ * - Rotation on maximum file size and/or maximum file duration
+ * - Maximum file count: the oldest file is deleted when a new one would exceed it
+ * - Wireshark-style names: <prefix>_<00001>_<YYYYMMDDhhmmss>.pcapng
+ * - Each file is a complete capture (own section header and interface blocks)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PcapngWriter } = require('./pcap-file.cjs');
+
+class CaptureRingFile {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Output directory (created if missing)
+   * @param {string} [options.prefix='capture'] - File name prefix
+   * @param {number} [options.maxFileSize] - Bytes per file before rotating (0/unset = unlimited)
+   * @param {number} [options.maxFileDuration] - ms per file before rotating (0/unset = unlimited)
+   * @param {number} [options.maxFiles] - Files kept on disk (0/unset = keep all)
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('Ring file capture requires an output directory');
+    }
+    for (const key of ['maxFileSize', 'maxFileDuration', 'maxFiles']) {
+      if (options[key] !== undefined && (typeof options[key] !== 'number' || options[key] < 0)) {
+        throw new Error(`${key} must be a non-negative number`);
+      }
+    }
+
+    this.directory = options.directory;
+    this.prefix = (options.prefix || 'capture').replace(/[^\w.-]/g, '_');
+    this.maxFileSize = options.maxFileSize || 0;
+    this.maxFileDuration = options.maxFileDuration || 0;
+    this.maxFiles = options.maxFiles || 0;
+
+    this.files = []; // { path, index, startTime, bytes, packets } oldest first
+    this.current = null; // { fd, writer, ...file }
+    this.fileIndex = 0;
+    this.bytesWritten = 0;
+    this.packetsWritten = 0;
+    this.deletedFiles = 0;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Append a captured packet, rotating first if the current file is full
+   * @param {Object} packet - Packet as produced by CaptureEngine.parsePacket
+   */
+  write(packet) {
+    const timestamp = packet.timestamp || Date.now();
+    let block = this.current ? this.current.writer.encodePacket(packet) : null;
+
+    if (!this.current || this.shouldRotate(block.length, timestamp)) {
+      this.rotate(timestamp);
+      block = this.current.writer.encodePacket(packet);
+    }
+
+    fs.writeSync(this.current.fd, block);
+    this.current.file.bytes += block.length;
+    this.current.file.packets++;
+    this.bytesWritten += block.length;
+    this.packetsWritten++;
+  }
+
+  /**
+   * Helper: Whether the next block belongs in a new file
+   */
+  shouldRotate(blockLength, timestamp) {
+    const file = this.current.file;
+    if (file.packets === 0) return false;
+    if (this.maxFileSize && file.bytes + blockLength > this.maxFileSize) return true;
+    if (this.maxFileDuration && timestamp - file.startTime >= this.maxFileDuration) return true;
+    return false;
+  }
+
+  /**
+   * Close the current file and start the next one
+   */
+  rotate(timestamp = Date.now()) {
+    this.closeCurrent();
+
+    this.fileIndex++;
+    const filepath = path.join(
+      this.directory,
+      `${this.prefix}_${String(this.fileIndex).padStart(5, '0')}_${this.formatTimestamp(timestamp)}.pcapng`
+    );
+
+    const writer = new PcapngWriter();
+    const header = writer.sectionHeader();
+    const fd = fs.openSync(filepath, 'w');
+    fs.writeSync(fd, header);
+
+    const file = { path: filepath, index: this.fileIndex, startTime: timestamp, bytes: header.length, packets: 0 };
+    this.current = { fd, writer, file };
+    this.files.push(file);
+    this.bytesWritten += header.length;
+
+    // Enforce the file count, never deleting the file being written
+    while (this.maxFiles && this.files.length > this.maxFiles) {
+      const oldest = this.files.shift();
+      try {
+        fs.unlinkSync(oldest.path);
+        this.deletedFiles++;
+      } catch (error) {
+        console.warn(`Could not delete ring file ${oldest.path}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Helper: Local time as YYYYMMDDhhmmss
+   */
+  formatTimestamp(timestamp) {
+    const d = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+  }
+
+  closeCurrent() {
+    if (this.current) {
+      fs.closeSync(this.current.fd);
+      this.current = null;
+    }
+  }
+
+  /**
+   * Ring file statistics
+   */
+  stats() {
+    return {
+      directory: this.directory,
+      maxFileSize: this.maxFileSize,
+      maxFileDuration: this.maxFileDuration,
+      maxFiles: this.maxFiles,
+      currentFile: this.current ? this.current.file.path : null,
+      filesCreated: this.fileIndex,
+      deletedFiles: this.deletedFiles,
+      bytesWritten: this.bytesWritten,
+      packetsWritten: this.packetsWritten,
+      files: this.files.map(f => ({ ...f }))
+    };
+  }
+
+  /**
+   * Close the current file (files on disk are kept)
+   */
+  close() {
+    this.closeCurrent();
+  }
+}
+
+module.exports = { CaptureRingFile };
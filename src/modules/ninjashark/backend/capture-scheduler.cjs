@@ -0,0 +1,302 @@
+/**
+ * NinjaShark Capture Scheduler
+ * Starts and stops captures inside scheduled time windows
+ *
+ * Features:
+ * - Recurring daily windows in local time ({ start: '02:00', end: '03:00' }),
+ *   optionally limited to weekdays; windows may cross midnight
+ * - One-off windows ({ startAt, endAt } as ms or ISO strings)
+ * - Each run is a normal CaptureEngine session (ring files, auto-stop, stats)
+ * - Starting inside a window captures for the remainder of it
+ * - Schedules persisted as JSON and re-armed on startup
+ *
+ * Events:
+ * - 'runStarted'  { scheduleId, sessionId, windowStart, windowEnd }
+ * - 'runFinished' { scheduleId, sessionId, ...stop result }
+ * - 'scheduleError' { scheduleId, error }
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_TIMER = 2 ** 31 - 1; // setTimeout limit (~24.8 days)
+const MAX_RUN_HISTORY = 20;
+
+class CaptureScheduler extends EventEmitter {
+  /**
+   * @param {Object} captureEngine - CaptureEngine that runs the captures
+   * @param {Object} [options]
+   * @param {Function} [options.onPacket] - Packet callback for scheduled sessions (packet, sessionId)
+   * @param {string} [options.schedulesPath] - JSON file the schedules are saved to
+   */
+  constructor(captureEngine, options = {}) {
+    super();
+    this.engine = captureEngine;
+    this.onPacket = options.onPacket || (() => {});
+    this.schedulesPath = options.schedulesPath || null;
+    this.schedules = new Map(); // id -> { schedule, timer, nextRun, activeSessionId, runs, lastError }
+  }
+
+  /**
+   * Load and arm persisted schedules
+   */
+  load() {
+    if (!this.schedulesPath || !fs.existsSync(this.schedulesPath)) return [];
+
+    try {
+      const document = JSON.parse(fs.readFileSync(this.schedulesPath, 'utf8'));
+      for (const schedule of document.schedules || []) {
+        try {
+          this.register(this.validate(schedule));
+        } catch (error) {
+          console.warn(`Capture schedule '${schedule.id}' skipped:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.warn('Capture schedules could not be loaded:', error.message);
+    }
+    return this.getSchedules();
+  }
+
+  /**
+   * Add or replace a schedule
+   * @param {Object} schedule - { id, name?, interface, filter?, window, capture?, enabled? }
+   *   window: { start: 'HH:MM', end: 'HH:MM', days?: [0-6] } or { startAt, endAt }
+   *   capture: startCapture options (bufferPackets, ringFile, autoStop, ...)
+   * @returns {Object} Schedule summary
+   */
+  addSchedule(schedule) {
+    const validated = this.validate(schedule);
+    this.removeSchedule(validated.id, { keepRunning: true, save: false });
+    this.register(validated);
+    this.save();
+    return this.describe(this.schedules.get(validated.id));
+  }
+
+  /**
+   * Remove a schedule; a capture it is running is stopped unless keepRunning is set
+   */
+  removeSchedule(id, { keepRunning = false, save = true } = {}) {
+    const entry = this.schedules.get(id);
+    if (!entry) return false;
+
+    clearTimeout(entry.timer);
+    if (entry.activeSessionId && !keepRunning) {
+      this.engine.stopCapture(entry.activeSessionId, 'schedule').catch(() => {});
+    }
+    this.schedules.delete(id);
+    if (save) this.save();
+    return true;
+  }
+
+  getSchedules() {
+    return Array.from(this.schedules.values()).map(entry => this.describe(entry));
+  }
+
+  /**
+   * Helper: Check a schedule and normalize its window
+   */
+  validate(schedule) {
+    if (!schedule || typeof schedule.id !== 'string' || !/^[\w.-]+$/.test(schedule.id)) {
+      throw new Error('Schedule id must contain only letters, digits, "_", "." and "-"');
+    }
+    if (!schedule.interface) {
+      throw new Error('Schedule interface is required');
+    }
+
+    const window = schedule.window || {};
+    if (window.start !== undefined || window.end !== undefined) {
+      for (const key of ['start', 'end']) {
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(window[key] || '')) {
+          throw new Error(`window.${key} must be HH:MM (24h)`);
+        }
+      }
+      if (window.start === window.end) {
+        throw new Error('window.start and window.end must differ');
+      }
+      if (window.days && (!Array.isArray(window.days) || window.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+        throw new Error('window.days must list weekdays 0 (Sunday) to 6 (Saturday)');
+      }
+    } else {
+      const startAt = new Date(window.startAt).getTime();
+      const endAt = new Date(window.endAt).getTime();
+      if (!Number.isFinite(startAt) || !Number.isFinite(endAt) || endAt <= startAt) {
+        throw new Error('window needs start/end times (HH:MM) or startAt < endAt');
+      }
+      schedule = { ...schedule, window: { startAt, endAt } };
+    }
+
+    // Surface filter/auto-stop mistakes now rather than at 2am
+    const filterCheck = this.engine.validateFilter(schedule.filter);
+    if (!filterCheck.valid) {
+      throw new Error(`Invalid capture filter: ${filterCheck.error}`);
+    }
+    this.engine.normalizeAutoStop(schedule.capture?.autoStop);
+
+    return { enabled: true, filter: '', capture: {}, ...schedule };
+  }
+
+  /**
+   * Next window that has not ended yet (may already have started)
+   * @returns {Object|null} { start, end } in ms, or null for an expired one-off window
+   */
+  nextWindow(schedule, now = Date.now()) {
+    const window = schedule.window;
+    if (window.startAt !== undefined) {
+      return window.endAt > now ? { start: window.startAt, end: window.endAt } : null;
+    }
+
+    const [startHour, startMinute] = window.start.split(':').map(Number);
+    const [endHour, endMinute] = window.end.split(':').map(Number);
+    const today = new Date(now);
+
+    // Yesterday's window may still be open if it crosses midnight
+    for (let offset = -1; offset <= 7; offset++) {
+      const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset, startHour, startMinute);
+      if (window.days && !window.days.includes(start.getDay())) continue;
+
+      const end = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset, endHour, endMinute);
+      if (end <= start) end.setDate(end.getDate() + 1);
+
+      if (end.getTime() > now) {
+        return { start: start.getTime(), end: end.getTime() };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Helper: Track a schedule and arm its next run
+   */
+  register(schedule) {
+    const entry = { schedule, timer: null, nextRun: null, activeSessionId: null, runs: [], lastError: null };
+    this.schedules.set(schedule.id, entry);
+    this.arm(entry);
+  }
+
+  /**
+   * Helper: Set the timer for the next window
+   */
+  arm(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.nextRun = null;
+    // Stale entries (removed or replaced schedules) are never re-armed
+    if (!entry.schedule.enabled || this.schedules.get(entry.schedule.id) !== entry) return;
+
+    const window = this.nextWindow(entry.schedule);
+    if (!window) return;
+
+    entry.nextRun = window;
+    const delay = window.start - Date.now();
+    if (delay > MAX_TIMER) {
+      entry.timer = setTimeout(() => this.arm(entry), MAX_TIMER);
+    } else {
+      entry.timer = setTimeout(() => this.run(entry, window), Math.max(0, delay));
+    }
+    entry.timer.unref?.();
+  }
+
+  /**
+   * Start a scheduled capture and arm its stop at the end of the window
+   */
+  async run(entry, window) {
+    const { schedule } = entry;
+    const sessionId = `${schedule.id}-${this.formatRunTime(window.start)}`;
+
+    // The previous run's files stay on disk; free its in-memory buffer
+    const previous = entry.runs[entry.runs.length - 1];
+    if (previous && !this.engine.sessions.get(previous)?.active) {
+      try {
+        this.engine.closeSession(previous);
+      } catch (error) {
+        // Already closed by the user
+      }
+    }
+
+    try {
+      await this.engine.startCapture(sessionId, schedule.interface, schedule.filter, this.onPacket, {
+        ...schedule.capture,
+        ringFile: schedule.capture.ringFile ? { prefix: schedule.id, ...schedule.capture.ringFile } : undefined,
+        schedule: { id: schedule.id, name: schedule.name || schedule.id, windowStart: window.start, windowEnd: window.end }
+      });
+    } catch (error) {
+      entry.lastError = error.message;
+      console.error(`Scheduled capture '${schedule.id}' failed to start:`, error.message);
+      this.emit('scheduleError', { scheduleId: schedule.id, error: error.message });
+      this.waitForNextWindow(entry, window);
+      return;
+    }
+
+    entry.activeSessionId = sessionId;
+    entry.lastError = null;
+    entry.runs.push(sessionId);
+    if (entry.runs.length > MAX_RUN_HISTORY) entry.runs.shift();
+    this.emit('runStarted', { scheduleId: schedule.id, sessionId, windowStart: window.start, windowEnd: window.end });
+
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(async () => {
+      try {
+        const result = await this.engine.stopCapture(sessionId, 'schedule');
+        this.emit('runFinished', { scheduleId: schedule.id, ...result });
+      } catch (error) {
+        console.error(`Scheduled capture '${schedule.id}' failed to stop:`, error.message);
+      }
+      entry.activeSessionId = null;
+      this.arm(entry);
+    }, Math.max(0, window.end - Date.now()));
+    entry.timer.unref?.();
+  }
+
+  /**
+   * Helper: After a failed start, skip to the following window
+   */
+  waitForNextWindow(entry, window) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this.arm(entry), Math.max(0, window.end - Date.now()));
+    entry.timer.unref?.();
+  }
+
+  /**
+   * Helper: Local time as YYYYMMDD-HHmm for run session ids
+   */
+  formatRunTime(timestamp) {
+    const d = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+  }
+
+  /**
+   * Helper: Public view of a schedule
+   */
+  describe(entry) {
+    return {
+      ...entry.schedule,
+      nextRun: entry.nextRun,
+      activeSessionId: entry.activeSessionId,
+      runs: [...entry.runs],
+      lastError: entry.lastError
+    };
+  }
+
+  save() {
+    if (!this.schedulesPath) return;
+    const schedules = Array.from(this.schedules.values()).map(entry => entry.schedule);
+    fs.mkdirSync(path.dirname(this.schedulesPath), { recursive: true });
+    fs.writeFileSync(this.schedulesPath, JSON.stringify({ version: 1, schedules }, null, 2));
+  }
+
+  /**
+   * Disarm all schedules (running captures are left to CaptureEngine.destroy)
+   */
+  destroy() {
+    for (const entry of this.schedules.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.schedules.clear();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = { CaptureScheduler };
@@ -0,0 +1,477 @@
+/**
+ * NinjaShark Capture Statistics
+ * Incremental per-session statistics, updated as packets are stored
+ *
+ * Features:
+ * - Protocol hierarchy tree built from frame.protocols (frame > eth > ip > tcp > http)
+ * - Endpoints (top talkers) by IP address and by MAC address, with tx/rx split
+ * - IO graph time series (packets, bytes, retransmissions, average RTT) served at
+ *   any interval; the base resolution coarsens automatically on long captures so
+ *   the whole capture stays covered in bounded memory
+ * - TCP analysis: ACK round-trip times, handshake (SYN to SYN/ACK) RTT and
+ *   retransmission rate (32-bit sequence wrap safe, Karn's rule for RTT samples)
+ */
+
+const { extractFields, formatIPv4 } = require('./packet-fields.cjs');
+
+const TCP_FIN = 0x01;
+const TCP_SYN = 0x02;
+const TCP_RST = 0x04;
+const TCP_ACK = 0x10;
+
+const MAX_UNACKED_SEGMENTS = 256; // per connection direction
+const MAX_RTT_SAMPLES = 2000; // kept for percentiles
+const MAX_IO_POINTS = 10000; // per IO graph request
+
+class CaptureStatistics {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ioResolution=100] - Initial IO graph bucket size in ms
+   * @param {number} [options.maxIoBuckets=3600] - Buckets kept before the resolution doubles
+   * @param {number} [options.maxEndpoints=10000] - Endpoints per table before the quietest are dropped
+   * @param {number} [options.maxConnections=20000] - TCP connections tracked for RTT/retransmissions
+   */
+  constructor(options = {}) {
+    this.ioResolution = options.ioResolution || 100;
+    this.maxIoBuckets = options.maxIoBuckets || 3600;
+    this.maxEndpoints = options.maxEndpoints || 10000;
+    this.maxConnections = options.maxConnections || 20000;
+
+    this.packets = 0;
+    this.bytes = 0;
+    this.startTime = null;
+    this.endTime = null;
+
+    this.hierarchy = this.createNode('frame');
+    this.endpoints = { ip: new Map(), eth: new Map() };
+    this.droppedEndpoints = 0;
+    this.ioBuckets = new Map(); // bucket index -> { packets, bytes, retransmissions, rttSum, rttCount }
+
+    this.connections = new Map(); // canonical 4-tuple -> { [address:port]: direction state }
+    this.tcp = {
+      segments: 0,
+      dataSegments: 0,
+      retransmissions: 0,
+      resets: 0,
+      rtt: this.createRttStats(),
+      handshakeRtt: this.createRttStats()
+    };
+  }
+
+  /**
+   * Account for a stored packet
+   * @param {Object} packet - Packet as produced by CaptureEngine
+   */
+  add(packet) {
+    const fields = extractFields(packet);
+    const timestamp = packet.timestamp || Date.now();
+    const length = packet.length ?? packet.hex?.length ?? 0;
+
+    this.packets++;
+    this.bytes += length;
+    if (this.startTime === null || timestamp < this.startTime) this.startTime = timestamp;
+    if (this.endTime === null || timestamp > this.endTime) this.endTime = timestamp;
+
+    const bucket = this.ioBucket(timestamp);
+    bucket.packets++;
+    bucket.bytes += length;
+
+    this.addHierarchy(fields, length);
+
+    const first = (name) => fields.get(name)?.[0];
+    if (first('eth.src') !== undefined) {
+      this.addEndpoints(this.endpoints.eth, first('eth.src'), first('eth.dst'), length, timestamp);
+    }
+    if (first('ip.src') !== undefined) {
+      this.addEndpoints(this.endpoints.ip, formatIPv4(first('ip.src')), formatIPv4(first('ip.dst')), length, timestamp);
+    } else if (first('ipv6.src') !== undefined) {
+      this.addEndpoints(this.endpoints.ip, first('ipv6.src'), first('ipv6.dst'), length, timestamp);
+    }
+
+    // Simulated packets only carry ports, not sequence numbers
+    if (first('tcp.seq') !== undefined) {
+      const src = first('ip.src') !== undefined ? formatIPv4(first('ip.src')) : first('ipv6.src');
+      const dst = first('ip.dst') !== undefined ? formatIPv4(first('ip.dst')) : first('ipv6.dst');
+      this.addSegment(
+        { address: src, port: first('tcp.srcport') },
+        { address: dst, port: first('tcp.dstport') },
+        first('tcp.seq'), first('tcp.ack'), first('tcp.flags'), first('tcp.len'),
+        timestamp, bucket
+      );
+    }
+  }
+
+  /**
+   * Helper: Count a packet against each protocol in its frame.protocols chain
+   */
+  addHierarchy(fields, length) {
+    const chain = (fields.get('frame.protocols')?.[0] || 'frame').split(':');
+    let node = this.hierarchy;
+    node.packets++;
+    node.bytes += length;
+
+    for (const protocol of chain.slice(1)) {
+      let child = node.children.get(protocol);
+      if (!child) {
+        child = this.createNode(protocol);
+        node.children.set(protocol, child);
+      }
+      child.packets++;
+      child.bytes += length;
+      node = child;
+    }
+  }
+
+  createNode(protocol) {
+    return { protocol, packets: 0, bytes: 0, children: new Map() };
+  }
+
+  /**
+   * Helper: Credit the sender (tx) and receiver (rx) endpoints
+   */
+  addEndpoints(table, src, dst, length, timestamp) {
+    const touch = (address) => {
+      let endpoint = table.get(address);
+      if (!endpoint) {
+        endpoint = {
+          address, packets: 0, bytes: 0, txPackets: 0, txBytes: 0, rxPackets: 0, rxBytes: 0,
+          firstSeen: timestamp, lastSeen: timestamp
+        };
+        table.set(address, endpoint);
+      }
+      endpoint.packets++;
+      endpoint.bytes += length;
+      endpoint.lastSeen = timestamp;
+      return endpoint;
+    };
+
+    const sender = touch(src);
+    sender.txPackets++;
+    sender.txBytes += length;
+
+    if (dst !== src) {
+      const receiver = touch(dst);
+      receiver.rxPackets++;
+      receiver.rxBytes += length;
+    }
+
+    if (table.size > this.maxEndpoints) {
+      this.pruneEndpoints(table);
+    }
+  }
+
+  /**
+   * Helper: Drop the quietest tenth of an endpoint table
+   */
+  pruneEndpoints(table) {
+    const quietest = Array.from(table.values())
+      .sort((a, b) => a.packets - b.packets)
+      .slice(0, Math.ceil(this.maxEndpoints / 10));
+
+    for (const endpoint of quietest) {
+      table.delete(endpoint.address);
+    }
+    this.droppedEndpoints += quietest.length;
+  }
+
+  /**
+   * Helper: IO bucket for a timestamp, coarsening the resolution when needed
+   */
+  ioBucket(timestamp) {
+    const index = Math.floor(timestamp / this.ioResolution);
+    let bucket = this.ioBuckets.get(index);
+    if (!bucket) {
+      bucket = { packets: 0, bytes: 0, retransmissions: 0, rttSum: 0, rttCount: 0 };
+      this.ioBuckets.set(index, bucket);
+
+      if (this.ioBuckets.size > this.maxIoBuckets) {
+        this.coarsenIoBuckets();
+        return this.ioBucket(timestamp);
+      }
+    }
+    return bucket;
+  }
+
+  /**
+   * Helper: Double the IO resolution, merging neighbouring buckets
+   */
+  coarsenIoBuckets() {
+    const merged = new Map();
+    for (const [index, bucket] of this.ioBuckets) {
+      const target = Math.floor(index / 2);
+      const existing = merged.get(target);
+      if (existing) {
+        this.mergeBucket(existing, bucket);
+      } else {
+        merged.set(target, { ...bucket });
+      }
+    }
+    this.ioBuckets = merged;
+    this.ioResolution *= 2;
+  }
+
+  mergeBucket(into, bucket) {
+    into.packets += bucket.packets;
+    into.bytes += bucket.bytes;
+    into.retransmissions += bucket.retransmissions;
+    into.rttSum += bucket.rttSum;
+    into.rttCount += bucket.rttCount;
+  }
+
+  /**
+   * Helper: Retransmission and RTT analysis for one TCP segment
+   */
+  addSegment(from, to, seq, ack, flags, payloadLength, timestamp, bucket) {
+    const fromKey = `${from.address}:${from.port}`;
+    const toKey = `${to.address}:${to.port}`;
+    const key = fromKey < toKey ? `${fromKey}|${toKey}` : `${toKey}|${fromKey}`;
+    const syn = (flags & TCP_SYN) !== 0;
+
+    let connection = this.connections.get(key);
+    // A new SYN after the connection ended starts over (port reuse)
+    if (connection && syn && !(flags & TCP_ACK) && connection.closed) {
+      this.connections.delete(key);
+      connection = null;
+    }
+    if (!connection) {
+      connection = { closed: false, synTime: null, [fromKey]: this.createDirection(), [toKey]: this.createDirection() };
+      this.connections.set(key, connection);
+      if (this.connections.size > this.maxConnections) {
+        this.connections.delete(this.connections.keys().next().value);
+      }
+    }
+
+    const side = connection[fromKey];
+    const peer = connection[toKey];
+    this.tcp.segments++;
+    if (flags & (TCP_FIN | TCP_RST)) connection.closed = true;
+    if (flags & TCP_RST) this.tcp.resets++;
+
+    // Handshake RTT as seen from the capture point: SYN to SYN/ACK
+    if (syn && !(flags & TCP_ACK)) {
+      connection.synTime = timestamp;
+    } else if (syn && connection.synTime !== null) {
+      this.addRtt(this.tcp.handshakeRtt, timestamp - connection.synTime);
+      connection.synTime = null;
+    }
+
+    // SYN and FIN occupy one sequence number each
+    const length = payloadLength + (syn ? 1 : 0) + (flags & TCP_FIN ? 1 : 0);
+    if (length > 0) {
+      if (payloadLength > 0) this.tcp.dataSegments++;
+      const seqEnd = (seq + length) >>> 0;
+
+      if (side.maxSeqEnd !== null && this.seqDiff(seqEnd, side.maxSeqEnd) <= 0) {
+        // Nothing new: the segment repeats data already sent
+        this.tcp.retransmissions++;
+        bucket.retransmissions++;
+        const unacked = side.unacked.get(seqEnd);
+        if (unacked) unacked.retransmitted = true;
+      } else {
+        side.maxSeqEnd = seqEnd;
+        side.unacked.set(seqEnd, { timestamp, retransmitted: false });
+        if (side.unacked.size > MAX_UNACKED_SEGMENTS) {
+          side.unacked.delete(side.unacked.keys().next().value);
+        }
+      }
+    }
+
+    // ACK RTT: time from the newest segment this ACK covers to the ACK
+    if ((flags & TCP_ACK) && peer.unacked.size > 0) {
+      let covered = null;
+      for (const [seqEnd, segment] of peer.unacked) {
+        if (this.seqDiff(seqEnd, ack) > 0) continue;
+        covered = segment;
+        peer.unacked.delete(seqEnd);
+      }
+      // Karn's rule: an ACK for retransmitted data is ambiguous
+      if (covered && !covered.retransmitted) {
+        const rtt = timestamp - covered.timestamp;
+        this.addRtt(this.tcp.rtt, rtt);
+        bucket.rttSum += rtt;
+        bucket.rttCount++;
+      }
+    }
+  }
+
+  createDirection() {
+    return { maxSeqEnd: null, unacked: new Map() }; // unacked: seqEnd -> { timestamp, retransmitted }
+  }
+
+  createRttStats() {
+    return { count: 0, sum: 0, min: null, max: null, samples: [] };
+  }
+
+  addRtt(stats, rtt) {
+    if (rtt < 0) return;
+    stats.count++;
+    stats.sum += rtt;
+    stats.min = stats.min === null ? rtt : Math.min(stats.min, rtt);
+    stats.max = stats.max === null ? rtt : Math.max(stats.max, rtt);
+    stats.samples.push(rtt);
+    if (stats.samples.length > MAX_RTT_SAMPLES) stats.samples.shift();
+  }
+
+  /**
+   * Helper: Signed distance between 32-bit sequence numbers
+   */
+  seqDiff(a, b) {
+    return (a - b) | 0;
+  }
+
+  /**
+   * Protocol hierarchy tree
+   * @returns {Object} { protocol, packets, bytes, percentPackets, percentBytes, children }
+   */
+  getProtocolHierarchy() {
+    const toTree = (node) => ({
+      protocol: node.protocol,
+      packets: node.packets,
+      bytes: node.bytes,
+      percentPackets: this.percent(node.packets, this.packets),
+      percentBytes: this.percent(node.bytes, this.bytes),
+      children: Array.from(node.children.values())
+        .sort((a, b) => b.packets - a.packets)
+        .map(toTree)
+    });
+    return toTree(this.hierarchy);
+  }
+
+  /**
+   * Endpoints table
+   * @param {Object} [options]
+   * @param {string} [options.type='ip'] - 'ip' or 'eth'
+   * @param {string} [options.sortBy='bytes'] - Any numeric endpoint column
+   * @param {number} [options.limit=50]
+   */
+  getEndpoints(options = {}) {
+    const { type = 'ip', sortBy = 'bytes', limit = 50 } = options;
+    const table = this.endpoints[type];
+    if (!table) {
+      throw new Error(`Unknown endpoint type: ${type}`);
+    }
+
+    return Array.from(table.values())
+      .sort((a, b) => (b[sortBy] || 0) - (a[sortBy] || 0))
+      .slice(0, limit)
+      .map(endpoint => ({
+        ...endpoint,
+        percentBytes: this.percent(endpoint.bytes, this.bytes)
+      }));
+  }
+
+  /**
+   * IO graph series
+   * @param {Object} [options]
+   * @param {number} [options.interval=1000] - Bucket size in ms (rounded up to a multiple of the current
+   *   resolution, and widened if the range would exceed 10000 points)
+   * @param {number} [options.from] - Start time in ms
+   * @param {number} [options.to] - End time in ms
+   * @returns {Object} { interval, resolution, points: [{ time, packets, bytes, packetsPerSecond, bitsPerSecond, retransmissions, avgRtt }] }
+   */
+  getIOGraph(options = {}) {
+    const resolution = this.ioResolution;
+    let interval = Math.max(resolution, Math.ceil((options.interval || 1000) / resolution) * resolution);
+    if (this.startTime === null) return { interval, resolution, points: [] };
+
+    const start = Math.max(options.from ?? this.startTime, this.startTime);
+    const to = Math.min(options.to ?? this.endTime, this.endTime);
+    // Sparse captures can span far more intervals than they have buckets
+    while ((to - start) / interval > MAX_IO_POINTS) interval *= 2;
+
+    const from = Math.floor(start / interval) * interval;
+    const result = { interval, resolution, points: [] };
+
+    const merged = new Map();
+    for (const [index, bucket] of this.ioBuckets) {
+      const time = Math.floor((index * resolution) / interval) * interval;
+      if (time < from || time > to) continue;
+      const existing = merged.get(time);
+      if (existing) {
+        this.mergeBucket(existing, bucket);
+      } else {
+        merged.set(time, { ...bucket });
+      }
+    }
+
+    // Emit every interval so quiet periods chart as zero
+    const seconds = interval / 1000;
+    for (let time = from; time <= to; time += interval) {
+      const bucket = merged.get(time) || { packets: 0, bytes: 0, retransmissions: 0, rttSum: 0, rttCount: 0 };
+      result.points.push({
+        time,
+        packets: bucket.packets,
+        bytes: bucket.bytes,
+        packetsPerSecond: bucket.packets / seconds,
+        bitsPerSecond: (bucket.bytes * 8) / seconds,
+        retransmissions: bucket.retransmissions,
+        avgRtt: bucket.rttCount > 0 ? bucket.rttSum / bucket.rttCount : null
+      });
+    }
+    return result;
+  }
+
+  /**
+   * TCP round-trip time and retransmission summary
+   */
+  getTcpStats() {
+    const { segments, dataSegments, retransmissions, resets } = this.tcp;
+    return {
+      connections: this.connections.size,
+      segments,
+      dataSegments,
+      retransmissions,
+      resets,
+      retransmissionRate: segments > 0 ? retransmissions / segments : 0,
+      rtt: this.summarizeRtt(this.tcp.rtt),
+      handshakeRtt: this.summarizeRtt(this.tcp.handshakeRtt)
+    };
+  }
+
+  /**
+   * Helper: min/avg/max/median/p95 of RTT samples in ms
+   */
+  summarizeRtt(stats) {
+    if (stats.count === 0) {
+      return { samples: 0, min: null, avg: null, max: null, median: null, p95: null };
+    }
+    const sorted = [...stats.samples].sort((a, b) => a - b);
+    const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    return {
+      samples: stats.count,
+      min: stats.min,
+      avg: stats.sum / stats.count,
+      max: stats.max,
+      median: at(0.5),
+      p95: at(0.95)
+    };
+  }
+
+  /**
+   * All statistics in one object
+   * @param {Object} [options] - { interval, from, to } for the IO graph, { endpointLimit }
+   */
+  getAll(options = {}) {
+    return {
+      packets: this.packets,
+      bytes: this.bytes,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      duration: this.startTime === null ? 0 : this.endTime - this.startTime,
+      protocolHierarchy: this.getProtocolHierarchy(),
+      endpoints: {
+        ip: this.getEndpoints({ type: 'ip', limit: options.endpointLimit }),
+        eth: this.getEndpoints({ type: 'eth', limit: options.endpointLimit }),
+        dropped: this.droppedEndpoints
+      },
+      ioGraph: this.getIOGraph(options),
+      tcp: this.getTcpStats()
+    };
+  }
+
+  percent(value, total) {
+    return total > 0 ? Math.round((value / total) * 10000) / 100 : 0;
+  }
+}
+
+module.exports = { CaptureStatistics };
@@ -0,0 +1,487 @@
+/**
+ * NinjaShark Display Filter
+ * Wireshark-style display filter language evaluated against decoded packets
+ *
+ * Syntax:
+ * - Fields and protocols: ip.src, tcp.port, eth.addr, dns, tcp.flags.syn
+ * - Comparisons: == != > < >= <= (or eq ne gt lt ge le)
+ * - Membership: tcp.port in {80 443 8000..8100}
+ * - Text/bytes: http contains "GET", frame matches "pass(word)?"
+ * - Logic: && || ^^ ! (or and or xor not) with parentheses
+ * - Values: numbers, IPv4 addresses and CIDR blocks, IPv6, MACs, strings
+ *
+ * Semantics follow Wireshark: a bare field tests for presence, comparisons
+ * on multi-valued fields (ip.addr, tcp.port) match if any value matches,
+ * and "!=" matches only when no value is equal. "matches" is case-insensitive.
+ * Syntax errors carry the character position and length of the bad token.
+ */
+
+const {
+  FIELD_TYPES,
+  PROTOCOLS,
+  extractFields,
+  parseIPv4,
+  normalizeIPv6,
+  normalizeMAC
+} = require('./packet-fields.cjs');
+
+const COMPARISON_ALIASES = { eq: '==', ne: '!=', gt: '>', lt: '<', ge: '>=', le: '<=' };
+const COMPARISONS = new Set(['==', '!=', '>', '<', '>=', '<=']);
+
+/**
+ * Create a syntax error that points at a token
+ */
+function syntaxError(message, token) {
+  const error = new Error(message);
+  error.position = token.position;
+  error.length = Math.max(token.length, 1);
+  return error;
+}
+
+/**
+ * Split a display filter into tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const operators = ['&&', '||', '^^', '==', '!=', '>=', '<=', '>', '<', '!', '~', '(', ')', '{', '}', ','];
+  let i = 0;
+
+  while (i < expression.length) {
+    const ch = expression[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < expression.length && expression[i] !== '"') {
+        if (expression[i] === '\\' && i + 1 < expression.length) {
+          const escaped = expression[i + 1];
+          value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped === 'r' ? '\r' : escaped;
+          i += 2;
+        } else {
+          value += expression[i++];
+        }
+      }
+      if (i >= expression.length) {
+        throw syntaxError('Unterminated string', { position: start, length: expression.length - start });
+      }
+      i++;
+      tokens.push({ type: 'string', value, position: start, length: i - start });
+      continue;
+    }
+
+    if (/[A-Za-z0-9_.:\-\/]/.test(ch)) {
+      const start = i;
+      while (i < expression.length && /[A-Za-z0-9_.:\-\/]/.test(expression[i])) i++;
+      tokens.push({ type: 'word', value: expression.slice(start, i), position: start, length: i - start });
+      continue;
+    }
+
+    const op = operators.find(o => expression.startsWith(o, i));
+    if (!op) {
+      throw syntaxError(`Unexpected character '${ch}'`, { position: i, length: 1 });
+    }
+    tokens.push({ type: 'op', value: op, position: i, length: op.length });
+    i += op.length;
+  }
+
+  tokens.push({ type: 'end', value: '', position: expression.length, length: 0 });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a display filter AST
+ * Precedence (lowest first): or, xor, and, not
+ */
+class DisplayFilterParser {
+  constructor(expression) {
+    this.tokens = tokenize(expression);
+    this.index = 0;
+  }
+
+  parse() {
+    if (this.peek().type === 'end') {
+      return null;
+    }
+    const node = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw syntaxError(`Unexpected '${token.value}' - expected '&&', '||' or end of filter`, token);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let left = this.parseXor();
+    while (this.accept('||', 'or')) {
+      left = { type: 'or', left, right: this.parseXor() };
+    }
+    return left;
+  }
+
+  parseXor() {
+    let left = this.parseAnd();
+    while (this.accept('^^', 'xor')) {
+      left = { type: 'xor', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept('&&', 'and')) {
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.accept('!', 'not')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.value === '(') {
+      this.next();
+      const node = this.parseOr();
+      this.expect(')', "Missing ')'");
+      return node;
+    }
+
+    if (token.type === 'end') {
+      throw syntaxError('Unexpected end of filter - expected a field or protocol', token);
+    }
+    if (token.type !== 'word') {
+      throw syntaxError(`Unexpected '${token.value}' - expected a field or protocol`, token);
+    }
+
+    const field = this.parseField(token);
+    const opToken = this.peek();
+    const opValue = opToken.type === 'word' ? (COMPARISON_ALIASES[opToken.value] || opToken.value) : opToken.value;
+
+    if (COMPARISONS.has(opValue)) {
+      this.next();
+      if (field.type === 'bytes' && opValue !== '==' && opValue !== '!=') {
+        throw syntaxError(`'${field.name}' can only be compared with == or !=`, opToken);
+      }
+      return { type: 'compare', op: opValue, field, value: this.parseValue(field) };
+    }
+
+    if (opValue === 'in') {
+      this.next();
+      return { type: 'in', field, values: this.parseSet(field) };
+    }
+
+    if (opValue === 'contains') {
+      this.next();
+      if (!['string', 'bytes'].includes(field.type)) {
+        throw syntaxError(`'contains' needs a text or bytes field, not '${field.name}'`, opToken);
+      }
+      return { type: 'contains', field, needle: this.parseContainsValue() };
+    }
+
+    if (opValue === 'matches' || opValue === '~') {
+      this.next();
+      if (!['string', 'bytes'].includes(field.type)) {
+        throw syntaxError(`'matches' needs a text or bytes field, not '${field.name}'`, opToken);
+      }
+      const patternToken = this.peek();
+      if (patternToken.type !== 'string' && patternToken.type !== 'word') {
+        throw syntaxError("Expected a pattern after 'matches'", patternToken);
+      }
+      this.next();
+      try {
+        return { type: 'matches', field, pattern: new RegExp(patternToken.value, 'i') };
+      } catch (error) {
+        throw syntaxError(`Invalid regular expression: ${error.message}`, patternToken);
+      }
+    }
+
+    return { type: 'exists', field };
+  }
+
+  parseField(token) {
+    this.next();
+    const name = token.value;
+    if (FIELD_TYPES[name]) {
+      return { name, type: FIELD_TYPES[name] };
+    }
+    if (PROTOCOLS.has(name)) {
+      return { name, type: 'bytes' };
+    }
+    throw syntaxError(`'${name}' is neither a field nor a protocol name`, token);
+  }
+
+  /**
+   * Parse a literal (or field reference) for comparison with a field
+   */
+  parseValue(field) {
+    const token = this.peek();
+    if (token.type !== 'word' && token.type !== 'string') {
+      throw syntaxError(`Expected a value for '${field.name}'`, token);
+    }
+    this.next();
+
+    if (token.type === 'word' && (FIELD_TYPES[token.value] || PROTOCOLS.has(token.value))) {
+      const other = this.tokens[this.index - 1];
+      const otherType = FIELD_TYPES[token.value] || 'bytes';
+      if (otherType !== field.type) {
+        throw syntaxError(`'${token.value}' cannot be compared with '${field.name}'`, other);
+      }
+      return { kind: 'field', name: token.value };
+    }
+
+    return { kind: 'literal', value: this.convertLiteral(field, token) };
+  }
+
+  /**
+   * Parse "{a b c}" or "{a, b, lo..hi}"
+   */
+  parseSet(field) {
+    this.expect('{', "Expected '{' after 'in'");
+    const values = [];
+
+    while (this.peek().value !== '}') {
+      const token = this.peek();
+      if (token.type === 'end') {
+        throw syntaxError("Missing '}'", token);
+      }
+      if (token.value === ',') {
+        this.next();
+        continue;
+      }
+      if (token.type !== 'word' && token.type !== 'string') {
+        throw syntaxError(`Unexpected '${token.value}' in set`, token);
+      }
+      this.next();
+
+      const range = token.type === 'word' ? /^(.+?)\.\.(.+)$/.exec(token.value) : null;
+      if (range) {
+        if (!['uint', 'float'].includes(field.type)) {
+          throw syntaxError(`Ranges are only allowed for numeric fields`, token);
+        }
+        const low = this.convertLiteral(field, { ...token, value: range[1] });
+        const high = this.convertLiteral(field, { ...token, value: range[2] });
+        values.push({ range: [Math.min(low, high), Math.max(low, high)] });
+      } else {
+        values.push({ value: this.convertLiteral(field, token) });
+      }
+    }
+
+    const close = this.next();
+    if (values.length === 0) {
+      throw syntaxError('Set must contain at least one value', close);
+    }
+    return values;
+  }
+
+  parseContainsValue() {
+    const token = this.peek();
+    if (token.type === 'string') {
+      this.next();
+      return Buffer.from(token.value, 'utf8');
+    }
+    if (token.type === 'word' && /^[0-9a-f]{2}([:\-.][0-9a-f]{2})*$/i.test(token.value)) {
+      this.next();
+      return Buffer.from(token.value.replace(/[:\-.]/g, ''), 'hex');
+    }
+    throw syntaxError("Expected a quoted string or hex bytes (de:ad:be:ef) after 'contains'", token);
+  }
+
+  /**
+   * Convert a literal token to the field's value type
+   */
+  convertLiteral(field, token) {
+    const text = token.value;
+
+    switch (field.type) {
+      case 'uint':
+      case 'bool': {
+        if (field.type === 'bool' && (text === 'true' || text === 'false')) {
+          return text === 'true' ? 1 : 0;
+        }
+        if (token.type === 'word' && /^(0x[0-9a-f]+|\d+)$/i.test(text)) {
+          return Number(text);
+        }
+        throw syntaxError(`'${text}' is not a valid number for '${field.name}'`, token);
+      }
+      case 'float': {
+        if (token.type === 'word' && /^\d+(\.\d+)?$/.test(text)) {
+          return parseFloat(text);
+        }
+        throw syntaxError(`'${text}' is not a valid number for '${field.name}'`, token);
+      }
+      case 'ipv4': {
+        const [address, prefix] = text.split('/');
+        const value = parseIPv4(address);
+        if (value === null || (prefix !== undefined && !(/^\d{1,2}$/.test(prefix) && Number(prefix) <= 32))) {
+          throw syntaxError(`'${text}' is not a valid IPv4 address or CIDR block`, token);
+        }
+        const bits = prefix === undefined ? 32 : Number(prefix);
+        const mask = bits === 0 ? 0 : (0xffffffff << (32 - bits)) >>> 0;
+        return { network: (value & mask) >>> 0, mask };
+      }
+      case 'ipv6': {
+        const value = normalizeIPv6(text);
+        if (value === null) {
+          throw syntaxError(`'${text}' is not a valid IPv6 address`, token);
+        }
+        return value;
+      }
+      case 'ether': {
+        const value = normalizeMAC(text);
+        if (value === null) {
+          throw syntaxError(`'${text}' is not a valid MAC address`, token);
+        }
+        return value;
+      }
+      case 'bytes':
+        if (token.type === 'string') return Buffer.from(text, 'utf8');
+        if (/^[0-9a-f]{2}([:\-.][0-9a-f]{2})*$/i.test(text)) {
+          return Buffer.from(text.replace(/[:\-.]/g, ''), 'hex');
+        }
+        throw syntaxError(`'${text}' is not a valid byte string`, token);
+      default:
+        return text;
+    }
+  }
+
+  // --- helpers -------------------------------------------------------------
+
+  accept(...values) {
+    const token = this.peek();
+    if ((token.type === 'op' || token.type === 'word') && values.includes(token.value)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  expect(value, message) {
+    const token = this.peek();
+    if (token.value !== value) {
+      throw syntaxError(message, token);
+    }
+    return this.next();
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+}
+
+/**
+ * Compare one field value with one literal
+ * @returns {number|null} <0, 0, >0 or null when not comparable
+ */
+function compareValues(type, actual, expected) {
+  switch (type) {
+    case 'ipv4':
+      if (typeof expected === 'object') {
+        if (((actual & expected.mask) >>> 0) === expected.network) return 0;
+        return actual < expected.network ? -1 : 1;
+      }
+      return actual - expected;
+    case 'uint':
+    case 'bool':
+    case 'float':
+      return actual - expected;
+    case 'bytes':
+      return Buffer.compare(Buffer.from(actual), Buffer.from(expected));
+    default: {
+      const a = String(actual);
+      const b = String(expected);
+      return a === b ? 0 : a < b ? -1 : 1;
+    }
+  }
+}
+
+function applyComparison(op, result) {
+  switch (op) {
+    case '==': return result === 0;
+    case '>': return result > 0;
+    case '<': return result < 0;
+    case '>=': return result >= 0;
+    case '<=': return result <= 0;
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate an AST node against a packet's fields
+ */
+function evaluate(node, fields) {
+  switch (node.type) {
+    case 'and':
+      return evaluate(node.left, fields) && evaluate(node.right, fields);
+    case 'or':
+      return evaluate(node.left, fields) || evaluate(node.right, fields);
+    case 'xor':
+      return evaluate(node.left, fields) !== evaluate(node.right, fields);
+    case 'not':
+      return !evaluate(node.operand, fields);
+    case 'exists':
+      return fields.has(node.field.name);
+    case 'compare': {
+      const values = fields.get(node.field.name) || [];
+      const expected = node.value.kind === 'field'
+        ? (fields.get(node.value.name) || [])
+        : [node.value.value];
+      if (node.op === '!=') {
+        return values.length > 0 && !values.some(v => expected.some(e => compareValues(node.field.type, v, e) === 0));
+      }
+      return values.some(v => expected.some(e => applyComparison(node.op, compareValues(node.field.type, v, e))));
+    }
+    case 'in': {
+      const values = fields.get(node.field.name) || [];
+      return values.some(v => node.values.some(entry => entry.range
+        ? v >= entry.range[0] && v <= entry.range[1]
+        : compareValues(node.field.type, v, entry.value) === 0));
+    }
+    case 'contains': {
+      const values = fields.get(node.field.name) || [];
+      return values.some(v => (Buffer.isBuffer(v) ? v : Buffer.from(String(v))).includes(node.needle));
+    }
+    case 'matches': {
+      const values = fields.get(node.field.name) || [];
+      return values.some(v => node.pattern.test(Buffer.isBuffer(v) ? v.toString('latin1') : String(v)));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Compile a display filter expression
+ * @param {string} expression - e.g. 'ip.src == 10.0.0.5 && tcp.port in {80 443}'
+ * @returns {Object} { expression, ast, match(packet) }
+ * @throws {Error} Syntax error with .position and .length
+ */
+function compileDisplayFilter(expression) {
+  const text = expression || '';
+  const ast = new DisplayFilterParser(text).parse();
+
+  return {
+    expression: text,
+    ast,
+    match(packet) {
+      if (!ast) return true;
+      return evaluate(ast, extractFields(packet));
+    }
+  };
+}
+
+module.exports = { compileDisplayFilter };
@@ -1,23 +1,52 @@
 /**
  * NinjaShark Export Handler
  * Export packets to multiple formats (PCAPNG, JSON, CSV, PDF)
+ *
+ * Features:
+ * - JSON, CSV and PCAPNG are streamed to disk packet by packet
+ * - Write backpressure is honoured and the event loop is yielded between
+ *   batches, so very large captures don't block the main process
+ * - EventEmitter 'progress' events for export progress reporting
+ * - Followed TCP streams as raw payload or annotated text
+ * - PDF report (jsPDF) with capture statistics tables (protocol hierarchy,
+ *   top talkers, IO graph, TCP RTT / retransmissions) and a packet list
  */
 
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter, once } = require('events');
+const { finished } = require('stream/promises');
+const { jsPDF } = require('jspdf');
+const { PcapngWriter } = require('./pcap-file.cjs');
+
+const PDF_MARGIN = 40; // pt
+const PDF_ROW_HEIGHT = 13; // pt
+const PDF_MAX_PACKETS = 100; // packets listed after the statistics
+const PDF_TOP_TALKERS = 10;
+const PDF_MAX_IO_ROWS = 60;
+
+class ExportHandler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.progressInterval = options.progressInterval || 1000; // packets per progress event
+  }
 
-class ExportHandler {
   /**
    * Export packets to specified format
+   * @param {Array|Object} packets - Packets to export, or an async iterable with a
+   *   `total` count (CaptureEngine.packetSource)
+   * @param {string} format - 'json', 'csv', 'pdf' or 'pcapng'
+   * @param {string} filepath - Destination file
+   * @param {Object} [options] - { statistics } (CaptureEngine.getStatistics result, PDF only)
    */
-  async export(packets, format, filepath) {
+  async export(packets, format, filepath, options = {}) {
     switch (format) {
       case 'json':
         return this.exportJSON(packets, filepath);
       case 'csv':
         return this.exportCSV(packets, filepath);
       case 'pdf':
-        return this.exportPDF(packets, filepath);
+        return this.exportPDF(packets, filepath, options.statistics);
       case 'pcapng':
         return this.exportPCAPNG(packets, filepath);
       default:
@@ -25,42 +54,405 @@ class ExportHandler {
     }
   }
 
-  exportJSON(packets, filepath) {
-    const data = JSON.stringify(packets, null, 2);
-    fs.writeFileSync(filepath, data);
-    return { success: true, filepath, packets: packets.length };
+  async exportJSON(packets, filepath) {
+    return this.streamPackets(packets, filepath, 'json', {
+      header: '[\n',
+      encode: (p, index) =>
+        (index > 0 ? ',\n' : '') + '  ' + JSON.stringify(p, null, 2).replace(/\n/g, '\n  '),
+      footer: '\n]\n'
+    });
   }
 
-  exportCSV(packets, filepath) {
-    const headers = 'No,Time,Source,Destination,Protocol,Length,Info\n';
-    const rows = packets.map(p =>
-      `${p.id},${new Date(p.timestamp).toISOString()},${p.source},${p.destination},${p.protocol},${p.length},"${p.info}"`
-    ).join('\n');
-    fs.writeFileSync(filepath, headers + rows);
-    return { success: true, filepath, packets: packets.length };
+  async exportCSV(packets, filepath) {
+    return this.streamPackets(packets, filepath, 'csv', {
+      header: 'No,Time,Source,Destination,Protocol,Length,Info\n',
+      encode: (p) => [
+        p.id,
+        new Date(p.timestamp).toISOString(),
+        p.source,
+        p.destination,
+        p.protocol,
+        p.length,
+        p.info
+      ].map(value => this.csvField(value)).join(',') + '\n'
+    });
   }
 
-  exportPDF(packets, filepath) {
-    // Note: Real implementation would use jsPDF
-    // For now, create a text-based PDF placeholder
-    const content = `NinjaShark Capture Export\n\nPackets: ${packets.length}\n\n` +
-      packets.slice(0, 100).map(p =>
-        `[${p.id}] ${new Date(p.timestamp).toISOString()} ${p.source} -> ${p.destination} ${p.protocol}`
-      ).join('\n');
-    fs.writeFileSync(filepath, content);
-    return { success: true, filepath, packets: packets.length };
+  async exportPDF(packets, filepath, statistics = null) {
+    const total = Array.isArray(packets) ? packets.length : packets.total;
+    const listed = [];
+    for await (const packet of packets) {
+      if (listed.length >= PDF_MAX_PACKETS) break;
+      listed.push(packet);
+    }
+
+    const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+    const page = { doc, y: PDF_MARGIN };
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16);
+    doc.text('NinjaShark Capture Export', PDF_MARGIN, page.y + 12);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(`Generated ${new Date().toISOString()}  -  ${total} packets`, PDF_MARGIN, page.y + 28);
+    page.y += 48;
+
+    const tables = statistics ? this.statisticsTables(statistics) : [];
+    tables.push({
+      title: 'Packets',
+      subtitle: listed.length < total ? `First ${listed.length} of ${total} packets` : null,
+      columns: [
+        { header: 'No.', width: 0.07, align: 'right' },
+        { header: 'Time', width: 0.17 },
+        { header: 'Source', width: 0.17 },
+        { header: 'Destination', width: 0.17 },
+        { header: 'Protocol', width: 0.09 },
+        { header: 'Length', width: 0.08, align: 'right' },
+        { header: 'Info', width: 0.25 }
+      ],
+      rows: listed.map(p => [
+        p.id,
+        new Date(p.timestamp).toISOString().slice(11, 23),
+        p.source,
+        p.destination,
+        p.protocol,
+        p.length,
+        p.info
+      ])
+    });
+    tables.forEach(table => this.drawTable(page, table));
+
+    const data = Buffer.from(doc.output('arraybuffer'));
+    await fs.promises.writeFile(filepath, data);
+    this.emitProgress('pdf', filepath, total, total, data.length);
+    return { success: true, filepath, packets: total, bytes: data.length };
   }
 
-  exportPCAPNG(packets, filepath) {
-    // Note: Real PCAPNG export requires binary format implementation
-    // This is a placeholder that exports JSON with PCAPNG note
-    const data = JSON.stringify({
-      format: 'PCAPNG',
-      note: 'PCAPNG binary export requires pcap library integration',
-      packets
-    }, null, 2);
-    fs.writeFileSync(filepath, data);
-    return { success: true, filepath, packets: packets.length };
+  async exportPCAPNG(packets, filepath) {
+    const writer = new PcapngWriter();
+    return this.streamPackets(packets, filepath, 'pcapng', {
+      header: writer.sectionHeader(),
+      encode: (p) => writer.encodePacket(p)
+    });
+  }
+
+  /**
+   * Helper: Statistics report tables for the PDF export
+   * @param {Object} stats - CaptureEngine.getStatistics result
+   * @returns {Array<Object>} Tables for drawTable
+   */
+  statisticsTables(stats) {
+    const ms = (value) => (value === null ? '-' : value.toFixed(1));
+    const percent = (value) => `${value}%`;
+    const tables = [{
+      title: 'Capture Summary',
+      columns: [{ header: 'Metric', width: 0.3 }, { header: 'Value', width: 0.7 }],
+      rows: [
+        ['Packets', stats.packets],
+        ['Bytes', stats.bytes],
+        ['Duration', `${(stats.duration / 1000).toFixed(1)} s`],
+        ['First packet', stats.startTime !== null ? new Date(stats.startTime).toISOString() : '-'],
+        ['Last packet', stats.endTime !== null ? new Date(stats.endTime).toISOString() : '-']
+      ]
+    }];
+
+    const hierarchy = [];
+    const walk = (node, depth) => {
+      hierarchy.push([
+        `${'   '.repeat(depth)}${node.protocol}`,
+        node.packets,
+        percent(node.percentPackets),
+        node.bytes,
+        percent(node.percentBytes)
+      ]);
+      node.children.forEach(child => walk(child, depth + 1));
+    };
+    walk(stats.protocolHierarchy, 0);
+    tables.push({
+      title: 'Protocol Hierarchy',
+      columns: [
+        { header: 'Protocol', width: 0.4 },
+        { header: 'Packets', width: 0.15, align: 'right' },
+        { header: '% Packets', width: 0.15, align: 'right' },
+        { header: 'Bytes', width: 0.15, align: 'right' },
+        { header: '% Bytes', width: 0.15, align: 'right' }
+      ],
+      rows: hierarchy
+    });
+
+    for (const [type, title] of [['ip', 'IP'], ['eth', 'Ethernet']]) {
+      tables.push({
+        title: `Top Talkers (${title})`,
+        columns: [
+          { header: 'Address', width: 0.3 },
+          { header: 'Packets', width: 0.12, align: 'right' },
+          { header: 'Bytes', width: 0.15, align: 'right' },
+          { header: '% Bytes', width: 0.13, align: 'right' },
+          { header: 'Tx Bytes', width: 0.15, align: 'right' },
+          { header: 'Rx Bytes', width: 0.15, align: 'right' }
+        ],
+        rows: stats.endpoints[type].slice(0, PDF_TOP_TALKERS).map(e => [
+          e.address, e.packets, e.bytes, percent(e.percentBytes), e.txBytes, e.rxBytes
+        ])
+      });
+    }
+
+    // Merge IO graph buckets so the table stays a page or so long
+    const { ioGraph, tcp } = stats;
+    const group = Math.max(1, Math.ceil(ioGraph.points.length / PDF_MAX_IO_ROWS));
+    const interval = ioGraph.interval * group;
+    const ioRows = [];
+    for (let i = 0; i < ioGraph.points.length; i += group) {
+      const points = ioGraph.points.slice(i, i + group);
+      const sum = (key) => points.reduce((total, point) => total + point[key], 0);
+      const rttPackets = points.filter(point => point.avgRtt !== null);
+      const rttWeight = rttPackets.reduce((total, point) => total + point.packets, 0);
+      const avgRtt = rttPackets.length === 0 ? null
+        : rttPackets.reduce((total, point) => total + point.avgRtt * point.packets, 0) / (rttWeight || 1);
+      ioRows.push([
+        ((points[0].time - ioGraph.points[0].time) / 1000).toFixed(1),
+        sum('packets'),
+        sum('bytes'),
+        Math.round((sum('bytes') * 8) / (interval / 1000)),
+        sum('retransmissions'),
+        ms(avgRtt)
+      ]);
+    }
+    tables.push({
+      title: 'IO Graph',
+      subtitle: `${interval} ms intervals`,
+      columns: [
+        { header: 'Time (s)', width: 0.15, align: 'right' },
+        { header: 'Packets', width: 0.15, align: 'right' },
+        { header: 'Bytes', width: 0.17, align: 'right' },
+        { header: 'Bits/s', width: 0.19, align: 'right' },
+        { header: 'Retrans.', width: 0.15, align: 'right' },
+        { header: 'Avg RTT (ms)', width: 0.19, align: 'right' }
+      ],
+      rows: ioRows
+    });
+
+    tables.push({
+      title: 'TCP Round-Trip Time',
+      subtitle: `${tcp.connections} connections, ${tcp.segments} segments, ` +
+        `${tcp.retransmissions} retransmissions (${(tcp.retransmissionRate * 100).toFixed(2)}%), ${tcp.resets} resets`,
+      columns: [
+        { header: 'RTT (ms)', width: 0.22 },
+        { header: 'Min', width: 0.13, align: 'right' },
+        { header: 'Avg', width: 0.13, align: 'right' },
+        { header: 'Median', width: 0.13, align: 'right' },
+        { header: 'P95', width: 0.13, align: 'right' },
+        { header: 'Max', width: 0.13, align: 'right' },
+        { header: 'Samples', width: 0.13, align: 'right' }
+      ],
+      rows: [['Data segments', tcp.rtt], ['Handshakes', tcp.handshakeRtt]].map(([label, rtt]) => [
+        label, ms(rtt.min), ms(rtt.avg), ms(rtt.median), ms(rtt.p95), ms(rtt.max), rtt.samples
+      ])
+    });
+    return tables;
+  }
+
+  /**
+   * Helper: Draw a table on the PDF, starting new pages (with a repeated header) as needed
+   * @param {Object} page - { doc, y } cursor, updated in place
+   * @param {Object} table - { title, subtitle, columns: [{ header, width, align }], rows }
+   */
+  drawTable(page, table) {
+    const { doc } = page;
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const tableWidth = doc.internal.pageSize.getWidth() - PDF_MARGIN * 2;
+    const headerHeight = table.subtitle ? 36 : 24;
+
+    let x = PDF_MARGIN;
+    const columns = table.columns.map(column => {
+      const placed = { ...column, x, width: column.width * tableWidth };
+      x += placed.width;
+      return placed;
+    });
+
+    const drawRow = (cells, bold) => {
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      cells.forEach((value, index) => {
+        const column = columns[index];
+        const text = this.fitText(doc, value === undefined || value === null ? '' : String(value), column.width - 6);
+        if (column.align === 'right') {
+          doc.text(text, column.x + column.width - 3, page.y, { align: 'right' });
+        } else {
+          doc.text(text, column.x + 3, page.y);
+        }
+      });
+      page.y += PDF_ROW_HEIGHT;
+    };
+
+    const drawHeader = () => {
+      doc.setFontSize(8);
+      drawRow(columns.map(column => column.header), true);
+      doc.setLineWidth(0.5);
+      doc.line(PDF_MARGIN, page.y - PDF_ROW_HEIGHT + 4, PDF_MARGIN + tableWidth, page.y - PDF_ROW_HEIGHT + 4);
+    };
+
+    // Keep the title with the header and at least one row
+    if (page.y + headerHeight + PDF_ROW_HEIGHT * 2 > pageHeight - PDF_MARGIN) {
+      doc.addPage();
+      page.y = PDF_MARGIN;
+    }
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.text(table.title, PDF_MARGIN, page.y + 10);
+    page.y += 24;
+    if (table.subtitle) {
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(8);
+      doc.text(table.subtitle, PDF_MARGIN, page.y - 2);
+      page.y += 12;
+    }
+
+    drawHeader();
+    if (table.rows.length === 0) {
+      doc.setFont('helvetica', 'italic');
+      doc.text('No data', PDF_MARGIN + 3, page.y);
+      page.y += PDF_ROW_HEIGHT;
+    }
+    for (const row of table.rows) {
+      if (page.y > pageHeight - PDF_MARGIN) {
+        doc.addPage();
+        page.y = PDF_MARGIN;
+        drawHeader();
+      }
+      drawRow(row, false);
+    }
+    page.y += PDF_ROW_HEIGHT;
+  }
+
+  /**
+   * Helper: Truncate text to a cell width
+   */
+  fitText(doc, text, width) {
+    if (doc.getTextWidth(text) <= width) return text;
+    let end = text.length;
+    while (end > 0 && doc.getTextWidth(`${text.slice(0, end)}...`) > width) end--;
+    return `${text.slice(0, end)}...`;
+  }
+
+  /**
+   * Export a followed TCP stream
+   * @param {Object} follow - StreamTracker.follow() result (Buffer payloads)
+   * @param {string} format - 'raw' (payload bytes) or 'txt' (printable, with direction headers)
+   * @param {string} filepath - Destination file
+   * @param {string} [direction] - 'client' or 'server' to export one side only
+   * @returns {Promise<Object>} Export result
+   */
+  async exportStream(follow, format, filepath, direction) {
+    const chunks = follow.chunks.filter(chunk => !direction || chunk.direction === direction);
+    const label = (chunk) => {
+      const side = follow[chunk.direction];
+      return `${side.address}:${side.port}`;
+    };
+
+    let encoder;
+    if (format === 'raw') {
+      encoder = { encode: (chunk) => chunk.data };
+    } else if (format === 'txt') {
+      const { stream } = follow;
+      encoder = {
+        header: `Follow TCP Stream (tcp.stream eq ${stream.index})\n` +
+          `Client: ${stream.client}  Server: ${stream.server}\n` +
+          `Client bytes: ${follow.client.bytes}  Server bytes: ${follow.server.bytes}\n\n`,
+        encode: (chunk) =>
+          `--- ${chunk.direction === 'client' ? '>>' : '<<'} ${label(chunk)} ` +
+          `[${new Date(chunk.timestamp).toISOString()}] ${chunk.data.length} bytes\n` +
+          chunk.data.toString('latin1').replace(/[^\x09\x0a\x0d\x20-\x7e]/g, '.') + '\n'
+      };
+    } else {
+      throw new Error(`Unsupported stream format: ${format}`);
+    }
+
+    return this.streamPackets(chunks, filepath, format, encoder);
+  }
+
+  /**
+   * Stream encoded packets to a file
+   * @param {Array|Object} packets - Packets, or an async iterable with a `total` count
+   * @param {string} filepath - Destination file
+   * @param {string} format - Format name used in progress events
+   * @param {Object} encoder - { header, encode(packet, index), footer }
+   * @returns {Promise<Object>} Export result
+   */
+  async streamPackets(packets, filepath, format, { header, encode, footer }) {
+    const total = Array.isArray(packets) ? packets.length : packets.total;
+    const stream = fs.createWriteStream(filepath);
+    let streamError = null;
+    let bytes = 0;
+    let count = 0;
+
+    stream.on('error', (error) => {
+      streamError = error;
+    });
+
+    const write = async (chunk) => {
+      if (streamError) throw streamError;
+      bytes += typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length;
+      if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+      }
+    };
+
+    try {
+      this.emitProgress(format, filepath, 0, total, 0);
+
+      if (header) {
+        await write(header);
+      }
+
+      for await (const packet of packets) {
+        await write(encode(packet, count));
+        count++;
+
+        if (count % this.progressInterval === 0) {
+          this.emitProgress(format, filepath, count, total, bytes);
+          // Let IPC and timers run between batches
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+
+      if (footer) {
+        await write(footer);
+      }
+
+      stream.end();
+      await finished(stream);
+    } catch (error) {
+      stream.destroy();
+      throw streamError || error;
+    }
+
+    this.emitProgress(format, filepath, count, total, bytes);
+    return { success: true, filepath, packets: count, bytes };
+  }
+
+  /**
+   * Emit a progress event
+   */
+  emitProgress(format, filepath, written, total, bytes) {
+    this.emit('progress', {
+      format,
+      filepath,
+      filename: path.basename(filepath),
+      written,
+      total,
+      bytes,
+      percent: total > 0 ? Math.round((written / total) * 100) : 100
+    });
+  }
+
+  /**
+   * Helper: Quote a CSV field when needed
+   */
+  csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
   }
 }
 
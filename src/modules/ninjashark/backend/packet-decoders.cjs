@@ -0,0 +1,130 @@
+/**
+ * NinjaShark Packet Decoders
+ * Pure JavaScript fallback for the cap library's protocol decoders
+ *
+ * Features:
+ * - Ethernet II (with 802.1Q VLAN tags), IPv4, TCP and UDP decoding
+ * - Same { info, offset } result shape and field names as cap.decoders
+ * - Lets offline capture files be decoded when the native module is missing
+ */
+
+/**
+ * Decode an Ethernet II frame header
+ */
+function Ethernet(buffer, offset = 0) {
+  if (buffer.length < offset + 14) return null;
+
+  const info = {
+    dstmac: formatMAC(buffer, offset),
+    srcmac: formatMAC(buffer, offset + 6),
+    type: buffer.readUInt16BE(offset + 12)
+  };
+  offset += 14;
+
+  // 802.1Q VLAN tag
+  if (info.type === 0x8100 && buffer.length >= offset + 4) {
+    const tci = buffer.readUInt16BE(offset);
+    info.vlan = {
+      priority: tci >> 13,
+      CFI: (tci >> 12) & 0x01,
+      VID: tci & 0x0fff
+    };
+    info.type = buffer.readUInt16BE(offset + 2);
+    offset += 4;
+  }
+
+  return { info, offset };
+}
+
+/**
+ * Decode an IPv4 header
+ */
+function IPV4(buffer, offset = 0) {
+  if (buffer.length < offset + 20) return null;
+
+  const versionIhl = buffer[offset];
+  if ((versionIhl >> 4) !== 4) return null;
+
+  const hdrlen = (versionIhl & 0x0f) * 4;
+  if (hdrlen < 20 || buffer.length < offset + hdrlen) return null;
+
+  const flagsFrag = buffer.readUInt16BE(offset + 6);
+  const info = {
+    hdrlen,
+    dscp: buffer[offset + 1] >> 2,
+    ecn: buffer[offset + 1] & 0x03,
+    totallen: buffer.readUInt16BE(offset + 2),
+    id: buffer.readUInt16BE(offset + 4),
+    flags: flagsFrag >> 13,
+    fragoffset: flagsFrag & 0x1fff,
+    ttl: buffer[offset + 8],
+    protocol: buffer[offset + 9],
+    hdrchecksum: buffer.readUInt16BE(offset + 10),
+    srcaddr: formatIPv4(buffer, offset + 12),
+    dstaddr: formatIPv4(buffer, offset + 16)
+  };
+
+  return { info, offset: offset + hdrlen };
+}
+
+/**
+ * Decode a TCP header
+ */
+function TCP(buffer, offset = 0) {
+  if (buffer.length < offset + 20) return null;
+
+  const dataOffset = (buffer[offset + 12] >> 4) * 4;
+  if (dataOffset < 20 || buffer.length < offset + dataOffset) return null;
+
+  const info = {
+    srcport: buffer.readUInt16BE(offset),
+    dstport: buffer.readUInt16BE(offset + 2),
+    seqno: buffer.readUInt32BE(offset + 4),
+    ackno: buffer.readUInt32BE(offset + 8),
+    flags: buffer.readUInt16BE(offset + 12) & 0x01ff,
+    window: buffer.readUInt16BE(offset + 14),
+    checksum: buffer.readUInt16BE(offset + 16),
+    urgentptr: buffer.readUInt16BE(offset + 18),
+    options: dataOffset > 20 ? { raw: buffer.slice(offset + 20, offset + dataOffset) } : null
+  };
+
+  return { info, offset: offset + dataOffset };
+}
+
+/**
+ * Decode a UDP header
+ */
+function UDP(buffer, offset = 0) {
+  if (buffer.length < offset + 8) return null;
+
+  const info = {
+    srcport: buffer.readUInt16BE(offset),
+    dstport: buffer.readUInt16BE(offset + 2),
+    length: buffer.readUInt16BE(offset + 4),
+    checksum: buffer.readUInt16BE(offset + 6)
+  };
+
+  return { info, offset: offset + 8 };
+}
+
+/**
+ * Helper: Format six bytes as a colon-separated MAC address
+ */
+function formatMAC(buffer, offset) {
+  const parts = [];
+  for (let i = 0; i < 6; i++) {
+    parts.push(buffer[offset + i].toString(16).padStart(2, '0'));
+  }
+  return parts.join(':');
+}
+
+/**
+ * Helper: Format four bytes as a dotted-quad IPv4 address
+ */
+function formatIPv4(buffer, offset) {
+  return `${buffer[offset]}.${buffer[offset + 1]}.${buffer[offset + 2]}.${buffer[offset + 3]}`;
+}
+
+const decoders = { Ethernet, IPV4, TCP, UDP };
+
+module.exports = { decoders };
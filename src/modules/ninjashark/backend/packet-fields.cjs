@@ -0,0 +1,600 @@
+/**
+ * NinjaShark Packet Fields
+ * Raw frame decoding and named field extraction for filtering
+ *
+ * Features:
+ * - Layer offsets for Ethernet/VLAN, Linux SLL, loopback and raw IP frames
+ * - IPv4, IPv6 (extension headers skipped), ARP, TCP, UDP, ICMP/ICMPv6
+ * - Wireshark-style field names (ip.src, tcp.port, eth.addr, ...)
+ * - Application-layer fields from the DNS/HTTP/TLS/DHCP dissectors
+ * - Fallback to packet summary strings for simulated packets
+ * - Per-packet field cache (WeakMap) so repeated filtering stays cheap
+ */
+
+const { DISSECTOR_FIELD_TYPES, dissectApplication } = require('./protocol-dissectors.cjs');
+
+// Field name -> value type
+const FIELD_TYPES = {
+  'frame.number': 'uint',
+  'frame.len': 'uint',
+  'frame.cap_len': 'uint',
+  'frame.time_epoch': 'float',
+  'frame.protocols': 'string',
+  'eth.src': 'ether',
+  'eth.dst': 'ether',
+  'eth.addr': 'ether',
+  'eth.type': 'uint',
+  'vlan.id': 'uint',
+  'ip.version': 'uint',
+  'ip.hdr_len': 'uint',
+  'ip.dsfield.dscp': 'uint',
+  'ip.len': 'uint',
+  'ip.id': 'uint',
+  'ip.flags.df': 'bool',
+  'ip.flags.mf': 'bool',
+  'ip.frag_offset': 'uint',
+  'ip.ttl': 'uint',
+  'ip.proto': 'uint',
+  'ip.src': 'ipv4',
+  'ip.dst': 'ipv4',
+  'ip.addr': 'ipv4',
+  'ipv6.plen': 'uint',
+  'ipv6.nxt': 'uint',
+  'ipv6.hlim': 'uint',
+  'ipv6.src': 'ipv6',
+  'ipv6.dst': 'ipv6',
+  'ipv6.addr': 'ipv6',
+  'arp.opcode': 'uint',
+  'arp.src.hw_mac': 'ether',
+  'arp.dst.hw_mac': 'ether',
+  'arp.src.proto_ipv4': 'ipv4',
+  'arp.dst.proto_ipv4': 'ipv4',
+  'tcp.srcport': 'uint',
+  'tcp.dstport': 'uint',
+  'tcp.port': 'uint',
+  'tcp.seq': 'uint',
+  'tcp.ack': 'uint',
+  'tcp.hdr_len': 'uint',
+  'tcp.flags': 'uint',
+  'tcp.flags.fin': 'bool',
+  'tcp.flags.syn': 'bool',
+  'tcp.flags.reset': 'bool',
+  'tcp.flags.push': 'bool',
+  'tcp.flags.ack': 'bool',
+  'tcp.flags.urg': 'bool',
+  'tcp.window_size': 'uint',
+  'tcp.stream': 'uint',
+  'tcp.len': 'uint',
+  'tcp.payload': 'bytes',
+  'udp.srcport': 'uint',
+  'udp.dstport': 'uint',
+  'udp.port': 'uint',
+  'udp.length': 'uint',
+  'udp.payload': 'bytes',
+  'icmp.type': 'uint',
+  'icmp.code': 'uint',
+  'icmpv6.type': 'uint',
+  'icmpv6.code': 'uint',
+  ...DISSECTOR_FIELD_TYPES
+};
+
+// Protocol names usable as bare filter terms; their value is the layer bytes
+const PROTOCOLS = new Set([
+  'frame', 'eth', 'vlan', 'sll', 'ip', 'ipv6', 'arp', 'tcp', 'udp', 'icmp', 'icmpv6',
+  'dns', 'http', 'tls', 'dhcp'
+]);
+
+const LINKTYPE_NULL = 0;
+const LINKTYPE_ETHERNET = 1;
+const LINKTYPE_RAW = 101;
+const LINKTYPE_LINUX_SLL = 113;
+const LINKTYPE_IPV4 = 228;
+const LINKTYPE_IPV6 = 229;
+
+const fieldCache = new WeakMap();
+
+/**
+ * Decode layer offsets and header values from a raw frame
+ * @param {Buffer} buffer - Captured bytes
+ * @param {number} linkType - LINKTYPE_* number (default Ethernet)
+ * @returns {Object} Frame view used by capture and display filters
+ */
+function decodeFrame(buffer, linkType = LINKTYPE_ETHERNET) {
+  const frame = {
+    length: buffer.length,
+    eth: null,
+    sll: null,
+    vlans: [],
+    etherType: null,
+    l3Offset: null,
+    ipv4: null,
+    ipv6: null,
+    arp: null,
+    transport: null
+  };
+
+  let offset = 0;
+
+  if (linkType === LINKTYPE_ETHERNET) {
+    if (buffer.length < 14) return frame;
+    frame.eth = {
+      offset: 0,
+      dst: formatMAC(buffer, 0),
+      src: formatMAC(buffer, 6),
+      type: buffer.readUInt16BE(12)
+    };
+    let etherType = frame.eth.type;
+    offset = 14;
+    while ((etherType === 0x8100 || etherType === 0x88a8) && buffer.length >= offset + 4) {
+      frame.vlans.push(buffer.readUInt16BE(offset) & 0x0fff);
+      etherType = buffer.readUInt16BE(offset + 2);
+      offset += 4;
+    }
+    frame.etherType = etherType;
+  } else if (linkType === LINKTYPE_LINUX_SLL) {
+    if (buffer.length < 16) return frame;
+    frame.sll = { offset: 0, packetType: buffer.readUInt16BE(0) };
+    frame.etherType = buffer.readUInt16BE(14);
+    offset = 16;
+  } else if (linkType === LINKTYPE_NULL) {
+    if (buffer.length < 4) return frame;
+    // Loopback family is in host byte order
+    const family = buffer.readUInt32LE(0) > 0xffff ? buffer.readUInt32BE(0) : buffer.readUInt32LE(0);
+    frame.etherType = family === 2 ? 0x0800 : [24, 28, 30].includes(family) ? 0x86dd : null;
+    offset = 4;
+  } else if (linkType === LINKTYPE_RAW || linkType === LINKTYPE_IPV4 || linkType === LINKTYPE_IPV6) {
+    if (buffer.length < 1) return frame;
+    const version = buffer[0] >> 4;
+    frame.etherType = version === 4 ? 0x0800 : version === 6 ? 0x86dd : null;
+  } else {
+    return frame;
+  }
+
+  frame.l3Offset = offset;
+
+  if (frame.etherType === 0x0800) {
+    decodeIPv4(buffer, offset, frame);
+  } else if (frame.etherType === 0x86dd) {
+    decodeIPv6(buffer, offset, frame);
+  } else if (frame.etherType === 0x0806 || frame.etherType === 0x8035) {
+    decodeARP(buffer, offset, frame);
+  }
+
+  return frame;
+}
+
+/**
+ * Decode an IPv4 header and its transport layer
+ */
+function decodeIPv4(buffer, offset, frame) {
+  if (buffer.length < offset + 20 || (buffer[offset] >> 4) !== 4) return;
+  const hdrLen = (buffer[offset] & 0x0f) * 4;
+  if (hdrLen < 20 || buffer.length < offset + hdrLen) return;
+
+  const flagsFrag = buffer.readUInt16BE(offset + 6);
+  frame.ipv4 = {
+    offset,
+    version: 4,
+    hdrLen,
+    dscp: buffer[offset + 1] >> 2,
+    totalLen: buffer.readUInt16BE(offset + 2),
+    id: buffer.readUInt16BE(offset + 4),
+    df: (flagsFrag >> 14) & 1,
+    mf: (flagsFrag >> 13) & 1,
+    fragOffset: flagsFrag & 0x1fff,
+    ttl: buffer[offset + 8],
+    protocol: buffer[offset + 9],
+    src: buffer.readUInt32BE(offset + 12),
+    dst: buffer.readUInt32BE(offset + 16)
+  };
+
+  // Only the first fragment carries the transport header
+  if (frame.ipv4.fragOffset === 0) {
+    const end = Math.min(buffer.length, offset + Math.max(frame.ipv4.totalLen, hdrLen));
+    decodeTransport(buffer, offset + hdrLen, end, frame.ipv4.protocol, frame);
+  }
+}
+
+/**
+ * Decode an IPv6 header, skipping extension headers
+ */
+function decodeIPv6(buffer, offset, frame) {
+  if (buffer.length < offset + 40 || (buffer[offset] >> 4) !== 6) return;
+
+  frame.ipv6 = {
+    offset,
+    plen: buffer.readUInt16BE(offset + 4),
+    nxt: buffer[offset + 6],
+    hlim: buffer[offset + 7],
+    src: formatIPv6(buffer, offset + 8),
+    dst: formatIPv6(buffer, offset + 24)
+  };
+
+  let next = frame.ipv6.nxt;
+  let cursor = offset + 40;
+  let fragmented = false;
+  while ([0, 43, 44, 60].includes(next) && buffer.length >= cursor + 8) {
+    if (next === 44) {
+      fragmented = (buffer.readUInt16BE(cursor + 2) & 0xfff8) !== 0;
+      next = buffer[cursor];
+      cursor += 8;
+    } else {
+      const extLen = (buffer[cursor + 1] + 1) * 8;
+      next = buffer[cursor];
+      cursor += extLen;
+    }
+  }
+  frame.ipv6.protocol = next;
+
+  if (!fragmented) {
+    const end = Math.min(buffer.length, offset + 40 + frame.ipv6.plen);
+    decodeTransport(buffer, cursor, end, next, frame);
+  }
+}
+
+/**
+ * Decode an Ethernet/IPv4 ARP or RARP packet
+ */
+function decodeARP(buffer, offset, frame) {
+  if (buffer.length < offset + 28) return;
+  if (buffer.readUInt16BE(offset + 2) !== 0x0800 || buffer[offset + 4] !== 6 || buffer[offset + 5] !== 4) return;
+
+  frame.arp = {
+    offset,
+    opcode: buffer.readUInt16BE(offset + 6),
+    sha: formatMAC(buffer, offset + 8),
+    spa: buffer.readUInt32BE(offset + 14),
+    tha: formatMAC(buffer, offset + 18),
+    tpa: buffer.readUInt32BE(offset + 24)
+  };
+}
+
+/**
+ * Decode TCP, UDP or ICMP at the given offset
+ */
+function decodeTransport(buffer, offset, end, protocol, frame) {
+  if (protocol === 6 && end >= offset + 20) {
+    const hdrLen = (buffer[offset + 12] >> 4) * 4;
+    if (hdrLen < 20 || end < offset + hdrLen) return;
+    frame.transport = {
+      name: 'tcp',
+      offset,
+      srcPort: buffer.readUInt16BE(offset),
+      dstPort: buffer.readUInt16BE(offset + 2),
+      seq: buffer.readUInt32BE(offset + 4),
+      ack: buffer.readUInt32BE(offset + 8),
+      hdrLen,
+      flags: buffer.readUInt16BE(offset + 12) & 0x01ff,
+      window: buffer.readUInt16BE(offset + 14),
+      payloadOffset: offset + hdrLen,
+      payloadEnd: end
+    };
+  } else if (protocol === 17 && end >= offset + 8) {
+    frame.transport = {
+      name: 'udp',
+      offset,
+      srcPort: buffer.readUInt16BE(offset),
+      dstPort: buffer.readUInt16BE(offset + 2),
+      length: buffer.readUInt16BE(offset + 4),
+      payloadOffset: offset + 8,
+      payloadEnd: end
+    };
+  } else if ((protocol === 1 || protocol === 58) && end >= offset + 4) {
+    frame.transport = {
+      name: protocol === 1 ? 'icmp' : 'icmpv6',
+      offset,
+      type: buffer[offset],
+      code: buffer[offset + 1],
+      payloadOffset: offset + 4,
+      payloadEnd: end
+    };
+  }
+}
+
+/**
+ * Extract named field values from a packet
+ * @param {Object} packet - Packet as produced by CaptureEngine
+ * @returns {Map<string, Array>} Field name -> values (multi-valued like Wireshark)
+ */
+function extractFields(packet) {
+  const cached = fieldCache.get(packet);
+  if (cached) return cached;
+
+  const fields = new Map();
+  const add = (name, value) => {
+    if (value === undefined || value === null) return;
+    if (!fields.has(name)) fields.set(name, []);
+    fields.get(name).push(value);
+  };
+
+  const buffer = packet.hex ? Buffer.from(packet.hex) : Buffer.alloc(0);
+  const frame = decodeFrame(buffer, packet.linkType ?? LINKTYPE_ETHERNET);
+  const protocols = ['frame'];
+
+  add('frame', buffer);
+  add('frame.number', packet.id);
+  add('frame.len', packet.length ?? buffer.length);
+  add('frame.cap_len', buffer.length);
+  if (packet.timestamp) add('frame.time_epoch', packet.timestamp / 1000);
+
+  if (frame.eth) {
+    protocols.push('eth');
+    add('eth', buffer);
+    add('eth.src', frame.eth.src);
+    add('eth.dst', frame.eth.dst);
+    add('eth.addr', frame.eth.src);
+    add('eth.addr', frame.eth.dst);
+    add('eth.type', frame.etherType);
+  }
+  if (frame.sll) {
+    protocols.push('sll');
+    add('sll', buffer);
+  }
+  for (const vlanId of frame.vlans) {
+    if (!fields.has('vlan')) protocols.push('vlan');
+    add('vlan', buffer.subarray(14));
+    add('vlan.id', vlanId);
+  }
+
+  if (frame.ipv4) {
+    const ip = frame.ipv4;
+    protocols.push('ip');
+    add('ip', buffer.subarray(ip.offset));
+    add('ip.version', 4);
+    add('ip.hdr_len', ip.hdrLen);
+    add('ip.dsfield.dscp', ip.dscp);
+    add('ip.len', ip.totalLen);
+    add('ip.id', ip.id);
+    add('ip.flags.df', ip.df);
+    add('ip.flags.mf', ip.mf);
+    add('ip.frag_offset', ip.fragOffset * 8);
+    add('ip.ttl', ip.ttl);
+    add('ip.proto', ip.protocol);
+    add('ip.src', ip.src);
+    add('ip.dst', ip.dst);
+    add('ip.addr', ip.src);
+    add('ip.addr', ip.dst);
+  }
+
+  if (frame.ipv6) {
+    const ip6 = frame.ipv6;
+    protocols.push('ipv6');
+    add('ipv6', buffer.subarray(ip6.offset));
+    add('ipv6.plen', ip6.plen);
+    add('ipv6.nxt', ip6.nxt);
+    add('ipv6.hlim', ip6.hlim);
+    add('ipv6.src', ip6.src);
+    add('ipv6.dst', ip6.dst);
+    add('ipv6.addr', ip6.src);
+    add('ipv6.addr', ip6.dst);
+  }
+
+  if (frame.arp) {
+    const arp = frame.arp;
+    protocols.push('arp');
+    add('arp', buffer.subarray(arp.offset));
+    add('arp.opcode', arp.opcode);
+    add('arp.src.hw_mac', arp.sha);
+    add('arp.dst.hw_mac', arp.tha);
+    add('arp.src.proto_ipv4', arp.spa);
+    add('arp.dst.proto_ipv4', arp.tpa);
+  }
+
+  const transport = frame.transport;
+  if (transport) {
+    const name = transport.name;
+    const payload = buffer.subarray(transport.payloadOffset, transport.payloadEnd);
+    protocols.push(name);
+    add(name, buffer.subarray(transport.offset, transport.payloadEnd));
+
+    if (name === 'tcp') {
+      add('tcp.srcport', transport.srcPort);
+      add('tcp.dstport', transport.dstPort);
+      add('tcp.port', transport.srcPort);
+      add('tcp.port', transport.dstPort);
+      add('tcp.seq', transport.seq);
+      add('tcp.ack', transport.ack);
+      add('tcp.hdr_len', transport.hdrLen);
+      add('tcp.flags', transport.flags);
+      add('tcp.flags.fin', transport.flags & 0x01 ? 1 : 0);
+      add('tcp.flags.syn', transport.flags & 0x02 ? 1 : 0);
+      add('tcp.flags.reset', transport.flags & 0x04 ? 1 : 0);
+      add('tcp.flags.push', transport.flags & 0x08 ? 1 : 0);
+      add('tcp.flags.ack', transport.flags & 0x10 ? 1 : 0);
+      add('tcp.flags.urg', transport.flags & 0x20 ? 1 : 0);
+      add('tcp.window_size', transport.window);
+      add('tcp.stream', packet.tcpStream);
+      add('tcp.len', payload.length);
+      if (payload.length > 0) add('tcp.payload', payload);
+    } else if (name === 'udp') {
+      add('udp.srcport', transport.srcPort);
+      add('udp.dstport', transport.dstPort);
+      add('udp.port', transport.srcPort);
+      add('udp.port', transport.dstPort);
+      add('udp.length', transport.length);
+      if (payload.length > 0) add('udp.payload', payload);
+    } else {
+      add(`${name}.type`, transport.type);
+      add(`${name}.code`, transport.code);
+    }
+
+    const app = dissectApplication(transport, payload);
+    if (app) {
+      protocols.push(app.name);
+      add(app.name, payload);
+      for (const [field, value] of app.fields) {
+        add(field, value);
+      }
+    }
+  }
+
+  if (!frame.ipv4 && !frame.ipv6 && !frame.arp) {
+    addSummaryFields(packet, add, protocols);
+  }
+
+  addLabelProtocol(packet, fields, add, protocols);
+  add('frame.protocols', protocols.join(':'));
+
+  fieldCache.set(packet, fields);
+  return fields;
+}
+
+/**
+ * Fallback: derive addressing fields from "ip:port" summary strings
+ * (simulated packets carry no real bytes)
+ */
+function addSummaryFields(packet, add, protocols) {
+  const src = splitEndpoint(packet.source);
+  const dst = splitEndpoint(packet.destination);
+  if (src.ip === null || dst.ip === null) return;
+
+  protocols.push('ip');
+  add('ip', Buffer.alloc(0));
+  add('ip.src', src.ip);
+  add('ip.dst', dst.ip);
+  add('ip.addr', src.ip);
+  add('ip.addr', dst.ip);
+
+  const label = (packet.protocol || '').toUpperCase();
+  const transport = ['UDP', 'DNS', 'DHCP'].includes(label) ? 'udp'
+    : ['TCP', 'HTTP', 'HTTPS', 'TLS'].includes(label) ? 'tcp'
+      : null;
+
+  if (transport && src.port !== null && dst.port !== null) {
+    protocols.push(transport);
+    add(transport, Buffer.alloc(0));
+    add(`${transport}.srcport`, src.port);
+    add(`${transport}.dstport`, dst.port);
+    add(`${transport}.port`, src.port);
+    add(`${transport}.port`, dst.port);
+  }
+}
+
+/**
+ * Mark application protocols named by the packet's protocol label
+ */
+function addLabelProtocol(packet, fields, add, protocols) {
+  const labels = { DNS: 'dns', HTTP: 'http', HTTPS: 'tls', TLS: 'tls', DHCP: 'dhcp', ICMP: 'icmp', ARP: 'arp' };
+  const name = labels[(packet.protocol || '').toUpperCase()];
+  if (name && !fields.has(name)) {
+    protocols.push(name);
+    add(name, Buffer.alloc(0));
+  }
+}
+
+/**
+ * Helper: Split "a.b.c.d:port" into numeric IPv4 and port
+ */
+function splitEndpoint(value) {
+  if (!value) return { ip: null, port: null };
+  const [address, port] = String(value).split(':');
+  return {
+    ip: parseIPv4(address),
+    port: port !== undefined && /^\d+$/.test(port) ? parseInt(port, 10) : null
+  };
+}
+
+/**
+ * Helper: Parse dotted-quad IPv4 to an unsigned 32-bit integer
+ * @returns {number|null}
+ */
+function parseIPv4(text) {
+  const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(text || '');
+  if (!match) return null;
+  const octets = match.slice(1).map(Number);
+  if (octets.some(o => o > 255)) return null;
+  return ((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>> 0;
+}
+
+/**
+ * Helper: Format an unsigned 32-bit integer as dotted-quad
+ */
+function formatIPv4(value) {
+  return [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff].join('.');
+}
+
+/**
+ * Helper: Normalize an IPv6 address to its full lower-case form
+ * @returns {string|null}
+ */
+function normalizeIPv6(text) {
+  if (!text || !/^[0-9a-f:.]+$/i.test(text) || !text.includes(':')) return null;
+
+  let head = text;
+  let tail = '';
+  const doubleColon = text.indexOf('::');
+  if (doubleColon !== -1) {
+    if (text.indexOf('::', doubleColon + 1) !== -1) return null;
+    head = text.slice(0, doubleColon);
+    tail = text.slice(doubleColon + 2);
+  }
+
+  const toGroups = (part) => {
+    if (!part) return [];
+    const groups = [];
+    for (const piece of part.split(':')) {
+      if (piece.includes('.')) {
+        const v4 = parseIPv4(piece);
+        if (v4 === null) return null;
+        groups.push((v4 >>> 16).toString(16), (v4 & 0xffff).toString(16));
+      } else {
+        if (!/^[0-9a-f]{1,4}$/i.test(piece)) return null;
+        groups.push(piece);
+      }
+    }
+    return groups;
+  };
+
+  const headGroups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  if (!headGroups || !tailGroups) return null;
+
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (doubleColon === -1 ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...headGroups, ...new Array(doubleColon === -1 ? 0 : missing).fill('0'), ...tailGroups];
+  return groups.map(g => g.toLowerCase().padStart(4, '0')).join(':');
+}
+
+/**
+ * Helper: Normalize a MAC address (":", "-" or "." separated)
+ * @returns {string|null}
+ */
+function normalizeMAC(text) {
+  const hex = (text || '').replace(/[:.\-]/g, '');
+  if (!/^[0-9a-f]{12}$/i.test(hex)) return null;
+  return hex.toLowerCase().match(/../g).join(':');
+}
+
+/**
+ * Helper: Format six bytes as a lower-case MAC address
+ */
+function formatMAC(buffer, offset) {
+  const parts = [];
+  for (let i = 0; i < 6; i++) {
+    parts.push(buffer[offset + i].toString(16).padStart(2, '0'));
+  }
+  return parts.join(':');
+}
+
+/**
+ * Helper: Format sixteen bytes as a full-form IPv6 address
+ */
+function formatIPv6(buffer, offset) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(buffer.readUInt16BE(offset + i).toString(16).padStart(4, '0'));
+  }
+  return groups.join(':');
+}
+
+module.exports = {
+  FIELD_TYPES,
+  PROTOCOLS,
+  decodeFrame,
+  extractFields,
+  parseIPv4,
+  formatIPv4,
+  normalizeIPv6,
+  normalizeMAC
+};
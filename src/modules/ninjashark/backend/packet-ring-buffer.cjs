@@ -0,0 +1,392 @@
+/**
+ * NinjaShark Packet Ring Buffer
+ * Bounded per-session packet history with optional spill to disk
+ *
+ * Features:
+ * - Fixed-capacity in-memory ring (packet count and byte budget)
+ * - Oldest packets are dropped, or appended to an NDJSON spill file and
+ *   indexed by offset/timestamp so they stay queryable
+ * - Paged queries by packet ID range, time window and display filter
+ * - Incremental display-filter match cache for virtualized packet tables
+ *
+ * Packet IDs are assigned sequentially by CaptureEngine (1, 2, 3, ...),
+ * so an ID maps directly to a ring slot or a spill index entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compileDisplayFilter } = require('./display-filter.cjs');
+
+const SPILL_READ_CHUNK = 1000; // packets per spill file read
+const FILTER_SCAN_CHUNK = 2000; // packets per filter scan step
+const MAX_FILTER_CACHE = 8;
+
+class PacketRingBuffer {
+  /**
+   * @param {Object} options
+   * @param {number} [options.capacity=100000] - Max packets kept in memory
+   * @param {number} [options.maxBytes=268435456] - Max captured bytes kept in memory
+   * @param {string} [options.spillPath] - NDJSON file for evicted packets (disabled if omitted)
+   */
+  constructor(options = {}) {
+    this.capacity = options.capacity || 100000;
+    this.maxBytes = options.maxBytes || 256 * 1024 * 1024;
+    this.spillPath = options.spillPath || null;
+
+    // In-memory ring
+    this.slots = new Array(this.capacity);
+    this.head = 0; // slot of the oldest in-memory packet
+    this.count = 0;
+    this.bytes = 0;
+    this.firstMemoryId = 1;
+    this.lastId = 0;
+
+    // Dropped (not spilled) packets
+    this.droppedCount = 0;
+
+    // Spill file and index (id - 1 -> entry)
+    this.spillFd = null;
+    this.spillSize = 0;
+    this.spilledCount = 0;
+    this.spillOffsets = new Float64Array(0);
+    this.spillLengths = new Uint32Array(0);
+    this.spillTimes = new Float64Array(0);
+
+    this.filterCache = new Map(); // expression -> { compiled, ids, scannedThrough }
+  }
+
+  /**
+   * First packet ID still available (in memory or spilled)
+   */
+  get firstId() {
+    return this.spilledCount > 0 ? 1 : this.firstMemoryId;
+  }
+
+  /**
+   * Number of packets available for queries
+   */
+  get size() {
+    return this.lastId >= this.firstId ? this.lastId - this.firstId + 1 : 0;
+  }
+
+  /**
+   * Append a packet, evicting the oldest ones when over budget
+   */
+  push(packet) {
+    if (this.count === 0) {
+      this.firstMemoryId = packet.id;
+    }
+
+    const packetBytes = this.packetSize(packet);
+    while (this.count > 0 && (this.count >= this.capacity || this.bytes + packetBytes > this.maxBytes)) {
+      this.evictOldest();
+    }
+
+    const slot = (this.head + this.count) % this.capacity;
+    this.slots[slot] = packet;
+    this.count++;
+    this.bytes += packetBytes;
+    this.lastId = packet.id;
+  }
+
+  /**
+   * Remove the oldest in-memory packet, spilling it if enabled
+   */
+  evictOldest() {
+    const packet = this.slots[this.head];
+    this.slots[this.head] = undefined;
+    this.head = (this.head + 1) % this.capacity;
+    this.count--;
+    this.bytes -= this.packetSize(packet);
+    this.firstMemoryId++;
+
+    if (this.spillPath) {
+      this.spill(packet);
+    } else {
+      this.droppedCount++;
+    }
+  }
+
+  /**
+   * Append a packet to the spill file and index it
+   */
+  spill(packet) {
+    if (this.spillFd === null) {
+      fs.mkdirSync(path.dirname(this.spillPath), { recursive: true });
+      this.spillFd = fs.openSync(this.spillPath, 'w+');
+    }
+
+    const record = { ...packet, hex: packet.hex ? Buffer.from(packet.hex).toString('base64') : null };
+    const line = Buffer.from(JSON.stringify(record) + '\n', 'utf8');
+    fs.writeSync(this.spillFd, line, 0, line.length, this.spillSize);
+
+    const index = this.spilledCount;
+    if (index >= this.spillOffsets.length) {
+      this.growSpillIndex();
+    }
+    this.spillOffsets[index] = this.spillSize;
+    this.spillLengths[index] = line.length;
+    this.spillTimes[index] = packet.timestamp;
+
+    this.spillSize += line.length;
+    this.spilledCount++;
+  }
+
+  growSpillIndex() {
+    const size = Math.max(1024, this.spillOffsets.length * 2);
+    const grow = (Type, source) => {
+      const target = new Type(size);
+      target.set(source);
+      return target;
+    };
+    this.spillOffsets = grow(Float64Array, this.spillOffsets);
+    this.spillLengths = grow(Uint32Array, this.spillLengths);
+    this.spillTimes = grow(Float64Array, this.spillTimes);
+  }
+
+  /**
+   * Get a packet held in memory (null if spilled, dropped or unknown)
+   */
+  getFromMemory(id) {
+    if (id < this.firstMemoryId || id > this.lastId) return null;
+    return this.slots[(this.head + (id - this.firstMemoryId)) % this.capacity] || null;
+  }
+
+  /**
+   * Read a contiguous ID range from memory and the spill file
+   * @returns {Promise<Array>} Packets in ID order
+   */
+  async readRange(firstId, lastId) {
+    const from = Math.max(firstId, this.firstId);
+    const to = Math.min(lastId, this.lastId);
+    const packets = [];
+    if (from > to) return packets;
+
+    // Spilled part
+    const spillTo = Math.min(to, this.spilledCount);
+    for (let chunkStart = from; chunkStart <= spillTo; chunkStart += SPILL_READ_CHUNK) {
+      const chunkEnd = Math.min(spillTo, chunkStart + SPILL_READ_CHUNK - 1);
+      packets.push(...await this.readSpilled(chunkStart, chunkEnd));
+    }
+
+    // In-memory part
+    for (let id = Math.max(from, this.firstMemoryId); id <= to; id++) {
+      const packet = this.getFromMemory(id);
+      if (packet) packets.push(packet);
+    }
+
+    return packets;
+  }
+
+  /**
+   * Read spilled packets firstId..lastId with one positioned read
+   */
+  async readSpilled(firstId, lastId) {
+    const start = this.spillOffsets[firstId - 1];
+    const end = this.spillOffsets[lastId - 1] + this.spillLengths[lastId - 1];
+    const buffer = Buffer.alloc(end - start);
+
+    await new Promise((resolve, reject) => {
+      fs.read(this.spillFd, buffer, 0, buffer.length, start, (error) => (error ? reject(error) : resolve()));
+    });
+
+    return buffer.toString('utf8').split('\n').filter(Boolean).map(line => {
+      const record = JSON.parse(line);
+      record.hex = record.hex ? Buffer.from(record.hex, 'base64') : Buffer.alloc(0);
+      return record;
+    });
+  }
+
+  /**
+   * Paged query over the buffered packets
+   * @param {Object} query
+   * @param {number} [query.startId] - First packet ID (inclusive)
+   * @param {number} [query.endId] - Last packet ID (inclusive)
+   * @param {number} [query.from] - Start of time window (ms, inclusive)
+   * @param {number} [query.to] - End of time window (ms, inclusive)
+   * @param {string} [query.filter] - Display filter expression
+   * @param {number} [query.offset=0] - Index of the first result to return
+   * @param {number} [query.limit=500] - Max results to return
+   * @returns {Promise<Object>} { packets, total, offset, limit, firstId, lastId }
+   */
+  async query(query = {}) {
+    const offset = Math.max(0, query.offset || 0);
+    const limit = Math.max(0, Math.min(query.limit ?? 500, 10000));
+
+    let lo = Math.max(this.firstId, query.startId || this.firstId);
+    let hi = Math.min(this.lastId, query.endId || this.lastId);
+
+    if (query.from !== undefined && query.from !== null) {
+      lo = Math.max(lo, this.lowerBoundTime(query.from));
+    }
+    if (query.to !== undefined && query.to !== null) {
+      hi = Math.min(hi, this.upperBoundTime(query.to));
+    }
+
+    const result = { packets: [], total: 0, offset, limit, firstId: this.firstId, lastId: this.lastId };
+    if (lo > hi) return result;
+
+    if (!query.filter || !query.filter.trim()) {
+      result.total = hi - lo + 1;
+      const pageStart = lo + offset;
+      result.packets = await this.readRange(pageStart, Math.min(hi, pageStart + limit - 1));
+      return result;
+    }
+
+    const ids = await this.matchingIds(query.filter);
+    const first = this.lowerBound(ids, lo);
+    const last = this.lowerBound(ids, hi + 1); // exclusive
+    result.total = last - first;
+
+    result.packets = await this.getByIds(ids.slice(first + offset, Math.min(last, first + offset + limit)));
+    return result;
+  }
+
+  /**
+   * Get packets by ID, skipping IDs that are no longer available
+   * @param {Array<number>} ids - Packet IDs
+   * @returns {Promise<Array>} Packets in the order of ids
+   */
+  async getByIds(ids) {
+    const packets = [];
+    for (const id of ids) {
+      const packet = this.getFromMemory(id) || (await this.readRange(id, id))[0];
+      if (packet) packets.push(packet);
+    }
+    return packets;
+  }
+
+  /**
+   * Sorted IDs of packets matching a display filter, scanned incrementally
+   */
+  async matchingIds(expression) {
+    let entry = this.filterCache.get(expression);
+    if (entry) {
+      this.filterCache.delete(expression); // refresh LRU position
+    } else {
+      entry = { compiled: compileDisplayFilter(expression), ids: [], scannedThrough: 0 };
+    }
+    this.filterCache.set(expression, entry);
+    if (this.filterCache.size > MAX_FILTER_CACHE) {
+      this.filterCache.delete(this.filterCache.keys().next().value);
+    }
+
+    // Forget matches that have been dropped from the buffer
+    if (entry.ids.length > 0 && entry.ids[0] < this.firstId) {
+      entry.ids = entry.ids.slice(this.lowerBound(entry.ids, this.firstId));
+    }
+
+    let next = Math.max(entry.scannedThrough + 1, this.firstId);
+    while (next <= this.lastId) {
+      const chunkEnd = Math.min(this.lastId, next + FILTER_SCAN_CHUNK - 1);
+      const packets = await this.readRange(next, chunkEnd);
+      for (const packet of packets) {
+        if (entry.compiled.match(packet)) entry.ids.push(packet.id);
+      }
+      entry.scannedThrough = chunkEnd;
+      next = chunkEnd + 1;
+    }
+
+    return entry.ids;
+  }
+
+  /**
+   * Capture timestamp of a packet ID (null if unavailable)
+   */
+  timestampOf(id) {
+    const packet = this.getFromMemory(id);
+    if (packet) return packet.timestamp;
+    if (id >= 1 && id <= this.spilledCount) return this.spillTimes[id - 1];
+    return null;
+  }
+
+  /**
+   * First ID with timestamp >= time
+   */
+  lowerBoundTime(time) {
+    let lo = this.firstId;
+    let hi = this.lastId + 1;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (this.timestampOf(mid) < time) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Last ID with timestamp <= time
+   */
+  upperBoundTime(time) {
+    let lo = this.firstId;
+    let hi = this.lastId + 1;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (this.timestampOf(mid) <= time) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo - 1;
+  }
+
+  /**
+   * Helper: Index of the first element >= value in a sorted array
+   */
+  lowerBound(values, value) {
+    let lo = 0;
+    let hi = values.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (values[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Helper: Approximate memory cost of a packet
+   */
+  packetSize(packet) {
+    return (packet.hex ? packet.hex.length : 0) + 256;
+  }
+
+  /**
+   * Buffer statistics
+   */
+  stats() {
+    return {
+      capacity: this.capacity,
+      maxBytes: this.maxBytes,
+      inMemory: this.count,
+      bytesInMemory: this.bytes,
+      spilled: this.spilledCount,
+      spillBytes: this.spillSize,
+      dropped: this.droppedCount,
+      available: this.size,
+      firstId: this.firstId,
+      lastId: this.lastId,
+      spillPath: this.spillPath
+    };
+  }
+
+  /**
+   * Release memory and delete the spill file
+   */
+  destroy() {
+    this.slots = new Array(this.capacity);
+    this.count = 0;
+    this.bytes = 0;
+    this.filterCache.clear();
+
+    if (this.spillFd !== null) {
+      try {
+        fs.closeSync(this.spillFd);
+        fs.unlinkSync(this.spillPath);
+      } catch (error) {
+        console.warn('Failed to remove spill file:', error.message);
+      }
+      this.spillFd = null;
+    }
+  }
+}
+
+module.exports = { PacketRingBuffer };
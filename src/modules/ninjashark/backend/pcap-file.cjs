@@ -0,0 +1,477 @@
+/**
+ * NinjaShark Capture File Support
+ * Binary PCAPNG writer and PCAPNG / classic PCAP reader
+ *
+ * Features:
+ * - PCAPNG Section Header, Interface Description and Enhanced Packet blocks
+ * - Microsecond timestamps taken from the captured packet objects
+ * - Reader for PCAPNG (either byte order, multiple sections, EPB/SPB/legacy PB)
+ * - Reader for classic libpcap files (microsecond and nanosecond variants)
+ * - Truncated trailing records are reported instead of failing the whole file
+ *
+ * Format references:
+ * - PCAPNG: IETF draft-ietf-opsawg-pcapng
+ * - PCAP: IETF draft-ietf-opsawg-pcap
+ */
+
+const fs = require('fs');
+
+// Block types
+const BLOCK_SECTION_HEADER = 0x0a0d0d0a;
+const BLOCK_INTERFACE_DESCRIPTION = 0x00000001;
+const BLOCK_PACKET = 0x00000002; // Obsolete, still found in old files
+const BLOCK_SIMPLE_PACKET = 0x00000003;
+const BLOCK_ENHANCED_PACKET = 0x00000006;
+
+const BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+
+// Option codes
+const OPT_ENDOFOPT = 0;
+const SHB_OS = 3;
+const SHB_USERAPPL = 4;
+const IF_NAME = 2;
+const IF_DESCRIPTION = 3;
+const IF_TSRESOL = 9;
+const IF_TSOFFSET = 14;
+
+// Classic PCAP magic numbers (as read little-endian)
+const PCAP_MAGIC_MICRO = 0xa1b2c3d4;
+const PCAP_MAGIC_NANO = 0xa1b23c4d;
+
+const LINKTYPE = {
+  NULL: 0,
+  ETHERNET: 1,
+  RAW: 101,
+  IEEE802_11: 105,
+  LINUX_SLL: 113
+};
+
+const DEFAULT_SNAPLEN = 262144;
+
+/**
+ * Streaming-friendly PCAPNG encoder
+ *
+ * Produces one Buffer per call so callers can write blocks as they go.
+ * Interface Description Blocks are emitted lazily the first time a
+ * link type / interface name pair is seen.
+ */
+class PcapngWriter {
+  constructor(options = {}) {
+    this.options = {
+      application: options.application || 'NinjaShark (Ninja Toolkit v11)',
+      os: options.os || `${process.platform} ${process.arch}`,
+      snaplen: options.snaplen || DEFAULT_SNAPLEN
+    };
+    this.interfaces = new Map(); // "linkType|name" -> interface id
+  }
+
+  /**
+   * Encode the Section Header Block that starts the file
+   */
+  sectionHeader() {
+    const options = this.encodeOptions([
+      [SHB_OS, this.options.os],
+      [SHB_USERAPPL, this.options.application]
+    ]);
+
+    const body = Buffer.alloc(16);
+    body.writeUInt32LE(BYTE_ORDER_MAGIC, 0);
+    body.writeUInt16LE(1, 4); // major version
+    body.writeUInt16LE(0, 6); // minor version
+    // Section length unknown (-1)
+    body.writeInt32LE(-1, 8);
+    body.writeInt32LE(-1, 12);
+
+    return this.encodeBlock(BLOCK_SECTION_HEADER, Buffer.concat([body, options]));
+  }
+
+  /**
+   * Encode an Interface Description Block
+   */
+  interfaceDescription(linkType, name) {
+    const options = this.encodeOptions([
+      [IF_NAME, name],
+      [IF_TSRESOL, Buffer.from([6])] // microseconds
+    ]);
+
+    const body = Buffer.alloc(8);
+    body.writeUInt16LE(linkType, 0);
+    body.writeUInt16LE(0, 2); // reserved
+    body.writeUInt32LE(this.options.snaplen, 4);
+
+    return this.encodeBlock(BLOCK_INTERFACE_DESCRIPTION, Buffer.concat([body, options]));
+  }
+
+  /**
+   * Encode an Enhanced Packet Block
+   * @param {number} interfaceId - Index of a previously written IDB
+   * @param {number} timestamp - Capture time in (possibly fractional) milliseconds
+   * @param {Buffer} data - Captured bytes
+   * @param {number} originalLength - Length of the packet on the wire
+   */
+  enhancedPacket(interfaceId, timestamp, data, originalLength) {
+    const micros = BigInt(Math.round(timestamp * 1000));
+    const padded = this.pad(data);
+
+    const header = Buffer.alloc(20);
+    header.writeUInt32LE(interfaceId, 0);
+    header.writeUInt32LE(Number(micros >> 32n), 4);
+    header.writeUInt32LE(Number(micros & 0xffffffffn), 8);
+    header.writeUInt32LE(data.length, 12);
+    header.writeUInt32LE(Math.max(originalLength, data.length), 16);
+
+    return this.encodeBlock(BLOCK_ENHANCED_PACKET, Buffer.concat([header, padded]));
+  }
+
+  /**
+   * Encode a captured packet object, prefixed by its IDB if this is the
+   * first packet seen on that interface
+   * @param {Object} packet - Packet as produced by CaptureEngine.parsePacket
+   * @returns {Buffer}
+   */
+  encodePacket(packet) {
+    const linkType = packet.linkType ?? LINKTYPE.ETHERNET;
+    const name = packet.interface || '';
+    const key = `${linkType}|${name}`;
+    const blocks = [];
+
+    let interfaceId = this.interfaces.get(key);
+    if (interfaceId === undefined) {
+      interfaceId = this.interfaces.size;
+      this.interfaces.set(key, interfaceId);
+      blocks.push(this.interfaceDescription(linkType, name));
+    }
+
+    const data = packet.hex ? Buffer.from(packet.hex) : Buffer.alloc(0);
+    blocks.push(this.enhancedPacket(interfaceId, packet.timestamp || Date.now(), data, packet.length || data.length));
+
+    return blocks.length === 1 ? blocks[0] : Buffer.concat(blocks);
+  }
+
+  /**
+   * Encode a complete capture into a single buffer
+   */
+  encode(packets) {
+    const blocks = [this.sectionHeader()];
+    for (const packet of packets) {
+      blocks.push(this.encodePacket(packet));
+    }
+    return Buffer.concat(blocks);
+  }
+
+  /**
+   * Helper: Wrap a block body with type and both total-length fields
+   */
+  encodeBlock(type, body) {
+    const totalLength = body.length + 12;
+    const block = Buffer.alloc(totalLength);
+    block.writeUInt32LE(type, 0);
+    block.writeUInt32LE(totalLength, 4);
+    body.copy(block, 8);
+    block.writeUInt32LE(totalLength, totalLength - 4);
+    return block;
+  }
+
+  /**
+   * Helper: Encode an option list, skipping empty values
+   */
+  encodeOptions(entries) {
+    const parts = [];
+    for (const [code, value] of entries) {
+      if (value === undefined || value === null || value === '') continue;
+      const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+      const header = Buffer.alloc(4);
+      header.writeUInt16LE(code, 0);
+      header.writeUInt16LE(data.length, 2);
+      parts.push(header, this.pad(data));
+    }
+
+    if (parts.length === 0) {
+      return Buffer.alloc(0);
+    }
+
+    parts.push(Buffer.alloc(4)); // opt_endofopt
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Helper: Pad a buffer to a 32-bit boundary
+   */
+  pad(data) {
+    const remainder = data.length % 4;
+    return remainder === 0 ? data : Buffer.concat([data, Buffer.alloc(4 - remainder)]);
+  }
+}
+
+/**
+ * Reader for PCAPNG and classic PCAP capture files
+ */
+class CaptureFileReader {
+  /**
+   * Read and parse a capture file from disk
+   * @param {string} filepath - Path to a .pcapng, .pcap or .cap file
+   * @returns {Promise<Object>} { format, interfaces, records, truncated }
+   */
+  async read(filepath) {
+    const buffer = await fs.promises.readFile(filepath);
+    return this.parse(buffer);
+  }
+
+  /**
+   * Parse a capture file held in memory
+   */
+  parse(buffer) {
+    if (buffer.length < 4) {
+      throw new Error('File is too small to be a capture file');
+    }
+
+    const magic = buffer.readUInt32LE(0);
+
+    if (magic === BLOCK_SECTION_HEADER) {
+      return this.parsePcapng(buffer);
+    }
+
+    if (magic === PCAP_MAGIC_MICRO || magic === PCAP_MAGIC_NANO ||
+        buffer.readUInt32BE(0) === PCAP_MAGIC_MICRO || buffer.readUInt32BE(0) === PCAP_MAGIC_NANO) {
+      return this.parsePcap(buffer);
+    }
+
+    throw new Error('Unrecognized capture file format (expected PCAPNG or PCAP)');
+  }
+
+  /**
+   * Parse a PCAPNG file
+   */
+  parsePcapng(buffer) {
+    const interfaces = [];
+    const records = [];
+    let sectionInterfaces = [];
+    let littleEndian = true;
+    let truncated = false;
+    let offset = 0;
+
+    const u16 = (pos) => (littleEndian ? buffer.readUInt16LE(pos) : buffer.readUInt16BE(pos));
+    const u32 = (pos) => (littleEndian ? buffer.readUInt32LE(pos) : buffer.readUInt32BE(pos));
+
+    while (offset + 12 <= buffer.length) {
+      const rawType = buffer.readUInt32LE(offset);
+
+      // The byte order of each section is declared in its header
+      if (rawType === BLOCK_SECTION_HEADER) {
+        const byteOrder = buffer.readUInt32LE(offset + 8);
+        if (byteOrder === BYTE_ORDER_MAGIC) {
+          littleEndian = true;
+        } else if (buffer.readUInt32BE(offset + 8) === BYTE_ORDER_MAGIC) {
+          littleEndian = false;
+        } else {
+          throw new Error(`Invalid PCAPNG byte-order magic at offset ${offset}`);
+        }
+      }
+
+      const blockType = u32(offset);
+      const blockLength = u32(offset + 4);
+
+      if (blockLength < 12 || blockLength % 4 !== 0) {
+        throw new Error(`Invalid PCAPNG block length ${blockLength} at offset ${offset}`);
+      }
+      if (offset + blockLength > buffer.length) {
+        truncated = true;
+        break;
+      }
+
+      const body = offset + 8;
+      const bodyEnd = offset + blockLength - 4;
+
+      switch (blockType) {
+        case BLOCK_SECTION_HEADER:
+          sectionInterfaces = [];
+          break;
+
+        case BLOCK_INTERFACE_DESCRIPTION: {
+          const iface = {
+            linkType: u16(body),
+            snaplen: u32(body + 4),
+            name: null,
+            description: null,
+            unitsPerSecond: 1000000,
+            tsOffset: 0
+          };
+          for (const option of this.parseOptions(buffer, body + 8, bodyEnd, u16)) {
+            if (option.code === IF_NAME) iface.name = option.value.toString('utf8');
+            if (option.code === IF_DESCRIPTION) iface.description = option.value.toString('utf8');
+            if (option.code === IF_TSRESOL && option.value.length >= 1) {
+              const resolution = option.value[0];
+              iface.unitsPerSecond = resolution & 0x80
+                ? Math.pow(2, resolution & 0x7f)
+                : Math.pow(10, resolution);
+            }
+            if (option.code === IF_TSOFFSET && option.value.length >= 8) {
+              iface.tsOffset = Number(littleEndian
+                ? option.value.readBigInt64LE(0)
+                : option.value.readBigInt64BE(0));
+            }
+          }
+          iface.id = interfaces.length;
+          interfaces.push(iface);
+          sectionInterfaces.push(iface);
+          break;
+        }
+
+        case BLOCK_ENHANCED_PACKET: {
+          const iface = sectionInterfaces[u32(body)];
+          const capturedLength = u32(body + 12);
+          const originalLength = u32(body + 16);
+          const dataStart = body + 20;
+          if (!iface || dataStart + capturedLength > bodyEnd) {
+            throw new Error(`Malformed Enhanced Packet Block at offset ${offset}`);
+          }
+          records.push({
+            interfaceId: iface.id,
+            linkType: iface.linkType,
+            timestamp: this.toMillis(u32(body + 4), u32(body + 8), iface),
+            data: Buffer.from(buffer.subarray(dataStart, dataStart + capturedLength)),
+            originalLength
+          });
+          break;
+        }
+
+        case BLOCK_PACKET: {
+          const iface = sectionInterfaces[u16(body)];
+          const capturedLength = u32(body + 12);
+          const originalLength = u32(body + 16);
+          const dataStart = body + 20;
+          if (!iface || dataStart + capturedLength > bodyEnd) {
+            throw new Error(`Malformed Packet Block at offset ${offset}`);
+          }
+          records.push({
+            interfaceId: iface.id,
+            linkType: iface.linkType,
+            timestamp: this.toMillis(u32(body + 4), u32(body + 8), iface),
+            data: Buffer.from(buffer.subarray(dataStart, dataStart + capturedLength)),
+            originalLength
+          });
+          break;
+        }
+
+        case BLOCK_SIMPLE_PACKET: {
+          const iface = sectionInterfaces[0];
+          if (!iface) {
+            throw new Error(`Simple Packet Block without interface at offset ${offset}`);
+          }
+          const originalLength = u32(body);
+          const available = bodyEnd - (body + 4);
+          const capturedLength = Math.min(originalLength, iface.snaplen || originalLength, available);
+          records.push({
+            interfaceId: iface.id,
+            linkType: iface.linkType,
+            timestamp: null, // SPBs carry no timestamp
+            data: Buffer.from(buffer.subarray(body + 4, body + 4 + capturedLength)),
+            originalLength
+          });
+          break;
+        }
+
+        default:
+          // Name resolution, statistics and custom blocks are skipped
+          break;
+      }
+
+      offset += blockLength;
+    }
+
+    if (offset < buffer.length && offset + 12 > buffer.length) {
+      truncated = true;
+    }
+
+    return { format: 'pcapng', interfaces, records, truncated };
+  }
+
+  /**
+   * Parse a classic libpcap file
+   */
+  parsePcap(buffer) {
+    if (buffer.length < 24) {
+      throw new Error('PCAP global header is truncated');
+    }
+
+    const magicLE = buffer.readUInt32LE(0);
+    const littleEndian = magicLE === PCAP_MAGIC_MICRO || magicLE === PCAP_MAGIC_NANO;
+    const u16 = (pos) => (littleEndian ? buffer.readUInt16LE(pos) : buffer.readUInt16BE(pos));
+    const u32 = (pos) => (littleEndian ? buffer.readUInt32LE(pos) : buffer.readUInt32BE(pos));
+
+    const magic = u32(0);
+    const iface = {
+      id: 0,
+      linkType: u32(20) & 0x0fffffff, // upper bits carry FCS information
+      snaplen: u32(16),
+      name: null,
+      description: null,
+      unitsPerSecond: magic === PCAP_MAGIC_NANO ? 1000000000 : 1000000,
+      tsOffset: 0,
+      version: `${u16(4)}.${u16(6)}`
+    };
+
+    const records = [];
+    let truncated = false;
+    let offset = 24;
+
+    while (offset < buffer.length) {
+      if (offset + 16 > buffer.length) {
+        truncated = true;
+        break;
+      }
+
+      const seconds = u32(offset);
+      const fraction = u32(offset + 4);
+      const capturedLength = u32(offset + 8);
+      const originalLength = u32(offset + 12);
+      const dataStart = offset + 16;
+
+      if (dataStart + capturedLength > buffer.length) {
+        truncated = true;
+        break;
+      }
+
+      records.push({
+        interfaceId: 0,
+        linkType: iface.linkType,
+        timestamp: seconds * 1000 + (fraction * 1000) / iface.unitsPerSecond,
+        data: Buffer.from(buffer.subarray(dataStart, dataStart + capturedLength)),
+        originalLength
+      });
+
+      offset = dataStart + capturedLength;
+    }
+
+    return { format: 'pcap', interfaces: [iface], records, truncated };
+  }
+
+  /**
+   * Helper: Parse a PCAPNG option list
+   */
+  parseOptions(buffer, offset, end, u16) {
+    const options = [];
+    while (offset + 4 <= end) {
+      const code = u16(offset);
+      const length = u16(offset + 2);
+      if (code === OPT_ENDOFOPT) break;
+      if (offset + 4 + length > end) break;
+      options.push({ code, value: buffer.subarray(offset + 4, offset + 4 + length) });
+      offset += 4 + length + ((4 - (length % 4)) % 4);
+    }
+    return options;
+  }
+
+  /**
+   * Helper: Convert a 64-bit PCAPNG timestamp to milliseconds
+   */
+  toMillis(high, low, iface) {
+    const units = (BigInt(high) << 32n) | BigInt(low);
+    const perSecond = BigInt(iface.unitsPerSecond);
+    const seconds = units / perSecond;
+    const fraction = units % perSecond;
+    return (Number(seconds) + iface.tsOffset) * 1000 + (Number(fraction) * 1000) / iface.unitsPerSecond;
+  }
+}
+
+module.exports = { PcapngWriter, CaptureFileReader, LINKTYPE };
@@ -0,0 +1,987 @@
+/**
+ * NinjaShark Protocol Dissectors
+ * Application-layer decoding for DNS, HTTP/1.x, TLS handshakes and DHCP
+ *
+ * Features:
+ * - DNS queries and answers (name compression, A/AAAA/CNAME/NS/PTR/MX/TXT/SOA/SRV),
+ *   over UDP and length-prefixed TCP
+ * - HTTP/1.x request and response lines and headers (detected by content, not port)
+ * - TLS records, ClientHello/ServerHello with SNI, ALPN, cipher suites,
+ *   supported versions and JA3/JA3S fingerprints
+ * - DHCP (BOOTP header, message type, lease and addressing options)
+ * - Each dissection returns a layer tree for the packet details pane and
+ *   Wireshark-style fields (dns.qry.name, http.host, tls.handshake.ja3, ...)
+ *   consumed by the display filter and the anomaly detector
+ *
+ * Dissectors are pure functions of the transport payload, so they run the
+ * same on live traffic, capture files and recorded samples.
+ */
+
+const crypto = require('crypto');
+
+// Field name -> value type (merged into packet-fields FIELD_TYPES)
+const DISSECTOR_FIELD_TYPES = {
+  'dns.id': 'uint',
+  'dns.flags.response': 'bool',
+  'dns.flags.opcode': 'uint',
+  'dns.flags.authoritative': 'bool',
+  'dns.flags.truncated': 'bool',
+  'dns.flags.recdesired': 'bool',
+  'dns.flags.recavail': 'bool',
+  'dns.flags.rcode': 'uint',
+  'dns.count.queries': 'uint',
+  'dns.count.answers': 'uint',
+  'dns.count.auth_rr': 'uint',
+  'dns.count.add_rr': 'uint',
+  'dns.qry.name': 'string',
+  'dns.qry.name.len': 'uint',
+  'dns.qry.type': 'uint',
+  'dns.qry.class': 'uint',
+  'dns.resp.name': 'string',
+  'dns.resp.type': 'uint',
+  'dns.resp.ttl': 'uint',
+  'dns.a': 'ipv4',
+  'dns.aaaa': 'ipv6',
+  'dns.cname': 'string',
+  'dns.ns': 'string',
+  'dns.ptr.domain_name': 'string',
+  'dns.mx.mail_exchange': 'string',
+  'dns.txt': 'string',
+  'http.request': 'bool',
+  'http.response': 'bool',
+  'http.request.method': 'string',
+  'http.request.uri': 'string',
+  'http.request.version': 'string',
+  'http.response.version': 'string',
+  'http.response.code': 'uint',
+  'http.response.phrase': 'string',
+  'http.host': 'string',
+  'http.user_agent': 'string',
+  'http.server': 'string',
+  'http.content_type': 'string',
+  'http.content_length': 'uint',
+  'http.location': 'string',
+  'http.authorization': 'string',
+  'http.cookie': 'string',
+  'http.header': 'string',
+  'tls.record.content_type': 'uint',
+  'tls.record.version': 'uint',
+  'tls.record.length': 'uint',
+  'tls.handshake.type': 'uint',
+  'tls.handshake.version': 'uint',
+  'tls.handshake.ciphersuite': 'uint',
+  'tls.handshake.extension.type': 'uint',
+  'tls.handshake.extensions_server_name': 'string',
+  'tls.handshake.extensions_alpn_str': 'string',
+  'tls.handshake.extensions.supported_version': 'uint',
+  'tls.handshake.extensions_supported_group': 'uint',
+  'tls.handshake.ja3': 'string',
+  'tls.handshake.ja3_full': 'string',
+  'tls.handshake.ja3s': 'string',
+  'tls.handshake.ja3s_full': 'string',
+  'dhcp.type': 'uint',
+  'dhcp.id': 'uint',
+  'dhcp.hw.mac_addr': 'ether',
+  'dhcp.ip.client': 'ipv4',
+  'dhcp.ip.your': 'ipv4',
+  'dhcp.ip.server': 'ipv4',
+  'dhcp.ip.relay': 'ipv4',
+  'dhcp.option.type': 'uint',
+  'dhcp.option.dhcp': 'uint',
+  'dhcp.option.subnet_mask': 'ipv4',
+  'dhcp.option.router': 'ipv4',
+  'dhcp.option.domain_name_server': 'ipv4',
+  'dhcp.option.hostname': 'string',
+  'dhcp.option.domain_name': 'string',
+  'dhcp.option.requested_ip_address': 'ipv4',
+  'dhcp.option.ip_address_lease_time': 'uint',
+  'dhcp.option.dhcp_server_id': 'ipv4',
+  'dhcp.option.renewal_time_value': 'uint',
+  'dhcp.option.rebinding_time_value': 'uint',
+  'dhcp.option.vendor_class_id': 'string'
+};
+
+const DNS_TYPES = {
+  1: 'A', 2: 'NS', 5: 'CNAME', 6: 'SOA', 12: 'PTR', 15: 'MX', 16: 'TXT',
+  28: 'AAAA', 33: 'SRV', 41: 'OPT', 43: 'DS', 46: 'RRSIG', 48: 'DNSKEY',
+  64: 'SVCB', 65: 'HTTPS', 255: 'ANY'
+};
+
+const DNS_RCODES = {
+  0: 'No error', 1: 'Format error', 2: 'Server failure', 3: 'No such name',
+  4: 'Not implemented', 5: 'Refused'
+};
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'HEAD', 'OPTIONS', 'PATCH', 'CONNECT', 'TRACE'];
+
+const TLS_CONTENT_TYPES = { 20: 'Change Cipher Spec', 21: 'Alert', 22: 'Handshake', 23: 'Application Data' };
+
+const TLS_HANDSHAKE_TYPES = {
+  1: 'Client Hello', 2: 'Server Hello', 4: 'New Session Ticket', 8: 'Encrypted Extensions',
+  11: 'Certificate', 12: 'Server Key Exchange', 13: 'Certificate Request',
+  14: 'Server Hello Done', 15: 'Certificate Verify', 16: 'Client Key Exchange', 20: 'Finished'
+};
+
+const TLS_VERSIONS = { 0x0300: 'SSL 3.0', 0x0301: 'TLS 1.0', 0x0302: 'TLS 1.1', 0x0303: 'TLS 1.2', 0x0304: 'TLS 1.3' };
+
+const DHCP_MESSAGE_TYPES = {
+  1: 'Discover', 2: 'Offer', 3: 'Request', 4: 'Decline',
+  5: 'ACK', 6: 'NAK', 7: 'Release', 8: 'Inform'
+};
+
+const DHCP_MAGIC_COOKIE = 0x63825363;
+
+/**
+ * Dissect the application layer of a transport payload
+ * @param {Object} transport - { name: 'tcp'|'udp', srcPort, dstPort }
+ * @param {Buffer} payload - Transport payload
+ * @returns {Object|null} { protocol, name, info, layer, fields: Array<[name, value]> }
+ */
+function dissectApplication(transport, payload) {
+  if (!transport || !payload || payload.length === 0) return null;
+
+  const ports = [transport.srcPort, transport.dstPort];
+
+  try {
+    if (transport.name === 'udp') {
+      if (ports.some(p => p === 53 || p === 5353 || p === 5355)) {
+        return dissectDNS(payload);
+      }
+      if (ports.some(p => p === 67 || p === 68)) {
+        return dissectDHCP(payload);
+      }
+      return null;
+    }
+
+    if (transport.name === 'tcp') {
+      if (ports.includes(53)) {
+        // DNS over TCP carries a two-byte length prefix
+        return payload.length > 2 ? dissectDNS(payload.subarray(2)) : null;
+      }
+      return dissectHTTP(payload) || dissectTLS(payload);
+    }
+  } catch (error) {
+    // Malformed payloads are left undissected
+    return null;
+  }
+
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// DNS
+// ---------------------------------------------------------------------------
+
+/**
+ * Dissect a DNS message
+ */
+function dissectDNS(payload) {
+  if (payload.length < 12) return null;
+
+  const id = payload.readUInt16BE(0);
+  const flags = payload.readUInt16BE(2);
+  const counts = [4, 6, 8, 10].map(offset => payload.readUInt16BE(offset));
+  const [qdCount, anCount, nsCount, arCount] = counts;
+  const response = (flags >> 15) & 1;
+  const opcode = (flags >> 11) & 0x0f;
+  const rcode = flags & 0x0f;
+
+  // Reject payloads that are clearly not DNS
+  if (qdCount > 32 || opcode > 6) return null;
+
+  const fields = [];
+  const add = (name, value) => fields.push([name, value]);
+
+  add('dns.id', id);
+  add('dns.flags.response', response);
+  add('dns.flags.opcode', opcode);
+  add('dns.flags.authoritative', (flags >> 10) & 1);
+  add('dns.flags.truncated', (flags >> 9) & 1);
+  add('dns.flags.recdesired', (flags >> 8) & 1);
+  add('dns.flags.recavail', (flags >> 7) & 1);
+  add('dns.flags.rcode', rcode);
+  add('dns.count.queries', qdCount);
+  add('dns.count.answers', anCount);
+  add('dns.count.auth_rr', nsCount);
+  add('dns.count.add_rr', arCount);
+
+  let offset = 12;
+  const queries = [];
+  for (let i = 0; i < qdCount; i++) {
+    const name = readDNSName(payload, offset);
+    offset = name.offset;
+    const type = payload.readUInt16BE(offset);
+    const cls = payload.readUInt16BE(offset + 2);
+    offset += 4;
+    queries.push({ name: name.value, type, cls });
+    add('dns.qry.name', name.value);
+    add('dns.qry.name.len', name.value.length);
+    add('dns.qry.type', type);
+    add('dns.qry.class', cls);
+  }
+
+  const sections = [
+    { title: 'Answers', count: anCount, records: [] },
+    { title: 'Authoritative nameservers', count: nsCount, records: [] },
+    { title: 'Additional records', count: arCount, records: [] }
+  ];
+  let truncated = false;
+
+  for (const section of sections) {
+    for (let i = 0; i < section.count; i++) {
+      if (offset >= payload.length) {
+        truncated = true;
+        break;
+      }
+      const record = readDNSRecord(payload, offset);
+      offset = record.offset;
+      section.records.push(record);
+
+      if (section === sections[0]) {
+        add('dns.resp.name', record.name);
+        add('dns.resp.type', record.type);
+        add('dns.resp.ttl', record.ttl);
+      }
+      if (record.field) {
+        add(record.field, record.fieldValue);
+      }
+    }
+  }
+
+  const typeName = (type) => DNS_TYPES[type] || `Type ${type}`;
+  const question = queries[0];
+  let info = `Standard query${response ? ' response' : ''} 0x${id.toString(16).padStart(4, '0')}`;
+  if (question) {
+    info += ` ${typeName(question.type)} ${question.name}`;
+  }
+  if (response) {
+    if (rcode !== 0) {
+      info += ` ${DNS_RCODES[rcode] || `rcode ${rcode}`}`;
+    }
+    for (const record of sections[0].records) {
+      info += ` ${typeName(record.type)} ${record.display}`;
+    }
+  }
+
+  const recordLayer = (section) => ({
+    name: section.title,
+    fields: section.records.map(r => ({
+      name: r.name || '<Root>',
+      value: `type ${typeName(r.type)}, class ${r.cls}, ttl ${r.ttl}${r.display ? `, ${r.display}` : ''}`
+    }))
+  });
+
+  const layer = {
+    name: 'Domain Name System',
+    fields: [
+      { name: 'Transaction ID', value: `0x${id.toString(16).padStart(4, '0')}` },
+      { name: 'Flags', value: `0x${flags.toString(16).padStart(4, '0')} ${response ? 'Standard query response' : 'Standard query'}` },
+      { name: 'Reply code', value: DNS_RCODES[rcode] || String(rcode) },
+      { name: 'Questions', value: String(qdCount) },
+      { name: 'Answer RRs', value: String(anCount) },
+      { name: 'Authority RRs', value: String(nsCount) },
+      { name: 'Additional RRs', value: String(arCount) }
+    ],
+    children: [
+      {
+        name: 'Queries',
+        fields: queries.map(q => ({ name: q.name || '<Root>', value: `type ${typeName(q.type)}, class ${q.cls}` }))
+      },
+      ...sections.filter(s => s.records.length > 0).map(recordLayer)
+    ]
+  };
+
+  if (truncated) {
+    layer.fields.push({ name: 'Truncated', value: 'Message ends before all records' });
+  }
+
+  return { protocol: 'DNS', name: 'dns', info, layer, fields };
+}
+
+/**
+ * Read a (possibly compressed) domain name
+ * @returns {Object} { value, offset } where offset follows the name in the record
+ */
+function readDNSName(buffer, start) {
+  const labels = [];
+  let offset = start;
+  let next = null;
+  let jumps = 0;
+
+  while (true) {
+    if (offset >= buffer.length) throw new RangeError('DNS name out of bounds');
+    const length = buffer[offset];
+
+    if (length === 0) {
+      offset++;
+      break;
+    }
+
+    if ((length & 0xc0) === 0xc0) {
+      if (++jumps > 16) throw new RangeError('DNS compression loop');
+      const pointer = buffer.readUInt16BE(offset) & 0x3fff;
+      if (next === null) next = offset + 2;
+      offset = pointer;
+      continue;
+    }
+
+    if (offset + 1 + length > buffer.length) throw new RangeError('DNS label out of bounds');
+    labels.push(buffer.toString('latin1', offset + 1, offset + 1 + length));
+    offset += 1 + length;
+  }
+
+  return { value: labels.join('.'), offset: next ?? offset };
+}
+
+/**
+ * Read a resource record and decode common RDATA types
+ */
+function readDNSRecord(buffer, start) {
+  const name = readDNSName(buffer, start);
+  let offset = name.offset;
+  const type = buffer.readUInt16BE(offset);
+  const cls = buffer.readUInt16BE(offset + 2);
+  const ttl = buffer.readUInt32BE(offset + 4);
+  const rdLength = buffer.readUInt16BE(offset + 8);
+  offset += 10;
+  if (offset + rdLength > buffer.length) throw new RangeError('DNS record out of bounds');
+
+  const record = { name: name.value, type, cls, ttl, display: '', field: null, fieldValue: null, offset: offset + rdLength };
+
+  switch (type) {
+    case 1: // A
+      if (rdLength === 4) {
+        record.field = 'dns.a';
+        record.fieldValue = buffer.readUInt32BE(offset);
+        record.display = ipv4String(buffer, offset);
+      }
+      break;
+    case 28: // AAAA
+      if (rdLength === 16) {
+        record.field = 'dns.aaaa';
+        record.fieldValue = ipv6String(buffer, offset);
+        record.display = record.fieldValue;
+      }
+      break;
+    case 2: // NS
+    case 5: // CNAME
+    case 12: { // PTR
+      const target = readDNSName(buffer, offset).value;
+      record.field = { 2: 'dns.ns', 5: 'dns.cname', 12: 'dns.ptr.domain_name' }[type];
+      record.fieldValue = target;
+      record.display = target;
+      break;
+    }
+    case 15: { // MX
+      const exchange = readDNSName(buffer, offset + 2).value;
+      record.field = 'dns.mx.mail_exchange';
+      record.fieldValue = exchange;
+      record.display = `${buffer.readUInt16BE(offset)} ${exchange}`;
+      break;
+    }
+    case 16: { // TXT
+      const parts = [];
+      let cursor = offset;
+      while (cursor < offset + rdLength) {
+        const length = buffer[cursor];
+        parts.push(buffer.toString('latin1', cursor + 1, cursor + 1 + length));
+        cursor += 1 + length;
+      }
+      record.field = 'dns.txt';
+      record.fieldValue = parts.join('');
+      record.display = record.fieldValue;
+      break;
+    }
+    case 6: // SOA
+      record.display = readDNSName(buffer, offset).value;
+      break;
+    case 33: // SRV
+      record.display = `${buffer.readUInt16BE(offset + 4)} ${readDNSName(buffer, offset + 6).value}`;
+      break;
+    default:
+      break;
+  }
+
+  return record;
+}
+
+// ---------------------------------------------------------------------------
+// HTTP/1.x
+// ---------------------------------------------------------------------------
+
+/**
+ * Dissect an HTTP/1.x request or response head
+ */
+function dissectHTTP(payload) {
+  // Only the start of a message is dissected; look at the first line
+  const head = payload.toString('latin1', 0, Math.min(payload.length, 16384));
+  const lineEnd = head.indexOf('\n');
+  if (lineEnd === -1) return null;
+  const firstLine = head.slice(0, lineEnd).replace(/\r$/, '');
+
+  const request = /^([A-Z]+) (\S+) (HTTP\/1\.[01])$/.exec(firstLine);
+  const response = /^(HTTP\/1\.[01]) (\d{3})(?: (.*))?$/.exec(firstLine);
+  if (request && !HTTP_METHODS.includes(request[1])) return null;
+  if (!request && !response) return null;
+
+  const fields = [];
+  const add = (name, value) => fields.push([name, value]);
+  const layerFields = [];
+
+  if (request) {
+    add('http.request', 1);
+    add('http.request.method', request[1]);
+    add('http.request.uri', request[2]);
+    add('http.request.version', request[3]);
+    layerFields.push(
+      { name: 'Request Method', value: request[1] },
+      { name: 'Request URI', value: request[2] },
+      { name: 'Request Version', value: request[3] }
+    );
+  } else {
+    add('http.response', 1);
+    add('http.response.version', response[1]);
+    add('http.response.code', parseInt(response[2], 10));
+    add('http.response.phrase', response[3] || '');
+    layerFields.push(
+      { name: 'Response Version', value: response[1] },
+      { name: 'Status Code', value: response[2] },
+      { name: 'Response Phrase', value: response[3] || '' }
+    );
+  }
+
+  const headerFields = {
+    host: 'http.host',
+    'user-agent': 'http.user_agent',
+    server: 'http.server',
+    'content-type': 'http.content_type',
+    location: 'http.location',
+    authorization: 'http.authorization',
+    cookie: 'http.cookie'
+  };
+
+  const headers = [];
+  let complete = false;
+  for (const rawLine of head.slice(lineEnd + 1).split('\n')) {
+    const line = rawLine.replace(/\r$/, '');
+    if (line === '') {
+      complete = true;
+      break;
+    }
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+
+    const name = line.slice(0, colon).trim();
+    const value = line.slice(colon + 1).trim();
+    const key = name.toLowerCase();
+    headers.push({ name, value });
+    add('http.header', `${name}: ${value}`);
+
+    if (headerFields[key]) {
+      add(headerFields[key], value);
+    } else if (key === 'content-length' && /^\d+$/.test(value)) {
+      add('http.content_length', parseInt(value, 10));
+    }
+  }
+
+  const layer = {
+    name: 'Hypertext Transfer Protocol',
+    fields: layerFields,
+    children: [{ name: 'Headers', fields: headers }]
+  };
+  if (!complete) {
+    layer.fields.push({ name: 'Note', value: 'Headers continue in a later segment' });
+  }
+
+  return { protocol: 'HTTP', name: 'http', info: firstLine, layer, fields };
+}
+
+// ---------------------------------------------------------------------------
+// TLS
+// ---------------------------------------------------------------------------
+
+/**
+ * Dissect TLS records in a TCP payload
+ */
+function dissectTLS(payload) {
+  if (payload.length < 5 || !TLS_CONTENT_TYPES[payload[0]] || payload[1] !== 3 || payload[2] > 4) {
+    return null;
+  }
+
+  const fields = [];
+  const add = (name, value) => fields.push([name, value]);
+  const children = [];
+  const infos = [];
+  let sni = null;
+
+  let offset = 0;
+  while (offset + 5 <= payload.length) {
+    const contentType = payload[offset];
+    const version = payload.readUInt16BE(offset + 1);
+    const length = payload.readUInt16BE(offset + 3);
+    if (!TLS_CONTENT_TYPES[contentType] || (version >> 8) !== 3) break;
+
+    add('tls.record.content_type', contentType);
+    add('tls.record.version', version);
+    add('tls.record.length', length);
+
+    const body = payload.subarray(offset + 5, Math.min(payload.length, offset + 5 + length));
+    const record = {
+      name: `TLS Record: ${TLS_CONTENT_TYPES[contentType]}`,
+      fields: [
+        { name: 'Content Type', value: `${TLS_CONTENT_TYPES[contentType]} (${contentType})` },
+        { name: 'Version', value: versionName(version) },
+        { name: 'Length', value: String(length) }
+      ],
+      children: []
+    };
+
+    if (contentType === 22) {
+      // A record may hold several handshake messages (e.g. ServerHello + Certificate)
+      let cursor = 0;
+      while (cursor + 4 <= body.length) {
+        const type = body[cursor];
+        const hsLength = body.readUIntBE(cursor + 1, 3);
+        if (!TLS_HANDSHAKE_TYPES[type]) {
+          infos.push('Encrypted Handshake Message');
+          break;
+        }
+        add('tls.handshake.type', type);
+        const message = body.subarray(cursor + 4, Math.min(body.length, cursor + 4 + hsLength));
+
+        let hello = null;
+        try {
+          hello = type === 1 ? parseClientHello(message) : type === 2 ? parseServerHello(message) : null;
+        } catch (error) {
+          hello = null; // ServerHello cut short by the segment boundary
+        }
+        if (hello) {
+          hello.fields.forEach(([name, value]) => add(name, value));
+          record.children.push(hello.layer);
+          if (hello.sni) sni = hello.sni;
+        } else {
+          record.children.push({ name: `Handshake Protocol: ${TLS_HANDSHAKE_TYPES[type]}`, fields: [] });
+        }
+        infos.push(TLS_HANDSHAKE_TYPES[type]);
+        cursor += 4 + hsLength;
+      }
+    } else {
+      infos.push(TLS_CONTENT_TYPES[contentType]);
+    }
+
+    children.push(record);
+    offset += 5 + length;
+  }
+
+  if (children.length === 0) return null;
+
+  let info = [...new Set(infos)].join(', ');
+  if (sni) info += ` (SNI=${sni})`;
+
+  return {
+    protocol: 'TLS',
+    name: 'tls',
+    info,
+    layer: { name: 'Transport Layer Security', fields: [], children },
+    fields
+  };
+}
+
+/**
+ * Parse a ClientHello body
+ */
+function parseClientHello(message) {
+  const reader = new ByteReader(message);
+  const fields = [];
+  const add = (name, value) => fields.push([name, value]);
+  const result = { sni: null, alpn: [], ciphers: [], extensions: [], groups: [], pointFormats: [], versions: [] };
+  let truncated = false;
+
+  const version = message.length >= 2 ? message.readUInt16BE(0) : 0;
+  add('tls.handshake.version', version);
+
+  try {
+    reader.skip(2);
+    reader.skip(32); // random
+    reader.skip(reader.u8()); // session id
+    const cipherBytes = reader.u16();
+    for (let i = 0; i < cipherBytes / 2; i++) {
+      const cipher = reader.u16();
+      result.ciphers.push(cipher);
+      add('tls.handshake.ciphersuite', cipher);
+    }
+    reader.skip(reader.u8()); // compression methods
+
+    if (reader.remaining() >= 2) {
+      const extensionsEnd = reader.offset + 2 + reader.u16();
+      while (reader.offset + 4 <= extensionsEnd) {
+        const type = reader.u16();
+        const data = reader.bytes(reader.u16());
+        result.extensions.push(type);
+        add('tls.handshake.extension.type', type);
+        parseHelloExtension(type, data, result, add, true);
+      }
+    }
+  } catch (error) {
+    truncated = true; // ClientHello continues in a later segment
+  }
+
+  const ja3Full = [
+    version,
+    result.ciphers.filter(v => !isGrease(v)).join('-'),
+    result.extensions.filter(v => !isGrease(v)).join('-'),
+    result.groups.filter(v => !isGrease(v)).join('-'),
+    result.pointFormats.join('-')
+  ].join(',');
+  const ja3 = crypto.createHash('md5').update(ja3Full).digest('hex');
+  if (!truncated) {
+    add('tls.handshake.ja3_full', ja3Full);
+    add('tls.handshake.ja3', ja3);
+  }
+
+  const layer = {
+    name: 'Handshake Protocol: Client Hello',
+    fields: [
+      { name: 'Version', value: versionName(version) },
+      { name: 'Cipher Suites', value: `${result.ciphers.length} suites` },
+      { name: 'Server Name', value: result.sni || '' },
+      { name: 'ALPN', value: result.alpn.join(', ') },
+      { name: 'Supported Versions', value: result.versions.map(versionName).join(', ') },
+      { name: 'JA3', value: truncated ? '(incomplete ClientHello)' : ja3 },
+      { name: 'JA3 Full', value: truncated ? '' : ja3Full }
+    ],
+    children: [
+      {
+        name: 'Cipher Suites',
+        fields: result.ciphers.map(c => ({ name: 'Cipher Suite', value: `0x${c.toString(16).padStart(4, '0')}` }))
+      },
+      {
+        name: 'Extensions',
+        fields: result.extensions.map(e => ({ name: 'Extension', value: String(e) }))
+      }
+    ]
+  };
+
+  return { fields, layer, sni: result.sni };
+}
+
+/**
+ * Parse a ServerHello body
+ */
+function parseServerHello(message) {
+  const reader = new ByteReader(message);
+  const fields = [];
+  const add = (name, value) => fields.push([name, value]);
+  const result = { sni: null, alpn: [], ciphers: [], extensions: [], groups: [], pointFormats: [], versions: [] };
+
+  const version = reader.u16();
+  reader.skip(32);
+  reader.skip(reader.u8());
+  const cipher = reader.u16();
+  reader.skip(1); // compression method
+
+  add('tls.handshake.version', version);
+  add('tls.handshake.ciphersuite', cipher);
+
+  if (reader.remaining() >= 2) {
+    const extensionsEnd = reader.offset + 2 + reader.u16();
+    while (reader.offset + 4 <= extensionsEnd) {
+      const type = reader.u16();
+      const data = reader.bytes(reader.u16());
+      result.extensions.push(type);
+      add('tls.handshake.extension.type', type);
+      parseHelloExtension(type, data, result, add, false);
+    }
+  }
+
+  const ja3sFull = [version, cipher, result.extensions.join('-')].join(',');
+  const ja3s = crypto.createHash('md5').update(ja3sFull).digest('hex');
+  add('tls.handshake.ja3s_full', ja3sFull);
+  add('tls.handshake.ja3s', ja3s);
+
+  const negotiated = result.versions[0] || version;
+  return {
+    fields,
+    sni: null,
+    layer: {
+      name: 'Handshake Protocol: Server Hello',
+      fields: [
+        { name: 'Version', value: versionName(negotiated) },
+        { name: 'Cipher Suite', value: `0x${cipher.toString(16).padStart(4, '0')}` },
+        { name: 'ALPN', value: result.alpn.join(', ') },
+        { name: 'JA3S', value: ja3s },
+        { name: 'JA3S Full', value: ja3sFull }
+      ]
+    }
+  };
+}
+
+/**
+ * Decode the hello extensions we report on
+ */
+function parseHelloExtension(type, data, result, add, client) {
+  const reader = new ByteReader(data);
+
+  switch (type) {
+    case 0: { // server_name
+      if (!client || data.length < 5) return;
+      const listEnd = 2 + reader.u16();
+      while (reader.offset + 3 <= listEnd) {
+        const nameType = reader.u8();
+        const name = reader.bytes(reader.u16()).toString('latin1');
+        if (nameType === 0) {
+          result.sni = name;
+          add('tls.handshake.extensions_server_name', name);
+        }
+      }
+      break;
+    }
+    case 16: { // application_layer_protocol_negotiation
+      const listEnd = 2 + reader.u16();
+      while (reader.offset + 1 <= listEnd) {
+        const protocol = reader.bytes(reader.u8()).toString('latin1');
+        result.alpn.push(protocol);
+        add('tls.handshake.extensions_alpn_str', protocol);
+      }
+      break;
+    }
+    case 10: { // supported_groups
+      const count = reader.u16() / 2;
+      for (let i = 0; i < count; i++) {
+        const group = reader.u16();
+        result.groups.push(group);
+        add('tls.handshake.extensions_supported_group', group);
+      }
+      break;
+    }
+    case 11: { // ec_point_formats
+      const count = reader.u8();
+      for (let i = 0; i < count; i++) result.pointFormats.push(reader.u8());
+      break;
+    }
+    case 43: { // supported_versions
+      const count = client ? reader.u8() / 2 : 1;
+      for (let i = 0; i < count; i++) {
+        const version = reader.u16();
+        if (isGrease(version)) continue;
+        result.versions.push(version);
+        add('tls.handshake.extensions.supported_version', version);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// DHCP
+// ---------------------------------------------------------------------------
+
+/**
+ * Dissect a DHCP (BOOTP) message
+ */
+function dissectDHCP(payload) {
+  if (payload.length < 240 || payload.readUInt32BE(236) !== DHCP_MAGIC_COOKIE) return null;
+
+  const fields = [];
+  const add = (name, value) => fields.push([name, value]);
+
+  const op = payload[0];
+  const hlen = Math.min(payload[2], 16);
+  const xid = payload.readUInt32BE(4);
+  const mac = Array.from(payload.subarray(28, 28 + hlen)).map(b => b.toString(16).padStart(2, '0')).join(':');
+
+  add('dhcp.type', op);
+  add('dhcp.id', xid);
+  add('dhcp.ip.client', payload.readUInt32BE(12));
+  add('dhcp.ip.your', payload.readUInt32BE(16));
+  add('dhcp.ip.server', payload.readUInt32BE(20));
+  add('dhcp.ip.relay', payload.readUInt32BE(24));
+  if (hlen === 6) add('dhcp.hw.mac_addr', mac);
+
+  const options = [];
+  let messageType = null;
+  let offset = 240;
+
+  while (offset < payload.length) {
+    const code = payload[offset];
+    if (code === 255) break;
+    if (code === 0) {
+      offset++;
+      continue;
+    }
+    if (offset + 2 > payload.length) break;
+    const length = payload[offset + 1];
+    const data = payload.subarray(offset + 2, Math.min(payload.length, offset + 2 + length));
+    offset += 2 + length;
+
+    add('dhcp.option.type', code);
+    const option = decodeDHCPOption(code, data, add);
+    if (code === 53) messageType = data[0];
+    options.push({ name: `Option (${code}) ${option.name}`, value: option.value });
+  }
+
+  const typeName = DHCP_MESSAGE_TYPES[messageType] || (op === 1 ? 'Boot Request' : 'Boot Reply');
+  const xidText = `0x${xid.toString(16).padStart(8, '0')}`;
+
+  return {
+    protocol: 'DHCP',
+    name: 'dhcp',
+    info: `DHCP ${typeName} - Transaction ID ${xidText}`,
+    layer: {
+      name: 'Dynamic Host Configuration Protocol',
+      fields: [
+        { name: 'Message type', value: op === 1 ? 'Boot Request (1)' : 'Boot Reply (2)' },
+        { name: 'Transaction ID', value: xidText },
+        { name: 'Client IP address', value: ipv4String(payload, 12) },
+        { name: 'Your (client) IP address', value: ipv4String(payload, 16) },
+        { name: 'Next server IP address', value: ipv4String(payload, 20) },
+        { name: 'Relay agent IP address', value: ipv4String(payload, 24) },
+        { name: 'Client MAC address', value: mac }
+      ],
+      children: [{ name: 'Options', fields: options }]
+    },
+    fields
+  };
+}
+
+/**
+ * Decode one DHCP option
+ * @returns {Object} { name, value } for the layer tree
+ */
+function decodeDHCPOption(code, data, add) {
+  const addresses = () => {
+    const list = [];
+    for (let i = 0; i + 4 <= data.length; i += 4) list.push(i);
+    return list;
+  };
+  const text = () => data.toString('latin1').replace(/\0+$/, '');
+  const seconds = () => (data.length >= 4 ? data.readUInt32BE(0) : 0);
+
+  switch (code) {
+    case 53:
+      add('dhcp.option.dhcp', data[0]);
+      return { name: 'DHCP Message Type', value: `${DHCP_MESSAGE_TYPES[data[0]] || 'Unknown'} (${data[0]})` };
+    case 1:
+      if (data.length >= 4) add('dhcp.option.subnet_mask', data.readUInt32BE(0));
+      return { name: 'Subnet Mask', value: data.length >= 4 ? ipv4String(data, 0) : '' };
+    case 3:
+    case 6: {
+      const field = code === 3 ? 'dhcp.option.router' : 'dhcp.option.domain_name_server';
+      const offsets = addresses();
+      offsets.forEach(i => add(field, data.readUInt32BE(i)));
+      return { name: code === 3 ? 'Router' : 'Domain Name Server', value: offsets.map(i => ipv4String(data, i)).join(', ') };
+    }
+    case 12:
+      add('dhcp.option.hostname', text());
+      return { name: 'Host Name', value: text() };
+    case 15:
+      add('dhcp.option.domain_name', text());
+      return { name: 'Domain Name', value: text() };
+    case 50:
+      if (data.length >= 4) add('dhcp.option.requested_ip_address', data.readUInt32BE(0));
+      return { name: 'Requested IP Address', value: data.length >= 4 ? ipv4String(data, 0) : '' };
+    case 51:
+      add('dhcp.option.ip_address_lease_time', seconds());
+      return { name: 'IP Address Lease Time', value: `${seconds()}s` };
+    case 54:
+      if (data.length >= 4) add('dhcp.option.dhcp_server_id', data.readUInt32BE(0));
+      return { name: 'DHCP Server Identifier', value: data.length >= 4 ? ipv4String(data, 0) : '' };
+    case 55:
+      return { name: 'Parameter Request List', value: Array.from(data).join(', ') };
+    case 58:
+      add('dhcp.option.renewal_time_value', seconds());
+      return { name: 'Renewal Time Value', value: `${seconds()}s` };
+    case 59:
+      add('dhcp.option.rebinding_time_value', seconds());
+      return { name: 'Rebinding Time Value', value: `${seconds()}s` };
+    case 60:
+      add('dhcp.option.vendor_class_id', text());
+      return { name: 'Vendor class identifier', value: text() };
+    case 61:
+      return { name: 'Client identifier', value: data.toString('hex') };
+    default:
+      return { name: 'Option', value: data.toString('hex') };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Bounds-checked big-endian reader
+ */
+class ByteReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new RangeError('Read past end of buffer');
+    }
+  }
+
+  u8() {
+    this.ensure(1);
+    return this.buffer[this.offset++];
+  }
+
+  u16() {
+    this.ensure(2);
+    const value = this.buffer.readUInt16BE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  bytes(length) {
+    this.ensure(length);
+    const value = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  skip(length) {
+    this.ensure(length);
+    this.offset += length;
+  }
+
+  remaining() {
+    return this.buffer.length - this.offset;
+  }
+}
+
+/**
+ * Helper: GREASE values (RFC 8701) are ignored by JA3
+ */
+function isGrease(value) {
+  return (value & 0x0f0f) === 0x0a0a && (value >> 8) === (value & 0xff);
+}
+
+function versionName(version) {
+  return TLS_VERSIONS[version] || `0x${version.toString(16).padStart(4, '0')}`;
+}
+
+function ipv4String(buffer, offset) {
+  return `${buffer[offset]}.${buffer[offset + 1]}.${buffer[offset + 2]}.${buffer[offset + 3]}`;
+}
+
+function ipv6String(buffer, offset) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(buffer.readUInt16BE(offset + i).toString(16).padStart(4, '0'));
+  }
+  return groups.join(':');
+}
+
+module.exports = {
+  DISSECTOR_FIELD_TYPES,
+  dissectApplication,
+  dissectDNS,
+  dissectHTTP,
+  dissectTLS,
+  dissectDHCP
+};
@@ -0,0 +1,475 @@
+/**
+ * NinjaShark Stream Tracker
+ * TCP stream reassembly and conversation statistics
+ *
+ * Features:
+ * - TCP streams indexed like Wireshark's tcp.stream (0, 1, 2, ...)
+ * - Per-direction reassembly: segments are reordered by sequence number,
+ *   overlaps trimmed and retransmissions dropped (32-bit wrap safe)
+ * - Client/server detection from the SYN, falling back to the first sender
+ * - FIN/RST tracking for stream state
+ * - Conversations table (packets, bytes, duration) per TCP/UDP 5-tuple
+ * - Follow-stream view with chronological client/server payload chunks
+ */
+
+const { decodeFrame, formatIPv4 } = require('./packet-fields.cjs');
+const { LINKTYPE } = require('./pcap-file.cjs');
+
+const TCP_FIN = 0x01;
+const TCP_SYN = 0x02;
+const TCP_RST = 0x04;
+const TCP_ACK = 0x10;
+
+class StreamTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxStreams=20000] - Streams kept before the oldest are forgotten
+   * @param {number} [options.maxStreamBytes=16777216] - Payload bytes kept per stream direction
+   * @param {number} [options.maxPendingBytes=1048576] - Out-of-order bytes held per direction before skipping a gap
+   */
+  constructor(options = {}) {
+    this.maxStreams = options.maxStreams || 20000;
+    this.maxStreamBytes = options.maxStreamBytes || 16 * 1024 * 1024;
+    this.maxPendingBytes = options.maxPendingBytes || 1024 * 1024;
+
+    this.streams = new Map(); // stream index -> stream
+    this.streamKeys = new Map(); // 4-tuple key -> stream index
+    this.conversations = new Map(); // 5-tuple key -> conversation
+    this.nextStreamIndex = 0;
+  }
+
+  /**
+   * Track a decoded packet
+   * Sets packet.tcpStream for TCP segments.
+   * @param {Object} packet - Packet as produced by CaptureEngine
+   */
+  track(packet) {
+    if (!packet.hex || packet.hex.length === 0) return;
+
+    const frame = decodeFrame(packet.hex, packet.linkType ?? LINKTYPE.ETHERNET);
+    const transport = frame.transport;
+    if (!transport || (transport.name !== 'tcp' && transport.name !== 'udp')) return;
+
+    let src, dst;
+    if (frame.ipv4) {
+      src = formatIPv4(frame.ipv4.src);
+      dst = formatIPv4(frame.ipv4.dst);
+    } else if (frame.ipv6) {
+      src = frame.ipv6.src;
+      dst = frame.ipv6.dst;
+    } else {
+      return;
+    }
+
+    const timestamp = packet.timestamp || Date.now();
+    const payload = packet.hex.subarray(transport.payloadOffset, transport.payloadEnd);
+    const from = { address: src, port: transport.srcPort };
+    const to = { address: dst, port: transport.dstPort };
+
+    let stream = null;
+    if (transport.name === 'tcp') {
+      stream = this.trackSegment(packet, from, to, transport, payload, timestamp);
+      packet.tcpStream = stream.index;
+    }
+
+    this.trackConversation(transport.name, from, to, packet, timestamp, stream);
+  }
+
+  /**
+   * Add a TCP segment to its stream
+   */
+  trackSegment(packet, from, to, tcp, payload, timestamp) {
+    const key = this.tupleKey(from, to);
+    const syn = (tcp.flags & TCP_SYN) !== 0;
+    const ack = (tcp.flags & TCP_ACK) !== 0;
+
+    let stream = this.streams.get(this.streamKeys.get(key));
+
+    // A new SYN on a finished connection starts a new stream (port reuse)
+    if (stream && syn && !ack && stream.state !== 'open') {
+      stream = null;
+    }
+
+    if (!stream) {
+      // SYN/ACK without the SYN: the sender is the server
+      const clientIsSender = !(syn && ack);
+      stream = {
+        index: this.nextStreamIndex++,
+        client: this.createDirection(clientIsSender ? from : to),
+        server: this.createDirection(clientIsSender ? to : from),
+        state: 'open',
+        handshake: syn,
+        startTime: timestamp,
+        endTime: timestamp,
+        packets: 0,
+        bytes: 0,
+        packetIds: [],
+        chunks: [] // chronological delivered payload: { direction, packetId, timestamp, offset, length }
+      };
+      this.streams.set(stream.index, stream);
+      this.streamKeys.set(key, stream.index);
+      this.pruneStreams();
+    }
+
+    const direction = this.isFrom(stream.client, from) ? 'client' : 'server';
+    const side = stream[direction];
+
+    stream.packets++;
+    stream.bytes += packet.length || packet.hex.length;
+    stream.endTime = timestamp;
+    if (packet.id !== undefined) stream.packetIds.push(packet.id);
+    side.packets++;
+
+    if (tcp.flags & TCP_RST) {
+      stream.state = 'reset';
+    }
+
+    if (syn) {
+      side.isn = tcp.seq;
+      side.nextSeq = (tcp.seq + 1) >>> 0;
+    } else if (side.nextSeq === null) {
+      // Mid-stream pickup
+      side.isn = tcp.seq;
+      side.nextSeq = tcp.seq;
+    }
+
+    if (payload.length > 0) {
+      this.addSegment(stream, direction, syn ? (tcp.seq + 1) >>> 0 : tcp.seq, payload, packet.id, timestamp);
+    }
+
+    if (tcp.flags & TCP_FIN) {
+      side.fin = true;
+      if (stream.state === 'open' && stream.client.fin && stream.server.fin) {
+        stream.state = 'closed';
+      }
+    }
+
+    return stream;
+  }
+
+  /**
+   * Deliver, buffer or drop a payload-carrying segment
+   */
+  addSegment(stream, direction, seq, payload, packetId, timestamp) {
+    const side = stream[direction];
+    const diff = this.seqDiff(seq, side.nextSeq);
+
+    if (diff + payload.length <= 0) {
+      side.retransmissions++;
+      return;
+    }
+
+    if (diff > 0) {
+      const existing = side.pending.get(seq);
+      if (existing && existing.data.length >= payload.length) {
+        side.retransmissions++;
+        return;
+      }
+      side.pendingBytes += payload.length - (existing ? existing.data.length : 0);
+      side.pending.set(seq, { seq, data: Buffer.from(payload), packetId, timestamp });
+      side.outOfOrder++;
+
+      if (side.pendingBytes > side.maxPending) {
+        this.skipGap(stream, direction);
+      }
+      return;
+    }
+
+    // Overlaps already-delivered data: keep only the new bytes
+    if (diff < 0) {
+      side.retransmissions++;
+    }
+    this.deliver(stream, direction, payload.subarray(-diff), packetId, timestamp);
+    this.drainPending(stream, direction);
+  }
+
+  /**
+   * Deliver buffered segments that are now in order
+   */
+  drainPending(stream, direction) {
+    const side = stream[direction];
+    let progressed = true;
+
+    while (progressed && side.pending.size > 0) {
+      progressed = false;
+      for (const [seq, segment] of side.pending) {
+        const diff = this.seqDiff(seq, side.nextSeq);
+        if (diff > 0) continue;
+
+        side.pending.delete(seq);
+        side.pendingBytes -= segment.data.length;
+        if (diff + segment.data.length > 0) {
+          this.deliver(stream, direction, segment.data.subarray(-diff), segment.packetId, segment.timestamp);
+        }
+        progressed = true;
+      }
+    }
+  }
+
+  /**
+   * Give up on missing data and resume at the lowest buffered segment
+   */
+  skipGap(stream, direction) {
+    const side = stream[direction];
+    let lowest = null;
+    for (const seq of side.pending.keys()) {
+      if (lowest === null || this.seqDiff(seq, lowest) < 0) lowest = seq;
+    }
+    if (lowest === null) return;
+
+    side.missingBytes += this.seqDiff(lowest, side.nextSeq);
+    side.nextSeq = lowest;
+    this.drainPending(stream, direction);
+  }
+
+  /**
+   * Append in-order payload to a direction
+   */
+  deliver(stream, direction, data, packetId, timestamp) {
+    const side = stream[direction];
+    side.nextSeq = (side.nextSeq + data.length) >>> 0;
+    side.bytes += data.length;
+
+    const room = this.maxStreamBytes - side.storedBytes;
+    if (room <= 0) {
+      side.truncatedBytes += data.length;
+      return;
+    }
+
+    const stored = data.length > room ? data.subarray(0, room) : data;
+    side.truncatedBytes += data.length - stored.length;
+    side.data.push(Buffer.from(stored));
+    stream.chunks.push({ direction, packetId, timestamp, offset: side.storedBytes, length: stored.length });
+    side.storedBytes += stored.length;
+  }
+
+  /**
+   * Update the conversation for a TCP/UDP 5-tuple
+   */
+  trackConversation(protocol, from, to, packet, timestamp, stream) {
+    const key = `${protocol}|${stream ? `#${stream.index}` : this.tupleKey(from, to)}`;
+    let conversation = this.conversations.get(key);
+
+    if (!conversation) {
+      const a = stream ? stream.client : from;
+      const b = stream ? stream.server : to;
+      conversation = {
+        protocol,
+        addressA: a.address,
+        portA: a.port,
+        addressB: b.address,
+        portB: b.port,
+        streamIndex: stream ? stream.index : null,
+        packets: 0,
+        bytes: 0,
+        packetsAtoB: 0,
+        bytesAtoB: 0,
+        packetsBtoA: 0,
+        bytesBtoA: 0,
+        startTime: timestamp,
+        endTime: timestamp
+      };
+      this.conversations.set(key, conversation);
+    }
+
+    const bytes = packet.length || packet.hex.length;
+    const aToB = conversation.addressA === from.address && conversation.portA === from.port;
+    conversation.packets++;
+    conversation.bytes += bytes;
+    conversation[aToB ? 'packetsAtoB' : 'packetsBtoA']++;
+    conversation[aToB ? 'bytesAtoB' : 'bytesBtoA'] += bytes;
+    conversation.startTime = Math.min(conversation.startTime, timestamp);
+    conversation.endTime = Math.max(conversation.endTime, timestamp);
+  }
+
+  /**
+   * Get the conversations table
+   * @param {Object} [options]
+   * @param {string} [options.protocol] - 'tcp' or 'udp'
+   * @param {string} [options.sortBy='bytes'] - Numeric field to sort by (descending)
+   * @param {number} [options.limit] - Max rows
+   * @returns {Array} Conversations with duration in ms
+   */
+  getConversations(options = {}) {
+    const sortBy = options.sortBy || 'bytes';
+    let rows = Array.from(this.conversations.values())
+      .filter(c => !options.protocol || c.protocol === options.protocol)
+      .map(c => ({ ...c, duration: c.endTime - c.startTime }));
+
+    rows.sort((x, y) => (y[sortBy] ?? 0) - (x[sortBy] ?? 0));
+    if (options.limit) {
+      rows = rows.slice(0, options.limit);
+    }
+    return rows;
+  }
+
+  /**
+   * Follow a TCP stream
+   * @param {number} streamIndex - tcp.stream index
+   * @param {string} [encoding] - 'ascii', 'utf8' or 'hex' to return strings; Buffers otherwise
+   * @returns {Object|null} { stream, client, server, chunks }
+   */
+  follow(streamIndex, encoding) {
+    const stream = this.streams.get(streamIndex);
+    if (!stream) return null;
+
+    const encode = (buffer) => {
+      if (!encoding) return buffer;
+      if (encoding === 'ascii') {
+        return buffer.toString('latin1').replace(/[^\x09\x0a\x0d\x20-\x7e]/g, '.');
+      }
+      return buffer.toString(encoding);
+    };
+
+    const payloads = {
+      client: Buffer.concat(stream.client.data),
+      server: Buffer.concat(stream.server.data)
+    };
+
+    const side = (direction) => {
+      const s = stream[direction];
+      return {
+        address: s.address,
+        port: s.port,
+        packets: s.packets,
+        bytes: s.bytes,
+        retransmissions: s.retransmissions,
+        outOfOrder: s.outOfOrder,
+        missingBytes: s.missingBytes + this.pendingGap(s),
+        truncatedBytes: s.truncatedBytes,
+        payload: encode(payloads[direction])
+      };
+    };
+
+    return {
+      stream: this.summarize(stream),
+      client: side('client'),
+      server: side('server'),
+      chunks: stream.chunks.map(chunk => ({
+        direction: chunk.direction,
+        packetId: chunk.packetId,
+        timestamp: chunk.timestamp,
+        data: encode(payloads[chunk.direction].subarray(chunk.offset, chunk.offset + chunk.length))
+      }))
+    };
+  }
+
+  /**
+   * Packet IDs belonging to a TCP stream
+   */
+  getStreamPacketIds(streamIndex) {
+    return this.streams.get(streamIndex)?.packetIds.slice() || [];
+  }
+
+  /**
+   * List TCP streams
+   */
+  getStreams() {
+    return Array.from(this.streams.values()).map(stream => this.summarize(stream));
+  }
+
+  /**
+   * Helper: Stream summary without payload data
+   */
+  summarize(stream) {
+    return {
+      index: stream.index,
+      client: `${stream.client.address}:${stream.client.port}`,
+      server: `${stream.server.address}:${stream.server.port}`,
+      state: stream.state,
+      handshake: stream.handshake,
+      packets: stream.packets,
+      bytes: stream.bytes,
+      clientBytes: stream.client.bytes,
+      serverBytes: stream.server.bytes,
+      retransmissions: stream.client.retransmissions + stream.server.retransmissions,
+      startTime: stream.startTime,
+      endTime: stream.endTime,
+      duration: stream.endTime - stream.startTime
+    };
+  }
+
+  /**
+   * Helper: Per-direction reassembly state
+   */
+  createDirection(endpoint) {
+    return {
+      address: endpoint.address,
+      port: endpoint.port,
+      isn: null,
+      nextSeq: null,
+      pending: new Map(), // seq -> { seq, data, packetId, timestamp }
+      pendingBytes: 0,
+      maxPending: this.maxPendingBytes,
+      data: [],
+      storedBytes: 0,
+      bytes: 0,
+      packets: 0,
+      retransmissions: 0,
+      outOfOrder: 0,
+      missingBytes: 0,
+      truncatedBytes: 0,
+      fin: false
+    };
+  }
+
+  /**
+   * Helper: Bytes still missing in front of buffered out-of-order data
+   */
+  pendingGap(side) {
+    let gap = 0;
+    for (const seq of side.pending.keys()) {
+      const diff = this.seqDiff(seq, side.nextSeq);
+      if (diff > 0 && (gap === 0 || diff < gap)) gap = diff;
+    }
+    return gap;
+  }
+
+  /**
+   * Helper: Forget the oldest streams over the limit
+   */
+  pruneStreams() {
+    while (this.streams.size > this.maxStreams) {
+      const [index, stream] = this.streams.entries().next().value;
+      this.streams.delete(index);
+      const key = this.tupleKey(stream.client, stream.server);
+      if (this.streamKeys.get(key) === index) {
+        this.streamKeys.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Helper: Direction-independent key for an address/port pair
+   */
+  tupleKey(a, b) {
+    const left = `${a.address}|${a.port}`;
+    const right = `${b.address}|${b.port}`;
+    return left < right ? `${left}|${right}` : `${right}|${left}`;
+  }
+
+  /**
+   * Helper: Whether an endpoint is the given direction's sender
+   */
+  isFrom(side, endpoint) {
+    return side.address === endpoint.address && side.port === endpoint.port;
+  }
+
+  /**
+   * Helper: Signed distance between two sequence numbers (mod 2^32)
+   */
+  seqDiff(a, b) {
+    return (a - b) | 0;
+  }
+
+  /**
+   * Release all stream state
+   */
+  clear() {
+    this.streams.clear();
+    this.streamKeys.clear();
+    this.conversations.clear();
+  }
+}
+
+module.exports = { StreamTracker };
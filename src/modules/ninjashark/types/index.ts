@@ -22,6 +22,12 @@ export interface Packet {
   info: string;
   hex: Uint8Array | Buffer;
   truncated?: boolean;
+  linkType?: number;
+  /** Transport protocol when `protocol` names the application layer */
+  transport?: 'TCP' | 'UDP';
+  /** tcp.stream index assigned by the stream tracker */
+  tcpStream?: number;
+  interface?: string;
   layers: PacketLayer[];
 }
 
@@ -47,18 +53,321 @@ export interface CaptureSession {
   bytesCount: number;
   droppedPackets?: number;
   active: boolean;
+  source?: 'live' | 'file';
+  filepath?: string;
+  format?: 'pcapng' | 'pcap';
+  truncated?: boolean;
+  autoStop?: AutoStopConditions | null;
+  schedule?: { id: string; name: string; windowStart: number; windowEnd: number } | null;
+  stopReason?: CaptureStopReason | null;
+  endTime?: number | null;
+  triggeredBy?: { alertId: string; ruleId?: string; message: string; timestamp: number };
+}
+
+export type CaptureStopReason = 'manual' | 'packets' | 'bytes' | 'duration' | 'anomaly' | 'schedule' | 'error';
+
+export interface RingFileOptions {
+  /** Output directory (default Documents/NinjaShark/captures) */
+  directory?: string;
+  prefix?: string;
+  /** Bytes per file before rotating */
+  maxFileSize?: number;
+  /** ms per file before rotating */
+  maxFileDuration?: number;
+  /** Files kept on disk; the oldest is deleted first */
+  maxFiles?: number;
+}
+
+export interface RingFileStats {
+  directory: string;
+  maxFileSize: number;
+  maxFileDuration: number;
+  maxFiles: number;
+  currentFile: string | null;
+  filesCreated: number;
+  deletedFiles: number;
+  bytesWritten: number;
+  packetsWritten: number;
+  files: Array<{ path: string; index: number; startTime: number; bytes: number; packets: number }>;
+}
+
+export interface AutoStopConditions {
+  packets?: number | null;
+  bytes?: number | null;
+  /** ms after start */
+  duration?: number | null;
+  /** true for any alert in the session, or match on severity (and above), type, rule */
+  anomaly?: boolean | { severity?: 'low' | 'medium' | 'high'; type?: string; ruleId?: string } | null;
+  /** Keep capturing this many ms after the anomaly */
+  anomalyDelay?: number;
+}
+
+export interface CaptureSchedule {
+  id: string;
+  name?: string;
+  interface: string;
+  filter?: string;
+  /** Daily local-time window (may cross midnight), or a one-off window */
+  window: { start: string; end: string; days?: number[] } | { startAt: number | string; endAt: number | string };
+  capture?: PacketBufferOptions & { ringFile?: RingFileOptions; autoStop?: AutoStopConditions };
+  enabled?: boolean;
+  nextRun?: { start: number; end: number } | null;
+  activeSessionId?: string | null;
+  runs?: string[];
+  lastError?: string | null;
+}
+
+export interface Conversation {
+  protocol: 'tcp' | 'udp';
+  /** Initiator (TCP client or first UDP sender) */
+  addressA: string;
+  portA: number;
+  addressB: string;
+  portB: number;
+  /** tcp.stream index for TCP conversations */
+  streamIndex: number | null;
+  packets: number;
+  bytes: number;
+  packetsAtoB: number;
+  bytesAtoB: number;
+  packetsBtoA: number;
+  bytesBtoA: number;
+  startTime: number;
+  endTime: number;
+  duration: number;
 }
 
+export interface TcpStreamSummary {
+  index: number;
+  client: string;
+  server: string;
+  state: 'open' | 'closed' | 'reset';
+  /** Whether the SYN was seen */
+  handshake: boolean;
+  packets: number;
+  bytes: number;
+  clientBytes: number;
+  serverBytes: number;
+  retransmissions: number;
+  startTime: number;
+  endTime: number;
+  duration: number;
+}
+
+export interface StreamSide {
+  address: string;
+  port: number;
+  packets: number;
+  bytes: number;
+  retransmissions: number;
+  outOfOrder: number;
+  missingBytes: number;
+  truncatedBytes: number;
+  payload: string;
+}
+
+export interface FollowStreamResult {
+  stream: TcpStreamSummary;
+  client: StreamSide;
+  server: StreamSide;
+  chunks: Array<{ direction: 'client' | 'server'; packetId: number; timestamp: number; data: string }>;
+}
+
+export interface ProtocolHierarchyNode {
+  protocol: string;
+  packets: number;
+  bytes: number;
+  percentPackets: number;
+  percentBytes: number;
+  children: ProtocolHierarchyNode[];
+}
+
+export interface Endpoint {
+  /** IP address or MAC address */
+  address: string;
+  packets: number;
+  bytes: number;
+  txPackets: number;
+  txBytes: number;
+  rxPackets: number;
+  rxBytes: number;
+  firstSeen: number;
+  lastSeen: number;
+  percentBytes: number;
+}
+
+export interface IOGraphPoint {
+  /** Interval start (ms) */
+  time: number;
+  packets: number;
+  bytes: number;
+  packetsPerSecond: number;
+  bitsPerSecond: number;
+  retransmissions: number;
+  /** Average ACK round-trip time in the interval (ms) */
+  avgRtt: number | null;
+}
+
+export interface RttSummary {
+  samples: number;
+  min: number | null;
+  avg: number | null;
+  max: number | null;
+  median: number | null;
+  p95: number | null;
+}
+
+export interface CaptureStatistics {
+  sessionId: string;
+  packets: number;
+  bytes: number;
+  startTime: number | null;
+  endTime: number | null;
+  duration: number;
+  protocolHierarchy: ProtocolHierarchyNode;
+  endpoints: { ip: Endpoint[]; eth: Endpoint[]; dropped: number };
+  ioGraph: {
+    /** Interval actually used (a multiple of the current resolution) */
+    interval: number;
+    resolution: number;
+    points: IOGraphPoint[];
+  };
+  tcp: {
+    connections: number;
+    segments: number;
+    dataSegments: number;
+    retransmissions: number;
+    resets: number;
+    /** Retransmitted segments / TCP segments */
+    retransmissionRate: number;
+    rtt: RttSummary;
+    /** SYN to SYN/ACK as seen from the capture point */
+    handshakeRtt: RttSummary;
+  };
+}
+
+export interface PacketBufferOptions {
+  /** Packets kept in memory (default 100000) */
+  bufferPackets?: number;
+  /** Captured bytes kept in memory (default 256MB) */
+  bufferBytes?: number;
+  /** Spill evicted packets to disk instead of dropping them */
+  spillToDisk?: boolean;
+  /** ninjashark:openFile only: BPF filter applied to the file's records */
+  captureFilter?: string;
+}
+
+export interface PacketBufferStats {
+  capacity: number;
+  maxBytes: number;
+  inMemory: number;
+  bytesInMemory: number;
+  spilled: number;
+  spillBytes: number;
+  dropped: number;
+  available: number;
+  firstId: number;
+  lastId: number;
+  spillPath: string | null;
+}
+
+export interface PacketQuery {
+  startId?: number;
+  endId?: number;
+  /** Time window start (ms since epoch, inclusive) */
+  from?: number;
+  /** Time window end (ms since epoch, inclusive) */
+  to?: number;
+  /** Display filter expression */
+  filter?: string;
+  offset?: number;
+  limit?: number;
+}
+
+export interface PacketPage {
+  sessionId: string;
+  packets: Packet[];
+  /** Number of packets matching the query */
+  total: number;
+  offset: number;
+  limit: number;
+  firstId: number;
+  lastId: number;
+}
+
+/** ninjashark:packets - packets captured since the previous notification */
+export interface PacketSummaryNotification {
+  sessionId: string;
+  newPackets: number;
+  newBytes: number;
+  /** Packet ID range covered by this notification */
+  firstId: number;
+  lastId: number;
+  lastTimestamp: number;
+  /** New packets per protocol */
+  protocols: Record<string, number>;
+  /** Session totals */
+  packetCount: number;
+  bytesCount: number;
+}
+
+export type AlertSeverity = 'low' | 'medium' | 'high';
+
 export interface AnomalyAlert {
   id: string;
   timestamp: number;
-  type: 'arp-flood' | 'port-scan' | 'dns-tunneling' | 'ddos-pattern' | 'suspicious-protocol' | 'custom';
-  severity: 'low' | 'medium' | 'high';
+  // Built-in types, or any type declared by a custom rule
+  type: 'arp-flood' | 'port-scan' | 'dns-tunneling' | 'ddos-pattern' | 'suspicious-protocol' | 'custom' | string;
+  severity: AlertSeverity;
   message: string;
   feudalMessage: string;
+  ruleId?: string;
+  siteId?: string | null;
+  sessionId?: string | null;
   packetId?: number;
   details: any;
   acknowledged: boolean;
+  acknowledgedAt?: number | null;
+  acknowledgedBy?: string | null;
+  history?: AlertAck[];
+}
+
+export interface AlertAck {
+  action: 'acknowledge' | 'reopen';
+  user: string | null;
+  note: string | null;
+  timestamp: number;
+}
+
+export interface AlertTicketPolicy {
+  enabled: boolean;
+  minSeverity: AlertSeverity;
+  companyId: number | null;
+  boardId: number | null;
+  priorityId: number | null;
+  sites: Record<string, { companyId: number; boardId?: number; priorityId?: number }>;
+  dedupeWindow: number; // ms since the last repeat
+  attachPcap: boolean;
+  maxPcapPackets: number;
+  ticketingAvailable?: boolean;
+}
+
+export interface AnomalyRule {
+  id: string;
+  name?: string;
+  description?: string;
+  type: string;
+  severity: AlertSeverity;
+  match?: string; // display filter
+  groupBy?: string | string[];
+  window?: number; // ms, 0 = per packet
+  aggregate?: 'count' | 'distinct' | 'sum';
+  field?: string | string[];
+  threshold?: number; // alert when aggregate > threshold
+  suppress?: { window: number; by?: string[] };
+  message?: string; // supports {field.name}, {value}, {threshold}, {window}, {windowSeconds}
+  feudalMessage?: string;
+  enabled?: boolean;
 }
 
 export interface NetworkStats {
@@ -72,4 +381,17 @@ export interface BPFFilter {
   expression: string;
   valid: boolean;
   error?: string;
+  /** Character offset of the offending token */
+  position?: number;
+  /** Length of the offending token */
+  length?: number;
+}
+
+export interface FilterValidation {
+  valid: boolean;
+  error: string | null;
+  position?: number;
+  length?: number;
+  /** Capture filters only: valid libpcap syntax that is compiled by libpcap, not evaluated in JavaScript */
+  warning?: string;
 }
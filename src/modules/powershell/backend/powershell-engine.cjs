@@ -12,6 +12,16 @@
  * - Environment variable management
  * - Execution policies and privilege detection
  * - Performance monitoring (<50ms command dispatch)
+ * - Deterministic command completion via per-command sentinel markers, with
+ *   $? / $LASTEXITCODE, a separate error stream and ANSI-free output
+ * - Structured mode: pipeline output serialized in the session as typed JSON
+ *   rows with column metadata, exportable to CSV
+ * - Remote sessions from stored profiles: SSH remoting (pwsh -s subsystem) or
+ *   WinRM, credentials from the secure CredentialStore
+ * - Sessions tagged with their ConnectWise company/configuration; command
+ *   history kept per remote target
+ * - Sessions recorded as asciicast v2 (commands as typed, not their marker
+ *   wrapper; remote passwords redacted)
  *
  * Integration:
  * - Prompt 0 v3: Uses Feudal Tokyo Dark theme
@@ -24,18 +34,63 @@ const { EventEmitter } = require('events');
 const os = require('os');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { AsciicastRecorder } = require('../../../backend/session-recorder.cjs');
+
+// CSI, OSC and two-character escape sequences
+const DEFAULT_MAX_ROWS = 10000;
+const REMOTE_SECRET_ENV = 'NTK_REMOTE_SECRET';
+
+// .NET value types reported as column types for structured output
+const COLUMN_TYPES = {
+  'System.String': 'string',
+  'System.Char': 'string',
+  'System.Guid': 'string',
+  'System.Boolean': 'boolean',
+  'System.Byte': 'number',
+  'System.SByte': 'number',
+  'System.Int16': 'number',
+  'System.UInt16': 'number',
+  'System.Int32': 'number',
+  'System.UInt32': 'number',
+  'System.Int64': 'number',
+  'System.UInt64': 'number',
+  'System.Single': 'number',
+  'System.Double': 'number',
+  'System.Decimal': 'number',
+  'System.DateTime': 'datetime',
+  'System.DateTimeOffset': 'datetime'
+};
+
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -\/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
 
 class PowerShellEngine extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.profiles] - RemoteProfileStore with the remoting targets
+   * @param {Object} [options.credentials] - CredentialStore holding profile credentials
+   * @param {string} [options.historyDir] - Directory for per-target history files
+   * @param {string} [options.recordingsDir] - Directory for session recordings (.cast)
+   */
+  constructor(options = {}) {
     super();
 
     // Active sessions
     this.sessions = new Map();
     this.sessionIdCounter = 1;
 
-    // Command history (persistent)
+    // Remote targets
+    this.profiles = options.profiles || null;
+    this.credentials = options.credentials || null;
+
+    // Command history (persistent; local history plus one file per remote target)
     this.historyFile = path.join(os.homedir(), '.ninja-toolkit-ps-history');
+    this.historyDir = options.historyDir || path.join(os.homedir(), '.ninja-toolkit-ps-history.d');
     this.history = this.loadHistory();
+    this.targetHistories = new Map(); // profile id -> commands
+
+    // Session recordings
+    this.recordingsDir = options.recordingsDir || path.join(os.homedir(), '.ninja-toolkit-recordings');
 
     // Performance monitoring
     this.metrics = {
@@ -113,6 +168,9 @@ class PowerShellEngine extends EventEmitter {
 
   /**
    * Create new PowerShell session
+   * @param {Object} [options] - { cols, rows, cwd, env, executionPolicy, profileId, profile, connectwise, connectTimeout, record }
+   *   profileId opens a remoting session to a stored target, profile to an unsaved one; connectwise tags
+   *   ({ companyId, companyName, configurationId, configurationName }) override the profile's
    */
   async createSession(options = {}) {
     const sessionId = `ps-${this.sessionIdCounter++}`;
@@ -125,24 +183,46 @@ class PowerShellEngine extends EventEmitter {
       executionPolicy = 'RemoteSigned'
     } = options;
 
-    console.log(`Creating PowerShell session ${sessionId}...`);
+    let profile = null;
+    let credential = null;
+    if (options.profile) {
+      profile = this.profiles ? this.profiles.validate(options.profile) : options.profile;
+    } else if (options.profileId) {
+      profile = this.profiles?.get(options.profileId);
+      if (!profile) {
+        throw new Error(`PowerShell profile ${options.profileId} not found`);
+      }
+    }
+    if (profile) {
+      if (profile.credentialId) {
+        if (!this.credentials) {
+          throw new Error('No credential store configured');
+        }
+        credential = this.credentials.resolve(profile.credentialId);
+      }
+    }
+
+    console.log(`Creating PowerShell session ${sessionId}${profile ? ` (${profile.transport} ${profile.host})` : ''}...`);
 
     try {
-      // Spawn PTY process
+      // WinRM passwords reach the shell through its environment, never the terminal
+      const spawnEnv = { ...env, TERM: 'xterm-256color', COLORTERM: 'truecolor' };
+      if (profile?.transport === 'winrm' && credential?.kind === 'password') {
+        spawnEnv[REMOTE_SECRET_ENV] = credential.secret;
+      }
+
+      // Spawn PTY process (no user profile for remote sessions: predictable prompt)
       const ptyProcess = pty.spawn(this.powershellPath, [
         '-NoLogo',
         '-NoExit',
+        ...(profile ? ['-NoProfile'] : []),
         '-ExecutionPolicy', executionPolicy
       ], {
         name: 'xterm-256color',
         cols,
         rows,
         cwd,
-        env: {
-          ...env,
-          TERM: 'xterm-256color',
-          COLORTERM: 'truecolor'
-        }
+        env: spawnEnv
       });
 
       // Session metadata
@@ -153,12 +233,21 @@ class PowerShellEngine extends EventEmitter {
         startTime: Date.now(),
         commandCount: 0,
         outputBuffer: '',
-        listeners: new Set()
+        listeners: new Set(),
+        commandQueue: Promise.resolve(), // executeCommand calls run one at a time
+        target: profile ? profile.id : null,
+        remote: profile ? { profileId: profile.id, name: profile.name, transport: profile.transport, host: profile.host } : null,
+        tags: profile?.connectwise || options.connectwise
+          ? { ...profile?.connectwise, ...options.connectwise }
+          : null,
+        tempFiles: [],
+        recorder: options.record === false ? null : this.startRecording(sessionId, profile, credential, cols, rows)
       };
 
       // Handle PTY data
       ptyProcess.on('data', (data) => {
         session.outputBuffer += data;
+        session.recorder?.output(data);
         this.emit('output', { sessionId, data });
 
         // Notify all listeners
@@ -169,6 +258,8 @@ class PowerShellEngine extends EventEmitter {
       ptyProcess.on('exit', (code) => {
         console.log(`PowerShell session ${sessionId} exited with code ${code}`);
         this.emit('exit', { sessionId, code });
+        session.recorder?.stop();
+        this.removeTempFiles(session);
         this.sessions.delete(sessionId);
       });
 
@@ -177,8 +268,20 @@ class PowerShellEngine extends EventEmitter {
       // Get PowerShell version
       await this.getPowerShellVersion(sessionId);
 
+      if (profile) {
+        try {
+          await this.connectRemote(session, profile, credential, options.connectTimeout);
+        } catch (error) {
+          this.removeTempFiles(session);
+          session.recorder?.stop();
+          ptyProcess.kill();
+          this.sessions.delete(sessionId);
+          throw error;
+        }
+      }
+
       console.log(`PowerShell session ${sessionId} created successfully`);
-      return { sessionId, pid: ptyProcess.pid };
+      return { sessionId, pid: ptyProcess.pid, target: session.target, remote: session.remote, tags: session.tags };
 
     } catch (error) {
       console.error(`Failed to create PowerShell session:`, error);
@@ -186,8 +289,146 @@ class PowerShellEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Enter a remoting session inside a freshly spawned local shell
+   *
+   * Enter-PSSession must be typed at the prompt, so the line is written to the
+   * PTY and the next prompt awaited. SSH password prompts are answered from the
+   * credential; unknown host keys are refused. A probe of $PSSenderInfo then
+   * confirms the prompt is the remote one.
+   */
+  async connectRemote(session, profile, credential, timeout = 30000) {
+    const quote = (text) => `'${String(text).replace(/'/g, "''")}'`;
+    const username = credential?.username || profile.username;
+    const args = [];
+    let cleanup = '';
+
+    if (profile.transport === 'ssh') {
+      args.push('-HostName', quote(profile.host));
+      if (username) args.push('-UserName', quote(username));
+      if (profile.port) args.push('-Port', profile.port);
+
+      let keyFilePath = profile.keyFilePath;
+      if (credential?.kind === 'privateKey') {
+        // ssh reads keys from disk: stage the decrypted key for the connection only
+        keyFilePath = path.join(os.tmpdir(), `ntk-key-${crypto.randomBytes(8).toString('hex')}`);
+        fs.writeFileSync(keyFilePath, credential.secret.endsWith('\n') ? credential.secret : credential.secret + '\n', { mode: 0o600 });
+        session.tempFiles.push(keyFilePath);
+      }
+      if (keyFilePath) args.push('-KeyFilePath', quote(keyFilePath));
+    } else {
+      args.push('-ComputerName', quote(profile.host));
+      if (profile.port) args.push('-Port', profile.port);
+      if (profile.useSSL) args.push('-UseSSL');
+      if (profile.authentication) args.push('-Authentication', profile.authentication);
+      if (profile.configurationName) args.push('-ConfigurationName', quote(profile.configurationName));
+
+      if (credential?.kind === 'password') {
+        await this.executeCommand(session.id, [
+          `$global:NtkRemoteCredential = [pscredential]::new(${quote(username)}, (ConvertTo-SecureString $env:${REMOTE_SECRET_ENV} -AsPlainText -Force))`,
+          `Remove-Item Env:${REMOTE_SECRET_ENV}`
+        ].join('; '), { timeout, history: false });
+        args.push('-Credential', '$NtkRemoteCredential');
+        // Same line: runs in the local runspace once Enter-PSSession returns, whether or not it connected
+        cleanup = '; Remove-Variable -Name NtkRemoteCredential -Scope Global -ErrorAction SilentlyContinue';
+      }
+    }
+
+    const transcript = await this.enterRemote(session, `Enter-PSSession ${args.join(' ')}${cleanup}`, credential, timeout);
+
+    const probe = await this.executeCommand(session.id, '[bool]$PSSenderInfo', { timeout, history: false });
+    this.removeTempFiles(session);
+    if (probe.output.trim() !== 'True') {
+      const reason = transcript.split('\n').map(line => line.trim()).filter(Boolean).slice(-3).join(' ');
+      throw new Error(`Could not connect to ${profile.host}: ${reason || 'remote session was not entered'}`);
+    }
+
+    console.log(`✓ PowerShell session ${session.id} connected to ${profile.host} over ${profile.transport}`);
+  }
+
+  /**
+   * Helper: Type Enter-PSSession and wait for the next prompt, answering
+   * SSH password prompts and refusing host key confirmation
+   * @returns {Promise<string>} ANSI-free terminal text seen while connecting
+   */
+  enterRemote(session, line, credential, timeout) {
+    return new Promise((resolve, reject) => {
+      let transcript = '';
+      let answered = false;
+
+      const done = (error) => {
+        clearTimeout(timeoutId);
+        session.listeners.delete(handler);
+        if (error) reject(error);
+        else resolve(transcript);
+      };
+
+      const handler = (data) => {
+        transcript += this.stripAnsi(data);
+
+        // Prompts only count after the typed line (a late local prompt may still arrive)
+        const lineEnd = transcript.indexOf('\n');
+        if (lineEnd === -1) return;
+        const tail = transcript.slice(lineEnd + 1).slice(-200);
+
+        if (/password:\s*$/i.test(tail)) {
+          if (answered || credential?.kind !== 'password') {
+            this.sendInput(session, '\x03');
+            done(new Error('SSH authentication failed'));
+            return;
+          }
+          answered = true;
+          transcript += '\n';
+          this.sendInput(session, credential.secret + '\r', { secret: true });
+        } else if (/passphrase for key[^\n]*:\s*$/i.test(tail)) {
+          this.sendInput(session, '\x03');
+          done(new Error('Passphrase-protected SSH keys are not supported'));
+        } else if (/\(yes\/no[^)]*\)\?\s*$/i.test(tail)) {
+          this.sendInput(session, 'no\r');
+          done(new Error('SSH host key is not trusted yet; verify it in an interactive session first'));
+        } else if (/PS [^\n]*>\s*$/.test(tail)) {
+          done();
+        }
+      };
+
+      const timeoutId = setTimeout(() => {
+        this.sendInput(session, '\x03');
+        done(new Error(`Remote connection timeout after ${timeout}ms`));
+      }, timeout);
+
+      session.listeners.add(handler);
+      this.sendInput(session, line + '\r');
+    });
+  }
+
+  /**
+   * Helper: Delete staged key files
+   */
+  removeTempFiles(session) {
+    for (const file of session.tempFiles.splice(0)) {
+      try {
+        fs.unlinkSync(file);
+      } catch (error) {
+        // Already removed
+      }
+    }
+  }
+
   /**
    * Execute command in session
+   *
+   * The command is wrapped in a script that prints a begin marker, runs the
+   * command in the session scope with its error stream split off, and prints an
+   * end marker carrying a base64 JSON status. Completion is the end marker, not
+   * a delay. Markers are built from a random id and the wrapper is sent base64
+   * encoded, so the echoed input line can never match them.
+   *
+   * @param {string} sessionId - Session to run in
+   * @param {string} command - PowerShell command (may span several lines)
+   * @param {Object} [options]
+   * @param {number} [options.timeout=30000] - ms before the command is interrupted (Ctrl+C)
+   * @param {boolean} [options.history=true] - Record the command in the session target's history
+   * @returns {Promise<Object>} { output, errors, succeeded, exitCode, lastExitCode, executionTime, commandNumber }
    */
   async executeCommand(sessionId, command, options = {}) {
     const session = this.sessions.get(sessionId);
@@ -195,70 +436,285 @@ class PowerShellEngine extends EventEmitter {
       throw new Error(`Session ${sessionId} not found`);
     }
 
-    const startTime = Date.now();
-    const { timeout = 30000 } = options;
-
     // Add to history
-    if (command.trim() && !command.startsWith('#')) {
-      this.addToHistory(command);
+    if (options.history !== false && command.trim() && !command.startsWith('#')) {
+      this.addToHistory(command, session.target);
+    }
+
+    // Commands share one PTY, so they must not interleave
+    const run = session.commandQueue.then(() => this.runCommand(session, command, options));
+    session.commandQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run a pipeline and return its output objects as typed rows
+   *
+   * Objects are serialized in the session: scalars become a single "Value"
+   * column; other objects contribute their default display properties (what
+   * Format-Table shows) or the requested properties. Dates are ISO 8601
+   * strings; enums and nested objects are converted to strings.
+   *
+   * @param {string} sessionId - Session to run in
+   * @param {string} pipeline - PowerShell pipeline, e.g. 'Get-Service | Where-Object Status -eq Running'
+   * @param {Object} [options]
+   * @param {Array<string>} [options.properties] - Columns to return (default: display properties)
+   * @param {number} [options.maxRows=10000] - Rows returned; totalRows reports the full count
+   * @param {number} [options.timeout=30000]
+   * @returns {Promise<Object>} { columns, rows, totalRows, truncated, errors, succeeded, exitCode, ... }
+   */
+  async executeStructured(sessionId, pipeline, options = {}) {
+    const { properties = [], maxRows = DEFAULT_MAX_ROWS } = options;
+    if (!Array.isArray(properties) || properties.some(name => typeof name !== 'string' || !name)) {
+      throw new Error('properties must be a list of property names');
+    }
+    if (!Number.isInteger(maxRows) || maxRows < 1) {
+      throw new Error('maxRows must be a positive integer');
+    }
+
+    return this.executeCommand(sessionId, pipeline, { ...options, structured: { properties, maxRows } });
+  }
+
+  /**
+   * Write structured output to a CSV file
+   * @param {Object} result - executeStructured result ({ columns, rows })
+   * @param {string} filepath - Destination file
+   * @returns {Object} { filepath, rows, bytes }
+   */
+  exportCsv(result, filepath) {
+    if (!result || !Array.isArray(result.columns) || !Array.isArray(result.rows)) {
+      throw new Error('Nothing to export: expected { columns, rows }');
+    }
+
+    const names = result.columns.map(column => column.name);
+    const lines = [names.map(name => this.csvField(name)).join(',')];
+    for (const row of result.rows) {
+      lines.push(names.map(name => this.csvField(row[name])).join(','));
+    }
+
+    // BOM so Excel opens UTF-8 correctly
+    const content = '\ufeff' + lines.join('\r\n') + '\r\n';
+    fs.writeFileSync(filepath, content, 'utf8');
+    return { filepath, rows: result.rows.length, bytes: Buffer.byteLength(content) };
+  }
+
+  /**
+   * Helper: Quote a CSV field when needed
+   */
+  csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Helper: Write a wrapped command and wait for its end marker
+   */
+  runCommand(session, command, options) {
+    if (!this.sessions.has(session.id)) {
+      return Promise.reject(new Error(`Session ${session.id} not found`));
     }
 
+    const startTime = Date.now();
+    const { timeout = 30000 } = options;
+    const id = crypto.randomBytes(8).toString('hex');
+    const beginMarker = `__NTK_BEGIN_${id}__`;
+    const endMarker = `__NTK_END_${id}__`;
+
     // Performance tracking
     session.commandCount++;
     this.metrics.commandsExecuted++;
 
     return new Promise((resolve, reject) => {
       let outputCapture = '';
-      let timeoutId;
+      let searchFrom = 0;
+
+      const finish = () => {
+        clearTimeout(timeoutId);
+        session.listeners.delete(outputHandler);
+        session.ptyProcess.removeListener?.('exit', exitHandler);
+      };
 
-      // Capture output
+      // Capture output until the end marker and its closing "__" arrive
       const outputHandler = (data) => {
         outputCapture += data;
+
+        const endIndex = outputCapture.indexOf(endMarker, searchFrom);
+        if (endIndex === -1) {
+          searchFrom = Math.max(0, outputCapture.length - endMarker.length);
+          return;
+        }
+        const closeIndex = outputCapture.indexOf('__', endIndex + endMarker.length);
+        if (closeIndex === -1) return;
+
+        finish();
+
+        let status;
+        try {
+          // Long status lines may be wrapped by the terminal
+          const encoded = this.stripAnsi(outputCapture.slice(endIndex + endMarker.length, closeIndex)).replace(/\s+/g, '');
+          status = JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+        } catch (error) {
+          reject(new Error(`Could not read command status: ${error.message}`));
+          return;
+        }
+
+        const beginIndex = outputCapture.indexOf(beginMarker);
+        const output = this.stripAnsi(
+          outputCapture.slice(beginIndex === -1 ? 0 : beginIndex + beginMarker.length, endIndex)
+        ).replace(/^\n/, '').replace(/\n$/, '');
+
+        // Performance metrics
+        const executionTime = Date.now() - startTime;
+        this.metrics.totalExecutionTime += executionTime;
+        this.metrics.averageExecutionTime =
+          this.metrics.totalExecutionTime / this.metrics.commandsExecuted;
+
+        const lastExitCode = typeof status.lastExitCode === 'number' ? status.lastExitCode : null;
+        const result = {
+          output,
+          errors: [].concat(status.errors || []),
+          succeeded: status.succeeded === true,
+          exitCode: lastExitCode ?? (status.succeeded ? 0 : 1),
+          lastExitCode,
+          executionTime,
+          commandNumber: session.commandCount
+        };
+        if (options.structured) {
+          Object.assign(result, this.structuredResult(status.result));
+        }
+        resolve(result);
       };
 
-      session.listeners.add(outputHandler);
+      const exitHandler = () => {
+        finish();
+        reject(new Error('PowerShell session exited before the command completed'));
+      };
 
-      // Set timeout
-      timeoutId = setTimeout(() => {
-        session.listeners.delete(outputHandler);
+      session.listeners.add(outputHandler);
+      session.ptyProcess.on?.('exit', exitHandler);
+
+      // Set timeout: interrupt the command so later commands can run
+      const timeoutId = setTimeout(() => {
+        finish();
+        try {
+          this.sendInput(session, '\x03');
+        } catch (error) {
+          // Session already gone
+        }
         reject(new Error(`Command timeout after ${timeout}ms`));
       }, timeout);
 
-      // Write command to PTY
+      // Write command to PTY (recorded as typed, without the wrapper)
       try {
-        session.ptyProcess.write(command + '\r');
-
-        // Wait for command completion (heuristic: prompt appears)
-        // In production, this would use PowerShell's $PSCommandHistory
-        setTimeout(() => {
-          clearTimeout(timeoutId);
-          session.listeners.delete(outputHandler);
-
-          // Performance metrics
-          const executionTime = Date.now() - startTime;
-          this.metrics.totalExecutionTime += executionTime;
-          this.metrics.averageExecutionTime =
-            this.metrics.totalExecutionTime / this.metrics.commandsExecuted;
-
-          if (executionTime > 50) {
-            console.warn(`Slow command execution: ${executionTime}ms`);
-          }
-
-          resolve({
-            output: outputCapture,
-            executionTime,
-            commandNumber: session.commandCount
-          });
-        }, 500); // Simple delay heuristic
-
+        session.ptyProcess.write(this.buildCommandWrapper(command, beginMarker, endMarker, options.structured) + '\r');
+        session.recorder?.input(command + '\r');
       } catch (error) {
-        clearTimeout(timeoutId);
-        session.listeners.delete(outputHandler);
+        finish();
         reject(error);
       }
     });
   }
 
+  /**
+   * Helper: One-line PowerShell input that runs a command between markers
+   *
+   * The command is dot-sourced so variables, functions and location persist in
+   * the session. $? is read right after the command's last statement; error
+   * records are collected instead of printed. In structured mode the other
+   * output objects are collected and serialized into the status as well.
+   */
+  buildCommandWrapper(command, beginMarker, endMarker, structured = null) {
+    const encode = (text) => Buffer.from(text, 'utf8').toString('base64');
+    const quote = (text) => `'${text.replace(/'/g, "''")}'`;
+    const body = `${command}\n$global:__ntkSucceeded = $?`;
+
+    // Builds $__ntkResult = { columns: [{ name, type }], rows, total } from $global:__ntkItems
+    const serialize = structured ? [
+      `$__ntkSelect = @(${structured.properties.map(quote).join(', ')})`,
+      '$__ntkColumns = [ordered]@{}',
+      '$__ntkRows = [System.Collections.Generic.List[object]]::new()',
+      `foreach ($__ntkItem in ($global:__ntkItems | Select-Object -First ${structured.maxRows})) {`,
+      '  if ($null -eq $__ntkItem) { continue }',
+      '  if ($__ntkItem -is [string] -or $__ntkItem -is [ValueType]) {',
+      "    $__ntkPairs = @(@{ Name = 'Value'; Value = $__ntkItem })",
+      '  } elseif ($__ntkItem -is [System.Collections.IDictionary]) {',
+      '    $__ntkNames = if ($__ntkSelect.Count) { $__ntkSelect } else { @($__ntkItem.Keys) }',
+      '    $__ntkPairs = foreach ($__ntkN in $__ntkNames) { @{ Name = [string]$__ntkN; Value = $__ntkItem[$__ntkN] } }',
+      '  } else {',
+      '    $__ntkNames = if ($__ntkSelect.Count) { $__ntkSelect } else { $__ntkItem.PSStandardMembers.DefaultDisplayPropertySet.ReferencedPropertyNames }',
+      '    if (-not $__ntkNames) { $__ntkNames = $__ntkItem.PSObject.Properties.Name }',
+      '    $__ntkPairs = foreach ($__ntkN in $__ntkNames) { @{ Name = $__ntkN; Value = $__ntkItem.$__ntkN } }',
+      '  }',
+      '  $__ntkRow = [ordered]@{}',
+      '  foreach ($__ntkP in $__ntkPairs) {',
+      '    $__ntkV = $__ntkP.Value',
+      '    if (-not $__ntkColumns.Contains($__ntkP.Name)) { $__ntkColumns[$__ntkP.Name] = $null }',
+      '    if ($null -eq $__ntkColumns[$__ntkP.Name] -and $null -ne $__ntkV) { $__ntkColumns[$__ntkP.Name] = $__ntkV.GetType().FullName }',
+      '    $__ntkRow[$__ntkP.Name] = if ($null -eq $__ntkV) { $null }',
+      "      elseif ($__ntkV -is [datetime] -or $__ntkV -is [datetimeoffset]) { $__ntkV.ToString('o') }",
+      '      elseif ($__ntkV -is [bool] -or ($__ntkV -is [ValueType] -and $__ntkV -isnot [enum] -and $__ntkV -isnot [char] -and $__ntkV -isnot [guid] -and $__ntkV -isnot [timespan])) { $__ntkV }',
+      '      else { [string]$__ntkV }',
+      '  }',
+      '  $__ntkRows.Add($__ntkRow)',
+      '}',
+      '$__ntkResult = @{',
+      '  columns = @(foreach ($k in $__ntkColumns.Keys) { @{ name = $k; type = $__ntkColumns[$k] } })',
+      '  rows = $__ntkRows',
+      '  total = $global:__ntkItems.Count',
+      '}'
+    ] : ['$__ntkResult = $null'];
+
+    const script = [
+      '$global:__ntkErrors = [System.Collections.Generic.List[string]]::new()',
+      '$global:__ntkItems = [System.Collections.Generic.List[object]]::new()',
+      '$global:__ntkSucceeded = $true',
+      '$global:LASTEXITCODE = $null',
+      `Write-Host '${beginMarker}'`,
+      'try {',
+      `  . ([scriptblock]::Create([Text.Encoding]::UTF8.GetString([Convert]::FromBase64String('${encode(body)}')))) 2>&1 | ForEach-Object {`,
+      '    if ($_ -is [System.Management.Automation.ErrorRecord]) { $global:__ntkErrors.Add(($_ | Out-String).Trim()) } else { $_ }',
+      `  } | ${structured ? 'ForEach-Object { $global:__ntkItems.Add($_) }' : 'Out-Host'}`,
+      '} catch {',
+      '  $global:__ntkErrors.Add(($_ | Out-String).Trim())',
+      '  $global:__ntkSucceeded = $false',
+      '}',
+      'try {',
+      ...serialize.map(line => `  ${line}`),
+      '} catch {',
+      "  $global:__ntkErrors.Add('Output serialization failed: ' + $_.Exception.Message)",
+      '  $__ntkResult = $null',
+      '}',
+      '$__ntkStatus = @{ succeeded = [bool]$global:__ntkSucceeded; lastExitCode = $global:LASTEXITCODE; errors = @($global:__ntkErrors); result = $__ntkResult } | ConvertTo-Json -Depth 5 -Compress',
+      `Write-Host ('${endMarker}' + [Convert]::ToBase64String([Text.Encoding]::UTF8.GetBytes($__ntkStatus)) + '__')`,
+      // The wrapper runs at the prompt's scope: leave no variables behind
+      "Get-Variable -Name '__ntk*' -Scope Global -ErrorAction SilentlyContinue | Remove-Variable -Scope Global -ErrorAction SilentlyContinue"
+    ].join('\n');
+
+    return `Invoke-Expression ([Text.Encoding]::UTF8.GetString([Convert]::FromBase64String('${encode(script)}')))`;
+  }
+
+  /**
+   * Helper: Normalize the serialized result of a structured command
+   */
+  structuredResult(serialized) {
+    const columns = [].concat(serialized?.columns || []).map(column => ({
+      name: column.name,
+      type: COLUMN_TYPES[column.type] || 'string',
+      dotnetType: column.type || null
+    }));
+    const rows = [].concat(serialized?.rows || []);
+    const totalRows = serialized?.total ?? rows.length;
+    return { columns, rows, totalRows, truncated: totalRows > rows.length };
+  }
+
+  /**
+   * Helper: Remove ANSI escape sequences and carriage returns from terminal output
+   */
+  stripAnsi(text) {
+    return text.replace(ANSI_PATTERN, '').replace(/\r\n?/g, '\n');
+  }
+
   /**
    * Write raw input to session
    */
@@ -268,7 +724,43 @@ class PowerShellEngine extends EventEmitter {
       throw new Error(`Session ${sessionId} not found`);
     }
 
+    this.sendInput(session, data);
+  }
+
+  /**
+   * Helper: Write to the PTY and record the input
+   * @param {Object} [options] - { secret: true } records a mask instead of the data
+   */
+  sendInput(session, data, options = {}) {
     session.ptyProcess.write(data);
+    session.recorder?.input(data, options);
+  }
+
+  /**
+   * Helper: Start a session's asciicast recording
+   * @returns {AsciicastRecorder|null}
+   */
+  startRecording(sessionId, profile, credential, cols, rows) {
+    try {
+      return new AsciicastRecorder({
+        filePath: path.join(this.recordingsDir, `${sessionId}-${Date.now()}.cast`),
+        width: cols,
+        height: rows,
+        title: profile ? `powershell ${profile.transport} ${profile.host}` : 'powershell local',
+        metadata: {
+          sessionId,
+          type: 'powershell',
+          host: profile ? profile.host : 'localhost',
+          port: profile?.port || null,
+          username: credential?.username || profile?.username || null,
+          transport: profile ? profile.transport : 'local'
+        },
+        secrets: credential?.kind === 'password' ? [credential.secret] : []
+      });
+    } catch (error) {
+      console.error('Failed to start recording:', error);
+      return null;
+    }
   }
 
   /**
@@ -281,6 +773,7 @@ class PowerShellEngine extends EventEmitter {
     }
 
     session.ptyProcess.resize(cols, rows);
+    session.recorder?.resize(cols, rows);
   }
 
   /**
@@ -291,7 +784,7 @@ class PowerShellEngine extends EventEmitter {
       const result = await this.executeCommand(
         sessionId,
         '$PSVersionTable.PSVersion.ToString()',
-        { timeout: 5000 }
+        { timeout: 5000, history: false }
       );
 
       // Parse version from output
@@ -323,20 +816,32 @@ class PowerShellEngine extends EventEmitter {
       cwd: session.cwd,
       uptime: Date.now() - session.startTime,
       commandCount: session.commandCount,
-      powershellVersion: this.powershellVersion
+      powershellVersion: this.powershellVersion,
+      target: session.target,
+      remote: session.remote,
+      tags: session.tags,
+      recording: session.recorder ? session.recorder.summary : null
     };
   }
 
   /**
    * List all sessions
+   * @param {Object} [filter] - { target, companyId, configurationId }
    */
-  listSessions() {
-    return Array.from(this.sessions.values()).map(session => ({
-      id: session.id,
-      pid: session.ptyProcess.pid,
-      uptime: Date.now() - session.startTime,
-      commandCount: session.commandCount
-    }));
+  listSessions(filter = {}) {
+    return Array.from(this.sessions.values())
+      .filter(session => filter.target === undefined || session.target === filter.target)
+      .filter(session => filter.companyId === undefined || session.tags?.companyId === filter.companyId)
+      .filter(session => filter.configurationId === undefined || session.tags?.configurationId === filter.configurationId)
+      .map(session => ({
+        id: session.id,
+        pid: session.ptyProcess.pid,
+        uptime: Date.now() - session.startTime,
+        commandCount: session.commandCount,
+        target: session.target,
+        remote: session.remote,
+        tags: session.tags
+      }));
   }
 
   /**
@@ -349,11 +854,12 @@ class PowerShellEngine extends EventEmitter {
     }
 
     // Send exit command
-    session.ptyProcess.write('exit\r');
+    this.sendInput(session, 'exit\r');
 
     // Force kill after delay
     setTimeout(() => {
       if (this.sessions.has(sessionId)) {
+        session.recorder?.stop();
         session.ptyProcess.kill();
         this.sessions.delete(sessionId);
       }
@@ -364,11 +870,13 @@ class PowerShellEngine extends EventEmitter {
 
   /**
    * Load command history
+   * @param {string} [target] - Remote profile id (local history when omitted)
    */
-  loadHistory() {
+  loadHistory(target = null) {
     try {
-      if (fs.existsSync(this.historyFile)) {
-        const content = fs.readFileSync(this.historyFile, 'utf8');
+      const file = this.historyPath(target);
+      if (fs.existsSync(file)) {
+        const content = fs.readFileSync(file, 'utf8');
         return content.split('\n').filter(line => line.trim());
       }
     } catch (error) {
@@ -377,33 +885,59 @@ class PowerShellEngine extends EventEmitter {
     return [];
   }
 
+  /**
+   * Helper: History file for a target
+   */
+  historyPath(target) {
+    if (!target) return this.historyFile;
+    if (!/^[\w.-]+$/.test(target) || target.startsWith('.')) {
+      throw new Error(`Invalid history target: ${target}`);
+    }
+    return path.join(this.historyDir, `${target}.history`);
+  }
+
+  /**
+   * Helper: In-memory history list for a target, loaded on first use
+   */
+  historyFor(target) {
+    if (!target) return this.history;
+    if (!this.targetHistories.has(target)) {
+      this.targetHistories.set(target, this.loadHistory(target));
+    }
+    return this.targetHistories.get(target);
+  }
+
   /**
    * Add command to history
    */
-  addToHistory(command) {
+  addToHistory(command, target = null) {
+    const history = this.historyFor(target);
+
     // Avoid duplicates
-    const lastCommand = this.history[this.history.length - 1];
+    const lastCommand = history[history.length - 1];
     if (command === lastCommand) {
       return;
     }
 
-    this.history.push(command);
+    history.push(command);
 
     // Keep last 1000 commands
-    if (this.history.length > 1000) {
-      this.history = this.history.slice(-1000);
+    if (history.length > 1000) {
+      history.splice(0, history.length - 1000);
     }
 
     // Persist to disk
-    this.saveHistory();
+    this.saveHistory(target);
   }
 
   /**
    * Save history to disk
    */
-  saveHistory() {
+  saveHistory(target = null) {
     try {
-      fs.writeFileSync(this.historyFile, this.history.join('\n'), 'utf8');
+      const file = this.historyPath(target);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, this.historyFor(target).join('\n'), 'utf8');
     } catch (error) {
       console.error('Failed to save history:', error);
     }
@@ -411,17 +945,19 @@ class PowerShellEngine extends EventEmitter {
 
   /**
    * Get command history
+   * @param {number} [limit=100]
+   * @param {string} [target] - Remote profile id (local history when omitted)
    */
-  getHistory(limit = 100) {
-    return this.history.slice(-limit);
+  getHistory(limit = 100, target = null) {
+    return this.historyFor(target).slice(-limit);
   }
 
   /**
    * Clear command history
    */
-  clearHistory() {
-    this.history = [];
-    this.saveHistory();
+  clearHistory(target = null) {
+    this.historyFor(target).length = 0;
+    this.saveHistory(target);
   }
 
   /**
@@ -441,6 +977,8 @@ class PowerShellEngine extends EventEmitter {
     console.log('Cleaning up PowerShell engine...');
 
     for (const [sessionId, session] of this.sessions.entries()) {
+      this.removeTempFiles(session);
+      session.recorder?.stop();
       try {
         session.ptyProcess.kill();
       } catch (error) {
@@ -0,0 +1,122 @@
+/**
+ * PowerShell Remote Profiles
+ * Stored remoting targets for PowerShellEngine sessions
+ *
+ * Features:
+ * - SSH remoting (Enter-PSSession -HostName, remote `pwsh -s` subsystem)
+ * - WinRM remoting (Enter-PSSession -ComputerName, HTTP/HTTPS, auth mechanism)
+ * - Credentials referenced by id from the secure CredentialStore, or an SSH key file
+ * - ConnectWise company/configuration tags carried onto sessions
+ * - Persisted as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TRANSPORTS = ['ssh', 'winrm'];
+const WINRM_AUTHENTICATION = ['Default', 'Basic', 'Negotiate', 'NegotiateWithImplicitCredential', 'Kerberos', 'CredSSP', 'Digest'];
+
+class RemoteProfileStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.profilesPath] - JSON file the profiles are saved to
+   */
+  constructor(options = {}) {
+    this.profilesPath = options.profilesPath || null;
+    this.profiles = new Map(); // id -> profile
+
+    if (this.profilesPath && fs.existsSync(this.profilesPath)) {
+      try {
+        const document = JSON.parse(fs.readFileSync(this.profilesPath, 'utf8'));
+        for (const profile of document.profiles || []) {
+          try {
+            this.profiles.set(profile.id, this.validate(profile));
+          } catch (error) {
+            console.warn(`PowerShell profile '${profile.id}' skipped:`, error.message);
+          }
+        }
+      } catch (error) {
+        console.warn('PowerShell profiles could not be loaded:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Add or replace a profile
+   * @param {Object} profile - { id, name, transport, host, port?, username?, credentialId?,
+   *   keyFilePath?, useSSL?, authentication?, configurationName?, connectwise? }
+   * @returns {Object} Saved profile
+   */
+  save(profile) {
+    const validated = this.validate(profile);
+    this.profiles.set(validated.id, validated);
+    this.persist();
+    return validated;
+  }
+
+  get(id) {
+    return this.profiles.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.profiles.values());
+  }
+
+  delete(id) {
+    const deleted = this.profiles.delete(id);
+    if (deleted) this.persist();
+    return deleted;
+  }
+
+  /**
+   * Helper: Check a profile and fill defaults
+   */
+  validate(profile) {
+    if (!profile || typeof profile.id !== 'string' || !/^[\w.-]+$/.test(profile.id)) {
+      throw new Error('Profile id must contain only letters, digits, "_", "." and "-"');
+    }
+    if (!TRANSPORTS.includes(profile.transport)) {
+      throw new Error(`Profile transport must be one of ${TRANSPORTS.join(', ')}`);
+    }
+    if (!profile.host || !/^[\w.:-]+$/.test(profile.host)) {
+      throw new Error('Profile host must be a host name or IP address');
+    }
+    if (profile.port !== undefined && profile.port !== null &&
+        (!Number.isInteger(profile.port) || profile.port < 1 || profile.port > 65535)) {
+      throw new Error('Profile port must be between 1 and 65535');
+    }
+    if (profile.transport === 'winrm' && profile.authentication &&
+        !WINRM_AUTHENTICATION.includes(profile.authentication)) {
+      throw new Error(`WinRM authentication must be one of ${WINRM_AUTHENTICATION.join(', ')}`);
+    }
+    if (profile.configurationName && !/^[\w.-]+$/.test(profile.configurationName)) {
+      throw new Error('Profile configurationName must contain only letters, digits, "_", "." and "-"');
+    }
+
+    const connectwise = profile.connectwise || null;
+    if (connectwise && (typeof connectwise !== 'object' || !connectwise.companyId)) {
+      throw new Error('connectwise tags need at least a companyId');
+    }
+
+    return {
+      name: profile.id,
+      port: null,
+      username: '',
+      credentialId: null,
+      keyFilePath: null,
+      useSSL: false,
+      authentication: null,
+      configurationName: null,
+      ...profile,
+      connectwise
+    };
+  }
+
+  persist() {
+    if (!this.profilesPath) return;
+    fs.mkdirSync(path.dirname(this.profilesPath), { recursive: true });
+    fs.writeFileSync(this.profilesPath, JSON.stringify({ version: 1, profiles: this.list() }, null, 2));
+  }
+}
+
+module.exports = { RemoteProfileStore, TRANSPORTS, WINRM_AUTHENTICATION };
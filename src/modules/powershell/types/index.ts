@@ -9,6 +9,49 @@ export interface PowerShellSession {
   uptime: number;
   commandCount: number;
   powershellVersion?: string;
+  /** Remote profile id; null for local sessions (also the history key) */
+  target: string | null;
+  remote: { profileId: string; name: string; transport: RemoteTransport; host: string } | null;
+  tags: ConnectWiseTags | null;
+}
+
+export type RemoteTransport = 'ssh' | 'winrm';
+
+export interface ConnectWiseTags {
+  companyId: number | string;
+  companyName?: string;
+  configurationId?: number | string;
+  configurationName?: string;
+}
+
+export interface RemoteProfile {
+  /** Letters, digits, "_", "." and "-" */
+  id: string;
+  name?: string;
+  transport: RemoteTransport;
+  host: string;
+  port?: number | null;
+  username?: string;
+  /** CredentialStore id: a password, or a private key (SSH) */
+  credentialId?: string | null;
+  /** SSH key file on this machine (when no private key credential is used) */
+  keyFilePath?: string | null;
+  /** WinRM over HTTPS */
+  useSSL?: boolean;
+  authentication?: 'Default' | 'Basic' | 'Negotiate' | 'NegotiateWithImplicitCredential' | 'Kerberos' | 'CredSSP' | 'Digest' | null;
+  /** WinRM session configuration (JEA endpoint) */
+  configurationName?: string | null;
+  connectwise?: ConnectWiseTags | null;
+}
+
+export interface CredentialInfo {
+  id: string;
+  label: string;
+  username: string;
+  kind: 'password' | 'privateKey';
+  hasSecret: boolean;
+  createdAt: number;
+  updatedAt: number;
 }
 
 export interface PowerShellSessionOptions {
@@ -17,14 +60,56 @@ export interface PowerShellSessionOptions {
   cwd?: string;
   env?: Record<string, string>;
   executionPolicy?: 'Restricted' | 'AllSigned' | 'RemoteSigned' | 'Unrestricted' | 'Bypass';
+  /** Open a remote session to this stored profile */
+  profileId?: string;
+  /** Override the profile's ConnectWise tags (or tag a local session) */
+  connectwise?: ConnectWiseTags;
+  /** ms to wait for the remote prompt (default 30000) */
+  connectTimeout?: number;
 }
 
 export interface CommandResult {
+  /** Success output, ANSI sequences and prompt removed */
   output: string;
+  /** Error stream records (non-terminating and terminating errors) */
+  errors: string[];
+  /** $? after the command's last statement (false after a terminating error) */
+  succeeded: boolean;
+  /** $LASTEXITCODE when a native program ran, otherwise 0 / 1 from succeeded */
+  exitCode: number;
+  /** $LASTEXITCODE, or null when no native program ran */
+  lastExitCode: number | null;
   executionTime: number;
   commandNumber: number;
 }
 
+export type ColumnType = 'string' | 'number' | 'boolean' | 'datetime';
+
+export interface StructuredColumn {
+  name: string;
+  /** Grid type; dates are ISO 8601 strings */
+  type: ColumnType;
+  /** .NET type of the first non-null value, e.g. System.Int32 */
+  dotnetType: string | null;
+}
+
+export interface StructuredOptions {
+  sessionId?: string;
+  /** Columns to return (default: the objects' default display properties) */
+  properties?: string[];
+  /** Rows returned (default 10000) */
+  maxRows?: number;
+  timeout?: number;
+}
+
+export interface StructuredResult extends CommandResult {
+  columns: StructuredColumn[];
+  rows: Array<Record<string, string | number | boolean | null>>;
+  /** Objects the pipeline produced, before maxRows */
+  totalRows: number;
+  truncated: boolean;
+}
+
 export interface PowerShellMetrics {
   commandsExecuted: number;
   totalExecutionTime: number;
@@ -0,0 +1,666 @@
+/**
+ * Batch Runner
+ * Runs one command or macro across many hosts and aggregates the results
+ *
+ * Features:
+ * - Host lists typed in, taken from a NetworkMapper scan, or pulled from
+ *   ConnectWise configurations (IP address, company/configuration tags)
+ * - SSH (exec channel, real exit status), Telnet, and PowerShell remoting
+ *   (SSH/WinRM profile used as a template per host)
+ * - Macros run as expect scripts in the interactive shell (SSH/Telnet);
+ *   PowerShell batches take macros that only send commands
+ * - Concurrency limit and per-host timeout covering connect and execution
+ * - Per-host result matrix: status, exit code, output, duration
+ * - Identical outputs grouped; other groups diffed against the largest one
+ * - CSV export
+ *
+ * Events:
+ * - 'hostStarted'   { batchId, host }
+ * - 'hostCompleted' { batchId, result }
+ * - 'progress'      { batchId, completed, total, result }
+ * - 'completed'     { batchId, summary }
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const { plainCommands } = require('./macro-engine.cjs');
+
+const TRANSPORTS = ['ssh', 'telnet', 'powershell'];
+const MAX_BATCHES = 20;
+const MAX_CONNECTWISE_HOSTS = 1000;
+
+class BatchRunner extends EventEmitter {
+  /**
+   * @param {Object} engines
+   * @param {Object} [engines.remoteAccess] - RemoteAccessEngine (SSH/Telnet, macros)
+   * @param {Object} [engines.powershell] - PowerShellEngine (remoting sessions)
+   * @param {Object} [engines.networkMapper] - NetworkMapper (scan host source)
+   * @param {Object} [engines.ticketing] - ConnectWiseClient (configuration host source)
+   * @param {Object} [engines.credentials] - CredentialStore for SSH/Telnet credentialId
+   */
+  constructor(engines = {}) {
+    super();
+    this.remoteAccess = engines.remoteAccess || null;
+    this.powershell = engines.powershell || null;
+    this.networkMapper = engines.networkMapper || null;
+    this.ticketing = engines.ticketing || null;
+    this.credentials = engines.credentials || null;
+
+    this.batches = new Map(); // id -> { id, job, status, results, startTime, endTime, cancelled }
+    this.batchIdCounter = 1;
+  }
+
+  /**
+   * Turn a host source into targets
+   * @param {Object|Array} source - Array of hosts, or
+   *   { type: 'list', hosts: ['10.0.0.1', 'web1:2222', { host, port, label, profileId }] }
+   *   { type: 'scan', scanId?, service?, port? } - devices found by NetworkMapper
+   *   { type: 'connectwise', companyId, typeName?, conditions? } - configurations with an IP address
+   * @returns {Promise<Array>} [{ host, port, label, profileId, tags }]
+   */
+  async resolveHosts(source) {
+    if (Array.isArray(source)) {
+      source = { type: 'list', hosts: source };
+    }
+
+    let targets;
+    switch (source?.type) {
+      case 'list':
+        targets = (source.hosts || []).map(entry => this.parseHost(entry));
+        break;
+      case 'scan':
+        targets = this.hostsFromScan(source);
+        break;
+      case 'connectwise':
+        targets = await this.hostsFromConnectWise(source);
+        break;
+      default:
+        throw new Error("Host source type must be 'list', 'scan' or 'connectwise'");
+    }
+
+    // Drop duplicates (same host and port)
+    const seen = new Set();
+    return targets.filter(target => {
+      const key = `${target.host}:${target.port || ''}:${target.profileId || ''}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Helper: 'host', 'host:port', '[v6]:port' or { host, port, label, profileId, tags }
+   */
+  parseHost(entry) {
+    if (entry && typeof entry === 'object') {
+      if (!entry.host && !entry.profileId) {
+        throw new Error('Host entries need a host or profileId');
+      }
+      return {
+        host: entry.host || null,
+        port: entry.port ? Number(entry.port) : null,
+        label: entry.label || entry.host || entry.profileId,
+        profileId: entry.profileId || null,
+        tags: entry.tags || null
+      };
+    }
+
+    const text = String(entry || '').trim();
+    const match = /^\[([^\]]+)\](?::(\d+))?$/.exec(text) || /^([^:\s]+)(?::(\d+))?$/.exec(text) || /^([0-9a-f:]+)()$/i.exec(text);
+    if (!match) {
+      throw new Error(`Invalid host: ${text}`);
+    }
+    return { host: match[1], port: match[2] ? Number(match[2]) : null, label: text, profileId: null, tags: null };
+  }
+
+  /**
+   * Helper: Devices from a NetworkMapper scan (or all known devices)
+   */
+  hostsFromScan({ scanId, service, port }) {
+    if (!this.networkMapper) {
+      throw new Error('Network Mapper not available');
+    }
+
+    let devices;
+    if (scanId) {
+      const scan = this.networkMapper.scans.get(scanId);
+      if (!scan) {
+        throw new Error(`Scan ${scanId} not found`);
+      }
+      devices = scan.devices;
+    } else {
+      devices = this.networkMapper.listDevices();
+    }
+
+    return devices
+      .filter(device => !service || device.services.includes(service))
+      .filter(device => !port || device.ports.some(p => p.port === port && p.state === 'open'))
+      .map(device => ({
+        host: device.ip,
+        port: null,
+        label: device.hostname || device.ip,
+        profileId: null,
+        tags: null
+      }));
+  }
+
+  /**
+   * Helper: ConnectWise configurations of a company that have an IP address
+   */
+  async hostsFromConnectWise({ companyId, typeName, conditions }) {
+    if (!this.ticketing) {
+      throw new Error('ConnectWise client not available');
+    }
+    if (!companyId) {
+      throw new Error('companyId is required for ConnectWise hosts');
+    }
+
+    const filters = [`company/id=${Number(companyId)}`, 'activeFlag=true'];
+    if (typeName) filters.push(`type/name="${String(typeName).replace(/"/g, '')}"`);
+    if (conditions) filters.push(`(${conditions})`);
+
+    const targets = [];
+    const pageSize = 100;
+    for (let page = 1; targets.length < MAX_CONNECTWISE_HOSTS; page++) {
+      const configurations = await this.ticketing.getConfigurations(filters.join(' and '), 'name asc', page, pageSize);
+      for (const config of configurations || []) {
+        if (!config.ipAddress) continue;
+        targets.push({
+          host: config.ipAddress,
+          port: null,
+          label: config.name || config.ipAddress,
+          profileId: null,
+          tags: {
+            companyId: config.company?.id ?? companyId,
+            companyName: config.company?.name,
+            configurationId: config.id,
+            configurationName: config.name
+          }
+        });
+      }
+      if (!configurations || configurations.length < pageSize) break;
+    }
+    return targets.slice(0, MAX_CONNECTWISE_HOSTS);
+  }
+
+  /**
+   * Run a command or macro on every host
+   * @param {Object} job
+   * @param {Array|Object} job.hosts - Host source (see resolveHosts)
+   * @param {string} [job.command] - Command to run
+   * @param {string} [job.macro] - Or a RemoteAccessEngine macro name ({{host}}, {{label}} and job.variables substituted)
+   * @param {string} job.transport - 'ssh' | 'telnet' | 'powershell'
+   * @param {Object} [job.connection] - SSH/Telnet: { port, username, password, privateKey, passphrase, credentialId };
+   *   Telnet hosts log in with these first (autoLogin: false leaves the prompts to the macro);
+   *   PowerShell: { profileId } of the profile used as a template (host replaced per target)
+   * @param {number} [job.concurrency=10] - Hosts in flight at once
+   * @param {number} [job.timeout=60000] - ms per host, connect included
+   * @returns {Promise<Object>} Batch result (see getBatch)
+   */
+  async run(job) {
+    const validated = this.validate(job);
+    const targets = await this.resolveHosts(validated.hosts);
+    if (targets.length === 0) {
+      throw new Error('No hosts to run on');
+    }
+
+    const batch = {
+      id: `batch-${this.batchIdCounter++}`,
+      job: this.describeJob(validated),
+      status: 'running',
+      targets,
+      results: [],
+      startTime: Date.now(),
+      endTime: null,
+      cancelled: false
+    };
+    this.batches.set(batch.id, batch);
+    this.pruneBatches();
+
+    console.log(`Batch ${batch.id}: ${validated.macro ? `macro '${validated.macro}'` : 'command'} on ${targets.length} hosts (${validated.transport})`);
+
+    const queue = targets.map((target, index) => ({ target, index }));
+    const results = new Array(targets.length);
+    let completed = 0;
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { target, index } = queue.shift();
+        if (batch.cancelled) {
+          results[index] = this.hostResult(target, { status: 'cancelled' }, Date.now());
+        } else {
+          this.emit('hostStarted', { batchId: batch.id, host: target });
+          results[index] = await this.runHost(target, validated);
+          this.emit('hostCompleted', { batchId: batch.id, result: results[index] });
+        }
+        batch.results = results.filter(Boolean);
+        completed++;
+        this.emit('progress', { batchId: batch.id, completed, total: targets.length, result: results[index] });
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(validated.concurrency, targets.length) }, worker));
+
+    batch.results = results;
+    batch.status = batch.cancelled ? 'cancelled' : 'completed';
+    batch.endTime = Date.now();
+
+    const result = this.getBatch(batch.id);
+    this.emit('completed', { batchId: batch.id, summary: result.summary });
+    console.log(`✓ Batch ${batch.id} finished: ${result.summary.succeeded}/${targets.length} succeeded, ${result.groups.length} distinct outputs`);
+    return result;
+  }
+
+  /**
+   * Stop starting new hosts; hosts already running finish
+   */
+  cancel(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch || batch.status !== 'running') return false;
+    batch.cancelled = true;
+    return true;
+  }
+
+  /**
+   * Batch with its result matrix, output groups and summary
+   */
+  getBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) return null;
+
+    const results = batch.results.filter(Boolean);
+    const groups = this.groupResults(results);
+    const groupOf = new Map();
+    groups.forEach(group => group.results.forEach(result => groupOf.set(result, group.id)));
+
+    return {
+      id: batch.id,
+      status: batch.status,
+      job: batch.job,
+      startTime: batch.startTime,
+      endTime: batch.endTime,
+      duration: (batch.endTime || Date.now()) - batch.startTime,
+      results: results.map(result => ({ ...result, group: groupOf.get(result) ?? null })),
+      groups: groups.map(({ results: members, ...group }) => group),
+      summary: {
+        total: batch.targets.length,
+        completed: results.length,
+        succeeded: results.filter(r => r.status === 'success').length,
+        failed: results.filter(r => r.status === 'failed').length,
+        errors: results.filter(r => r.status === 'error').length,
+        timeouts: results.filter(r => r.status === 'timeout').length,
+        cancelled: results.filter(r => r.status === 'cancelled').length
+      }
+    };
+  }
+
+  listBatches() {
+    return Array.from(this.batches.values()).map(batch => ({
+      id: batch.id,
+      status: batch.status,
+      transport: batch.job.transport,
+      command: batch.job.command || null,
+      macro: batch.job.macro || null,
+      hosts: batch.targets.length,
+      completed: batch.results.filter(Boolean).length,
+      startTime: batch.startTime,
+      endTime: batch.endTime
+    }));
+  }
+
+  /**
+   * Helper: Check a job and fill defaults
+   */
+  validate(job) {
+    if (!job || !job.hosts) {
+      throw new Error('Batch job requires hosts');
+    }
+    if (!TRANSPORTS.includes(job.transport)) {
+      throw new Error(`Batch transport must be one of ${TRANSPORTS.join(', ')}`);
+    }
+    if (!job.command === !job.macro) {
+      throw new Error('Batch job requires either a command or a macro');
+    }
+    const macro = job.macro ? this.remoteAccess?.getMacro(job.macro) : null;
+    if (job.macro && !macro) {
+      throw new Error(`Macro '${job.macro}' not found`);
+    }
+    if (macro && job.transport === 'powershell' && !plainCommands(macro)) {
+      throw new Error(`Macro '${job.macro}' waits for output (expect/branching) and can only run over SSH or Telnet`);
+    }
+    if (job.transport === 'powershell' ? !this.powershell : !this.remoteAccess) {
+      throw new Error(`${job.transport === 'powershell' ? 'PowerShell' : 'Remote Access'} not available`);
+    }
+
+    const concurrency = job.concurrency ?? 10;
+    const timeout = job.timeout ?? 60000;
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 100) {
+      throw new Error('concurrency must be between 1 and 100');
+    }
+    if (!Number.isFinite(timeout) || timeout < 1000) {
+      throw new Error('timeout must be at least 1000ms');
+    }
+
+    return { connection: {}, variables: {}, ...job, concurrency, timeout };
+  }
+
+  /**
+   * Helper: Public view of a job; the connection secrets stay with run()
+   */
+  describeJob(job) {
+    const { hosts, connection, ...settings } = job;
+    const { password, privateKey, passphrase, ...options } = connection;
+    return {
+      ...settings,
+      connection: { ...options, hasPassword: !!password, hasPrivateKey: !!privateKey }
+    };
+  }
+
+  /**
+   * Helper: Connect, run and disconnect one host within the job timeout
+   */
+  async runHost(target, job) {
+    const startTime = Date.now();
+    const state = { sessionId: null, timedOut: false };
+    let timeoutId;
+
+    const timeout = new Promise((resolve) => {
+      timeoutId = setTimeout(() => {
+        state.timedOut = true;
+        resolve({ status: 'timeout', error: `No result after ${job.timeout}ms` });
+      }, job.timeout);
+    });
+
+    const execution = this.executeOnHost(target, job, state)
+      .catch(error => ({ status: 'error', error: error.message }));
+
+    const outcome = await Promise.race([execution, timeout]);
+    clearTimeout(timeoutId);
+
+    // A session opened after the timeout is closed when it appears
+    if (state.timedOut) {
+      execution.finally(() => this.closeHostSession(job.transport, state.sessionId));
+    } else {
+      this.closeHostSession(job.transport, state.sessionId);
+    }
+
+    return this.hostResult(target, outcome, startTime);
+  }
+
+  /**
+   * Helper: Open a session to the target and run the command or macro in it
+   */
+  async executeOnHost(target, job, state) {
+    if (job.transport === 'powershell') {
+      const commands = this.commandsFor(target, job);
+      const session = await this.powershell.createSession(this.powershellOptions(target, job));
+      state.sessionId = session.sessionId;
+
+      let output = '';
+      let exitCode = 0;
+      const errors = [];
+      for (const command of commands) {
+        if (state.timedOut) break;
+        const result = await this.powershell.executeCommand(session.sessionId, command, { timeout: job.timeout });
+        output += result.output;
+        errors.push(...result.errors);
+        exitCode = result.exitCode;
+        if (exitCode !== 0) break;
+      }
+      return { status: exitCode === 0 ? 'success' : 'failed', exitCode, output, error: errors.join('\n') || null };
+    }
+
+    const connection = this.connectionFor(target, job);
+    const session = job.transport === 'ssh'
+      ? await this.remoteAccess.createSSHSession(connection)
+      : await this.remoteAccess.createTelnetSession(connection);
+    state.sessionId = session.sessionId;
+
+    // Macros drive the interactive shell; their outcome is the macro status
+    if (job.macro) {
+      const result = await this.remoteAccess.executeMacro(session.sessionId, job.macro, this.macroVariables(target, job));
+      return {
+        status: result.status === 'completed' ? 'success' : 'failed',
+        exitCode: null,
+        output: result.output,
+        error: result.error
+      };
+    }
+
+    if (job.transport === 'ssh') {
+      const result = await this.remoteAccess.execCommand(session.sessionId, job.command, { timeout: job.timeout });
+      return {
+        status: result.exitCode === 0 ? 'success' : 'failed',
+        exitCode: result.exitCode,
+        output: result.stdout,
+        error: result.stderr || null
+      };
+    }
+
+    // Telnet has no exit status: success means the command was sent and answered
+    const result = await this.remoteAccess.executeCommand(session.sessionId, job.command, { timeout: job.timeout });
+    return { status: 'success', exitCode: null, output: result.output, error: null };
+  }
+
+  /**
+   * Helper: Command list for a target (send-only macros filled in)
+   */
+  commandsFor(target, job) {
+    if (job.command) return [job.command];
+    return plainCommands(this.remoteAccess.getMacro(job.macro), this.macroVariables(target, job));
+  }
+
+  /**
+   * Helper: Macro variables for a target ({{host}} and {{label}} added)
+   */
+  macroVariables(target, job) {
+    return { ...job.variables, host: target.host || '', label: target.label };
+  }
+
+  /**
+   * Helper: SSH/Telnet connection options for a target
+   */
+  connectionFor(target, job) {
+    const { credentialId, ...connection } = job.connection;
+    if (credentialId) {
+      if (!this.credentials) {
+        throw new Error('No credential store configured');
+      }
+      const credential = this.credentials.resolve(credentialId);
+      connection.username = connection.username || credential.username;
+      if (credential.kind === 'privateKey') {
+        connection.privateKey = credential.secret;
+      } else {
+        connection.password = credential.secret;
+      }
+    }
+    return { ...connection, host: target.host, port: target.port || connection.port };
+  }
+
+  /**
+   * Helper: createSession options - the host's stored profile, or the job's
+   * template profile pointed at the host
+   */
+  powershellOptions(target, job) {
+    if (target.profileId) {
+      return { profileId: target.profileId, connectwise: target.tags || undefined };
+    }
+
+    const template = this.powershell.profiles?.get(job.connection.profileId);
+    if (!template) {
+      throw new Error('PowerShell batches need connection.profileId (template profile) or hosts with a profileId');
+    }
+    return {
+      profile: {
+        ...template,
+        id: `${template.id}.${target.host.replace(/[^\w.-]/g, '_')}`,
+        name: target.label,
+        host: target.host,
+        port: target.port || template.port,
+        connectwise: target.tags || template.connectwise
+      }
+    };
+  }
+
+  closeHostSession(transport, sessionId) {
+    if (!sessionId) return;
+    try {
+      if (transport === 'powershell') {
+        this.powershell.closeSession(sessionId);
+      } else {
+        this.remoteAccess.closeSession(sessionId);
+      }
+    } catch (error) {
+      console.warn(`Batch session ${sessionId} could not be closed:`, error.message);
+    }
+  }
+
+  /**
+   * Helper: One row of the result matrix
+   */
+  hostResult(target, outcome, startTime) {
+    return {
+      host: target.host,
+      port: target.port,
+      label: target.label,
+      tags: target.tags,
+      status: outcome.status,
+      exitCode: outcome.exitCode ?? null,
+      output: outcome.output || '',
+      error: outcome.error || null,
+      startTime,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Group hosts with identical (normalized) output and exit status; groups are
+   * ordered by size and each is diffed against the largest
+   * @returns {Array} [{ id, hash, status, exitCode, output, error, hosts, count, diff, results }]
+   */
+  groupResults(results) {
+    const groups = new Map();
+    for (const result of results) {
+      if (result.status === 'cancelled') continue;
+      const output = this.normalizeOutput(result.output);
+      const hash = crypto.createHash('sha1')
+        .update(`${result.status}\0${result.exitCode}\0${output}`)
+        .digest('hex')
+        .slice(0, 12);
+
+      if (!groups.has(hash)) {
+        groups.set(hash, { hash, status: result.status, exitCode: result.exitCode, output, error: result.error, hosts: [], results: [] });
+      }
+      groups.get(hash).hosts.push(result.label);
+      groups.get(hash).results.push(result);
+    }
+
+    const ordered = Array.from(groups.values()).sort((a, b) => b.hosts.length - a.hosts.length);
+    const lines = (output) => (output ? output.split('\n') : []);
+    const baseline = ordered[0] ? lines(ordered[0].output) : [];
+
+    return ordered.map((group, index) => ({
+      id: index + 1,
+      ...group,
+      count: group.hosts.length,
+      diff: index === 0 ? null : this.diffLines(baseline, lines(group.output))
+    }));
+  }
+
+  /**
+   * Helper: Output compared line by line, ignoring trailing whitespace and line endings
+   */
+  normalizeOutput(output) {
+    return String(output || '')
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map(line => line.trimEnd())
+      .join('\n')
+      .trim();
+  }
+
+  /**
+   * Helper: Lines only in the group's output (added) or only in the baseline (removed)
+   */
+  diffLines(baseline, lines) {
+    const counts = new Map();
+    baseline.forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+
+    const added = [];
+    for (const line of lines) {
+      if (counts.get(line) > 0) {
+        counts.set(line, counts.get(line) - 1);
+      } else {
+        added.push(line);
+      }
+    }
+
+    const removed = [];
+    for (const [line, count] of counts) {
+      for (let i = 0; i < count; i++) removed.push(line);
+    }
+    return { added, removed };
+  }
+
+  /**
+   * Export a batch's result matrix as CSV (UTF-8 with BOM for Excel)
+   * @returns {Object} { filepath, rows, bytes }
+   */
+  exportCsv(batchId, filepath) {
+    const batch = this.getBatch(batchId);
+    if (!batch) {
+      throw new Error(`Batch ${batchId} not found`);
+    }
+
+    const header = ['Host', 'Port', 'Label', 'Company', 'Configuration', 'Status', 'Exit Code', 'Duration (ms)', 'Group', 'Output', 'Error'];
+    const lines = [header.map(field => this.csvField(field)).join(',')];
+    for (const result of batch.results) {
+      lines.push([
+        result.host,
+        result.port,
+        result.label,
+        result.tags?.companyName ?? result.tags?.companyId,
+        result.tags?.configurationName,
+        result.status,
+        result.exitCode,
+        result.duration,
+        result.group,
+        this.normalizeOutput(result.output),
+        result.error
+      ].map(field => this.csvField(field)).join(','));
+    }
+
+    const content = '\ufeff' + lines.join('\r\n') + '\r\n';
+    fs.writeFileSync(filepath, content, 'utf8');
+    return { filepath, rows: batch.results.length, bytes: Buffer.byteLength(content) };
+  }
+
+  /**
+   * Helper: CSV field with quoting (RFC 4180)
+   */
+  csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Helper: Keep the most recent finished batches
+   */
+  pruneBatches() {
+    const finished = Array.from(this.batches.values()).filter(batch => batch.status !== 'running');
+    while (this.batches.size > MAX_BATCHES && finished.length > 0) {
+      this.batches.delete(finished.shift().id);
+    }
+  }
+
+  destroy() {
+    for (const batch of this.batches.values()) {
+      batch.cancelled = true;
+    }
+    this.removeAllListeners();
+  }
+}
+
+module.exports = { BatchRunner };
@@ -0,0 +1,320 @@
+/**
+ * SSH Known Hosts Store
+ * Host key verification for RemoteAccessEngine SSH sessions
+ *
+ * Features:
+ * - SHA256 fingerprints in OpenSSH format (SHA256:<base64, no padding>)
+ * - Lookup by host and port ([host]:port for non-22 ports, as OpenSSH does)
+ * - OpenSSH known_hosts import/export: comma-separated and hashed (|1|salt|hash)
+ *   host names, wildcard and negated patterns, @revoked markers
+ * - Verification result: known, unknown, changed (same key type, different key),
+ *   other-type (only keys of other types are known) or revoked
+ * - Persisted as JSON
+ *
+ * Usage:
+ * const { KnownHostsStore } = require('./known-hosts.cjs');
+ * const store = new KnownHostsStore({ filePath });
+ * const check = store.verify('10.0.0.1', 22, keyBlob);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const HOST_KEY_POLICIES = ['tofu', 'strict'];
+
+/**
+ * Key type and SHA256 fingerprint of a public key blob (SSH wire format)
+ * @param {Buffer} blob
+ * @returns {Object} { keyType, key (base64), fingerprint }
+ */
+function describeKey(blob) {
+  if (!Buffer.isBuffer(blob) || blob.length < 4) {
+    throw new Error('Host key must be an SSH public key blob');
+  }
+  const typeLength = blob.readUInt32BE(0);
+  if (typeLength === 0 || typeLength > 64 || 4 + typeLength > blob.length) {
+    throw new Error('Host key blob is malformed');
+  }
+  const hash = crypto.createHash('sha256').update(blob).digest('base64');
+  return {
+    keyType: blob.toString('ascii', 4, 4 + typeLength),
+    key: blob.toString('base64'),
+    fingerprint: `SHA256:${hash.replace(/=+$/, '')}`
+  };
+}
+
+/**
+ * Host name as written in known_hosts
+ */
+function formatHost(host, port = 22) {
+  const name = String(host).toLowerCase();
+  return Number(port) === 22 ? name : `[${name}]:${port}`;
+}
+
+/**
+ * Helper: Does one known_hosts pattern (no negation) match a host name
+ */
+function matchPattern(pattern, name) {
+  if (pattern.startsWith('|1|')) {
+    const [, , salt, hash] = pattern.split('|');
+    if (!salt || !hash) return false;
+    const digest = crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(name).digest('base64');
+    return digest === hash;
+  }
+  const lowered = pattern.toLowerCase();
+  if (!/[*?]/.test(lowered)) return lowered === name;
+
+  const regex = lowered.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${regex}$`).test(name);
+}
+
+/**
+ * Helper: Does a comma-separated host field match a host name
+ * (a matching negated pattern excludes the host)
+ */
+function matchHosts(hosts, name) {
+  let matched = false;
+  for (const pattern of hosts.split(',')) {
+    if (pattern.startsWith('!')) {
+      if (matchPattern(pattern.slice(1), name)) return false;
+    } else if (matchPattern(pattern, name)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+class KnownHostsStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file the entries are saved to
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.entries = []; // { id, hosts, marker, keyType, key, fingerprint, comment, source, addedAt, lastSeen }
+
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+    try {
+      const document = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = Array.isArray(document.entries) ? document.entries : [];
+    } catch (error) {
+      console.warn('Known hosts could not be loaded:', error.message);
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, entries: this.entries }, null, 2));
+  }
+
+  /**
+   * Check a presented host key
+   * @param {string} host
+   * @param {number} port
+   * @param {Buffer} blob - Public key blob sent by the server
+   * @returns {Object} { status, host, port, presented, known[], entry? }
+   */
+  verify(host, port, blob) {
+    const presented = describeKey(blob);
+    const matches = this.find(host, port);
+    const result = { host, port, presented, known: [] };
+
+    if (matches.some(entry => entry.marker === 'revoked' && entry.key === presented.key)) {
+      return { ...result, status: 'revoked' };
+    }
+
+    const trusted = matches.filter(entry => entry.marker !== 'revoked');
+    const entry = trusted.find(candidate => candidate.key === presented.key);
+    if (entry) {
+      entry.lastSeen = Date.now();
+      this.save();
+      return { ...result, status: 'known', entry: this.describe(entry) };
+    }
+
+    const sameType = trusted.filter(candidate => candidate.keyType === presented.keyType);
+    if (sameType.length > 0) {
+      return { ...result, status: 'changed', known: sameType.map(candidate => this.describe(candidate)) };
+    }
+    if (trusted.length > 0) {
+      return { ...result, status: 'other-type', known: trusted.map(candidate => this.describe(candidate)) };
+    }
+    return { ...result, status: 'unknown' };
+  }
+
+  /**
+   * Trust a host key
+   * @param {string} host
+   * @param {number} port
+   * @param {Buffer|string} key - Key blob, or base64 as shown by verify()
+   * @param {Object} [options] - { source, comment, replace } - replace is required to
+   *   trust a key when a different key of the same type is known for the host
+   * @returns {Object} Entry
+   */
+  trust(host, port, key, options = {}) {
+    const blob = Buffer.isBuffer(key) ? key : Buffer.from(String(key), 'base64');
+    const presented = describeKey(blob);
+    const check = this.verify(host, port, blob);
+
+    if (check.status === 'known') return check.entry;
+    if (check.status === 'revoked') {
+      throw new Error(`Host key ${presented.fingerprint} is revoked`);
+    }
+    if (check.status === 'changed') {
+      if (!options.replace) {
+        throw new Error(`A different ${presented.keyType} key is known for ${formatHost(host, port)}; remove it or replace it explicitly`);
+      }
+      this.remove(host, port, { keyType: presented.keyType });
+    }
+
+    const now = Date.now();
+    const entry = {
+      id: crypto.randomUUID(),
+      hosts: formatHost(host, port),
+      marker: null,
+      ...presented,
+      comment: options.comment || '',
+      source: options.source || 'manual',
+      addedAt: now,
+      lastSeen: now
+    };
+    this.entries.push(entry);
+    this.save();
+    return this.describe(entry);
+  }
+
+  /**
+   * Remove the keys known for a host
+   * @param {Object} [filter] - { keyType, fingerprint, id }
+   * @returns {number} Entries removed
+   */
+  remove(host, port, filter = {}) {
+    const matching = new Set(this.find(host, port)
+      .filter(entry => entry.marker !== 'revoked')
+      .filter(entry => !filter.keyType || entry.keyType === filter.keyType)
+      .filter(entry => !filter.fingerprint || entry.fingerprint === filter.fingerprint)
+      .filter(entry => !filter.id || entry.id === filter.id));
+
+    this.entries = this.entries.filter(entry => !matching.has(entry));
+    if (matching.size > 0) this.save();
+    return matching.size;
+  }
+
+  /**
+   * Entries matching a host (all entries when host is omitted)
+   */
+  list(host = null, port = 22) {
+    const entries = host ? this.find(host, port) : this.entries;
+    return entries.map(entry => this.describe(entry));
+  }
+
+  /**
+   * Import an OpenSSH known_hosts file
+   * @param {string} text - File contents
+   * @returns {Object} { added, duplicates, skipped: [{ line, reason }] }
+   */
+  importOpenSSH(text) {
+    const result = { added: 0, duplicates: 0, skipped: [] };
+    const now = Date.now();
+
+    String(text).split(/\r?\n/).forEach((raw, index) => {
+      const line = raw.trim();
+      if (!line || line.startsWith('#')) return;
+
+      const fields = line.split(/\s+/);
+      let marker = null;
+      if (fields[0].startsWith('@')) {
+        marker = fields.shift().slice(1);
+        if (marker !== 'revoked') {
+          result.skipped.push({ line: index + 1, reason: `@${marker} entries are not supported` });
+          return;
+        }
+      }
+
+      const [hosts, keyType, key, ...comment] = fields;
+      if (!hosts || !keyType || !key) {
+        result.skipped.push({ line: index + 1, reason: 'Expected: hosts keytype key [comment]' });
+        return;
+      }
+
+      let presented;
+      try {
+        presented = describeKey(Buffer.from(key, 'base64'));
+      } catch (error) {
+        result.skipped.push({ line: index + 1, reason: error.message });
+        return;
+      }
+      if (presented.keyType !== keyType) {
+        result.skipped.push({ line: index + 1, reason: `Key is ${presented.keyType}, line says ${keyType}` });
+        return;
+      }
+
+      if (this.entries.some(entry => entry.hosts === hosts && entry.key === presented.key && entry.marker === marker)) {
+        result.duplicates++;
+        return;
+      }
+
+      this.entries.push({
+        id: crypto.randomUUID(),
+        hosts,
+        marker,
+        ...presented,
+        comment: comment.join(' '),
+        source: 'import',
+        addedAt: now,
+        lastSeen: null
+      });
+      result.added++;
+    });
+
+    if (result.added > 0) this.save();
+    return result;
+  }
+
+  /**
+   * Export all entries in OpenSSH known_hosts format
+   * @returns {string}
+   */
+  exportOpenSSH() {
+    return this.entries.map(entry => [
+      entry.marker ? `@${entry.marker}` : null,
+      entry.hosts,
+      entry.keyType,
+      entry.key,
+      entry.comment || null
+    ].filter(Boolean).join(' ')).join('\n') + (this.entries.length ? '\n' : '');
+  }
+
+  /**
+   * Helper: Entries whose host patterns match host:port
+   */
+  find(host, port = 22) {
+    const name = formatHost(host, port);
+    return this.entries.filter(entry => matchHosts(entry.hosts, name));
+  }
+
+  /**
+   * Helper: Public view of an entry (hashed host names are not reversible)
+   */
+  describe(entry) {
+    return {
+      id: entry.id,
+      hosts: entry.hosts.split(',').map(pattern => (pattern.startsWith('|1|') ? '(hashed)' : pattern)).join(','),
+      marker: entry.marker,
+      keyType: entry.keyType,
+      key: entry.key,
+      fingerprint: entry.fingerprint,
+      comment: entry.comment,
+      source: entry.source,
+      addedAt: entry.addedAt,
+      lastSeen: entry.lastSeen
+    };
+  }
+}
+
+module.exports = { KnownHostsStore, HOST_KEY_POLICIES, describeKey, formatHost };
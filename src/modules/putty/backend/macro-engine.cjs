@@ -0,0 +1,562 @@
+/**
+ * Macro Engine
+ * Expect-style scripting for interactive remote sessions
+ *
+ * Features:
+ * - Versioned macro schema (v2: steps); v1 macros ({ commands, delay }) are
+ *   migrated on load
+ * - Steps: send, expect (regex, with alternatives that branch), label/goto,
+ *   if (branch on a variable), set, sleep, abort
+ * - Named values captured from expect matches and reused as {{variables}}
+ * - Pager prompts ("--More--") answered automatically while expecting
+ * - Error patterns ("% Invalid input") abort the macro
+ * - Dry run: the steps that would be sent, with variables filled in
+ * - secret sends (send steps or expect alternatives) masked in recordings,
+ *   dry runs and step events
+ *
+ * Macro (v2):
+ * {
+ *   version: 2,
+ *   description: 'Save switch config',
+ *   variables: { enablePassword: '' },          // inputs and defaults
+ *   timeout: 10000,                               // default expect timeout (ms)
+ *   newline: '\r',                                // appended to sends (default: the session's)
+ *   pager: { pattern: '--More--', send: ' ' },
+ *   errorPatterns: ['% Invalid input', '% Unknown command'],
+ *   steps: [
+ *     { expect: '[>#]\\s*$' },
+ *     { send: 'enable' },
+ *     { expect: [{ pattern: 'Password:', goto: 'password' }, { pattern: '#\\s*$', goto: 'enabled' }] },
+ *     { label: 'password' },
+ *     { send: '{{enablePassword}}', secret: true },
+ *     { expect: '#\\s*$' },
+ *     { label: 'enabled' },
+ *     { send: 'show version' },
+ *     { expect: 'Version (?<version>[\\w.()]+)', capture: { iosVersion: 'version' } },
+ *     { send: 'write memory' },
+ *     { expect: '\\[OK\\]', timeout: 30000 }
+ *   ]
+ * }
+ */
+
+const { EventEmitter } = require('events');
+
+const MACRO_SCHEMA_VERSION = 2;
+const STEP_TYPES = ['send', 'expect', 'label', 'if', 'goto', 'set', 'sleep', 'abort']; // 'if' steps also carry goto
+const MAX_STEPS_EXECUTED = 1000;
+const MAX_BUFFER = 64 * 1024;
+const MAX_OUTPUT = 1024 * 1024;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+/**
+ * Validate a macro definition and bring it to the current schema
+ * @param {Object|string[]} definition - v2 macro, v1 macro ({ commands, delay }), or a command list
+ * @param {Object} [options] - { delay, description } for command lists
+ * @returns {Object} v2 macro
+ */
+function normalizeMacro(definition, options = {}) {
+  if (Array.isArray(definition)) {
+    definition = { version: 1, commands: definition, delay: options.delay, description: options.description };
+  }
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Macro must be an object with steps');
+  }
+
+  // v1: fixed delay between commands
+  if (!definition.version || definition.version === 1) {
+    if (!Array.isArray(definition.commands)) {
+      throw new Error('Version 1 macros need a commands list');
+    }
+    const delay = definition.delay ?? 100;
+    definition = {
+      description: definition.description || '',
+      created: definition.created,
+      steps: definition.commands.flatMap(command => (delay ? [{ sleep: delay }, { send: command }] : [{ send: command }]))
+    };
+  } else if (definition.version !== MACRO_SCHEMA_VERSION) {
+    throw new Error(`Unsupported macro version ${definition.version} (supported: 1, ${MACRO_SCHEMA_VERSION})`);
+  }
+
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error('Macro needs at least one step');
+  }
+
+  const steps = definition.steps.map((step, index) => normalizeStep(step, index));
+  const labels = new Set();
+  for (const step of steps) {
+    if (step.label === undefined) continue;
+    if (labels.has(step.label)) {
+      throw new Error(`Duplicate label '${step.label}'`);
+    }
+    labels.add(step.label);
+  }
+  const targets = steps.flatMap(step => [
+    step.goto,
+    step.onTimeout,
+    ...(step.expect || []).map(alternative => alternative.goto)
+  ]);
+  for (const target of targets) {
+    if (target && target !== 'abort' && target !== 'continue' && !labels.has(target)) {
+      throw new Error(`Unknown label '${target}'`);
+    }
+  }
+
+  let pager = null;
+  if (definition.pager) {
+    const pattern = compilePattern(definition.pager.pattern || definition.pager, 'pager');
+    // Each match is cut from the output; one that can be empty would never run out
+    if (pattern.test('')) {
+      throw new Error(`Pager pattern /${pattern.source}/ must not match empty output`);
+    }
+    pager = { pattern: pattern.source, send: definition.pager.send ?? ' ' };
+  }
+  const errorPatterns = (definition.errorPatterns || []).map(pattern => compilePattern(pattern, 'errorPatterns').source);
+
+  return {
+    version: MACRO_SCHEMA_VERSION,
+    description: definition.description || '',
+    variables: { ...definition.variables },
+    timeout: definition.timeout ?? 10000,
+    newline: definition.newline ?? null,
+    pager,
+    errorPatterns,
+    steps,
+    created: definition.created || Date.now()
+  };
+}
+
+/**
+ * Helper: Check one step; expect is always stored as a list of alternatives
+ */
+function normalizeStep(step, index) {
+  if (typeof step === 'string') {
+    step = { send: step };
+  }
+  const types = STEP_TYPES.filter(type => step && step[type] !== undefined && !(type === 'goto' && step.if !== undefined));
+  if (types.length !== 1) {
+    throw new Error(`Step ${index + 1} must have exactly one of: ${STEP_TYPES.join(', ')}`);
+  }
+  const type = types[0];
+
+  switch (type) {
+    case 'send':
+      return { send: String(step.send), newline: step.newline !== false, secret: !!step.secret };
+    case 'expect': {
+      const alternatives = (Array.isArray(step.expect) ? step.expect : [step.expect]).map(alternative => {
+        const entry = typeof alternative === 'string' ? { pattern: alternative } : alternative;
+        compilePattern(entry.pattern, `step ${index + 1}`, entry.flags);
+        return {
+          pattern: String(entry.pattern),
+          flags: entry.flags || '',
+          capture: entry.capture || (Array.isArray(step.expect) ? null : step.capture) || null,
+          send: entry.send ?? null,
+          secret: !!entry.secret,
+          goto: entry.goto || null,
+          abort: entry.abort || null
+        };
+      });
+      if (step.onTimeout !== undefined && typeof step.onTimeout !== 'string') {
+        throw new Error(`Step ${index + 1}: onTimeout must be 'abort', 'continue' or a label`);
+      }
+      return { expect: alternatives, timeout: step.timeout ?? null, onTimeout: step.onTimeout || 'abort' };
+    }
+    case 'label':
+    case 'goto':
+      if (!/^[\w.-]+$/.test(step[type])) {
+        throw new Error(`Step ${index + 1}: invalid label '${step[type]}'`);
+      }
+      return { [type]: step[type] };
+    case 'if':
+      if (!step.goto || step.matches === undefined) {
+        throw new Error(`Step ${index + 1}: if needs matches and goto`);
+      }
+      compilePattern(step.matches, `step ${index + 1}`);
+      return { if: String(step.if), matches: String(step.matches), goto: step.goto };
+    case 'set':
+      if (typeof step.set !== 'object') {
+        throw new Error(`Step ${index + 1}: set needs an object of variables`);
+      }
+      return { set: { ...step.set } };
+    case 'sleep':
+      if (!Number.isFinite(step.sleep) || step.sleep < 0) {
+        throw new Error(`Step ${index + 1}: sleep must be a number of ms`);
+      }
+      return { sleep: step.sleep };
+    default:
+      return { abort: String(step.abort) };
+  }
+}
+
+/**
+ * Helper: Compile a pattern, naming the macro part in the error
+ */
+function compilePattern(pattern, where, flags = '') {
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    throw new Error(`Invalid pattern in ${where}: ${error.message}`);
+  }
+}
+
+/**
+ * Helper: Step type name
+ */
+function stepType(step) {
+  return STEP_TYPES.find(type => step[type] !== undefined);
+}
+
+/**
+ * Commands of a macro that only sends (no expect or branching), for
+ * non-interactive transports
+ * @returns {string[]|null} null when the macro needs an interactive session
+ */
+function plainCommands(macro, variables = {}) {
+  if (macro.steps.some(step => !['send', 'sleep', 'label'].includes(stepType(step)))) {
+    return null;
+  }
+  const values = { ...macro.variables, ...variables };
+  return macro.steps
+    .filter(step => step.send !== undefined)
+    .map(step => step.send.replace(VARIABLE_PATTERN, (text, name) => values[name] ?? text));
+}
+
+class MacroRunner extends EventEmitter {
+  /**
+   * @param {string} name - Macro name (for results and logs)
+   * @param {Object} macro - Normalized macro (normalizeMacro)
+   * @param {Object} [variables] - Values for {{variables}}
+   * @param {Object} [io] - Session I/O: { write(data, { secret }), onData(callback) -> unsubscribe, newline }
+   *
+   * Events:
+   * - 'step' { index, type, detail }
+   */
+  constructor(name, macro, variables = {}, io = null) {
+    super();
+    this.name = name;
+    this.macro = macro;
+    this.variables = { ...macro.variables, ...variables };
+    this.io = io;
+    this.newline = macro.newline ?? io?.newline ?? '\r';
+
+    this.labels = new Map();
+    macro.steps.forEach((step, index) => {
+      if (step.label !== undefined) this.labels.set(step.label, index);
+    });
+
+    this.buffer = '';       // Output not yet consumed by an expect
+    this.output = '';       // Everything received, ANSI-free
+    this.transcript = [];   // Steps as they ran
+    this.waiter = null;     // Pending expect check
+    this.failure = null;    // Error pattern seen
+  }
+
+  /**
+   * Variables referenced by sends/sets/ifs that have no value and are not captured by any step
+   */
+  missingVariables() {
+    const captured = new Set(this.macro.steps.flatMap(step =>
+      [...(step.expect || []).flatMap(alternative => Object.keys(alternative.capture || {})), ...Object.keys(step.set || {})]
+    ));
+    const referenced = new Set();
+    for (const step of this.macro.steps) {
+      const texts = [step.send, step.abort, ...Object.values(step.set || {}), ...(step.expect || []).map(a => a.send)];
+      for (const text of texts) {
+        for (const match of String(text ?? '').matchAll(VARIABLE_PATTERN)) referenced.add(match[1]);
+      }
+      if (step.if !== undefined) referenced.add(step.if);
+    }
+    return Array.from(referenced).filter(name =>
+      (this.variables[name] === undefined || this.variables[name] === null) && !captured.has(name)
+    );
+  }
+
+  /**
+   * Steps that would run, in order, with variables filled in; branches are
+   * listed but not taken
+   */
+  dryRun() {
+    const mask = (step, text) => (step.secret ? '********' : text);
+    const steps = this.macro.steps.map((step, index) => {
+      const type = stepType(step);
+      let detail;
+      switch (type) {
+        case 'send':
+          detail = { send: mask(step, this.render(step.send, true)), newline: step.newline };
+          break;
+        case 'expect':
+          detail = {
+            expect: step.expect.map(alternative => ({
+              pattern: alternative.pattern,
+              capture: alternative.capture,
+              send: alternative.send === null ? null : mask(alternative, this.render(alternative.send, true)),
+              goto: alternative.goto,
+              abort: alternative.abort
+            })),
+            timeout: step.timeout ?? this.macro.timeout,
+            onTimeout: step.onTimeout
+          };
+          break;
+        case 'if':
+          detail = { if: step.if, matches: step.matches, goto: step.goto };
+          break;
+        case 'set':
+          detail = { set: Object.fromEntries(Object.entries(step.set).map(([key, value]) => [key, this.render(value, true)])) };
+          break;
+        default:
+          detail = { [type]: step[type] };
+      }
+      return { index, type, ...detail };
+    });
+
+    return {
+      macro: this.name,
+      version: this.macro.version,
+      dryRun: true,
+      steps,
+      sends: steps.filter(step => step.type === 'send').map(step => step.send),
+      missingVariables: this.missingVariables()
+    };
+  }
+
+  /**
+   * Run the macro against the session
+   * @returns {Promise<Object>} { macro, version, status, variables, steps, output, error, duration }
+   *   status: 'completed' | 'aborted' | 'timeout'
+   */
+  async run() {
+    const missing = this.missingVariables();
+    if (missing.length > 0) {
+      throw new Error(`Missing macro variables: ${missing.join(', ')}`);
+    }
+
+    const startTime = Date.now();
+    const unsubscribe = this.io.onData(data => this.receive(data));
+    let status = 'completed';
+    let error = null;
+
+    try {
+      let pc = 0;
+      let executed = 0;
+      while (pc < this.macro.steps.length) {
+        if (++executed > MAX_STEPS_EXECUTED) {
+          throw new MacroStop('aborted', `More than ${MAX_STEPS_EXECUTED} steps run; check for goto loops`);
+        }
+        pc = await this.runStep(this.macro.steps[pc], pc);
+      }
+      this.checkFailure();
+    } catch (err) {
+      if (!(err instanceof MacroStop)) throw err;
+      status = err.status;
+      error = err.message;
+    } finally {
+      unsubscribe();
+      this.waiter = null;
+    }
+
+    return {
+      macro: this.name,
+      version: this.macro.version,
+      status,
+      variables: this.variables,
+      steps: this.transcript,
+      output: this.output,
+      error,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Helper: Run one step
+   * @returns {Promise<number>} Index of the next step
+   */
+  async runStep(step, index) {
+    const type = stepType(step);
+    const next = index + 1;
+
+    switch (type) {
+      case 'send': {
+        const text = this.render(step.send);
+        this.write(text + (step.newline ? this.newline : ''), { secret: step.secret });
+        this.record(index, type, { send: step.secret ? '********' : text });
+        return next;
+      }
+      case 'expect':
+        return this.runExpect(step, index);
+      case 'label':
+        return next;
+      case 'goto':
+        this.record(index, type, { goto: step.goto });
+        return this.labels.get(step.goto);
+      case 'if': {
+        const value = String(this.variables[step.if] ?? '');
+        const taken = new RegExp(step.matches).test(value);
+        this.record(index, type, { if: step.if, value, taken });
+        return taken ? this.labels.get(step.goto) : next;
+      }
+      case 'set':
+        for (const [key, value] of Object.entries(step.set)) {
+          this.variables[key] = this.render(value);
+        }
+        this.record(index, type, { set: Object.keys(step.set) });
+        return next;
+      case 'sleep':
+        await new Promise(resolve => setTimeout(resolve, step.sleep));
+        this.checkFailure();
+        return next;
+      default:
+        this.record(index, type, { abort: this.render(step.abort) });
+        throw new MacroStop('aborted', this.render(step.abort));
+    }
+  }
+
+  /**
+   * Helper: Wait for one of the step's patterns, then capture/send/branch
+   */
+  async runExpect(step, index) {
+    const timeout = step.timeout ?? this.macro.timeout;
+    const alternatives = step.expect.map(alternative => ({
+      ...alternative,
+      regex: new RegExp(this.render(alternative.pattern), alternative.flags)
+    }));
+
+    const found = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiter = null;
+        resolve(null);
+      }, timeout);
+
+      this.waiter = () => {
+        try {
+          this.checkFailure();
+        } catch (error) {
+          clearTimeout(timer);
+          this.waiter = null;
+          reject(error);
+          return;
+        }
+        for (const alternative of alternatives) {
+          const match = alternative.regex.exec(this.buffer);
+          if (match) {
+            clearTimeout(timer);
+            this.waiter = null;
+            this.buffer = this.buffer.slice(match.index + match[0].length);
+            resolve({ alternative, match });
+            return;
+          }
+        }
+      };
+      this.waiter();
+    });
+
+    if (!found) {
+      this.record(index, 'expect', { timeout: true, patterns: step.expect.map(a => a.pattern) });
+      if (step.onTimeout === 'continue') return index + 1;
+      if (step.onTimeout !== 'abort') return this.labels.get(step.onTimeout);
+      throw new MacroStop('timeout', `Timed out after ${timeout}ms waiting for ${step.expect.map(a => `/${a.pattern}/`).join(' or ')}`);
+    }
+
+    const { alternative, match } = found;
+    const captured = {};
+    for (const [name, group] of Object.entries(alternative.capture || {})) {
+      const value = typeof group === 'number' ? match[group] : match.groups?.[group];
+      if (value !== undefined) {
+        this.variables[name] = value.trim();
+        captured[name] = this.variables[name];
+      }
+    }
+    const reply = alternative.send === null ? null : this.render(alternative.send);
+    this.record(index, 'expect', {
+      matched: alternative.pattern,
+      text: match[0],
+      captured,
+      ...(reply === null ? {} : { send: alternative.secret ? '********' : reply })
+    });
+
+    if (reply !== null) {
+      this.write(reply + this.newline, { secret: alternative.secret });
+    }
+    if (alternative.abort) {
+      throw new MacroStop('aborted', this.render(alternative.abort));
+    }
+    return alternative.goto ? this.labels.get(alternative.goto) : index + 1;
+  }
+
+  /**
+   * Helper: Session output arrives (pager prompts answered, error patterns noted)
+   */
+  receive(data) {
+    const text = String(data).replace(ANSI_PATTERN, '').replace(/\r\n?/g, '\n');
+    if (this.output.length < MAX_OUTPUT) {
+      this.output += text;
+    }
+    this.buffer = (this.buffer + text).slice(-MAX_BUFFER);
+
+    if (this.macro.pager) {
+      const pager = new RegExp(this.macro.pager.pattern);
+      let match;
+      while ((match = pager.exec(this.buffer)) && match[0].length > 0) {
+        this.buffer = this.buffer.slice(0, match.index) + this.buffer.slice(match.index + match[0].length);
+        this.write(this.macro.pager.send);
+      }
+    }
+
+    if (!this.failure) {
+      for (const pattern of this.macro.errorPatterns) {
+        const match = new RegExp(pattern, 'm').exec(this.buffer);
+        if (match) {
+          const line = this.buffer.slice(match.index).split('\n')[0].trim();
+          this.failure = `Error output matched /${pattern}/: ${line}`;
+          break;
+        }
+      }
+    }
+
+    if (this.waiter) this.waiter();
+  }
+
+  /**
+   * Helper: Abort once an error pattern has been seen
+   */
+  checkFailure() {
+    if (this.failure) {
+      throw new MacroStop('aborted', this.failure);
+    }
+  }
+
+  /**
+   * Helper: Fill in {{variables}} (unknown ones kept as-is in dry runs)
+   */
+  render(text, keepUnknown = false) {
+    return String(text).replace(VARIABLE_PATTERN, (placeholder, name) => {
+      const value = this.variables[name];
+      if (value === undefined || value === null) {
+        if (keepUnknown) return placeholder;
+        throw new MacroStop('aborted', `Variable '${name}' has no value`);
+      }
+      return String(value);
+    });
+  }
+
+  write(data, options = {}) {
+    this.io.write(data, options);
+  }
+
+  record(index, type, detail) {
+    const entry = { index, type, ...detail, at: Date.now() };
+    this.transcript.push(entry);
+    this.emit('step', entry);
+  }
+}
+
+/**
+ * Helper: Ends a run with a status instead of an exception
+ */
+class MacroStop extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = { MacroRunner, normalizeMacro, plainCommands, MACRO_SCHEMA_VERSION };
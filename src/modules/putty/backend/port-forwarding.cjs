@@ -0,0 +1,376 @@
+/**
+ * SSH Port Forwarding
+ * Forwarding rules run over a RemoteAccessEngine SSH connection
+ *
+ * Features:
+ * - Local forwards (-L): local listener -> target reached from the SSH server
+ * - Remote forwards (-R): listener on the SSH server -> target reached from this machine
+ * - Dynamic forwards (-D): local SOCKS5 proxy (CONNECT; IPv4, IPv6 and domain names)
+ * - Per-rule state: status, bound port, active/total connections, bytes each way, last error
+ *
+ * Usage:
+ * const { SSHForward, normalizeForward } = require('./port-forwarding.cjs');
+ * const forward = new SSHForward(client, normalizeForward({ type: 'local', bindPort: 8443,
+ *   targetHost: '10.0.0.1', targetPort: 443 }));
+ * await forward.start();
+ */
+
+const { EventEmitter } = require('events');
+const net = require('net');
+
+const FORWARD_TYPES = ['local', 'remote', 'dynamic'];
+
+const SOCKS_VERSION = 0x05;
+const SOCKS_REPLY = {
+  SUCCEEDED: 0x00,
+  GENERAL_FAILURE: 0x01,
+  CONNECTION_REFUSED: 0x05,
+  COMMAND_NOT_SUPPORTED: 0x07,
+  ADDRESS_NOT_SUPPORTED: 0x08
+};
+
+/**
+ * Validate a forwarding rule and fill defaults
+ * @param {Object} rule - { id?, type, bindAddress?, bindPort, targetHost?, targetPort? }
+ *   bindPort 0 picks a free port (the SSH server picks one for remote forwards)
+ * @returns {Object} Rule
+ */
+function normalizeForward(rule) {
+  if (!rule || !FORWARD_TYPES.includes(rule.type)) {
+    throw new Error(`Forward type must be one of ${FORWARD_TYPES.join(', ')}`);
+  }
+  const bindPort = rule.bindPort === undefined ? 0 : rule.bindPort;
+  if (!Number.isInteger(bindPort) || bindPort < 0 || bindPort > 65535) {
+    throw new Error('Forward bindPort must be between 0 and 65535');
+  }
+  if (rule.type !== 'dynamic') {
+    if (!rule.targetHost) {
+      throw new Error(`A ${rule.type} forward needs a targetHost`);
+    }
+    if (!Number.isInteger(rule.targetPort) || rule.targetPort < 1 || rule.targetPort > 65535) {
+      throw new Error('Forward targetPort must be between 1 and 65535');
+    }
+  }
+
+  return {
+    id: rule.id || `${rule.type}-${bindPort || 'auto'}${rule.type === 'dynamic' ? '' : `-${rule.targetHost}:${rule.targetPort}`}`,
+    type: rule.type,
+    bindAddress: rule.bindAddress || (rule.type === 'remote' ? 'localhost' : '127.0.0.1'),
+    bindPort,
+    targetHost: rule.type === 'dynamic' ? null : rule.targetHost,
+    targetPort: rule.type === 'dynamic' ? null : rule.targetPort
+  };
+}
+
+/**
+ * Helper: Open a direct-tcpip channel through an ssh2 client
+ * @returns {Promise<Object>} Channel stream
+ */
+function forwardOut(client, host, port, source = {}) {
+  return new Promise((resolve, reject) => {
+    client.forwardOut(source.address || '127.0.0.1', source.port || 0, host, port, (err, stream) => {
+      if (err) reject(new Error(`Cannot reach ${host}:${port} through the SSH connection: ${err.message}`));
+      else resolve(stream);
+    });
+  });
+}
+
+class SSHForward extends EventEmitter {
+  /**
+   * @param {Object} client - Connected ssh2 Client
+   * @param {Object} rule - Rule from normalizeForward()
+   */
+  constructor(client, rule) {
+    super();
+    this.client = client;
+    this.rule = rule;
+    this.server = null;
+    this.sockets = new Set(); // piped connections
+    this.pending = new Set(); // accepted, still in the SOCKS handshake or waiting on forwardOut
+    this.status = 'stopped'; // stopped | starting | active | error
+    this.boundPort = null;
+    this.totalConnections = 0;
+    this.bytesIn = 0; // towards the client side of the forward
+    this.bytesOut = 0; // towards the target
+    this.error = null;
+    this.startedAt = null;
+  }
+
+  get state() {
+    return {
+      ...this.rule,
+      status: this.status,
+      boundPort: this.boundPort,
+      activeConnections: this.sockets.size,
+      totalConnections: this.totalConnections,
+      bytesIn: this.bytesIn,
+      bytesOut: this.bytesOut,
+      error: this.error,
+      startedAt: this.startedAt
+    };
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} State
+   */
+  async start() {
+    this.setStatus('starting');
+    try {
+      if (this.rule.type === 'remote') {
+        this.boundPort = await new Promise((resolve, reject) => {
+          this.client.forwardIn(this.rule.bindAddress, this.rule.bindPort, (err, port) => {
+            if (err) reject(new Error(`SSH server refused remote forward on port ${this.rule.bindPort}: ${err.message}`));
+            else resolve(port || this.rule.bindPort);
+          });
+        });
+      } else {
+        this.server = net.createServer(socket => {
+          if (this.rule.type === 'local') {
+            this.forwardLocal(socket);
+          } else {
+            this.forwardSocks(socket);
+          }
+        });
+        this.boundPort = await new Promise((resolve, reject) => {
+          this.server.once('error', reject);
+          this.server.listen(this.rule.bindPort, this.rule.bindAddress, () => {
+            this.server.removeListener('error', reject);
+            resolve(this.server.address().port);
+          });
+        });
+      }
+    } catch (error) {
+      this.error = error.message;
+      this.server = null;
+      this.setStatus('error');
+      throw error;
+    }
+
+    this.error = null;
+    this.startedAt = Date.now();
+    this.setStatus('active');
+    return this.state;
+  }
+
+  /**
+   * Stop listening and drop open connections
+   */
+  async stop() {
+    if (this.status === 'stopped') return;
+
+    // Drop connections first: server.close() waits for every open socket
+    for (const socket of [...this.pending, ...this.sockets]) socket.destroy();
+    this.pending.clear();
+    this.sockets.clear();
+
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      await new Promise(resolve => server.close(() => resolve()));
+    } else if (this.rule.type === 'remote' && this.status === 'active') {
+      await new Promise(resolve => {
+        try {
+          this.client.unforwardIn(this.rule.bindAddress, this.boundPort, () => resolve());
+        } catch (error) {
+          resolve(); // connection already gone
+        }
+      });
+    }
+
+    this.setStatus('stopped');
+  }
+
+  /**
+   * Remote forward: does an incoming 'tcp connection' belong to this rule
+   * @param {Object} info - { destIP, destPort, srcIP, srcPort } from ssh2
+   */
+  matches(info) {
+    return this.rule.type === 'remote' && this.status === 'active' &&
+      info.destPort === this.boundPort &&
+      (info.destIP === this.rule.bindAddress || this.rule.bindAddress === '' || this.rule.bindAddress === '0.0.0.0');
+  }
+
+  /**
+   * Remote forward: connect an accepted channel to the target
+   */
+  acceptRemote(info, accept, reject) {
+    let connected = false;
+    const socket = net.connect(this.rule.targetPort, this.rule.targetHost);
+    this.track(socket);
+    socket.once('connect', () => {
+      connected = true;
+      this.pending.delete(socket);
+      this.pipe(accept(), socket);
+    });
+    socket.once('error', (error) => {
+      if (!connected) this.error = `${this.rule.targetHost}:${this.rule.targetPort}: ${error.message}`;
+    });
+    socket.once('close', () => {
+      if (!connected) reject(); // target unreachable, or the forward stopped first
+    });
+  }
+
+  /**
+   * Helper: Local forward connection
+   */
+  forwardLocal(socket) {
+    this.track(socket);
+    socket.pause();
+    socket.on('error', () => socket.destroy());
+    forwardOut(this.client, this.rule.targetHost, this.rule.targetPort, {
+      address: socket.remoteAddress, port: socket.remotePort
+    }).then(stream => {
+      this.pipe(socket, stream);
+      socket.resume();
+    }).catch(error => {
+      this.error = error.message;
+      socket.destroy();
+    });
+  }
+
+  /**
+   * Helper: SOCKS5 handshake, then forward to the requested destination
+   */
+  forwardSocks(socket) {
+    this.track(socket);
+    let buffer = Buffer.alloc(0);
+    let stage = 'greeting';
+
+    const fail = (reply) => {
+      if (reply !== undefined) {
+        socket.end(Buffer.from([SOCKS_VERSION, reply, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+      } else {
+        socket.destroy();
+      }
+    };
+
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      if (stage === 'greeting') {
+        if (buffer.length < 2) return;
+        if (buffer[0] !== SOCKS_VERSION) return fail();
+        const methodCount = buffer[1];
+        if (buffer.length < 2 + methodCount) return;
+        const methods = buffer.subarray(2, 2 + methodCount);
+        buffer = buffer.subarray(2 + methodCount);
+        if (!methods.includes(0x00)) {
+          socket.end(Buffer.from([SOCKS_VERSION, 0xff])); // no acceptable method
+          return;
+        }
+        socket.write(Buffer.from([SOCKS_VERSION, 0x00]));
+        stage = 'request';
+      }
+
+      if (stage === 'request') {
+        const request = parseSocksRequest(buffer);
+        if (!request) return;
+        socket.removeListener('data', onData);
+        socket.pause();
+        stage = 'connecting';
+
+        if (request.error !== undefined) return fail(request.error);
+
+        forwardOut(this.client, request.host, request.port, {
+          address: socket.remoteAddress, port: socket.remotePort
+        }).then(stream => {
+          socket.write(Buffer.from([SOCKS_VERSION, SOCKS_REPLY.SUCCEEDED, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+          const rest = buffer.subarray(request.length);
+          if (rest.length > 0) {
+            stream.write(rest);
+            this.bytesOut += rest.length;
+          }
+          this.pipe(socket, stream);
+          socket.resume();
+        }).catch(error => {
+          this.error = error.message;
+          fail(SOCKS_REPLY.CONNECTION_REFUSED);
+        });
+      }
+    };
+
+    socket.on('data', onData);
+    socket.on('error', () => socket.destroy());
+  }
+
+  /**
+   * Helper: Join the client side and the target side, counting bytes
+   */
+  pipe(socket, stream) {
+    this.pending.delete(socket);
+    if (socket.destroyed || stream.destroyed || this.status === 'stopped') {
+      socket.destroy();
+      stream.destroy();
+      return;
+    }
+    this.sockets.add(socket);
+    this.totalConnections++;
+
+    socket.on('data', (data) => { this.bytesOut += data.length; });
+    stream.on('data', (data) => { this.bytesIn += data.length; });
+    socket.pipe(stream).pipe(socket);
+
+    const close = () => {
+      this.sockets.delete(socket);
+      socket.destroy();
+      stream.destroy();
+    };
+    socket.on('close', close);
+    socket.on('error', close);
+    stream.on('close', close);
+    stream.on('error', close);
+  }
+
+  /**
+   * Helper: Hold a connection that is not piped yet, so stop() can drop it
+   */
+  track(socket) {
+    this.pending.add(socket);
+    socket.once('close', () => this.pending.delete(socket));
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.emit('state', this.state);
+  }
+}
+
+/**
+ * Helper: Parse a SOCKS5 request
+ * @returns {Object|null} { host, port, length } | { error, length } | null when incomplete
+ */
+function parseSocksRequest(buffer) {
+  if (buffer.length < 5) return null;
+  const command = buffer[1];
+  const addressType = buffer[3];
+
+  let host;
+  let offset;
+  if (addressType === 0x01) {
+    if (buffer.length < 10) return null;
+    host = Array.from(buffer.subarray(4, 8)).join('.');
+    offset = 8;
+  } else if (addressType === 0x03) {
+    const length = buffer[4];
+    if (buffer.length < 5 + length + 2) return null;
+    host = buffer.toString('ascii', 5, 5 + length);
+    offset = 5 + length;
+  } else if (addressType === 0x04) {
+    if (buffer.length < 22) return null;
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) groups.push(buffer.readUInt16BE(4 + i).toString(16));
+    host = groups.join(':');
+    offset = 20;
+  } else {
+    return { error: SOCKS_REPLY.ADDRESS_NOT_SUPPORTED, length: buffer.length };
+  }
+
+  const length = offset + 2;
+  if (command !== 0x01) {
+    return { error: SOCKS_REPLY.COMMAND_NOT_SUPPORTED, length }; // CONNECT only
+  }
+  return { host, port: buffer.readUInt16BE(offset), length };
+}
+
+module.exports = { SSHForward, normalizeForward, forwardOut, FORWARD_TYPES };
@@ -4,16 +4,21 @@
  *
  * Features:
  * - SSH2 protocol support with key-based and password authentication
- * - Telnet protocol support with negotiation
+ * - Host key verification against a known-hosts store (trust on first use,
+ *   hard block on changed keys, per-profile strict policy; see known-hosts.cjs)
+ * - Telnet protocol support: IAC handling and option negotiation (ECHO, SGA,
+ *   TERMINAL-TYPE, NAWS) and auto-login from the profile (see telnet-protocol.cjs)
  * - Serial port connectivity (RS-232, USB-Serial)
  * - RDP integration via external command execution
  * - Multi-session management with isolation
- * - Command macros and automation
+ * - Command macros and automation (expect-style steps, see macro-engine.cjs)
  * - Connection profiles with encryption
- * - Session recording and playback
- * - SFTP file transfer integration
- * - Port forwarding (local and remote)
- * - Jump host / bastion support
+ * - Session recording (asciicast v2, typed passwords redacted; playback and
+ *   search via RecordingLibrary)
+ * - SFTP file manager: queued, resumable transfers with checksum verification
+ *   and remote file operations (see sftp-transfers.cjs)
+ * - Port forwarding (local, remote and SOCKS5 dynamic; see port-forwarding.cjs)
+ * - Jump host / bastion chains (ProxyJump), each hop with its own authentication
  * - Performance monitoring (<50ms command dispatch)
  *
  * Integration:
@@ -30,9 +35,21 @@ const path = require('path');
 const fs = require('fs');
 const net = require('net');
 const crypto = require('crypto');
+const { MacroRunner, normalizeMacro } = require('./macro-engine.cjs');
+const { KnownHostsStore, HOST_KEY_POLICIES, formatHost } = require('./known-hosts.cjs');
+const { SSHForward, normalizeForward, forwardOut } = require('./port-forwarding.cjs');
+const { TelnetProtocol, loginMacro } = require('./telnet-protocol.cjs');
+const sftpFiles = require('./sftp-transfers.cjs');
+const { AsciicastRecorder } = require('../../../backend/session-recorder.cjs');
 
 class RemoteAccessEngine extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.knownHostsPath] - JSON file for trusted SSH host keys
+   * @param {string} [options.recordingsDir] - Directory for session recordings (.cast)
+   * @param {Object} [options.credentials] - CredentialStore for profile credentialIds (Telnet login)
+   */
+  constructor(options = {}) {
     super();
 
     // Active sessions
@@ -45,8 +62,17 @@ class RemoteAccessEngine extends EventEmitter {
 
     // Macro storage
     this.macrosFile = path.join(os.homedir(), '.ninja-toolkit-remote-macros.json');
+    this.skippedMacros = {}; // Unreadable definitions, written back untouched
     this.macros = this.loadMacros();
 
+    // Trusted SSH host keys
+    this.knownHosts = new KnownHostsStore({
+      filePath: options.knownHostsPath || path.join(os.homedir(), '.ninja-toolkit-known-hosts.json')
+    });
+
+    // Stored credentials
+    this.credentials = options.credentials || null;
+
     // Performance monitoring
     this.metrics = {
       sessionsCreated: 0,
@@ -56,13 +82,43 @@ class RemoteAccessEngine extends EventEmitter {
       bytesTransferred: 0
     };
 
+    // SFTP transfer queue
+    this.transfers = new sftpFiles.SFTPTransferQueue({
+      openSFTP: (sessionId) => this.getSFTP(sessionId),
+      remoteChecksum: (sessionId, remotePath) => this.remoteChecksum(sessionId, remotePath)
+    });
+    this.transfers.on('progress', state => this.emit('transferProgress', state));
+    this.transfers.on('state', state => this.emit('transferState', state));
+
     // Session recording
-    this.recordingsDir = path.join(os.homedir(), '.ninja-toolkit-recordings');
+    this.recordingsDir = options.recordingsDir || path.join(os.homedir(), '.ninja-toolkit-recordings');
     this.ensureRecordingsDir();
   }
 
+  /**
+   * Connect using a config from the renderer
+   * @param {Object} config - { type: 'ssh' | 'telnet', profile?, ...connection options };
+   *   a saved profile named by `profile` supplies defaults
+   */
+  async connect(config = {}) {
+    const profile = config.profile ? this.getProfile(config.profile) : null;
+    if (config.profile && !profile) {
+      throw new Error(`Profile ${config.profile} not found`);
+    }
+    const options = { ...(profile || {}), ...config };
+    const type = options.type || 'ssh';
+
+    if (type === 'ssh') return this.createSSHSession(options);
+    if (type === 'telnet') return this.createTelnetSession(options);
+    throw new Error(`Unsupported connection type: ${type}`);
+  }
+
   /**
    * Create new SSH session
+   * @param {Object} options - connection options, plus hostKeyPolicy ('tofu' | 'strict'),
+   *   acceptFingerprint (SHA256 fingerprint the user confirmed for an unknown host),
+   *   jumpHosts (ProxyJump chain, first hop first; each { host, port, username, password |
+   *   privateKey | agent, hostKeyPolicy? }) and forwards (rules started with the session)
    */
   async createSSHSession(options = {}) {
     const sessionId = `ssh-${this.sessionIdCounter++}`;
@@ -71,20 +127,35 @@ class RemoteAccessEngine extends EventEmitter {
       host,
       port = 22,
       username,
-      password = null,
-      privateKey = null,
-      passphrase = null,
       keepaliveInterval = 10000,
       readyTimeout = 20000,
-      agent = process.env.SSH_AUTH_SOCK || null
+      cols = 80,
+      rows = 24,
+      hostKeyPolicy = 'tofu',
+      acceptFingerprint = null,
+      jumpHosts = [],
+      forwards = []
     } = options;
 
     if (!host || !username) {
       throw new Error('SSH requires host and username');
     }
+    if (!HOST_KEY_POLICIES.includes(hostKeyPolicy)) {
+      throw new Error(`hostKeyPolicy must be one of ${HOST_KEY_POLICIES.join(', ')}`);
+    }
+    const forwardRules = forwards.map(rule => normalizeForward(rule));
+    const authConfig = this.buildSSHConfig({ ...options, port, keepaliveInterval, readyTimeout });
 
     console.log(`Creating SSH session ${sessionId} to ${username}@${host}:${port}...`);
 
+    // Reach the target through the jump chain
+    const jump = jumpHosts.length > 0
+      ? await this.openJumpChain(jumpHosts, { host, port, keepaliveInterval, readyTimeout, hostKeyPolicy })
+      : { clients: [], sock: null };
+    if (jump.sock) {
+      authConfig.sock = jump.sock;
+    }
+
     return new Promise((resolve, reject) => {
       const client = new SSHClient();
       const session = {
@@ -99,53 +170,55 @@ class RemoteAccessEngine extends EventEmitter {
         outputBuffer: '',
         stream: null,
         sftp: null,
-        recording: [],
-        listeners: new Set()
+        recorder: null,
+        size: { cols, rows },
+        listeners: new Set(),
+        jumpClients: jump.clients,
+        jumpHosts: jumpHosts.map(hop => `${hop.username}@${hop.host}:${hop.port || 22}`),
+        forwards: new Map()
       };
 
-      // Configure authentication
-      const authConfig = {
-        host,
-        port,
-        username,
-        keepaliveInterval,
-        readyTimeout
+      // Verify the host key
+      let hostKey = null;
+      let hostKeyError = null;
+      authConfig.hostVerifier = (key) => {
+        try {
+          hostKey = this.checkHostKey(host, port, key, { policy: hostKeyPolicy, acceptFingerprint });
+          return true;
+        } catch (error) {
+          hostKeyError = error;
+          return false;
+        }
       };
 
-      if (privateKey) {
-        // Key-based authentication
-        authConfig.privateKey = fs.readFileSync(privateKey);
-        if (passphrase) {
-          authConfig.passphrase = passphrase;
+      // Remote forwards: route incoming connections to their rule
+      client.on('tcp connection', (info, accept, rejectConnection) => {
+        const forward = Array.from(session.forwards.values()).find(candidate => candidate.matches(info));
+        if (forward) {
+          forward.acceptRemote(info, accept, rejectConnection);
+        } else {
+          rejectConnection();
         }
-      } else if (password) {
-        // Password authentication
-        authConfig.password = password;
-      } else if (agent) {
-        // SSH agent authentication
-        authConfig.agent = agent;
-      } else {
-        reject(new Error('No authentication method provided'));
-        return;
-      }
+      });
 
       client.on('ready', () => {
         console.log(`SSH session ${sessionId} connected successfully`);
 
         // Request shell
-        client.shell({ term: 'xterm-256color' }, (err, stream) => {
+        client.shell({ term: 'xterm-256color', cols, rows }, (err, stream) => {
           if (err) {
             reject(new Error(`Failed to start shell: ${err.message}`));
             return;
           }
 
           session.stream = stream;
+          this.startRecording(session, options, [options.password, options.passphrase]);
 
           // Handle stream data
           stream.on('data', (data) => {
             const output = data.toString('utf8');
             session.outputBuffer += output;
-            session.recording.push({ timestamp: Date.now(), type: 'output', data: output });
+            session.recorder?.output(output);
             this.metrics.bytesTransferred += data.length;
 
             this.emit('output', { sessionId, data: output });
@@ -159,23 +232,44 @@ class RemoteAccessEngine extends EventEmitter {
 
           stream.stderr.on('data', (data) => {
             const error = data.toString('utf8');
+            session.recorder?.output(error);
             this.emit('error', { sessionId, error });
           });
 
           this.sessions.set(sessionId, session);
           this.metrics.sessionsCreated++;
 
-          resolve({ sessionId, host, port, username });
+          // Profile forwards; a rule that fails to start is reported in its state
+          Promise.all(forwardRules.map(rule => this.openForward(sessionId, rule).catch(() => null))).then(() => {
+            resolve({
+              sessionId,
+              host,
+              port,
+              username,
+              hostKey,
+              jumpHosts: session.jumpHosts,
+              forwards: this.listForwards(sessionId)
+            });
+          });
         });
       });
 
       client.on('error', (err) => {
+        this.closeJumpChain(session);
+        if (hostKeyError) {
+          console.error(`SSH session ${sessionId} blocked:`, hostKeyError.message);
+          reject(hostKeyError);
+          return;
+        }
         console.error(`SSH session ${sessionId} error:`, err.message);
         reject(new Error(`SSH connection failed: ${err.message}`));
       });
 
       client.on('end', () => {
         console.log(`SSH session ${sessionId} ended`);
+        this.stopForwards(session);
+        this.closeJumpChain(session);
+        this.transfers.cancelSession(sessionId);
         this.saveRecording(sessionId);
         this.sessions.delete(sessionId);
       });
@@ -185,8 +279,269 @@ class RemoteAccessEngine extends EventEmitter {
     });
   }
 
+  /**
+   * Verify a server's host key against the known-hosts store
+   * Unknown keys are trusted on first use unless the policy is 'strict' or keys of
+   * other types are already known; changed and revoked keys are always refused.
+   * @param {Buffer} key - Host key blob from the handshake
+   * @param {Object} options - { policy, acceptFingerprint }
+   * @returns {Object} { status: 'known' | 'new' | 'accepted', keyType, fingerprint }
+   * @throws {Error} with code HOST_KEY_CHANGED | HOST_KEY_REVOKED | HOST_KEY_UNKNOWN
+   *   and hostKey details ({ host, port, status, presented, known[] })
+   */
+  checkHostKey(host, port, key, options = {}) {
+    const { policy = 'tofu', acceptFingerprint = null } = options;
+    const check = this.knownHosts.verify(host, port, key);
+    const { keyType, fingerprint } = check.presented;
+    const name = formatHost(host, port);
+
+    if (check.status === 'known') {
+      return { status: 'known', keyType, fingerprint };
+    }
+
+    if (check.status === 'changed' || check.status === 'revoked') {
+      const lines = check.status === 'changed'
+        ? [
+          `HOST KEY CHANGED for ${name} - connection blocked.`,
+          ...check.known.map(entry =>
+            `  trusted:   ${entry.keyType} ${entry.fingerprint} (${entry.source}, added ${new Date(entry.addedAt).toISOString()})`),
+          `  presented: ${keyType} ${fingerprint}`,
+          'Someone may be intercepting the connection, or the device was replaced or reinstalled.',
+          'Verify the new fingerprint out of band, then replace the trusted key to reconnect.'
+        ]
+        : [`Host key ${keyType} ${fingerprint} for ${name} is revoked - connection blocked.`];
+      const error = new Error(lines.join('\n'));
+      error.code = check.status === 'changed' ? 'HOST_KEY_CHANGED' : 'HOST_KEY_REVOKED';
+      error.hostKey = check;
+      throw error;
+    }
+
+    if (acceptFingerprint && acceptFingerprint === fingerprint) {
+      this.knownHosts.trust(host, port, key, { source: 'confirmed' });
+      return { status: 'accepted', keyType, fingerprint };
+    }
+
+    if (policy === 'strict' || check.status === 'other-type') {
+      const reason = check.status === 'other-type'
+        ? `only ${check.known.map(entry => entry.keyType).join(', ')} keys are trusted for it`
+        : 'the profile requires a trusted host key';
+      const error = new Error(
+        `Unknown host key for ${name} (${reason}).\n  presented: ${keyType} ${fingerprint}\n` +
+        'Confirm the fingerprint to connect.'
+      );
+      error.code = 'HOST_KEY_UNKNOWN';
+      error.hostKey = check;
+      throw error;
+    }
+
+    this.knownHosts.trust(host, port, key, { source: 'tofu' });
+    console.log(`Trusted new host key for ${name}: ${keyType} ${fingerprint}`);
+    return { status: 'new', keyType, fingerprint };
+  }
+
+  /**
+   * Helper: ssh2 connect config for one host (authentication: key, password or agent)
+   */
+  buildSSHConfig(options) {
+    const {
+      host,
+      port = 22,
+      username,
+      password = null,
+      privateKey = null,
+      passphrase = null,
+      keepaliveInterval = 10000,
+      readyTimeout = 20000,
+      agent = process.env.SSH_AUTH_SOCK || null
+    } = options;
+
+    const config = { host, port, username, keepaliveInterval, readyTimeout };
+
+    if (privateKey) {
+      // Key-based authentication (key file path, or the key itself)
+      config.privateKey = Buffer.isBuffer(privateKey) || privateKey.includes('PRIVATE KEY')
+        ? privateKey
+        : fs.readFileSync(privateKey);
+      if (passphrase) {
+        config.passphrase = passphrase;
+      }
+    } else if (password) {
+      // Password authentication
+      config.password = password;
+    } else if (agent) {
+      // SSH agent authentication
+      config.agent = agent;
+    } else {
+      throw new Error(`No authentication method provided for ${host}`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Connect through a chain of jump hosts (like OpenSSH ProxyJump)
+   * Each hop is reached over a direct-tcpip channel of the previous one and has its own
+   * authentication and host key check.
+   * @param {Object[]} jumpHosts - First hop first
+   * @param {Object} target - { host, port, keepaliveInterval, readyTimeout, hostKeyPolicy }
+   * @returns {Promise<Object>} { clients, sock } - sock is a channel to the target
+   */
+  async openJumpChain(jumpHosts, target) {
+    const clients = [];
+    try {
+      let sock = null;
+      for (const hop of jumpHosts) {
+        if (!hop || !hop.host || !hop.username) {
+          throw new Error('Each jump host needs host and username');
+        }
+        const hopPort = hop.port || 22;
+        if (clients.length > 0) {
+          sock = await forwardOut(clients[clients.length - 1], hop.host, hopPort);
+        }
+        clients.push(await this.connectJumpHost({
+          keepaliveInterval: target.keepaliveInterval,
+          readyTimeout: target.readyTimeout,
+          hostKeyPolicy: target.hostKeyPolicy,
+          ...hop,
+          port: hopPort
+        }, sock));
+      }
+      sock = await forwardOut(clients[clients.length - 1], target.host, target.port);
+      return { clients, sock };
+    } catch (error) {
+      this.closeJumpChain({ jumpClients: clients });
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Connect one jump host
+   * @returns {Promise<Object>} Connected ssh2 Client
+   */
+  connectJumpHost(hop, sock) {
+    const config = this.buildSSHConfig(hop);
+    if (sock) {
+      config.sock = sock;
+    }
+
+    return new Promise((resolve, reject) => {
+      const client = new SSHClient();
+      let hostKeyError = null;
+      config.hostVerifier = (key) => {
+        try {
+          this.checkHostKey(hop.host, hop.port, key, {
+            policy: hop.hostKeyPolicy || 'tofu',
+            acceptFingerprint: hop.acceptFingerprint || null
+          });
+          return true;
+        } catch (error) {
+          hostKeyError = error;
+          return false;
+        }
+      };
+
+      client.once('ready', () => {
+        console.log(`Jump host ${hop.username}@${hop.host}:${hop.port} connected`);
+        resolve(client);
+      });
+      client.once('error', (err) => {
+        reject(hostKeyError || new Error(`Jump host ${hop.host}:${hop.port} failed: ${err.message}`));
+      });
+      client.connect(config);
+    });
+  }
+
+  /**
+   * Helper: Disconnect jump hosts, last hop first
+   */
+  closeJumpChain(session) {
+    for (const client of (session.jumpClients || []).slice().reverse()) {
+      try {
+        client.end();
+      } catch (error) {
+        // Already closed
+      }
+    }
+    session.jumpClients = [];
+  }
+
+  /**
+   * Start a port forward on an SSH session
+   * @param {string} sessionId
+   * @param {Object} rule - { id?, type: 'local' | 'remote' | 'dynamic', bindAddress?, bindPort,
+   *   targetHost?, targetPort? }
+   * @returns {Promise<Object>} Forward state (boundPort is the actual listening port)
+   */
+  async openForward(sessionId, rule) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.type !== 'ssh') {
+      throw new Error(`SSH session ${sessionId} not found`);
+    }
+    const normalized = normalizeForward(rule);
+    const existing = session.forwards.get(normalized.id);
+    if (existing && existing.status !== 'stopped' && existing.status !== 'error') {
+      throw new Error(`Forward ${normalized.id} is already running`);
+    }
+
+    const forward = new SSHForward(session.client, normalized);
+    forward.on('state', state => this.emit('forwardState', { sessionId, ...state }));
+    session.forwards.set(normalized.id, forward);
+    return forward.start();
+  }
+
+  /**
+   * Stop a port forward
+   * @returns {Promise<boolean>}
+   */
+  async closeForward(sessionId, forwardId) {
+    const session = this.sessions.get(sessionId);
+    const forward = session?.forwards?.get(forwardId);
+    if (!forward) return false;
+    await forward.stop();
+    session.forwards.delete(forwardId);
+    return true;
+  }
+
+  /**
+   * Forward states for one session, or for all sessions
+   */
+  listForwards(sessionId = null) {
+    const sessions = sessionId ? [this.sessions.get(sessionId)].filter(Boolean) : Array.from(this.sessions.values());
+    return sessions.flatMap(session =>
+      Array.from((session.forwards || new Map()).values()).map(forward => ({ sessionId: session.id, ...forward.state })));
+  }
+
+  /**
+   * Helper: Stop all forwards of a session
+   */
+  stopForwards(session) {
+    for (const forward of (session.forwards || new Map()).values()) {
+      forward.stop().catch(() => {});
+    }
+  }
+
+  /**
+   * Open a TCP connection to host:port from the SSH server's side of a session
+   * For other modules that need to reach devices behind the bastion (see
+   * VulnerabilityScanner.withConnection).
+   * @returns {Promise<Object>} Duplex channel stream
+   */
+  connectThrough(sessionId, host, port) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.type !== 'ssh') {
+      return Promise.reject(new Error(`SSH session ${sessionId} not found`));
+    }
+    return forwardOut(session.client, host, port);
+  }
+
   /**
    * Create new Telnet session
+   * @param {Object} options - { host, port, timeout, negotiationMandatory, cols, rows, terminalType,
+   *   username, password | credentialId, autoLogin, loginPrompt, passwordPrompt, shellPrompt,
+   *   loginFailure, loginTimeout, record }
+   *   negotiationMandatory (default true) starts option negotiation on connect; false only
+   *   answers the server (raw TCP consoles). With a username or password the session logs in
+   *   before it resolves, unless autoLogin is false.
    */
   async createTelnetSession(options = {}) {
     const sessionId = `telnet-${this.sessionIdCounter++}`;
@@ -195,44 +550,67 @@ class RemoteAccessEngine extends EventEmitter {
       host,
       port = 23,
       timeout = 10000,
-      negotiationMandatory = true
+      negotiationMandatory = true,
+      cols = 80,
+      rows = 24,
+      terminalType = 'XTERM-256COLOR'
     } = options;
 
     if (!host) {
       throw new Error('Telnet requires host');
     }
 
+    const login = this.resolveTelnetLogin(options);
+
     console.log(`Creating Telnet session ${sessionId} to ${host}:${port}...`);
 
-    return new Promise((resolve, reject) => {
+    const session = await new Promise((resolve, reject) => {
       const socket = new net.Socket();
+      const telnet = new TelnetProtocol({ write: (data) => socket.write(data), cols, rows, terminalType });
       const session = {
         id: sessionId,
         type: 'telnet',
         socket,
+        telnet,
         host,
         port,
+        username: login?.username,
         startTime: Date.now(),
         commandCount: 0,
         outputBuffer: '',
-        recording: [],
+        recorder: null,
+        size: { cols, rows },
         listeners: new Set()
       };
+      let connected = false;
 
       socket.setTimeout(timeout);
 
       socket.on('connect', () => {
         console.log(`Telnet session ${sessionId} connected successfully`);
+        connected = true;
+        socket.setTimeout(0); // idle sessions stay open
+        this.startRecording(session, options, [login?.password]);
         this.sessions.set(sessionId, session);
         this.metrics.sessionsCreated++;
-        resolve({ sessionId, host, port });
+        if (negotiationMandatory) {
+          telnet.start();
+        }
+        resolve(session);
+      });
+
+      telnet.on('option', () => {
+        this.emit('telnetOptions', { sessionId, ...telnet.options });
       });
 
       socket.on('data', (data) => {
-        const output = data.toString('utf8');
-        session.outputBuffer += output;
-        session.recording.push({ timestamp: Date.now(), type: 'output', data: output });
         this.metrics.bytesTransferred += data.length;
+        const payload = telnet.receive(data);
+        if (payload.length === 0) return;
+
+        const output = payload.toString('utf8');
+        session.outputBuffer += output;
+        session.recorder?.output(output);
 
         this.emit('output', { sessionId, data: output });
         session.listeners.forEach(callback => callback(output));
@@ -240,7 +618,11 @@ class RemoteAccessEngine extends EventEmitter {
 
       socket.on('error', (err) => {
         console.error(`Telnet session ${sessionId} error:`, err.message);
-        reject(new Error(`Telnet connection failed: ${err.message}`));
+        if (connected) {
+          this.emit('error', { sessionId, error: err.message });
+        } else {
+          reject(new Error(`Telnet connection failed: ${err.message}`));
+        }
       });
 
       socket.on('close', () => {
@@ -258,6 +640,73 @@ class RemoteAccessEngine extends EventEmitter {
       // Connect
       socket.connect(port, host);
     });
+
+    const result = { sessionId, host, port };
+    if (login && options.autoLogin !== false) {
+      result.login = await this.telnetLogin(session, login);
+    }
+    return { ...result, telnet: session.telnet.options };
+  }
+
+  /**
+   * Helper: Auto-login settings of a Telnet connection (null without credentials)
+   */
+  resolveTelnetLogin(options) {
+    let { username, password } = options;
+    if (options.credentialId) {
+      if (!this.credentials) {
+        throw new Error('No credential store configured');
+      }
+      const credential = this.credentials.resolve(options.credentialId);
+      if (credential.kind !== 'password') {
+        throw new Error('Telnet login needs a password credential');
+      }
+      username = username || credential.username;
+      password = credential.secret;
+    }
+    if (!username && !password) return null;
+
+    return {
+      username,
+      password,
+      loginPrompt: options.loginPrompt,
+      passwordPrompt: options.passwordPrompt,
+      shellPrompt: options.shellPrompt,
+      loginFailure: options.loginFailure,
+      timeout: options.loginTimeout
+    };
+  }
+
+  /**
+   * Helper: Answer the login prompts of a new Telnet session; the session is
+   * closed when the login fails
+   * @returns {Promise<Object>} { status: 'logged-in', duration }
+   */
+  async telnetLogin(session, login) {
+    const runner = new MacroRunner('telnet-login', loginMacro(login), {
+      username: login.username || '',
+      password: login.password || ''
+    }, {
+      newline: '\r\n',
+      write: (data, { secret = false } = {}) => {
+        this.writeSession(session, data);
+        session.recorder?.input(data, { secret });
+      },
+      onData: (callback) => {
+        session.listeners.add(callback);
+        return () => session.listeners.delete(callback);
+      }
+    });
+
+    const result = await runner.run();
+    if (result.status !== 'completed') {
+      this.closeSession(session.id);
+      throw new Error(`Telnet login to ${session.host} failed: ${result.error}`);
+    }
+
+    console.log(`Telnet session ${session.id} logged in${login.username ? ` as ${login.username}` : ''}`);
+    session.recorder?.marker('login');
+    return { status: 'logged-in', duration: result.duration };
   }
 
   /**
@@ -276,7 +725,7 @@ class RemoteAccessEngine extends EventEmitter {
     this.metrics.commandsExecuted++;
 
     // Record command
-    session.recording.push({ timestamp: Date.now(), type: 'input', data: command });
+    session.recorder?.input(command + (session.type === 'telnet' ? '\r\n' : '\n'));
 
     return new Promise((resolve, reject) => {
       let outputCapture = '';
@@ -300,7 +749,7 @@ class RemoteAccessEngine extends EventEmitter {
         if (session.type === 'ssh' && session.stream) {
           session.stream.write(command + '\n');
         } else if (session.type === 'telnet' && session.socket) {
-          session.socket.write(command + '\r\n');
+          this.writeSession(session, command + '\r\n');
         } else {
           throw new Error(`Invalid session type or stream not available`);
         }
@@ -336,65 +785,335 @@ class RemoteAccessEngine extends EventEmitter {
   }
 
   /**
-   * Execute macro (series of commands)
+   * Run a command on its own SSH exec channel
+   *
+   * Unlike executeCommand, which types into the interactive shell, this reports
+   * the remote exit status and keeps stdout and stderr apart.
+   * @returns {Promise<Object>} { stdout, stderr, exitCode, signal, executionTime }
+   */
+  async execCommand(sessionId, command, options = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    if (session.type !== 'ssh') {
+      throw new Error('execCommand requires an SSH session');
+    }
+
+    const startTime = Date.now();
+    const { timeout = 30000 } = options;
+
+    session.commandCount++;
+    this.metrics.commandsExecuted++;
+    session.recorder?.marker(`exec: ${command}`);
+
+    return new Promise((resolve, reject) => {
+      session.client.exec(command, (err, stream) => {
+        if (err) {
+          reject(new Error(`Failed to run command: ${err.message}`));
+          return;
+        }
+
+        let stdout = '';
+        let stderr = '';
+        let exitCode = null;
+        let signal = null;
+
+        const timeoutId = setTimeout(() => {
+          stream.close();
+          reject(new Error(`Command timeout after ${timeout}ms`));
+        }, timeout);
+
+        stream.on('data', (data) => {
+          stdout += data.toString('utf8');
+          this.metrics.bytesTransferred += data.length;
+        });
+        stream.stderr.on('data', (data) => {
+          stderr += data.toString('utf8');
+          this.metrics.bytesTransferred += data.length;
+        });
+        stream.on('exit', (code, exitSignal) => {
+          exitCode = code ?? null;
+          signal = exitSignal || null;
+        });
+        stream.on('close', () => {
+          clearTimeout(timeoutId);
+          const executionTime = Date.now() - startTime;
+          this.metrics.totalExecutionTime += executionTime;
+          this.metrics.averageExecutionTime =
+            this.metrics.totalExecutionTime / this.metrics.commandsExecuted;
+
+          session.recorder?.marker(`exec exit ${exitCode ?? signal}: ${command}`);
+          resolve({ stdout, stderr, exitCode, signal, executionTime });
+        });
+      });
+    });
+  }
+
+  /**
+   * Write raw data to a session (keystrokes, responses)
+   */
+  send(sessionId, data) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    this.writeSession(session, data);
+    session.recorder?.input(data);
+  }
+
+  /**
+   * Resize the remote terminal
+   */
+  resize(sessionId, cols, rows) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 1 || rows < 1) {
+      throw new Error('Terminal size must be positive integers');
+    }
+
+    session.size = { cols, rows };
+    if (session.type === 'ssh' && session.stream) {
+      session.stream.setWindow(rows, cols, 0, 0);
+    } else if (session.type === 'telnet') {
+      session.telnet.setWindowSize(cols, rows);
+    }
+    session.recorder?.resize(cols, rows);
+  }
+
+  /**
+   * Helper: Write to the session's stream or socket
    */
-  async executeMacro(sessionId, macroName, variables = {}) {
+  writeSession(session, data) {
+    if (session.type === 'ssh' && session.stream) {
+      session.stream.write(data);
+    } else if (session.type === 'telnet' && session.socket) {
+      session.socket.write(session.telnet.escape(data));
+    } else {
+      throw new Error(`Invalid session type or stream not available`);
+    }
+  }
+
+  /**
+   * Execute macro
+   * @param {string} sessionId - Session to run in (not needed for a dry run)
+   * @param {string} macroName - Saved macro
+   * @param {Object} [variables] - Values for {{variables}}
+   * @param {Object} [options] - { dryRun }: return the steps that would be sent instead of running
+   * @returns {Promise<Object>} { macro, version, status, variables, steps, output, error, duration },
+   *   or { macro, version, dryRun, steps, sends, missingVariables }
+   */
+  async executeMacro(sessionId, macroName, variables = {}, options = {}) {
     const macro = this.macros[macroName];
     if (!macro) {
       throw new Error(`Macro '${macroName}' not found`);
     }
 
-    const results = [];
-    console.log(`Executing macro '${macroName}' with ${macro.commands.length} commands...`);
+    if (options.dryRun) {
+      return new MacroRunner(macroName, macro, variables).dryRun();
+    }
 
-    for (const cmdTemplate of macro.commands) {
-      // Replace variables in command
-      let command = cmdTemplate;
-      for (const [key, value] of Object.entries(variables)) {
-        command = command.replace(new RegExp(`{{${key}}}`, 'g'), value);
-      }
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
 
-      // Execute with delay
-      if (macro.delay) {
-        await new Promise(resolve => setTimeout(resolve, macro.delay));
+    console.log(`Executing macro '${macroName}' (${macro.steps.length} steps) in ${sessionId}...`);
+
+    const runner = new MacroRunner(macroName, macro, variables, {
+      newline: session.type === 'telnet' ? '\r\n' : '\n',
+      write: (data, { secret = false } = {}) => {
+        this.writeSession(session, data);
+        session.recorder?.input(data, { secret });
+        session.commandCount++;
+      },
+      onData: (callback) => {
+        session.listeners.add(callback);
+        return () => session.listeners.delete(callback);
       }
+    });
+    runner.on('step', (step) => {
+      this.emit('macroStep', { sessionId, macro: macroName, ...step });
+    });
 
-      const result = await this.executeCommand(sessionId, command);
-      results.push({ command, result });
-    }
-
-    return { macro: macroName, results };
+    return runner.run();
   }
 
   /**
    * Create SFTP session for file transfer
    */
   async createSFTPSession(sessionId) {
+    await this.getSFTP(sessionId);
+    return {
+      sessionId,
+      upload: (local, remote) => this.sftpUpload(sessionId, local, remote),
+      download: (remote, local) => this.sftpDownload(sessionId, remote, local),
+      readdir: (path) => this.sftpReaddir(sessionId, path)
+    };
+  }
+
+  /**
+   * SFTP subsystem of an SSH session, opened on first use
+   */
+  async getSFTP(sessionId) {
     const session = this.sessions.get(sessionId);
     if (!session || session.type !== 'ssh') {
       throw new Error(`SFTP requires an active SSH session`);
     }
+    if (session.sftp) {
+      return session.sftp;
+    }
 
-    return new Promise((resolve, reject) => {
-      session.client.sftp((err, sftp) => {
+    if (!session.sftpOpening) {
+      session.sftpOpening = new Promise((resolve, reject) => {
+        session.client.sftp((err, sftp) => {
+          session.sftpOpening = null;
+          if (err) {
+            reject(new Error(`SFTP failed: ${err.message}`));
+            return;
+          }
+
+          session.sftp = sftp;
+          sftp.on('close', () => {
+            if (session.sftp === sftp) session.sftp = null;
+          });
+          console.log(`SFTP session created for ${sessionId}`);
+          resolve(sftp);
+        });
+      });
+    }
+    return session.sftpOpening;
+  }
+
+  /**
+   * SHA-256 of a remote file computed on the server (sha256sum), null when unavailable
+   */
+  async remoteChecksum(sessionId, remotePath) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.type !== 'ssh') {
+      return null;
+    }
+
+    const quoted = `'${remotePath.replace(/'/g, `'\\''`)}'`;
+    return new Promise((resolve) => {
+      session.client.exec(`sha256sum -- ${quoted}`, (err, stream) => {
         if (err) {
-          reject(new Error(`SFTP failed: ${err.message}`));
+          resolve(null);
           return;
         }
-
-        session.sftp = sftp;
-        console.log(`SFTP session created for ${sessionId}`);
-
-        resolve({
-          sessionId,
-          upload: (local, remote) => this.sftpUpload(sessionId, local, remote),
-          download: (remote, local) => this.sftpDownload(sessionId, remote, local),
-          readdir: (path) => this.sftpReaddir(sessionId, path)
+        let stdout = '';
+        stream.on('data', (data) => { stdout += data.toString('utf8'); });
+        stream.stderr.on('data', () => {});
+        stream.on('close', () => {
+          const match = stdout.match(/^\\?([0-9a-f]{64})\s/);
+          resolve(match ? match[1] : null);
         });
       });
     });
   }
 
+  /**
+   * List a remote directory for the file browser
+   * @returns {Promise<Object[]>} Entries { name, path, type, size, mode, permissions, modified }
+   */
+  async sftpList(sessionId, remotePath) {
+    const sftp = await this.getSFTP(sessionId);
+    return sftpFiles.listRemote(sftp, remotePath);
+  }
+
+  /**
+   * Remote file details (the path '.' resolves to the login directory)
+   */
+  async sftpStat(sessionId, remotePath) {
+    const sftp = await this.getSFTP(sessionId);
+    const resolved = await sftpFiles.sftpCall(sftp, 'realpath', remotePath);
+    return sftpFiles.statRemote(sftp, resolved);
+  }
+
+  /**
+   * Rename or move a remote file or directory
+   */
+  async sftpRename(sessionId, fromPath, toPath) {
+    const sftp = await this.getSFTP(sessionId);
+    await sftpFiles.sftpCall(sftp, 'rename', fromPath, toPath);
+    return { fromPath, toPath };
+  }
+
+  /**
+   * Delete a remote file or directory
+   * @param {Object} [options] - { recursive } deletes non-empty directories
+   */
+  async sftpDelete(sessionId, remotePath, options = {}) {
+    const sftp = await this.getSFTP(sessionId);
+    await sftpFiles.removeRemote(sftp, remotePath, options);
+    return { remotePath };
+  }
+
+  /**
+   * Create a remote directory
+   * @param {Object} [options] - { recursive, mode }
+   */
+  async sftpMkdir(sessionId, remotePath, options = {}) {
+    const sftp = await this.getSFTP(sessionId);
+    await sftpFiles.mkdirRemote(sftp, remotePath, options);
+    return { remotePath };
+  }
+
+  /**
+   * Change remote permissions
+   * @param {number|string} mode - e.g. 0o755 or '755'
+   */
+  async sftpChmod(sessionId, remotePath, mode) {
+    const value = typeof mode === 'string' ? parseInt(mode, 8) : mode;
+    if (!Number.isInteger(value) || value < 0 || value > 0o7777) {
+      throw new Error(`Invalid mode: ${mode}`);
+    }
+    const sftp = await this.getSFTP(sessionId);
+    await sftpFiles.sftpCall(sftp, 'chmod', remotePath, value);
+    return sftpFiles.statRemote(sftp, remotePath);
+  }
+
+  /**
+   * List a local directory for the file browser (same entry shape as sftpList)
+   */
+  listLocal(localPath) {
+    return sftpFiles.listLocal(localPath || os.homedir());
+  }
+
+  /**
+   * Queue an upload or download (see SFTPTransferQueue.enqueue)
+   */
+  queueTransfer(sessionId, request) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.type !== 'ssh') {
+      throw new Error(`SFTP requires an active SSH session`);
+    }
+    return this.transfers.enqueue(sessionId, request);
+  }
+
+  /**
+   * Pause, resume, cancel or remove a queued transfer
+   */
+  controlTransfer(transferId, action) {
+    switch (action) {
+      case 'pause': return this.transfers.pause(transferId);
+      case 'resume': return this.transfers.resume(transferId);
+      case 'cancel': return this.transfers.cancel(transferId);
+      case 'remove': return { id: transferId, removed: this.transfers.remove(transferId) };
+      default: throw new Error(`Unknown transfer action: ${action}`);
+    }
+  }
+
+  /**
+   * Transfers, all or for one session
+   */
+  listTransfers(sessionId = null) {
+    return this.transfers.list(sessionId);
+  }
+
   /**
    * SFTP upload file
    */
@@ -459,6 +1178,9 @@ class RemoteAccessEngine extends EventEmitter {
    * Save connection profile
    */
   saveProfile(name, profile) {
+    if (profile.hostKeyPolicy && !HOST_KEY_POLICIES.includes(profile.hostKeyPolicy)) {
+      throw new Error(`hostKeyPolicy must be one of ${HOST_KEY_POLICIES.join(', ')}`);
+    }
     this.profiles[name] = {
       ...profile,
       created: Date.now()
@@ -482,15 +1204,37 @@ class RemoteAccessEngine extends EventEmitter {
 
   /**
    * Save macro
+   * @param {string} name
+   * @param {Object|string[]} definition - v2 macro ({ version: 2, steps, ... }), or a
+   *   command list sent with a fixed delay (options: { delay, description })
+   * @returns {Object} Stored (v2) macro
    */
-  saveMacro(name, commands, options = {}) {
-    this.macros[name] = {
-      commands,
-      delay: options.delay || 100,
-      description: options.description || '',
-      created: Date.now()
-    };
+  saveMacro(name, definition, options = {}) {
+    if (!name || !/^[\w .-]+$/.test(name)) {
+      throw new Error('Macro name must contain only letters, digits, spaces, "_", "." and "-"');
+    }
+    const macro = normalizeMacro(definition, options);
+    macro.updated = Date.now();
+    this.macros[name] = macro;
+    this.saveMacros();
+    return macro;
+  }
+
+  /**
+   * Get macro definition
+   */
+  getMacro(name) {
+    return this.macros[name] || null;
+  }
+
+  /**
+   * Delete macro
+   */
+  deleteMacro(name) {
+    if (!this.macros[name]) return false;
+    delete this.macros[name];
     this.saveMacros();
+    return true;
   }
 
   /**
@@ -517,7 +1261,10 @@ class RemoteAccessEngine extends EventEmitter {
       username: session.username || 'N/A',
       uptime: Date.now() - session.startTime,
       commandCount: session.commandCount,
-      recordingSize: session.recording.length
+      recording: session.recorder ? session.recorder.summary : null,
+      telnet: session.telnet ? session.telnet.options : null,
+      jumpHosts: session.jumpHosts || [],
+      forwards: this.listForwards(sessionId)
     };
   }
 
@@ -531,7 +1278,9 @@ class RemoteAccessEngine extends EventEmitter {
       host: session.host,
       port: session.port,
       uptime: Date.now() - session.startTime,
-      commandCount: session.commandCount
+      commandCount: session.commandCount,
+      jumpHosts: session.jumpHosts || [],
+      forwards: this.listForwards(session.id)
     }));
   }
 
@@ -547,12 +1296,15 @@ class RemoteAccessEngine extends EventEmitter {
     console.log(`Closing session ${sessionId}...`);
 
     if (session.type === 'ssh') {
+      this.stopForwards(session);
+      this.transfers.cancelSession(sessionId);
       if (session.stream) {
         session.stream.close();
       }
       if (session.client) {
         session.client.end();
       }
+      this.closeJumpChain(session);
     } else if (session.type === 'telnet') {
       if (session.socket) {
         session.socket.destroy();
@@ -597,15 +1349,24 @@ class RemoteAccessEngine extends EventEmitter {
    * Load macros
    */
   loadMacros() {
+    const macros = {};
     try {
       if (fs.existsSync(this.macrosFile)) {
         const content = fs.readFileSync(this.macrosFile, 'utf8');
-        return JSON.parse(content);
+        // Older macros ({ commands, delay }) are migrated to the current schema
+        for (const [name, definition] of Object.entries(JSON.parse(content))) {
+          try {
+            macros[name] = normalizeMacro(definition);
+          } catch (error) {
+            console.warn(`Macro '${name}' skipped:`, error.message);
+            this.skippedMacros[name] = definition;
+          }
+        }
       }
     } catch (error) {
       console.error('Failed to load macros:', error);
     }
-    return {};
+    return macros;
   }
 
   /**
@@ -613,7 +1374,7 @@ class RemoteAccessEngine extends EventEmitter {
    */
   saveMacros() {
     try {
-      const content = JSON.stringify(this.macros, null, 2);
+      const content = JSON.stringify({ ...this.skippedMacros, ...this.macros }, null, 2);
       fs.writeFileSync(this.macrosFile, content, 'utf8');
     } catch (error) {
       console.error('Failed to save macros:', error);
@@ -630,34 +1391,44 @@ class RemoteAccessEngine extends EventEmitter {
   }
 
   /**
-   * Save session recording
+   * Start the asciicast recording of a session (unless options.record is false)
+   * @param {string[]} secrets - Values masked in the recording (passwords)
+   */
+  startRecording(session, options, secrets = []) {
+    if (options.record === false) return;
+    try {
+      session.recorder = new AsciicastRecorder({
+        filePath: path.join(this.recordingsDir, `${session.id}-${Date.now()}.cast`),
+        width: session.size.cols,
+        height: session.size.rows,
+        title: `${session.type} ${session.username ? `${session.username}@` : ''}${session.host}:${session.port}`,
+        metadata: {
+          sessionId: session.id,
+          type: session.type,
+          host: session.host,
+          port: session.port,
+          username: session.username || null
+        },
+        secrets: secrets.filter(Boolean)
+      });
+    } catch (error) {
+      console.error('Failed to start recording:', error);
+    }
+  }
+
+  /**
+   * Finish a session's recording
+   * @returns {Object|null} Recording summary
    */
   saveRecording(sessionId) {
     const session = this.sessions.get(sessionId);
-    if (!session || session.recording.length === 0) {
-      return;
+    if (!session || !session.recorder) {
+      return null;
     }
 
-    const filename = `${sessionId}-${Date.now()}.json`;
-    const filepath = path.join(this.recordingsDir, filename);
-
-    try {
-      const recording = {
-        sessionId,
-        type: session.type,
-        host: session.host,
-        port: session.port,
-        startTime: session.startTime,
-        endTime: Date.now(),
-        commandCount: session.commandCount,
-        events: session.recording
-      };
-
-      fs.writeFileSync(filepath, JSON.stringify(recording, null, 2), 'utf8');
-      console.log(`Recording saved to ${filepath}`);
-    } catch (error) {
-      console.error('Failed to save recording:', error);
-    }
+    const summary = session.recorder.stop();
+    console.log(`Recording saved to ${summary.path}`);
+    return summary;
   }
 
   /**
@@ -10,8 +10,13 @@
  * - Data bits (5, 6, 7, 8)
  * - Stop bits (1, 1.5, 2)
  * - Auto-detection of serial ports
+ * - Saved profiles matched to USB adapters by vendor/product ID and serial
+ *   number, so a profile follows the cable when its COM/tty path changes
+ * - Auto-baud: tries the common rates and picks the one whose output reads as text
+ * - BREAK signal (Cisco/Juniper password recovery)
+ * - Line ending for Enter/commands (CR, LF, CRLF) and local echo
  * - Raw binary and text modes
- * - Session recording
+ * - Session recording (asciicast v2: received data as output, sent data as input)
  *
  * Common Use Cases:
  * - Cisco/Juniper console access
@@ -26,11 +31,32 @@ const { EventEmitter } = require('events');
 const os = require('os');
 const path = require('path');
 const fs = require('fs');
+const { AsciicastRecorder } = require('../../../backend/session-recorder.cjs');
+
+// Tried in this order by auto-baud (console defaults first)
+const COMMON_BAUD_RATES = [9600, 115200, 38400, 19200, 57600, 4800, 2400, 1200];
+
+const LINE_ENDINGS = { cr: '\r', lf: '\n', crlf: '\r\n' };
+
+// Auto-baud: a rate is accepted when at least this share of the sampled bytes is text
+const MIN_TEXT_SCORE = 0.85;
+const MIN_SAMPLE_BYTES = 4;
 
 class SerialEngine extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.recordingsDir] - Directory for session recordings (.cast)
+   * @param {string} [options.profilesFile] - JSON file for serial profiles
+   */
+  constructor(options = {}) {
     super();
 
+    this.recordingsDir = options.recordingsDir || path.join(os.homedir(), '.ninja-toolkit-recordings');
+
+    // Serial profiles
+    this.profilesFile = options.profilesFile || path.join(os.homedir(), '.ninja-toolkit-serial-profiles.json');
+    this.profiles = this.loadProfiles();
+
     // Active sessions
     this.sessions = new Map();
     this.sessionIdCounter = 1;
@@ -45,6 +71,7 @@ class SerialEngine extends EventEmitter {
 
   /**
    * List available serial ports
+   * Each port carries the names of the saved profiles whose USB match it satisfies.
    */
   async listPorts() {
     try {
@@ -55,7 +82,9 @@ class SerialEngine extends EventEmitter {
         serialNumber: port.serialNumber || 'N/A',
         pnpId: port.pnpId || 'N/A',
         vendorId: port.vendorId || 'N/A',
-        productId: port.productId || 'N/A'
+        productId: port.productId || 'N/A',
+        profiles: Object.keys(this.profiles).filter(name =>
+          this.profiles[name].match && matchesPort(this.profiles[name].match, port))
       }));
     } catch (error) {
       console.error('Failed to list serial ports:', error);
@@ -63,15 +92,135 @@ class SerialEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Open a session from a saved profile and/or explicit options
+   * @param {Object} config - { profile?, ...createSession options }; a profile's `match`
+   *   ({ vendorId, productId, serialNumber }) finds the adapter wherever it is plugged in,
+   *   its `path` is only a fallback
+   */
+  async connect(config = {}) {
+    const profile = config.profile ? this.getProfile(config.profile) : null;
+    if (config.profile && !profile) {
+      throw new Error(`Serial profile ${config.profile} not found`);
+    }
+    const options = { ...(profile || {}), ...config };
+
+    if (options.match && !config.path) {
+      options.path = await this.resolvePort(options.match, options.path);
+    }
+    // Auto-baud tries the rate found last time first
+    if (options.baudRate === 'auto' && profile?.detectedBaudRate && !options.autoBaudRates) {
+      options.autoBaudRates = [profile.detectedBaudRate,
+        ...COMMON_BAUD_RATES.filter(rate => rate !== profile.detectedBaudRate)];
+    }
+
+    const result = await this.createSession(options);
+    if (profile) {
+      profile.lastUsed = Date.now();
+      if (result.autoBaud) profile.detectedBaudRate = result.baudRate;
+      this.saveProfiles();
+    }
+    return result;
+  }
+
+  /**
+   * Find the port of a USB adapter
+   * @param {Object} match - { vendorId, productId, serialNumber? } (hex IDs, '0x' optional)
+   * @param {string} [fallbackPath] - Used when no port matches; picks among several matches
+   * @returns {Promise<string>} Port path
+   */
+  async resolvePort(match, fallbackPath = null) {
+    const ports = await SerialPort.list();
+    const candidates = ports.filter(port => matchesPort(match, port));
+
+    if (candidates.length === 1) {
+      return candidates[0].path;
+    }
+    if (candidates.length > 1) {
+      const preferred = candidates.find(port => port.path === fallbackPath);
+      if (preferred) return preferred.path;
+      throw new Error(`Several serial ports match ${describeMatch(match)} (${candidates.map(port => port.path).join(', ')}); add its serialNumber to the profile`);
+    }
+    if (fallbackPath) {
+      console.warn(`No serial port matches ${describeMatch(match)}, using ${fallbackPath}`);
+      return fallbackPath;
+    }
+    throw new Error(`No serial port matches ${describeMatch(match)}`);
+  }
+
+  /**
+   * Find the baud rate of a console by sampling its output at each rate
+   *
+   * A CR is sent at each rate to make the device print a prompt; the sampled
+   * bytes are scored by the share that is printable ASCII (wrong rates produce
+   * framing garbage). The port must not be open in a session.
+   * @param {string} portPath
+   * @param {Object} [options] - { rates, sampleTime (ms per rate, default 700), probe (default '\r'),
+   *   dataBits, stopBits, parity }
+   * @returns {Promise<Object>} { baudRate, score, results: [{ baudRate, score, bytes }] }
+   */
+  async detectBaudRate(portPath, options = {}) {
+    const rates = options.rates || COMMON_BAUD_RATES;
+    const results = [];
+
+    for (const baudRate of rates) {
+      const sample = await this.sampleBaudRate(portPath, baudRate, options);
+      const score = scoreText(sample);
+      results.push({ baudRate, score, bytes: sample.length });
+      console.log(`Auto-baud ${portPath} @ ${baudRate}: ${sample.length} bytes, score ${score.toFixed(2)}`);
+
+      // Clean prompt: no need to try the rest
+      if (score === 1 && sample.length >= MIN_SAMPLE_BYTES * 2) break;
+    }
+
+    const best = results
+      .filter(result => result.bytes >= MIN_SAMPLE_BYTES && result.score >= MIN_TEXT_SCORE)
+      .sort((a, b) => b.score - a.score || b.bytes - a.bytes)[0];
+    if (!best) {
+      const error = new Error(`No readable output from ${portPath} at ${rates.join(', ')} baud`);
+      error.results = results;
+      throw error;
+    }
+    return { baudRate: best.baudRate, score: best.score, results };
+  }
+
+  /**
+   * Helper: Open the port at one rate, send the probe and collect output
+   * @returns {Promise<Buffer>}
+   */
+  sampleBaudRate(portPath, baudRate, options = {}) {
+    const { sampleTime = 700, probe = '\r', dataBits = 8, stopBits = 1, parity = 'none' } = options;
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const port = new SerialPort({ path: portPath, baudRate, dataBits, stopBits, parity, autoOpen: false });
+      port.on('data', chunk => chunks.push(chunk));
+      port.on('error', () => {}); // Reported through open/close
+
+      port.open((err) => {
+        if (err) {
+          reject(new Error(`Failed to open serial port: ${err.message}`));
+          return;
+        }
+        if (probe) port.write(probe);
+        setTimeout(() => {
+          port.close(() => resolve(Buffer.concat(chunks)));
+        }, sampleTime);
+      });
+    });
+  }
+
   /**
    * Create new serial session
+   * @param {Object} options - port settings (see docs), plus baudRate 'auto' (detect first;
+   *   autoBaudRates limits the rates tried), lineEnding ('cr' | 'lf' | 'crlf': sent for Enter
+   *   and after commands) and localEcho (show sent data as output)
    */
   async createSession(options = {}) {
     const sessionId = `serial-${this.sessionIdCounter++}`;
 
     const {
       path: portPath,
-      baudRate = 9600,
       dataBits = 8,
       stopBits = 1,
       parity = 'none',
@@ -79,12 +228,24 @@ class SerialEngine extends EventEmitter {
       xon = false,
       xoff = false,
       xany = false,
-      autoOpen = true
+      autoOpen = true,
+      lineEnding = null,
+      localEcho = false
     } = options;
+    let { baudRate = 9600 } = options;
 
     if (!portPath) {
       throw new Error('Serial port path is required');
     }
+    if (lineEnding !== null && !LINE_ENDINGS[lineEnding]) {
+      throw new Error(`lineEnding must be one of ${Object.keys(LINE_ENDINGS).join(', ')}`);
+    }
+
+    let autoBaud = null;
+    if (baudRate === 'auto') {
+      autoBaud = await this.detectBaudRate(portPath, { ...options, rates: options.autoBaudRates });
+      baudRate = autoBaud.baudRate;
+    }
 
     console.log(`Creating serial session ${sessionId} on ${portPath} at ${baudRate} baud...`);
 
@@ -113,15 +274,18 @@ class SerialEngine extends EventEmitter {
         port,
         portPath,
         baudRate,
+        lineEnding,
+        localEcho,
         startTime: Date.now(),
         outputBuffer: '',
-        recording: [],
+        recorder: null,
         listeners: new Set()
       };
 
       // Handle port open
       port.on('open', () => {
         console.log(`Serial port ${portPath} opened successfully`);
+        this.startRecording(session, options);
         this.sessions.set(sessionId, session);
         this.metrics.sessionsCreated++;
 
@@ -131,7 +295,10 @@ class SerialEngine extends EventEmitter {
           baudRate,
           dataBits,
           stopBits,
-          parity
+          parity,
+          lineEnding,
+          localEcho,
+          autoBaud
         });
       });
 
@@ -139,7 +306,7 @@ class SerialEngine extends EventEmitter {
       port.on('data', (data) => {
         const output = data.toString('utf8');
         session.outputBuffer += output;
-        session.recording.push({ timestamp: Date.now(), type: 'rx', data: output });
+        session.recorder?.output(output);
         this.metrics.bytesReceived += data.length;
 
         this.emit('output', { sessionId, data: output });
@@ -155,6 +322,7 @@ class SerialEngine extends EventEmitter {
       // Handle close
       port.on('close', () => {
         console.log(`Serial port ${sessionId} closed`);
+        this.saveRecording(session);
         this.emit('close', { sessionId });
         this.sessions.delete(sessionId);
       });
@@ -163,6 +331,7 @@ class SerialEngine extends EventEmitter {
 
   /**
    * Write data to serial port
+   * Text has Enter (CR) translated to the session's lineEnding; Buffers are sent as-is.
    */
   async write(sessionId, data) {
     const session = this.sessions.get(sessionId);
@@ -170,6 +339,10 @@ class SerialEngine extends EventEmitter {
       throw new Error(`Session ${sessionId} not found`);
     }
 
+    if (typeof data === 'string' && session.lineEnding && session.lineEnding !== 'cr') {
+      data = data.replace(/\r\n?/g, LINE_ENDINGS[session.lineEnding]);
+    }
+
     return new Promise((resolve, reject) => {
       session.port.write(data, (err) => {
         if (err) {
@@ -177,18 +350,138 @@ class SerialEngine extends EventEmitter {
           return;
         }
 
-        session.recording.push({ timestamp: Date.now(), type: 'tx', data });
+        session.recorder?.input(data);
         this.metrics.bytesTransmitted += data.length;
+        if (session.localEcho) {
+          this.echo(session, data);
+        }
         resolve({ bytes: data.length });
       });
     });
   }
 
   /**
-   * Send command (with newline)
+   * Send command (with the session's line ending, CRLF when none is set)
    */
   async sendCommand(sessionId, command) {
-    return this.write(sessionId, command + '\r\n');
+    const session = this.sessions.get(sessionId);
+    const ending = session?.lineEnding ? LINE_ENDINGS[session.lineEnding] : '\r\n';
+    return this.write(sessionId, command + ending);
+  }
+
+  /**
+   * Hold the line in BREAK (e.g. to enter ROMMON on a Cisco console during boot)
+   * @param {number} [duration=300] - ms
+   */
+  async sendBreak(sessionId, duration = 300) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    if (!Number.isInteger(duration) || duration < 1 || duration > 10000) {
+      throw new Error('BREAK duration must be between 1 and 10000 ms');
+    }
+
+    const setBreak = (brk) => new Promise((resolve, reject) => {
+      session.port.set({ brk }, (err) => {
+        if (err) reject(new Error(`BREAK failed: ${err.message}`));
+        else resolve();
+      });
+    });
+
+    await setBreak(true);
+    try {
+      await new Promise(resolve => setTimeout(resolve, duration));
+    } finally {
+      await setBreak(false);
+    }
+
+    console.log(`Sent ${duration}ms BREAK on ${sessionId}`);
+    session.recorder?.marker(`break ${duration}ms`);
+    return { duration };
+  }
+
+  /**
+   * Change line ending or local echo of an open session
+   * @param {Object} settings - { lineEnding?, localEcho? }
+   */
+  setTerminalOptions(sessionId, settings = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    if (settings.lineEnding !== undefined) {
+      if (settings.lineEnding !== null && !LINE_ENDINGS[settings.lineEnding]) {
+        throw new Error(`lineEnding must be one of ${Object.keys(LINE_ENDINGS).join(', ')}`);
+      }
+      session.lineEnding = settings.lineEnding;
+    }
+    if (settings.localEcho !== undefined) {
+      session.localEcho = !!settings.localEcho;
+    }
+    return { lineEnding: session.lineEnding, localEcho: session.localEcho };
+  }
+
+  /**
+   * Helper: Show sent data as output (not recorded: the input event already is)
+   */
+  echo(session, data) {
+    const output = (Buffer.isBuffer(data) ? data.toString('utf8') : data).replace(/\r(?!\n)/g, '\r\n');
+    this.emit('output', { sessionId: session.id, data: output, echo: true });
+    session.listeners.forEach(callback => callback(output));
+  }
+
+  /**
+   * Save a serial profile
+   * @param {string} name
+   * @param {Object} profile - createSession options (baudRate may be 'auto') plus
+   *   match: { vendorId, productId, serialNumber? } for a USB adapter
+   */
+  saveProfile(name, profile = {}) {
+    if (!name) {
+      throw new Error('Profile name is required');
+    }
+    if (!profile.path && !profile.match) {
+      throw new Error('A serial profile needs a path or a USB match');
+    }
+    if (profile.match && (!profile.match.vendorId || !profile.match.productId)) {
+      throw new Error('A USB match needs vendorId and productId');
+    }
+    if (profile.lineEnding && !LINE_ENDINGS[profile.lineEnding]) {
+      throw new Error(`lineEnding must be one of ${Object.keys(LINE_ENDINGS).join(', ')}`);
+    }
+
+    this.profiles[name] = {
+      ...profile,
+      match: profile.match ? normalizeMatch(profile.match) : undefined,
+      created: this.profiles[name]?.created || Date.now()
+    };
+    this.saveProfiles();
+    return this.profiles[name];
+  }
+
+  /**
+   * Load serial profile
+   */
+  getProfile(name) {
+    return this.profiles[name] || null;
+  }
+
+  /**
+   * List serial profiles
+   */
+  listProfiles() {
+    return Object.entries(this.profiles).map(([name, profile]) => ({ name, ...profile }));
+  }
+
+  /**
+   * Delete serial profile
+   */
+  deleteProfile(name) {
+    if (!this.profiles[name]) return false;
+    delete this.profiles[name];
+    this.saveProfiles();
+    return true;
   }
 
   /**
@@ -205,8 +498,10 @@ class SerialEngine extends EventEmitter {
       type: session.type,
       path: session.portPath,
       baudRate: session.baudRate,
+      lineEnding: session.lineEnding,
+      localEcho: session.localEcho,
       uptime: Date.now() - session.startTime,
-      recordingSize: session.recording.length
+      recording: session.recorder ? session.recorder.summary : null
     };
   }
 
@@ -238,10 +533,67 @@ class SerialEngine extends EventEmitter {
       session.port.close();
     }
 
+    this.saveRecording(session);
     this.sessions.delete(sessionId);
     return true;
   }
 
+  /**
+   * Load serial profiles
+   */
+  loadProfiles() {
+    try {
+      if (fs.existsSync(this.profilesFile)) {
+        return JSON.parse(fs.readFileSync(this.profilesFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Failed to load serial profiles:', error);
+    }
+    return {};
+  }
+
+  /**
+   * Save serial profiles
+   */
+  saveProfiles() {
+    try {
+      fs.writeFileSync(this.profilesFile, JSON.stringify(this.profiles, null, 2), 'utf8');
+    } catch (error) {
+      console.error('Failed to save serial profiles:', error);
+    }
+  }
+
+  /**
+   * Start the asciicast recording of a session (unless options.record is false)
+   */
+  startRecording(session, options) {
+    if (options.record === false) return;
+    try {
+      session.recorder = new AsciicastRecorder({
+        filePath: path.join(this.recordingsDir, `${session.id}-${Date.now()}.cast`),
+        title: `serial ${session.portPath} @ ${session.baudRate}`,
+        metadata: {
+          sessionId: session.id,
+          type: 'serial',
+          host: session.portPath,
+          port: null,
+          baudRate: session.baudRate
+        }
+      });
+    } catch (error) {
+      console.error('Failed to start recording:', error);
+    }
+  }
+
+  /**
+   * Finish a session's recording
+   * @returns {Object|null} Recording summary
+   */
+  saveRecording(session) {
+    if (!session.recorder) return null;
+    return session.recorder.stop();
+  }
+
   /**
    * Get performance metrics
    */
@@ -270,4 +622,49 @@ class SerialEngine extends EventEmitter {
   }
 }
 
-module.exports = { SerialEngine };
+/**
+ * Helper: USB IDs as 4-digit lower-case hex ('0x067B' -> '067b')
+ */
+function normalizeUsbId(id) {
+  if (id === undefined || id === null || id === '') return null;
+  return String(id).toLowerCase().replace(/^0x/, '').padStart(4, '0');
+}
+
+function normalizeMatch(match) {
+  return {
+    vendorId: normalizeUsbId(match.vendorId),
+    productId: normalizeUsbId(match.productId),
+    serialNumber: match.serialNumber || null
+  };
+}
+
+/**
+ * Helper: Does a port (from SerialPort.list()) satisfy a profile's USB match
+ */
+function matchesPort(match, port) {
+  const wanted = normalizeMatch(match);
+  return normalizeUsbId(port.vendorId) === wanted.vendorId &&
+    normalizeUsbId(port.productId) === wanted.productId &&
+    (!wanted.serialNumber || port.serialNumber === wanted.serialNumber);
+}
+
+function describeMatch(match) {
+  const { vendorId, productId, serialNumber } = normalizeMatch(match);
+  return `USB ${vendorId}:${productId}${serialNumber ? ` (serial ${serialNumber})` : ''}`;
+}
+
+/**
+ * Helper: Share of bytes that are printable ASCII, tab, CR or LF (0 for no data)
+ */
+function scoreText(buffer) {
+  if (buffer.length === 0) return 0;
+  let text = 0;
+  for (const byte of buffer) {
+    if ((byte >= 0x20 && byte < 0x7f) || byte === 0x09 || byte === 0x0a || byte === 0x0d) {
+      text++;
+    }
+  }
+  return text / buffer.length;
+}
+
+module.exports = { SerialEngine, COMMON_BAUD_RATES, LINE_ENDINGS, matchesPort, scoreText };
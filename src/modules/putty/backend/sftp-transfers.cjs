@@ -0,0 +1,631 @@
+/**
+ * SFTP Transfers
+ * Transfer queue and remote file operations over RemoteAccessEngine SSH sessions
+ *
+ * Features:
+ * - Queued uploads and downloads of files or whole directory trees
+ *   (a few transfers run at once, the files of one transfer one after another)
+ * - Progress events (throttled): bytes and files done, current file, speed
+ * - Resume: a shorter destination file is continued from its size; a paused
+ *   transfer picks up where it stopped
+ * - SHA-256 verification after each file (remote side hashed with sha256sum
+ *   on the server when available, otherwise read back over SFTP)
+ * - Pause, resume and cancel while running
+ * - Remote and local directory listings and remote operations (stat, rename,
+ *   delete, mkdir, chmod) for the file browser
+ *
+ * Usage:
+ * const { SFTPTransferQueue } = require('./sftp-transfers.cjs');
+ * const queue = new SFTPTransferQueue({ openSFTP: sessionId => engine.getSFTP(sessionId) });
+ * queue.on('progress', state => ...);
+ * queue.enqueue('ssh-1', { direction: 'download', remotePath: '/var/log', localPath: '/tmp/logs' });
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+
+const DIRECTIONS = ['upload', 'download'];
+const EXISTING_POLICIES = ['resume', 'overwrite', 'skip'];
+const SFTP_NO_SUCH_FILE = 2;
+
+class SFTPTransferQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.openSFTP - async (sessionId) => ssh2 SFTP wrapper
+   * @param {Function} [options.remoteChecksum] - async (sessionId, remotePath) => sha256 hex or null
+   * @param {number} [options.concurrency=2] - Transfers running at once
+   * @param {number} [options.progressInterval=250] - ms between progress events per transfer
+   *
+   * Events:
+   * - 'progress' Transfer state while bytes move
+   * - 'state' Transfer state when its status changes
+   */
+  constructor(options = {}) {
+    super();
+    this.openSFTP = options.openSFTP;
+    this.remoteChecksum = options.remoteChecksum || null;
+    this.concurrency = options.concurrency || 2;
+    this.progressInterval = options.progressInterval ?? 250;
+
+    this.transfers = new Map(); // id -> transfer
+    this.transferIdCounter = 1;
+    this.running = 0;
+  }
+
+  /**
+   * Queue a transfer
+   * @param {string} sessionId - SSH session
+   * @param {Object} request - { direction: 'upload' | 'download', localPath, remotePath,
+   *   existing: 'resume' | 'overwrite' | 'skip' (default resume), verify (default false) }
+   *   Directories are copied recursively into the destination path.
+   * @returns {Object} Transfer state
+   */
+  enqueue(sessionId, request = {}) {
+    if (!DIRECTIONS.includes(request.direction)) {
+      throw new Error(`Transfer direction must be one of ${DIRECTIONS.join(', ')}`);
+    }
+    if (!request.localPath || !request.remotePath) {
+      throw new Error('Transfer needs localPath and remotePath');
+    }
+    const existing = request.existing || 'resume';
+    if (!EXISTING_POLICIES.includes(existing)) {
+      throw new Error(`existing must be one of ${EXISTING_POLICIES.join(', ')}`);
+    }
+
+    const transfer = {
+      id: `transfer-${this.transferIdCounter++}`,
+      sessionId,
+      direction: request.direction,
+      localPath: path.resolve(request.localPath),
+      remotePath: request.remotePath,
+      existing,
+      verify: !!request.verify,
+      status: 'queued', // queued | planning | running | paused | completed | failed | cancelled
+      files: null, // planned files: { local, remote, size, mode, done, skipped, resumed, verified }
+      directories: null,
+      fileIndex: 0,
+      currentFile: null,
+      bytesTotal: 0,
+      bytesDone: 0,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      // Runtime
+      stop: null, // 'pause' | 'cancel' while stopping
+      streams: new Set(),
+      lastProgress: 0,
+      speedSample: { time: 0, bytes: 0 },
+      speed: 0
+    };
+    this.transfers.set(transfer.id, transfer);
+    this.emit('state', this.describe(transfer));
+    this.pump();
+    return this.describe(transfer);
+  }
+
+  /**
+   * Pause a queued or running transfer (a running file stops where it is)
+   */
+  pause(id) {
+    const transfer = this.get(id);
+    if (transfer.status === 'queued') {
+      this.setStatus(transfer, 'paused');
+    } else if (transfer.status === 'running' || transfer.status === 'planning') {
+      this.stopTransfer(transfer, 'pause');
+    }
+    return this.describe(transfer);
+  }
+
+  /**
+   * Queue a paused or failed transfer again; finished files are not sent again
+   */
+  resume(id) {
+    const transfer = this.get(id);
+    if (transfer.status !== 'paused' && transfer.status !== 'failed') {
+      throw new Error(`Transfer ${id} is ${transfer.status}`);
+    }
+    transfer.error = null;
+    this.setStatus(transfer, 'queued');
+    this.pump();
+    return this.describe(transfer);
+  }
+
+  /**
+   * Cancel a transfer (partial files are kept and can be resumed by a new transfer)
+   */
+  cancel(id) {
+    const transfer = this.get(id);
+    if (transfer.status === 'running' || transfer.status === 'planning') {
+      this.stopTransfer(transfer, 'cancel');
+    } else if (!['completed', 'failed', 'cancelled'].includes(transfer.status)) {
+      transfer.finishedAt = Date.now();
+      this.setStatus(transfer, 'cancelled');
+    }
+    return this.describe(transfer);
+  }
+
+  /**
+   * Forget a finished transfer
+   */
+  remove(id) {
+    const transfer = this.get(id);
+    if (['queued', 'planning', 'running'].includes(transfer.status)) {
+      throw new Error(`Transfer ${id} is still ${transfer.status}`);
+    }
+    return this.transfers.delete(id);
+  }
+
+  /**
+   * Fail the transfers of a session that went away
+   */
+  cancelSession(sessionId, reason = 'Session closed') {
+    for (const transfer of this.transfers.values()) {
+      if (transfer.sessionId !== sessionId) continue;
+      if (transfer.status === 'running' || transfer.status === 'planning') {
+        transfer.error = reason;
+        this.stopTransfer(transfer, 'cancel');
+      } else if (transfer.status === 'queued' || transfer.status === 'paused') {
+        transfer.error = reason;
+        transfer.finishedAt = Date.now();
+        this.setStatus(transfer, 'cancelled');
+      }
+    }
+  }
+
+  /**
+   * Transfer states, oldest first
+   */
+  list(sessionId = null) {
+    return Array.from(this.transfers.values())
+      .filter(transfer => !sessionId || transfer.sessionId === sessionId)
+      .map(transfer => this.describe(transfer));
+  }
+
+  get(id) {
+    const transfer = this.transfers.get(id);
+    if (!transfer) {
+      throw new Error(`Transfer ${id} not found`);
+    }
+    return transfer;
+  }
+
+  /**
+   * Helper: Start queued transfers while there is room
+   */
+  pump() {
+    for (const transfer of this.transfers.values()) {
+      if (this.running >= this.concurrency) return;
+      if (transfer.status !== 'queued') continue;
+
+      this.running++;
+      this.setStatus(transfer, transfer.files ? 'running' : 'planning');
+      this.run(transfer)
+        .catch(error => {
+          // Reset before the status goes out: a listener may resume right away
+          const stop = transfer.stop;
+          transfer.stop = null;
+          transfer.streams.clear();
+          if (stop) {
+            transfer.finishedAt = stop === 'cancel' ? Date.now() : null;
+            this.setStatus(transfer, stop === 'cancel' ? 'cancelled' : 'paused');
+          } else {
+            transfer.error = error.message;
+            transfer.finishedAt = Date.now();
+            this.setStatus(transfer, 'failed');
+          }
+        })
+        .finally(() => {
+          this.running--;
+          this.pump();
+        });
+    }
+  }
+
+  /**
+   * Helper: Plan (first run only), then send the remaining files
+   */
+  async run(transfer) {
+    transfer.startedAt = transfer.startedAt || Date.now();
+    const sftp = await this.openSFTP(transfer.sessionId);
+    this.checkStop(transfer);
+
+    if (!transfer.files) {
+      await this.plan(transfer, sftp);
+      this.checkStop(transfer);
+      this.setStatus(transfer, 'running');
+    }
+
+    for (const directory of transfer.directories) {
+      if (transfer.direction === 'upload') {
+        await mkdirRemote(sftp, directory, { recursive: true });
+      } else {
+        fs.mkdirSync(directory, { recursive: true });
+      }
+    }
+
+    while (transfer.fileIndex < transfer.files.length) {
+      const file = transfer.files[transfer.fileIndex];
+      transfer.currentFile = transfer.direction === 'upload' ? file.remote : file.local;
+      await this.transferFile(transfer, sftp, file);
+      file.done = true;
+      transfer.fileIndex++;
+    }
+
+    transfer.currentFile = null;
+    transfer.finishedAt = Date.now();
+    this.setStatus(transfer, 'completed');
+  }
+
+  /**
+   * Helper: Files and directories to copy (source walked recursively)
+   */
+  async plan(transfer, sftp) {
+    const files = [];
+    const directories = [];
+    const upload = transfer.direction === 'upload';
+
+    const walk = async (source, destination) => {
+      this.checkStop(transfer);
+      let stats;
+      try {
+        stats = upload ? fs.statSync(source) : await statRemote(sftp, source);
+      } catch (error) {
+        throw new Error(`Cannot read ${source}: ${error.message}`);
+      }
+      const isDirectory = upload ? stats.isDirectory() : stats.type === 'directory';
+
+      if (!isDirectory) {
+        files.push({
+          local: upload ? source : destination,
+          remote: upload ? destination : source,
+          size: stats.size,
+          mode: stats.mode & 0o777,
+          done: false
+        });
+        return;
+      }
+
+      directories.push(destination);
+      const entries = upload
+        ? fs.readdirSync(source).sort()
+        : (await listRemote(sftp, source)).map(entry => entry.name);
+      for (const name of entries) {
+        await walk(
+          upload ? path.join(source, name) : joinRemote(source, name),
+          upload ? joinRemote(destination, name) : path.join(destination, name)
+        );
+      }
+    };
+
+    await walk(upload ? transfer.localPath : transfer.remotePath, upload ? transfer.remotePath : transfer.localPath);
+
+    // Parent of a single file
+    if (directories.length === 0 && files.length === 1) {
+      directories.push(upload ? path.posix.dirname(files[0].remote) : path.dirname(files[0].local));
+    }
+
+    transfer.files = files;
+    transfer.directories = directories;
+    transfer.bytesTotal = files.reduce((total, file) => total + file.size, 0);
+  }
+
+  /**
+   * Helper: Copy one file, resuming or skipping according to the destination
+   */
+  async transferFile(transfer, sftp, file) {
+    const upload = transfer.direction === 'upload';
+    // Recount from finished files: a paused file is counted again from its destination size
+    transfer.bytesDone = transfer.files.slice(0, transfer.fileIndex).reduce((total, done) => total + done.size, 0);
+    const destinationSize = upload
+      ? await statRemote(sftp, file.remote).then(stats => stats.size, () => null)
+      : (fs.existsSync(file.local) ? fs.statSync(file.local).size : null);
+
+    // A file stopped by pause is always continued
+    const policy = file.started ? 'resume' : transfer.existing;
+    let offset = 0;
+    if (destinationSize !== null) {
+      if (policy === 'skip') {
+        file.skipped = true;
+        transfer.bytesDone += file.size;
+        return;
+      }
+      if (policy === 'resume' && destinationSize <= file.size) {
+        offset = destinationSize;
+      }
+    }
+
+    file.started = true;
+    file.resumed = offset > 0;
+    transfer.bytesDone += offset;
+
+    if (offset < file.size || file.size === 0) {
+      await this.copy(transfer, sftp, file, offset);
+    }
+
+    if (transfer.verify) {
+      this.checkStop(transfer);
+      const matches = await this.verifyFile(transfer, sftp, file);
+      if (!matches) {
+        if (!file.resumed) {
+          throw new Error(`Checksum mismatch for ${upload ? file.remote : file.local}`);
+        }
+        // The kept part was not ours: send the whole file once more
+        transfer.bytesDone -= file.size;
+        file.resumed = false;
+        await this.copy(transfer, sftp, file, 0);
+        if (!(await this.verifyFile(transfer, sftp, file))) {
+          throw new Error(`Checksum mismatch for ${upload ? file.remote : file.local}`);
+        }
+      }
+      file.verified = true;
+    }
+  }
+
+  /**
+   * Helper: Stream a file from offset, counting progress
+   */
+  copy(transfer, sftp, file, offset) {
+    const upload = transfer.direction === 'upload';
+    const writeOptions = offset > 0 ? { flags: 'r+', start: offset } : { flags: 'w', mode: file.mode || 0o644 };
+    const source = upload
+      ? fs.createReadStream(file.local, { start: offset })
+      : sftp.createReadStream(file.remote, { start: offset });
+    const destination = upload
+      ? sftp.createWriteStream(file.remote, writeOptions)
+      : fs.createWriteStream(file.local, writeOptions);
+
+    transfer.streams.add(source);
+    transfer.streams.add(destination);
+    source.on('data', (chunk) => {
+      transfer.bytesDone += chunk.length;
+      this.progress(transfer);
+    });
+
+    return new Promise((resolve, reject) => {
+      pipeline(source, destination, (error) => {
+        transfer.streams.delete(source);
+        transfer.streams.delete(destination);
+        if (transfer.stop) {
+          reject(new Error(`Transfer ${transfer.stop === 'pause' ? 'paused' : 'cancelled'}`));
+        } else if (error) {
+          reject(new Error(`${upload ? 'Upload' : 'Download'} of ${upload ? file.local : file.remote} failed: ${error.message}`));
+        } else {
+          this.progress(transfer, true);
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Helper: Compare SHA-256 of both copies
+   */
+  async verifyFile(transfer, sftp, file) {
+    const local = await hashStream(fs.createReadStream(file.local));
+    let remote = null;
+    if (this.remoteChecksum) {
+      remote = await this.remoteChecksum(transfer.sessionId, file.remote).catch(() => null);
+    }
+    if (!remote) {
+      remote = await hashStream(sftp.createReadStream(file.remote));
+    }
+    return local === remote;
+  }
+
+  /**
+   * Helper: Stop a running transfer at once
+   */
+  stopTransfer(transfer, reason) {
+    transfer.stop = reason;
+    for (const stream of transfer.streams) {
+      stream.destroy();
+    }
+  }
+
+  /**
+   * Helper: Throw when a pause or cancel arrived between steps
+   */
+  checkStop(transfer) {
+    if (transfer.stop) {
+      throw new Error(`Transfer ${transfer.stop === 'pause' ? 'paused' : 'cancelled'}`);
+    }
+  }
+
+  progress(transfer, force = false) {
+    const now = Date.now();
+    if (!force && now - transfer.lastProgress < this.progressInterval) return;
+
+    const elapsed = now - transfer.speedSample.time;
+    if (elapsed >= 1000 || transfer.speedSample.time === 0) {
+      if (transfer.speedSample.time !== 0) {
+        transfer.speed = Math.round((transfer.bytesDone - transfer.speedSample.bytes) * 1000 / elapsed);
+      }
+      transfer.speedSample = { time: now, bytes: transfer.bytesDone };
+    }
+    transfer.lastProgress = now;
+    this.emit('progress', this.describe(transfer));
+  }
+
+  setStatus(transfer, status) {
+    transfer.status = status;
+    if (status !== 'running') transfer.speed = 0;
+    this.emit('state', this.describe(transfer));
+  }
+
+  /**
+   * Helper: Public view of a transfer
+   */
+  describe(transfer) {
+    const files = transfer.files || [];
+    return {
+      id: transfer.id,
+      sessionId: transfer.sessionId,
+      direction: transfer.direction,
+      localPath: transfer.localPath,
+      remotePath: transfer.remotePath,
+      existing: transfer.existing,
+      verify: transfer.verify,
+      status: transfer.status,
+      filesTotal: transfer.files ? files.length : null,
+      filesDone: files.filter(file => file.done).length,
+      filesSkipped: files.filter(file => file.skipped).length,
+      filesResumed: files.filter(file => file.resumed).length,
+      filesVerified: files.filter(file => file.verified).length,
+      currentFile: transfer.currentFile,
+      bytesTotal: transfer.bytesTotal,
+      bytesDone: transfer.bytesDone,
+      percent: transfer.bytesTotal > 0 ? Math.floor(transfer.bytesDone * 100 / transfer.bytesTotal) : (transfer.status === 'completed' ? 100 : 0),
+      speed: transfer.speed,
+      error: transfer.error,
+      createdAt: transfer.createdAt,
+      startedAt: transfer.startedAt,
+      finishedAt: transfer.finishedAt
+    };
+  }
+}
+
+/**
+ * Helper: Call an ssh2 SFTP method as a promise
+ */
+function sftpCall(sftp, method, ...args) {
+  return new Promise((resolve, reject) => {
+    sftp[method](...args, (error, result) => {
+      if (error) reject(error);
+      else resolve(result);
+    });
+  });
+}
+
+/**
+ * Helper: Browser entry from SFTP attributes or fs.Stats
+ */
+function describeEntry(name, entryPath, stats) {
+  let type = 'other';
+  if (stats.isDirectory()) type = 'directory';
+  else if (stats.isFile()) type = 'file';
+  else if (stats.isSymbolicLink()) type = 'symlink';
+
+  return {
+    name,
+    path: entryPath,
+    type,
+    size: stats.size,
+    mode: stats.mode & 0o7777,
+    permissions: (stats.mode & 0o777).toString(8).padStart(3, '0'),
+    modified: stats.mtime instanceof Date ? stats.mtime.getTime() : stats.mtime * 1000
+  };
+}
+
+function joinRemote(directory, name) {
+  return path.posix.join(directory, name);
+}
+
+/**
+ * Remote file or directory details
+ * @returns {Promise<Object>} { name, path, type, size, mode, permissions, modified }
+ */
+async function statRemote(sftp, remotePath) {
+  const stats = await sftpCall(sftp, 'stat', remotePath);
+  return describeEntry(path.posix.basename(remotePath), remotePath, stats);
+}
+
+/**
+ * Remote directory contents: directories first, then by name; . and .. left out
+ */
+async function listRemote(sftp, remotePath) {
+  const list = await sftpCall(sftp, 'readdir', remotePath);
+  return sortEntries(list
+    .filter(entry => entry.filename !== '.' && entry.filename !== '..')
+    .map(entry => describeEntry(entry.filename, joinRemote(remotePath, entry.filename), entry.attrs)));
+}
+
+/**
+ * Local directory contents, same shape as listRemote (unreadable entries left out)
+ */
+function listLocal(localPath) {
+  const entries = [];
+  for (const name of fs.readdirSync(localPath)) {
+    const entryPath = path.join(localPath, name);
+    try {
+      entries.push(describeEntry(name, entryPath, fs.lstatSync(entryPath)));
+    } catch (error) {
+      // Removed or not accessible
+    }
+  }
+  return sortEntries(entries);
+}
+
+function sortEntries(entries) {
+  return entries.sort((a, b) =>
+    (a.type === 'directory' ? 0 : 1) - (b.type === 'directory' ? 0 : 1) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Create a remote directory
+ * @param {Object} [options] - { recursive, mode }
+ */
+async function mkdirRemote(sftp, remotePath, options = {}) {
+  const attributes = options.mode !== undefined ? { mode: options.mode } : {};
+  if (!options.recursive) {
+    await sftpCall(sftp, 'mkdir', remotePath, attributes);
+    return;
+  }
+
+  const parts = path.posix.normalize(remotePath).split('/');
+  let current = remotePath.startsWith('/') ? '/' : '';
+  for (const part of parts.filter(Boolean)) {
+    current = current ? joinRemote(current, part) : part;
+    const existing = await statRemote(sftp, current).catch(error => {
+      if (error.code === SFTP_NO_SUCH_FILE) return null;
+      throw error;
+    });
+    if (!existing) {
+      await sftpCall(sftp, 'mkdir', current, attributes);
+    } else if (existing.type !== 'directory') {
+      throw new Error(`${current} exists and is not a directory`);
+    }
+  }
+}
+
+/**
+ * Delete a remote file, or a directory (its contents too with options.recursive)
+ */
+async function removeRemote(sftp, remotePath, options = {}) {
+  const stats = await statRemote(sftp, remotePath);
+  if (stats.type !== 'directory') {
+    await sftpCall(sftp, 'unlink', remotePath);
+    return;
+  }
+  if (options.recursive) {
+    for (const entry of await listRemote(sftp, remotePath)) {
+      await removeRemote(sftp, entry.path, options);
+    }
+  }
+  await sftpCall(sftp, 'rmdir', remotePath);
+}
+
+/**
+ * Helper: SHA-256 of a readable stream
+ */
+function hashStream(stream) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+module.exports = {
+  SFTPTransferQueue,
+  sftpCall,
+  statRemote,
+  listRemote,
+  listLocal,
+  mkdirRemote,
+  removeRemote
+};
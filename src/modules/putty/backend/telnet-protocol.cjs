@@ -0,0 +1,376 @@
+/**
+ * Telnet Protocol
+ * IAC handling and option negotiation for RemoteAccessEngine Telnet sessions
+ *
+ * Features:
+ * - IAC parsing across chunk boundaries: commands stripped from the data,
+ *   IAC IAC unescaped, CR NUL turned back into CR
+ * - Outgoing data escaped: 0xFF doubled, a bare CR sent as CR NUL (RFC 854)
+ * - WILL/WONT/DO/DONT negotiation per option with loop protection (RFC 1143)
+ * - Options: ECHO and SUPPRESS-GO-AHEAD from the server, TERMINAL-TYPE,
+ *   NAWS (window size, resent on resize) and SUPPRESS-GO-AHEAD from us;
+ *   anything else is refused
+ * - Active mode starts negotiation on connect; passive mode only answers, for
+ *   raw TCP consoles that print IAC bytes as garbage
+ * - Auto-login macro (expect login/password prompts, detect failures)
+ *
+ * Usage:
+ * const { TelnetProtocol } = require('./telnet-protocol.cjs');
+ * const telnet = new TelnetProtocol({ write: data => socket.write(data), cols: 80, rows: 24 });
+ * socket.on('data', chunk => output(telnet.receive(chunk)));
+ * socket.write(telnet.escape('show version\r'));
+ */
+
+const { EventEmitter } = require('events');
+const { normalizeMacro } = require('./macro-engine.cjs');
+
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const GA = 249;
+const SE = 240;
+
+const OPTIONS = {
+  BINARY: 0,
+  ECHO: 1,
+  SGA: 3,
+  STATUS: 5,
+  TIMING_MARK: 6,
+  TTYPE: 24,
+  NAWS: 31,
+  TSPEED: 32,
+  LFLOW: 33,
+  LINEMODE: 34,
+  ENVIRON: 36,
+  NEW_ENVIRON: 39
+};
+const OPTION_NAMES = Object.fromEntries(Object.entries(OPTIONS).map(([name, code]) => [code, name]));
+
+const TTYPE_IS = 0;
+const TTYPE_SEND = 1;
+const MAX_SUBNEGOTIATION = 4096;
+
+// Options we perform (answer DO with WILL) and options we accept from the server (answer WILL with DO)
+const LOCAL_OPTIONS = [OPTIONS.TTYPE, OPTIONS.NAWS, OPTIONS.SGA];
+const REMOTE_OPTIONS = [OPTIONS.ECHO, OPTIONS.SGA];
+
+class TelnetProtocol extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.write - Sends raw bytes to the server
+   * @param {number} [options.cols] - Window size for NAWS (default 80x24)
+   * @param {number} [options.rows]
+   * @param {string} [options.terminalType] - TERMINAL-TYPE answer (default XTERM-256COLOR)
+   *
+   * Events:
+   * - 'option' { option, side: 'local' | 'remote', enabled }
+   */
+  constructor(options = {}) {
+    super();
+    this.send = options.write;
+    this.cols = options.cols || 80;
+    this.rows = options.rows || 24;
+    this.terminalType = (options.terminalType || 'XTERM-256COLOR').toUpperCase();
+
+    // RFC 1143 state per option: no | yes | wantno | wantyes
+    this.local = new Map();
+    this.remote = new Map();
+
+    // Parser
+    this.state = 'data'; // data | iac | command | sb | sb-iac
+    this.command = null;
+    this.subnegotiation = [];
+    this.lastWasCR = false;
+  }
+
+  /**
+   * Ask for the options a terminal wants (active mode)
+   */
+  start() {
+    this.requestLocal(OPTIONS.NAWS);
+    this.requestLocal(OPTIONS.TTYPE);
+    this.requestLocal(OPTIONS.SGA);
+    this.requestRemote(OPTIONS.SGA);
+    this.requestRemote(OPTIONS.ECHO);
+  }
+
+  /**
+   * Handle bytes from the server
+   * @param {Buffer} chunk
+   * @returns {Buffer} Data with Telnet commands removed
+   */
+  receive(chunk) {
+    const data = [];
+
+    for (const byte of chunk) {
+      switch (this.state) {
+        case 'data':
+          if (byte === IAC) {
+            this.state = 'iac';
+          } else if (byte === 0 && this.lastWasCR) {
+            this.lastWasCR = false; // CR NUL
+          } else {
+            data.push(byte);
+            this.lastWasCR = byte === 13;
+          }
+          break;
+
+        case 'iac':
+          if (byte === IAC) {
+            data.push(IAC);
+            this.lastWasCR = false;
+            this.state = 'data';
+          } else if (byte >= WILL && byte <= DONT) {
+            this.command = byte;
+            this.state = 'command';
+          } else if (byte === SB) {
+            this.subnegotiation = [];
+            this.state = 'sb';
+          } else {
+            this.state = 'data'; // GA, NOP, AYT, ... carry no data
+          }
+          break;
+
+        case 'command':
+          this.negotiate(this.command, byte);
+          this.state = 'data';
+          break;
+
+        case 'sb':
+          if (byte === IAC) {
+            this.state = 'sb-iac';
+          } else if (this.subnegotiation.length < MAX_SUBNEGOTIATION) {
+            this.subnegotiation.push(byte);
+          }
+          break;
+
+        case 'sb-iac':
+          if (byte === SE) {
+            this.subnegotiate(this.subnegotiation);
+            this.state = 'data';
+          } else {
+            if (byte === IAC) this.subnegotiation.push(IAC);
+            this.state = 'sb';
+          }
+          break;
+
+        default:
+          this.state = 'data';
+      }
+    }
+
+    return Buffer.from(data);
+  }
+
+  /**
+   * Encode data for the wire
+   * @param {string|Buffer} data
+   * @returns {Buffer}
+   */
+  escape(data) {
+    const input = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const binary = this.local.get(OPTIONS.BINARY) === 'yes';
+    const output = [];
+
+    for (let i = 0; i < input.length; i++) {
+      const byte = input[i];
+      output.push(byte);
+      if (byte === IAC) {
+        output.push(IAC);
+      } else if (byte === 13 && !binary && input[i + 1] !== 10) {
+        output.push(0);
+      }
+    }
+    return Buffer.from(output);
+  }
+
+  /**
+   * New window size; sent at once when NAWS is on
+   */
+  setWindowSize(cols, rows) {
+    this.cols = cols;
+    this.rows = rows;
+    if (this.local.get(OPTIONS.NAWS) === 'yes') {
+      this.sendWindowSize();
+    }
+  }
+
+  /**
+   * Negotiated options
+   * @returns {Object} { echo: 'remote' | 'local', suppressGoAhead, naws, terminalType, local[], remote[] }
+   */
+  get options() {
+    const enabled = (table) => Array.from(table.entries())
+      .filter(([, state]) => state === 'yes')
+      .map(([option]) => OPTION_NAMES[option] || String(option));
+    return {
+      echo: this.remote.get(OPTIONS.ECHO) === 'yes' ? 'remote' : 'local',
+      suppressGoAhead: this.remote.get(OPTIONS.SGA) === 'yes',
+      naws: this.local.get(OPTIONS.NAWS) === 'yes' ? { cols: this.cols, rows: this.rows } : null,
+      terminalType: this.local.get(OPTIONS.TTYPE) === 'yes' ? this.terminalType : null,
+      local: enabled(this.local),
+      remote: enabled(this.remote)
+    };
+  }
+
+  /**
+   * Helper: Offer an option we perform (WILL)
+   */
+  requestLocal(option) {
+    if ((this.local.get(option) || 'no') === 'no') {
+      this.local.set(option, 'wantyes');
+      this.sendCommand(WILL, option);
+    }
+  }
+
+  /**
+   * Helper: Ask the server to perform an option (DO)
+   */
+  requestRemote(option) {
+    if ((this.remote.get(option) || 'no') === 'no') {
+      this.remote.set(option, 'wantyes');
+      this.sendCommand(DO, option);
+    }
+  }
+
+  /**
+   * Helper: WILL/WONT/DO/DONT from the server
+   */
+  negotiate(command, option) {
+    const remote = command === WILL || command === WONT;
+    const table = remote ? this.remote : this.local;
+    const supported = (remote ? REMOTE_OPTIONS : LOCAL_OPTIONS).includes(option);
+    const current = table.get(option) || 'no';
+    const enable = command === WILL || command === DO;
+    const accept = remote ? DO : WILL;
+    const refuse = remote ? DONT : WONT;
+
+    if (enable) {
+      if (current === 'no') {
+        if (!supported) {
+          this.sendCommand(refuse, option);
+          return;
+        }
+        this.sendCommand(accept, option);
+        this.setOption(table, option, 'yes', remote);
+      } else if (current === 'wantyes') {
+        this.setOption(table, option, 'yes', remote);
+      } else if (current === 'wantno') {
+        this.setOption(table, option, 'no', remote); // answered our refusal with an offer: stay off
+      }
+    } else if (current === 'yes') {
+      this.sendCommand(refuse, option);
+      this.setOption(table, option, 'no', remote);
+    } else if (current !== 'no') {
+      this.setOption(table, option, 'no', remote);
+    }
+  }
+
+  /**
+   * Helper: IAC SB ... IAC SE from the server
+   */
+  subnegotiate(bytes) {
+    const [option, command] = bytes;
+    if (option === OPTIONS.TTYPE && command === TTYPE_SEND && this.local.get(OPTIONS.TTYPE) === 'yes') {
+      this.send(Buffer.from([
+        IAC, SB, OPTIONS.TTYPE, TTYPE_IS,
+        ...Buffer.from(this.terminalType, 'ascii'),
+        IAC, SE
+      ]));
+    }
+  }
+
+  /**
+   * Helper: Record an option change; NAWS sends the size once enabled
+   */
+  setOption(table, option, state, remote) {
+    const wasEnabled = table.get(option) === 'yes';
+    table.set(option, state);
+    const enabled = state === 'yes';
+    if (enabled === wasEnabled) return;
+
+    if (enabled && !remote && option === OPTIONS.NAWS) {
+      this.sendWindowSize();
+    }
+    this.emit('option', { option: OPTION_NAMES[option] || String(option), side: remote ? 'remote' : 'local', enabled });
+  }
+
+  /**
+   * Helper: IAC SB NAWS width height IAC SE (0xFF in the sizes doubled)
+   */
+  sendWindowSize() {
+    const size = Buffer.alloc(4);
+    size.writeUInt16BE(Math.min(this.cols, 0xffff), 0);
+    size.writeUInt16BE(Math.min(this.rows, 0xffff), 2);
+    const escaped = [];
+    for (const byte of size) {
+      escaped.push(byte);
+      if (byte === IAC) escaped.push(IAC);
+    }
+    this.send(Buffer.from([IAC, SB, OPTIONS.NAWS, ...escaped, IAC, SE]));
+  }
+
+  sendCommand(command, option) {
+    this.send(Buffer.from([IAC, command, option]));
+  }
+}
+
+/**
+ * Expect-style login for Telnet profiles: answers the username and password
+ * prompts and waits for the shell prompt
+ * @param {Object} login - { username?, password?, loginPrompt?, passwordPrompt?,
+ *   shellPrompt?, loginFailure?, timeout? } (prompts are regular expressions)
+ * @returns {Object} Normalized macro; run it with { username, password } variables
+ */
+function loginMacro(login = {}) {
+  const prompts = {
+    login: { pattern: login.loginPrompt || '(?:login|user ?name|user)\\s*:\\s*$', flags: 'i' },
+    password: { pattern: login.passwordPrompt || 'password\\s*:\\s*$', flags: 'i' },
+    shell: { pattern: login.shellPrompt || '[>#$%]\\s*$' },
+    failure: {
+      pattern: login.loginFailure || 'login incorrect|authentication failed|access denied|invalid (?:login|password|user)',
+      flags: 'i'
+    }
+  };
+
+  return normalizeMacro({
+    version: 2,
+    description: 'Telnet auto-login',
+    timeout: login.timeout || 15000,
+    steps: [
+      {
+        expect: [
+          { ...prompts.failure, abort: 'Login failed' },
+          { ...prompts.password, goto: 'password' },
+          { ...prompts.login, goto: 'username' },
+          { ...prompts.shell, goto: 'done' }
+        ]
+      },
+      { label: 'username' },
+      login.username ? { send: '{{username}}' } : { abort: 'The server asked for a username but none is configured' },
+      {
+        expect: [
+          { ...prompts.failure, abort: 'Login failed' },
+          { ...prompts.password, goto: 'password' },
+          { ...prompts.shell, goto: 'done' }
+        ]
+      },
+      { label: 'password' },
+      login.password ? { send: '{{password}}', secret: true } : { abort: 'The server asked for a password but none is configured' },
+      {
+        expect: [
+          { ...prompts.failure, abort: 'Login failed' },
+          { ...prompts.login, abort: 'Login rejected' },
+          { ...prompts.password, abort: 'Login rejected' },
+          { ...prompts.shell, goto: 'done' }
+        ]
+      },
+      { label: 'done' }
+    ]
+  });
+}
+
+module.exports = { TelnetProtocol, loginMacro, OPTIONS };
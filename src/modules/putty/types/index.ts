@@ -60,23 +60,135 @@ export interface SSHConnectionOptions {
   port?: number;
   username: string;
   password?: string;
+  /** Key file path, or the key itself (PEM) */
   privateKey?: string;
   passphrase?: string;
   keepaliveInterval?: number;
   readyTimeout?: number;
   agent?: string;
+  /** 'tofu' (default) trusts unknown host keys on first connect; 'strict' refuses them */
+  hostKeyPolicy?: HostKeyPolicy;
+  /** SHA256 fingerprint the user confirmed for an unknown host */
+  acceptFingerprint?: string;
+  /** Jump chain to reach the host, first hop first */
+  jumpHosts?: JumpHostConfig[];
+  /** Forwards started with the session and stopped when it closes */
+  forwards?: PortForwardConfig[];
+  /** Initial terminal size (default 80x24) */
+  cols?: number;
+  rows?: number;
+  /** false disables the asciicast recording */
+  record?: boolean;
+}
+
+export type ConnectConfig =
+  | ({ type?: 'ssh'; profile?: string } & Partial<SSHConnectionOptions>)
+  | ({ type: 'telnet'; profile?: string } & Partial<TelnetConnectionOptions>);
+
+// ============================================================================
+// Host Keys
+// ============================================================================
+
+export type HostKeyPolicy = 'tofu' | 'strict';
+
+export interface HostKeyInfo {
+  keyType: string;
+  /** Public key blob, base64 */
+  key: string;
+  /** OpenSSH format: SHA256:<base64> */
+  fingerprint: string;
+}
+
+export interface KnownHostEntry extends HostKeyInfo {
+  id: string;
+  /** known_hosts host field; hashed names show as (hashed) */
+  hosts: string;
+  marker: 'revoked' | null;
+  comment: string;
+  source: 'tofu' | 'confirmed' | 'manual' | 'import';
+  addedAt: number;
+  lastSeen: number | null;
+}
+
+/** hostKey returned by a successful SSH connect */
+export interface HostKeyCheck {
+  status: 'known' | 'new' | 'accepted';
+  keyType: string;
+  fingerprint: string;
+}
+
+/** hostKey attached to a refused connect (code HOST_KEY_CHANGED | HOST_KEY_REVOKED | HOST_KEY_UNKNOWN) */
+export interface HostKeyMismatch {
+  host: string;
+  port: number;
+  status: 'changed' | 'revoked' | 'unknown' | 'other-type';
+  presented: HostKeyInfo;
+  /** Trusted keys for the host (same type when changed, other types for other-type) */
+  known: KnownHostEntry[];
+}
+
+export interface KnownHostsImport {
+  added: number;
+  duplicates: number;
+  skipped: Array<{ line: number; reason: string }>;
 }
 
 export interface TelnetConnectionOptions {
   host: string;
   port?: number;
   timeout?: number;
+  /** true (default) starts option negotiation on connect; false only answers (raw TCP consoles) */
   negotiationMandatory?: boolean;
+  cols?: number;
+  rows?: number;
+  /** TERMINAL-TYPE answer (default XTERM-256COLOR) */
+  terminalType?: string;
+  record?: boolean;
+  /** Auto-login: username/password, or a password credential from the credential store */
+  username?: string;
+  password?: string;
+  credentialId?: string;
+  /** false connects without answering the login prompts */
+  autoLogin?: boolean;
+  /** Regular expressions matched against the end of the output */
+  loginPrompt?: string;
+  passwordPrompt?: string;
+  shellPrompt?: string;
+  loginFailure?: string;
+  /** ms (default 15000) */
+  loginTimeout?: number;
+}
+
+export interface TelnetOptionsState {
+  /** remote: the server echoes typed characters; local: the terminal must */
+  echo: 'remote' | 'local';
+  suppressGoAhead: boolean;
+  naws: { cols: number; rows: number } | null;
+  terminalType: string | null;
+  /** Enabled option names, e.g. ['NAWS', 'TTYPE'] */
+  local: string[];
+  remote: string[];
+}
+
+export interface TelnetConnectResult {
+  sessionId: string;
+  host: string;
+  port: number;
+  login?: { status: 'logged-in'; duration: number };
+  telnet: TelnetOptionsState;
 }
 
+/** Sent for Enter and after commands */
+export type SerialLineEnding = 'cr' | 'lf' | 'crlf';
+
 export interface SerialConnectionOptions {
   path: string;
-  baudRate?: number;
+  /** 'auto' detects the rate from the console's output before opening */
+  baudRate?: number | 'auto';
+  /** Rates tried by auto-baud, in order */
+  autoBaudRates?: number[];
+  /** ms sampled per rate by auto-baud (default 700) */
+  sampleTime?: number;
   dataBits?: 5 | 6 | 7 | 8;
   stopBits?: 1 | 1.5 | 2;
   parity?: 'none' | 'even' | 'odd' | 'mark' | 'space';
@@ -85,6 +197,67 @@ export interface SerialConnectionOptions {
   xoff?: boolean;
   xany?: boolean;
   autoOpen?: boolean;
+  record?: boolean;
+  /** Unset: keystrokes sent as typed, commands end with CRLF */
+  lineEnding?: SerialLineEnding | null;
+  /** Show sent data as output (consoles that do not echo) */
+  localEcho?: boolean;
+}
+
+/** USB adapter a serial profile belongs to (hex IDs as from SerialPort.list()) */
+export interface SerialUsbMatch {
+  vendorId: string;
+  productId: string;
+  /** Tells apart several adapters of the same model */
+  serialNumber?: string | null;
+}
+
+export interface SerialProfile extends Omit<SerialConnectionOptions, 'path'> {
+  /** Fallback when no adapter matches; required without match */
+  path?: string;
+  match?: SerialUsbMatch;
+  /** Rate found by the last auto-baud, tried first next time */
+  detectedBaudRate?: number;
+  created: number;
+  lastUsed?: number;
+}
+
+export interface BaudRateDetection {
+  baudRate: number;
+  /** Share of sampled bytes that were text (0-1) */
+  score: number;
+  results: Array<{ baudRate: number; score: number; bytes: number }>;
+}
+
+export interface SerialConnectResult {
+  sessionId: string;
+  path: string;
+  baudRate: number;
+  dataBits: 5 | 6 | 7 | 8;
+  stopBits: 1 | 1.5 | 2;
+  parity: 'none' | 'even' | 'odd' | 'mark' | 'space';
+  lineEnding: SerialLineEnding | null;
+  localEcho: boolean;
+  autoBaud: BaudRateDetection | null;
+}
+
+export interface SerialSessionInfo {
+  id: string;
+  type: 'serial';
+  path: string;
+  baudRate: number;
+  lineEnding: SerialLineEnding | null;
+  localEcho: boolean;
+  uptime: number;
+  recording: RecordingSummary | null;
+}
+
+/** putty:serialData payload */
+export interface SerialOutputEvent {
+  sessionId: string;
+  data: string;
+  /** Local echo of sent data */
+  echo?: boolean;
 }
 
 export interface RDPConnectionOptions {
@@ -113,30 +286,177 @@ export interface CommandResult {
   commandNumber: number;
 }
 
+/** execCommand: SSH exec channel */
+export interface ExecResult {
+  stdout: string;
+  stderr: string;
+  /** Remote exit status (null when the command was killed by a signal) */
+  exitCode: number | null;
+  signal: string | null;
+  executionTime: number;
+}
+
 // ============================================================================
 // Macros
 // ============================================================================
 
+export interface ExpectAlternative {
+  /** Regular expression matched against ANSI-free output */
+  pattern: string;
+  flags?: string;
+  /** Variable name -> capture group number or name */
+  capture?: Record<string, number | string> | null;
+  /** Sent when this alternative matches */
+  send?: string | null;
+  /** Mask send in recordings, dry runs and step events */
+  secret?: boolean;
+  goto?: string | null;
+  abort?: string | null;
+}
+
+export type MacroStep =
+  | { send: string; newline?: boolean; secret?: boolean }
+  | { expect: string | ExpectAlternative | ExpectAlternative[]; capture?: Record<string, number | string>; timeout?: number | null; onTimeout?: 'abort' | 'continue' | string }
+  | { label: string }
+  | { goto: string }
+  | { if: string; matches: string; goto: string }
+  | { set: Record<string, string> }
+  | { sleep: number }
+  | { abort: string };
+
+/** Macro schema version 2 (version 1 { commands, delay } macros are migrated on load) */
 export interface Macro {
-  name: string;
-  commands: string[];
-  delay?: number;
+  version: 2;
   description?: string;
-  created: number;
+  /** Inputs and their defaults */
+  variables?: MacroVariables;
+  /** Default expect timeout in ms (10000) */
+  timeout?: number;
+  /** Line ending for sends (default: '\n' SSH, '\r\n' Telnet) */
+  newline?: string | null;
+  /** Pager prompt answered automatically while expecting */
+  pager?: { pattern: string; send?: string } | null;
+  /** Output patterns that abort the macro */
+  errorPatterns?: string[];
+  steps: MacroStep[];
+  created?: number;
+  updated?: number;
+}
+
+export interface MacroStepRecord {
+  index: number;
+  type: string;
+  send?: string;
+  matched?: string;
+  text?: string;
+  captured?: Record<string, string>;
+  timeout?: boolean;
+  at: number;
 }
 
 export interface MacroExecution {
   macro: string;
-  results: Array<{
-    command: string;
-    result: CommandResult;
-  }>;
+  version: number;
+  status: 'completed' | 'aborted' | 'timeout';
+  /** Inputs plus captured values */
+  variables: MacroVariables;
+  steps: MacroStepRecord[];
+  output: string;
+  error: string | null;
+  duration: number;
+}
+
+export interface MacroDryRun {
+  macro: string;
+  version: number;
+  dryRun: true;
+  steps: Array<{ index: number; type: string; [key: string]: any }>;
+  /** Text that would be sent, in order (secrets masked) */
+  sends: string[];
+  missingVariables: string[];
 }
 
 export interface MacroVariables {
   [key: string]: string;
 }
 
+// ============================================================================
+// Batch Runs
+// ============================================================================
+
+export interface BatchHost {
+  host: string | null;
+  port: number | null;
+  label: string;
+  /** PowerShell remote profile to use for this host */
+  profileId: string | null;
+  tags: { companyId: number | string; companyName?: string; configurationId?: number | string; configurationName?: string } | null;
+}
+
+export type BatchHostSource =
+  | Array<string | Partial<BatchHost>>
+  | { type: 'list'; hosts: Array<string | Partial<BatchHost>> }
+  | { type: 'scan'; scanId?: string; service?: string; port?: number }
+  | { type: 'connectwise'; companyId: number; typeName?: string; conditions?: string };
+
+export interface BatchJob {
+  hosts: BatchHostSource;
+  transport: 'ssh' | 'telnet' | 'powershell';
+  command?: string;
+  /** Saved macro name; {{host}}, {{label}} and variables are substituted */
+  macro?: string;
+  variables?: MacroVariables;
+  /** SSH/Telnet connection options (credentialId from the credential store), or { profileId } of a PowerShell template profile */
+  connection?: Partial<SSHConnectionOptions> & { credentialId?: string; profileId?: string };
+  /** Hosts in flight at once (default 10) */
+  concurrency?: number;
+  /** ms per host including connect (default 60000) */
+  timeout?: number;
+}
+
+export type BatchHostStatus = 'success' | 'failed' | 'error' | 'timeout' | 'cancelled';
+
+export interface BatchHostResult extends BatchHost {
+  status: BatchHostStatus;
+  /** null for Telnet, errors and timeouts */
+  exitCode: number | null;
+  output: string;
+  error: string | null;
+  startTime: number;
+  duration: number;
+  /** Output group id */
+  group: number | null;
+}
+
+export interface BatchOutputGroup {
+  id: number;
+  hash: string;
+  status: BatchHostStatus;
+  exitCode: number | null;
+  /** Normalized output shared by the group */
+  output: string;
+  error: string | null;
+  hosts: string[];
+  count: number;
+  /** Lines compared with the largest group (null for the largest group itself) */
+  diff: { added: string[]; removed: string[] } | null;
+}
+
+export interface BatchResult {
+  id: string;
+  status: 'running' | 'completed' | 'cancelled';
+  /** The job without its host source; password, privateKey and passphrase are left out */
+  job: Omit<BatchJob, 'hosts' | 'connection'> & {
+    connection: Omit<NonNullable<BatchJob['connection']>, 'password' | 'privateKey' | 'passphrase'> & { hasPassword: boolean; hasPrivateKey: boolean };
+  };
+  startTime: number;
+  endTime: number | null;
+  duration: number;
+  results: BatchHostResult[];
+  groups: BatchOutputGroup[];
+  summary: { total: number; completed: number; succeeded: number; failed: number; errors: number; timeouts: number; cancelled: number };
+}
+
 // ============================================================================
 // SFTP
 // ============================================================================
@@ -166,6 +486,74 @@ export interface SFTPFileInfo {
   };
 }
 
+export type SFTPEntryType = 'file' | 'directory' | 'symlink' | 'other';
+
+/** Remote or local file browser entry */
+export interface SFTPEntry {
+  name: string;
+  path: string;
+  type: SFTPEntryType;
+  size: number;
+  mode: number;
+  /** Octal permission bits, e.g. '755' */
+  permissions: string;
+  /** Modification time (ms) */
+  modified: number;
+}
+
+export type SFTPTransferDirection = 'upload' | 'download';
+
+/** What to do with files already at the destination */
+export type SFTPExistingPolicy = 'resume' | 'overwrite' | 'skip';
+
+export type SFTPTransferStatus =
+  | 'queued'
+  | 'planning'
+  | 'running'
+  | 'paused'
+  | 'completed'
+  | 'failed'
+  | 'cancelled';
+
+export type SFTPTransferAction = 'pause' | 'resume' | 'cancel' | 'remove';
+
+export interface SFTPTransferRequest {
+  direction: SFTPTransferDirection;
+  localPath: string;
+  remotePath: string;
+  /** Default 'resume' */
+  existing?: SFTPExistingPolicy;
+  /** Compare SHA-256 after each file */
+  verify?: boolean;
+}
+
+export interface SFTPTransferState {
+  id: string;
+  sessionId: string;
+  direction: SFTPTransferDirection;
+  localPath: string;
+  remotePath: string;
+  existing: SFTPExistingPolicy;
+  verify: boolean;
+  status: SFTPTransferStatus;
+  /** null until the source has been walked */
+  filesTotal: number | null;
+  filesDone: number;
+  filesSkipped: number;
+  filesResumed: number;
+  filesVerified: number;
+  currentFile: string | null;
+  bytesTotal: number;
+  bytesDone: number;
+  percent: number;
+  /** Bytes per second */
+  speed: number;
+  error: string | null;
+  createdAt: number;
+  startedAt: number | null;
+  finishedAt: number | null;
+}
+
 // ============================================================================
 // Connection Profiles
 // ============================================================================
@@ -178,6 +566,16 @@ export interface ConnectionProfile {
   username?: string;
   authMethod?: 'password' | 'publickey' | 'agent';
   privateKeyPath?: string;
+  hostKeyPolicy?: HostKeyPolicy;
+  jumpHosts?: JumpHostConfig[];
+  forwards?: PortForwardConfig[];
+  /** Telnet auto-login */
+  credentialId?: string;
+  autoLogin?: boolean;
+  loginPrompt?: string;
+  passwordPrompt?: string;
+  shellPrompt?: string;
+  loginFailure?: string;
   created: number;
   lastUsed?: number;
 }
@@ -193,27 +591,124 @@ export interface SerialPortInfo {
   pnpId: string;
   vendorId: string;
   productId: string;
+  /** Saved profiles whose USB match this port satisfies */
+  profiles: string[];
 }
 
 // ============================================================================
 // Session Recording
 // ============================================================================
 
+/** asciicast v2 event codes: output, input, resize ("COLSxROWS"), marker */
+export type RecordingEventCode = 'o' | 'i' | 'r' | 'm';
+
+/** [seconds since start, code, data] */
+export type RecordingEvent = [number, RecordingEventCode, string];
+
+export interface RecordingHeader {
+  version: 2;
+  width: number;
+  height: number;
+  /** Unix time (seconds) */
+  timestamp: number;
+  title?: string;
+  env?: Record<string, string>;
+  ntk?: {
+    sessionId: string;
+    type: SessionType | 'powershell';
+    host: string;
+    port: number | null;
+    username?: string | null;
+    baudRate?: number;
+    transport?: string;
+  };
+}
+
 export interface SessionRecording {
-  sessionId: string;
-  type: SessionType;
-  host?: string;
-  port?: number;
-  startTime: number;
-  endTime: number;
-  commandCount: number;
+  /** File name, used as the recording id */
+  id: string;
+  header: RecordingHeader;
   events: RecordingEvent[];
 }
 
-export interface RecordingEvent {
-  timestamp: number;
-  type: 'input' | 'output' | 'rx' | 'tx';
-  data: string;
+/** Recording of a live session (getSessionInfo) */
+export interface RecordingSummary {
+  path: string;
+  startTime: number;
+  duration: number;
+  events: number;
+  bytes: number;
+  active: boolean;
+}
+
+export interface RecordingInfo {
+  id: string;
+  title: string;
+  type: SessionType | 'powershell' | null;
+  host: string | null;
+  port: number | null;
+  username: string | null;
+  sessionId: string | null;
+  startTime: number;
+  /** Seconds */
+  duration: number;
+  width: number;
+  height: number;
+  events: number;
+  size: number;
+  /** legacy: pre-asciicast JSON recording, converted when loaded */
+  format: 'asciicast' | 'legacy';
+}
+
+export interface RecordingFilter {
+  type?: SessionType | 'powershell';
+  /** Substring of the host (or serial port path) */
+  host?: string;
+  /** ms since epoch */
+  from?: number;
+  to?: number;
+}
+
+export interface RecordingSearchOptions extends RecordingFilter {
+  regex?: boolean;
+  caseSensitive?: boolean;
+  /** Default: output and input */
+  streams?: Array<'o' | 'i'>;
+  /** Default 200 */
+  limit?: number;
+}
+
+export interface RecordingMatch {
+  id: string;
+  title: string;
+  host: string | null;
+  /** Seconds into the recording, for putty:playRecording startAt */
+  time: number;
+  stream: 'o' | 'i';
+  line: string;
+}
+
+export interface PlaybackOptions {
+  /** 0.1 - 32, default 1 */
+  speed?: number;
+  /** Longest pause kept, in seconds */
+  idleTimeLimit?: number;
+  /** Seconds */
+  startAt?: number;
+  paused?: boolean;
+}
+
+export type PlaybackAction = 'play' | 'pause' | 'seek' | 'speed' | 'stop';
+
+export interface PlaybackState {
+  playerId: string;
+  recordingId: string;
+  status: 'playing' | 'paused' | 'ended' | 'stopped';
+  position: number;
+  duration: number;
+  speed: number;
+  width: number;
+  height: number;
 }
 
 // ============================================================================
@@ -312,20 +807,51 @@ export interface RDPClientConfig {
 // ============================================================================
 
 export interface PortForwardConfig {
-  localPort: number;
-  remoteHost: string;
-  remotePort: number;
+  /** Default derived from type, port and target */
+  id?: string;
+  /** local (-L), remote (-R, listener on the SSH server) or dynamic (-D, SOCKS5) */
   type: 'local' | 'remote' | 'dynamic';
+  /** Default 127.0.0.1 (localhost on the server for remote forwards) */
+  bindAddress?: string;
+  /** 0 picks a free port */
+  bindPort?: number;
+  /** Not used by dynamic forwards */
+  targetHost?: string;
+  targetPort?: number;
+}
+
+export interface PortForwardState extends Required<Omit<PortForwardConfig, 'targetHost' | 'targetPort'>> {
+  sessionId: string;
+  targetHost: string | null;
+  targetPort: number | null;
+  status: 'starting' | 'active' | 'error' | 'stopped';
+  /** Actual listening port */
+  boundPort: number | null;
+  activeConnections: number;
+  totalConnections: number;
+  /** Bytes sent back to the connecting side */
+  bytesIn: number;
+  /** Bytes sent towards the target */
+  bytesOut: number;
+  error: string | null;
+  startedAt: number | null;
 }
 
 // ============================================================================
 // Jump Host / Bastion
 // ============================================================================
 
+/** One ProxyJump hop; authentication is per hop (key, password or agent) */
 export interface JumpHostConfig {
   host: string;
-  port: number;
+  port?: number;
   username: string;
-  authMethod: 'password' | 'publickey' | 'agent';
-  privateKeyPath?: string;
+  password?: string;
+  /** Key file path, or the key itself (PEM) */
+  privateKey?: string;
+  passphrase?: string;
+  agent?: string;
+  /** Default 'tofu' */
+  hostKeyPolicy?: HostKeyPolicy;
+  acceptFingerprint?: string;
 }
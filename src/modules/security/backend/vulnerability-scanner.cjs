@@ -25,6 +25,61 @@ class VulnerabilityScanner {
     this.owaspTop10 = this.initializeOWASPTop10();
     this.vulnerabilityCache = new Map();
     this.scanResults = [];
+    this.connect = null; // (host, port) => Promise<Duplex>, see withConnection()
+  }
+
+  /**
+   * Scanner whose TCP connections go through `connect` instead of the local network,
+   * e.g. RemoteAccessEngine.connectThrough() to scan devices behind an SSH bastion.
+   * Shares this scanner's databases and results.
+   * @param {Function} connect - (host, port) => Promise<Duplex stream>
+   */
+  withConnection(connect) {
+    const scanner = Object.create(this);
+    scanner.connect = connect;
+    return scanner;
+  }
+
+  /**
+   * Helper: Open a TCP connection (through the tunnel when one is set)
+   * @returns {Promise<Duplex>} Connected socket or channel
+   */
+  openConnection(host, port, timeout) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const timer = setTimeout(() => {
+        settled = true;
+        reject(new Error('Timeout'));
+      }, timeout);
+
+      const connected = (socket) => {
+        clearTimeout(timer);
+        if (settled) {
+          socket.destroy();
+          return;
+        }
+        settled = true;
+        resolve(socket);
+      };
+      const failed = (error) => {
+        clearTimeout(timer);
+        if (!settled) {
+          settled = true;
+          reject(error);
+        }
+      };
+
+      if (this.connect) {
+        this.connect(host, port).then(connected, failed);
+        return;
+      }
+      const socket = net.connect(port, host);
+      socket.once('connect', () => {
+        socket.removeListener('error', failed);
+        connected(socket);
+      });
+      socket.once('error', failed);
+    });
   }
 
   /**
@@ -346,27 +401,13 @@ class VulnerabilityScanner {
    * Check if a port is open
    */
   async checkPort(host, port, timeout = 2000) {
-    return new Promise((resolve) => {
-      const socket = new net.Socket();
-
-      socket.setTimeout(timeout);
-
-      socket.on('connect', () => {
-        socket.destroy();
-        resolve(true);
-      });
-
-      socket.on('timeout', () => {
-        socket.destroy();
-        resolve(false);
-      });
-
-      socket.on('error', () => {
-        resolve(false);
-      });
-
-      socket.connect(port, host);
-    });
+    try {
+      const socket = await this.openConnection(host, port, timeout);
+      socket.destroy();
+      return true;
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
@@ -478,13 +519,19 @@ class VulnerabilityScanner {
    * Get SSL/TLS information for a host
    */
   async getSSLInfo(host, port = 443) {
+    let tunnel = null;
+    if (this.connect) {
+      try {
+        tunnel = await this.openConnection(host, port, 5000);
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+
     return new Promise((resolve) => {
-      const options = {
-        host,
-        port,
-        rejectUnauthorized: false,
-        agent: false
-      };
+      const options = tunnel
+        ? { socket: tunnel, servername: net.isIP(host) ? undefined : host, rejectUnauthorized: false }
+        : { host, port, rejectUnauthorized: false, agent: false };
 
       const socket = tls.connect(options, () => {
         const info = {
@@ -763,33 +810,33 @@ class VulnerabilityScanner {
    * Grab service banner
    */
   async grabBanner(host, port, timeout = 3000) {
+    const socket = await this.openConnection(host, port, timeout);
+
     return new Promise((resolve, reject) => {
-      const socket = new net.Socket();
       let banner = '';
 
-      socket.setTimeout(timeout);
+      // Give up on services that never close
+      const idle = setTimeout(() => {
+        socket.destroy();
+        resolve(banner || null);
+      }, timeout);
 
       socket.on('data', (data) => {
         banner += data.toString();
       });
 
       socket.on('end', () => {
+        clearTimeout(idle);
         resolve(banner);
       });
 
-      socket.on('timeout', () => {
-        socket.destroy();
-        resolve(banner || null);
-      });
-
       socket.on('error', (error) => {
+        clearTimeout(idle);
         reject(error);
       });
 
-      socket.connect(port, host, () => {
-        // Some services send banner immediately, others need a request
-        socket.write('\r\n');
-      });
+      // Some services send banner immediately, others need a request
+      socket.write('\r\n');
 
       // Wait a bit for banner
       setTimeout(() => {
@@ -921,6 +968,20 @@ class VulnerabilityScanner {
         rejectUnauthorized: false
       };
 
+      if (this.connect) {
+        // TLS over a tunnel connection (https.Agent accepts an async createConnection)
+        options.agent = new https.Agent({ rejectUnauthorized: false });
+        options.agent.createConnection = (agentOptions, callback) => {
+          this.openConnection(target, 443, 5000)
+            .then(socket => callback(null, tls.connect({
+              socket,
+              servername: agentOptions.servername,
+              rejectUnauthorized: false
+            })))
+            .catch(callback);
+        };
+      }
+
       const req = https.request(options, (res) => {
         const headers = res.headers;
 
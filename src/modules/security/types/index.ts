@@ -50,6 +50,8 @@ export interface ScanOptions {
   aggressive?: boolean;
   timeout?: number;
   maxThreads?: number;
+  /** Scan from the far side of an open SSH session (PuTTY module) */
+  tunnel?: { sessionId: string };
 }
 
 export interface ScanStatistics {
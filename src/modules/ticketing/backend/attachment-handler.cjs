@@ -51,7 +51,9 @@ class AttachmentHandler extends EventEmitter {
         'text/plain',
         'text/csv',
         'application/zip',
-        'application/x-zip-compressed'
+        'application/x-zip-compressed',
+        'application/vnd.tcpdump.pcap',
+        'application/x-pcapng'
       ],
       downloadPath: options.downloadPath || path.join(process.cwd(), 'downloads'),
       cachePath: options.cachePath || path.join(process.cwd(), 'cache', 'attachments'),
@@ -121,7 +123,9 @@ class AttachmentHandler extends EventEmitter {
       '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
       '.txt': 'text/plain',
       '.csv': 'text/csv',
-      '.zip': 'application/zip'
+      '.zip': 'application/zip',
+      '.pcap': 'application/vnd.tcpdump.pcap',
+      '.pcapng': 'application/x-pcapng'
     };
 
     return mimeTypes[ext] || 'application/octet-stream';
@@ -9,7 +9,8 @@ import {
   AlertTriangle,
   Activity,
   Clock,
-  Database
+  Database,
+  FolderOpen
 } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/Card';
 import { Button } from '../components/ui/Button';
@@ -28,6 +29,31 @@ const mockPackets = [
   { id: 5, time: '00:00:02.345', source: '192.168.1.100', dest: '142.250.80.46', protocol: 'TLS', length: 583, info: 'Client Hello' },
 ];
 
+type PacketRow = typeof mockPackets[0];
+
+// Format a capture-relative offset as HH:MM:SS.mmm
+function formatRelativeTime(offsetMs: number) {
+  const total = Math.max(0, Math.floor(offsetMs));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+}
+
+// Map a backend packet to a table row
+function toPacketRow(packet: any, startTime: number): PacketRow {
+  return {
+    id: packet.id,
+    time: formatRelativeTime(packet.timestamp - startTime),
+    source: packet.source || '',
+    dest: packet.destination || '',
+    protocol: packet.protocol || 'Unknown',
+    length: packet.length,
+    info: packet.info || '',
+  };
+}
+
 // Stats component
 function CaptureStats() {
   const stats = [
@@ -63,7 +89,7 @@ function CaptureStats() {
 
 // Packet table component
 function PacketTable({ packets, selectedId, onSelect }: {
-  packets: typeof mockPackets;
+  packets: PacketRow[];
   selectedId: number | null;
   onSelect: (id: number) => void;
 }) {
@@ -122,7 +148,7 @@ function PacketTable({ packets, selectedId, onSelect }: {
 }
 
 // Packet detail component
-function PacketDetail({ packet }: { packet: typeof mockPackets[0] | null }) {
+function PacketDetail({ packet }: { packet: PacketRow | null }) {
   if (!packet) {
     return (
       <Card className="h-full">
@@ -169,7 +195,7 @@ ${packet.info}`}
 // Main NinjaShark component
 export default function NinjaShark() {
   const [isCapturing, setIsCapturing] = React.useState(false);
-  const [packets, setPackets] = React.useState<typeof mockPackets>([]);
+  const [packets, setPackets] = React.useState<PacketRow[]>([]);
   const [selectedPacket, setSelectedPacket] = React.useState<number | null>(null);
   const [filter, setFilter] = React.useState('');
 
@@ -182,6 +208,14 @@ export default function NinjaShark() {
     setIsCapturing(false);
   };
 
+  const handleOpenFile = async () => {
+    const result = await window.electronAPI?.invoke('ninjashark:openFile');
+    if (!result?.success) return;
+    setIsCapturing(false);
+    setSelectedPacket(null);
+    setPackets(result.packets.map((p: any) => toPacketRow(p, result.session.startTime)));
+  };
+
   const filteredPackets = packets.filter(p =>
     filter === '' ||
     p.source.includes(filter) ||
@@ -215,6 +249,10 @@ export default function NinjaShark() {
                 Stop Capture
               </Button>
             )}
+            <Button variant="outline" onClick={handleOpenFile} disabled={isCapturing}>
+              <FolderOpen className="h-4 w-4 mr-2" />
+              Open
+            </Button>
             <Button variant="outline" disabled={packets.length === 0}>
               <Download className="h-4 w-4 mr-2" />
               Export
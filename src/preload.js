@@ -52,22 +52,117 @@ const validInvokeChannels = [
   'ninjashark:stopCapture',
   'ninjashark:getPackets',
   'ninjashark:export',
+  'ninjashark:openFile',
+  'ninjashark:validateFilter',
+  'ninjashark:queryPackets',
+  'ninjashark:closeSession',
+  'ninjashark:getConversations',
+  'ninjashark:getStatistics',
+  'ninjashark:followStream',
+  'ninjashark:exportStream',
+  'ninjashark:getAlerts',
+  'ninjashark:getAlert',
+  'ninjashark:acknowledgeAlert',
+  'ninjashark:getRules',
+  'ninjashark:saveRules',
+  'ninjashark:validateRules',
+  'ninjashark:setSite',
+  'ninjashark:getTicketPolicy',
+  'ninjashark:getSessionStats',
+  'ninjashark:scheduleCapture',
+  'ninjashark:getSchedules',
+  'ninjashark:cancelSchedule',
+  'ninjashark:setTicketPolicy',
 
   // Module: PowerShell
   'powershell:execute',
+  'powershell:executeStructured',
+  'powershell:exportCsv',
   'powershell:getHistory',
   'powershell:createSession',
+  'powershell:resize',
+  'powershell:listSessions',
+  'powershell:getProfiles',
+  'powershell:saveProfile',
+  'powershell:deleteProfile',
+
+  // Credential store (remote sessions)
+  'credentials:list',
+  'credentials:save',
+  'credentials:delete',
 
   // Module: PuTTY/Remote Access
   'putty:connect',
   'putty:disconnect',
   'putty:send',
   'putty:getSessions',
+  'putty:openForward',
+  'putty:closeForward',
+  'putty:getForwards',
+  'putty:sftpList',
+  'putty:sftpStat',
+  'putty:sftpRename',
+  'putty:sftpDelete',
+  'putty:sftpMkdir',
+  'putty:sftpChmod',
+  'putty:localList',
+  'putty:queueTransfer',
+  'putty:controlTransfer',
+  'putty:getTransfers',
+  'putty:resize',
+  'putty:listRecordings',
+  'putty:searchRecordings',
+  'putty:getRecording',
+  'putty:deleteRecording',
+  'putty:playRecording',
+  'putty:controlPlayback',
+  'putty:getKnownHosts',
+  'putty:trustHostKey',
+  'putty:removeHostKey',
+  'putty:importKnownHosts',
+  'putty:exportKnownHosts',
+  'putty:serialListPorts',
+  'putty:serialConnect',
+  'putty:serialDisconnect',
+  'putty:serialSend',
+  'putty:serialBreak',
+  'putty:serialSetOptions',
+  'putty:serialDetectBaud',
+  'putty:serialGetSessions',
+  'putty:serialGetProfiles',
+  'putty:serialSaveProfile',
+  'putty:serialDeleteProfile',
+  'putty:getMacros',
+  'putty:saveMacro',
+  'putty:deleteMacro',
+  'putty:executeMacro',
+  'putty:resolveHosts',
+  'putty:runBatch',
+  'putty:cancelBatch',
+  'putty:getBatch',
+  'putty:exportBatchCsv',
 
   // Module: Auvik/Network
   'auvik:scan',
   'auvik:getTopology',
+  'auvik:buildTopology',
   'auvik:snmpWalk',
+  'auvik:pollDevice',
+  'auvik:stopPolling',
+  'auvik:pollNow',
+  'auvik:getPolledDevices',
+  'auvik:listSeries',
+  'auvik:queryMetrics',
+  'auvik:discoverDevices',
+  'auvik:listCredentialProfiles',
+  'auvik:saveCredentialProfile',
+  'auvik:deleteCredentialProfile',
+  'auvik:setCredentialAssignments',
+  'auvik:getReceiverConfig',
+  'auvik:configureReceiver',
+  'auvik:getEventRules',
+  'auvik:setEventRules',
+  'auvik:searchEvents',
 
   // Module: Security
   'security:scanTarget',
@@ -139,10 +234,29 @@ const validReceiveChannels = [
   'kage:response',
 
   // Module events
-  'ninjashark:packet',
+  'ninjashark:packets',
+  'ninjashark:alert',
+  'ninjashark:ticketCreated',
+  'ninjashark:captureStopped',
+  'ninjashark:exportProgress',
   'powershell:output',
   'putty:data',
+  'putty:batchProgress',
+  'putty:macroStep',
+  'putty:forwardState',
+  'putty:playbackFrame',
+  'putty:playbackReset',
+  'putty:playbackState',
+  'putty:telnetOptions',
+  'putty:transferProgress',
+  'putty:transferState',
+  'putty:serialData',
+  'putty:serialError',
+  'putty:serialClosed',
   'auvik:deviceFound',
+  'auvik:pollResult',
+  'auvik:networkEvent',
+  'auvik:linkState',
   'security:alert',
   'ticketing:notification',
 ];
@@ -172,6 +172,11 @@ interface CaptureOptions {
   sessionId?: string;
   interface: string;
   filter?: string;
+  buffer?: { bufferPackets?: number; bufferBytes?: number; spillToDisk?: boolean };
+  /** Write to rotating PCAPNG files */
+  ringFile?: { directory?: string; prefix?: string; maxFileSize?: number; maxFileDuration?: number; maxFiles?: number };
+  /** Stop automatically; anomaly: true or { severity?, type?, ruleId? } */
+  autoStop?: { packets?: number; bytes?: number; duration?: number; anomaly?: boolean | { severity?: string; type?: string; ruleId?: string }; anomalyDelay?: number };
 }
 
 /**
@@ -203,6 +208,12 @@ interface ExecutionResult {
   success: boolean;
   output?: string;
   error?: string;
+  errors?: string[];
+  succeeded?: boolean;
+  exitCode?: number;
+  lastExitCode?: number | null;
+  executionTime?: number;
+  commandNumber?: number;
 }
 
 /**
@@ -0,0 +1,160 @@
+/**
+ * EventReceiver SNMPv3 trap user keys in the credential store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventReceiver } = require('../../src/modules/auvik/backend/event-receiver.cjs');
+const { CredentialStore } = require('../../src/backend/credential-store.cjs');
+const { encryption, resetEncryption } = require('./helpers/fake-encryption.cjs');
+
+// net-snmp stand-in recording the users given to the trap authorizer
+const fakeSnmp = () => {
+  const snmp = { users: [] };
+  snmp.SecurityLevel = { noAuthNoPriv: 1, authNoPriv: 2, authPriv: 3 };
+  snmp.AuthProtocols = { sha: 'sha' };
+  snmp.PrivProtocols = { aes: 'aes' };
+  snmp.createReceiver = () => ({
+    getAuthorizer: () => ({ addCommunity: () => {}, addUser: user => snmp.users.push(user) }),
+    close: () => {}
+  });
+  return snmp;
+};
+
+const AUTH_PRIV = {
+  name: 'monitor',
+  level: 'authPriv',
+  authProtocol: 'sha',
+  authKey: 'auth-secret-1',
+  privProtocol: 'aes',
+  privKey: 'priv-secret-1'
+};
+
+let tmpDir;
+let configPath;
+let credentials;
+
+const newReceiver = (options = {}) => new EventReceiver({ configPath, credentials, ...options });
+const configFile = () => fs.readFileSync(configPath, 'utf8');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.warn.mockRestore();
+});
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-traps-'));
+  configPath = path.join(tmpDir, 'event-receiver.json');
+  resetEncryption();
+  credentials = new CredentialStore({ filePath: path.join(tmpDir, 'credentials.json'), encryption });
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('EventReceiver trap user keys', () => {
+  test('stores new keys in the credential store and only their IDs in the settings file', async () => {
+    const receiver = newReceiver();
+    const config = await receiver.configure({ trap: { users: [AUTH_PRIV] } });
+
+    expect(config.trap.users).toEqual([
+      { name: 'monitor', level: 'authPriv', authProtocol: 'sha', privProtocol: 'aes', authKey: '********', privKey: '********' }
+    ]);
+    expect(configFile()).not.toContain('secret-1');
+    expect(fs.readFileSync(path.join(tmpDir, 'credentials.json'), 'utf8')).not.toContain('secret-1');
+
+    const [user] = JSON.parse(configFile()).trap.users;
+    expect(user).not.toHaveProperty('authKey');
+    expect(credentials.resolve(user.authKeyId).secret).toBe('auth-secret-1');
+    expect(credentials.resolve(user.privKeyId).secret).toBe('priv-secret-1');
+    expect(credentials.get(user.authKeyId)).toMatchObject({ label: 'SNMPv3 trap user monitor auth key', username: 'monitor' });
+  });
+
+  test('masked keys keep the stored credentials and a new key updates its credential', async () => {
+    const receiver = newReceiver();
+    await receiver.configure({ trap: { users: [AUTH_PRIV] } });
+    const [before] = receiver.config.trap.users;
+
+    await receiver.configure({ trap: { users: receiver.getConfig().trap.users } });
+    expect(receiver.config.trap.users[0]).toEqual(before);
+
+    await receiver.configure({ trap: { users: [{ ...AUTH_PRIV, authKey: '********', privKey: 'priv-secret-2' }] } });
+    expect(receiver.config.trap.users[0]).toEqual(before);
+    expect(credentials.resolve(before.privKeyId).secret).toBe('priv-secret-2');
+    expect(credentials.list()).toHaveLength(2);
+  });
+
+  test('deletes the credentials of removed users and keys no longer used', async () => {
+    const receiver = newReceiver();
+    await receiver.configure({ trap: { users: [AUTH_PRIV] } });
+    const [{ authKeyId, privKeyId }] = receiver.config.trap.users;
+
+    await receiver.configure({ trap: { users: [{ ...AUTH_PRIV, level: 'authNoPriv', authKey: '********' }] } });
+    expect(receiver.config.trap.users[0]).toMatchObject({ authKeyId, privKeyId: null });
+    expect(credentials.get(privKeyId)).toBeNull();
+
+    await receiver.configure({ trap: { users: [] } });
+    expect(credentials.list()).toEqual([]);
+  });
+
+  test('refuses a new key without OS encryption and leaves nothing behind', async () => {
+    const receiver = newReceiver();
+    encryption.available = false;
+
+    await expect(receiver.configure({ trap: { users: [AUTH_PRIV] } }))
+      .rejects.toThrow('OS credential encryption is not available; secrets cannot be stored');
+    expect(receiver.config.trap.users).toEqual([]);
+    expect(credentials.list()).toEqual([]);
+  });
+
+  test('requires the keys of the security level', async () => {
+    const receiver = newReceiver();
+    const { privKey, ...withoutPrivKey } = AUTH_PRIV;
+
+    await expect(receiver.configure({ trap: { users: [withoutPrivKey] } }))
+      .rejects.toThrow('SNMPv3 user monitor needs privKey');
+    expect(credentials.list()).toEqual([]);
+  });
+
+  test('moves plaintext keys of an older settings file into the credential store', () => {
+    fs.writeFileSync(configPath, JSON.stringify({ trap: { enabled: true, port: 1162, communities: [], users: [AUTH_PRIV] } }));
+
+    const receiver = newReceiver();
+
+    expect(configFile()).not.toContain('secret-1');
+    const [user] = receiver.config.trap.users;
+    expect(credentials.resolve(user.authKeyId).secret).toBe('auth-secret-1');
+    expect(credentials.resolve(user.privKeyId).secret).toBe('priv-secret-1');
+  });
+
+  test('keeps plaintext keys of an older settings file while OS encryption is unavailable', () => {
+    fs.writeFileSync(configPath, JSON.stringify({ trap: { users: [AUTH_PRIV] } }));
+    encryption.available = false;
+
+    const receiver = newReceiver();
+
+    expect(receiver.config.trap.users[0]).toMatchObject({ authKey: 'auth-secret-1', privKey: 'priv-secret-1' });
+    expect(receiver.getConfig().trap.users[0]).toMatchObject({ authKey: '********', privKey: '********' });
+    expect(credentials.list()).toEqual([]);
+  });
+
+  test('gives the trap listener the decrypted keys', async () => {
+    const snmp = fakeSnmp();
+    const receiver = newReceiver({ snmp });
+    await receiver.configure({ trap: { enabled: true, port: 1162, users: [AUTH_PRIV] } });
+
+    await receiver.start();
+    await receiver.stop();
+
+    expect(snmp.users).toEqual([{
+      name: 'monitor', level: 3, authProtocol: 'sha', authKey: 'auth-secret-1', privProtocol: 'aes', privKey: 'priv-secret-1'
+    }]);
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Stand-in for Electron safeStorage: reversible XOR "encryption" whose
+ * availability tests can switch off; resetEncryption() turns it back on
+ */
+
+const encryption = {
+  available: true,
+  isEncryptionAvailable() {
+    return this.available;
+  },
+  encryptString: (text) => Buffer.from(text, 'utf8').map(byte => byte ^ 0x5a),
+  decryptString: (buffer) => Buffer.from(buffer).map(byte => byte ^ 0x5a).toString('utf8')
+};
+
+function resetEncryption() {
+  encryption.available = true;
+}
+
+module.exports = { encryption, resetEncryption };
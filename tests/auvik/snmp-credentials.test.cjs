@@ -0,0 +1,78 @@
+/**
+ * SNMPCredentialStore secrets through the shared SecretBox
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SNMPCredentialStore } = require('../../src/modules/auvik/backend/snmp-credentials.cjs');
+const { SecretBox } = require('../../src/backend/credential-store.cjs');
+const { encryption, resetEncryption } = require('./helpers/fake-encryption.cjs');
+
+let tmpDir;
+let filePath;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-snmp-credentials-'));
+  filePath = path.join(tmpDir, 'auvik', 'snmp-credentials.json');
+  resetEncryption();
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('SNMPCredentialStore', () => {
+  test('stores communities and USM keys encrypted and resolves them after a reload', () => {
+    const store = new SNMPCredentialStore({ filePath, encryption });
+    const v2c = store.saveProfile({ name: 'Branch', version: '2c', community: 'branch-ro' });
+    const v3 = store.saveProfile({
+      name: 'Core',
+      version: '3',
+      user: { name: 'monitor', level: 'authPriv', authKey: 'auth-secret', privKey: 'priv-secret' }
+    });
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    expect(text).not.toMatch(/branch-ro|auth-secret|priv-secret/);
+    expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+
+    const document = JSON.parse(text);
+    const stored = document.profiles.find(profile => profile.id === v2c.id);
+    expect(new SecretBox(encryption).decrypt(stored.community)).toBe('branch-ro');
+
+    const reloaded = new SNMPCredentialStore({ filePath, encryption });
+    expect(reloaded.resolve(v2c.id)).toMatchObject({ version: '2c', community: 'branch-ro' });
+    expect(reloaded.resolve(v3.id).user).toMatchObject({ name: 'monitor', authKey: 'auth-secret', privKey: 'priv-secret' });
+  });
+
+  test('refuses secrets without OS encryption', () => {
+    encryption.available = false;
+    const store = new SNMPCredentialStore({ filePath, encryption });
+
+    expect(store.isAvailable()).toBe(false);
+    expect(() => store.saveProfile({ name: 'Branch', version: '2c', community: 'branch-ro' }))
+      .toThrow('OS credential encryption is not available; secrets cannot be stored');
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('cannot read secrets once OS encryption is gone', () => {
+    const profile = new SNMPCredentialStore({ filePath, encryption })
+      .saveProfile({ name: 'Branch', version: '2c', community: 'branch-ro' });
+
+    const store = new SNMPCredentialStore({ filePath });
+    expect(store.getProfile(profile.id)).toMatchObject({ name: 'Branch', hasCommunity: true });
+    expect(() => store.resolve(profile.id)).toThrow('OS credential encryption is not available; secrets cannot be read');
+  });
+
+  test('starts empty when the file is unreadable', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const store = new SNMPCredentialStore({ filePath, encryption });
+
+    expect(store.listProfiles()).toEqual([]);
+    expect(warn).toHaveBeenCalledWith('SNMP credential store could not be loaded:', expect.any(String));
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * SNMPPoller counter rates and restart detection
+ */
+
+const { SNMPPoller, OIDS } = require('../../src/modules/auvik/backend/snmp-poller.cjs');
+
+const WRAP32 = 2 ** 32;
+const WRAP64 = 2n ** 64n;
+const START = Date.UTC(2026, 0, 1);
+
+// net-snmp returns Counter64 as a big-endian Buffer
+const counter64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(value);
+  return buffer;
+};
+
+// Agent with one 100 Mbit/s interface; tests set uptime and octets between polls
+const fakeAgent = () => {
+  const agent = { uptime: 100, inOctets: 0, outOctets: 0 };
+  agent.snmpGet = async () => ({ [OIDS.sysUpTime]: agent.uptime });
+  agent.snmpWalk = async (target, oid) => {
+    const column = {
+      [OIDS.ifDescr]: 'Gi0/1',
+      [OIDS.ifSpeed]: 100000000,
+      [OIDS.ifOperStatus]: 1,
+      [OIDS.ifInOctets]: agent.inOctets,
+      [OIDS.ifOutOctets]: agent.outOctets
+    };
+    return oid in column ? [{ oid: `${oid}.1`, value: column[oid] }] : [];
+  };
+  return agent;
+};
+
+const recordingStore = () => {
+  const store = { polls: [] };
+  store.record = (target, timestamp, samples) => {
+    store.polls.push(samples);
+    return samples.length;
+  };
+  return store;
+};
+
+const sample = (samples, metric) => samples.find(entry => entry.metric === metric)?.value;
+
+let now;
+let poller;
+let device;
+
+beforeEach(() => {
+  now = START;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  poller = new SNMPPoller({ snmp: fakeAgent(), store: recordingStore() });
+  poller.addDevice('10.0.0.1', { metrics: ['interfaces', 'uptime'] });
+  device = poller.devices.get('10.0.0.1');
+});
+
+afterEach(() => {
+  poller.stop();
+  jest.restoreAllMocks();
+});
+
+describe('counterRate', () => {
+  test('returns null for the first reading', () => {
+    expect(poller.counterRate(device, 'x|1', 1000, 32, START, null)).toBeNull();
+    expect(device.counters.get('x|1')).toEqual({ value: 1000n, time: START });
+  });
+
+  test('computes a per-second rate from the previous reading', () => {
+    poller.counterRate(device, 'x|1', 1000, 32, START, null);
+    expect(poller.counterRate(device, 'x|1', 61000, 32, START + 60000, null)).toBe(1000);
+  });
+
+  test('adds 2^32 when a 32-bit counter wraps', () => {
+    poller.counterRate(device, 'x|1', WRAP32 - 1000, 32, START, null);
+    expect(poller.counterRate(device, 'x|1', 500, 32, START + 10000, null)).toBe(150);
+  });
+
+  test('adds 2^64 when a 64-bit counter wraps', () => {
+    poller.counterRate(device, 'x|1', counter64(WRAP64 - 4000n), 64, START, null);
+    expect(poller.counterRate(device, 'x|1', counter64(6000n), 64, START + 10000, null)).toBe(1000);
+  });
+
+  test('keeps 64-bit precision beyond 2^53', () => {
+    const base = 2n ** 60n;
+    poller.counterRate(device, 'x|1', counter64(base), 64, START, null);
+    expect(poller.counterRate(device, 'x|1', counter64(base + 12345n), 64, START + 1000, null)).toBe(12345);
+  });
+
+  test('discards a delta faster than the maximum rate but keeps the reading', () => {
+    poller.counterRate(device, 'x|1', 0, 32, START, 1000);
+    expect(poller.counterRate(device, 'x|1', 20000, 32, START + 10000, 1000)).toBeNull();
+    expect(poller.counterRate(device, 'x|1', 25000, 32, START + 20000, 1000)).toBe(500);
+  });
+
+  test('ignores a reading that is not newer than the previous one', () => {
+    poller.counterRate(device, 'x|1', 100, 32, START, null);
+    expect(poller.counterRate(device, 'x|1', 200, 32, START, null)).toBeNull();
+  });
+
+  test('returns null for values that are not counters', () => {
+    expect(poller.counterRate(device, 'x|1', 'n/a', 32, START, null)).toBeNull();
+    expect(device.counters.has('x|1')).toBe(false);
+  });
+});
+
+describe('poll', () => {
+  const pollAt = async (offset, values) => {
+    now = START + offset;
+    Object.assign(poller.snmp, values);
+    await poller.pollNow('10.0.0.1');
+    return poller.store.polls[poller.store.polls.length - 1];
+  };
+
+  test('stores interface rates and utilisation from the second poll', async () => {
+    const first = await pollAt(0, { uptime: 1000, inOctets: 0, outOctets: 0 });
+    expect(sample(first, 'ifInBps')).toBeUndefined();
+
+    const second = await pollAt(60000, { uptime: 7000, inOctets: 75000000, outOctets: 7500000 });
+    expect(sample(second, 'ifInBps')).toBe(10000000);
+    expect(sample(second, 'ifInUtilization')).toBe(10);
+    expect(sample(second, 'ifOutBps')).toBe(1000000);
+  });
+
+  test('discards traffic faster than 1.5x the link speed', async () => {
+    await pollAt(0, { uptime: 1000, inOctets: 0 });
+    const burst = await pollAt(60000, { uptime: 7000, inOctets: 60000 * 1e8 / 8 * 2 / 1000 });
+    expect(sample(burst, 'ifInBps')).toBeUndefined();
+  });
+
+  test('clears the counters when sysUpTime goes back after a restart', async () => {
+    await pollAt(0, { uptime: 500000, inOctets: 1000000 });
+
+    // Rebooted 20 s before the next poll; counters started again from 0
+    const polls = [];
+    poller.on('poll', result => polls.push(result));
+    const restarted = await pollAt(60000, { uptime: 2000, inOctets: 4000000 });
+    expect(polls).toEqual([expect.objectContaining({ target: '10.0.0.1', samples: restarted.length, error: null })]);
+    expect(sample(restarted, 'ifInBps')).toBeUndefined();
+    expect(sample(restarted, 'sysUpTime')).toBe(20);
+    // The next rate is measured from the post-restart reading
+    expect(device.counters.get('ifInOctets32|1')).toEqual({ value: 4000000n, time: START + 60000 });
+
+    const next = await pollAt(120000, { uptime: 8000, inOctets: 4600000 });
+    expect(sample(next, 'ifInBps')).toBe(80000);
+  });
+
+  test('keeps the counters when sysUpTime wraps at 2^32 centiseconds', async () => {
+    await pollAt(0, { uptime: WRAP32 - 3000, inOctets: 1000000 });
+
+    const wrapped = await pollAt(60000, { uptime: 3000, inOctets: 1600000 });
+    expect(sample(wrapped, 'ifInBps')).toBe(80000);
+    expect(device.uptimeWraps).toBe(1);
+    expect(sample(wrapped, 'sysUpTime')).toBe((WRAP32 + 3000) / 100);
+
+    // Uptime keeps counting past the wrap
+    const next = await pollAt(120000, { uptime: 9000, inOctets: 2200000 });
+    expect(sample(next, 'sysUpTime')).toBe((WRAP32 + 9000) / 100);
+  });
+
+  test('a restart after a wrap reports the uptime since the restart', async () => {
+    await pollAt(0, { uptime: WRAP32 - 3000, inOctets: 1000000 });
+    await pollAt(60000, { uptime: 3000, inOctets: 1600000 });
+
+    const restarted = await pollAt(120000, { uptime: 1500, inOctets: 100000 });
+    expect(sample(restarted, 'sysUpTime')).toBe(15);
+    expect(sample(restarted, 'ifInBps')).toBeUndefined();
+    expect(device.uptimeWraps).toBe(0);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * TopologyBuilder layer-2 mapping from SNMP neighbor, bridge and ARP tables
+ */
+
+const { EventEmitter } = require('events');
+const { TopologyBuilder } = require('../../src/modules/auvik/backend/topology-builder.cjs');
+const { SNMPEngine } = require('../../src/modules/auvik/backend/snmp-engine.cjs');
+
+const CORE = '10.0.0.1';
+const ACCESS = '10.0.0.2';
+const HOST = '10.0.0.50';
+const HOST_MAC = 'aa:bb:cc:00:00:50';
+
+// Decimal OID index octets of a MAC address (bridge forwarding table index)
+const macIndex = (mac) => mac.split(':').map(part => parseInt(part, 16)).join('.');
+
+const port = (name, description, speed, mac, alias = '') => ({ name, description, speed, mac, alias });
+
+// Agent tables by standardOIDs column name: { column: { index: value } }
+const agentTables = (system, interfaces, tables) => {
+  const columns = {
+    ifDescr: {}, ifName: {}, ifAlias: {}, ifType: {}, ifMtu: {}, ifSpeed: {},
+    ifPhysAddress: {}, ifAdminStatus: {}, ifOperStatus: {}, ...tables
+  };
+  for (const [index, iface] of Object.entries(interfaces)) {
+    columns.ifDescr[index] = iface.description;
+    columns.ifName[index] = iface.name;
+    columns.ifAlias[index] = iface.alias;
+    columns.ifType[index] = 6;
+    columns.ifMtu[index] = 1500;
+    columns.ifSpeed[index] = iface.speed;
+    columns.ifPhysAddress[index] = iface.mac;
+    columns.ifAdminStatus[index] = 1;
+    columns.ifOperStatus[index] = 1;
+  }
+  return { system, columns };
+};
+
+const AGENTS = {
+  [CORE]: agentTables({ sysName: 'core-sw1', sysDescr: 'Cisco IOS Software, C3850' }, {
+    1: port('Gi0/1', 'GigabitEthernet0/1', 1000000000, '00:11:11:11:11:01'),
+    2: port('Gi0/2', 'GigabitEthernet0/2', 1000000000, '00:11:11:11:11:02', 'to access-sw2')
+  }, {
+    // LLDP and CDP both see access-sw2 on Gi0/2
+    lldpRemChassisIdSubtype: { '0.2.1': 4 },
+    lldpRemChassisId: { '0.2.1': '00:22:22:22:22:30' },
+    lldpRemPortIdSubtype: { '0.2.1': 5 },
+    lldpRemPortId: { '0.2.1': 'Gi1/0/48' },
+    lldpRemSysName: { '0.2.1': 'access-sw2.example.net' },
+    lldpRemManAddrIfSubtype: { [`0.2.1.1.4.${ACCESS}`]: 2 },
+    lldpLocPortIdSubtype: { 2: 5 },
+    lldpLocPortId: { 2: 'Gi0/2' },
+    cdpCacheAddress: { '2.1': ACCESS },
+    cdpCacheDeviceId: { '2.1': 'access-sw2.example.net' },
+    cdpCacheDevicePort: { '2.1': 'GigabitEthernet1/0/48' },
+    cdpCachePlatform: { '2.1': 'cisco WS-C2960X-48' },
+    cdpCacheNativeVLAN: { '2.1': 10 },
+    // The host and the access switch are both learned through the uplink
+    dot1dBasePortIfIndex: { 1: 1, 2: 2 },
+    dot1qTpFdbPort: { [`20.${macIndex(HOST_MAC)}`]: 2, [`10.${macIndex('00:22:22:22:22:30')}`]: 2 },
+    dot1qTpFdbStatus: { [`20.${macIndex(HOST_MAC)}`]: 3, [`10.${macIndex('00:22:22:22:22:30')}`]: 3 },
+    dot1qPvid: { 1: 1, 2: 10 },
+    ipNetToMediaPhysAddress: { [`1.${HOST}`]: HOST_MAC }
+  }),
+  [ACCESS]: agentTables({ sysName: 'access-sw2', sysDescr: 'Cisco IOS Software, C2960X' }, {
+    5: port('Gi1/0/5', 'GigabitEthernet1/0/5', 100000000, '00:22:22:22:22:05', 'pc50 desk'),
+    30: port('Vl10', 'Vlan10', 1000000000, '00:22:22:22:22:30'),
+    48: port('Gi1/0/48', 'GigabitEthernet1/0/48', 10000000000, '00:22:22:22:22:48')
+  }, {
+    lldpRemChassisIdSubtype: { '0.48.1': 4 },
+    lldpRemChassisId: { '0.48.1': '00:11:11:11:11:02' },
+    lldpRemPortIdSubtype: { '0.48.1': 5 },
+    lldpRemPortId: { '0.48.1': 'Gi0/2' },
+    lldpRemSysName: { '0.48.1': 'core-sw1' },
+    lldpLocPortIdSubtype: { 48: 5 },
+    lldpLocPortId: { 48: 'Gi1/0/48' },
+    dot1dBasePortIfIndex: { 5: 5, 48: 48 },
+    dot1qTpFdbPort: { [`20.${macIndex(HOST_MAC)}`]: 5, [`10.${macIndex('00:11:11:11:11:02')}`]: 48 },
+    dot1qTpFdbStatus: { [`20.${macIndex(HOST_MAC)}`]: 3, [`10.${macIndex('00:11:11:11:11:02')}`]: 3 },
+    dot1qPvid: { 5: 20, 48: 10 }
+  })
+};
+
+// SNMPEngine whose walks and gets read the agent tables instead of the network
+const stubbedEngine = () => {
+  const engine = new SNMPEngine();
+  const oids = engine.standardOIDs;
+  engine.snmpWalk = async (target, oid) => {
+    const name = Object.keys(oids).find(key => oids[key] === oid);
+    const column = AGENTS[target].columns[name] || {};
+    return Object.entries(column).map(([index, value]) => ({ oid: `${oid}.${index}`, value }));
+  };
+  engine.snmpGet = async (target, requested) => {
+    const { system, columns } = AGENTS[target];
+    const values = {};
+    for (const oid of requested) {
+      const scalar = Object.keys(system).find(key => oids[key] === oid);
+      const column = Object.keys(columns).find(key => oid.startsWith(`${oids[key]}.`));
+      values[oid] = scalar ? system[scalar] : columns[column]?.[oid.slice(oids[column].length + 1)];
+    }
+    return values;
+  };
+  return engine;
+};
+
+let topology;
+let engine;
+
+const layer2Links = () => Array.from(topology.links.values()).filter(link => link.type !== 'network');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.warn.mockRestore();
+});
+
+beforeEach(async () => {
+  engine = stubbedEngine();
+  topology = new TopologyBuilder({ networkMapper: new EventEmitter(), snmpEngine: engine });
+  // The scanner saw the host but not its MAC (another broadcast domain)
+  await topology.integrateNmapData({ devices: [{ ip: HOST, hostname: 'pc50', ports: [], services: [] }] });
+  await engine.discoverDevice(CORE, { community: 'public' });
+  await engine.discoverDevice(ACCESS, { community: 'public' });
+});
+
+describe('mapLayer2', () => {
+  test('links the switches port to port once, with both protocols, the native VLAN and the slower speed', () => {
+    const links = layer2Links().filter(link => link.type !== 'bridge');
+
+    expect(links).toHaveLength(1);
+    expect(links[0]).toMatchObject({
+      id: `${CORE}:Gi0/2-${ACCESS}:Gi1/0/48`,
+      source: CORE,
+      target: ACCESS,
+      protocols: ['LLDP', 'CDP'],
+      sourceInterface: { index: '2', name: 'Gi0/2', speed: 1000000000 },
+      targetInterface: { index: '48', name: 'Gi1/0/48', speed: 10000000000 },
+      nativeVlan: 10,
+      vlans: [10, 20],
+      speed: 1000000000
+    });
+  });
+
+  test('places the host on the access port that learned its MAC, not on the uplink', () => {
+    const bridgeLinks = layer2Links().filter(link => link.type === 'bridge');
+
+    expect(topology.getNode(HOST).mac).toBe(HOST_MAC);
+    expect(bridgeLinks).toHaveLength(1);
+    expect(bridgeLinks[0]).toMatchObject({
+      id: `${ACCESS}:Gi1/0/5-${HOST}`,
+      source: ACCESS,
+      target: HOST,
+      sourceInterface: { index: '5', name: 'Gi1/0/5', speed: 100000000 },
+      nativeVlan: 20,
+      vlans: [20],
+      speed: 100000000
+    });
+  });
+
+  test('keeps the same links when a switch is discovered again', async () => {
+    const before = layer2Links().map(link => link.id).sort();
+
+    await engine.discoverDevice(CORE, { community: 'public' });
+
+    expect(layer2Links().map(link => link.id).sort()).toEqual(before);
+  });
+});
+
+describe('setInterfaceState', () => {
+  const hostLink = `${ACCESS}:Gi1/0/5-${HOST}`;
+
+  test.each([
+    ['ifIndex', { ifIndex: 5 }],
+    ['ifDescr', { name: 'GigabitEthernet1/0/5' }],
+    ['ifName', { name: 'Gi1/0/5' }],
+    ['ifAlias', { name: 'PC50 desk' }]
+  ])('finds the interface by %s and takes its links down', (_form, change) => {
+    const changed = topology.setInterfaceState(ACCESS, { ...change, status: 'down', timestamp: 1000 });
+
+    expect(changed).toEqual([hostLink]);
+    expect(topology.getLink(hostLink)).toMatchObject({ status: 'down', statusChanged: 1000 });
+    expect(topology.getNode(ACCESS).interfaces.find(iface => iface.index === '5').operStatus).toBe('down');
+  });
+
+  test('link state survives a rebuild of the layer-2 links', () => {
+    const uplink = `${CORE}:Gi0/2-${ACCESS}:Gi1/0/48`;
+    expect(topology.setInterfaceState(ACCESS, { name: 'Gi1/0/48', status: 'down', timestamp: 2000 })).toEqual([uplink]);
+
+    topology.mapLayer2();
+
+    expect(topology.getLink(uplink)).toMatchObject({ status: 'down', statusChanged: 2000 });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * AsciicastRecorder events and secret masking
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { AsciicastRecorder, MASK } = require('../../src/backend/session-recorder.cjs');
+
+let tmpDir;
+
+// Stop a recording and parse the file it wrote
+const finish = async (recorder) => {
+  recorder.stop();
+  await once(recorder.stream, 'finish');
+  const [header, ...events] = fs.readFileSync(recorder.filePath, 'utf8').trimEnd().split('\n').map(line => JSON.parse(line));
+  return { header, events };
+};
+
+const record = (options = {}) => new AsciicastRecorder({ filePath: path.join(tmpDir, 'sessions', `${Date.now()}-${Math.random()}.cast`), ...options });
+
+// [code, data] of each event, without timestamps
+const events = (cast) => cast.events.map(([, code, data]) => [code, data]);
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-cast-'));
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('AsciicastRecorder', () => {
+  test('writes the v2 header with session metadata', async () => {
+    const recorder = record({ width: 132, height: 43, title: 'ssh sw1', metadata: { type: 'ssh', host: 'sw1', port: 22, username: 'admin' } });
+
+    const { header } = await finish(recorder);
+
+    expect(header).toEqual({
+      version: 2,
+      width: 132,
+      height: 43,
+      timestamp: Math.floor(recorder.startTime / 1000),
+      title: 'ssh sw1',
+      env: { TERM: 'xterm-256color' },
+      ntk: { type: 'ssh', host: 'sw1', port: 22, username: 'admin' }
+    });
+    if (process.platform !== 'win32') expect(fs.statSync(recorder.filePath).mode & 0o777).toBe(0o600);
+  });
+
+  test('records output, input, resize and marker events in order', async () => {
+    const recorder = record();
+    recorder.output('sw1>');
+    recorder.input('show clock\r');
+    recorder.resize(200, 50);
+    recorder.marker('after resize');
+    recorder.output('');
+
+    const cast = await finish(recorder);
+
+    expect(events(cast)).toEqual([['o', 'sw1>'], ['i', 'show clock\r'], ['r', '200x50'], ['m', 'after resize']]);
+    expect(cast.events.every(([time], index) => time >= 0 && (index === 0 || time >= cast.events[index - 1][0]))).toBe(true);
+    expect(recorder.width).toBe(200);
+  });
+
+  test('masks known secrets in output and input', async () => {
+    const recorder = record({ secrets: ['Summer2026!', 'abc', 'Summer2026!'] });
+    recorder.addSecret('s3cret-key');
+    recorder.output('enable secret Summer2026!\r\nusername ops password abc\r\n');
+    recorder.input('snmp-server community s3cret-key RO\r');
+
+    const cast = await finish(recorder);
+
+    expect(recorder.secrets).toEqual(['Summer2026!', 's3cret-key']);
+    expect(events(cast)).toEqual([
+      ['o', `enable secret ${MASK}\r\nusername ops password abc\r\n`],
+      ['i', `snmp-server community ${MASK} RO\r`]
+    ]);
+  });
+
+  test('swallows keystrokes typed at a password prompt until Enter', async () => {
+    const recorder = record();
+    recorder.output('sw1>');
+    recorder.input('enable\r');
+    recorder.output('\r\n\x1b[1mPassword:\x1b[0m ');
+    recorder.input('hun');
+    recorder.input('ter2');
+    recorder.input('\rshow ver');
+    recorder.output('\r\nsw1#');
+    recorder.input('sion\r');
+
+    const cast = await finish(recorder);
+
+    expect(events(cast).filter(([code]) => code === 'i')).toEqual([
+      ['i', 'enable\r'],
+      ['i', `${MASK}\r`],
+      ['i', 'show ver'],
+      ['i', 'sion\r']
+    ]);
+    expect(JSON.stringify(cast)).not.toContain('hunter2');
+  });
+
+  test('keeps masking while the device echoes asterisks', async () => {
+    const recorder = record();
+    recorder.output("admin@sw1's password: ");
+    recorder.input('h');
+    recorder.output('*');
+    recorder.input('unter2\n');
+
+    const cast = await finish(recorder);
+
+    expect(events(cast)).toEqual([['o', "admin@sw1's password: "], ['o', '*'], ['i', `${MASK}\n`]]);
+  });
+
+  test('records Ctrl+C at a password prompt without the typed text', async () => {
+    const recorder = record();
+    recorder.output('Enter passphrase for key: ');
+    recorder.input('hunt\x03');
+    recorder.output('^C\r\nsw1>');
+    recorder.input('exit\r');
+
+    const cast = await finish(recorder);
+
+    expect(events(cast).filter(([code]) => code === 'i')).toEqual([['i', '\x03'], ['i', 'exit\r']]);
+  });
+
+  test('records secret input as a mask with its line ending', async () => {
+    const recorder = record();
+    recorder.input('Summer2026!\r\n', { secret: true });
+    recorder.input('Summer2026!', { secret: true });
+
+    const cast = await finish(recorder);
+
+    expect(events(cast)).toEqual([['i', `${MASK}\r\n`], ['i', MASK]]);
+  });
+
+  test('stops writing after stop and summarizes the recording', async () => {
+    const recorder = record();
+    recorder.output('sw1>');
+    expect(recorder.summary).toMatchObject({ path: recorder.filePath, events: 1, active: true });
+
+    const summary = recorder.stop();
+    recorder.output('late');
+    const cast = await finish(recorder);
+
+    const header = fs.readFileSync(recorder.filePath, 'utf8').split('\n')[0];
+    expect(summary).toMatchObject({ events: 1, active: false });
+    expect(summary.bytes).toBe(fs.statSync(recorder.filePath).size - header.length - 1);
+    expect(events(cast)).toEqual([['o', 'sw1>']]);
+  });
+
+  test('requires a file path', () => {
+    expect(() => new AsciicastRecorder({ width: 80 })).toThrow('Recorder requires a file path');
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Capture (BPF) and display filter compilers on recorded captures, and their syntax errors
+ */
+
+const { compileCaptureFilter } = require('../../src/modules/ninjashark/backend/bpf-filter.cjs');
+const { compileDisplayFilter } = require('../../src/modules/ninjashark/backend/display-filter.cjs');
+const { fixturePackets } = require('./helpers/capture-fixtures.cjs');
+
+// Every recorded frame, tagged by fixture and frame number (dns1, http4, ...)
+const PACKETS = ['dns', 'http', 'tls', 'dhcp'].flatMap(name =>
+  fixturePackets(`${name}.pcapng`).map(packet => ({ ...packet, tag: `${name}${packet.id}` })));
+
+const frames = (name, numbers) => numbers.map(number => `${name}${number}`);
+const range = (name, first, last) => frames(name, Array.from({ length: last - first + 1 }, (_, i) => first + i));
+
+const captureMatches = (expression) => {
+  const filter = compileCaptureFilter(expression);
+  return PACKETS.filter(packet => filter.match(packet.hex, packet.linkType)).map(packet => packet.tag);
+};
+
+const displayMatches = (expression) => {
+  const filter = compileDisplayFilter(expression);
+  return PACKETS.filter(packet => filter.match(packet)).map(packet => packet.tag);
+};
+
+// The error a compiler throws, with the text its position and length point at
+const compileError = (compile, expression) => {
+  try {
+    compile(expression);
+  } catch (error) {
+    return {
+      message: error.message,
+      token: expression.substr(error.position, error.length),
+      position: error.position,
+      unsupported: !!error.unsupported
+    };
+  }
+  throw new Error(`'${expression}' compiled`);
+};
+
+describe('compileCaptureFilter', () => {
+  test.each([
+    ['udp port 53', frames('dns', [1, 2])],
+    ['port bootps or port bootpc', frames('dhcp', [1, 2])],
+    ['net 127.0.0.0/8 and port domain', frames('dns', [1, 2])],
+    ['tcp portrange 8000-8500', [...range('http', 1, 10), ...range('tls', 1, 13)]],
+    ['ip proto 17 and not port 53', frames('dhcp', [1, 2])],
+    ['greater 200 and udp', frames('dhcp', [1, 2])],
+    ['tcp[13] & 2 = 2', [...frames('http', [1, 2]), ...frames('tls', [1, 2])]],
+    ['tcp[tcpflags] & (tcp-syn|tcp-ack) == tcp-syn', ['http1', 'tls1']],
+    ['tcp port 8080 and tcp[tcpflags] & tcp-syn != 0', frames('http', [1, 2])],
+    ['ip6', []]
+  ])('%s', (expression, expected) => {
+    expect(captureMatches(expression)).toEqual(expected);
+  });
+
+  test('and/or have equal precedence and associate left, as in libpcap', () => {
+    // (tcp or udp) and port 53
+    expect(captureMatches('tcp or udp and port 53')).toEqual(frames('dns', [1, 2]));
+    expect(captureMatches('not tcp and udp')).toEqual([...frames('dns', [1, 2]), ...frames('dhcp', [1, 2])]);
+  });
+
+  test('an empty filter matches everything', () => {
+    expect(captureMatches('')).toHaveLength(PACKETS.length);
+  });
+
+  test.each([
+    ['udp port 70000', 'Port 70000 out of range (0-65535)', '70000'],
+    ['tcp port 8080 and host 10.0.0.300', "'10.0.0.300' is not a valid IPv4 address", '10.0.0.300'],
+    ['net 10.0.0.1/8', "Network '10.0.0.1/8' has host bits set for its mask", '10.0.0.1/8'],
+    ['vlan 5000', 'VLAN ID 5000 out of range (0-4095)', '5000'],
+    ['icmp port 80', "'icmp' has no ports", 'icmp'],
+    ['tcp[13:3] = 1', 'Load size must be 1, 2 or 4', '3'],
+    ['port 80 $ 3', "Unexpected character '$'", '$']
+  ])('%s points at the bad token', (expression, message, token) => {
+    expect(compileError(compileCaptureFilter, expression)).toEqual({ message, token, position: expression.lastIndexOf(token), unsupported: false });
+  });
+
+  test('points past the end when the filter stops early', () => {
+    expect(compileError(compileCaptureFilter, 'host 10.0.0.1 or')).toMatchObject({
+      message: 'Unexpected end of filter - expected a primitive',
+      position: 16
+    });
+    expect(compileError(compileCaptureFilter, 'tcp and (port 80')).toMatchObject({ message: "Missing ')'", position: 16 });
+  });
+
+  test('marks libpcap-only constructs as unsupported rather than invalid', () => {
+    expect(compileError(compileCaptureFilter, 'gateway router1')).toMatchObject({ token: 'gateway', position: 0, unsupported: true });
+    expect(compileError(compileCaptureFilter, 'tcp dst port http-alt')).toMatchObject({
+      message: "Service 'http-alt' is left to libpcap and cannot be resolved here",
+      token: 'http-alt',
+      unsupported: true
+    });
+  });
+});
+
+describe('compileDisplayFilter', () => {
+  test.each([
+    ['udp.port == 53', frames('dns', [1, 2])],
+    ['udp.port != 53', frames('dhcp', [1, 2])],
+    ['tcp.port in {8000..8100}', range('http', 1, 10)],
+    ['udp.port in {67..68} && !dns', frames('dhcp', [1, 2])],
+    ['tcp.flags.syn == 1 && tcp.flags.ack == 0', ['http1', 'tls1']],
+    ['tcp.port == 8443 and tcp.len > 0', frames('tls', [4, 6, 8, 9, 10])],
+    ['ip.src == 127.0.0.0/8 && udp', [...frames('dns', [1, 2]), ...frames('dhcp', [1, 2])]],
+    ['ip.addr eq 127.0.0.1 and dhcp', frames('dhcp', [1, 2])],
+    ['http contains "GET"', ['http4']],
+    ['frame matches "intranet"', frames('http', [4, 6])],
+    ['dns.qry.name matches "EXAMPLE\\.NET$"', frames('dns', [1, 2])],
+    ['frame.len > 1000 || tcp.flags.fin == 1', [...frames('http', [8, 9]), ...frames('tls', [11, 12])]]
+  ])('%s', (expression, expected) => {
+    expect(displayMatches(expression)).toEqual(expected);
+  });
+
+  test('follows Wireshark semantics for multi-valued fields', () => {
+    // Both ends are 127.0.0.1, so no packet has an ip.addr other than it
+    expect(displayMatches('ip.addr != 127.0.0.1')).toEqual([]);
+    // Every DHCP frame carries both 67 and 68, so exactly one never holds
+    expect(displayMatches('udp.port == 67 ^^ udp.port == 68')).toEqual([]);
+    // A bare field tests presence: the SYN still has an ACK flag field
+    expect(displayMatches('tcp.flags.syn == 1 && !tcp.flags.ack')).toEqual([]);
+  });
+
+  test.each([
+    ['ip.src == 10.0.0', "'10.0.0' is not a valid IPv4 address or CIDR block", '10.0.0'],
+    ['foo.bar == 1', "'foo.bar' is neither a field nor a protocol name", 'foo.bar'],
+    ['tcp.port > "x"', "'x' is not a valid number for 'tcp.port'", '"x"'],
+    ['eth.addr == zz:11', "'zz:11' is not a valid MAC address", 'zz:11'],
+    ['ip.src = 1.2.3.4', "Unexpected character '='", '='],
+    ['http.host contains 5', "Expected a quoted string or hex bytes (de:ad:be:ef) after 'contains'", '5'],
+    ['tcp.port in {}', 'Set must contain at least one value', '}'],
+    ['"abc', 'Unterminated string', '"abc']
+  ])('%s points at the bad token', (expression, message, token) => {
+    expect(compileError(compileDisplayFilter, expression)).toEqual({ message, token, position: expression.lastIndexOf(token), unsupported: false });
+  });
+
+  test('points at the pattern of an invalid regular expression', () => {
+    expect(compileError(compileDisplayFilter, 'frame matches "("')).toMatchObject({
+      message: expect.stringMatching(/^Invalid regular expression: /),
+      token: '"("'
+    });
+  });
+
+  test('points past the end when the filter stops early', () => {
+    expect(compileError(compileDisplayFilter, 'tcp.port == 80 &&')).toMatchObject({
+      message: 'Unexpected end of filter - expected a field or protocol',
+      position: 17
+    });
+    expect(compileError(compileDisplayFilter, 'tcp.port in {80 443')).toMatchObject({ message: "Missing '}'", position: 19 });
+  });
+});
+
+describe('CaptureEngine filter validation', () => {
+  let engine;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // Loaded here so the missing-libpcap warning is silenced
+    const { CaptureEngine } = require('../../src/modules/ninjashark/backend/capture-engine.cjs');
+    engine = new CaptureEngine();
+  });
+
+  afterAll(() => {
+    engine.destroy();
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('reports the position and length of a capture filter error', () => {
+    expect(engine.validateFilter('tcp port 8080 and host 10.0.0.300')).toEqual({
+      valid: false,
+      error: "'10.0.0.300' is not a valid IPv4 address",
+      position: 23,
+      length: 10
+    });
+    expect(engine.validateFilter('  ')).toEqual({ valid: true, error: null });
+  });
+
+  test('accepts libpcap-only capture filters with a warning', () => {
+    expect(engine.validateFilter('tcp and gateway router1')).toEqual({
+      valid: true,
+      error: null,
+      warning: "'gateway' is left to libpcap and cannot be evaluated here",
+      position: 8,
+      length: 7
+    });
+  });
+
+  test('reports the position and length of a display filter error', () => {
+    expect(engine.validateDisplayFilter('dns && foo.bar == 1')).toEqual({
+      valid: false,
+      error: "'foo.bar' is neither a field nor a protocol name",
+      position: 7,
+      length: 7
+    });
+    expect(engine.validateDisplayFilter('tcp.port in {80 443}')).toEqual({ valid: true, error: null });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Capture files under ../fixtures, recorded on the loopback interface while a
+ * local client and server ran one exchange each:
+ * - dns.pcapng: A query for www.example.net, answered with a CNAME and an A record
+ * - http.pcapng: GET /status?check=1 to intranet.example.net on port 8080 and its response
+ * - tls.pcapng: OpenSSL 3.0 s_client to secure.example.net (SNI, ALPN h2/http/1.1)
+ *   against a TLS 1.2 server on port 8443
+ * - dhcp.pcapng: DHCP Discover and Offer between ports 68 and 67
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CaptureFileReader } = require('../../../src/modules/ninjashark/backend/pcap-file.cjs');
+const { decodeFrame } = require('../../../src/modules/ninjashark/backend/packet-fields.cjs');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+const fixturePath = (name) => path.join(FIXTURES, name);
+
+const readFixture = (name) => new CaptureFileReader().parse(fs.readFileSync(fixturePath(name)));
+
+/**
+ * A fixture's records as the packet objects CaptureEngine stores
+ */
+const fixturePackets = (name) => readFixture(name).records.map((record, index) => ({
+  id: index + 1,
+  timestamp: record.timestamp,
+  length: record.originalLength,
+  linkType: record.linkType,
+  hex: record.data
+}));
+
+/**
+ * Transport header and payload of a captured frame
+ */
+const transportPayload = (frame, linkType = 1) => {
+  const { transport } = decodeFrame(frame, linkType);
+  return { transport, payload: frame.subarray(transport.payloadOffset, transport.payloadEnd) };
+};
+
+module.exports = { fixturePath, readFixture, fixturePackets, transportPayload };
@@ -0,0 +1,176 @@
+/**
+ * PacketRingBuffer eviction, disk spill and paged queries
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PacketRingBuffer } = require('../../src/modules/ninjashark/backend/packet-ring-buffer.cjs');
+const { fixturePackets, fixturePath } = require('./helpers/capture-fixtures.cjs');
+
+// One round of recorded frames: dns 1-2, http 3-12, tls 13-25, dhcp 26-27
+const ROUND = ['dns', 'http', 'tls', 'dhcp'].flatMap(name => fixturePackets(`${name}.pcapng`));
+
+// Packets as CaptureEngine numbers them, 10ms apart from t=1000
+const packets = (count, firstId = 1) => Array.from({ length: count }, (_, i) => ({
+  ...ROUND[(firstId + i - 1) % ROUND.length],
+  id: firstId + i,
+  timestamp: 1000 + (firstId + i) * 10
+}));
+
+const filled = (options, count = 81) => {
+  const buffer = new PacketRingBuffer(options);
+  packets(count).forEach(packet => buffer.push(packet));
+  return buffer;
+};
+
+const ids = result => result.packets.map(packet => packet.id);
+
+let tmpDir;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-ring-'));
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('without spill', () => {
+  test('drops the oldest packets once the capacity is reached', async () => {
+    const buffer = filled({ capacity: 10 });
+
+    expect(buffer.stats()).toMatchObject({ inMemory: 10, dropped: 71, spilled: 0, available: 10, firstId: 72, lastId: 81 });
+    const result = await buffer.query({ limit: 4, offset: 8 });
+    expect(result).toMatchObject({ total: 10, firstId: 72, lastId: 81 });
+    expect(ids(result)).toEqual([80, 81]);
+    expect((await buffer.getByIds([1, 75, 200])).map(packet => packet.id)).toEqual([75]);
+  });
+
+  test('drops the oldest packets once the byte budget is reached', () => {
+    const buffer = new PacketRingBuffer({ capacity: 100, maxBytes: 3 * (256 + 100) });
+    for (let id = 1; id <= 5; id++) {
+      buffer.push({ id, timestamp: id, hex: Buffer.alloc(100) });
+    }
+
+    expect(buffer.stats()).toMatchObject({ inMemory: 3, bytesInMemory: 3 * 356, dropped: 2, firstId: 3 });
+  });
+
+  test('forgets cached filter matches that have been dropped', async () => {
+    const buffer = new PacketRingBuffer({ capacity: 30 });
+    packets(27).forEach(packet => buffer.push(packet));
+    expect(ids(await buffer.query({ filter: 'dns' }))).toEqual([1, 2]);
+
+    packets(54, 28).forEach(packet => buffer.push(packet));
+
+    const result = await buffer.query({ filter: 'dns' });
+    expect(result.total).toBe(2);
+    expect(ids(result)).toEqual([55, 56]);
+  });
+});
+
+describe('with spill', () => {
+  let buffer;
+  let spillPath;
+
+  beforeEach(() => {
+    spillPath = path.join(tmpDir, 'session', 'capture.ndjson');
+    buffer = filled({ capacity: 10, spillPath });
+  });
+
+  afterEach(() => {
+    buffer.destroy();
+  });
+
+  test('keeps evicted packets queryable from the spill file', async () => {
+    expect(buffer.stats()).toMatchObject({ inMemory: 10, spilled: 71, dropped: 0, available: 81, firstId: 1, lastId: 81 });
+    expect(fs.statSync(spillPath).size).toBe(buffer.stats().spillBytes);
+
+    const result = await buffer.query({ offset: 65, limit: 10 });
+
+    expect(result.total).toBe(81);
+    expect(ids(result)).toEqual([66, 67, 68, 69, 70, 71, 72, 73, 74, 75]);
+    const expected = packets(81);
+    result.packets.forEach(packet => {
+      expect(Buffer.isBuffer(packet.hex)).toBe(true);
+      expect(packet.hex.equals(expected[packet.id - 1].hex)).toBe(true);
+      expect(packet.timestamp).toBe(expected[packet.id - 1].timestamp);
+    });
+  });
+
+  test('pages through a time window that starts in the spill file', async () => {
+    const result = await buffer.query({ from: 1200, to: 1250, offset: 2, limit: 2 });
+
+    expect(result.total).toBe(6);
+    expect(ids(result)).toEqual([22, 23]);
+    expect(ids(await buffer.query({ from: 1795, to: 1805 }))).toEqual([80]);
+    expect(ids(await buffer.query({ from: 2000 }))).toEqual([]);
+  });
+
+  test('pages through display filter matches in the spill file and in memory', async () => {
+    const result = await buffer.query({ filter: 'dns', offset: 2, limit: 3 });
+
+    expect(result.total).toBe(6);
+    expect(ids(result)).toEqual([28, 29, 55]);
+    expect(ids(await buffer.query({ filter: 'dns', startId: 20, endId: 56 }))).toEqual([28, 29, 55, 56]);
+    expect(ids(await buffer.query({ filter: 'dhcp', from: 1700 }))).toEqual([80, 81]);
+  });
+
+  test('scans only the packets pushed since the last filtered query', async () => {
+    expect((await buffer.query({ filter: 'dhcp' })).total).toBe(6);
+
+    packets(27, 82).forEach(packet => buffer.push(packet));
+
+    const result = await buffer.query({ filter: 'dhcp', offset: 6 });
+    expect(ids(result)).toEqual([107, 108]);
+    expect(result.total).toBe(8);
+    expect(buffer.filterCache.get('dhcp').scannedThrough).toBe(108);
+  });
+
+  test('returns spilled and in-memory packets by ID in the requested order', async () => {
+    const found = await buffer.getByIds([80, 3, 999, 41]);
+    expect(found.map(packet => packet.id)).toEqual([80, 3, 41]);
+  });
+
+  test('deletes the spill file on destroy', () => {
+    buffer.destroy();
+    expect(fs.existsSync(spillPath)).toBe(false);
+  });
+});
+
+describe('CaptureEngine paging', () => {
+  let CaptureEngine;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // Loaded here so the missing-libpcap warning is silenced
+    ({ CaptureEngine } = require('../../src/modules/ninjashark/backend/capture-engine.cjs'));
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('spills an opened capture beyond its buffer and reads it back page by page', async () => {
+    const engine = new CaptureEngine({ spillDir: tmpDir });
+    const { session } = await engine.openCaptureFile(fixturePath('tls.pcapng'), null, { bufferPackets: 5, spillToDisk: true });
+    const spillPath = engine.packetBuffers.get(session.id).spillPath;
+
+    const page = await engine.queryPackets(session.id, { offset: 3, limit: 4 });
+    const source = await engine.packetSource(session.id, { filter: 'tcp.len > 0' }, 2);
+    const streamed = [];
+    for await (const packet of source) streamed.push(packet.id);
+
+    expect(engine.packetBuffers.get(session.id).stats()).toMatchObject({ inMemory: 5, spilled: 8 });
+    expect(page).toMatchObject({ sessionId: session.id, total: 13, firstId: 1, lastId: 13 });
+    expect(ids(page)).toEqual([4, 5, 6, 7]);
+    expect(source.total).toBe(5);
+    expect(streamed).toEqual([4, 6, 8, 9, 10]);
+
+    engine.closeSession(session.id);
+    expect(fs.existsSync(spillPath)).toBe(false);
+    engine.destroy();
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * PCAPNG writer/reader round trip and classic PCAP reading
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PcapngWriter, CaptureFileReader, LINKTYPE } = require('../../src/modules/ninjashark/backend/pcap-file.cjs');
+const { readFixture, fixturePath } = require('./helpers/capture-fixtures.cjs');
+
+const reader = new CaptureFileReader();
+
+// Classic libpcap file: global header and one record per frame
+const pcapFile = (records, { bigEndian = false, nano = false, linkType = LINKTYPE.ETHERNET } = {}) => {
+  const u16 = (buffer, value, offset) => (bigEndian ? buffer.writeUInt16BE(value, offset) : buffer.writeUInt16LE(value, offset));
+  const u32 = (buffer, value, offset) => (bigEndian ? buffer.writeUInt32BE(value, offset) : buffer.writeUInt32LE(value, offset));
+  const unitsPerMs = nano ? 1000000 : 1000;
+
+  const header = Buffer.alloc(24);
+  u32(header, nano ? 0xa1b23c4d : 0xa1b2c3d4, 0);
+  u16(header, 2, 4);
+  u16(header, 4, 6);
+  u32(header, 65535, 16);
+  u32(header, linkType, 20);
+
+  const blocks = [header];
+  for (const record of records) {
+    const seconds = Math.floor(record.timestamp / 1000);
+    const recordHeader = Buffer.alloc(16);
+    u32(recordHeader, seconds, 0);
+    u32(recordHeader, Math.round((record.timestamp - seconds * 1000) * unitsPerMs), 4);
+    u32(recordHeader, record.data.length, 8);
+    u32(recordHeader, record.originalLength, 12);
+    blocks.push(recordHeader, record.data);
+  }
+  return Buffer.concat(blocks);
+};
+
+const frame = (size, seed) => Buffer.from(Array.from({ length: size }, (_, i) => (i * 7 + seed) & 0xff));
+
+describe('PcapngWriter and CaptureFileReader', () => {
+  test('round-trips packets, timestamps and interfaces', () => {
+    const packets = [
+      { interface: 'eth0', linkType: LINKTYPE.ETHERNET, timestamp: 1760879655123.456, hex: frame(60, 1), length: 60 },
+      { interface: 'eth0', linkType: LINKTYPE.ETHERNET, timestamp: 1760879655124, hex: frame(61, 2), length: 1514 },
+      { interface: 'lo', linkType: LINKTYPE.NULL, timestamp: 1760879656000.001, hex: frame(3, 3), length: 3 }
+    ];
+
+    const capture = reader.parse(new PcapngWriter().encode(packets));
+
+    expect(capture).toMatchObject({ format: 'pcapng', truncated: false });
+    expect(capture.interfaces.map(({ id, name, linkType, unitsPerSecond }) => ({ id, name, linkType, unitsPerSecond }))).toEqual([
+      { id: 0, name: 'eth0', linkType: LINKTYPE.ETHERNET, unitsPerSecond: 1000000 },
+      { id: 1, name: 'lo', linkType: LINKTYPE.NULL, unitsPerSecond: 1000000 }
+    ]);
+    expect(capture.records.map(record => record.interfaceId)).toEqual([0, 0, 1]);
+    capture.records.forEach((record, index) => {
+      expect(record.data.equals(packets[index].hex)).toBe(true);
+      expect(record.originalLength).toBe(packets[index].length);
+      expect(record.timestamp).toBeCloseTo(packets[index].timestamp, 3);
+    });
+  });
+
+  test('pads every block to 32 bits and repeats the block length at the end', () => {
+    const writer = new PcapngWriter();
+    const file = Buffer.concat([writer.sectionHeader(), writer.encodePacket({ interface: 'eth0', timestamp: 1, hex: frame(61, 0) })]);
+
+    let offset = 0;
+    const lengths = [];
+    while (offset < file.length) {
+      const length = file.readUInt32LE(offset + 4);
+      expect(length % 4).toBe(0);
+      expect(file.readUInt32LE(offset + length - 4)).toBe(length);
+      lengths.push(length);
+      offset += length;
+    }
+    expect(offset).toBe(file.length);
+    expect(lengths).toHaveLength(3); // SHB, IDB, EPB
+  });
+
+  test('reads a recorded capture', () => {
+    const capture = readFixture('http.pcapng');
+
+    expect(capture.format).toBe('pcapng');
+    expect(capture.interfaces).toEqual([expect.objectContaining({ name: 'lo', linkType: LINKTYPE.ETHERNET })]);
+    expect(capture.records).toHaveLength(10);
+    const times = capture.records.map(record => record.timestamp);
+    expect(times).toEqual([...times].sort((a, b) => a - b));
+    expect(times[9] - times[0]).toBeLessThan(1000);
+  });
+
+  test('keeps the complete blocks of a truncated file', () => {
+    const file = fs.readFileSync(fixturePath('http.pcapng'));
+
+    const capture = reader.parse(file.subarray(0, file.length - 30));
+
+    expect(capture.truncated).toBe(true);
+    expect(capture.records).toHaveLength(9);
+  });
+
+  test('rejects files that are not captures', () => {
+    expect(() => reader.parse(Buffer.from('GIF89a'))).toThrow('Unrecognized capture file format (expected PCAPNG or PCAP)');
+    expect(() => reader.parse(Buffer.from([0x0a, 0x0d]))).toThrow('File is too small to be a capture file');
+  });
+});
+
+describe('classic PCAP', () => {
+  const { records } = readFixture('dns.pcapng');
+
+  test.each([
+    ['little-endian microsecond', {}],
+    ['big-endian microsecond', { bigEndian: true }],
+    ['little-endian nanosecond', { nano: true }],
+    ['big-endian nanosecond', { bigEndian: true, nano: true }]
+  ])('reads %s files', (_variant, options) => {
+    const capture = reader.parse(pcapFile(records, options));
+
+    expect(capture).toMatchObject({ format: 'pcap', truncated: false });
+    expect(capture.interfaces[0]).toMatchObject({
+      linkType: LINKTYPE.ETHERNET,
+      snaplen: 65535,
+      unitsPerSecond: options.nano ? 1e9 : 1e6,
+      version: '2.4'
+    });
+    expect(capture.records).toHaveLength(records.length);
+    capture.records.forEach((record, index) => {
+      expect(record.data.equals(records[index].data)).toBe(true);
+      expect(record.timestamp).toBeCloseTo(records[index].timestamp, 3);
+    });
+  });
+
+  test('masks the FCS bits out of the link type', () => {
+    const capture = reader.parse(pcapFile(records, { linkType: 0x10000000 | LINKTYPE.ETHERNET }));
+    expect(capture.interfaces[0].linkType).toBe(LINKTYPE.ETHERNET);
+  });
+
+  test('stops at a record cut short', () => {
+    const file = pcapFile(records);
+
+    expect(reader.parse(file.subarray(0, file.length - 1))).toMatchObject({ truncated: true, records: [expect.anything()] });
+    expect(reader.parse(file.subarray(0, 24 + 16 + records[0].data.length + 8))).toMatchObject({ truncated: true, records: [expect.anything()] });
+    expect(() => reader.parse(file.subarray(0, 20))).toThrow('PCAP global header is truncated');
+  });
+
+  describe('CaptureEngine.openCaptureFile', () => {
+    let CaptureEngine;
+    let tmpDir;
+
+    beforeAll(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      ({ CaptureEngine } = require('../../src/modules/ninjashark/backend/capture-engine.cjs'));
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-pcap-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      console.log.mockRestore();
+      console.warn.mockRestore();
+    });
+
+    test('opens a PCAP file with its original timestamps and lengths', async () => {
+      const filepath = path.join(tmpDir, 'dns.pcap');
+      fs.writeFileSync(filepath, pcapFile(records));
+      const engine = new CaptureEngine();
+
+      const { session } = await engine.openCaptureFile(filepath);
+      const packets = await engine.getPackets(session.id);
+
+      expect(session).toMatchObject({ format: 'pcap', packetCount: 2, interface: 'dns.pcap', truncated: false });
+      expect(packets.map(packet => packet.protocol)).toEqual(['DNS', 'DNS']);
+      expect(packets[0].timestamp).toBeCloseTo(records[0].timestamp, 3);
+      expect(session.startTime).toBe(packets[0].timestamp);
+      engine.destroy();
+    });
+  });
+});
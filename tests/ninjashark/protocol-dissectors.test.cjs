@@ -0,0 +1,223 @@
+/**
+ * DNS, HTTP, TLS and DHCP dissectors on recorded captures, and their fields in display filters
+ */
+
+const crypto = require('crypto');
+const { dissectApplication } = require('../../src/modules/ninjashark/backend/protocol-dissectors.cjs');
+const { extractFields, parseIPv4 } = require('../../src/modules/ninjashark/backend/packet-fields.cjs');
+const { compileDisplayFilter } = require('../../src/modules/ninjashark/backend/display-filter.cjs');
+const { readFixture, fixturePackets, fixturePath, transportPayload } = require('./helpers/capture-fixtures.cjs');
+
+const JA3_FULL = '771,4866-4867-4865-49196-49200-159-52393-52392-52394-49195-49199-158-49188-49192-107-49187-49191-103-49162-49172-57-49161-49171-51-157-156-61-60-53-47-255,0-11-10-35-16-22-23-13-43-45-51,29-23-30-25-24-256-257-258-259-260,0-1-2';
+
+// Dissection of the nth frame (1-based, like frame.number) of a fixture
+const dissect = (name, number) => {
+  const { transport, payload } = transportPayload(readFixture(name).records[number - 1].data);
+  return dissectApplication(transport, payload);
+};
+
+const fieldValues = (app, name) => app.fields.filter(([field]) => field === name).map(([, value]) => value);
+
+const child = (layer, name) => layer.children.find(entry => entry.name === name);
+
+describe('DNS', () => {
+  test('dissects the query', () => {
+    const query = dissect('dns.pcapng', 1);
+
+    expect(query.info).toBe('Standard query 0x6e88 A www.example.net');
+    expect(child(query.layer, 'Queries').fields).toEqual([{ name: 'www.example.net', value: 'type A, class 1' }]);
+    expect(fieldValues(query, 'dns.flags.response')).toEqual([0]);
+  });
+
+  test('follows name compression through the CNAME to the A record', () => {
+    const response = dissect('dns.pcapng', 2);
+
+    expect(response.info).toBe('Standard query response 0x6e88 A www.example.net CNAME web.example.net A 93.184.216.34');
+    expect(response.layer.fields).toEqual(expect.arrayContaining([
+      { name: 'Transaction ID', value: '0x6e88' },
+      { name: 'Flags', value: '0x8180 Standard query response' },
+      { name: 'Reply code', value: 'No error' },
+      { name: 'Answer RRs', value: '2' }
+    ]));
+    expect(child(response.layer, 'Answers').fields).toEqual([
+      { name: 'www.example.net', value: 'type CNAME, class 1, ttl 300, web.example.net' },
+      { name: 'web.example.net', value: 'type A, class 1, ttl 60, 93.184.216.34' }
+    ]);
+    expect(fieldValues(response, 'dns.resp.name')).toEqual(['www.example.net', 'web.example.net']);
+    expect(fieldValues(response, 'dns.cname')).toEqual(['web.example.net']);
+    expect(fieldValues(response, 'dns.a')).toEqual([parseIPv4('93.184.216.34')]);
+  });
+});
+
+describe('HTTP', () => {
+  test('dissects the request line and headers', () => {
+    const request = dissect('http.pcapng', 4);
+
+    expect(request.info).toBe('GET /status?check=1 HTTP/1.1');
+    expect(request.layer.fields).toEqual([
+      { name: 'Request Method', value: 'GET' },
+      { name: 'Request URI', value: '/status?check=1' },
+      { name: 'Request Version', value: 'HTTP/1.1' }
+    ]);
+    expect(child(request.layer, 'Headers').fields).toEqual([
+      { name: 'Host', value: 'intranet.example.net' },
+      { name: 'User-Agent', value: 'ntk-fixture/1.0' },
+      { name: 'Connection', value: 'close' }
+    ]);
+    expect(fieldValues(request, 'http.host')).toEqual(['intranet.example.net']);
+    expect(fieldValues(request, 'http.user_agent')).toEqual(['ntk-fixture/1.0']);
+  });
+
+  test('dissects the status line and headers of the response', () => {
+    const response = dissect('http.pcapng', 6);
+
+    expect(response.info).toBe('HTTP/1.1 200 OK');
+    expect(fieldValues(response, 'http.response.code')).toEqual([200]);
+    expect(fieldValues(response, 'http.server')).toEqual(['ntk-fixture/1.0']);
+    expect(fieldValues(response, 'http.content_type')).toEqual(['text/plain']);
+    expect(response.layer.fields).not.toContainEqual(expect.objectContaining({ name: 'Note' }));
+  });
+
+  test('leaves the handshake and bare ACKs undissected', () => {
+    expect(dissect('http.pcapng', 1)).toBeNull();
+    expect(dissect('http.pcapng', 5)).toBeNull();
+  });
+});
+
+describe('TLS', () => {
+  test('dissects the ClientHello with SNI, ALPN and supported versions', () => {
+    const hello = dissect('tls.pcapng', 4);
+    const [record] = hello.layer.children;
+
+    expect(hello.info).toBe('Client Hello (SNI=secure.example.net)');
+    expect(record.name).toBe('TLS Record: Handshake');
+    expect(record.children[0].name).toBe('Handshake Protocol: Client Hello');
+    expect(record.children[0].fields).toEqual(expect.arrayContaining([
+      { name: 'Version', value: 'TLS 1.2' },
+      { name: 'Cipher Suites', value: '31 suites' },
+      { name: 'Server Name', value: 'secure.example.net' },
+      { name: 'ALPN', value: 'h2, http/1.1' },
+      { name: 'Supported Versions', value: 'TLS 1.3, TLS 1.2, TLS 1.1, TLS 1.0' }
+    ]));
+    expect(fieldValues(hello, 'tls.handshake.extensions_server_name')).toEqual(['secure.example.net']);
+    expect(fieldValues(hello, 'tls.handshake.extensions_alpn_str')).toEqual(['h2', 'http/1.1']);
+  });
+
+  test('computes the JA3 string and hash of the ClientHello', () => {
+    const hello = dissect('tls.pcapng', 4);
+    const ja3 = crypto.createHash('md5').update(JA3_FULL).digest('hex');
+
+    expect(fieldValues(hello, 'tls.handshake.ja3_full')).toEqual([JA3_FULL]);
+    expect(fieldValues(hello, 'tls.handshake.ja3')).toEqual([ja3]);
+    expect(ja3).toBe('5a1edc7f170af1014fc65c994878e63c');
+    expect(hello.layer.children[0].children[0].fields).toContainEqual({ name: 'JA3', value: ja3 });
+  });
+
+  test('computes JA3S and lists every handshake message of the server flight', () => {
+    const flight = dissect('tls.pcapng', 6);
+
+    expect(flight.info).toBe('Server Hello, Certificate, Server Key Exchange, Server Hello Done');
+    expect(fieldValues(flight, 'tls.handshake.type')).toEqual([2, 11, 12, 14]);
+    expect(fieldValues(flight, 'tls.handshake.ja3s_full')).toEqual(['771,49195,65281-11-35-16-23']);
+    expect(fieldValues(flight, 'tls.handshake.ja3s')).toEqual(['afbc203706421f15554867b55caf16d6']);
+    expect(fieldValues(flight, 'tls.handshake.extensions_alpn_str')).toEqual(['h2']);
+  });
+
+  test('reports the encrypted records after the handshake', () => {
+    expect(dissect('tls.pcapng', 8).info).toBe('Client Key Exchange, Change Cipher Spec, Encrypted Handshake Message');
+    expect(dissect('tls.pcapng', 10).info).toBe('Alert');
+  });
+});
+
+describe('DHCP', () => {
+  test('dissects the Discover options', () => {
+    const discover = dissect('dhcp.pcapng', 1);
+
+    expect(discover.info).toBe('DHCP Discover - Transaction ID 0x3903f326');
+    expect(fieldValues(discover, 'dhcp.option.hostname')).toEqual(['lab-pc']);
+    expect(fieldValues(discover, 'dhcp.option.vendor_class_id')).toEqual(['MSFT 5.0']);
+    expect(fieldValues(discover, 'dhcp.hw.mac_addr')).toEqual(['00:0c:29:3a:5b:7c']);
+  });
+
+  test('dissects the Offer header and lease options', () => {
+    const offer = dissect('dhcp.pcapng', 2);
+
+    expect(offer.info).toBe('DHCP Offer - Transaction ID 0x3903f326');
+    expect(offer.layer.fields).toEqual(expect.arrayContaining([
+      { name: 'Message type', value: 'Boot Reply (2)' },
+      { name: 'Your (client) IP address', value: '192.168.10.57' },
+      { name: 'Client MAC address', value: '00:0c:29:3a:5b:7c' }
+    ]));
+    expect(child(offer.layer, 'Options').fields).toEqual([
+      { name: 'Option (53) DHCP Message Type', value: 'Offer (2)' },
+      { name: 'Option (54) DHCP Server Identifier', value: '192.168.10.1' },
+      { name: 'Option (51) IP Address Lease Time', value: '86400s' },
+      { name: 'Option (58) Renewal Time Value', value: '43200s' },
+      { name: 'Option (59) Rebinding Time Value', value: '75600s' },
+      { name: 'Option (1) Subnet Mask', value: '255.255.255.0' },
+      { name: 'Option (3) Router', value: '192.168.10.1' },
+      { name: 'Option (6) Domain Name Server', value: '192.168.10.1, 8.8.8.8' },
+      { name: 'Option (15) Domain Name', value: 'lab.example.net' }
+    ]);
+  });
+});
+
+describe('display filter fields', () => {
+  const matching = (name, expression) => {
+    const filter = compileDisplayFilter(expression);
+    return fixturePackets(name).filter(packet => filter.match(packet)).map(packet => packet.id);
+  };
+
+  test('dns.qry.name matches the query and the response', () => {
+    expect(matching('dns.pcapng', 'dns.qry.name == "www.example.net"')).toEqual([1, 2]);
+    expect(matching('dns.pcapng', 'dns.qry.name == "web.example.net"')).toEqual([]);
+    expect(matching('dns.pcapng', 'dns.a == 93.184.216.34')).toEqual([2]);
+  });
+
+  test('http.host matches the request only', () => {
+    expect(matching('http.pcapng', 'http.host == "intranet.example.net"')).toEqual([4]);
+    expect(matching('http.pcapng', 'http.host contains "intranet" && tcp.dstport == 8080')).toEqual([4]);
+    expect(matching('http.pcapng', 'http.response.code == 200')).toEqual([6]);
+  });
+
+  test('tls.handshake.extensions_server_name matches the ClientHello', () => {
+    expect(matching('tls.pcapng', 'tls.handshake.extensions_server_name == "secure.example.net"')).toEqual([4]);
+    expect(matching('tls.pcapng', 'tls.handshake.ja3 == "5a1edc7f170af1014fc65c994878e63c"')).toEqual([4]);
+    expect(matching('tls.pcapng', 'tls')).toEqual([4, 6, 8, 9, 10]);
+  });
+
+  test('frame.protocols names the application layer', () => {
+    const [, response] = fixturePackets('dns.pcapng');
+    expect(extractFields(response).get('frame.protocols')).toEqual(['frame:eth:ip:udp:dns']);
+  });
+});
+
+describe('CaptureEngine.openCaptureFile', () => {
+  let CaptureEngine;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // Loaded here so the missing-libpcap warning is silenced
+    ({ CaptureEngine } = require('../../src/modules/ninjashark/backend/capture-engine.cjs'));
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('shows the application protocol and layer for each dissected packet', async () => {
+    const engine = new CaptureEngine();
+    const { session } = await engine.openCaptureFile(fixturePath('dhcp.pcapng'));
+
+    const packets = await engine.getPackets(session.id, 'dhcp.option.dhcp == 2');
+
+    expect(packets).toHaveLength(1);
+    expect(packets[0]).toMatchObject({ id: 2, protocol: 'DHCP', transport: 'UDP', info: 'DHCP Offer - Transaction ID 0x3903f326' });
+    expect(packets[0].layers.map(layer => layer.name)).toEqual([
+      'Ethernet II', 'Internet Protocol Version 4', 'User Datagram Protocol', 'Dynamic Host Configuration Protocol'
+    ]);
+    engine.destroy();
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * StreamTracker TCP reassembly, follow-stream and conversations
+ */
+
+const { StreamTracker } = require('../../src/modules/ninjashark/backend/stream-tracker.cjs');
+const { fixturePackets, fixturePath } = require('./helpers/capture-fixtures.cjs');
+
+const CLIENT = { address: '192.168.1.10', port: 50000 };
+const SERVER = { address: '192.168.1.20', port: 80 };
+const FLAGS = { FIN: 0x01, SYN: 0x02, RST: 0x04, PSH: 0x08, ACK: 0x10 };
+
+// Ethernet/IPv4/TCP frame with no options
+const tcpFrame = (from, to, { seq, ack = 0, flags = ['ACK'], payload = '' }) => {
+  const data = Buffer.from(payload);
+  const frame = Buffer.alloc(54 + data.length);
+  frame.writeUInt16BE(0x0800, 12);
+  frame[14] = 0x45;
+  frame.writeUInt16BE(40 + data.length, 16);
+  frame[22] = 64;
+  frame[23] = 6;
+  Buffer.from(from.address.split('.').map(Number)).copy(frame, 26);
+  Buffer.from(to.address.split('.').map(Number)).copy(frame, 30);
+  frame.writeUInt16BE(from.port, 34);
+  frame.writeUInt16BE(to.port, 36);
+  frame.writeUInt32BE(seq >>> 0, 38);
+  frame.writeUInt32BE(ack >>> 0, 42);
+  frame[46] = 0x50;
+  frame[47] = flags.reduce((bits, flag) => bits | FLAGS[flag], 0);
+  data.copy(frame, 54);
+  return frame;
+};
+
+// Track segments in order, numbering them like CaptureEngine
+const trackAll = (tracker, segments) => segments.map(([from, to, fields], index) => {
+  const hex = tcpFrame(from, to, fields);
+  const packet = { id: index + 1, timestamp: 1000 + index, length: hex.length, linkType: 1, hex };
+  tracker.track(packet);
+  return packet;
+});
+
+// Client segments after a handshake with ISNs 1000 (client) and 5000 (server)
+const afterHandshake = (segments) => [
+  [CLIENT, SERVER, { seq: 1000, flags: ['SYN'] }],
+  [SERVER, CLIENT, { seq: 5000, ack: 1001, flags: ['SYN', 'ACK'] }],
+  [CLIENT, SERVER, { seq: 1001, ack: 5001 }],
+  ...segments.map(([seq, payload]) => [CLIENT, SERVER, { seq, ack: 5001, flags: ['PSH', 'ACK'], payload }])
+];
+
+describe('reassembly', () => {
+  test('reorders segments that arrive out of order', () => {
+    const tracker = new StreamTracker();
+    trackAll(tracker, afterHandshake([[1006, 'world'], [1011, '!'], [1001, 'hello']]));
+
+    const { client, chunks } = tracker.follow(0, 'utf8');
+
+    expect(client).toMatchObject({ payload: 'helloworld!', bytes: 11, outOfOrder: 2, retransmissions: 0, missingBytes: 0 });
+    // Delivered when the gap closed, still attributed to the packets that carried them
+    expect(chunks.map(({ packetId, data }) => [packetId, data])).toEqual([[6, 'hello'], [4, 'world'], [5, '!']]);
+  });
+
+  test('drops retransmissions and trims overlapping segments', () => {
+    const tracker = new StreamTracker();
+    trackAll(tracker, afterHandshake([[1001, 'hello'], [1001, 'hello'], [1004, 'loworld'], [1008, 'rld'], [1006, 'wo']]));
+
+    const { client, stream } = tracker.follow(0, 'utf8');
+
+    expect(client.payload).toBe('helloworld');
+    expect(client.retransmissions).toBe(4);
+    expect(stream.retransmissions).toBe(4);
+  });
+
+  test('keeps buffered out-of-order segments apart from delivered data', () => {
+    const tracker = new StreamTracker();
+    trackAll(tracker, afterHandshake([[1001, 'ab'], [1010, 'late']]));
+
+    const { client } = tracker.follow(0, 'utf8');
+
+    expect(client.payload).toBe('ab');
+    expect(client.missingBytes).toBe(7);
+  });
+
+  test('skips a gap once too much data is waiting behind it', () => {
+    const tracker = new StreamTracker({ maxPendingBytes: 8 });
+    trackAll(tracker, afterHandshake([[1001, 'ab'], [1013, 'efgh'], [1017, 'ijklm']]));
+
+    const { client } = tracker.follow(0, 'utf8');
+
+    expect(client.payload).toBe('abefghijklm');
+    expect(client.missingBytes).toBe(10);
+  });
+
+  test('follows sequence numbers across the 32-bit wrap', () => {
+    const tracker = new StreamTracker();
+    const isn = 0xfffffff8;
+    trackAll(tracker, [
+      [CLIENT, SERVER, { seq: isn, flags: ['SYN'] }],
+      [SERVER, CLIENT, { seq: 5000, ack: isn + 1, flags: ['SYN', 'ACK'] }],
+      [CLIENT, SERVER, { seq: 3, ack: 5001, payload: 'after' }],
+      [CLIENT, SERVER, { seq: isn + 1, ack: 5001, payload: 'before-w' }],
+      [CLIENT, SERVER, { seq: 1, ack: 5001, payload: 'ra' }]
+    ]);
+
+    expect(tracker.follow(0, 'utf8').client).toMatchObject({ payload: 'before-wraafter', outOfOrder: 1, retransmissions: 0 });
+  });
+
+  test('stops storing payload past the per-direction limit', () => {
+    const tracker = new StreamTracker({ maxStreamBytes: 6 });
+    trackAll(tracker, afterHandshake([[1001, 'hello'], [1006, 'world']]));
+
+    const { client, chunks } = tracker.follow(0, 'utf8');
+
+    expect(client).toMatchObject({ payload: 'hellow', bytes: 10, truncatedBytes: 4 });
+    expect(chunks.map(chunk => chunk.data)).toEqual(['hello', 'w']);
+  });
+});
+
+describe('streams', () => {
+  test('takes the SYN/ACK sender as the server when the SYN was missed', () => {
+    const tracker = new StreamTracker();
+    trackAll(tracker, [
+      [SERVER, CLIENT, { seq: 5000, ack: 1001, flags: ['SYN', 'ACK'] }],
+      [CLIENT, SERVER, { seq: 1001, ack: 5001, payload: 'GET' }]
+    ]);
+
+    expect(tracker.follow(0, 'utf8')).toMatchObject({
+      stream: { client: '192.168.1.10:50000', server: '192.168.1.20:80', handshake: true },
+      client: { payload: 'GET' }
+    });
+  });
+
+  test('picks up a stream mid-way from the first sender', () => {
+    const tracker = new StreamTracker();
+    trackAll(tracker, [
+      [SERVER, CLIENT, { seq: 77000, ack: 3000, payload: 'data' }],
+      [CLIENT, SERVER, { seq: 3000, ack: 77004 }]
+    ]);
+
+    expect(tracker.follow(0, 'utf8')).toMatchObject({
+      stream: { client: '192.168.1.20:80', server: '192.168.1.10:50000', handshake: false, state: 'open' },
+      client: { payload: 'data', missingBytes: 0 }
+    });
+  });
+
+  test('starts a new stream when a closed connection reuses its ports', () => {
+    const tracker = new StreamTracker();
+    const packets = trackAll(tracker, [
+      ...afterHandshake([[1001, 'one']]),
+      [CLIENT, SERVER, { seq: 1004, ack: 5001, flags: ['FIN', 'ACK'] }],
+      [SERVER, CLIENT, { seq: 5001, ack: 1005, flags: ['FIN', 'ACK'] }],
+      [CLIENT, SERVER, { seq: 9000, flags: ['SYN'] }],
+      [SERVER, CLIENT, { seq: 7000, ack: 9001, flags: ['RST', 'ACK'] }]
+    ]);
+
+    expect(tracker.getStreams().map(({ index, state, packets: count }) => ({ index, state, packets: count }))).toEqual([
+      { index: 0, state: 'closed', packets: 6 },
+      { index: 1, state: 'reset', packets: 2 }
+    ]);
+    expect(packets.map(packet => packet.tcpStream)).toEqual([0, 0, 0, 0, 0, 0, 1, 1]);
+    expect(tracker.getStreamPacketIds(1)).toEqual([7, 8]);
+  });
+
+  test('forgets the oldest streams over the limit', () => {
+    const tracker = new StreamTracker({ maxStreams: 2 });
+    trackAll(tracker, [1, 2, 3].map(n => [{ ...CLIENT, port: 50000 + n }, SERVER, { seq: n, flags: ['SYN'] }]));
+
+    expect(tracker.getStreams().map(stream => stream.index)).toEqual([1, 2]);
+    expect(tracker.follow(0)).toBeNull();
+  });
+});
+
+describe('recorded captures', () => {
+  test('follows the HTTP exchange', () => {
+    const tracker = new StreamTracker();
+    fixturePackets('http.pcapng').forEach(packet => tracker.track(packet));
+
+    const { stream, client, server, chunks } = tracker.follow(0, 'ascii');
+
+    expect(stream).toMatchObject({ index: 0, client: '127.0.0.1:40902', server: '127.0.0.1:8080', state: 'closed', handshake: true, packets: 10 });
+    expect(client.payload).toMatch(/^GET \/status\?check=1 HTTP\/1\.1\r\nHost: intranet\.example\.net\r\n/);
+    expect(server.payload).toMatch(/^HTTP\/1\.1 200 OK\r\n[\s\S]*Transfer-Encoding: chunked\r\n\r\n14\r\nhello from intranet\n\r\n0\r\n\r\n$/);
+    expect(chunks.map(chunk => [chunk.direction, chunk.packetId])).toEqual([['client', 4], ['server', 6]]);
+    expect(tracker.follow(0, 'hex').client.payload).toBe(Buffer.from(client.payload, 'latin1').toString('hex'));
+  });
+
+  test('lists TCP and UDP conversations with per-direction counts', () => {
+    const tracker = new StreamTracker();
+    [...fixturePackets('http.pcapng'), ...fixturePackets('dns.pcapng')].forEach(packet => tracker.track(packet));
+
+    const [tcp] = tracker.getConversations({ protocol: 'tcp' });
+    const [udp] = tracker.getConversations({ protocol: 'udp' });
+
+    expect(tcp).toMatchObject({ addressA: '127.0.0.1', portA: 40902, portB: 8080, streamIndex: 0, packets: 10 });
+    expect(tcp.packetsAtoB + tcp.packetsBtoA).toBe(10);
+    expect(tcp.duration).toBe(tcp.endTime - tcp.startTime);
+    expect(udp).toMatchObject({ portB: 53, streamIndex: null, packets: 2, packetsAtoB: 1, packetsBtoA: 1 });
+    expect(tracker.getConversations({ sortBy: 'packets', limit: 1 })).toEqual([tcp]);
+  });
+
+  describe('CaptureEngine', () => {
+    let CaptureEngine;
+
+    beforeAll(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      // Loaded here so the missing-libpcap warning is silenced
+      ({ CaptureEngine } = require('../../src/modules/ninjashark/backend/capture-engine.cjs'));
+    });
+
+    afterAll(() => {
+      console.log.mockRestore();
+      console.warn.mockRestore();
+    });
+
+    test('follows a stream of an opened capture and returns its packets', async () => {
+      const engine = new CaptureEngine();
+      const { session } = await engine.openCaptureFile(fixturePath('tls.pcapng'));
+
+      const followed = engine.followStream(session.id, 0);
+      const packets = await engine.getStreamPackets(session.id, 0);
+
+      expect(followed.stream).toMatchObject({ server: '127.0.0.1:8443', packets: 13 });
+      expect(followed.client.payload[0]).toBe(0x16); // TLS handshake record
+      expect(packets.map(packet => packet.id)).toEqual(Array.from({ length: 13 }, (_, i) => i + 1));
+      expect(() => engine.followStream(session.id, 1)).toThrow('TCP stream 1 not found');
+      engine.destroy();
+    });
+  });
+});
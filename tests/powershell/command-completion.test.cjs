@@ -0,0 +1,226 @@
+/**
+ * PowerShellEngine command wrapper and sentinel-marker completion
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fakeTerminal, unwrap, nodePtyAvailable, pwshPath } = require('./helpers/fake-terminal.cjs');
+
+let PowerShellEngine;
+let pty;
+let tmpDir;
+
+const createEngine = () => {
+  const engine = new PowerShellEngine({
+    historyDir: path.join(tmpDir, 'history.d'),
+    recordingsDir: path.join(tmpDir, 'recordings')
+  });
+  engine.historyFile = path.join(tmpDir, 'history');
+  engine.history = [];
+  return engine;
+};
+
+// Engine with one session on a fake terminal
+const openSession = async (handlers) => {
+  const terminal = fakeTerminal(handlers);
+  pty.spawn.mockReturnValue(terminal);
+  const engine = createEngine();
+  const { sessionId } = await engine.createSession({ record: false });
+  return { engine, terminal, sessionId };
+};
+
+(nodePtyAvailable ? describe : describe.skip)('PowerShellEngine commands', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    pty = require('node-pty');
+    ({ PowerShellEngine } = require('../../src/modules/powershell/backend/powershell-engine.cjs'));
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-pwsh-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('buildCommandWrapper', () => {
+    let engine;
+
+    beforeAll(() => {
+      // Nothing is spawned here, so no PowerShell executable is needed
+      const detect = jest.spyOn(PowerShellEngine.prototype, 'detectPowerShell').mockReturnValue('pwsh');
+      engine = createEngine();
+      detect.mockRestore();
+    });
+
+    test('sends one line that never contains the markers', () => {
+      const line = engine.buildCommandWrapper('Get-Date\nWrite-Output "done"', '__NTK_BEGIN_ab12__', '__NTK_END_ab12__');
+
+      expect(line).toMatch(/^Invoke-Expression \(\[Text\.Encoding\]::UTF8\.GetString\(\[Convert\]::FromBase64String\('[A-Za-z0-9+/=]+'\)\)\)$/);
+      expect(line).not.toContain('__NTK_');
+    });
+
+    test('dot-sources the command, reads $? after it and prints the markers', () => {
+      const command = "Get-ChildItem 'C:\\It''s here'\nif ($x) { 'yes' }";
+      const { script, ...wrapper } = unwrap(engine.buildCommandWrapper(command, '__NTK_BEGIN_ab12__', '__NTK_END_ab12__'));
+
+      expect(wrapper).toEqual({ command, beginMarker: '__NTK_BEGIN_ab12__', endMarker: '__NTK_END_ab12__' });
+      expect(script).toMatch(/^ {2}\. \(\[scriptblock\]::Create\(/m);
+      expect(script).toContain('$global:LASTEXITCODE = $null');
+      expect(script).toContain('| Out-Host');
+      expect(script).toContain("Write-Host ('__NTK_END_ab12__' + [Convert]::ToBase64String([Text.Encoding]::UTF8.GetBytes($__ntkStatus)) + '__')");
+      expect(script.split('\n').pop()).toMatch(/^Get-Variable -Name '__ntk\*' -Scope Global .* \| Remove-Variable -Scope Global/);
+    });
+  });
+
+  describe('executeCommand', () => {
+    beforeEach(() => {
+      jest.spyOn(PowerShellEngine.prototype, 'detectPowerShell').mockReturnValue('pwsh');
+      jest.spyOn(pty, 'spawn');
+    });
+
+    afterEach(() => {
+      PowerShellEngine.prototype.detectPowerShell.mockRestore();
+      pty.spawn.mockRestore();
+    });
+
+    test('returns the output between the markers without ANSI sequences', async () => {
+      const { engine, terminal, sessionId } = await openSession({
+        onCommand: () => ({ output: '\x1b[32mName\x1b[0m  Status\n----  ------\nW32Time Running' })
+      });
+
+      const result = await engine.executeCommand(sessionId, 'Get-Service W32Time');
+
+      expect(result).toMatchObject({
+        output: 'Name  Status\n----  ------\nW32Time Running',
+        errors: [],
+        succeeded: true,
+        exitCode: 0,
+        lastExitCode: null,
+        commandNumber: 2 // after the version probe
+      });
+      expect(engine.powershellVersion).toBe('7.4.6');
+      expect(terminal.commands).toEqual(['$PSVersionTable.PSVersion.ToString()', 'Get-Service W32Time']);
+    });
+
+    test('reports failures from $?, the error stream and $LASTEXITCODE', async () => {
+      const { engine, sessionId } = await openSession({
+        onCommand: (command) => (command.startsWith('Get-Item')
+          ? { status: { succeeded: false, errors: ['Get-Item: Cannot find path \'C:\\nope\' because it does not exist.'] } }
+          : { output: 'copied 0 files', status: { lastExitCode: 8 } })
+      });
+
+      const failed = await engine.executeCommand(sessionId, 'Get-Item C:\\nope');
+      const native = await engine.executeCommand(sessionId, 'robocopy C:\\a C:\\b');
+
+      expect(failed).toMatchObject({ output: '', succeeded: false, exitCode: 1, errors: ["Get-Item: Cannot find path 'C:\\nope' because it does not exist."] });
+      expect(native).toMatchObject({ output: 'copied 0 files', succeeded: true, exitCode: 8, lastExitCode: 8 });
+    });
+
+    test('finds markers split across chunks and a status wrapped by the terminal', async () => {
+      const { engine, sessionId } = await openSession({
+        onCommand: () => ({ output: 'x'.repeat(100), status: { errors: ['warning: '.repeat(20)] }, chunkSize: 7, wrapAt: 40 })
+      });
+
+      const result = await engine.executeCommand(sessionId, 'Write-Output ("x" * 100)');
+
+      expect(result.output).toBe('x'.repeat(100));
+      expect(result.errors).toEqual(['warning: '.repeat(20)]);
+    });
+
+    test('ignores markers of other commands in the output', async () => {
+      const { engine, sessionId } = await openSession({
+        onCommand: () => ({ output: '__NTK_END_0000000000000000__e30=__' })
+      });
+
+      const result = await engine.executeCommand(sessionId, 'Get-Content old-transcript.txt');
+
+      expect(result.output).toBe('__NTK_END_0000000000000000__e30=__');
+    });
+
+    test('runs commands one at a time', async () => {
+      const { engine, terminal, sessionId } = await openSession({
+        onCommand: (command) => ({ output: command.toUpperCase() })
+      });
+
+      const results = await Promise.all(['one', 'two', 'three'].map(command => engine.executeCommand(sessionId, command)));
+
+      expect(results.map(result => result.output)).toEqual(['ONE', 'TWO', 'THREE']);
+      expect(terminal.commands.slice(1)).toEqual(['one', 'two', 'three']);
+    });
+
+    test('interrupts a command that does not finish and runs the next one', async () => {
+      const { engine, terminal, sessionId } = await openSession({
+        onCommand: (command) => (command === 'Read-Host' ? undefined : { output: 'next' })
+      });
+
+      await expect(engine.executeCommand(sessionId, 'Read-Host', { timeout: 50 })).rejects.toThrow('Command timeout after 50ms');
+
+      expect(terminal.writes).toContain('\x03');
+      expect((await engine.executeCommand(sessionId, 'Get-Location')).output).toBe('next');
+    });
+
+    test('rejects when the session exits or the status cannot be read', async () => {
+      const { engine, terminal, sessionId } = await openSession({
+        onCommand: (command, { endMarker }) => {
+          if (command === 'exit') {
+            terminal.kill();
+            return undefined;
+          }
+          terminal.print(`${endMarker}not base64!__\r\n`);
+          return undefined;
+        }
+      });
+
+      await expect(engine.executeCommand(sessionId, 'Get-Date')).rejects.toThrow(/^Could not read command status: /);
+      await expect(engine.executeCommand(sessionId, 'exit')).rejects.toThrow('PowerShell session exited before the command completed');
+      await expect(engine.executeCommand(sessionId, 'Get-Date')).rejects.toThrow(`Session ${sessionId} not found`);
+    });
+
+    test('keeps commands in the history but not the engine probes', async () => {
+      const { engine, sessionId } = await openSession();
+
+      await engine.executeCommand(sessionId, 'Get-Process');
+      await engine.executeCommand(sessionId, '# comment');
+      await engine.executeCommand(sessionId, 'Get-Date', { history: false });
+
+      expect(engine.getHistory()).toEqual(['Get-Process']);
+      expect(fs.readFileSync(engine.historyFile, 'utf8')).toBe('Get-Process');
+    });
+  });
+
+  (pwshPath ? describe : describe.skip)('in PowerShell', () => {
+    let engine;
+    let sessionId;
+
+    beforeAll(async () => {
+      engine = createEngine();
+      ({ sessionId } = await engine.createSession({ record: false, cwd: tmpDir }));
+    }, 30000);
+
+    afterAll(() => {
+      engine.cleanup();
+    });
+
+    test('returns output, errors and exit codes', async () => {
+      const output = await engine.executeCommand(sessionId, "'one'; 'two'");
+      const failed = await engine.executeCommand(sessionId, 'Get-Item ./does-not-exist');
+      const native = await engine.executeCommand(sessionId, `& '${process.execPath}' -e "process.exit(3)"`);
+
+      expect(output).toMatchObject({ output: 'one\ntwo', succeeded: true, exitCode: 0 });
+      expect(failed.succeeded).toBe(false);
+      expect(failed.errors.join('\n')).toMatch(/does-not-exist/);
+      expect(native).toMatchObject({ exitCode: 3, lastExitCode: 3 });
+    }, 30000);
+
+    test('keeps variables between commands and leaves none of its own', async () => {
+      await engine.executeCommand(sessionId, '$kept = 42');
+
+      const result = await engine.executeCommand(sessionId, "$kept; @(Get-Variable -Name '__ntk*' -Scope Global -ErrorAction SilentlyContinue).Count");
+
+      expect(result.output).toBe('42\n0');
+    }, 30000);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Terminal stand-in for PowerShellEngine sessions: it decodes each command
+ * wrapper the engine types, takes its begin/end markers and answers the way
+ * PowerShell's console host does - the echoed input line, the begin marker,
+ * the command's output, then the end marker with the base64 JSON status and
+ * a prompt. Other input (Ctrl+C, passwords, Enter-PSSession) goes to onInput.
+ *
+ * PowerShellEngine loads node-pty when required, so its tests run only where
+ * node-pty is installed; pwshPath is set when a real PowerShell is available.
+ */
+
+const { EventEmitter } = require('events');
+const { spawnSync } = require('child_process');
+
+const ENCODED = /FromBase64String\('([A-Za-z0-9+/=]+)'\)/;
+const PROMPT = 'PS /home/ntk> ';
+
+const nodePtyAvailable = (() => {
+  try {
+    require.resolve('node-pty');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const pwshPath = ['pwsh', 'powershell.exe'].find(command =>
+  spawnSync(command, ['-NoProfile', '-Command', 'exit 0'], { stdio: 'ignore', timeout: 10000 }).status === 0) || null;
+
+const decode = (text) => Buffer.from(text, 'base64').toString('utf8');
+
+/**
+ * The command and markers inside a wrapper line
+ * @returns {Object|null} { command, beginMarker, endMarker, script }
+ */
+function unwrap(line) {
+  const outer = ENCODED.exec(line);
+  if (!outer) return null;
+  const script = decode(outer[1]);
+  const body = decode(ENCODED.exec(script)[1]);
+  return {
+    command: body.replace(/\n\$global:__ntkSucceeded = \$\?$/, ''),
+    beginMarker: /Write-Host '(__NTK_BEGIN_\w+__)'/.exec(script)[1],
+    endMarker: /Write-Host \('(__NTK_END_\w+__)'/.exec(script)[1],
+    script
+  };
+}
+
+/**
+ * @param {Object} handlers
+ * @param {Function} [handlers.onCommand] - (command, wrapper) -> reply, or undefined to never answer;
+ *   reply: { output, status, chunkSize, wrapAt, prompt }
+ * @param {Function} [handlers.onInput] - (data, terminal) for input that is not a command wrapper
+ * @returns {EventEmitter} node-pty-like process: write, resize, kill, pid; 'data' and 'exit' events
+ */
+function fakeTerminal({ onCommand = () => ({}), onInput = () => {} } = {}) {
+  const terminal = new EventEmitter();
+  terminal.pid = 4242;
+  terminal.writes = [];
+  terminal.commands = [];
+  terminal.prompt = PROMPT;
+
+  terminal.print = (...chunks) => {
+    setImmediate(() => chunks.forEach(chunk => terminal.emit('data', chunk)));
+  };
+
+  terminal.write = (data) => {
+    terminal.writes.push(data);
+    const wrapper = unwrap(data);
+    if (!wrapper) {
+      onInput(data, terminal);
+      return;
+    }
+    terminal.commands.push(wrapper.command);
+
+    const reply = wrapper.command === '$PSVersionTable.PSVersion.ToString()'
+      ? { output: '7.4.6' }
+      : onCommand(wrapper.command, wrapper);
+    if (reply === undefined) return;
+
+    const status = { succeeded: true, lastExitCode: null, errors: [], result: null, ...reply.status };
+    let encoded = Buffer.from(JSON.stringify(status)).toString('base64');
+    if (reply.wrapAt) {
+      encoded = encoded.match(new RegExp(`.{1,${reply.wrapAt}}`, 'g')).join('\r\n');
+    }
+    const output = reply.output ? `${reply.output.replace(/\r?\n/g, '\r\n')}\r\n` : '';
+    const text = `${data.trimEnd()}\r\n${wrapper.beginMarker}\r\n${output}${wrapper.endMarker}${encoded}__\r\n${reply.prompt ?? terminal.prompt}`;
+
+    const size = reply.chunkSize || text.length;
+    terminal.print(...text.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g')));
+  };
+
+  terminal.resize = (cols, rows) => {
+    terminal.size = { cols, rows };
+  };
+
+  terminal.kill = () => {
+    setImmediate(() => terminal.emit('exit', 0));
+  };
+
+  return terminal;
+}
+
+module.exports = { fakeTerminal, unwrap, nodePtyAvailable, pwshPath, PROMPT };
@@ -0,0 +1,193 @@
+/**
+ * PowerShellEngine structured output: typed columns, row limits and CSV export
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fakeTerminal, unwrap, nodePtyAvailable, pwshPath } = require('./helpers/fake-terminal.cjs');
+
+const SERVICES = {
+  columns: [
+    { name: 'Name', type: 'System.String' },
+    { name: 'Status', type: 'System.ServiceProcess.ServiceControllerStatus' },
+    { name: 'Handles', type: 'System.Int32' },
+    { name: 'Delayed', type: 'System.Boolean' },
+    { name: 'Started', type: 'System.DateTime' },
+    { name: 'Notes', type: null }
+  ],
+  rows: [
+    { Name: 'W32Time', Status: 'Running', Handles: 212, Delayed: false, Started: '2026-10-19T08:01:02.0000000+00:00', Notes: null },
+    { Name: 'Spooler', Status: 'Stopped', Handles: 0, Delayed: true, Started: null, Notes: null }
+  ],
+  total: 5
+};
+
+let PowerShellEngine;
+let pty;
+let tmpDir;
+
+const createEngine = () => {
+  const engine = new PowerShellEngine({ historyDir: path.join(tmpDir, 'history.d'), recordingsDir: path.join(tmpDir, 'recordings') });
+  engine.historyFile = path.join(tmpDir, 'history');
+  engine.history = [];
+  return engine;
+};
+
+(nodePtyAvailable ? describe : describe.skip)('PowerShellEngine structured output', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    pty = require('node-pty');
+    ({ PowerShellEngine } = require('../../src/modules/powershell/backend/powershell-engine.cjs'));
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-pwsh-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('on a fake terminal', () => {
+    let engine;
+    let terminal;
+    let sessionId;
+    let reply;
+
+    beforeEach(async () => {
+      jest.spyOn(PowerShellEngine.prototype, 'detectPowerShell').mockReturnValue('pwsh');
+      terminal = fakeTerminal({ onCommand: () => reply });
+      jest.spyOn(pty, 'spawn').mockReturnValue(terminal);
+      engine = createEngine();
+      ({ sessionId } = await engine.createSession({ record: false }));
+    });
+
+    afterEach(() => {
+      PowerShellEngine.prototype.detectPowerShell.mockRestore();
+      pty.spawn.mockRestore();
+    });
+
+    test('maps .NET types to column types and reports truncation', async () => {
+      reply = { status: { result: SERVICES } };
+
+      const result = await engine.executeStructured(sessionId, 'Get-Service', { maxRows: 2 });
+
+      expect(result.columns).toEqual([
+        { name: 'Name', type: 'string', dotnetType: 'System.String' },
+        { name: 'Status', type: 'string', dotnetType: 'System.ServiceProcess.ServiceControllerStatus' },
+        { name: 'Handles', type: 'number', dotnetType: 'System.Int32' },
+        { name: 'Delayed', type: 'boolean', dotnetType: 'System.Boolean' },
+        { name: 'Started', type: 'datetime', dotnetType: 'System.DateTime' },
+        { name: 'Notes', type: 'string', dotnetType: null }
+      ]);
+      expect(result).toMatchObject({ rows: SERVICES.rows, totalRows: 5, truncated: true, succeeded: true, exitCode: 0, output: '' });
+    });
+
+    test('collects the pipeline objects instead of printing them', async () => {
+      reply = { status: { result: { columns: [{ name: 'Value', type: 'System.Int32' }], rows: [{ Value: 1 }], total: 1 } } };
+
+      await engine.executeStructured(sessionId, '1', { properties: ['Name', "It's"], maxRows: 25 });
+      const { script } = unwrap(terminal.writes.at(-1));
+
+      expect(script).toContain("$__ntkSelect = @('Name', 'It''s')");
+      expect(script).toContain('Select-Object -First 25');
+      expect(script).toContain('ForEach-Object { $global:__ntkItems.Add($_) }');
+      expect(script).not.toContain('Out-Host');
+    });
+
+    test('returns no rows and the error when serialization fails', async () => {
+      reply = { status: { errors: ['Output serialization failed: Depth exceeded'], result: null } };
+
+      const result = await engine.executeStructured(sessionId, 'Get-Process');
+
+      expect(result).toMatchObject({ columns: [], rows: [], totalRows: 0, truncated: false, errors: ['Output serialization failed: Depth exceeded'] });
+    });
+
+    test('returns a single row object as a one-row table', async () => {
+      reply = { status: { result: { columns: { name: 'Value', type: 'System.String' }, rows: { Value: 'sw1' }, total: 1 } } };
+
+      const result = await engine.executeStructured(sessionId, 'hostname');
+
+      expect(result).toMatchObject({ columns: [{ name: 'Value', type: 'string' }], rows: [{ Value: 'sw1' }], totalRows: 1, truncated: false });
+    });
+
+    test.each([
+      [{ properties: 'Name' }, 'properties must be a list of property names'],
+      [{ properties: ['Name', ''] }, 'properties must be a list of property names'],
+      [{ maxRows: 0 }, 'maxRows must be a positive integer'],
+      [{ maxRows: 2.5 }, 'maxRows must be a positive integer']
+    ])('rejects %j', async (options, message) => {
+      await expect(engine.executeStructured(sessionId, 'Get-Service', options)).rejects.toThrow(message);
+    });
+  });
+
+  describe('exportCsv', () => {
+    let engine;
+
+    beforeAll(() => {
+      const detect = jest.spyOn(PowerShellEngine.prototype, 'detectPowerShell').mockReturnValue('pwsh');
+      engine = createEngine();
+      detect.mockRestore();
+    });
+
+    test('writes the columns in order with quoting and empty nulls', () => {
+      const filepath = path.join(tmpDir, 'services.csv');
+      const result = {
+        columns: [{ name: 'Name' }, { name: 'Description' }, { name: 'Handles' }],
+        rows: [
+          { Name: 'W32Time', Description: 'Maintains date, time "sync"', Handles: 212 },
+          { Name: 'Spooler', Description: 'Line one\r\nline two', Handles: null }
+        ]
+      };
+
+      expect(engine.exportCsv(result, filepath)).toEqual({ filepath, rows: 2, bytes: fs.statSync(filepath).size });
+      expect(fs.readFileSync(filepath, 'utf8')).toBe(
+        '﻿Name,Description,Handles\r\n' +
+        'W32Time,"Maintains date, time ""sync""",212\r\n' +
+        'Spooler,"Line one\r\nline two",\r\n'
+      );
+    });
+
+    test('rejects a result without columns and rows', () => {
+      expect(() => engine.exportCsv({ output: 'text' }, path.join(tmpDir, 'none.csv'))).toThrow('Nothing to export: expected { columns, rows }');
+    });
+  });
+
+  (pwshPath ? describe : describe.skip)('in PowerShell', () => {
+    let engine;
+    let sessionId;
+
+    beforeAll(async () => {
+      engine = createEngine();
+      ({ sessionId } = await engine.createSession({ record: false, cwd: tmpDir }));
+    }, 30000);
+
+    afterAll(() => {
+      engine.cleanup();
+    });
+
+    test('serializes objects with typed columns', async () => {
+      const result = await engine.executeStructured(sessionId,
+        "[pscustomobject]@{ Name = 'sw1'; Ports = 48; Stacked = $true; Seen = [datetime]'2026-10-19T08:00:00Z'; Mode = [ConsoleColor]::Red }");
+
+      expect(result.columns.map(({ name, type }) => [name, type])).toEqual([
+        ['Name', 'string'], ['Ports', 'number'], ['Stacked', 'boolean'], ['Seen', 'datetime'], ['Mode', 'string']
+      ]);
+      expect(result.rows).toEqual([{ Name: 'sw1', Ports: 48, Stacked: true, Seen: expect.stringMatching(/^2026-10-19T/), Mode: 'Red' }]);
+    }, 30000);
+
+    test('returns scalars as a Value column, limited to maxRows', async () => {
+      const result = await engine.executeStructured(sessionId, '1..10', { maxRows: 3 });
+
+      expect(result).toMatchObject({ columns: [{ name: 'Value', type: 'number' }], rows: [{ Value: 1 }, { Value: 2 }, { Value: 3 }], totalRows: 10, truncated: true });
+    }, 30000);
+
+    test('returns only the requested properties', async () => {
+      const result = await engine.executeStructured(sessionId, 'Get-Item .', { properties: ['Name', 'Missing'] });
+
+      expect(result.columns.map(column => column.name)).toEqual(['Name', 'Missing']);
+      expect(result.rows).toEqual([{ Name: path.basename(tmpDir), Missing: null }]);
+    }, 30000);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * BatchRunner job redaction, output grouping and CSV export
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BatchRunner } = require('../../src/modules/putty/backend/batch-runner.cjs');
+
+// RemoteAccessEngine stand-in answering every SSH exec with the host's output:
+// a string (exit code 0), an exec result, or an Error thrown on connect
+const fakeRemoteAccess = (outputs = {}) => {
+  const remote = { connections: [], closed: [] };
+  remote.getMacro = () => null;
+  remote.createSSHSession = async (connection) => {
+    if (outputs[connection.host] instanceof Error) throw outputs[connection.host];
+    remote.connections.push(connection);
+    return { sessionId: `ssh-${connection.host}` };
+  };
+  remote.execCommand = async (sessionId) => {
+    const output = outputs[sessionId.slice('ssh-'.length)] ?? 'ok\n';
+    return typeof output === 'string' ? { exitCode: 0, stdout: output, stderr: '' } : { stderr: '', ...output };
+  };
+  remote.closeSession = (sessionId) => remote.closed.push(sessionId);
+  return remote;
+};
+
+let tmpDir;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-batch-'));
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log.mockRestore();
+});
+
+describe('BatchRunner job redaction', () => {
+  const SECRETS = { password: 'hunter2', privateKey: '-----BEGIN KEY-----', passphrase: 'open sesame' };
+
+  test('connects with the secrets but keeps them out of the batch', async () => {
+    const remoteAccess = fakeRemoteAccess();
+    const runner = new BatchRunner({ remoteAccess });
+
+    const result = await runner.run({
+      hosts: ['10.0.0.1', '10.0.0.2:2222'],
+      transport: 'ssh',
+      command: 'show version',
+      connection: { port: 22, username: 'admin', ...SECRETS }
+    });
+
+    expect(remoteAccess.connections).toEqual([
+      { port: 22, username: 'admin', ...SECRETS, host: '10.0.0.1' },
+      { port: 2222, username: 'admin', ...SECRETS, host: '10.0.0.2' }
+    ]);
+    expect(result.job.connection).toEqual({ port: 22, username: 'admin', hasPassword: true, hasPrivateKey: true });
+    expect(result.job).not.toHaveProperty('hosts');
+
+    const stored = JSON.stringify([runner.getBatch(result.id), runner.listBatches(), [...runner.batches.values()]]);
+    for (const secret of Object.values(SECRETS)) {
+      expect(stored).not.toContain(secret);
+    }
+  });
+
+  test('keeps the credentialId and resolves it only to connect', async () => {
+    const remoteAccess = fakeRemoteAccess();
+    const credentials = { resolve: (id) => ({ id, kind: 'password', username: 'netops', secret: 'from-store' }) };
+    const runner = new BatchRunner({ remoteAccess, credentials });
+
+    const result = await runner.run({
+      hosts: ['10.0.0.1'],
+      transport: 'ssh',
+      command: 'uptime',
+      connection: { credentialId: 'cred-1' }
+    });
+
+    expect(remoteAccess.connections[0]).toMatchObject({ username: 'netops', password: 'from-store' });
+    expect(result.job.connection).toEqual({ credentialId: 'cred-1', hasPassword: false, hasPrivateKey: false });
+    expect(JSON.stringify(runner.getBatch(result.id))).not.toContain('from-store');
+  });
+});
+
+describe('BatchRunner output grouping', () => {
+  const OUTPUTS = {
+    '10.0.0.1': 'Version 15.2(7)E4\r\nuptime is 3 weeks  \r\n',
+    '10.0.0.2': 'Version 15.2(7)E4\nuptime is 3 weeks\n',
+    '10.0.0.3': '\nVersion 15.2(7)E4\nuptime is 3 weeks',
+    '10.0.0.4': 'Version 15.0(2)SE11\nuptime is 3 weeks\nROMMON upgrade pending\n',
+    '10.0.0.5': { exitCode: 1, stdout: 'Version 15.2(7)E4\nuptime is 3 weeks\n', stderr: 'warning: flash full' },
+    '10.0.0.6': new Error('Connection refused')
+  };
+
+  let batch;
+
+  beforeAll(async () => {
+    const runner = new BatchRunner({ remoteAccess: fakeRemoteAccess(OUTPUTS) });
+    batch = await runner.run({ hosts: Object.keys(OUTPUTS), transport: 'ssh', command: 'show version', concurrency: 3 });
+  });
+
+  test('groups outputs that differ only in line endings and trailing whitespace', () => {
+    expect(batch.groups[0]).toEqual({
+      id: 1,
+      hash: expect.stringMatching(/^[0-9a-f]{12}$/),
+      status: 'success',
+      exitCode: 0,
+      output: 'Version 15.2(7)E4\nuptime is 3 weeks',
+      error: null,
+      hosts: ['10.0.0.1', '10.0.0.2', '10.0.0.3'],
+      count: 3,
+      diff: null
+    });
+    expect(batch.results.map(result => [result.host, result.group])).toEqual([
+      ['10.0.0.1', 1], ['10.0.0.2', 1], ['10.0.0.3', 1], ['10.0.0.4', 2], ['10.0.0.5', 3], ['10.0.0.6', 4]
+    ]);
+  });
+
+  test('diffs the other groups against the largest one', () => {
+    expect(batch.groups.slice(1).map(({ hosts, status, diff }) => ({ hosts, status, diff }))).toEqual([
+      { hosts: ['10.0.0.4'], status: 'success', diff: { added: ['Version 15.0(2)SE11', 'ROMMON upgrade pending'], removed: ['Version 15.2(7)E4'] } },
+      { hosts: ['10.0.0.5'], status: 'failed', diff: { added: [], removed: [] } },
+      { hosts: ['10.0.0.6'], status: 'error', diff: { added: [], removed: ['Version 15.2(7)E4', 'uptime is 3 weeks'] } }
+    ]);
+    expect(batch.groups[3].error).toBe('Connection refused');
+  });
+
+  test('summarizes the statuses', () => {
+    expect(batch.summary).toEqual({ total: 6, completed: 6, succeeded: 4, failed: 1, errors: 1, timeouts: 0, cancelled: 0 });
+  });
+
+  test('leaves cancelled hosts out of the groups', () => {
+    const runner = new BatchRunner({ remoteAccess: fakeRemoteAccess() });
+    const result = (host, status, output) => ({ host, label: host, status, exitCode: status === 'success' ? 0 : null, output });
+
+    const groups = runner.groupResults([result('a', 'success', 'ok'), result('b', 'cancelled', ''), result('c', 'success', 'ok\r\n')]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ hosts: ['a', 'c'], count: 2 });
+  });
+});
+
+describe('BatchRunner CSV export', () => {
+  test('writes one quoted row per host with its group and ConnectWise tags', async () => {
+    const runner = new BatchRunner({
+      remoteAccess: fakeRemoteAccess({
+        '10.0.0.1': 'Name,Value\r\n"Hostname",sw1\r\n',
+        '10.0.0.2': { exitCode: 2, stdout: '', stderr: 'permission denied' }
+      })
+    });
+    const batch = await runner.run({
+      hosts: [
+        { host: '10.0.0.1', label: 'sw1', tags: { companyId: 42, companyName: 'Acme, Inc.', configurationName: 'Core switch' } },
+        '10.0.0.2:2222'
+      ],
+      transport: 'ssh',
+      command: 'show env'
+    });
+    const filepath = path.join(tmpDir, 'batch.csv');
+
+    const exported = runner.exportCsv(batch.id, filepath);
+
+    const content = fs.readFileSync(filepath, 'utf8');
+    expect(exported).toEqual({ filepath, rows: 2, bytes: Buffer.byteLength(content) });
+    expect(content.startsWith('\ufeff')).toBe(true);
+    const [sw1Duration, otherDuration] = batch.results.map(result => result.duration);
+    expect(content.slice(1).split('\r\n')).toEqual([
+      'Host,Port,Label,Company,Configuration,Status,Exit Code,Duration (ms),Group,Output,Error',
+      // Output is quoted and keeps its normalized line breaks
+      `10.0.0.1,,sw1,"Acme, Inc.",Core switch,success,0,${sw1Duration},1,"Name,Value\n""Hostname"",sw1",`,
+      `10.0.0.2,2222,10.0.0.2:2222,,,failed,2,${otherDuration},2,,permission denied`,
+      ''
+    ]);
+  });
+
+  test('rejects an unknown batch', () => {
+    const runner = new BatchRunner({ remoteAccess: fakeRemoteAccess() });
+    expect(() => runner.exportCsv('batch-99', path.join(tmpDir, 'none.csv'))).toThrow('Batch batch-99 not found');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Fake serial console on a pseudo-terminal pair: the engine opens the slave
+ * path like a tty; a Python helper holds the master and answers each CR with a
+ * prompt when the line is set to the console's baud rate, with framing garbage
+ * otherwise (a pty pair shares its termios, so the master sees the rate)
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const { once } = require('events');
+
+const DEVICE = `
+import os, pty, select, sys, termios, tty
+rate = getattr(termios, 'B' + sys.argv[1])
+master, slave = pty.openpty()
+tty.setraw(slave)
+print(os.ttyname(slave), flush=True)
+while True:
+    ready, _, _ = select.select([master, 0], [], [])
+    if 0 in ready:
+        break
+    data = os.read(master, 1024)
+    if b'\\r' in data:
+        speed = termios.tcgetattr(master)[4]
+        os.write(master, b'\\r\\nSwitch>' if speed == rate else b'\\xfe\\x80\\x00\\xff\\x1e\\x9c\\xe0\\xf8')
+`;
+
+const ptyAvailable = process.platform !== 'win32' &&
+  spawnSync('python3', ['-c', 'import pty, termios'], { stdio: 'ignore' }).status === 0;
+
+/**
+ * @param {number} baudRate - Rate the console answers at
+ * @returns {Promise<Object>} { path, close() }
+ */
+async function startPtyDevice(baudRate) {
+  const device = spawn('python3', ['-c', DEVICE, String(baudRate)], { stdio: ['pipe', 'pipe', 'inherit'] });
+  const [line] = await once(device.stdout, 'data');
+  return {
+    path: line.toString().trim(),
+    close: async () => {
+      if (device.exitCode !== null) return;
+      device.stdin.end();
+      await once(device, 'exit');
+    }
+  };
+}
+
+module.exports = { startPtyDevice, ptyAvailable };
@@ -0,0 +1,146 @@
+/**
+ * In-process SSH server with an SFTP subsystem serving a local directory
+ * (remote path /a/b is <root>/a/b); counts the bytes written through it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Server, utils } = require('ssh2');
+
+const { STATUS_CODE, flagsToString } = utils.sftp;
+
+function attributes(stats) {
+  return {
+    mode: stats.mode,
+    uid: stats.uid,
+    gid: stats.gid,
+    size: stats.size,
+    atime: Math.floor(stats.atimeMs / 1000),
+    mtime: Math.floor(stats.mtimeMs / 1000)
+  };
+}
+
+function statusFor(error) {
+  if (error.code === 'ENOENT') return STATUS_CODE.NO_SUCH_FILE;
+  if (error.code === 'EACCES' || error.code === 'EPERM') return STATUS_CODE.PERMISSION_DENIED;
+  return STATUS_CODE.FAILURE;
+}
+
+/**
+ * @param {string} root - Directory served as /
+ * @returns {Promise<Object>} { port, stats: { bytesWritten }, close() }
+ */
+function startSFTPServer(root) {
+  const hostKey = utils.generateKeyPairSync('ed25519').private;
+  const stats = { bytesWritten: 0 };
+  const clients = new Set();
+
+  const server = new Server({ hostKeys: [hostKey] }, (client) => {
+    clients.add(client);
+    client.on('close', () => clients.delete(client));
+    client.on('error', () => {});
+    client.on('authentication', ctx => ctx.accept());
+    client.on('session', (accept) => {
+      accept().on('sftp', (acceptSFTP) => serve(acceptSFTP()));
+    });
+  });
+
+  const serve = (sftp) => {
+    const handles = new Map(); // handle id -> { fd } | { entries }
+    let nextHandle = 0;
+    const local = (remotePath) => path.join(root, path.posix.normalize(`/${remotePath}`));
+    const newHandle = (value) => {
+      const handle = Buffer.alloc(4);
+      handle.writeUInt32BE(nextHandle++);
+      handles.set(handle.toString('hex'), value);
+      return handle;
+    };
+    const run = (reqid, action) => {
+      try {
+        action();
+      } catch (error) {
+        sftp.status(reqid, statusFor(error), error.message);
+      }
+    };
+
+    sftp.on('OPEN', (reqid, filename, flags, attrs) => run(reqid, () => {
+      const fd = fs.openSync(local(filename), flagsToString(flags), attrs.mode ?? 0o644);
+      sftp.handle(reqid, newHandle({ fd }));
+    }));
+
+    sftp.on('READ', (reqid, handle, offset, length) => run(reqid, () => {
+      const { fd } = handles.get(handle.toString('hex'));
+      const buffer = Buffer.alloc(length);
+      const read = fs.readSync(fd, buffer, 0, length, offset);
+      if (read === 0) sftp.status(reqid, STATUS_CODE.EOF);
+      else sftp.data(reqid, buffer.subarray(0, read));
+    }));
+
+    sftp.on('WRITE', (reqid, handle, offset, data) => run(reqid, () => {
+      const { fd } = handles.get(handle.toString('hex'));
+      fs.writeSync(fd, data, 0, data.length, offset);
+      stats.bytesWritten += data.length;
+      sftp.status(reqid, STATUS_CODE.OK);
+    }));
+
+    sftp.on('FSTAT', (reqid, handle) => run(reqid, () => {
+      sftp.attrs(reqid, attributes(fs.fstatSync(handles.get(handle.toString('hex')).fd)));
+    }));
+
+    sftp.on('CLOSE', (reqid, handle) => run(reqid, () => {
+      const key = handle.toString('hex');
+      const entry = handles.get(key);
+      handles.delete(key);
+      if (entry && entry.fd !== undefined) fs.closeSync(entry.fd);
+      sftp.status(reqid, STATUS_CODE.OK);
+    }));
+
+    for (const event of ['STAT', 'LSTAT']) {
+      sftp.on(event, (reqid, filename) => run(reqid, () => {
+        sftp.attrs(reqid, attributes(fs.statSync(local(filename))));
+      }));
+    }
+
+    sftp.on('OPENDIR', (reqid, dirname) => run(reqid, () => {
+      const directory = local(dirname);
+      const entries = fs.readdirSync(directory).map(name => {
+        const entryStats = fs.statSync(path.join(directory, name));
+        return { filename: name, longname: name, attrs: attributes(entryStats) };
+      });
+      sftp.handle(reqid, newHandle({ entries, sent: false }));
+    }));
+
+    sftp.on('READDIR', (reqid, handle) => run(reqid, () => {
+      const entry = handles.get(handle.toString('hex'));
+      if (entry.sent) {
+        sftp.status(reqid, STATUS_CODE.EOF);
+        return;
+      }
+      entry.sent = true;
+      sftp.name(reqid, entry.entries);
+    }));
+
+    sftp.on('MKDIR', (reqid, dirname, attrs) => run(reqid, () => {
+      fs.mkdirSync(local(dirname), attrs.mode !== undefined ? { mode: attrs.mode } : {});
+      sftp.status(reqid, STATUS_CODE.OK);
+    }));
+
+    sftp.on('REALPATH', (reqid, remotePath) => {
+      const resolved = path.posix.normalize(`/${remotePath}`);
+      sftp.name(reqid, [{ filename: resolved, longname: resolved, attrs: {} }]);
+    });
+  };
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      stats,
+      close: () => new Promise((done) => {
+        for (const client of clients) client.end();
+        server.close(() => done());
+      })
+    }));
+  });
+}
+
+module.exports = { startSFTPServer };
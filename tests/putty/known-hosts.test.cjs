@@ -0,0 +1,301 @@
+/**
+ * KnownHostsStore and RemoteAccessEngine host key verification
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Server, utils } = require('ssh2');
+const { KnownHostsStore, describeKey } = require('../../src/modules/putty/backend/known-hosts.cjs');
+
+const keyPair = (type, options) => {
+  const pair = utils.generateKeyPairSync(type, options);
+  return { ...pair, blob: utils.parseKey(pair.public).getPublicSSH() };
+};
+
+const hashedHost = (name) => {
+  const salt = crypto.randomBytes(20);
+  const hash = crypto.createHmac('sha1', salt).update(name).digest('base64');
+  return `|1|${salt.toString('base64')}|${hash}`;
+};
+
+let tmpDir;
+let originalHome;
+const edA = keyPair('ed25519');
+const edB = keyPair('ed25519');
+const ecdsa = keyPair('ecdsa', { bits: 256 });
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-known-hosts-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('KnownHostsStore', () => {
+  const storePath = () => path.join(tmpDir, 'known-hosts.json');
+
+  test('trusts an unknown key and reports it as known, across reloads', () => {
+    const store = new KnownHostsStore({ filePath: storePath() });
+    expect(store.verify('Router1', 22, edA.blob).status).toBe('unknown');
+
+    const entry = store.trust('Router1', 22, edA.blob, { source: 'tofu' });
+    expect(entry.hosts).toBe('router1');
+    expect(entry.fingerprint).toBe(describeKey(edA.blob).fingerprint);
+    expect(entry.fingerprint).toMatch(/^SHA256:[A-Za-z0-9+/]+$/);
+
+    const reloaded = new KnownHostsStore({ filePath: storePath() });
+    const check = reloaded.verify('router1', 22, edA.blob);
+    expect(check.status).toBe('known');
+    expect(check.entry.source).toBe('tofu');
+    expect(check.entry.lastSeen).toEqual(expect.any(Number));
+  });
+
+  test('keys are scoped to the port', () => {
+    const store = new KnownHostsStore();
+    store.trust('10.0.0.1', 2222, edA.blob);
+
+    expect(store.list()[0].hosts).toBe('[10.0.0.1]:2222');
+    expect(store.verify('10.0.0.1', 2222, edA.blob).status).toBe('known');
+    expect(store.verify('10.0.0.1', 22, edA.blob).status).toBe('unknown');
+  });
+
+  test('a different key of the same type is changed and needs an explicit replace', () => {
+    const store = new KnownHostsStore();
+    store.trust('switch', 22, edA.blob);
+
+    const check = store.verify('switch', 22, edB.blob);
+    expect(check.status).toBe('changed');
+    expect(check.known.map(entry => entry.key)).toEqual([edA.blob.toString('base64')]);
+
+    expect(() => store.trust('switch', 22, edB.blob)).toThrow(/different ssh-ed25519 key is known/);
+    store.trust('switch', 22, edB.blob.toString('base64'), { replace: true });
+    expect(store.verify('switch', 22, edB.blob).status).toBe('known');
+    expect(store.verify('switch', 22, edA.blob).status).toBe('changed');
+    expect(store.list('switch')).toHaveLength(1);
+  });
+
+  test('only keys of another type known is other-type, and both types can be trusted', () => {
+    const store = new KnownHostsStore();
+    store.trust('fw', 22, edA.blob);
+
+    const check = store.verify('fw', 22, ecdsa.blob);
+    expect(check.status).toBe('other-type');
+    expect(check.known[0].keyType).toBe('ssh-ed25519');
+
+    store.trust('fw', 22, ecdsa.blob);
+    expect(store.verify('fw', 22, ecdsa.blob).status).toBe('known');
+    expect(store.verify('fw', 22, edA.blob).status).toBe('known');
+  });
+
+  test('rejects blobs that are not SSH public keys', () => {
+    const store = new KnownHostsStore();
+    expect(() => store.verify('host', 22, Buffer.from('nope'))).toThrow(/malformed/);
+    expect(() => store.trust('host', 22, 'AAAA')).toThrow(/SSH public key blob/);
+  });
+
+  describe('OpenSSH import/export', () => {
+    const edAKey = edA.blob.toString('base64');
+    const edBKey = edB.blob.toString('base64');
+    const ecdsaKey = ecdsa.blob.toString('base64');
+
+    // Hashed once: a new salt would make a different (non-duplicate) line
+    const knownHostsFile = [
+      '# comment line',
+      '',
+      `${hashedHost('hashed.example.com')} ssh-ed25519 ${edAKey}`,
+      `${hashedHost('[hashed.example.com]:2222')} ecdsa-sha2-nistp256 ${ecdsaKey} lab box`,
+      `*.example.com,!bad.example.com ssh-ed25519 ${edBKey} wildcard`,
+      `@revoked * ssh-ed25519 ${edBKey}`,
+      `@cert-authority *.corp ssh-ed25519 ${edAKey}`,
+      `broken.example.com ssh-ed25519`,
+      `typo.example.com ssh-rsa ${edAKey}`,
+      `zero.example.com ssh-ed25519 AAAAAAAAAAA=`
+    ].join('\n');
+
+    test('imports hashed, wildcard and revoked entries and skips the rest with reasons', () => {
+      const store = new KnownHostsStore({ filePath: path.join(tmpDir, 'known-hosts.json') });
+      const result = store.importOpenSSH(knownHostsFile);
+
+      expect(result.added).toBe(4);
+      expect(result.skipped).toEqual([
+        { line: 7, reason: '@cert-authority entries are not supported' },
+        { line: 8, reason: 'Expected: hosts keytype key [comment]' },
+        { line: 9, reason: 'Key is ssh-ed25519, line says ssh-rsa' },
+        { line: 10, reason: 'Host key blob is malformed' }
+      ]);
+
+      expect(store.verify('hashed.example.com', 22, edA.blob).status).toBe('known');
+      expect(store.verify('hashed.example.com', 2222, ecdsa.blob).status).toBe('known');
+      expect(store.verify('other.example.com', 22, edA.blob).status).toBe('changed');
+      // Hashed names cannot be listed in clear
+      expect(store.list('hashed.example.com')[0].hosts).toBe('(hashed)');
+      expect(store.list('hashed.example.com', 2222)[0].comment).toBe('lab box');
+
+      // @revoked wins over the wildcard entry trusting the same key
+      expect(store.verify('www.example.com', 22, edB.blob).status).toBe('revoked');
+      expect(store.verify('bad.example.com', 22, edB.blob).status).toBe('revoked');
+      expect(() => store.trust('new.host', 22, edB.blob)).toThrow(/is revoked/);
+      // Negated pattern excludes the host from the wildcard entry
+      expect(store.verify('bad.example.com', 22, edA.blob).status).toBe('unknown');
+
+      const again = store.importOpenSSH(knownHostsFile);
+      expect(again.added).toBe(0);
+      expect(again.duplicates).toBe(4);
+    });
+
+    test('exports entries that import back to the same verification results', () => {
+      const store = new KnownHostsStore();
+      store.importOpenSSH(knownHostsFile);
+      store.trust('10.1.1.1', 830, ecdsa.blob, { comment: 'netconf' });
+
+      const exported = store.exportOpenSSH();
+      const lines = exported.trimEnd().split('\n');
+      expect(lines).toHaveLength(5);
+      expect(lines[0]).toMatch(/^\|1\|[^|]+\|[^ ]+ ssh-ed25519 /);
+      expect(lines).toContain(`@revoked * ssh-ed25519 ${edBKey}`);
+      expect(lines).toContain(`[10.1.1.1]:830 ecdsa-sha2-nistp256 ${ecdsaKey} netconf`);
+
+      const copy = new KnownHostsStore();
+      expect(copy.importOpenSSH(exported)).toEqual({ added: 5, duplicates: 0, skipped: [] });
+      expect(copy.verify('hashed.example.com', 22, edA.blob).status).toBe('known');
+      expect(copy.verify('www.example.com', 22, edB.blob).status).toBe('revoked');
+      expect(copy.verify('10.1.1.1', 830, ecdsa.blob).status).toBe('known');
+      expect(copy.exportOpenSSH()).toBe(exported);
+    });
+
+    test('exports nothing for an empty store', () => {
+      expect(new KnownHostsStore().exportOpenSSH()).toBe('');
+    });
+  });
+});
+
+describe('RemoteAccessEngine host key verification', () => {
+  let RemoteAccessEngine;
+  let engine;
+  const servers = [];
+
+  // In-process SSH server presenting the given host keys; accepts any login and a shell
+  const startServer = (hostKeys) => new Promise((resolve) => {
+    const server = new Server({ hostKeys }, (client) => {
+      client.on('authentication', ctx => ctx.accept());
+      client.on('error', () => {});
+      client.on('session', (accept) => {
+        const session = accept();
+        session.on('pty', acceptPty => acceptPty());
+        session.on('shell', (acceptShell) => {
+          acceptShell().write('$ ');
+        });
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      servers.push(server);
+      resolve(server.address().port);
+    });
+  });
+
+  const connect = (port, options = {}) => engine.createSSHSession({
+    host: '127.0.0.1',
+    port,
+    username: 'admin',
+    password: 'secret',
+    record: false,
+    readyTimeout: 5000,
+    ...options
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ({ RemoteAccessEngine } = require('../../src/modules/putty/backend/remote-access-engine.cjs'));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    originalHome = process.env.HOME;
+    process.env.HOME = tmpDir;
+    engine = new RemoteAccessEngine({
+      knownHostsPath: path.join(tmpDir, 'known-hosts.json'),
+      recordingsDir: path.join(tmpDir, 'recordings')
+    });
+  });
+
+  afterEach(async () => {
+    for (const sessionId of Array.from(engine.sessions.keys())) {
+      engine.closeSession(sessionId);
+    }
+    await Promise.all(servers.splice(0).map(server => new Promise(resolve => server.close(resolve))));
+    process.env.HOME = originalHome;
+  });
+
+  test('tofu trusts the first key and reports it as known afterwards', async () => {
+    const port = await startServer([edA.private]);
+    const fingerprint = describeKey(edA.blob).fingerprint;
+
+    const first = await connect(port);
+    expect(first.hostKey).toEqual({ status: 'new', keyType: 'ssh-ed25519', fingerprint });
+    expect(engine.knownHosts.list('127.0.0.1', port)[0].source).toBe('tofu');
+    engine.closeSession(first.sessionId);
+
+    const second = await connect(port);
+    expect(second.hostKey.status).toBe('known');
+  });
+
+  test('strict refuses an unknown key until its fingerprint is accepted', async () => {
+    const port = await startServer([edA.private]);
+    const fingerprint = describeKey(edA.blob).fingerprint;
+
+    const error = await connect(port, { hostKeyPolicy: 'strict' }).catch(err => err);
+    expect(error.code).toBe('HOST_KEY_UNKNOWN');
+    expect(error.message).toContain('the profile requires a trusted host key');
+    expect(error.hostKey.presented.fingerprint).toBe(fingerprint);
+    expect(engine.knownHosts.list()).toHaveLength(0);
+
+    const wrong = await connect(port, { hostKeyPolicy: 'strict', acceptFingerprint: describeKey(edB.blob).fingerprint })
+      .catch(err => err);
+    expect(wrong.code).toBe('HOST_KEY_UNKNOWN');
+
+    const accepted = await connect(port, { hostKeyPolicy: 'strict', acceptFingerprint: fingerprint });
+    expect(accepted.hostKey.status).toBe('accepted');
+    expect(engine.knownHosts.verify('127.0.0.1', port, edA.blob).entry.source).toBe('confirmed');
+  });
+
+  test('a changed key is blocked even with tofu and cannot be accepted by fingerprint', async () => {
+    const port = await startServer([edB.private]);
+    engine.knownHosts.trust('127.0.0.1', port, edA.blob);
+
+    const error = await connect(port, { acceptFingerprint: describeKey(edB.blob).fingerprint }).catch(err => err);
+    expect(error.code).toBe('HOST_KEY_CHANGED');
+    expect(error.message).toContain(`HOST KEY CHANGED for [127.0.0.1]:${port}`);
+    expect(error.message).toContain(describeKey(edA.blob).fingerprint);
+    expect(error.hostKey.status).toBe('changed');
+    expect(engine.sessions.size).toBe(0);
+  });
+
+  test('a revoked key is blocked', async () => {
+    const port = await startServer([edA.private]);
+    engine.knownHosts.importOpenSSH(`@revoked * ssh-ed25519 ${edA.blob.toString('base64')}\n`);
+
+    const error = await connect(port).catch(err => err);
+    expect(error.code).toBe('HOST_KEY_REVOKED');
+  });
+
+  test('other-type keys need confirmation even with tofu', async () => {
+    const port = await startServer([edA.private]);
+    engine.knownHosts.trust('127.0.0.1', port, ecdsa.blob);
+
+    const error = await connect(port).catch(err => err);
+    expect(error.code).toBe('HOST_KEY_UNKNOWN');
+    expect(error.message).toContain('only ecdsa-sha2-nistp256 keys are trusted for it');
+
+    const accepted = await connect(port, { acceptFingerprint: describeKey(edA.blob).fingerprint });
+    expect(accepted.hostKey.status).toBe('accepted');
+    expect(engine.knownHosts.list('127.0.0.1', port).map(entry => entry.keyType).sort())
+      .toEqual(['ecdsa-sha2-nistp256', 'ssh-ed25519']);
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Macro schema validation and expect-style runs against a scripted session
+ */
+
+const { MacroRunner, normalizeMacro, plainCommands } = require('../../src/modules/putty/backend/macro-engine.cjs');
+
+// Session I/O that answers each line written with the scripted output
+const fakeSession = (replies = {}) => {
+  let listener = null;
+  const session = {
+    newline: '\r',
+    writes: [],
+    write(data, options = {}) {
+      session.writes.push({ data, secret: !!options.secret });
+      const reply = typeof replies === 'function' ? replies(data) : replies[data];
+      if (reply !== undefined) setImmediate(() => session.emit(reply));
+    },
+    onData(callback) {
+      listener = callback;
+      return () => { listener = null; };
+    },
+    emit(text) {
+      if (listener) listener(text);
+    }
+  };
+  return session;
+};
+
+// Start a run and show the session's first prompt
+const run = (macro, variables, session, prompt = 'sw1>') => {
+  const runner = new MacroRunner('test', normalizeMacro(macro), variables, session);
+  const result = runner.run();
+  session.emit(prompt);
+  return result;
+};
+
+const ENABLE = {
+  version: 2,
+  variables: { enablePassword: null },
+  timeout: 200,
+  steps: [
+    { expect: '>\\s*$' },
+    { send: 'enable' },
+    { expect: [{ pattern: 'Password:', goto: 'password' }, { pattern: '#\\s*$', goto: 'enabled' }] },
+    { label: 'password' },
+    { send: '{{enablePassword}}', secret: true },
+    { expect: '#\\s*$' },
+    { label: 'enabled' },
+    { send: 'show version' },
+    { expect: 'Version (?<version>[\\w.()]+)', capture: { iosVersion: 'version' } }
+  ]
+};
+
+const SWITCH = {
+  'show version\r': 'Cisco IOS Software, Version 15.2(7)E4, RELEASE\r\nsw1#'
+};
+
+describe('normalizeMacro', () => {
+  test('migrates a v1 macro to send steps with its delay', () => {
+    const macro = normalizeMacro({ version: 1, commands: ['terminal length 0', 'show clock'], delay: 250, description: 'old' });
+
+    expect(macro).toMatchObject({ version: 2, description: 'old', timeout: 10000, pager: null, errorPatterns: [] });
+    expect(macro.steps).toEqual([
+      { sleep: 250 },
+      { send: 'terminal length 0', newline: true, secret: false },
+      { sleep: 250 },
+      { send: 'show clock', newline: true, secret: false }
+    ]);
+    expect(normalizeMacro(['show clock'], { delay: 0 }).steps).toEqual([{ send: 'show clock', newline: true, secret: false }]);
+  });
+
+  test('stores expect steps as lists of alternatives', () => {
+    const [single, multiple] = normalizeMacro({
+      version: 2,
+      steps: [
+        { expect: 'uptime is (.+)', capture: { uptime: 1 }, timeout: 500 },
+        { expect: ['#$', { pattern: 'Password:', send: '{{secret}}', secret: true, abort: 'no password' }], onTimeout: 'continue' }
+      ]
+    }).steps;
+
+    expect(single).toEqual({
+      expect: [{ pattern: 'uptime is (.+)', flags: '', capture: { uptime: 1 }, send: null, secret: false, goto: null, abort: null }],
+      timeout: 500,
+      onTimeout: 'abort'
+    });
+    expect(multiple.expect.map(({ pattern, send, secret }) => ({ pattern, send, secret }))).toEqual([
+      { pattern: '#$', send: null, secret: false },
+      { pattern: 'Password:', send: '{{secret}}', secret: true }
+    ]);
+    expect(multiple.onTimeout).toBe('continue');
+  });
+
+  test.each([
+    ['an unknown version', { version: 3, steps: [{ send: 'x' }] }, 'Unsupported macro version 3 (supported: 1, 2)'],
+    ['a v1 macro without commands', { version: 1 }, 'Version 1 macros need a commands list'],
+    ['no steps', { version: 2, steps: [] }, 'Macro needs at least one step'],
+    ['a step with two types', { version: 2, steps: [{ send: 'x', sleep: 1 }] }, 'Step 1 must have exactly one of: send, expect, label, if, goto, set, sleep, abort'],
+    ['a duplicate label', { version: 2, steps: [{ label: 'a' }, { label: 'a' }] }, "Duplicate label 'a'"],
+    ['a goto to nowhere', { version: 2, steps: [{ goto: 'missing' }] }, "Unknown label 'missing'"],
+    ['an alternative to nowhere', { version: 2, steps: [{ expect: [{ pattern: 'x', goto: 'missing' }] }] }, "Unknown label 'missing'"],
+    ['an onTimeout to nowhere', { version: 2, steps: [{ expect: 'x', onTimeout: 'missing' }] }, "Unknown label 'missing'"],
+    ['an invalid pattern', { version: 2, steps: [{ send: 'x' }, { expect: '(' }] }, /^Invalid pattern in step 2: /],
+    ['an if without goto', { version: 2, steps: [{ if: 'model', matches: '^C9' }] }, 'Step 1: if needs matches and goto'],
+    ['a negative sleep', { version: 2, steps: [{ sleep: -1 }] }, 'Step 1: sleep must be a number of ms'],
+    ['a pager that matches empty output', { version: 2, pager: { pattern: '(--More--)?' }, steps: [{ send: 'x' }] }, 'Pager pattern /(--More--)?/ must not match empty output']
+  ])('rejects %s', (_case, definition, message) => {
+    expect(() => normalizeMacro(definition)).toThrow(message);
+  });
+});
+
+describe('MacroRunner', () => {
+  test('answers the password prompt with a secret send and captures the version', async () => {
+    const session = fakeSession({ ...SWITCH, 'enable\r': 'Password: ', 's3cret\r': '\r\nsw1#' });
+    const steps = [];
+
+    const runner = new MacroRunner('enable', normalizeMacro(ENABLE), { enablePassword: 's3cret' }, session);
+    runner.on('step', step => steps.push(step));
+    const running = runner.run();
+    session.emit('sw1>');
+    const result = await running;
+
+    expect(result).toMatchObject({ status: 'completed', error: null, variables: { iosVersion: '15.2(7)E4' } });
+    expect(session.writes).toEqual([
+      { data: 'enable\r', secret: false },
+      { data: 's3cret\r', secret: true },
+      { data: 'show version\r', secret: false }
+    ]);
+    expect(result.output).toContain('Version 15.2(7)E4');
+    expect(JSON.stringify(result.steps)).not.toContain('s3cret');
+    expect(steps.find(step => step.index === 4)).toMatchObject({ type: 'send', send: '********' });
+  });
+
+  test('branches past the password when the device is already enabled', async () => {
+    const session = fakeSession({ ...SWITCH, 'enable\r': '\r\nsw1#' });
+
+    const result = await run(ENABLE, { enablePassword: 'unused' }, session);
+
+    expect(result.status).toBe('completed');
+    expect(session.writes.map(write => write.data)).toEqual(['enable\r', 'show version\r']);
+    expect(result.steps.find(step => step.index === 2)).toMatchObject({ matched: '#\\s*$' });
+  });
+
+  test('branches on a captured variable', async () => {
+    const macro = {
+      version: 2,
+      steps: [
+        { send: 'show inventory' },
+        { expect: 'PID: (\\S+)', capture: { model: 1 } },
+        { if: 'model', matches: '^C9', goto: 'catalyst9k' },
+        { send: 'show switch' },
+        { goto: 'done' },
+        { label: 'catalyst9k' },
+        { send: 'show switch stack-ports' },
+        { label: 'done' }
+      ]
+    };
+    const session = fakeSession({ 'show inventory\r': 'NAME: "1", PID: C9300-48P , SN: FOC1\r\n' });
+
+    const result = await run(macro, {}, session);
+
+    expect(session.writes.map(write => write.data)).toEqual(['show inventory\r', 'show switch stack-ports\r']);
+    expect(result.steps.find(step => step.type === 'if')).toMatchObject({ if: 'model', value: 'C9300-48P', taken: true });
+  });
+
+  test('answers pager prompts while waiting', async () => {
+    const macro = { version: 2, pager: { pattern: ' --More-- ', send: ' ' }, steps: [{ send: 'show run' }, { expect: 'end\\s+sw1#' }] };
+    const session = fakeSession({ 'show run\r': 'hostname sw1\r\n --More-- ', ' ': '\r\nend\r\nsw1#' });
+
+    const result = await run(macro, {}, session);
+
+    expect(result.status).toBe('completed');
+    expect(session.writes.map(write => write.data)).toEqual(['show run\r', ' ']);
+  });
+
+  test('aborts when the output matches an error pattern', async () => {
+    const macro = { version: 2, errorPatterns: ['^% Invalid input'], steps: [{ send: 'shwo run' }, { expect: '#$' }, { send: 'exit' }] };
+    const session = fakeSession({ 'shwo run\r': "\r\n% Invalid input detected at '^' marker.\r\n" });
+
+    const result = await run(macro, {}, session);
+
+    expect(result).toMatchObject({
+      status: 'aborted',
+      error: "Error output matched /^% Invalid input/: % Invalid input detected at '^' marker."
+    });
+    expect(session.writes.map(write => write.data)).toEqual(['shwo run\r']);
+  });
+
+  test('aborts from an abort step or an aborting alternative', async () => {
+    const stepAbort = await run({ version: 2, variables: { host: 'sw1' }, steps: [{ abort: 'unsupported on {{host}}' }] }, {}, fakeSession());
+    const alternativeAbort = await run({
+      version: 2,
+      steps: [{ expect: [{ pattern: 'Username:', abort: 'login required' }, { pattern: '>$' }] }]
+    }, {}, fakeSession(), 'Username: ');
+
+    expect(stepAbort).toMatchObject({ status: 'aborted', error: 'unsupported on sw1' });
+    expect(alternativeAbort).toMatchObject({ status: 'aborted', error: 'login required' });
+  });
+
+  test('times out, continues or jumps when the expected text never comes', async () => {
+    const steps = (onTimeout) => [{ expect: 'never', timeout: 20, onTimeout }, { send: 'next' }, { abort: 'fell through' }, { label: 'fallback' }, { send: 'fallback' }];
+
+    const timedOut = await run({ version: 2, steps: steps(undefined) }, {}, fakeSession());
+    const continued = await run({ version: 2, steps: steps('continue') }, {}, fakeSession());
+    const jumped = fakeSession();
+    await run({ version: 2, steps: steps('fallback') }, {}, jumped);
+
+    expect(timedOut).toMatchObject({ status: 'timeout', error: 'Timed out after 20ms waiting for /never/' });
+    expect(continued).toMatchObject({ status: 'aborted', error: 'fell through' });
+    expect(jumped.writes.map(write => write.data)).toEqual(['fallback\r']);
+  });
+
+  test('stops a goto loop', async () => {
+    const result = await run({ version: 2, steps: [{ label: 'top' }, { goto: 'top' }] }, {}, fakeSession());
+
+    expect(result).toMatchObject({ status: 'aborted', error: 'More than 1000 steps run; check for goto loops' });
+  });
+
+  test('refuses to run without its variables', async () => {
+    const runner = new MacroRunner('enable', normalizeMacro(ENABLE), {}, fakeSession());
+
+    await expect(runner.run()).rejects.toThrow('Missing macro variables: enablePassword');
+  });
+
+  test('dry run fills in variables, masks secrets and lists missing ones', () => {
+    const macro = normalizeMacro({
+      version: 2,
+      variables: { user: 'admin' },
+      steps: [
+        { send: 'login {{user}}' },
+        { expect: [{ pattern: 'Password:', send: '{{password}}', secret: true }] },
+        { send: 'enable {{level}}' }
+      ]
+    });
+
+    const dryRun = new MacroRunner('login', macro, { password: 'hunter2' }, null).dryRun();
+
+    expect(dryRun.sends).toEqual(['login admin', 'enable {{level}}']);
+    expect(dryRun.steps[1].expect[0].send).toBe('********');
+    expect(dryRun.missingVariables).toEqual(['level']);
+    expect(JSON.stringify(dryRun)).not.toContain('hunter2');
+  });
+});
+
+describe('plainCommands', () => {
+  test('lists the sends of a send-only macro with variables filled in', () => {
+    const macro = normalizeMacro({ version: 2, variables: { vlan: 10 }, steps: [{ send: 'show vlan id {{vlan}}' }, { sleep: 5 }, { send: 'show clock' }] });
+
+    expect(plainCommands(macro)).toEqual(['show vlan id 10', 'show clock']);
+    expect(plainCommands(macro, { vlan: 20 })).toEqual(['show vlan id 20', 'show clock']);
+    expect(plainCommands(normalizeMacro(ENABLE))).toBeNull();
+  });
+});
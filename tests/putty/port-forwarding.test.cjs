@@ -0,0 +1,108 @@
+/**
+ * SSHForward connection handling
+ */
+
+const net = require('net');
+const { once } = require('events');
+const { SSHForward, normalizeForward } = require('../../src/modules/putty/backend/port-forwarding.cjs');
+
+// Stands in for the ssh2 Client: forwardOut connects straight to the target,
+// or is held until the test releases it
+const directClient = (hold = false) => {
+  const client = { held: [] };
+  client.forwardOut = (srcIP, srcPort, host, port, callback) => {
+    const open = () => {
+      const stream = net.connect(port, host, () => callback(null, stream));
+      stream.on('error', () => {});
+    };
+    if (hold) client.held.push(open);
+    else open();
+  };
+  return client;
+};
+
+const connectTo = async (port) => {
+  const socket = net.connect(port, '127.0.0.1');
+  socket.on('error', () => {});
+  await once(socket, 'connect');
+  return socket;
+};
+
+const closed = (socket) => (socket.destroyed ? Promise.resolve() : once(socket, 'close'));
+
+let echo;
+let echoPort;
+const echoSockets = new Set();
+
+beforeAll(async () => {
+  echo = net.createServer((socket) => {
+    echoSockets.add(socket);
+    socket.on('close', () => echoSockets.delete(socket));
+    socket.on('error', () => {});
+    socket.pipe(socket);
+  });
+  echo.listen(0, '127.0.0.1');
+  await once(echo, 'listening');
+  echoPort = echo.address().port;
+});
+
+afterAll(async () => {
+  for (const socket of echoSockets) socket.destroy();
+  await new Promise(resolve => echo.close(resolve));
+});
+
+describe('SSHForward.stop', () => {
+  test('drops open local forward connections instead of waiting for them', async () => {
+    const forward = new SSHForward(directClient(), normalizeForward({
+      type: 'local', bindPort: 0, targetHost: '127.0.0.1', targetPort: echoPort
+    }));
+    const { boundPort } = await forward.start();
+
+    const socket = await connectTo(boundPort);
+    socket.write('ping');
+    const [reply] = await once(socket, 'data');
+    expect(reply.toString()).toBe('ping');
+    expect(forward.state.activeConnections).toBe(1);
+
+    await forward.stop();
+    await closed(socket);
+    expect(forward.state).toMatchObject({ status: 'stopped', activeConnections: 0, totalConnections: 1 });
+  });
+
+  test('drops SOCKS clients still in the handshake', async () => {
+    const forward = new SSHForward(directClient(), normalizeForward({ type: 'dynamic', bindPort: 0 }));
+    const { boundPort } = await forward.start();
+
+    const socket = await connectTo(boundPort);
+    socket.write(Buffer.from([0x05, 0x01, 0x00]));
+    const [choice] = await once(socket, 'data');
+    expect([...choice]).toEqual([0x05, 0x00]);
+    // Request never sent: the connection is not piped yet
+
+    await forward.stop();
+    await closed(socket);
+    expect(forward.status).toBe('stopped');
+  });
+
+  test('drops connections waiting on forwardOut and discards the late channel', async () => {
+    const client = directClient(true);
+    const forward = new SSHForward(client, normalizeForward({
+      type: 'local', bindPort: 0, targetHost: '127.0.0.1', targetPort: echoPort
+    }));
+    const { boundPort } = await forward.start();
+
+    const socket = await connectTo(boundPort);
+    while (client.held.length === 0) await new Promise(resolve => setImmediate(resolve));
+
+    await forward.stop();
+    await closed(socket);
+
+    // The SSH server answers after the forward stopped
+    const before = echoSockets.size;
+    client.held[0]();
+    while (echoSockets.size === before) await new Promise(resolve => setImmediate(resolve));
+    const [target] = [...echoSockets].slice(-1);
+    await closed(target);
+    expect(forward.state).toMatchObject({ activeConnections: 0, totalConnections: 0 });
+  });
+});
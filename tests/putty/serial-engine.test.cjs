@@ -0,0 +1,125 @@
+/**
+ * Serial profiles' USB matching and auto-baud detection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { SerialEngine, matchesPort, scoreText } = require('../../src/modules/putty/backend/serial-engine.cjs');
+const { startPtyDevice, ptyAvailable } = require('./helpers/pty-device.cjs');
+
+const SAMPLE_TIME = 150;
+
+let tmpDir;
+let engine;
+let device = null;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-serial-'));
+  engine = new SerialEngine({
+    profilesFile: path.join(tmpDir, 'serial-profiles.json'),
+    recordingsDir: path.join(tmpDir, 'recordings')
+  });
+});
+
+afterEach(async () => {
+  const closing = [...engine.sessions.keys()].map(() => once(engine, 'close'));
+  engine.cleanup();
+  await Promise.all(closing);
+  if (device) {
+    await device.close();
+    device = null;
+  }
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('scoreText', () => {
+  test('scores no data as 0', () => {
+    expect(scoreText(Buffer.alloc(0))).toBe(0);
+  });
+
+  test('counts printable ASCII, tab, CR and LF as text', () => {
+    expect(scoreText(Buffer.from('\r\nSwitch#\tshow ver\r\n'))).toBe(1);
+  });
+
+  test('returns the share of text bytes', () => {
+    expect(scoreText(Buffer.from([0x41, 0x42, 0x00, 0xff]))).toBe(0.5);
+    expect(scoreText(Buffer.from([0x1b, 0x7f, 0x80, 0xfe]))).toBe(0);
+  });
+});
+
+describe('matchesPort', () => {
+  const port = { path: '/dev/ttyUSB0', vendorId: '067b', productId: '2303', serialNumber: 'A1B2' };
+
+  test('compares USB IDs as hex regardless of case, prefix or padding', () => {
+    expect(matchesPort({ vendorId: '0x067B', productId: '2303' }, port)).toBe(true);
+    expect(matchesPort({ vendorId: '403', productId: '6001' }, { vendorId: '0403', productId: '6001' })).toBe(true);
+  });
+
+  test('requires the serial number only when the match has one', () => {
+    expect(matchesPort({ vendorId: '067b', productId: '2303', serialNumber: 'A1B2' }, port)).toBe(true);
+    expect(matchesPort({ vendorId: '067b', productId: '2303', serialNumber: 'Z9' }, port)).toBe(false);
+    expect(matchesPort({ vendorId: '067b', productId: '2303', serialNumber: null }, port)).toBe(true);
+  });
+
+  test('rejects other adapters and ports without USB IDs', () => {
+    expect(matchesPort({ vendorId: '067b', productId: '2304' }, port)).toBe(false);
+    expect(matchesPort({ vendorId: '0403', productId: '2303' }, port)).toBe(false);
+    expect(matchesPort({ vendorId: '067b', productId: '2303' }, { path: '/dev/ttyS0' })).toBe(false);
+  });
+});
+
+(ptyAvailable ? describe : describe.skip)('detectBaudRate on a pseudo-terminal', () => {
+  test('tries the rates in order and stops at a clean prompt', async () => {
+    device = await startPtyDevice(38400);
+
+    const result = await engine.detectBaudRate(device.path, { sampleTime: SAMPLE_TIME });
+
+    expect(result.baudRate).toBe(38400);
+    expect(result.score).toBe(1);
+    expect(result.results.map(tried => tried.baudRate)).toEqual([9600, 115200, 38400]);
+    expect(result.results[0].score).toBeLessThan(0.85);
+    expect(result.results[2].bytes).toBe('\r\nSwitch>'.length);
+  });
+
+  test('fails with the score of every rate when no output is readable', async () => {
+    device = await startPtyDevice(57600);
+
+    const detection = engine.detectBaudRate(device.path, { rates: [9600, 19200], sampleTime: SAMPLE_TIME });
+
+    await expect(detection).rejects.toThrow(`No readable output from ${device.path} at 9600, 19200 baud`);
+    const error = await detection.catch(err => err);
+    expect(error.results).toEqual([
+      { baudRate: 9600, score: expect.any(Number), bytes: 8 },
+      { baudRate: 19200, score: expect.any(Number), bytes: 8 }
+    ]);
+    expect(error.results.every(tried => tried.score < 0.85)).toBe(true);
+  });
+
+  test('a profile remembers the detected rate and tries it first next time', async () => {
+    device = await startPtyDevice(19200);
+    engine.saveProfile('core-sw', { path: device.path, baudRate: 'auto', lineEnding: 'cr', record: false });
+
+    const first = await engine.connect({ profile: 'core-sw', sampleTime: SAMPLE_TIME });
+    expect(first).toMatchObject({ baudRate: 19200, lineEnding: 'cr', autoBaud: { baudRate: 19200 } });
+    expect(first.autoBaud.results.map(tried => tried.baudRate)).toEqual([9600, 115200, 38400, 19200]);
+    const closed = once(engine, 'close');
+    engine.closeSession(first.sessionId);
+    await closed;
+
+    const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, 'serial-profiles.json'), 'utf8'));
+    expect(stored['core-sw']).toMatchObject({ detectedBaudRate: 19200, lastUsed: expect.any(Number) });
+
+    const second = await engine.connect({ profile: 'core-sw', sampleTime: SAMPLE_TIME });
+    expect(second.autoBaud.results.map(tried => tried.baudRate)).toEqual([19200]);
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * SFTP transfer queue against a local SFTP server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { Client } = require('ssh2');
+const { SFTPTransferQueue } = require('../../src/modules/putty/backend/sftp-transfers.cjs');
+const { startSFTPServer } = require('./helpers/sftp-server.cjs');
+
+const FILE_SIZE = 4 * 1024 * 1024;
+
+let tmpDir;
+let remoteRoot;
+let localRoot;
+let server;
+let client;
+let sftp;
+let queue;
+
+// Seeded content, so a resumed copy cannot match by accident
+const content = (size, seed) => {
+  const chunks = [];
+  for (let length = 0, counter = 0; length < size; length += 32, counter++) {
+    chunks.push(crypto.createHash('sha256').update(`${seed}:${counter}`).digest());
+  }
+  return Buffer.concat(chunks).subarray(0, size);
+};
+
+const writeTree = (root, files) => {
+  for (const [name, data] of Object.entries(files)) {
+    const filePath = path.join(root, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, data);
+  }
+};
+
+const readTree = (root) => {
+  const files = {};
+  const walk = (directory, prefix) => {
+    for (const name of fs.readdirSync(directory).sort()) {
+      const entryPath = path.join(directory, name);
+      const relative = prefix ? `${prefix}/${name}` : name;
+      if (fs.statSync(entryPath).isDirectory()) {
+        files[`${relative}/`] = null;
+        walk(entryPath, relative);
+      } else {
+        files[relative] = fs.readFileSync(entryPath).toString('hex');
+      }
+    }
+  };
+  walk(root, '');
+  return files;
+};
+
+const waitForStatus = (id, statuses) => new Promise((resolve) => {
+  const check = (state) => {
+    if (state.id === id && statuses.includes(state.status)) {
+      queue.removeListener('state', check);
+      resolve(state);
+    }
+  };
+  queue.on('state', check);
+  const current = queue.get(id).status;
+  if (statuses.includes(current)) {
+    queue.removeListener('state', check);
+    resolve(queue.describe(queue.get(id)));
+  }
+});
+
+// Run fn once a quarter of the transfer has been read, so some of it has landed
+const onQuarterProgress = (fn) => {
+  const handler = (state) => {
+    if (state.bytesDone >= state.bytesTotal / 4 && state.bytesDone < state.bytesTotal) {
+      queue.removeListener('progress', handler);
+      fn(state);
+    }
+  };
+  queue.on('progress', handler);
+};
+
+beforeAll(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-sftp-'));
+  remoteRoot = path.join(tmpDir, 'remote');
+  fs.mkdirSync(remoteRoot);
+
+  server = await startSFTPServer(remoteRoot);
+  client = new Client();
+  client.connect({ host: '127.0.0.1', port: server.port, username: 'admin', password: 'secret', hostVerifier: () => true });
+  await once(client, 'ready');
+  sftp = await new Promise((resolve, reject) => {
+    client.sftp((err, channel) => (err ? reject(err) : resolve(channel)));
+  });
+});
+
+afterAll(async () => {
+  client.end();
+  await server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  localRoot = fs.mkdtempSync(path.join(tmpDir, 'local-'));
+  for (const name of fs.readdirSync(remoteRoot)) {
+    fs.rmSync(path.join(remoteRoot, name), { recursive: true, force: true });
+  }
+  server.stats.bytesWritten = 0;
+  queue = new SFTPTransferQueue({ openSFTP: async () => sftp, progressInterval: 0 });
+});
+
+describe('SFTPTransferQueue', () => {
+  test('uploads a directory tree recursively', async () => {
+    writeTree(path.join(localRoot, 'configs'), {
+      'core.cfg': content(70000, 'core'),
+      'access/sw1.cfg': content(1234, 'sw1'),
+      'access/sw2.cfg': content(99, 'sw2'),
+      'access/empty.txt': Buffer.alloc(0)
+    });
+    fs.mkdirSync(path.join(localRoot, 'configs', 'unused'));
+
+    const transfer = queue.enqueue('ssh-1', {
+      direction: 'upload',
+      localPath: path.join(localRoot, 'configs'),
+      remotePath: '/backup/configs',
+      verify: true
+    });
+    const state = await waitForStatus(transfer.id, ['completed', 'failed']);
+
+    expect(state).toMatchObject({
+      status: 'completed',
+      filesTotal: 4,
+      filesDone: 4,
+      filesVerified: 4,
+      bytesTotal: 71333,
+      bytesDone: 71333,
+      percent: 100,
+      error: null
+    });
+    expect(readTree(path.join(remoteRoot, 'backup', 'configs'))).toEqual(readTree(path.join(localRoot, 'configs')));
+  });
+
+  test('downloads a directory tree recursively', async () => {
+    writeTree(path.join(remoteRoot, 'var', 'log'), {
+      'syslog': content(150000, 'syslog'),
+      'nested/deeper/auth.log': content(4096, 'auth')
+    });
+
+    const transfer = queue.enqueue('ssh-1', {
+      direction: 'download',
+      remotePath: '/var/log',
+      localPath: path.join(localRoot, 'logs')
+    });
+    const state = await waitForStatus(transfer.id, ['completed', 'failed']);
+
+    expect(state).toMatchObject({ status: 'completed', filesTotal: 2, filesDone: 2, bytesDone: 154096 });
+    expect(readTree(path.join(localRoot, 'logs'))).toEqual(readTree(path.join(remoteRoot, 'var', 'log')));
+  });
+
+  test('pause stops mid-file and resume continues from the partial destination', async () => {
+    const data = content(FILE_SIZE, 'image');
+    fs.writeFileSync(path.join(localRoot, 'image.bin'), data);
+
+    const transfer = queue.enqueue('ssh-1', {
+      direction: 'upload',
+      localPath: path.join(localRoot, 'image.bin'),
+      remotePath: '/firmware/image.bin'
+    });
+    onQuarterProgress(() => queue.pause(transfer.id));
+    const paused = await waitForStatus(transfer.id, ['paused', 'completed', 'failed']);
+
+    expect(paused.status).toBe('paused');
+    expect(paused.finishedAt).toBeNull();
+    const partial = fs.statSync(path.join(remoteRoot, 'firmware', 'image.bin')).size;
+    expect(partial).toBeGreaterThan(0);
+    expect(partial).toBeLessThan(FILE_SIZE);
+    expect(data.subarray(0, partial).equals(fs.readFileSync(path.join(remoteRoot, 'firmware', 'image.bin')))).toBe(true);
+
+    const written = server.stats.bytesWritten;
+    queue.resume(transfer.id);
+    const state = await waitForStatus(transfer.id, ['completed', 'failed']);
+
+    expect(state).toMatchObject({ status: 'completed', filesResumed: 1, bytesDone: FILE_SIZE });
+    expect(server.stats.bytesWritten - written).toBe(FILE_SIZE - partial);
+    expect(fs.readFileSync(path.join(remoteRoot, 'firmware', 'image.bin')).equals(data)).toBe(true);
+  });
+
+  test('a new transfer resumes a shorter destination file', async () => {
+    const data = content(300000, 'report');
+    writeTree(remoteRoot, { 'reports/q3.pdf': data });
+    fs.writeFileSync(path.join(localRoot, 'q3.pdf'), data.subarray(0, 100000));
+
+    const transfer = queue.enqueue('ssh-1', {
+      direction: 'download',
+      remotePath: '/reports/q3.pdf',
+      localPath: path.join(localRoot, 'q3.pdf'),
+      verify: true
+    });
+    const state = await waitForStatus(transfer.id, ['completed', 'failed']);
+
+    expect(state).toMatchObject({ status: 'completed', filesResumed: 1, filesVerified: 1, bytesDone: 300000 });
+    expect(fs.readFileSync(path.join(localRoot, 'q3.pdf')).equals(data)).toBe(true);
+  });
+
+  test('a checksum mismatch after resuming sends the whole file again', async () => {
+    const data = content(500000, 'backup');
+    fs.writeFileSync(path.join(localRoot, 'backup.tar'), data);
+    // Destination prefix from some other file
+    writeTree(remoteRoot, { 'backup.tar': content(200000, 'stale') });
+
+    const transfer = queue.enqueue('ssh-1', {
+      direction: 'upload',
+      localPath: path.join(localRoot, 'backup.tar'),
+      remotePath: '/backup.tar',
+      verify: true
+    });
+    const state = await waitForStatus(transfer.id, ['completed', 'failed']);
+
+    expect(state).toMatchObject({ status: 'completed', filesVerified: 1, filesResumed: 0, bytesDone: 500000, error: null });
+    expect(server.stats.bytesWritten).toBe((500000 - 200000) + 500000);
+    expect(fs.readFileSync(path.join(remoteRoot, 'backup.tar')).equals(data)).toBe(true);
+  });
+
+  test('a checksum mismatch without a resumed part fails the transfer', async () => {
+    const data = content(1000, 'small');
+    fs.writeFileSync(path.join(localRoot, 'small.bin'), data);
+    const brokenQueue = new SFTPTransferQueue({
+      openSFTP: async () => sftp,
+      remoteChecksum: async () => '0'.repeat(64)
+    });
+
+    const transfer = brokenQueue.enqueue('ssh-1', {
+      direction: 'upload',
+      localPath: path.join(localRoot, 'small.bin'),
+      remotePath: '/small.bin',
+      verify: true
+    });
+    while (!['completed', 'failed'].includes(brokenQueue.get(transfer.id).status)) {
+      await once(brokenQueue, 'state');
+    }
+
+    const failed = brokenQueue.describe(brokenQueue.get(transfer.id));
+    expect(failed.status).toBe('failed');
+    expect(failed.error).toBe('Checksum mismatch for /small.bin');
+  });
+
+  test('cancel stops the transfer and keeps the partial file', async () => {
+    const data = content(FILE_SIZE, 'dump');
+    writeTree(remoteRoot, { 'dump.bin': data });
+
+    const transfer = queue.enqueue('ssh-1', {
+      direction: 'download',
+      remotePath: '/dump.bin',
+      localPath: path.join(localRoot, 'dump.bin')
+    });
+    onQuarterProgress(() => queue.cancel(transfer.id));
+    const state = await waitForStatus(transfer.id, ['cancelled', 'completed', 'failed']);
+
+    expect(state.status).toBe('cancelled');
+    expect(state.finishedAt).toEqual(expect.any(Number));
+    expect(state.error).toBeNull();
+    expect(() => queue.resume(transfer.id)).toThrow(/is cancelled/);
+    const partial = fs.statSync(path.join(localRoot, 'dump.bin')).size;
+    expect(partial).toBeLessThan(FILE_SIZE);
+
+    // Cancelling a queued transfer never starts it
+    const blocked = new SFTPTransferQueue({ openSFTP: () => new Promise(() => {}), concurrency: 1 });
+    blocked.enqueue('ssh-1', { direction: 'download', remotePath: '/dump.bin', localPath: path.join(localRoot, 'a') });
+    const queued = blocked.enqueue('ssh-1', { direction: 'download', remotePath: '/dump.bin', localPath: path.join(localRoot, 'b') });
+    expect(blocked.cancel(queued.id).status).toBe('cancelled');
+    expect(fs.existsSync(path.join(localRoot, 'b'))).toBe(false);
+  });
+});
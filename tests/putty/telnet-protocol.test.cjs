@@ -0,0 +1,371 @@
+/**
+ * Telnet protocol handling and auto-login
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { once } = require('events');
+const { TelnetProtocol, loginMacro, OPTIONS } = require('../../src/modules/putty/backend/telnet-protocol.cjs');
+
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+const TTYPE_IS = 0;
+const TTYPE_SEND = 1;
+
+const bytes = (...values) => Buffer.from(values.flat());
+const nawsBytes = (cols, rows) => [IAC, SB, OPTIONS.NAWS, cols >> 8, cols & 0xff, rows >> 8, rows & 0xff, IAC, SE];
+const ttypeIs = (name) => [IAC, SB, OPTIONS.TTYPE, TTYPE_IS, ...Buffer.from(name), IAC, SE];
+
+const createProtocol = (options = {}) => {
+  const sent = [];
+  const telnet = new TelnetProtocol({ write: data => sent.push(...data), ...options });
+  const take = () => sent.splice(0);
+  return { telnet, take };
+};
+
+describe('TelnetProtocol', () => {
+  describe('receive', () => {
+    test('strips commands and unescapes IAC IAC split across chunks', () => {
+      const { telnet } = createProtocol();
+      const chunks = [
+        bytes(0x61, IAC),
+        bytes(IAC, 0x62, IAC),
+        bytes(WILL),
+        bytes(OPTIONS.ECHO, 0x63, IAC, SB, OPTIONS.TTYPE),
+        bytes(TTYPE_SEND, IAC),
+        bytes(SE, 0x64, IAC, 241 /* NOP */, 0x65)
+      ];
+      const output = Buffer.concat(chunks.map(chunk => telnet.receive(chunk)));
+      expect([...output]).toEqual([0x61, IAC, 0x62, 0x63, 0x64, 0x65]);
+    });
+
+    test('turns CR NUL back into CR, also across chunks', () => {
+      const { telnet } = createProtocol();
+      const output = Buffer.concat([
+        telnet.receive(Buffer.from('one\r')),
+        telnet.receive(bytes(0, ...Buffer.from('two\r\n'))),
+        telnet.receive(bytes(0, 0x78))
+      ]);
+      expect(output.toString('latin1')).toBe('one\rtwo\r\n\0x');
+    });
+
+    test('keeps an escaped IAC inside a subnegotiation', () => {
+      const { telnet, take } = createProtocol({ cols: 80, rows: 24 });
+      telnet.receive(bytes(IAC, DO, OPTIONS.TTYPE));
+      take();
+      // Option byte IAC IAC is unescaped, so this is not a TTYPE SEND and gets no answer
+      telnet.receive(bytes(IAC, SB, IAC, IAC, TTYPE_SEND, IAC, SE));
+      expect(take()).toEqual([]);
+    });
+  });
+
+  describe('escape', () => {
+    test('doubles IAC and pads a bare CR with NUL', () => {
+      const { telnet } = createProtocol();
+      expect([...telnet.escape(bytes(0x41, IAC, 0x42))]).toEqual([0x41, IAC, IAC, 0x42]);
+      expect([...telnet.escape('ls\r')]).toEqual([0x6c, 0x73, 13, 0]);
+      expect([...telnet.escape('ls\r\n')]).toEqual([0x6c, 0x73, 13, 10]);
+    });
+  });
+
+  describe('option negotiation (RFC 1143)', () => {
+    test('active mode asks for the terminal options and settles without loops', () => {
+      const { telnet, take } = createProtocol({ cols: 80, rows: 24 });
+      telnet.start();
+      expect(take()).toEqual([
+        IAC, WILL, OPTIONS.NAWS,
+        IAC, WILL, OPTIONS.TTYPE,
+        IAC, WILL, OPTIONS.SGA,
+        IAC, DO, OPTIONS.SGA,
+        IAC, DO, OPTIONS.ECHO
+      ]);
+      expect(telnet.local.get(OPTIONS.NAWS)).toBe('wantyes');
+      expect(telnet.remote.get(OPTIONS.ECHO)).toBe('wantyes');
+
+      // Answers to our requests are not answered again
+      telnet.receive(bytes(IAC, DO, OPTIONS.TTYPE, IAC, DO, OPTIONS.SGA, IAC, WILL, OPTIONS.SGA, IAC, WILL, OPTIONS.ECHO));
+      expect(take()).toEqual([]);
+
+      // Refused request: wantyes -> no, silently
+      telnet.receive(bytes(IAC, DONT, OPTIONS.NAWS));
+      expect(take()).toEqual([]);
+      expect(telnet.local.get(OPTIONS.NAWS)).toBe('no');
+
+      expect(telnet.options).toEqual({
+        echo: 'remote',
+        suppressGoAhead: true,
+        naws: null,
+        terminalType: 'XTERM-256COLOR',
+        local: ['TTYPE', 'SGA'],
+        remote: ['SGA', 'ECHO']
+      });
+    });
+
+    test('accepts supported offers once and refuses unsupported ones', () => {
+      const { telnet, take } = createProtocol();
+      const events = [];
+      telnet.on('option', event => events.push(event));
+
+      telnet.receive(bytes(IAC, WILL, OPTIONS.ECHO));
+      expect(take()).toEqual([IAC, DO, OPTIONS.ECHO]);
+      telnet.receive(bytes(IAC, WILL, OPTIONS.ECHO)); // already yes: no reply
+      expect(take()).toEqual([]);
+
+      telnet.receive(bytes(IAC, DO, OPTIONS.SGA));
+      expect(take()).toEqual([IAC, WILL, OPTIONS.SGA]);
+
+      telnet.receive(bytes(IAC, WILL, OPTIONS.LINEMODE, IAC, DO, OPTIONS.NEW_ENVIRON, IAC, DO, OPTIONS.ECHO));
+      expect(take()).toEqual([IAC, DONT, OPTIONS.LINEMODE, IAC, WONT, OPTIONS.NEW_ENVIRON, IAC, WONT, OPTIONS.ECHO]);
+      expect(telnet.remote.has(OPTIONS.LINEMODE)).toBe(false);
+
+      expect(events).toEqual([
+        { option: 'ECHO', side: 'remote', enabled: true },
+        { option: 'SGA', side: 'local', enabled: true }
+      ]);
+    });
+
+    test('acknowledges a disable once, and a repeated one not at all', () => {
+      const { telnet, take } = createProtocol();
+      telnet.receive(bytes(IAC, WILL, OPTIONS.ECHO));
+      take();
+
+      telnet.receive(bytes(IAC, WONT, OPTIONS.ECHO));
+      expect(take()).toEqual([IAC, DONT, OPTIONS.ECHO]);
+      expect(telnet.options.echo).toBe('local');
+
+      telnet.receive(bytes(IAC, WONT, OPTIONS.ECHO));
+      expect(take()).toEqual([]);
+    });
+
+    test('an offer answering our refusal (wantno) leaves the option off', () => {
+      const { telnet, take } = createProtocol();
+      telnet.remote.set(OPTIONS.ECHO, 'wantno');
+      telnet.receive(bytes(IAC, WILL, OPTIONS.ECHO));
+      expect(take()).toEqual([]);
+      expect(telnet.remote.get(OPTIONS.ECHO)).toBe('no');
+    });
+  });
+
+  describe('NAWS', () => {
+    test('sends the size once enabled and again on every resize', () => {
+      const { telnet, take } = createProtocol({ cols: 80, rows: 24 });
+      telnet.setWindowSize(100, 30); // not negotiated yet
+      expect(take()).toEqual([]);
+
+      telnet.receive(bytes(IAC, DO, OPTIONS.NAWS));
+      expect(take()).toEqual([IAC, WILL, OPTIONS.NAWS, ...nawsBytes(100, 30)]);
+
+      telnet.setWindowSize(300, 50);
+      expect(take()).toEqual(nawsBytes(300, 50));
+      expect(telnet.options.naws).toEqual({ cols: 300, rows: 50 });
+    });
+
+    test('doubles 0xFF bytes in the size', () => {
+      const { telnet, take } = createProtocol({ cols: 255, rows: 24 });
+      telnet.receive(bytes(IAC, DO, OPTIONS.NAWS));
+      expect(take()).toEqual([IAC, WILL, OPTIONS.NAWS, IAC, SB, OPTIONS.NAWS, 0, IAC, IAC, 0, 24, IAC, SE]);
+    });
+  });
+
+  describe('TERMINAL-TYPE', () => {
+    test('answers SEND with IS once the option is on', () => {
+      const { telnet, take } = createProtocol({ terminalType: 'vt100' });
+      telnet.receive(bytes(IAC, SB, OPTIONS.TTYPE, TTYPE_SEND, IAC, SE));
+      expect(take()).toEqual([]); // not negotiated
+
+      telnet.receive(bytes(IAC, DO, OPTIONS.TTYPE));
+      telnet.receive(bytes(IAC, SB, OPTIONS.TTYPE));
+      telnet.receive(bytes(TTYPE_SEND, IAC));
+      telnet.receive(bytes(SE));
+      expect(take()).toEqual([IAC, WILL, OPTIONS.TTYPE, ...ttypeIs('VT100')]);
+    });
+  });
+});
+
+describe('loginMacro', () => {
+  test('builds a macro that branches on the prompts and aborts without credentials', () => {
+    const macro = loginMacro({ username: 'admin', password: 'secret', shellPrompt: 'router#\\s*$', timeout: 5000 });
+    expect(macro.timeout).toBe(5000);
+    expect(macro.steps.find(step => step.send === '{{password}}').secret).toBe(true);
+    expect(macro.steps.flatMap(step => step.expect || []).map(match => match.pattern)).toContain('router#\\s*$');
+
+    const anonymous = loginMacro({});
+    expect(anonymous.steps.filter(step => step.abort).map(step => step.abort)).toEqual([
+      'The server asked for a username but none is configured',
+      'The server asked for a password but none is configured'
+    ]);
+  });
+});
+
+describe('Telnet sessions against a server', () => {
+  let RemoteAccessEngine;
+  let engine;
+  let server;
+  let tmpDir;
+  let originalHome;
+  let accepted;
+  let closed;
+
+  // Minimal Telnet device: negotiates on connect, then runs a login dialogue
+  const startServer = (dialogue) => new Promise((resolve) => {
+    const device = { received: [], text: '', connections: [] };
+    server = net.createServer((socket) => {
+      accepted++;
+      device.connections.push(socket);
+      socket.on('error', () => {});
+      // Negotiation split over writes, crossing the client's own requests
+      socket.write(bytes(IAC, DO, OPTIONS.NAWS, IAC, DO));
+      socket.write(bytes(OPTIONS.TTYPE, IAC, WILL, OPTIONS.ECHO, IAC, WILL, OPTIONS.SGA, IAC, SB, OPTIONS.TTYPE));
+      socket.write(bytes(TTYPE_SEND, IAC, SE, ...Buffer.from('\r\nUser Access Verification\r\n\r\nUsername: ')));
+
+      socket.on('data', (data) => {
+        device.received.push(...data);
+        device.text += stripCommands(data).toString('latin1');
+        const reply = dialogue(device.text);
+        if (reply !== null) {
+          device.text = '';
+          socket.write(reply);
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, device }));
+  });
+
+  // Client bytes without Telnet commands (the client never splits a command)
+  const stripCommands = (data) => {
+    const output = [];
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] !== IAC) {
+        output.push(data[i]);
+      } else if (data[i + 1] === SB) {
+        i = data.indexOf(SE, i);
+      } else {
+        i += 2;
+      }
+    }
+    return Buffer.from(output);
+  };
+
+  const ciscoLogin = (password) => (text) => {
+    if (text === 'admin\r\n') return 'Password: ';
+    if (text === `${password}\r\n`) return '\r\nrouter#';
+    if (text.endsWith('\r\n')) return '\r\n% Login invalid\r\n\r\nUsername: ';
+    return null;
+  };
+
+  const count = (haystack, needle) => {
+    let found = 0;
+    for (let i = 0; i <= haystack.length - needle.length; i++) {
+      if (needle.every((byte, offset) => haystack[i + offset] === byte)) found++;
+    }
+    return found;
+  };
+
+  const connect = (port, options = {}) => engine.createTelnetSession({
+    host: '127.0.0.1',
+    port,
+    record: false,
+    username: 'admin',
+    password: 'secret',
+    shellPrompt: 'router#\\s*$',
+    loginFailure: 'login invalid',
+    loginTimeout: 3000,
+    ...options
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ({ RemoteAccessEngine } = require('../../src/modules/putty/backend/remote-access-engine.cjs'));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntk-telnet-'));
+    originalHome = process.env.HOME;
+    process.env.HOME = tmpDir;
+    engine = new RemoteAccessEngine({
+      knownHostsPath: path.join(tmpDir, 'known-hosts.json'),
+      recordingsDir: path.join(tmpDir, 'recordings')
+    });
+    accepted = 0;
+    closed = 0;
+    engine.on('close', () => closed++);
+  });
+
+  afterEach(async () => {
+    for (const sessionId of Array.from(engine.sessions.keys())) {
+      engine.closeSession(sessionId);
+    }
+    while (closed < accepted) await once(engine, 'close');
+    await new Promise(resolve => server.close(resolve));
+    process.env.HOME = originalHome;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('negotiates, logs in and resends NAWS on resize', async () => {
+    const { port, device } = await startServer(ciscoLogin('secret'));
+
+    const result = await connect(port, { cols: 120, rows: 40 });
+    expect(result.login.status).toBe('logged-in');
+    expect(result.telnet).toMatchObject({
+      echo: 'remote',
+      suppressGoAhead: true,
+      naws: { cols: 120, rows: 40 },
+      terminalType: 'XTERM-256COLOR'
+    });
+
+    // Crossed requests are not answered a second time
+    expect(count(device.received, [IAC, WILL, OPTIONS.NAWS])).toBe(1);
+    expect(count(device.received, [IAC, DO, OPTIONS.ECHO])).toBe(1);
+    expect(count(device.received, nawsBytes(120, 40))).toBe(1);
+    expect(count(device.received, ttypeIs('XTERM-256COLOR'))).toBe(1);
+
+    const before = device.received.length;
+    engine.resize(result.sessionId, 200, 50);
+    while (device.received.length === before) await new Promise(resolve => setTimeout(resolve, 5));
+    expect(device.received.slice(before)).toEqual(nawsBytes(200, 50));
+  });
+
+  test('a rejected password fails the login and closes the session', async () => {
+    const { port, device } = await startServer(ciscoLogin('other'));
+
+    await expect(connect(port)).rejects.toThrow(/Telnet login to 127\.0\.0\.1 failed: Login failed/);
+    expect(engine.sessions.size).toBe(0);
+    await once(device.connections[0], 'close');
+  });
+
+  test('a password prompt without a configured password aborts', async () => {
+    const { port } = await startServer(ciscoLogin('secret'));
+
+    await expect(connect(port, { password: undefined }))
+      .rejects.toThrow(/The server asked for a password but none is configured/);
+  });
+
+  test('passive mode only answers the server', async () => {
+    const { port, device } = await startServer(() => null);
+
+    const result = await connect(port, { negotiationMandatory: false, username: undefined, password: undefined });
+    while (count(device.received, ttypeIs('XTERM-256COLOR')) === 0) await new Promise(resolve => setTimeout(resolve, 5));
+
+    // Only answers: WILL NAWS (+ size), WILL TTYPE (+ type), DO ECHO, DO SGA
+    expect(device.received).toEqual([
+      IAC, WILL, OPTIONS.NAWS, ...nawsBytes(80, 24),
+      IAC, WILL, OPTIONS.TTYPE,
+      IAC, DO, OPTIONS.ECHO,
+      IAC, DO, OPTIONS.SGA,
+      ...ttypeIs('XTERM-256COLOR')
+    ]);
+    expect(result.login).toBeUndefined();
+  });
+});